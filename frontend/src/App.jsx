@@ -42,6 +42,7 @@ const ChatSystem = lazy(() => import("./pages/ChatSystem"));
 const Leaderboard = lazy(() => import("./pages/Leaderboard"));
 const ReportsDashboard = lazy(() => import("./pages/ReportsDashboard"));
 const AchievementDashboard = lazy(() => import("./pages/AchievementDashboard"));
+const ReviewSession = lazy(() => import("./pages/ReviewSession"));
 const EnhancedQuizCreator = lazy(() => import("./pages/EnhancedQuizCreator"));
 const GamifiedQuizTaker = lazy(() => import("./pages/GamifiedQuizTaker"));
 const PDFQuizGenerator = lazy(() => import("./pages/PDFQuizGenerator"));
@@ -56,6 +57,8 @@ const LiveSessionHistory = lazy(() => import("./pages/LiveSessionHistory"));
 const LiveSessionSelector = lazy(() => import("./pages/LiveSessionSelector"));
 const DuelMode = lazy(() => import("./pages/DuelMode"));
 const DuelBattle = lazy(() => import("./pages/DuelBattle"));
+const Tournaments = lazy(() => import("./pages/Tournaments"));
+const TournamentBracket = lazy(() => import("./pages/TournamentBracket"));
 const TeachingHub = lazy(() => import("./pages/TeachingHub"));
 
 // Video Meeting Routes
@@ -271,6 +274,14 @@ function App() {
                       </ProtectedRoute>
                     }
                   />
+                  <Route
+                    path="/review"
+                    element={
+                      <ProtectedRoute>
+                        <ReviewSession />
+                      </ProtectedRoute>
+                    }
+                  />
                   <Route
                     path="/doubt-solver"
                     element={
@@ -347,6 +358,40 @@ function App() {
                       </ProtectedRoute>
                     }
                   />
+                  <Route
+                    path="/duel/ranked/:category"
+                    element={
+                      <ProtectedRoute>
+                        <DuelBattle />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/duel/match/:duelMatchId"
+                    element={
+                      <ProtectedRoute>
+                        <DuelBattle />
+                      </ProtectedRoute>
+                    }
+                  />
+
+                  {/* Duel Tournament Routes */}
+                  <Route
+                    path="/tournaments"
+                    element={
+                      <ProtectedRoute>
+                        <Tournaments />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/tournaments/:tournamentId"
+                    element={
+                      <ProtectedRoute>
+                        <TournamentBracket />
+                      </ProtectedRoute>
+                    }
+                  />
 
                   {/* Video Meeting Routes */}
                   <Route
@@ -1,5 +1,27 @@
 import { motion, AnimatePresence } from "framer-motion";
-import { Trophy, Medal, Award, TrendingUp } from "lucide-react";
+import { Trophy, Medal, Award, TrendingUp, Flame, Zap } from "lucide-react";
+
+// Score breakdown of a participant's latest answer, e.g. "⚡ ×0.85 · 🔥 ×1.2"
+const AnswerBreakdown = ({ lastAnswer }) => {
+  if (!lastAnswer) return null;
+
+  return (
+    <div className="flex items-center justify-end gap-2 text-xs text-gray-500 dark:text-gray-400">
+      {lastAnswer.speedFactor < 1 && (
+        <span className="flex items-center gap-0.5" title="Speed factor">
+          <Zap className="w-3 h-3 text-blue-500" />×
+          {lastAnswer.speedFactor.toFixed(2)}
+        </span>
+      )}
+      {lastAnswer.streakMultiplier > 1 && (
+        <span className="flex items-center gap-0.5" title="Streak multiplier">
+          <Flame className="w-3 h-3 text-orange-500" />×
+          {lastAnswer.streakMultiplier.toFixed(1)}
+        </span>
+      )}
+    </div>
+  );
+};
 
 const LiveLeaderboard = ({ leaderboard = [], compact = false }) => {
   if (leaderboard.length === 0) {
@@ -122,6 +144,15 @@ const LiveLeaderboard = ({ leaderboard = [], compact = false }) => {
                       }`}
                     >
                       {entry.username}
+                      {entry.streak >= 2 && (
+                        <span
+                          className="ml-2 inline-flex items-center gap-0.5 text-sm font-semibold text-orange-500"
+                          title={`${entry.streak} correct in a row`}
+                        >
+                          <Flame className="w-4 h-4" />
+                          {entry.streak}
+                        </span>
+                      )}
                     </p>
                     {!compact && (
                       <div className="flex items-center gap-3 text-sm text-gray-500 dark:text-gray-400">
@@ -166,6 +197,20 @@ const LiveLeaderboard = ({ leaderboard = [], compact = false }) => {
                     <div className="text-xs text-gray-500 dark:text-gray-400">
                       points
                     </div>
+                    {entry.lastAnswer && (
+                      <div
+                        className={`text-sm font-semibold ${
+                          entry.lastAnswer.points > 0
+                            ? "text-green-600 dark:text-green-400"
+                            : "text-gray-400"
+                        }`}
+                      >
+                        +{entry.lastAnswer.points.toFixed(1)}
+                      </div>
+                    )}
+                    {!compact && (
+                      <AnswerBreakdown lastAnswer={entry.lastAnswer} />
+                    )}
                   </div>
                 </div>
 
@@ -2,7 +2,178 @@ import React from "react";
 import { Link } from "react-router-dom";
 import { SpeakerIcon } from "./TextToSpeech";
 
-export default function QuizDisplay({ quizData, onRetry }) {
+/**
+ * Review mode: questions are answerable (options or free text) and the server
+ * grade is revealed per question. Used by the spaced repetition review page.
+ */
+function ReviewQuestion({ question, index, selected, revealed, onSelect }) {
+  const options = question.options || [];
+  const isRevealed = !!revealed;
+
+  const optionClass = (option) => {
+    if (isRevealed && option === revealed.correctAnswer) {
+      return "bg-green-100 dark:bg-green-900/30 border-green-300 dark:border-green-700 text-green-800 dark:text-green-300 font-semibold";
+    }
+    if (isRevealed && option === selected) {
+      return "bg-red-100 dark:bg-red-900/30 border-red-300 dark:border-red-700 text-red-800 dark:text-red-300";
+    }
+    if (option === selected) {
+      return "bg-indigo-100 dark:bg-indigo-900/30 border-indigo-400 dark:border-indigo-600 text-indigo-800 dark:text-indigo-200 font-semibold";
+    }
+    return "bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:border-indigo-300";
+  };
+
+  return (
+    <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow-md border border-gray-200 dark:border-gray-700">
+      <div className="flex items-start justify-between gap-3 mb-4">
+        <p className="font-semibold text-lg text-gray-800 dark:text-gray-200 flex-1">
+          {index + 1}. {question.question}
+        </p>
+        <SpeakerIcon text={question.question} size="md" />
+      </div>
+      {options.length > 0 ? (
+        <div className="space-y-2">
+          {options.map((option, i) => (
+            <button
+              key={i}
+              type="button"
+              disabled={isRevealed}
+              onClick={() => onSelect && onSelect(index, option)}
+              className={`w-full text-left p-3 rounded-lg border transition-colors ${optionClass(option)}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <input
+          type="text"
+          value={selected || ""}
+          disabled={isRevealed}
+          onChange={(e) => onSelect && onSelect(index, e.target.value)}
+          placeholder="Type your answer"
+          className="w-full p-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200"
+        />
+      )}
+      {isRevealed && (
+        <div
+          className={`mt-4 p-4 rounded-lg ${
+            revealed.isCorrect
+              ? "bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300"
+              : "bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300"
+          }`}
+        >
+          <p className="font-semibold">
+            {revealed.isCorrect ? "Correct!" : `Answer: ${revealed.correctAnswer}`}
+          </p>
+          {revealed.explanation && (
+            <p className="mt-1 text-sm">{revealed.explanation}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Validation report for AI-generated questions: how many were valid, repaired
+ * by a re-prompt or dropped, with the reasons for each.
+ */
+function QualityReport({ quality }) {
+  const flagged = quality.items.filter(
+    (item) => item.status !== "valid" || item.warnings.length > 0
+  );
+
+  return (
+    <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow-md border border-gray-200 dark:border-gray-700">
+      <h3 className="font-semibold text-gray-800 dark:text-gray-200 mb-3">
+        Question Quality Check
+      </h3>
+      <div className="flex flex-wrap gap-2 text-sm">
+        <span className="px-3 py-1 rounded-full bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300">
+          {quality.valid} valid
+        </span>
+        {quality.repaired > 0 && (
+          <span className="px-3 py-1 rounded-full bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300">
+            {quality.repaired} repaired
+          </span>
+        )}
+        {quality.dropped > 0 && (
+          <span className="px-3 py-1 rounded-full bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300">
+            {quality.dropped} dropped
+          </span>
+        )}
+        {quality.valid + quality.repaired < quality.requested && (
+          <span className="px-3 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+            {quality.valid + quality.repaired} of {quality.requested} requested
+          </span>
+        )}
+      </div>
+      {flagged.length > 0 && (
+        <ul className="mt-4 space-y-2 text-sm">
+          {flagged.map((item) => (
+            <li key={item.index} className="text-gray-700 dark:text-gray-300">
+              <span className="font-medium">
+                #{item.index} {item.status}
+              </span>
+              {item.question && (
+                <span className="text-gray-500 dark:text-gray-400"> — {item.question}</span>
+              )}
+              {[...item.issues, ...item.warnings].length > 0 && (
+                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                  {[...item.issues, ...item.warnings].join("; ")}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function QuizDisplay({
+  quizData,
+  onRetry,
+  quality,
+  mode = "generated",
+  title,
+  subtitle,
+  selections = {},
+  revealed = {},
+  onSelect,
+  children,
+}) {
+  if (mode === "review") {
+    return (
+      <div className="space-y-8">
+        {(title || subtitle) && (
+          <div className="text-center">
+            {title && (
+              <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white">
+                {title}
+              </h2>
+            )}
+            {subtitle && (
+              <p className="mt-2 text-gray-600 dark:text-gray-400">{subtitle}</p>
+            )}
+          </div>
+        )}
+        {(quizData || []).map((question, index) => (
+          <ReviewQuestion
+            key={question.id || index}
+            question={question}
+            index={index}
+            selected={selections[index]}
+            revealed={revealed[index]}
+            onSelect={onSelect}
+          />
+        ))}
+        {children}
+      </div>
+    );
+  }
+
   if (!quizData || quizData.length === 0) {
     return (
       <div className="text-center p-8 bg-red-50 border border-red-200 rounded-lg">
@@ -78,6 +249,7 @@ export default function QuizDisplay({ quizData, onRetry }) {
           Review the questions below. You'll be able to edit them soon.
         </p>
       </div>
+      {quality && <QualityReport quality={quality} />}
       {quizData.map((question, index) => (
         <div
           key={index}
@@ -87,10 +259,17 @@ export default function QuizDisplay({ quizData, onRetry }) {
             <p className="font-semibold text-lg text-gray-800 dark:text-gray-200 flex-1">
               {index + 1}. {question.question}
             </p>
+            {quality?.items.some(
+              (item) => item.questionIndex === index && item.status === "repaired"
+            ) && (
+              <span className="px-2 py-1 text-xs rounded-full bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300">
+                Repaired
+              </span>
+            )}
             <SpeakerIcon text={question.question} size="md" />
           </div>
           <div className="space-y-2">
-            {question.options.map((option, i) => (
+            {(question.options || []).map((option, i) => (
               <div
                 key={i}
                 className={`p-3 rounded-lg border ${
@@ -0,0 +1,87 @@
+import { motion, AnimatePresence } from "framer-motion";
+import { Users, Trophy } from "lucide-react";
+
+// Team standings for team-mode live sessions. highlightTeamId marks the
+// viewer's own team.
+const TeamLeaderboard = ({
+  teamLeaderboard = [],
+  scoring = "sum",
+  highlightTeamId = null,
+  className = "",
+}) => {
+  if (teamLeaderboard.length === 0) return null;
+
+  return (
+    <div
+      className={`bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 ${className}`}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold text-gray-800 dark:text-white flex items-center gap-2">
+          <Users className="w-5 h-5 text-purple-500" />
+          Team Standings
+        </h3>
+        <span className="text-sm text-gray-600 dark:text-gray-400">
+          {scoring === "average" ? "Average per member" : "Total points"}
+        </span>
+      </div>
+
+      <div className="space-y-3">
+        <AnimatePresence mode="popLayout">
+          {teamLeaderboard.map((team) => (
+            <motion.div
+              key={team.teamId}
+              layout
+              initial={{ opacity: 0, x: -20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: 20 }}
+              transition={{ duration: 0.3 }}
+              className={`flex items-center gap-4 p-4 rounded-xl bg-gray-100 dark:bg-gray-700 border-l-8 ${
+                team.teamId === highlightTeamId ? "ring-2 ring-purple-500" : ""
+              }`}
+              style={{ borderLeftColor: team.color }}
+            >
+              <div className="w-10 h-10 rounded-full bg-gray-200 dark:bg-gray-600 flex items-center justify-center flex-shrink-0">
+                {team.rank === 1 ? (
+                  <Trophy className="w-6 h-6 text-yellow-500" />
+                ) : (
+                  <span className="text-lg font-bold text-gray-600 dark:text-gray-300">
+                    {team.rank}
+                  </span>
+                )}
+              </div>
+
+              <div className="flex-1 min-w-0">
+                <p className="font-bold truncate text-gray-800 dark:text-white">
+                  {team.name}
+                  {team.teamId === highlightTeamId && (
+                    <span className="ml-2 text-sm font-semibold text-purple-500">
+                      (your team)
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {team.memberCount}{" "}
+                  {team.memberCount === 1 ? "member" : "members"} •{" "}
+                  {Math.round(team.accuracy || 0)}% accuracy
+                </p>
+              </div>
+
+              <div className="text-right">
+                <p className="text-2xl font-bold text-purple-600 dark:text-purple-400">
+                  {team.score}
+                </p>
+                {scoring === "average" && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {team.totalScore} total
+                  </p>
+                )}
+              </div>
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+};
+
+export default TeamLeaderboard;
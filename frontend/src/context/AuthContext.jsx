@@ -40,14 +40,16 @@ import React, { createContext, useState, useEffect, useContext } from 'react';
       setLoading(false);
     }, []);
 
-    const login = (token) => {
+    const login = (token, refreshToken) => {
       localStorage.setItem('quizwise-token', token);
+      if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
       const decodedToken = jwtDecode(token);
       setUser(decodedToken.user);
     };
 
     const logout = () => {
       localStorage.removeItem('quizwise-token');
+      localStorage.removeItem('refreshToken');
       setUser(null);
     };
 
@@ -1,6 +1,7 @@
 import { createContext, useContext, useEffect, useState, useRef } from "react";
 import { io } from "socket.io-client";
 import { getSocketUrl } from "../lib/apiConfig";
+import { socketAuth, handleTokenExpiry } from "../lib/socketAuth";
 
 const SocketContext = createContext(null);
 
@@ -33,6 +34,7 @@ export const SocketProvider = ({ children }) => {
     // Create socket connection with optimized settings
     const socketInstance = io(SOCKET_URL, {
       transports: ["websocket", "polling"],
+      auth: socketAuth, // JWT verified by the server during the handshake
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
@@ -46,6 +48,7 @@ export const SocketProvider = ({ children }) => {
     });
 
     socketRef.current = socketInstance;
+    handleTokenExpiry(socketInstance);
 
     // Connection established
     socketInstance.on("connect", () => {
@@ -61,6 +64,12 @@ export const SocketProvider = ({ children }) => {
       setIsConnected(false);
       reconnectAttempts.current += 1;
 
+      // Handshake rejected by the JWT check; retrying won't help
+      if (error.data?.code === "UNAUTHORIZED") {
+        setConnectionError("Please log in to use live features.");
+        return;
+      }
+
       if (reconnectAttempts.current >= maxReconnectAttempts) {
         setConnectionError(
           "Unable to connect to server. Please check your internet connection."
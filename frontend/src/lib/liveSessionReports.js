@@ -0,0 +1,53 @@
+/**
+ * Live session reports: fetch the persisted report of an ended session and
+ * download it as CSV or XLSX (host only)
+ */
+
+const apiUrl = () => import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+const authHeaders = () => {
+  const token =
+    localStorage.getItem("quizwise-token") || localStorage.getItem("token");
+  return { Authorization: `Bearer ${token}` };
+};
+
+async function errorMessage(response, fallback) {
+  const data = await response.json().catch(() => ({}));
+  return data.message || `${fallback} (${response.status})`;
+}
+
+export async function fetchSessionReport(sessionCode) {
+  const response = await fetch(
+    `${apiUrl()}/api/live-sessions/${sessionCode}/report`,
+    { headers: authHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(await errorMessage(response, "Failed to fetch report"));
+  }
+
+  const data = await response.json();
+  return data.data?.report;
+}
+
+/**
+ * Save the report file through a temporary link
+ * @param {String} format - "csv" or "xlsx"
+ */
+export async function downloadSessionReport(sessionCode, format) {
+  const response = await fetch(
+    `${apiUrl()}/api/live-sessions/${sessionCode}/report/export?format=${format}`,
+    { headers: authHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(await errorMessage(response, "Failed to export report"));
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `live-session-${sessionCode}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,177 @@
+/**
+ * SFU session for meetings in the 'sfu' topology
+ * Sends local tracks to meeting-service's mediasoup router and receives every
+ * other participant's tracks through it (see the sfu:* socket events).
+ */
+
+import { Device } from "mediasoup-client";
+
+/**
+ * Emit a socket event and resolve with its acknowledgement
+ */
+const request = (socket, event, data = {}) =>
+  new Promise((resolve, reject) => {
+    socket.emit(event, data, (response) => {
+      if (response?.success) resolve(response);
+      else reject(new Error(response?.error || `${event} failed`));
+    });
+  });
+
+export class SfuSession {
+  /**
+   * @param {Object} socket - Meeting socket (already joined to the room)
+   * @param {Object} handlers
+   * @param {Function} handlers.onTrack - (socketId, track, { producerId, source, userId }) for each remote track
+   * @param {Function} handlers.onTrackEnded - (socketId, producerId) when a remote track goes away
+   */
+  constructor(socket, { onTrack, onTrackEnded }) {
+    this.socket = socket;
+    this.onTrack = onTrack;
+    this.onTrackEnded = onTrackEnded;
+    this.device = null;
+    this.sendTransport = null;
+    this.recvTransport = null;
+    this.producers = new Map(); // source -> Producer
+    this.consumers = new Map(); // producerId -> { consumer, socketId }
+    this.closed = false;
+
+    this.handleNewProducer = (producer) => {
+      this.consume(producer).catch((err) =>
+        console.error("[SFU] Failed to consume", producer.producerId, err)
+      );
+    };
+    this.handleProducerClosed = ({ producerId }) =>
+      this.removeConsumer(producerId);
+  }
+
+  /**
+   * Load the router's capabilities, open both transports and pick up existing producers
+   */
+  async start() {
+    const { rtpCapabilities } = await request(
+      this.socket,
+      "sfu:get-router-capabilities"
+    );
+    this.device = new Device();
+    await this.device.load({ routerRtpCapabilities: rtpCapabilities });
+
+    this.sendTransport = await this.createTransport("send");
+    this.recvTransport = await this.createTransport("recv");
+
+    this.socket.on("sfu:new-producer", this.handleNewProducer);
+    this.socket.on("sfu:producer-closed", this.handleProducerClosed);
+
+    const { producers } = await request(this.socket, "sfu:get-producers");
+    await Promise.all(producers.map((producer) => this.consume(producer)));
+  }
+
+  async createTransport(direction) {
+    const { transport: params } = await request(
+      this.socket,
+      "sfu:create-transport"
+    );
+    const transport =
+      direction === "send"
+        ? this.device.createSendTransport(params)
+        : this.device.createRecvTransport(params);
+
+    transport.on("connect", ({ dtlsParameters }, callback, errback) => {
+      request(this.socket, "sfu:connect-transport", {
+        transportId: transport.id,
+        dtlsParameters,
+      })
+        .then(() => callback())
+        .catch(errback);
+    });
+
+    if (direction === "send") {
+      transport.on(
+        "produce",
+        ({ kind, rtpParameters, appData }, callback, errback) => {
+          request(this.socket, "sfu:produce", {
+            transportId: transport.id,
+            kind,
+            rtpParameters,
+            appData,
+          })
+            .then(({ id }) => callback({ id }))
+            .catch(errback);
+        }
+      );
+    }
+
+    return transport;
+  }
+
+  /**
+   * Send a local track; source is 'camera', 'microphone' or 'screen'
+   */
+  async produce(track, source) {
+    if (this.closed || !track) return;
+    await this.stopProducing(source);
+
+    const producer = await this.sendTransport.produce({
+      track,
+      appData: { source },
+    });
+    this.producers.set(source, producer);
+  }
+
+  async stopProducing(source) {
+    const producer = this.producers.get(source);
+    if (!producer) return;
+
+    this.producers.delete(source);
+    producer.close();
+    await request(this.socket, "sfu:close-producer", {
+      producerId: producer.id,
+    }).catch(() => {});
+  }
+
+  async consume({ producerId, socketId, source, userId }) {
+    if (this.closed || this.consumers.has(producerId)) return;
+
+    const { consumer: params } = await request(this.socket, "sfu:consume", {
+      transportId: this.recvTransport.id,
+      producerId,
+      rtpCapabilities: this.device.rtpCapabilities,
+    });
+    const consumer = await this.recvTransport.consume(params);
+    this.consumers.set(producerId, { consumer, socketId });
+
+    await request(this.socket, "sfu:resume-consumer", {
+      consumerId: consumer.id,
+    });
+    this.onTrack(socketId, consumer.track, { producerId, source, userId });
+  }
+
+  removeConsumer(producerId) {
+    const entry = this.consumers.get(producerId);
+    if (!entry) return;
+
+    this.consumers.delete(producerId);
+    entry.consumer.close();
+    this.onTrackEnded(entry.socketId, producerId);
+  }
+
+  /**
+   * Release everything; the server drops this socket's transports on leave/disconnect
+   */
+  close() {
+    this.closed = true;
+    this.socket.off("sfu:new-producer", this.handleNewProducer);
+    this.socket.off("sfu:producer-closed", this.handleProducerClosed);
+
+    this.producers.forEach((producer) => {
+      producer.close();
+      request(this.socket, "sfu:close-producer", {
+        producerId: producer.id,
+      }).catch(() => {});
+    });
+    this.producers.clear();
+    this.consumers.forEach(({ consumer }) => consumer.close());
+    this.consumers.clear();
+    this.sendTransport?.close();
+    this.recvTransport?.close();
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Socket.IO authentication helpers
+ * The live, meeting and social services verify the JWT during the handshake.
+ * `auth` is a function so every (re)connect sends the current token.
+ */
+
+import { getApiUrl } from "./apiConfig";
+
+const TOKEN_KEY = "quizwise-token";
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+export const socketAuth = (cb) => cb({ token: localStorage.getItem(TOKEN_KEY) });
+
+// Shared by every socket so one expiry warning triggers a single refresh
+let pendingRefresh = null;
+
+/**
+ * Exchange the refresh token for a new access token and store it
+ * @returns {Promise<String|null>} The new access token, or null if refresh failed
+ */
+const refreshAccessToken = () => {
+  if (pendingRefresh) return pendingRefresh;
+
+  pendingRefresh = (async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) return null;
+
+    const response = await fetch(`${getApiUrl()}/api/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    if (!response.ok) return null;
+
+    const { data } = await response.json();
+    if (!data?.accessToken) return null;
+
+    localStorage.setItem(TOKEN_KEY, data.accessToken);
+    return data.accessToken;
+  })()
+    .catch((error) => {
+      console.warn("Access token refresh failed:", error);
+      return null;
+    })
+    .finally(() => {
+      pendingRefresh = null;
+    });
+
+  return pendingRefresh;
+};
+
+/**
+ * Hand the server a fresh token before the current one expires
+ */
+export const handleTokenExpiry = (socket) => {
+  socket.on("token-expiring", async () => {
+    const token = await refreshAccessToken();
+    if (!token) {
+      console.warn("Socket token refresh skipped: no fresh token available");
+      return;
+    }
+
+    socket.emit("refresh-token", { token }, (response) => {
+      if (!response?.success) {
+        console.warn("Socket token refresh failed:", response?.error);
+      }
+    });
+  });
+
+  socket.on("session-expired", ({ message } = {}) => {
+    console.warn("Socket session expired:", message);
+  });
+};
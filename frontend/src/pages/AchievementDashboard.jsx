@@ -230,6 +230,7 @@ const StatCard = ({ icon, label, value, change, color = "blue" }) => {
 export default function AchievementDashboard() {
   const { user } = useContext(AuthContext);
   const [userStats, setUserStats] = useState(null);
+  const [streak, setStreak] = useState(null);
   const [achievements, setAchievements] = useState([]);
   const [recentAchievements, setRecentAchievements] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -239,6 +240,41 @@ export default function AchievementDashboard() {
     fetchUserStats();
   }, []);
 
+  useEffect(() => {
+    const userId = user?._id || user?.id;
+    if (userId) fetchStreak(userId);
+  }, [user]);
+
+  // Day streak, counted in the browser's timezone
+  const fetchStreak = async (userId) => {
+    try {
+      const token = localStorage.getItem("quizwise-token");
+      const url = `${import.meta.env.VITE_API_URL}/api/streaks/${userId}`;
+      const response = await fetch(url, {
+        headers: { "x-auth-token": token },
+      });
+      if (!response.ok) throw new Error("Failed to fetch streak");
+
+      const data = await response.json();
+      setStreak(data.streak);
+
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      if (timezone && timezone !== data.streak.timezone) {
+        const updated = await fetch(`${url}/timezone`, {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/json",
+            "x-auth-token": token,
+          },
+          body: JSON.stringify({ timezone }),
+        });
+        if (updated.ok) setStreak((await updated.json()).streak);
+      }
+    } catch (error) {
+      console.error("Error fetching streak:", error);
+    }
+  };
+
   const fetchUserStats = async () => {
     try {
       const token = localStorage.getItem("quizwise-token");
@@ -444,7 +480,7 @@ export default function AchievementDashboard() {
           <StatCard
             icon={<Flame className="w-6 h-6 text-orange-600" />}
             label="Current Streak"
-            value={userStats?.currentStreak || 0}
+            value={streak?.currentStreak ?? userStats?.currentStreak ?? 0}
             color="orange"
           />
           <StatCard
@@ -621,8 +657,19 @@ export default function AchievementDashboard() {
                         <div className="flex items-center gap-2">
                           <Flame className="w-5 h-5 text-orange-500" />
                           <span className="text-xl font-black text-orange-600">
-                            {userStats?.currentStreak || 0} days
+                            {streak?.currentStreak ??
+                              userStats?.currentStreak ??
+                              0}{" "}
+                            days
                           </span>
+                          {streak?.streakFreezes > 0 && (
+                            <span
+                              className="text-sm font-bold text-sky-600"
+                              title="Streak freezes: each covers a missed day"
+                            >
+                              🧊 {streak.streakFreezes}
+                            </span>
+                          )}
                         </div>
                       </div>
                     </div>
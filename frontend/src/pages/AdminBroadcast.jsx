@@ -100,6 +100,28 @@ const AdminBroadcast = () => {
     }
   };
 
+  const cancelBroadcast = async (broadcastId) => {
+    if (!window.confirm('Cancel this broadcast? Recipients will no longer see it.')) return;
+
+    try {
+      const token = localStorage.getItem('quizwise-token');
+      const response = await fetch(`${import.meta.env.VITE_API_URL}/api/broadcasts/${broadcastId}`, {
+        method: 'DELETE',
+        headers: { 'x-auth-token': token }
+      });
+
+      if (response.ok) {
+        fetchBroadcasts();
+      } else {
+        const error = await response.json();
+        alert(error.message || 'Failed to cancel broadcast');
+      }
+    } catch (error) {
+      console.error('Error cancelling broadcast:', error);
+      alert('Failed to cancel broadcast');
+    }
+  };
+
   const handleTargetAudienceChange = (role) => {
     const currentRoles = formData.targetAudience.roles || [];
     const updatedRoles = currentRoles.includes(role)
@@ -364,16 +386,29 @@ const AdminBroadcast = () => {
                         <div className="flex items-center gap-4 text-sm text-gray-500">
                           <span className="flex items-center gap-1">
                             <Users className="w-4 h-4" />
-                            {broadcast.targetAudience?.roles?.join(', ') || 'All users'}
+                            {broadcast.targetAudience?.scope === 'class'
+                              ? broadcast.targetAudience.className || 'Class'
+                              : broadcast.targetAudience?.roles?.join(', ') || 'All users'}
                           </span>
                           <span className="flex items-center gap-1">
                             <Clock className="w-4 h-4" />
-                            {new Date(broadcast.createdAt).toLocaleString()}
+                            {broadcast.status === 'scheduled'
+                              ? `Scheduled for ${new Date(broadcast.scheduledFor).toLocaleString()}`
+                              : new Date(broadcast.sentAt || broadcast.createdAt).toLocaleString()}
                           </span>
                           <span className="flex items-center gap-1">
                             <Eye className="w-4 h-4" />
-                            {broadcast.readBy?.length || 0} read
+                            {broadcast.stats?.read || 0}/{broadcast.stats?.recipients || 0} read
+                          </span>
+                          <span className="flex items-center gap-1">
+                            <Trash2 className="w-4 h-4" />
+                            {broadcast.stats?.dismissed || 0} dismissed
                           </span>
+                          {broadcast.status !== 'sent' && (
+                            <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs">
+                              {broadcast.status}
+                            </span>
+                          )}
                         </div>
                       </div>
                       
@@ -381,7 +416,11 @@ const AdminBroadcast = () => {
                         <button className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg">
                           <Edit className="w-4 h-4" />
                         </button>
-                        <button className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg">
+                        <button
+                          onClick={() => cancelBroadcast(broadcast._id)}
+                          disabled={!['scheduled', 'sent'].includes(broadcast.status)}
+                          className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-40"
+                        >
                           <Trash2 className="w-4 h-4" />
                         </button>
                       </div>
@@ -12,12 +12,17 @@ import {
   User,
   X,
   Check,
+  TrendingUp,
+  TrendingDown,
+  Bot,
 } from "lucide-react";
 import LoadingSpinner from "../components/LoadingSpinner";
 import Confetti from "react-confetti";
 
 const DuelBattle = () => {
-  const { quizId } = useParams();
+  // Ranked duels queue by category; /duel/:quizId queues in the quiz's category.
+  // /duel/match/:duelMatchId joins a tournament match scheduled for the player.
+  const { quizId, category, duelMatchId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
   const { socket, isConnected } = useSocket();
@@ -54,6 +59,14 @@ const DuelBattle = () => {
   const [role, setRole] = useState(null); // player1 or player2
   const [opponent, setOpponent] = useState(null);
   const [quiz, setQuiz] = useState(null);
+  const [duelCategory, setDuelCategory] = useState(category || null);
+  const [myRating, setMyRating] = useState(null);
+  const [ratingChange, setRatingChange] = useState(null);
+  const [isPractice, setIsPractice] = useState(false); // Against the practice bot
+  const [botAfterMs, setBotAfterMs] = useState(null);
+  const [tournament, setTournament] = useState(null); // { id, name, ... } for tournament matches
+  const [joinDeadline, setJoinDeadline] = useState(null);
+  const exitPathRef = useRef("/duel"); // Where to go when the match is over or called off
 
   const [currentQuestion, setCurrentQuestion] = useState(null);
   const [questionIndex, setQuestionIndex] = useState(0);
@@ -103,6 +116,9 @@ const DuelBattle = () => {
       // CRITICAL: Update matchId from the event data
       setMatchId(data.matchId);
       setQuiz(data.quiz);
+      if (data.category) setDuelCategory(data.category);
+      setIsPractice(!!data.bot);
+      if (data.tournament) setTournament(data.tournament);
 
       const userId = user?._id || user?.id || user?.userId;
 
@@ -113,10 +129,12 @@ const DuelBattle = () => {
       ) {
         setRole("player1");
         setOpponent(data.opponent.player2);
+        setMyRating(data.opponent.player1.rating ?? null);
         console.log("✅ I am Player 1, opponent is Player 2");
       } else {
         setRole("player2");
         setOpponent(data.opponent.player1);
+        setMyRating(data.opponent.player2.rating ?? null);
         console.log("✅ I am Player 2, opponent is Player 1");
       }
 
@@ -227,6 +245,7 @@ const DuelBattle = () => {
         time: oppData.totalTime || 0,
       });
       setWinner(data.winner);
+      setRatingChange(data.ratingChanges?.[userId] || null);
       setMatchState("ended");
 
       console.log(
@@ -251,15 +270,25 @@ const DuelBattle = () => {
 
     socket.on("opponent-disconnected", (data) => {
       console.log("🚪 Opponent disconnected");
+      const userId = user?._id || user?.id || user?.userId;
       setWinner(data.winner);
+      setRatingChange(data.ratingChanges?.[userId] || null);
       setMatchState("ended");
-
-      const userId = user?._id || user?.id || user?.userId;
       if (data.winner === userId) {
         setShowConfetti(true);
       }
     });
 
+    // Matchmaking gave up, or the match was called off before it started
+    const handleMatchCancelled = (data) => {
+      console.log("🚫 Duel search ended:", data.message);
+      alert(data.message);
+      navigate(exitPathRef.current);
+    };
+    socket.on("matchmaking-timeout", handleMatchCancelled);
+    socket.on("matchmaking-failed", handleMatchCancelled);
+    socket.on("duel-cancelled", handleMatchCancelled);
+
     return () => {
       console.log("🧹 Cleaning up duel socket listeners");
       socket.off("disconnect", handleDisconnect);
@@ -271,6 +300,9 @@ const DuelBattle = () => {
       socket.off("duel-score-update");
       socket.off("duel-ended");
       socket.off("opponent-disconnected");
+      socket.off("matchmaking-timeout", handleMatchCancelled);
+      socket.off("matchmaking-failed", handleMatchCancelled);
+      socket.off("duel-cancelled", handleMatchCancelled);
     };
   }, [socket, user, navigate]);
 
@@ -279,7 +311,13 @@ const DuelBattle = () => {
   const matchRequestedRef = useRef(false);
 
   useEffect(() => {
-    if (!socket || !isConnected || !user || !quizId) return;
+    if (
+      !socket ||
+      !isConnected ||
+      !user ||
+      !(quizId || category || duelMatchId)
+    )
+      return;
 
     // Prevent duplicate match requests (React Strict Mode causes double mount)
     if (matchRequestedRef.current || matchId) {
@@ -305,9 +343,32 @@ const DuelBattle = () => {
     // Mark as requested to prevent duplicates
     matchRequestedRef.current = true;
 
+    if (duelMatchId) {
+      socket.emit(
+        "join-tournament-match",
+        { matchId: duelMatchId },
+        (response) => {
+          if (response.success) {
+            // "match-found" arrives once both players have joined
+            exitPathRef.current = `/tournaments/${response.tournament.id}`;
+            setMatchId(response.matchId);
+            setTournament(response.tournament);
+            setJoinDeadline(response.deadline || null);
+          } else {
+            console.error("❌ Failed to join match:", response.error);
+            alert("Failed to join match: " + response.error);
+            matchRequestedRef.current = false;
+            navigate("/tournaments");
+          }
+        }
+      );
+      return;
+    }
+
     socket.emit(
       "find-duel-match",
       {
+        category,
         quizId,
         userId,
         username: user.name,
@@ -315,17 +376,13 @@ const DuelBattle = () => {
       },
       (response) => {
         if (response.success) {
-          setMatchId(response.matchId);
-          setRole(response.role);
-
-          if (response.waiting) {
-            setMatchState("waiting");
-            console.log("⏳ Waiting for opponent... (no opponent yet)");
-          } else {
-            // Only set to matched if we got opponent info
-            setMatchState("matched");
-            console.log("✅ Opponent found! Moving to ready state");
-          }
+          // Queued; "match-found" arrives once an opponent is paired
+          setDuelCategory(response.category);
+          setMyRating(response.rating.rating);
+          setBotAfterMs(response.botAfterMs);
+          console.log(
+            `⏳ Queued for ${response.category} at ${response.rating.rating}`
+          );
         } else {
           console.error("❌ Failed to find match:", response.error);
           alert("Failed to find match: " + response.error);
@@ -334,7 +391,16 @@ const DuelBattle = () => {
         }
       }
     );
-  }, [socket, isConnected, user, quizId, navigate, matchId]);
+  }, [
+    socket,
+    isConnected,
+    user,
+    quizId,
+    category,
+    duelMatchId,
+    navigate,
+    matchId,
+  ]);
 
   // Cleanup on unmount - cancel pending matches
   // Use ref to capture current values to avoid stale closures
@@ -346,21 +412,29 @@ const DuelBattle = () => {
     matchIdRef.current = matchId;
   }, [matchState, matchId]);
 
+  const isMountedRef = useRef(false);
+
   useEffect(() => {
+    isMountedRef.current = true;
     return () => {
+      isMountedRef.current = false;
       // Only cancel if we're truly unmounting (not React Strict Mode remount)
       // Check after a small delay to distinguish unmount from remount
       setTimeout(() => {
+        if (isMountedRef.current) return;
+
         const currentMatchId = matchIdRef.current;
         const currentState = matchStateRef.current;
 
+        // Leave the queue, or call off a match that hasn't started.
+        // Tournament matches stay on; a player who never shows forfeits.
         if (
-          currentMatchId &&
-          (currentState === "waiting" || currentState === "searching")
+          !duelMatchId &&
+          ["searching", "waiting", "ready", "matched"].includes(currentState)
         ) {
           console.log(
             "🧹 Component unmounting - canceling match:",
-            currentMatchId
+            currentMatchId || "(queued)"
           );
           socket?.emit("cancel-duel", { matchId: currentMatchId });
         }
@@ -460,10 +534,8 @@ const DuelBattle = () => {
   };
 
   const cancelMatch = () => {
-    if (matchId) {
-      socket.emit("cancel-duel", { matchId });
-    }
-    navigate("/duel");
+    if (!duelMatchId) socket?.emit("cancel-duel", { matchId });
+    navigate(exitPathRef.current);
   };
 
   // Searching state
@@ -479,12 +551,32 @@ const DuelBattle = () => {
             <Swords className="w-10 h-10 text-white" />
           </div>
           <h2 className="text-2xl font-bold text-gray-800 dark:text-white mb-2">
-            Searching for Opponent...
+            {duelMatchId
+              ? "Waiting for your opponent to join..."
+              : "Searching for Opponent..."}
           </h2>
-          <p className="text-gray-600 dark:text-gray-300 mb-6">
-            Finding a worthy challenger...
+          <p className="text-gray-600 dark:text-gray-300 mb-2">
+            {tournament ? tournament.name : "Finding a worthy challenger..."}
           </p>
-          <div className="flex items-center justify-center gap-2">
+          {joinDeadline && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-6">
+              A player who hasn't joined by{" "}
+              {new Date(joinDeadline).toLocaleTimeString()} forfeits.
+            </p>
+          )}
+          {duelCategory && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+              {duelCategory}
+              {myRating !== null && ` • Your rating: ${myRating}`}
+            </p>
+          )}
+          {botAfterMs && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-6">
+              No one around? A practice bot steps in after{" "}
+              {Math.round(botAfterMs / 1000)}s.
+            </p>
+          )}
+          <div className="flex items-center justify-center gap-2 mb-6">
             <div
               className="w-3 h-3 bg-red-500 rounded-full animate-bounce"
               style={{ animationDelay: "0ms" }}
@@ -498,6 +590,12 @@ const DuelBattle = () => {
               style={{ animationDelay: "300ms" }}
             ></div>
           </div>
+          <button
+            onClick={cancelMatch}
+            className="px-6 py-3 bg-gray-500 hover:bg-gray-600 text-white rounded-xl font-bold transition"
+          >
+            Cancel
+          </button>
         </motion.div>
       </div>
     );
@@ -547,6 +645,23 @@ const DuelBattle = () => {
               Opponent Found!
             </h2>
             <p className="text-gray-600 dark:text-gray-300">{quiz?.title}</p>
+            {duelCategory && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {tournament
+                  ? `Tournament: ${tournament.name}`
+                  : isPractice
+                  ? "Practice"
+                  : "Ranked"}{" "}
+                • {duelCategory}
+              </p>
+            )}
+            {isPractice && (
+              <p className="mt-3 inline-flex items-center gap-2 px-3 py-1 rounded-full bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 text-sm font-semibold">
+                <Bot className="w-4 h-4" />
+                No opponent was free, so you're playing a bot. This match is not
+                rated.
+              </p>
+            )}
           </div>
 
           <div className="grid grid-cols-3 gap-4 mb-8">
@@ -556,6 +671,11 @@ const DuelBattle = () => {
                 {user.name}
               </p>
               <p className="text-sm text-gray-600 dark:text-gray-400">You</p>
+              {myRating !== null && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Rating {myRating}
+                </p>
+              )}
             </div>
 
             <div className="flex items-center justify-center">
@@ -563,13 +683,22 @@ const DuelBattle = () => {
             </div>
 
             <div className="bg-gradient-to-br from-red-100 to-orange-100 dark:from-red-900/30 dark:to-orange-900/30 rounded-xl p-4 text-center">
-              <User className="w-8 h-8 text-red-600 dark:text-red-400 mx-auto mb-2" />
+              {isPractice ? (
+                <Bot className="w-8 h-8 text-red-600 dark:text-red-400 mx-auto mb-2" />
+              ) : (
+                <User className="w-8 h-8 text-red-600 dark:text-red-400 mx-auto mb-2" />
+              )}
               <p className="font-bold text-gray-800 dark:text-white">
                 {opponent?.username || "Opponent"}
               </p>
               <p className="text-sm text-gray-600 dark:text-gray-400">
                 Opponent
               </p>
+              {opponent?.rating !== undefined && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Rating {opponent.rating}
+                </p>
+              )}
             </div>
           </div>
 
@@ -628,7 +757,9 @@ const DuelBattle = () => {
             </div>
 
             <div className="bg-red-500 text-white rounded-xl p-4 text-center">
-              <p className="text-sm mb-1">Opponent</p>
+              <p className="text-sm mb-1">
+                {isPractice ? opponent?.username : "Opponent"}
+              </p>
               <p className="text-2xl font-bold">{opponentScore.score}</p>
               <p className="text-xs opacity-80">
                 {opponentScore.correct} correct
@@ -733,6 +864,42 @@ const DuelBattle = () => {
                 : "Your opponent won this round"}
             </p>
 
+            {isPractice && (
+              <p className="flex items-center justify-center gap-2 mb-8 text-sm text-gray-500 dark:text-gray-400">
+                <Bot className="w-4 h-4" />
+                Practice match against {opponent?.username || "a bot"} • rating
+                unchanged
+              </p>
+            )}
+
+            {ratingChange && (
+              <div className="flex items-center justify-center gap-3 mb-8 p-4 rounded-xl bg-gray-50 dark:bg-gray-700">
+                {ratingChange.change >= 0 ? (
+                  <TrendingUp className="w-6 h-6 text-green-500" />
+                ) : (
+                  <TrendingDown className="w-6 h-6 text-red-500" />
+                )}
+                <div className="text-left">
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {ratingChange.category} rating
+                  </p>
+                  <p className="text-xl font-bold text-gray-800 dark:text-white">
+                    {ratingChange.before} → {ratingChange.after}{" "}
+                    <span
+                      className={
+                        ratingChange.change >= 0
+                          ? "text-green-500"
+                          : "text-red-500"
+                      }
+                    >
+                      ({ratingChange.change >= 0 ? "+" : ""}
+                      {ratingChange.change})
+                    </span>
+                  </p>
+                </div>
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-6 mb-8">
               <div
                 className={`p-6 rounded-xl ${
@@ -779,10 +946,10 @@ const DuelBattle = () => {
 
             <div className="flex gap-4">
               <button
-                onClick={() => navigate("/duel")}
+                onClick={() => navigate(exitPathRef.current)}
                 className="flex-1 px-6 py-3 bg-gradient-to-r from-red-500 to-orange-500 hover:from-red-600 hover:to-orange-600 text-white rounded-xl font-bold transition"
               >
-                Play Again
+                {tournament ? "Back to Bracket" : "Play Again"}
               </button>
               <button
                 onClick={() => navigate("/dashboard")}
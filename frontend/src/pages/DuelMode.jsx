@@ -3,7 +3,15 @@ import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { useSocket } from "../context/SocketContext";
 import { motion } from "framer-motion";
-import { Swords, Trophy, Zap, Clock, Target, ArrowLeft } from "lucide-react";
+import {
+  Swords,
+  Trophy,
+  Zap,
+  BookOpen,
+  Target,
+  ArrowLeft,
+  TrendingUp,
+} from "lucide-react";
 import LoadingSpinner from "../components/LoadingSpinner";
 
 const DuelMode = () => {
@@ -11,6 +19,7 @@ const DuelMode = () => {
   const { user } = useAuth();
   const { socket, isConnected } = useSocket();
   const [quizzes, setQuizzes] = useState([]);
+  const [ratings, setRatings] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -26,18 +35,27 @@ const DuelMode = () => {
           return;
         }
 
-        const response = await fetch(
-          `${
-            import.meta.env.VITE_API_URL || "http://localhost:3001"
-          }/api/quizzes`,
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          }
-        );
+        const apiUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
+        const headers = { Authorization: `Bearer ${token}` };
+        const [response, ratingsResponse] = await Promise.all([
+          fetch(`${apiUrl}/api/quizzes?limit=100`, { headers }),
+          fetch(`${apiUrl}/api/duel-ratings/me`, { headers }),
+        ]);
 
         if (!response.ok) throw new Error("Failed to fetch quizzes");
+
+        // Ratings are optional; unrated categories start at 1500
+        if (ratingsResponse.ok) {
+          const ratingsResult = await ratingsResponse.json();
+          setRatings(
+            Object.fromEntries(
+              (ratingsResult.data?.ratings || []).map((rating) => [
+                rating.category,
+                rating,
+              ])
+            )
+          );
+        }
         const result = await response.json();
         
         // Handle wrapped response format
@@ -58,8 +76,21 @@ const DuelMode = () => {
     fetchQuizzes();
   }, []);
 
-  const startDuel = (quizId) => {
-    navigate(`/duel/${quizId}`);
+  // Ranked duels are played per category; the server picks the quiz
+  const categories = Object.values(
+    quizzes.reduce((groups, quiz) => {
+      const name = quiz.category || "General";
+      groups[name] = groups[name] || { name, quizCount: 0, difficulties: [] };
+      groups[name].quizCount += 1;
+      if (!groups[name].difficulties.includes(quiz.difficulty)) {
+        groups[name].difficulties.push(quiz.difficulty);
+      }
+      return groups;
+    }, {})
+  ).sort((a, b) => b.quizCount - a.quizCount);
+
+  const startDuel = (category) => {
+    navigate(`/duel/ranked/${encodeURIComponent(category)}`);
   };
 
   if (!user) {
@@ -128,20 +159,28 @@ const DuelMode = () => {
               <div className="bg-gradient-to-br from-yellow-100 to-orange-100 dark:from-yellow-900/30 dark:to-orange-900/30 rounded-xl p-4">
                 <Trophy className="w-8 h-8 text-yellow-600 dark:text-yellow-400 mx-auto mb-2" />
                 <p className="font-semibold text-gray-800 dark:text-white">
-                  Live Matchmaking
+                  Ranked Matchmaking
                 </p>
                 <p className="text-sm text-gray-600 dark:text-gray-400">
-                  Auto-matched with available players
+                  Matched with players near your rating
                 </p>
               </div>
             </div>
+
+            <button
+              onClick={() => navigate("/tournaments")}
+              className="mt-6 px-6 py-3 bg-gradient-to-r from-yellow-500 to-orange-500 hover:from-yellow-600 hover:to-orange-600 text-white rounded-xl font-bold inline-flex items-center gap-2 transition shadow-lg"
+            >
+              <Trophy className="w-5 h-5" />
+              Tournaments
+            </button>
           </div>
         </div>
 
-        {/* Quiz Selection */}
+        {/* Category Selection */}
         <div className="mb-8">
           <h2 className="text-2xl font-bold text-gray-800 dark:text-white mb-4">
-            Choose Your Quiz
+            Choose Your Category
           </h2>
 
           {error && (
@@ -151,50 +190,69 @@ const DuelMode = () => {
           )}
 
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {quizzes.map((quiz) => (
-              <motion.div
-                key={quiz._id}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                whileHover={{ y: -5 }}
-                className="bg-white dark:bg-gray-800 rounded-xl shadow-lg hover:shadow-2xl transition p-6"
-              >
-                <div className="flex items-start justify-between mb-3">
-                  <h3 className="text-lg font-bold text-gray-800 dark:text-white line-clamp-2">
-                    {quiz.title}
-                  </h3>
-                  <div className="flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400">
-                    <Clock className="w-4 h-4" />
-                    <span>{quiz.questions.length}Q</span>
+            {categories.map((category) => {
+              const rating = ratings[category.name];
+              return (
+                <motion.div
+                  key={category.name}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  whileHover={{ y: -5 }}
+                  className="bg-white dark:bg-gray-800 rounded-xl shadow-lg hover:shadow-2xl transition p-6"
+                >
+                  <div className="flex items-start justify-between mb-3">
+                    <h3 className="text-lg font-bold text-gray-800 dark:text-white line-clamp-2">
+                      {category.name}
+                    </h3>
+                    <div className="flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400">
+                      <BookOpen className="w-4 h-4" />
+                      <span>
+                        {category.quizCount}{" "}
+                        {category.quizCount === 1 ? "quiz" : "quizzes"}
+                      </span>
+                    </div>
                   </div>
-                </div>
 
-                <p className="text-sm text-gray-600 dark:text-gray-400 mb-4 line-clamp-2">
-                  {quiz.description || "No description available"}
-                </p>
+                  <div className="flex items-center gap-2 mb-4 text-sm text-gray-600 dark:text-gray-400">
+                    <TrendingUp className="w-4 h-4 text-purple-500" />
+                    {rating ? (
+                      <span>
+                        Rating{" "}
+                        <span className="font-bold text-gray-800 dark:text-white">
+                          {rating.rating}
+                        </span>{" "}
+                        • {rating.wins}W {rating.losses}L {rating.draws}D
+                      </span>
+                    ) : (
+                      <span>Unrated (starts at 1500)</span>
+                    )}
+                  </div>
 
-                <div className="flex items-center gap-2 mb-4">
-                  <span className="px-3 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 rounded-full text-xs font-semibold">
-                    {quiz.category}
-                  </span>
-                  <span className="px-3 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded-full text-xs font-semibold">
-                    {quiz.difficulty}
-                  </span>
-                </div>
-
-                <button
-                  onClick={() => startDuel(quiz._id)}
-                  disabled={!isConnected}
-                  className="w-full px-4 py-3 bg-gradient-to-r from-red-500 to-orange-500 hover:from-red-600 hover:to-orange-600 disabled:from-gray-400 disabled:to-gray-500 text-white rounded-xl font-bold flex items-center justify-center gap-2 transition shadow-lg hover:shadow-xl disabled:cursor-not-allowed"
-                >
-                  <Swords className="w-5 h-5" />
-                  {isConnected ? "Find Opponent" : "Connecting..."}
-                </button>
-              </motion.div>
-            ))}
+                  <div className="flex flex-wrap items-center gap-2 mb-4">
+                    {category.difficulties.map((difficulty) => (
+                      <span
+                        key={difficulty}
+                        className="px-3 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded-full text-xs font-semibold"
+                      >
+                        {difficulty}
+                      </span>
+                    ))}
+                  </div>
+
+                  <button
+                    onClick={() => startDuel(category.name)}
+                    disabled={!isConnected}
+                    className="w-full px-4 py-3 bg-gradient-to-r from-red-500 to-orange-500 hover:from-red-600 hover:to-orange-600 disabled:from-gray-400 disabled:to-gray-500 text-white rounded-xl font-bold flex items-center justify-center gap-2 transition shadow-lg hover:shadow-xl disabled:cursor-not-allowed"
+                  >
+                    <Swords className="w-5 h-5" />
+                    {isConnected ? "Find Ranked Match" : "Connecting..."}
+                  </button>
+                </motion.div>
+              );
+            })}
           </div>
 
-          {quizzes.length === 0 && !loading && (
+          {categories.length === 0 && !loading && (
             <div className="text-center py-12">
               <p className="text-gray-600 dark:text-gray-400">
                 No quizzes available for duels
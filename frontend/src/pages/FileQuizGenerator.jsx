@@ -117,6 +117,7 @@ export default function FileQuizGenerator() {
   const [isDragOver, setIsDragOver] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [generatedQuiz, setGeneratedQuiz] = useState(null);
+  const [quality, setQuality] = useState(null);
   const [error, setError] = useState("");
 
   // Fetch adaptive difficulty recommendation
@@ -173,6 +174,7 @@ export default function FileQuizGenerator() {
     if (!file) return;
     setIsLoading(true);
     setGeneratedQuiz(null);
+    setQuality(null);
     setError("");
 
     const token = localStorage.getItem("quizwise-token");
@@ -207,6 +209,7 @@ export default function FileQuizGenerator() {
       // Direct synchronous response
       if (data.quiz?.questions) {
         setGeneratedQuiz(data.quiz.questions);
+        setQuality(data.quality || null);
         if (data.adaptiveInfo) {
           setAdaptiveInfo(data.adaptiveInfo);
         }
@@ -264,6 +267,7 @@ export default function FileQuizGenerator() {
           
           if (questions && Array.isArray(questions) && questions.length > 0) {
             setGeneratedQuiz(questions);
+            setQuality(jobData.result.quality || null);
             setIsLoading(false);
             return;
           } else {
@@ -292,6 +296,7 @@ export default function FileQuizGenerator() {
 
   const handleRetry = () => {
     setGeneratedQuiz(null);
+    setQuality(null);
     setFile(null);
     setError("");
   };
@@ -306,7 +311,13 @@ export default function FileQuizGenerator() {
 
   if (isLoading) return <LoadingSpinner />;
   if (generatedQuiz)
-    return <QuizDisplay quizData={generatedQuiz} onRetry={handleRetry} />;
+    return (
+      <QuizDisplay
+        quizData={generatedQuiz}
+        quality={quality}
+        onRetry={handleRetry}
+      />
+    );
 
   return (
     <motion.div
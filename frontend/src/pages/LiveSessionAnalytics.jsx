@@ -2,7 +2,8 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, LineChart, Line } from 'recharts';
-import { ArrowLeft, Users, Clock, Trophy, Target, TrendingUp, CheckCircle, XCircle, Award } from 'lucide-react';
+import { ArrowLeft, Users, Clock, Trophy, Target, TrendingUp, CheckCircle, XCircle, Award, Download, ListChecks } from 'lucide-react';
+import { fetchSessionReport, downloadSessionReport } from '../lib/liveSessionReports';
 
 const LiveSessionAnalytics = () => {
   const { sessionCode } = useParams();
@@ -10,22 +11,13 @@ const LiveSessionAnalytics = () => {
   const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(null);
 
   useEffect(() => {
     const fetchAnalytics = async () => {
       try {
-        const response = await fetch(
-          `${import.meta.env.VITE_API_URL || 'http://localhost:3001'}/api/live-sessions/${sessionCode}/analytics`,
-          {
-            headers: {
-              'x-auth-token': localStorage.getItem('token'),
-            },
-          }
-        );
-
-        if (!response.ok) throw new Error('Failed to fetch analytics');
-        const data = await response.json();
-        setAnalytics(data);
+        // Persisted when the session ended, so it survives the live data
+        setAnalytics(await fetchSessionReport(sessionCode));
       } catch (err) {
         setError(err.message);
       } finally {
@@ -63,28 +55,43 @@ const LiveSessionAnalytics = () => {
   }
 
   // Calculate derived metrics
-  const totalParticipants = analytics.totalParticipants || 0;
+  const { summary } = analytics;
+  const totalParticipants = summary.totalParticipants || 0;
   const completionRate = totalParticipants > 0
-    ? ((analytics.completedParticipants / totalParticipants) * 100).toFixed(1)
+    ? ((summary.completedParticipants / totalParticipants) * 100).toFixed(1)
     : 0;
   
-  const avgScore = analytics.averageScore || 0;
-  const avgTime = analytics.averageTimePerQuestion || 0;
+  const avgScore = summary.averageScore || 0;
+  const avgTime = summary.averageTimePerQuestion || 0;
 
   // Prepare chart data
-  const questionPerformance = analytics.questionStats?.map((q, index) => ({
-    question: `Q${index + 1}`,
-    correctRate: ((q.correctAnswers / q.totalAnswers) * 100).toFixed(1),
-    avgTime: q.averageTime.toFixed(1),
-  })) || [];
+  const questionPerformance = analytics.questions.map((q) => ({
+    question: `Q${q.questionIndex + 1}`,
+    correctRate: q.correctRate,
+    avgTime: q.averageTime,
+  }));
 
-  const scoreDistribution = [
-    { range: '0-25%', count: analytics.scoreRanges?.low || 0 },
-    { range: '26-50%', count: analytics.scoreRanges?.mediumLow || 0 },
-    { range: '51-75%', count: analytics.scoreRanges?.mediumHigh || 0 },
-    { range: '76-100%', count: analytics.scoreRanges?.high || 0 },
+  const accuracyDistribution = [
+    { range: '0-25%', count: summary.accuracyRanges?.low || 0 },
+    { range: '26-50%', count: summary.accuracyRanges?.mediumLow || 0 },
+    { range: '51-75%', count: summary.accuracyRanges?.mediumHigh || 0 },
+    { range: '76-100%', count: summary.accuracyRanges?.high || 0 },
   ];
 
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      await downloadSessionReport(sessionCode, format);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const formatAnswer = (answer) =>
+    Array.isArray(answer) ? answer.join(', ') : String(answer ?? '');
+
   const COLORS = ['#ef4444', '#f59e0b', '#3b82f6', '#10b981'];
 
   return (
@@ -104,15 +111,32 @@ const LiveSessionAnalytics = () => {
             animate={{ opacity: 1, y: 0 }}
             className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6"
           >
-            <h1 className="text-3xl font-bold text-gray-800 dark:text-white mb-2">
-              Session Analytics
-            </h1>
-            <div className="flex items-center gap-4 text-gray-600 dark:text-gray-400">
-              <span className="font-mono text-lg">{sessionCode}</span>
-              <span>•</span>
-              <span>{analytics.quizTitle}</span>
-              <span>•</span>
-              <span>{new Date(analytics.createdAt).toLocaleDateString()}</span>
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+              <div>
+                <h1 className="text-3xl font-bold text-gray-800 dark:text-white mb-2">
+                  Session Analytics
+                </h1>
+                <div className="flex items-center gap-4 text-gray-600 dark:text-gray-400">
+                  <span className="font-mono text-lg">{sessionCode}</span>
+                  <span>•</span>
+                  <span>{analytics.quizTitle}</span>
+                  <span>•</span>
+                  <span>{new Date(analytics.endedAt).toLocaleDateString()}</span>
+                </div>
+              </div>
+              <div className="flex gap-2">
+                {['csv', 'xlsx'].map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    disabled={exporting === format}
+                    className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:bg-gray-400 transition flex items-center gap-2"
+                  >
+                    <Download className="w-4 h-4" />
+                    {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
             </div>
           </motion.div>
         </div>
@@ -211,12 +235,12 @@ const LiveSessionAnalytics = () => {
           >
             <h3 className="text-xl font-bold text-gray-800 dark:text-white mb-4 flex items-center gap-2">
               <TrendingUp className="w-6 h-6 text-purple-500" />
-              Score Distribution
+              Accuracy Distribution
             </h3>
             <ResponsiveContainer width="100%" height={300}>
               <PieChart>
                 <Pie
-                  data={scoreDistribution}
+                  data={accuracyDistribution}
                   cx="50%"
                   cy="50%"
                   labelLine={false}
@@ -225,7 +249,7 @@ const LiveSessionAnalytics = () => {
                   fill="#8884d8"
                   dataKey="count"
                 >
-                  {scoreDistribution.map((entry, index) => (
+                  {accuracyDistribution.map((entry, index) => (
                     <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
                   ))}
                 </Pie>
@@ -236,19 +260,19 @@ const LiveSessionAnalytics = () => {
         </div>
 
         {/* Top Performers */}
-        {analytics.topPerformers && analytics.topPerformers.length > 0 && (
+        {analytics.participants.length > 0 && (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ delay: 0.7 }}
-            className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6"
+            className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-8"
           >
             <h3 className="text-xl font-bold text-gray-800 dark:text-white mb-4 flex items-center gap-2">
               <Award className="w-6 h-6 text-yellow-500" />
               Top Performers
             </h3>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              {analytics.topPerformers.slice(0, 3).map((performer, index) => (
+              {analytics.participants.slice(0, 3).map((performer, index) => (
                 <div
                   key={index}
                   className={`p-4 rounded-xl border-2 ${
@@ -264,20 +288,121 @@ const LiveSessionAnalytics = () => {
                       {index === 0 ? '🥇' : index === 1 ? '🥈' : '🥉'}
                     </div>
                     <div>
-                      <p className="font-bold text-gray-800 dark:text-white">{performer.username}</p>
+                      <p className="font-bold text-gray-800 dark:text-white">{performer.userName}</p>
                       <p className="text-sm text-gray-600 dark:text-gray-400">
                         {performer.score.toFixed(1)} points
                       </p>
                     </div>
                   </div>
                   <p className="text-xs text-gray-500 dark:text-gray-400">
-                    {performer.correctAnswers}/{analytics.totalQuestions} correct
+                    {performer.correctAnswers}/{summary.questionsPlayed} correct
                   </p>
                 </div>
               ))}
             </div>
           </motion.div>
         )}
+
+        {/* Per-question answer breakdown */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.8 }}
+          className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-8"
+        >
+          <h3 className="text-xl font-bold text-gray-800 dark:text-white mb-4 flex items-center gap-2">
+            <ListChecks className="w-6 h-6 text-green-500" />
+            Answers per Question
+          </h3>
+          <div className="space-y-6">
+            {analytics.questions.map((q) => (
+              <div key={q.questionIndex} className="border-b border-gray-200 dark:border-gray-700 pb-4 last:border-0">
+                <div className="flex flex-col md:flex-row md:items-start justify-between gap-2 mb-3">
+                  <p className="font-medium text-gray-800 dark:text-white">
+                    Q{q.questionIndex + 1}. {q.text}
+                  </p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {q.correctRate}% correct • avg {q.averageTime}s • median {q.medianTime}s • fastest {q.fastestTime}s
+                  </p>
+                </div>
+                <div className="space-y-2">
+                  {q.distribution.map((entry) => (
+                    <div key={entry.answer} className="flex items-center gap-3 text-sm">
+                      <span
+                        className={`w-40 truncate ${
+                          entry.isCorrect ? 'font-semibold text-green-600 dark:text-green-400' : 'text-gray-700 dark:text-gray-300'
+                        }`}
+                        title={entry.answer}
+                      >
+                        {entry.answer}
+                      </span>
+                      <div className="flex-1 h-3 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                          className={`h-full ${entry.isCorrect ? 'bg-green-500' : 'bg-red-400'}`}
+                          style={{ width: `${entry.percentage}%` }}
+                        />
+                      </div>
+                      <span className="w-20 text-right text-gray-600 dark:text-gray-400">
+                        {entry.count} ({entry.percentage}%)
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Correct answer: {formatAnswer(q.correctAnswer)}
+                  {q.unanswered > 0 && ` • ${q.unanswered} did not answer`}
+                </p>
+              </div>
+            ))}
+          </div>
+        </motion.div>
+
+        {/* Per-participant breakdown */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.9 }}
+          className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6"
+        >
+          <h3 className="text-xl font-bold text-gray-800 dark:text-white mb-4 flex items-center gap-2">
+            <Users className="w-6 h-6 text-blue-500" />
+            Participants
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                <tr>
+                  <th className="py-2 pr-4">#</th>
+                  <th className="py-2 pr-4">Name</th>
+                  {analytics.teams?.length > 0 && <th className="py-2 pr-4">Team</th>}
+                  <th className="py-2 pr-4">Score</th>
+                  <th className="py-2 pr-4">Correct</th>
+                  <th className="py-2 pr-4">Incorrect</th>
+                  <th className="py-2 pr-4">Unanswered</th>
+                  <th className="py-2 pr-4">Accuracy</th>
+                  <th className="py-2 pr-4">Avg Time</th>
+                  <th className="py-2">Best Streak</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-800 dark:text-gray-200">
+                {analytics.participants.map((participant) => (
+                  <tr key={participant.userId} className="border-b border-gray-100 dark:border-gray-700/50">
+                    <td className="py-2 pr-4">{participant.rank}</td>
+                    <td className="py-2 pr-4 font-medium">{participant.userName}</td>
+                    {analytics.teams?.length > 0 && <td className="py-2 pr-4">{participant.teamName || '-'}</td>}
+                    <td className="py-2 pr-4">{participant.score}</td>
+                    <td className="py-2 pr-4">{participant.correctAnswers}</td>
+                    <td className="py-2 pr-4">{participant.incorrectAnswers}</td>
+                    <td className="py-2 pr-4">{participant.unanswered}</td>
+                    <td className="py-2 pr-4">{participant.accuracy}%</td>
+                    <td className="py-2 pr-4">{participant.averageTime}s</td>
+                    <td className="py-2">{participant.bestStreak}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
       </div>
     </div>
   );
@@ -1,6 +1,10 @@
 import { useState, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import {
+  fetchSessionReport,
+  downloadSessionReport,
+} from "../lib/liveSessionReports";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   Calendar,
@@ -28,6 +32,7 @@ const LiveSessionHistory = () => {
   const [showLeaderboard, setShowLeaderboard] = useState(false);
   const [selectedSession, setSelectedSession] = useState(null);
   const [leaderboardData, setLeaderboardData] = useState([]);
+  const [exporting, setExporting] = useState(null); // "<sessionCode>:<format>"
 
   useEffect(() => {
     const fetchSessions = async () => {
@@ -164,13 +169,42 @@ const LiveSessionHistory = () => {
     }
   };
 
+  // Final standings from the saved report, once the live data has expired
+  const fetchReportLeaderboard = async (sessionCode) => {
+    try {
+      const report = await fetchSessionReport(sessionCode);
+      return (report?.participants || []).map((participant) => ({
+        ...participant,
+        username: participant.userName,
+      }));
+    } catch (err) {
+      console.error("Error fetching report:", err);
+      return [];
+    }
+  };
+
   const handleViewLeaderboard = async (session) => {
     setSelectedSession(session);
     setShowLeaderboard(true);
-    const leaderboard = await fetchLeaderboard(session.sessionCode);
+    let leaderboard = await fetchLeaderboard(session.sessionCode);
+    if (leaderboard.length === 0 && session.hasReport) {
+      leaderboard = await fetchReportLeaderboard(session.sessionCode);
+    }
     setLeaderboardData(leaderboard);
   };
 
+  const handleExport = async (session, format) => {
+    setExporting(`${session.sessionCode}:${format}`);
+    try {
+      await downloadSessionReport(session.sessionCode, format);
+    } catch (err) {
+      console.error("Error exporting report:", err);
+      alert(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
   const getRankIcon = (rank) => {
     if (rank === 1) return <Trophy className="w-6 h-6 text-yellow-500" />;
     if (rank === 2) return <Medal className="w-6 h-6 text-gray-400" />;
@@ -467,19 +501,30 @@ const LiveSessionHistory = () => {
                         <Trophy className="w-4 h-4" />
                         Leaderboard
                       </button>
-                      <Link to={`/live-session-analytics/${session.sessionId}`}>
-                        <button className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition flex items-center gap-2">
-                          <Eye className="w-4 h-4" />
-                          Details
-                        </button>
-                      </Link>
-                      <button
-                        className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition flex items-center gap-2"
-                        title="Export session data"
-                      >
-                        <Download className="w-4 h-4" />
-                        Export
-                      </button>
+                      {session.hasReport && (
+                        <>
+                          <Link to={`/live/analytics/${session.sessionCode}`}>
+                            <button className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition flex items-center gap-2">
+                              <Eye className="w-4 h-4" />
+                              Details
+                            </button>
+                          </Link>
+                          {["csv", "xlsx"].map((format) => (
+                            <button
+                              key={format}
+                              onClick={() => handleExport(session, format)}
+                              disabled={
+                                exporting === `${session.sessionCode}:${format}`
+                              }
+                              className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:bg-gray-400 transition flex items-center gap-2"
+                              title={`Download the session report as ${format.toUpperCase()}`}
+                            >
+                              <Download className="w-4 h-4" />
+                              {format.toUpperCase()}
+                            </button>
+                          ))}
+                        </>
+                      )}
                     </div>
                   </div>
                 </motion.div>
@@ -4,6 +4,7 @@ import { useSocket } from "../context/SocketContext";
 import { useAuth } from "../context/AuthContext";
 import LoadingSpinner from "../components/LoadingSpinner";
 import LiveLeaderboard from "../components/LiveLeaderboard";
+import TeamLeaderboard from "../components/TeamLeaderboard";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   QrCode,
@@ -16,9 +17,19 @@ import {
   Trophy,
   CheckCircle,
   XCircle,
+  Pause,
+  Plus,
+  Shuffle,
 } from "lucide-react";
 import QRCode from "qrcode";
 
+// Seconds added by the host's "+" button
+const EXTEND_SECONDS = 15;
+
+// The server owns the deadline; shift it onto this device's clock
+const localDeadline = ({ endsAt, serverTime }) =>
+  endsAt && serverTime ? Date.now() + (endsAt - serverTime) : null;
+
 const LiveSessionHost = () => {
   const { quizId } = useParams();
   const navigate = useNavigate();
@@ -34,6 +45,20 @@ const LiveSessionHost = () => {
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [leaderboard, setLeaderboard] = useState([]);
   const [qrCodeUrl, setQrCodeUrl] = useState("");
+  const [autoAdvance, setAutoAdvance] = useState(false);
+  const [timeLeft, setTimeLeft] = useState(null);
+  const [deadline, setDeadline] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [questionClosed, setQuestionClosed] = useState(false);
+  // Team mode: the options being edited, and the server's view of the teams
+  const [teamForm, setTeamForm] = useState({
+    teamMode: false,
+    teamCount: 2,
+    teamScoring: "sum",
+    teamAssignment: "auto",
+  });
+  const [teamRoster, setTeamRoster] = useState({ teamMode: false, teams: [] });
+  const [teamLeaderboard, setTeamLeaderboard] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -192,10 +217,17 @@ const LiveSessionHost = () => {
     // Leaderboard updated
     const handleLeaderboardUpdate = ({
       leaderboard: newLeaderboard,
+      teamLeaderboard: newTeamLeaderboard,
       questionIndex,
     }) => {
       console.log("🏆 Leaderboard updated for question", questionIndex);
       setLeaderboard(newLeaderboard);
+      setTeamLeaderboard(newTeamLeaderboard || []);
+    };
+
+    // Teams configured, balanced or someone joined / switched a team
+    const handleTeamsUpdated = (roster) => {
+      setTeamRoster(roster);
     };
 
     // Session started
@@ -206,9 +238,21 @@ const LiveSessionHost = () => {
     };
 
     // Question started
-    const handleQuestionStarted = ({ questionIndex, question }) => {
+    const handleQuestionStarted = (data) => {
+      const { questionIndex, question } = data;
       console.log(`❓ Question ${questionIndex + 1} started:`, question?.text);
       setCurrentQuestionIndex(questionIndex);
+      setDeadline(localDeadline(data));
+      setTimeLeft(Math.ceil(data.remainingMs / 1000));
+      setIsPaused(false);
+      setQuestionClosed(false);
+    };
+
+    // Clock paused, resumed or extended (by this or another host tab)
+    const handleClockChange = (data) => {
+      setIsPaused(data.paused);
+      setDeadline(data.paused ? null : localDeadline(data));
+      setTimeLeft(Math.ceil(data.remainingMs / 1000));
     };
 
     // Question ended
@@ -216,22 +260,33 @@ const LiveSessionHost = () => {
       console.log(
         `✅ Question ${questionIndex + 1} ended. Correct: ${correctAnswer}`
       );
+      setQuestionClosed(true);
+      setDeadline(null);
+      setTimeLeft(0);
     };
 
     // Session ended
-    const handleSessionEnded = ({ leaderboard: finalLeaderboard }) => {
+    const handleSessionEnded = ({
+      leaderboard: finalLeaderboard,
+      teamLeaderboard: finalTeamLeaderboard,
+    }) => {
       console.log("🏁 Session ended!");
       if (finalLeaderboard) {
         setLeaderboard(finalLeaderboard);
       }
+      setTeamLeaderboard(finalTeamLeaderboard || []);
       setSessionStatus("ended");
     };
 
     socket.on("participant-joined", handleParticipantJoined);
     socket.on("participant-left", handleParticipantLeft);
     socket.on("leaderboard-updated", handleLeaderboardUpdate);
+    socket.on("teams-updated", handleTeamsUpdated);
     socket.on("session-started", handleSessionStarted);
     socket.on("question-started", handleQuestionStarted);
+    socket.on("question-paused", handleClockChange);
+    socket.on("question-resumed", handleClockChange);
+    socket.on("time-extended", handleClockChange);
     socket.on("question-ended", handleQuestionEnded);
     socket.on("session-ended", handleSessionEnded);
 
@@ -242,8 +297,12 @@ const LiveSessionHost = () => {
       socket.off("participant-joined", handleParticipantJoined);
       socket.off("participant-left", handleParticipantLeft);
       socket.off("leaderboard-updated", handleLeaderboardUpdate);
+      socket.off("teams-updated", handleTeamsUpdated);
       socket.off("session-started", handleSessionStarted);
       socket.off("question-started", handleQuestionStarted);
+      socket.off("question-paused", handleClockChange);
+      socket.off("question-resumed", handleClockChange);
+      socket.off("time-extended", handleClockChange);
       socket.off("question-ended", handleQuestionEnded);
       socket.off("session-ended", handleSessionEnded);
     };
@@ -321,15 +380,19 @@ const LiveSessionHost = () => {
 
     console.log("🚀 Starting quiz...");
     const userId = user?._id || user?.id || user?.userId;
-    socket.emit("start-session", { sessionCode, userId }, (response) => {
-      if (response.success) {
-        setSessionStatus("active");
-        setCurrentQuestionIndex(0);
-      } else {
-        alert(response.error || "Failed to start quiz");
+    socket.emit(
+      "start-session",
+      { sessionCode, userId, autoAdvance },
+      (response) => {
+        if (response.success) {
+          setSessionStatus("active");
+          setCurrentQuestionIndex(0);
+        } else {
+          alert(response.error || "Failed to start quiz");
+        }
       }
-    });
-  }, [socket, sessionCode, participants]);
+    );
+  }, [socket, sessionCode, participants, autoAdvance]);
 
   // End session - Defined BEFORE handleNextQuestion to avoid hoisting issues
   const handleEndSession = useCallback(() => {
@@ -368,6 +431,66 @@ const LiveSessionHost = () => {
     });
   }, [socket, sessionCode, currentQuestionIndex, quiz, user, handleEndSession]);
 
+  // Countdown towards the server deadline
+  useEffect(() => {
+    if (!deadline) return;
+
+    const timer = setInterval(() => {
+      setTimeLeft(Math.max(0, Math.ceil((deadline - Date.now()) / 1000)));
+    }, 250);
+
+    return () => clearInterval(timer);
+  }, [deadline]);
+
+  // Pause / resume the question clock
+  const handleTogglePause = useCallback(() => {
+    socket.emit(
+      isPaused ? "resume-question" : "pause-question",
+      { sessionCode },
+      (response) => {
+        if (!response?.success) {
+          alert(response?.error || "Failed to update the timer");
+        }
+      }
+    );
+  }, [socket, sessionCode, isPaused]);
+
+  // Give everyone more time on the current question
+  const handleExtendTime = useCallback(() => {
+    socket.emit(
+      "extend-time",
+      { sessionCode, seconds: EXTEND_SECONDS },
+      (response) => {
+        if (!response?.success) {
+          alert(response?.error || "Failed to extend time");
+        }
+      }
+    );
+  }, [socket, sessionCode]);
+
+  // Save the team options (teams are recreated when the count changes)
+  const handleApplyTeams = useCallback(() => {
+    socket.emit("configure-teams", { sessionCode, ...teamForm }, (response) => {
+      if (response?.success) {
+        setTeamRoster(response);
+      } else {
+        alert(response?.error || "Failed to update teams");
+      }
+    });
+  }, [socket, sessionCode, teamForm]);
+
+  // Reshuffle everyone in the lobby into even teams
+  const handleBalanceTeams = useCallback(() => {
+    socket.emit("balance-teams", { sessionCode }, (response) => {
+      if (!response?.success) {
+        alert(response?.error || "Failed to balance teams");
+      }
+    });
+  }, [socket, sessionCode]);
+
+  const updateTeamForm = (field, value) =>
+    setTeamForm((prev) => ({ ...prev, [field]: value }));
+
   // Copy session code
   const copySessionCode = () => {
     navigator.clipboard.writeText(sessionCode);
@@ -522,6 +645,121 @@ const LiveSessionHost = () => {
                     </div>
                   )}
 
+                  {/* Auto-advance */}
+                  <label className="flex items-center justify-center gap-2 mb-4 text-gray-700 dark:text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={autoAdvance}
+                      onChange={(e) => setAutoAdvance(e.target.checked)}
+                      className="w-4 h-4 accent-purple-600"
+                    />
+                    Move to the next question automatically when time is up
+                  </label>
+
+                  {/* Team mode */}
+                  <div className="mb-6 p-4 bg-gray-50 dark:bg-gray-700 rounded-xl text-left">
+                    <label className="flex items-center gap-2 mb-3 font-medium text-gray-800 dark:text-white cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={teamForm.teamMode}
+                        onChange={(e) =>
+                          updateTeamForm("teamMode", e.target.checked)
+                        }
+                        className="w-4 h-4 accent-purple-600"
+                      />
+                      Play in teams
+                    </label>
+
+                    {teamForm.teamMode && (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3 text-sm text-gray-700 dark:text-gray-300">
+                        <label className="flex flex-col gap-1">
+                          Teams
+                          <input
+                            type="number"
+                            min={2}
+                            max={10}
+                            value={teamForm.teamCount}
+                            onChange={(e) =>
+                              updateTeamForm(
+                                "teamCount",
+                                parseInt(e.target.value) || 2
+                              )
+                            }
+                            className="px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"
+                          />
+                        </label>
+                        <label className="flex flex-col gap-1">
+                          Team score
+                          <select
+                            value={teamForm.teamScoring}
+                            onChange={(e) =>
+                              updateTeamForm("teamScoring", e.target.value)
+                            }
+                            className="px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"
+                          >
+                            <option value="sum">Sum of members</option>
+                            <option value="average">Average per member</option>
+                          </select>
+                        </label>
+                        <label className="flex flex-col gap-1">
+                          Assignment
+                          <select
+                            value={teamForm.teamAssignment}
+                            onChange={(e) =>
+                              updateTeamForm("teamAssignment", e.target.value)
+                            }
+                            className="px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"
+                          >
+                            <option value="auto">Balanced automatically</option>
+                            <option value="choose">Players pick a team</option>
+                          </select>
+                        </label>
+                      </div>
+                    )}
+
+                    <div className="flex gap-2">
+                      <button
+                        onClick={handleApplyTeams}
+                        disabled={!isConnected}
+                        className="px-4 py-2 bg-purple-500 hover:bg-purple-600 disabled:bg-gray-400 text-white rounded-lg font-medium transition"
+                      >
+                        Apply
+                      </button>
+                      {teamRoster.teamMode && (
+                        <button
+                          onClick={handleBalanceTeams}
+                          disabled={participants.length === 0 || !isConnected}
+                          className="px-4 py-2 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white rounded-lg font-medium flex items-center gap-2 transition"
+                        >
+                          <Shuffle className="w-4 h-4" />
+                          Balance Teams
+                        </button>
+                      )}
+                    </div>
+
+                    {/* Current rosters */}
+                    {teamRoster.teamMode && (
+                      <div className="grid grid-cols-2 gap-3 mt-4">
+                        {teamRoster.teams.map((team) => (
+                          <div
+                            key={team.teamId}
+                            className="p-3 bg-white dark:bg-gray-800 rounded-lg border-l-4"
+                            style={{ borderLeftColor: team.color }}
+                          >
+                            <p className="font-bold text-gray-800 dark:text-white">
+                              {team.name} ({team.members.length})
+                            </p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                              {team.members.length > 0
+                                ? team.members.map((m) => m.userName).join(", ")
+                                : "No members yet"}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
                   {/* Start Button */}
                   <button
                     onClick={handleStartQuiz}
@@ -551,7 +789,36 @@ const LiveSessionHost = () => {
                     </span>
                     <div className="flex items-center gap-2 text-gray-600 dark:text-gray-400">
                       <Clock className="w-4 h-4" />
-                      <span className="text-sm">30s per question</span>
+                      <span className="text-sm font-bold">
+                        {questionClosed
+                          ? "Time's up"
+                          : timeLeft === null
+                          ? "Starting..."
+                          : `${timeLeft}s${isPaused ? " (paused)" : ""}`}
+                      </span>
+                      {!questionClosed && timeLeft !== null && (
+                        <>
+                          <button
+                            onClick={handleTogglePause}
+                            title={isPaused ? "Resume timer" : "Pause timer"}
+                            className="p-1.5 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition"
+                          >
+                            {isPaused ? (
+                              <Play className="w-4 h-4" />
+                            ) : (
+                              <Pause className="w-4 h-4" />
+                            )}
+                          </button>
+                          <button
+                            onClick={handleExtendTime}
+                            title={`Add ${EXTEND_SECONDS} seconds`}
+                            className="px-2 py-1 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-sm flex items-center gap-1 transition"
+                          >
+                            <Plus className="w-3 h-3" />
+                            {EXTEND_SECONDS}s
+                          </button>
+                        </>
+                      )}
                     </div>
                   </div>
 
@@ -718,6 +985,12 @@ const LiveSessionHost = () => {
 
           {/* Sidebar */}
           <div className="space-y-6">
+            {/* Team Standings (team mode only) */}
+            <TeamLeaderboard
+              teamLeaderboard={teamLeaderboard}
+              scoring={teamRoster.teamScoring}
+            />
+
             {/* Live Leaderboard */}
             <LiveLeaderboard leaderboard={leaderboard} />
 
@@ -5,6 +5,7 @@ import { useAuth } from "../context/AuthContext";
 import { useSound } from "../hooks/useSound";
 import LoadingSpinner from "../components/LoadingSpinner";
 import LiveLeaderboard from "../components/LiveLeaderboard";
+import TeamLeaderboard from "../components/TeamLeaderboard";
 import Confetti from "react-confetti";
 import { motion, AnimatePresence } from "framer-motion";
 import { Html5QrcodeScanner } from "html5-qrcode";
@@ -22,8 +23,33 @@ import {
   Keyboard,
   Camera,
   Upload,
+  ArrowUp,
+  ArrowDown,
+  Send,
+  Pause,
+  Users,
 } from "lucide-react";
 
+// Question types answered by picking one option; the rest need an answer form
+const CHOICE_TYPES = ["multiple-choice", "true-false"];
+
+const initialDraft = (question) => {
+  if (question?.type === "ordering") return [...(question.options || [])];
+  if (question?.type === "multi-select") return [];
+  return "";
+};
+
+// Reconnect tokens live for the tab, so a reload can resume the same seat
+const reconnectKey = (code) => `live-reconnect:${code.toUpperCase()}`;
+
+// The server owns the deadline; shift it onto this device's clock
+const localDeadline = ({ endsAt, serverTime }) =>
+  endsAt && serverTime ? Date.now() + (endsAt - serverTime) : null;
+
+// Multi-select picks and orderings come back as arrays
+const formatAnswer = (answer) =>
+  Array.isArray(answer) ? answer.join(", ") : answer;
+
 const LiveSessionJoin = () => {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
@@ -45,13 +71,19 @@ const LiveSessionJoin = () => {
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [totalQuestions, setTotalQuestions] = useState(0);
   const [selectedAnswer, setSelectedAnswer] = useState("");
+  const [draftAnswer, setDraftAnswer] = useState(""); // Text, picks or order before submitting
   const [hasAnswered, setHasAnswered] = useState(false);
   const [answerResult, setAnswerResult] = useState(null);
   const [leaderboard, setLeaderboard] = useState([]);
   const [timeLeft, setTimeLeft] = useState(30);
+  const [questionTimeLimit, setQuestionTimeLimit] = useState(30);
+  const [deadline, setDeadline] = useState(null); // Local time answering closes
+  const [isPaused, setIsPaused] = useState(false);
   const [quizEnded, setQuizEnded] = useState(false);
   const [showConfetti, setShowConfetti] = useState(false);
   const [myAnswers, setMyAnswers] = useState([]); // Track all answers for analysis
+  const [teamRoster, setTeamRoster] = useState({ teamMode: false, teams: [] });
+  const [teamLeaderboard, setTeamLeaderboard] = useState([]);
   const qrScannerRef = useRef(null);
 
   // Handle QR code from file upload
@@ -259,7 +291,14 @@ const LiveSessionJoin = () => {
         console.log("📡 Join session response:", response);
         if (response.success) {
           console.log("✅ Joined session successfully");
+          if (response.reconnectToken) {
+            sessionStorage.setItem(
+              reconnectKey(sessionCode),
+              response.reconnectToken
+            );
+          }
           setSession(response.session);
+          if (response.teamMode) setTeamRoster(response);
           setHasJoined(true);
         } else {
           console.error("❌ Failed to join:", response.error);
@@ -269,12 +308,92 @@ const LiveSessionJoin = () => {
     );
   }, [socket, isConnected, sessionCode, user, hasJoined]);
 
-  // Auto-join if code in URL
+  // Resume our seat after a dropped connection or a page reload
+  const resumeSession = useCallback(
+    (onFailure) => {
+      const token = sessionStorage.getItem(reconnectKey(sessionCode));
+      if (!socket || !sessionCode || !token) {
+        onFailure?.();
+        return;
+      }
+
+      socket.emit(
+        "resume-session",
+        { sessionCode: sessionCode.toUpperCase(), reconnectToken: token },
+        (response) => {
+          if (response?.success) {
+            console.log("🔁 Resumed live session");
+            return;
+          }
+          console.warn("Could not resume session:", response?.error);
+          sessionStorage.removeItem(reconnectKey(sessionCode));
+          onFailure?.();
+        }
+      );
+    },
+    [socket, sessionCode]
+  );
+
+  // State replay from the server after resume-session
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleResumed = ({
+      session: resumedSession,
+      leaderboard: currentLeaderboard,
+      teamLeaderboard: currentTeamLeaderboard,
+      currentQuestion: current,
+      ...roster
+    }) => {
+      setSession(resumedSession);
+      setLeaderboard(currentLeaderboard || []);
+      setTeamRoster(roster);
+      setTeamLeaderboard(currentTeamLeaderboard || []);
+      setHasJoined(true);
+
+      if (current) {
+        if (current.questionIndex !== currentQuestionIndex || !currentQuestion) {
+          setCurrentQuestion(current.question);
+          setCurrentQuestionIndex(current.questionIndex);
+          setSelectedAnswer("");
+          setDraftAnswer(initialDraft(current.question));
+          setAnswerResult(null);
+        }
+        setTotalQuestions(current.totalQuestions);
+        setQuestionTimeLimit(current.timeLimit);
+        setTimeLeft(current.remainingTime);
+        setDeadline(localDeadline(current));
+        setIsPaused(current.paused);
+        setHasAnswered(current.hasAnswered || current.closed);
+      }
+    };
+
+    socket.on("session-resumed", handleResumed);
+    return () => socket.off("session-resumed", handleResumed);
+  }, [socket, currentQuestionIndex, currentQuestion]);
+
+  // Socket.IO reconnected after a drop: take the seat back
+  useEffect(() => {
+    if (!socket || !hasJoined) return;
+
+    const handleReconnect = () => resumeSession();
+    socket.on("connect", handleReconnect);
+    return () => socket.off("connect", handleReconnect);
+  }, [socket, hasJoined, resumeSession]);
+
+  // Auto-join if code in URL (resuming first if this tab already had a seat)
   useEffect(() => {
     if (searchParams.get("code") && !hasJoined && socket && isConnected) {
-      handleJoinSession();
+      resumeSession(handleJoinSession);
     }
-  }, [searchParams, hasJoined, socket, isConnected, handleJoinSession]);
+  }, [
+    searchParams,
+    hasJoined,
+    socket,
+    isConnected,
+    resumeSession,
+    handleJoinSession,
+  ]);
 
   // Socket event handlers
   useEffect(() => {
@@ -290,81 +409,138 @@ const LiveSessionJoin = () => {
         setTotalQuestions(total);
         setHasAnswered(false);
         setSelectedAnswer("");
+        setDraftAnswer(initialDraft(question));
         setAnswerResult(null);
         setTimeLeft(30);
       }
     );
 
     // Next question
-    socket.on(
-      "question-started",
-      ({ questionIndex, question, totalQuestions: total, timestamp }) => {
-        console.log("➡️ Next question:", questionIndex + 1);
-        setCurrentQuestion(question);
-        setCurrentQuestionIndex(questionIndex);
-        setTotalQuestions(total);
-        setHasAnswered(false);
-        setSelectedAnswer("");
-        setAnswerResult(null);
-        setTimeLeft(30);
-      }
-    );
+    socket.on("question-started", (data) => {
+      const { questionIndex, question, totalQuestions: total, timeLimit } =
+        data;
+      console.log("➡️ Next question:", questionIndex + 1);
+      setCurrentQuestion(question);
+      setCurrentQuestionIndex(questionIndex);
+      setTotalQuestions(total);
+      setHasAnswered(false);
+      setSelectedAnswer("");
+      setDraftAnswer(initialDraft(question));
+      setAnswerResult(null);
+      setQuestionTimeLimit(timeLimit || 30);
+      setTimeLeft(Math.ceil(data.remainingMs / 1000) || timeLimit || 30);
+      setDeadline(localDeadline(data));
+      setIsPaused(false);
+    });
+
+    // Host paused the clock: freeze the countdown and answering
+    socket.on("question-paused", ({ remainingMs }) => {
+      setIsPaused(true);
+      setTimeLeft(Math.ceil(remainingMs / 1000));
+    });
+
+    // Host resumed or added time: the server sends the new deadline
+    const handleClockChange = (data) => {
+      setIsPaused(data.paused);
+      setDeadline(localDeadline(data));
+      setTimeLeft(Math.ceil(data.remainingMs / 1000));
+    };
+    socket.on("question-resumed", handleClockChange);
+    socket.on("time-extended", handleClockChange);
+
+    // Server closed the question: no more answers
+    socket.on("question-ended", () => {
+      setTimeLeft(0);
+      setDeadline(null);
+      setIsPaused(false);
+      setHasAnswered(true);
+    });
 
     // Leaderboard updated
     socket.on(
       "leaderboard-updated",
-      ({ leaderboard: newLeaderboard, questionIndex }) => {
+      ({
+        leaderboard: newLeaderboard,
+        teamLeaderboard: newTeamLeaderboard,
+        questionIndex,
+      }) => {
         console.log("🏆 Leaderboard updated");
         setLeaderboard(newLeaderboard);
+        setTeamLeaderboard(newTeamLeaderboard || []);
       }
     );
 
+    // Team mode: teams set up, balanced or someone picked a team
+    socket.on("teams-updated", (roster) => {
+      setTeamRoster(roster);
+    });
+
     // Answer submitted feedback
-    socket.on("answer-submitted", ({ isCorrect, points, correctAnswer }) => {
-      console.log("✅ Answer feedback received:", {
+    socket.on(
+      "answer-submitted",
+      ({
         isCorrect,
+        credit,
         points,
+        streak,
+        streakBonus,
+        breakdown,
         correctAnswer,
-      });
-
-      setAnswerResult({
-        isCorrect,
-        pointsEarned: points,
-        correctAnswer,
-      });
-
-      // Store answer for analysis
-      setMyAnswers((prev) => [
-        ...prev,
-        {
-          questionIndex: currentQuestionIndex,
-          question: currentQuestion.question,
-          yourAnswer: selectedAnswer,
-          correctAnswer: correctAnswer,
-          isCorrect: isCorrect,
+      }) => {
+        console.log("✅ Answer feedback received:", {
+          isCorrect,
+          credit,
+          points,
+          breakdown,
+          correctAnswer,
+        });
+
+        setAnswerResult({
+          isCorrect,
+          credit,
           pointsEarned: points,
-          timeSpent: 30 - timeLeft,
-        },
-      ]);
-
-      // Play sound effect based on correctness
-      if (isCorrect) {
-        play("correct");
-      } else {
-        play("incorrect");
+          streak,
+          streakBonus,
+          breakdown,
+          correctAnswer,
+        });
+
+        // Store answer for analysis
+        setMyAnswers((prev) => [
+          ...prev,
+          {
+            questionIndex: currentQuestionIndex,
+            question: currentQuestion.question,
+            yourAnswer: selectedAnswer,
+            correctAnswer: correctAnswer,
+            isCorrect: isCorrect,
+            pointsEarned: points,
+            timeSpent: questionTimeLimit - timeLeft,
+          },
+        ]);
+
+        // Play sound effect based on correctness
+        if (isCorrect) {
+          play("correct");
+        } else {
+          play("incorrect");
+        }
       }
-    });
+    );
 
     // Session ended
     socket.on(
       "session-ended",
       ({
         leaderboard: finalLeaderboard,
+        teamLeaderboard: finalTeamLeaderboard,
         totalParticipants,
         totalQuestions: total,
       }) => {
         console.log("🏁 Quiz ended!");
+        sessionStorage.removeItem(reconnectKey(sessionCode));
         setLeaderboard(finalLeaderboard);
+        setTeamLeaderboard(finalTeamLeaderboard || []);
         setTotalQuestions(total);
         setQuizEnded(true);
 
@@ -390,7 +566,12 @@ const LiveSessionJoin = () => {
     return () => {
       socket.off("quiz-started");
       socket.off("question-started");
+      socket.off("question-paused");
+      socket.off("question-resumed");
+      socket.off("time-extended");
+      socket.off("question-ended");
       socket.off("leaderboard-updated");
+      socket.off("teams-updated");
       socket.off("answer-submitted");
       socket.off("session-ended");
       socket.off("host-disconnected");
@@ -400,19 +581,42 @@ const LiveSessionJoin = () => {
     hasJoined,
     navigate,
     user,
+    sessionCode,
     currentQuestionIndex,
     currentQuestion,
     selectedAnswer,
     timeLeft,
+    questionTimeLimit,
     play,
   ]);
 
+  // Team mode: pick a team (when the host lets players choose)
+  const handleJoinTeam = useCallback(
+    (teamId) => {
+      socket.emit(
+        "join-team",
+        { sessionCode: sessionCode.toUpperCase(), teamId },
+        (response) => {
+          if (!response?.success) {
+            alert(response?.error || "Failed to join team");
+          }
+        }
+      );
+    },
+    [socket, sessionCode]
+  );
+
+  const myUserId = user?._id || user?.id || user?.userId;
+  const myTeam = teamRoster.teams.find((team) =>
+    team.members.some((member) => member.userId === myUserId)
+  );
+
   // Submit answer - Defined BEFORE timer to avoid hoisting issues
   const handleSubmitAnswer = useCallback(
     (answer) => {
       if (!currentQuestion) return;
 
-      const timeTaken = 30 - timeLeft;
+      const timeTaken = questionTimeLimit - timeLeft;
       const userId = user?._id || user?.id || user?.userId;
 
       console.log("📝 Submitting answer:", answer);
@@ -437,35 +641,51 @@ const LiveSessionJoin = () => {
         timeSpent: timeTaken,
       });
     },
-    [socket, sessionCode, user, currentQuestionIndex, currentQuestion, timeLeft]
+    [
+      socket,
+      sessionCode,
+      user,
+      currentQuestionIndex,
+      currentQuestion,
+      timeLeft,
+      questionTimeLimit,
+    ]
   );
 
-  // Timer countdown
+  // Timer countdown towards the server deadline (stopped while paused)
   useEffect(() => {
-    if (!currentQuestion || hasAnswered || quizEnded) return;
+    if (!currentQuestion || hasAnswered || quizEnded || isPaused || !deadline)
+      return;
 
     const timer = setInterval(() => {
-      setTimeLeft((prev) => {
-        if (prev <= 1) {
-          clearInterval(timer);
-          // Auto-submit empty answer when time runs out
-          if (!hasAnswered) {
-            setHasAnswered(true);
-            setSelectedAnswer("");
-            handleSubmitAnswer("");
-          }
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
+      const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      setTimeLeft(remaining);
+
+      if (remaining === 0) {
+        clearInterval(timer);
+        // Auto-submit empty answer when time runs out
+        setHasAnswered(true);
+        setSelectedAnswer("");
+        handleSubmitAnswer("");
+      }
+    }, 250);
 
     return () => clearInterval(timer);
-  }, [currentQuestion, hasAnswered, quizEnded, handleSubmitAnswer]);
+  }, [
+    currentQuestion,
+    hasAnswered,
+    quizEnded,
+    isPaused,
+    deadline,
+    handleSubmitAnswer,
+  ]);
+
+  // Answering is closed after an answer and while the host has paused the clock
+  const answeringLocked = hasAnswered || isPaused;
 
   // Handle answer selection
   const handleAnswerClick = (option) => {
-    if (hasAnswered) return;
+    if (answeringLocked) return;
 
     // Immediately mark as answered and set selection for instant visual feedback
     setSelectedAnswer(option);
@@ -475,6 +695,31 @@ const LiveSessionJoin = () => {
     handleSubmitAnswer(option);
   };
 
+  // Multi-select: toggle an option in the picks
+  const toggleDraftOption = (option) => {
+    if (answeringLocked) return;
+    setDraftAnswer((prev) =>
+      prev.includes(option)
+        ? prev.filter((item) => item !== option)
+        : [...prev, option]
+    );
+  };
+
+  // Ordering: swap an item with its neighbour
+  const moveDraftItem = (index, direction) => {
+    const target = index + direction;
+    if (answeringLocked || target < 0 || target >= draftAnswer.length) return;
+    setDraftAnswer((prev) => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const isDraftEmpty = Array.isArray(draftAnswer)
+    ? draftAnswer.length === 0
+    : !draftAnswer.trim();
+
   if (!user) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-50 to-blue-50 dark:from-gray-900 dark:to-purple-900">
@@ -702,6 +947,44 @@ const LiveSessionJoin = () => {
           <p className="text-gray-600 dark:text-gray-300 mb-6">
             Waiting for the host to start the quiz...
           </p>
+
+          {/* Team mode */}
+          {teamRoster.teamMode && (
+            <div className="mb-6">
+              {myTeam ? (
+                <p
+                  className="flex items-center justify-center gap-2 mb-3 font-bold"
+                  style={{ color: myTeam.color }}
+                >
+                  <Users className="w-5 h-5" />
+                  You're on team {myTeam.name}
+                </p>
+              ) : (
+                <p className="mb-3 text-gray-600 dark:text-gray-300">
+                  {teamRoster.teamAssignment === "choose"
+                    ? "Pick your team:"
+                    : "The host will put you in a team"}
+                </p>
+              )}
+
+              {teamRoster.teamAssignment === "choose" && (
+                <div className="grid grid-cols-2 gap-2">
+                  {teamRoster.teams.map((team) => (
+                    <button
+                      key={team.teamId}
+                      onClick={() => handleJoinTeam(team.teamId)}
+                      disabled={team.teamId === myTeam?.teamId}
+                      className="px-3 py-2 rounded-lg text-white font-medium transition hover:opacity-90 disabled:ring-4 disabled:ring-offset-2 disabled:ring-purple-300"
+                      style={{ backgroundColor: team.color }}
+                    >
+                      {team.name} ({team.members.length})
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="flex items-center justify-center gap-2">
             <div
               className="w-3 h-3 bg-purple-500 rounded-full animate-bounce"
@@ -855,7 +1138,7 @@ const LiveSessionJoin = () => {
                                     : "text-red-700 dark:text-red-300"
                                 }`}
                               >
-                                {answer.yourAnswer}
+                                {formatAnswer(answer.yourAnswer)}
                               </span>
                             </div>
                             {!answer.isCorrect && answer.correctAnswer && (
@@ -864,7 +1147,7 @@ const LiveSessionJoin = () => {
                                   Correct answer:
                                 </span>
                                 <span className="font-medium text-green-700 dark:text-green-300">
-                                  {answer.correctAnswer}
+                                  {formatAnswer(answer.correctAnswer)}
                                 </span>
                               </div>
                             )}
@@ -895,6 +1178,13 @@ const LiveSessionJoin = () => {
             </button>
           </motion.div>
 
+          <TeamLeaderboard
+            teamLeaderboard={teamLeaderboard}
+            scoring={teamRoster.teamScoring}
+            highlightTeamId={myTeam?.teamId}
+            className="mb-6"
+          />
+
           <LiveLeaderboard leaderboard={leaderboard} />
         </div>
       </div>
@@ -935,13 +1225,19 @@ const LiveSessionJoin = () => {
                 />
                 <span
                   className={`text-2xl font-bold ${
-                    timeLeft <= 10
+                    timeLeft <= 10 && !isPaused
                       ? "text-red-500 animate-pulse"
                       : "text-gray-800 dark:text-white"
                   }`}
                 >
                   {timeLeft}s
                 </span>
+                {isPaused && (
+                  <span className="flex items-center gap-1 px-2 py-1 rounded-lg bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300 text-sm font-medium">
+                    <Pause className="w-4 h-4" />
+                    Paused
+                  </span>
+                )}
               </div>
             </div>
           </div>
@@ -958,67 +1254,163 @@ const LiveSessionJoin = () => {
             {currentQuestion?.question}
           </h2>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            {currentQuestion?.options.map((option, index) => {
-              const isSelected = selectedAnswer === option;
-              const isCorrect = answerResult?.correctAnswer === option;
-              // Only show result after we get server response
-              const showResult = hasAnswered && answerResult;
-
-              let buttonClass =
-                "p-6 rounded-xl border-2 transition-all transform hover:scale-105 cursor-pointer ";
-
-              if (showResult) {
-                if (isCorrect) {
-                  buttonClass +=
-                    "border-green-500 bg-green-50 dark:bg-green-900/20";
-                } else if (isSelected && !isCorrect) {
-                  buttonClass += "border-red-500 bg-red-50 dark:bg-red-900/20";
+          {CHOICE_TYPES.includes(currentQuestion?.type || "multiple-choice") ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {currentQuestion?.options.map((option, index) => {
+                const isSelected = selectedAnswer === option;
+                const isCorrect = answerResult?.correctAnswer === option;
+                // Only show result after we get server response
+                const showResult = hasAnswered && answerResult;
+
+                let buttonClass =
+                  "p-6 rounded-xl border-2 transition-all transform hover:scale-105 cursor-pointer ";
+
+                if (showResult) {
+                  if (isCorrect) {
+                    buttonClass +=
+                      "border-green-500 bg-green-50 dark:bg-green-900/20";
+                  } else if (isSelected && !isCorrect) {
+                    buttonClass += "border-red-500 bg-red-50 dark:bg-red-900/20";
+                  } else {
+                    buttonClass +=
+                      "border-gray-300 dark:border-gray-600 opacity-60";
+                  }
                 } else {
-                  buttonClass +=
-                    "border-gray-300 dark:border-gray-600 opacity-60";
+                  buttonClass += isSelected
+                    ? "border-purple-500 bg-purple-50 dark:bg-purple-900/20 scale-105"
+                    : "border-gray-300 dark:border-gray-600 hover:border-purple-300 dark:hover:border-purple-700";
                 }
-              } else {
-                buttonClass += isSelected
-                  ? "border-purple-500 bg-purple-50 dark:bg-purple-900/20 scale-105"
-                  : "border-gray-300 dark:border-gray-600 hover:border-purple-300 dark:hover:border-purple-700";
-              }
 
-              return (
-                <button
-                  key={index}
-                  onClick={() => handleAnswerClick(option)}
-                  disabled={hasAnswered}
-                  className={buttonClass}
-                >
-                  <div className="flex items-center gap-4">
+                return (
+                  <button
+                    key={index}
+                    onClick={() => handleAnswerClick(option)}
+                    disabled={answeringLocked}
+                    className={buttonClass}
+                  >
+                    <div className="flex items-center gap-4">
+                      <div
+                        className={`w-12 h-12 rounded-full flex items-center justify-center font-bold text-lg ${
+                          showResult && isCorrect
+                            ? "bg-green-500 text-white"
+                            : showResult && isSelected && !isCorrect
+                            ? "bg-red-500 text-white"
+                            : isSelected
+                            ? "bg-purple-500 text-white"
+                            : "bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                        }`}
+                      >
+                        {String.fromCharCode(65 + index)}
+                      </div>
+                      <span className="text-lg font-medium text-gray-800 dark:text-white flex-1 text-left">
+                        {option}
+                      </span>
+                      {showResult && isCorrect && (
+                        <CheckCircle className="w-6 h-6 text-green-500" />
+                      )}
+                      {showResult && isSelected && !isCorrect && (
+                        <XCircle className="w-6 h-6 text-red-500" />
+                      )}
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {currentQuestion?.type === "multi-select" && (
+                <>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 text-center">
+                    Select all that apply
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {currentQuestion.options.map((option, index) => {
+                      const isPicked = draftAnswer.includes(option);
+                      return (
+                        <button
+                          key={index}
+                          onClick={() => toggleDraftOption(option)}
+                          disabled={answeringLocked}
+                          className={`p-6 rounded-xl border-2 transition-all text-left text-lg font-medium text-gray-800 dark:text-white ${
+                            isPicked
+                              ? "border-purple-500 bg-purple-50 dark:bg-purple-900/20"
+                              : "border-gray-300 dark:border-gray-600 hover:border-purple-300 dark:hover:border-purple-700"
+                          } ${answeringLocked ? "opacity-60" : ""}`}
+                        >
+                          {option}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </>
+              )}
+
+              {currentQuestion?.type === "ordering" && (
+                <>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 text-center">
+                    Put the items in the correct order
+                  </p>
+                  {draftAnswer.map((item, index) => (
                     <div
-                      className={`w-12 h-12 rounded-full flex items-center justify-center font-bold text-lg ${
-                        showResult && isCorrect
-                          ? "bg-green-500 text-white"
-                          : showResult && isSelected && !isCorrect
-                          ? "bg-red-500 text-white"
-                          : isSelected
-                          ? "bg-purple-500 text-white"
-                          : "bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
-                      }`}
+                      key={item}
+                      className="flex items-center gap-4 p-4 rounded-xl border-2 border-gray-300 dark:border-gray-600"
                     >
-                      {String.fromCharCode(65 + index)}
+                      <div className="w-10 h-10 rounded-full flex items-center justify-center font-bold bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                        {index + 1}
+                      </div>
+                      <span className="flex-1 text-lg font-medium text-gray-800 dark:text-white">
+                        {item}
+                      </span>
+                      <button
+                        onClick={() => moveDraftItem(index, -1)}
+                        disabled={answeringLocked || index === 0}
+                        className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <ArrowUp className="w-5 h-5" />
+                      </button>
+                      <button
+                        onClick={() => moveDraftItem(index, 1)}
+                        disabled={answeringLocked || index === draftAnswer.length - 1}
+                        className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <ArrowDown className="w-5 h-5" />
+                      </button>
                     </div>
-                    <span className="text-lg font-medium text-gray-800 dark:text-white flex-1 text-left">
-                      {option}
-                    </span>
-                    {showResult && isCorrect && (
-                      <CheckCircle className="w-6 h-6 text-green-500" />
-                    )}
-                    {showResult && isSelected && !isCorrect && (
-                      <XCircle className="w-6 h-6 text-red-500" />
-                    )}
-                  </div>
-                </button>
-              );
-            })}
-          </div>
+                  ))}
+                </>
+              )}
+
+              {["fill-in-blank", "descriptive", "numeric"].includes(
+                currentQuestion?.type
+              ) && (
+                <input
+                  type={currentQuestion.type === "numeric" ? "number" : "text"}
+                  step="any"
+                  value={draftAnswer}
+                  onChange={(e) => setDraftAnswer(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter" && !isDraftEmpty) {
+                      handleAnswerClick(draftAnswer);
+                    }
+                  }}
+                  disabled={answeringLocked}
+                  placeholder="Type your answer"
+                  className="w-full p-4 text-lg rounded-xl border-2 border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-white focus:border-purple-500 focus:outline-none"
+                />
+              )}
+
+              <button
+                onClick={() => handleAnswerClick(draftAnswer)}
+                disabled={answeringLocked || isDraftEmpty}
+                className="w-full py-4 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-xl font-bold flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                <Send className="w-5 h-5" />
+                Submit Answer
+              </button>
+            </div>
+          )}
 
           {/* Answer Result */}
           {answerResult && (
@@ -1044,19 +1436,40 @@ const LiveSessionJoin = () => {
                       : "text-red-700 dark:text-red-400"
                   }`}
                 >
-                  {answerResult.isCorrect ? "Correct!" : "Incorrect"}
+                  {answerResult.isCorrect
+                    ? "Correct!"
+                    : answerResult.credit > 0
+                    ? "Partially correct"
+                    : "Incorrect"}
                 </h3>
                 <div className="ml-auto text-right">
                   <div className="text-2xl font-bold text-gray-800 dark:text-white">
                     +{(answerResult.pointsEarned || 0).toFixed(1)} pts
                   </div>
+                  {answerResult.breakdown?.basePoints > 0 && (
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      {answerResult.breakdown.basePoints.toFixed(1)} pts ×{" "}
+                      {answerResult.breakdown.speedFactor.toFixed(2)} speed (
+                      {(answerResult.breakdown.responseTime / 1000).toFixed(1)}
+                      s)
+                    </div>
+                  )}
                   {answerResult.streakBonus > 0 && (
                     <div className="text-sm text-orange-600 dark:text-orange-400 font-semibold flex items-center gap-1 justify-end">
-                      🔥 +{answerResult.streakBonus} streak bonus!
+                      🔥 +{answerResult.streakBonus.toFixed(1)} streak bonus (
+                      {answerResult.streak} in a row)!
                     </div>
                   )}
                 </div>
               </div>
+              {!answerResult.isCorrect &&
+                answerResult.correctAnswer !== undefined &&
+                !CHOICE_TYPES.includes(currentQuestion?.type || "multiple-choice") && (
+                  <p className="text-gray-700 dark:text-gray-300 mb-2">
+                    <strong>Correct answer:</strong>{" "}
+                    {formatAnswer(answerResult.correctAnswer)}
+                  </p>
+                )}
               {answerResult.explanation && (
                 <p className="text-gray-700 dark:text-gray-300">
                   <strong>Explanation:</strong> {answerResult.explanation}
@@ -1066,6 +1479,14 @@ const LiveSessionJoin = () => {
           )}
         </motion.div>
 
+        {/* Team Standings */}
+        <TeamLeaderboard
+          teamLeaderboard={teamLeaderboard}
+          scoring={teamRoster.teamScoring}
+          highlightTeamId={myTeam?.teamId}
+          className="mb-6"
+        />
+
         {/* Mini Leaderboard */}
         {leaderboard.length > 0 && (
           <LiveLeaderboard leaderboard={leaderboard.slice(0, 5)} compact />
@@ -174,6 +174,7 @@ export default function Login() {
           // Show role selection for new users
           setPendingGoogleUser({
             token,
+            refreshToken: data.data?.refreshToken,
             user,
             userInfo: {
               name: user.name,
@@ -184,7 +185,7 @@ export default function Login() {
           setShowRoleSelection(true);
         } else {
           // Existing user or user with specific role - proceed with login
-          login(token);
+          login(token, data.data?.refreshToken);
           console.log("Login successful, redirecting to:", user.role);
 
           // Redirect based on user role
@@ -236,7 +237,7 @@ export default function Login() {
 
       if (response.ok) {
         const token = data.token || data.data?.accessToken;
-        login(token);
+        login(token, data.data?.refreshToken || pendingGoogleUser.refreshToken);
         setShowRoleSelection(false);
         setPendingGoogleUser(null);
 
@@ -315,7 +316,7 @@ export default function Login() {
         console.error("Full response data:", data);
         throw new Error("No authentication token received");
       }
-      login(token);
+      login(token, data.data?.refreshToken);
 
       // Small delay to ensure auth state is updated
       setTimeout(() => {
@@ -1,8 +1,10 @@
 import React, { useEffect, useState, useRef, useContext } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { io } from "socket.io-client";
+import { socketAuth, handleTokenExpiry } from "../lib/socketAuth";
 import { AuthContext } from "../context/AuthContext";
 import { getSocketUrl, getMeetingWsUrl } from "../lib/apiConfig";
+import { SfuSession } from "../lib/sfuClient";
 import {
   Video,
   VideoOff,
@@ -16,6 +18,15 @@ import {
   Settings,
   Copy,
   Check,
+  Lock,
+  Unlock,
+  UserCheck,
+  UserX,
+  UserMinus,
+  Clock,
+  Circle,
+  Square,
+  Network,
 } from "lucide-react";
 import { Button } from "../components/ui/Button";
 
@@ -41,6 +52,11 @@ const MeetingRoom = () => {
   const [showParticipants, setShowParticipants] = useState(false);
   const [chatInput, setChatInput] = useState("");
   const [copiedRoomId, setCopiedRoomId] = useState(false);
+  const [waitingForApproval, setWaitingForApproval] = useState(false);
+  const [lobby, setLobby] = useState([]); // Host only: users waiting to be admitted
+  const [roomLocked, setRoomLocked] = useState(false);
+  const [topology, setTopology] = useState("mesh"); // "mesh" (peer-to-peer) or "sfu" (through the server)
+  const [recording, setRecording] = useState(null); // Active recording, if any
 
   const localVideoRef = useRef(null);
   const localStreamRef = useRef(null); // Ref to always access current localStream
@@ -50,6 +66,10 @@ const MeetingRoom = () => {
   const socketRef = useRef(null); // Ref to store socket for use in functions
   const createPeerConnectionRef = useRef(null); // Ref to store createPeerConnection
   const pendingOffersRef = useRef([]); // Queue offers received before local stream is ready
+  const topologyRef = useRef("mesh"); // Current topology for socket handlers
+  const sfuSessionRef = useRef(null); // SfuSession while the room is in SFU mode
+  const sfuTracksRef = useRef(new Map()); // socketId -> Map(producerId -> {track, source})
+  const screenStreamRef = useRef(null); // Ref to access the current screen share in effects
   const [iceServers, setIceServers] = useState([
     { urls: "stun:stun.l.google.com:19302" },
     { urls: "stun:stun1.l.google.com:19302" },
@@ -76,18 +96,17 @@ const MeetingRoom = () => {
       .replace("wss://", "https://");
     const meetSocket = io(meetingUrl, {
       transports: ["websocket", "polling"],
+      auth: socketAuth,
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
     });
 
-    meetSocket.on("connect", () => {
-      console.log("[Meeting] Connected:", meetSocket.id);
-      setMySocketId(meetSocket.id);
-      const displayName = user?.name || user?.username || "Guest";
-      setMyUserName(displayName);
-      myUserNameRef.current = displayName; // Store in ref for closures
-      // Join the meeting room
+    handleTokenExpiry(meetSocket);
+
+    // Join the meeting room (again after the host admits us from the waiting room)
+    const joinMeeting = () => {
+      const displayName = myUserNameRef.current;
       meetSocket.emit(
         "join-meeting",
         {
@@ -99,8 +118,12 @@ const MeetingRoom = () => {
           isAudioEnabled: true,
         },
         (response) => {
-          if (response?.success) {
+          if (response?.success && response.waiting) {
+            console.log("[Meeting] Waiting for host approval:", roomId);
+            setWaitingForApproval(true);
+          } else if (response?.success) {
             console.log("[Meeting] Joined room:", roomId);
+            setWaitingForApproval(false);
             setParticipants(response.meeting?.participants || []);
           } else {
             console.error("[Meeting] Failed to join:", response?.error);
@@ -109,6 +132,35 @@ const MeetingRoom = () => {
           }
         }
       );
+    };
+
+    meetSocket.on("connect", () => {
+      console.log("[Meeting] Connected:", meetSocket.id);
+      setMySocketId(meetSocket.id);
+      const displayName = user?.name || user?.username || "Guest";
+      setMyUserName(displayName);
+      myUserNameRef.current = displayName; // Store in ref for closures
+      joinMeeting();
+    });
+
+    // Waiting room
+    meetSocket.on("lobby-admitted", () => {
+      console.log("[Meeting] Admitted by host");
+      joinMeeting();
+    });
+
+    meetSocket.on("lobby-denied", ({ message }) => {
+      alert(message || "The host declined your request to join");
+      navigate("/");
+    });
+
+    // Host only: live queue of users waiting to be admitted
+    meetSocket.on("lobby-updated", ({ waiting }) => {
+      setLobby(waiting || []);
+    });
+
+    meetSocket.on("room-lock-changed", ({ locked }) => {
+      setRoomLocked(locked);
     });
 
     // Receive ICE servers from backend
@@ -153,6 +205,7 @@ const MeetingRoom = () => {
       "webrtc-offer",
       async ({ offer, from, socketId: fromSocket }) => {
         console.log("[Meeting] Received offer from", fromSocket, "from:", from);
+        if (topologyRef.current === "sfu") return; // Stale peer-to-peer offer
         console.log(
           "[Meeting] Local stream available:",
           !!localStreamRef.current
@@ -234,9 +287,28 @@ const MeetingRoom = () => {
         if (meeting?.hostId) {
           setHostId(meeting.hostId);
         }
+        setRoomLocked(!!meeting?.settings?.lockRoom);
+        topologyRef.current = meeting?.topology || "mesh";
+        setTopology(topologyRef.current);
+        setRecording(meeting?.recording || null);
       }
     );
 
+    // Host switched the room between peer-to-peer and SFU
+    meetSocket.on("topology-changed", ({ topology: newTopology }) => {
+      console.log("[Meeting] Topology changed to", newTopology);
+      topologyRef.current = newTopology;
+      setTopology(newTopology);
+    });
+
+    meetSocket.on("recording-started", (data) => {
+      setRecording(data);
+    });
+
+    meetSocket.on("recording-stopped", () => {
+      setRecording(null);
+    });
+
     // New participant joined - initiate call to them
     meetSocket.on("participant-joined", (participant) => {
       console.log("[Meeting] New participant joined:", participant);
@@ -263,7 +335,11 @@ const MeetingRoom = () => {
 
       // Immediately initiate call to the new participant if we have a local stream
       // This ensures bidirectional connection establishment
-      if (localStreamRef.current && !calledPeersRef.current.has(socketId)) {
+      if (
+        topologyRef.current === "mesh" &&
+        localStreamRef.current &&
+        !calledPeersRef.current.has(socketId)
+      ) {
         console.log(
           "[Meeting] Initiating call to new participant:",
           socketId,
@@ -414,6 +490,7 @@ const MeetingRoom = () => {
     socketRef.current = meetSocket; // Store socket in ref for use in callbacks
 
     return () => {
+      sfuSessionRef.current?.close();
       meetSocket.disconnect();
       peerConnectionsRef.current.forEach((pc) => pc.close());
       localStream?.getTracks().forEach((t) => t.stop());
@@ -692,7 +769,13 @@ const MeetingRoom = () => {
 
   // Call all participants when local stream is ready
   useEffect(() => {
-    if (localStream && socket && participants.length > 0 && mySocketId) {
+    if (
+      topology === "mesh" &&
+      localStream &&
+      socket &&
+      participants.length > 0 &&
+      mySocketId
+    ) {
       console.log(
         "[Meeting] === CALLING EFFECT TRIGGERED === Participants:",
         participants.length
@@ -733,7 +816,88 @@ const MeetingRoom = () => {
       });
       console.log("[Meeting] === CALLING EFFECT COMPLETE ===");
     }
-  }, [localStream, socket, participants, mySocketId]);
+  }, [localStream, socket, participants, mySocketId, topology]);
+
+  // Show a participant's SFU tracks: audio plus their screen share, else camera
+  const updateSfuStream = (remoteSocketId) => {
+    const tracks = Array.from(
+      sfuTracksRef.current.get(remoteSocketId)?.values() || []
+    );
+    const audio = tracks.filter((t) => t.track.kind === "audio");
+    const video =
+      tracks.find((t) => t.source === "screen") ||
+      tracks.find((t) => t.track.kind === "video");
+    const shown = [...audio, ...(video ? [video] : [])].map((t) => t.track);
+
+    setPeers((prev) => {
+      // Participant already left: don't bring their tile back
+      if (!prev.has(remoteSocketId) && shown.length === 0) return prev;
+      const updated = new Map(prev);
+      const existing = updated.get(remoteSocketId) || {};
+      updated.set(remoteSocketId, {
+        ...existing,
+        stream: shown.length > 0 ? new MediaStream(shown) : undefined,
+      });
+      return updated;
+    });
+  };
+
+  // Drop every peer-to-peer connection and the streams that came through them
+  const closePeerConnections = () => {
+    peerConnectionsRef.current.forEach((pc) => pc.close());
+    peerConnectionsRef.current.clear();
+    calledPeersRef.current.clear();
+    setPeers((prev) => {
+      const updated = new Map();
+      prev.forEach((peer, id) => updated.set(id, { ...peer, stream: undefined }));
+      return updated;
+    });
+  };
+
+  // SFU mode: send and receive media through the server instead of the mesh
+  useEffect(() => {
+    if (topology !== "sfu" || !localStream || !socket) return;
+
+    closePeerConnections();
+
+    const session = new SfuSession(socket, {
+      onTrack: (remoteSocketId, track, { producerId, source }) => {
+        if (!sfuTracksRef.current.has(remoteSocketId)) {
+          sfuTracksRef.current.set(remoteSocketId, new Map());
+        }
+        sfuTracksRef.current
+          .get(remoteSocketId)
+          .set(producerId, { track, source });
+        updateSfuStream(remoteSocketId);
+      },
+      onTrackEnded: (remoteSocketId, producerId) => {
+        sfuTracksRef.current.get(remoteSocketId)?.delete(producerId);
+        updateSfuStream(remoteSocketId);
+      },
+    });
+    sfuSessionRef.current = session;
+
+    (async () => {
+      try {
+        await session.start();
+        await session.produce(localStream.getAudioTracks()[0], "microphone");
+        await session.produce(localStream.getVideoTracks()[0], "camera");
+        const screenTrack = screenStreamRef.current?.getVideoTracks()[0];
+        if (screenTrack) await session.produce(screenTrack, "screen");
+        console.log("[Meeting] SFU session started");
+      } catch (err) {
+        console.error("[Meeting] SFU session failed:", err);
+      }
+    })();
+
+    return () => {
+      session.close();
+      sfuSessionRef.current = null;
+      sfuTracksRef.current.clear();
+      // Back to mesh: streams are re-established peer-to-peer by the calling effect
+      closePeerConnections();
+    };
+  }, [topology, localStream, socket]);
 
   // Toggle microphone
   const toggleMic = () => {
@@ -745,6 +909,31 @@ const MeetingRoom = () => {
     }
   };
 
+  // Host controls
+  const hostAction = (event, payload = {}) => {
+    socketRef.current?.emit(event, payload, (response) => {
+      if (!response?.success) {
+        alert(response?.error || "Action failed");
+      }
+    });
+  };
+
+  const admitParticipant = (userId) => hostAction("admit-participant", { userId });
+  const denyParticipant = (userId) => hostAction("deny-participant", { userId });
+  const admitAll = () => hostAction("admit-all");
+  const toggleRoomLock = () => hostAction("set-room-lock", { locked: !roomLocked });
+  const toggleTopology = () =>
+    hostAction("set-topology", {
+      topology: topology === "sfu" ? "mesh" : "sfu",
+    });
+  const toggleRecording = () =>
+    hostAction(recording ? "stop-recording" : "start-recording");
+  const removeParticipant = (participant) => {
+    if (window.confirm(`Remove ${participant.name || participant.userName} from the meeting?`)) {
+      hostAction("remove-participant", { userId: participant.userId });
+    }
+  };
+
   // Copy room ID to clipboard
   const copyRoomId = () => {
     navigator.clipboard.writeText(roomId).then(() => {
@@ -771,10 +960,16 @@ const MeetingRoom = () => {
           video: true,
         });
         setScreenStream(stream);
+        screenStreamRef.current = stream;
         setIsScreenSharing(true);
 
-        // Replace video track in all peer connections
+        // SFU: send the screen as its own track; mesh: replace the camera track
         const videoTrack = stream.getVideoTracks()[0];
+        sfuSessionRef.current
+          ?.produce(videoTrack, "screen")
+          .catch((err) =>
+            console.error("[Meeting] Screen share (SFU) error", err)
+          );
         peerConnectionsRef.current.forEach((pc) => {
           const sender = pc
             .getSenders()
@@ -795,7 +990,9 @@ const MeetingRoom = () => {
       // Stop screen share, revert to camera
       screenStream?.getTracks().forEach((t) => t.stop());
       setScreenStream(null);
+      screenStreamRef.current = null;
       setIsScreenSharing(false);
+      sfuSessionRef.current?.stopProducing("screen");
 
       // Revert to original camera video track
       if (localStream) {
@@ -838,8 +1035,30 @@ const MeetingRoom = () => {
     navigate("/");
   };
 
+  const isHost =
+    !!hostId &&
+    (user?.id?.toString() || user?._id?.toString()) === hostId.toString();
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-purple-900 to-gray-900 flex flex-col">
+      {/* Waiting room */}
+      {waitingForApproval && (
+        <div className="fixed inset-0 z-50 bg-gray-900/95 flex flex-col items-center justify-center gap-4 text-white">
+          <Clock className="w-12 h-12 text-purple-400 animate-pulse" />
+          <h2 className="text-2xl font-semibold">Waiting for the host</h2>
+          <p className="text-gray-400">
+            You'll join the meeting as soon as the host lets you in.
+          </p>
+          <Button
+            variant="ghost"
+            onClick={leaveMeeting}
+            className="text-white hover:bg-white/10"
+          >
+            Leave
+          </Button>
+        </div>
+      )}
+
       {/* Top bar */}
       <div className="bg-black/40 backdrop-blur-md border-b border-white/10 px-4 py-3 flex items-center justify-between">
         <div className="flex items-center gap-3">
@@ -865,14 +1084,77 @@ const MeetingRoom = () => {
           </button>
         </div>
         <div className="flex items-center gap-2">
+          {isHost && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={toggleRoomLock}
+              className="text-white hover:bg-white/10"
+              title={roomLocked ? "Unlock meeting" : "Lock meeting"}
+            >
+              {roomLocked ? (
+                <Lock className="w-5 h-5 text-yellow-400" />
+              ) : (
+                <Unlock className="w-5 h-5" />
+              )}
+            </Button>
+          )}
+          {!isHost && roomLocked && (
+            <Lock className="w-4 h-4 text-yellow-400" title="Meeting is locked" />
+          )}
+          {recording && (
+            <span className="flex items-center gap-1 bg-red-600 text-white text-xs font-bold px-2 py-1 rounded">
+              <Circle className="w-3 h-3 fill-current animate-pulse" />
+              REC
+            </span>
+          )}
+          {isHost && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={toggleTopology}
+              className="text-white hover:bg-white/10"
+              title={
+                topology === "sfu"
+                  ? "Switch to peer-to-peer"
+                  : "Route media through the server (needed to record)"
+              }
+            >
+              <Network
+                className={`w-5 h-5 ${
+                  topology === "sfu" ? "text-blue-400" : ""
+                }`}
+              />
+            </Button>
+          )}
+          {isHost && topology === "sfu" && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={toggleRecording}
+              className="text-white hover:bg-white/10"
+              title={recording ? "Stop recording" : "Start recording"}
+            >
+              {recording ? (
+                <Square className="w-5 h-5 text-red-400" />
+              ) : (
+                <Circle className="w-5 h-5 text-red-400" />
+              )}
+            </Button>
+          )}
           <Button
             variant="ghost"
             size="sm"
             onClick={() => setShowParticipants(!showParticipants)}
-            className="text-white hover:bg-white/10"
+            className="text-white hover:bg-white/10 relative"
           >
             <Users className="w-5 h-5 mr-1" />
             {participants.length + 1} {/* +1 for self */}
+            {isHost && lobby.length > 0 && (
+              <span className="absolute -top-1 -right-1 bg-yellow-500 text-black text-[10px] font-bold rounded-full w-4 h-4 flex items-center justify-center">
+                {lobby.length}
+              </span>
+            )}
           </Button>
           <Button
             variant="ghost"
@@ -899,8 +1181,7 @@ const MeetingRoom = () => {
             />
             <div className="absolute bottom-2 left-2 bg-black/60 text-white px-2 py-1 rounded text-xs flex items-center gap-1">
               {myUserName || user?.name || "You"}
-              {(user?.id?.toString() || user?._id?.toString()) ===
-                hostId?.toString() && (
+              {isHost && (
                 <span className="bg-yellow-500 text-black px-1 rounded text-[10px] font-bold">
                   HOST
                 </span>
@@ -979,16 +1260,64 @@ const MeetingRoom = () => {
               Participants ({participants.length})
             </div>
             <div className="flex-1 overflow-y-auto p-3 space-y-2">
+              {isHost && lobby.length > 0 && (
+                <div className="pb-2 mb-2 border-b border-white/10 space-y-2">
+                  <div className="flex items-center justify-between text-xs text-yellow-400 font-semibold">
+                    <span>Waiting ({lobby.length})</span>
+                    <button
+                      onClick={admitAll}
+                      className="hover:text-yellow-300 underline"
+                    >
+                      Admit all
+                    </button>
+                  </div>
+                  {lobby.map((w) => (
+                    <div
+                      key={w.userId}
+                      className="bg-yellow-500/10 rounded-lg p-2 text-white text-sm flex items-center justify-between"
+                    >
+                      <span className="truncate">{w.userName}</span>
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => admitParticipant(w.userId)}
+                          className="p-1 hover:bg-white/10 rounded"
+                          title="Admit"
+                        >
+                          <UserCheck className="w-4 h-4 text-green-400" />
+                        </button>
+                        <button
+                          onClick={() => denyParticipant(w.userId)}
+                          className="p-1 hover:bg-white/10 rounded"
+                          title="Deny"
+                        >
+                          <UserX className="w-4 h-4 text-red-400" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
               {participants.map((p, i) => (
                 <div
                   key={i}
                   className="bg-white/5 rounded-lg p-2 text-white text-sm flex items-center justify-between"
                 >
                   <div>
-                    <div>{p.name}</div>
+                    <div>{p.name || p.userName}</div>
                     <div className="text-xs text-gray-400">{p.role}</div>
                   </div>
-                  {p.muted && <MicOff className="w-4 h-4 text-red-400" />}
+                  <div className="flex items-center gap-1">
+                    {p.muted && <MicOff className="w-4 h-4 text-red-400" />}
+                    {isHost && p.userId?.toString() !== hostId?.toString() && (
+                      <button
+                        onClick={() => removeParticipant(p)}
+                        className="p-1 hover:bg-white/10 rounded"
+                        title="Remove from meeting"
+                      >
+                        <UserMinus className="w-4 h-4 text-red-400" />
+                      </button>
+                    )}
+                  </div>
                 </div>
               ))}
             </div>
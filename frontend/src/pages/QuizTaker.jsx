@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useContext } from "react";
-import { useParams, Link } from "react-router-dom";
+import { useParams, useSearchParams, Link } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
 import { motion, AnimatePresence } from "framer-motion";
 import {
@@ -40,6 +40,9 @@ import TextToSpeech from "../components/TextToSpeech";
 
 export default function QuizTaker() {
   const { quizId } = useParams();
+  const [searchParams] = useSearchParams();
+  // Set when playing a friend challenge; the result is credited to it server-side
+  const challengeId = searchParams.get("challenge");
   const { user } = useContext(AuthContext);
   const { success, error: showError } = useToast();
 
@@ -52,6 +55,8 @@ export default function QuizTaker() {
   const [score, setScore] = useState(0);
   const [isFinished, setIsFinished] = useState(false);
   const [timeLeft, setTimeLeft] = useState(30);
+  const [answers, setAnswers] = useState([]);
+  const [startedAt, setStartedAt] = useState(() => new Date().toISOString());
   const [answered, setAnswered] = useState(false);
   const [showResult, setShowResult] = useState(false);
 
@@ -88,12 +93,16 @@ export default function QuizTaker() {
       const submitScore = async () => {
         try {
           const token = localStorage.getItem("quizwise-token");
+          // Graded server-side against the answer key; score is only a claim
           const resultData = {
             quizId: quiz._id,
+            answers,
+            startedAt,
+            completedAt: new Date().toISOString(),
             score: score,
-            totalQuestions: quiz.questions.length,
+            ...(challengeId && { challengeId }),
           };
-          await fetch(`${import.meta.env.VITE_API_URL}/api/quizzes/submit`, {
+          await fetch(`${import.meta.env.VITE_API_URL}/api/results/submit`, {
             method: "POST",
             headers: {
               "Content-Type": "application/json",
@@ -107,7 +116,7 @@ export default function QuizTaker() {
       };
       submitScore();
     }
-  }, [isFinished, quiz, score]);
+  }, [isFinished, quiz, score, answers, startedAt, challengeId]);
 
   // Timer logic
   useEffect(() => {
@@ -129,6 +138,16 @@ export default function QuizTaker() {
   const handleAnswerSelect = (option) => {
     if (selectedAnswer) return;
     setSelectedAnswer(option || "timeout"); // Mark as timeout if no option
+    const question = quiz.questions[currentQuestionIndex];
+    // Timed-out questions are sent unanswered so an all-timeout attempt still submits
+    setAnswers((prev) => [
+      ...prev,
+      {
+        questionId: question._id,
+        selectedAnswer: option || null,
+        timeSpent: (30 - timeLeft) * 1000,
+      },
+    ]);
     if (option === quiz.questions[currentQuestionIndex].correct_answer) {
       setScore((prev) => prev + 1);
       correctSound.play();
@@ -153,6 +172,8 @@ export default function QuizTaker() {
     setScore(0);
     setIsFinished(false);
     setTimeLeft(30);
+    setAnswers([]);
+    setStartedAt(new Date().toISOString());
   };
 
   // Enhanced loading and error states
@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Brain, RefreshCw, CheckCircle, ArrowRight, Flame } from "lucide-react";
+import QuizDisplay from "../components/QuizDisplay";
+import Button from "../components/ui/Button";
+
+const API_URL = import.meta.env.VITE_API_URL;
+
+const authHeaders = () => ({
+  "Content-Type": "application/json",
+  "x-auth-token": localStorage.getItem("quizwise-token"),
+});
+
+export default function ReviewSession() {
+  const [cards, setCards] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [current, setCurrent] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState("");
+  const shownAt = useRef(Date.now());
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const response = await fetch(`${API_URL}/api/reviews/due`, {
+        headers: authHeaders(),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || "Could not load your reviews.");
+
+      setCards(data.data.cards);
+      setSummary(data.data.summary);
+      setCurrent(0);
+      setSelected(null);
+      setOutcome(null);
+      shownAt.current = Date.now();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const syncHistory = async () => {
+    setSyncing(true);
+    try {
+      const response = await fetch(`${API_URL}/api/reviews/sync`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({}),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || "Could not sync your past quizzes.");
+      await loadQueue();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const checkAnswer = async () => {
+    const card = cards[current];
+    if (!card || selected === null || selected === "") return;
+
+    setSubmitting(true);
+    try {
+      const response = await fetch(`${API_URL}/api/reviews/${card.id}/review`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({
+          selectedAnswer: selected,
+          timeSpent: Date.now() - shownAt.current,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || "Could not record your answer.");
+
+      setOutcome(data.data);
+      setSummary(data.data.summary);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const nextCard = () => {
+    setCurrent((index) => index + 1);
+    setSelected(null);
+    setOutcome(null);
+    shownAt.current = Date.now();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <RefreshCw className="w-8 h-8 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  const card = cards[current];
+  const goal = summary?.streakGoal || 0;
+  const reviewedToday = summary?.reviewedToday || 0;
+
+  return (
+    <div className="max-w-3xl mx-auto py-8 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Brain className="w-8 h-8 text-indigo-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Review</h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Questions you missed, spaced out so they stick
+            </p>
+          </div>
+        </div>
+        {summary && (
+          <div className="flex items-center gap-2 text-sm font-medium text-orange-600 dark:text-orange-400">
+            <Flame className="w-5 h-5" />
+            {Math.min(reviewedToday, goal)}/{goal} today
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-lg text-red-700 dark:text-red-300">
+          {error}
+        </div>
+      )}
+
+      {card ? (
+        <motion.div key={card.id} initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+          <QuizDisplay
+            mode="review"
+            quizData={[card]}
+            title={card.quizTitle}
+            subtitle={`Card ${current + 1} of ${cards.length} · ${card.category}`}
+            selections={{ 0: selected }}
+            revealed={outcome ? { 0: outcome } : {}}
+            onSelect={(index, answer) => setSelected(answer)}
+          >
+            <div className="flex justify-end">
+              {outcome ? (
+                <Button onClick={nextCard}>
+                  {current + 1 < cards.length ? "Next card" : "Finish"}
+                  <ArrowRight className="w-4 h-4 ml-2" />
+                </Button>
+              ) : (
+                <Button
+                  onClick={checkAnswer}
+                  loading={submitting}
+                  disabled={selected === null || selected === ""}
+                >
+                  Check answer
+                </Button>
+              )}
+            </div>
+          </QuizDisplay>
+        </motion.div>
+      ) : (
+        <div className="text-center p-10 bg-white dark:bg-gray-800 rounded-xl shadow-md border border-gray-200 dark:border-gray-700">
+          <CheckCircle className="w-12 h-12 mx-auto text-green-500" />
+          <h2 className="mt-4 text-xl font-bold text-gray-900 dark:text-white">
+            {summary?.totalCards ? "All caught up!" : "Nothing to review yet"}
+          </h2>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">
+            {summary?.nextDueAt
+              ? `Your next review is due ${new Date(summary.nextDueAt).toLocaleString()}.`
+              : "Questions you answer incorrectly in quizzes will show up here."}
+          </p>
+          <div className="mt-6 flex flex-col sm:flex-row gap-3 justify-center">
+            {!summary?.totalCards && (
+              <Button variant="outline" onClick={syncHistory} loading={syncing}>
+                Add mistakes from past quizzes
+              </Button>
+            )}
+            <Link to="/quizzes">
+              <Button>Take a quiz</Button>
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
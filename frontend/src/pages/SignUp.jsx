@@ -221,7 +221,7 @@ export default function SignUp() {
 
       if (response.ok) {
         const token = data.token || data.data?.accessToken;
-        login(token);
+        login(token, data.data?.refreshToken);
         setMessage("Account created successfully!");
 
         // Redirect based on user role
@@ -79,7 +79,7 @@ const SocialDashboard = () => {
       );
       const data = await response.json();
       if (response.ok) {
-        setChallenges(data.challenges || []);
+        setChallenges(data.data || []);
       }
     } catch (error) {
       console.error("Error fetching challenges:", error);
@@ -185,6 +185,32 @@ const SocialDashboard = () => {
     }
   };
 
+  const respondToChallenge = async (challengeId, action) => {
+    try {
+      const token = localStorage.getItem("quizwise-token");
+      const response = await fetch(
+        `${import.meta.env.VITE_API_URL}/api/challenges/${challengeId}/${action}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-auth-token": token,
+          },
+        }
+      );
+
+      if (response.ok) {
+        fetchChallenges(); // Refresh challenges list
+      } else {
+        const error = await response.json();
+        alert(error.message || `Failed to ${action} challenge`);
+      }
+    } catch (error) {
+      console.error(`Error ${action}ing challenge:`, error);
+      alert(`Failed to ${action} challenge`);
+    }
+  };
+
   const markNotificationAsRead = async (notificationId) => {
     try {
       const token = localStorage.getItem("quizwise-token");
@@ -389,6 +415,53 @@ const SocialDashboard = () => {
                   </p>
                 </div>
 
+                {/* Challenge Actions */}
+                {challenge.status === "pending" &&
+                  challenge.challenged._id === user.id && (
+                    <div className="mb-3 flex gap-2">
+                      <button
+                        onClick={() => respondToChallenge(challenge._id, "accept")}
+                        className="bg-green-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-green-700 flex items-center gap-1"
+                      >
+                        <CheckCircle className="w-3 h-3" />
+                        Accept
+                      </button>
+                      <button
+                        onClick={() => respondToChallenge(challenge._id, "decline")}
+                        className="bg-red-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-red-700 flex items-center gap-1"
+                      >
+                        <X className="w-3 h-3" />
+                        Decline
+                      </button>
+                    </div>
+                  )}
+                {["pending", "accepted"].includes(challenge.status) &&
+                  (challenge.challenger._id === user.id
+                    ? !challenge.challengerResult
+                    : challenge.status === "accepted" &&
+                      !challenge.challengedResult) && (
+                    <div className="mb-3 flex items-center gap-3">
+                      <button
+                        onClick={() =>
+                          (window.location.href = `/quiz/${challenge.quiz._id}?challenge=${challenge._id}`)
+                        }
+                        className="bg-purple-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-purple-700 flex items-center gap-1"
+                      >
+                        <Gamepad2 className="w-3 h-3" />
+                        Play
+                      </button>
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        Ends {new Date(challenge.expiresAt).toLocaleString()}
+                      </span>
+                    </div>
+                  )}
+
+                {challenge.status === "completed" && challenge.isDraw && (
+                  <div className="bg-blue-50 dark:bg-blue-900 border border-blue-200 dark:border-blue-700 rounded-lg p-3 text-blue-800 dark:text-blue-200 font-medium">
+                    It's a draw!
+                  </div>
+                )}
+
                 {challenge.status === "completed" && challenge.winner && (
                   <div className="bg-yellow-50 dark:bg-yellow-900 border border-yellow-200 dark:border-yellow-700 rounded-lg p-3">
                     <div className="flex items-center gap-2 text-yellow-800 dark:text-yellow-200">
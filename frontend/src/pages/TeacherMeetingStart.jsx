@@ -2,7 +2,7 @@ import React, { useState, useContext } from "react";
 import { useNavigate } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
 import { Button } from "../components/ui/Button";
-import { Video, Copy, Star, Sparkles, Users, Rocket } from "lucide-react";
+import { Video, Copy, Star, Sparkles, Users, Rocket, ShieldCheck } from "lucide-react";
 import { motion } from "framer-motion";
 import { getApiUrl } from "../lib/apiConfig";
 
@@ -13,6 +13,7 @@ const TeacherMeetingStart = () => {
   const [roomId, setRoomId] = useState("");
   const [isCreating, setIsCreating] = useState(false);
   const [createdRoomId, setCreatedRoomId] = useState("");
+  const [requireApproval, setRequireApproval] = useState(false);
 
   const createMeeting = async () => {
     if (!user) {
@@ -44,6 +45,7 @@ const TeacherMeetingStart = () => {
           description: "",
           hostId: user?.id || user?._id,
           hostName: user?.name || user?.username || "Teacher",
+          settings: { requireApproval },
         }),
       });
 
@@ -177,6 +179,26 @@ const TeacherMeetingStart = () => {
                       />
                     </div>
 
+                    {/* Waiting Room Toggle */}
+                    <label className="flex items-start gap-3 px-4 py-3 bg-white/60 backdrop-blur-md border-2 border-violet-200 rounded-xl cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={requireApproval}
+                        onChange={(e) => setRequireApproval(e.target.checked)}
+                        className="mt-1 w-4 h-4 accent-violet-600"
+                      />
+                      <div>
+                        <span className="text-slate-900 text-sm font-bold flex items-center gap-2">
+                          <ShieldCheck className="w-4 h-4 text-violet-600" />
+                          Waiting Room
+                        </span>
+                        <span className="text-xs text-slate-600">
+                          Students wait until you admit them. You can also lock
+                          the room and remove participants during the meeting.
+                        </span>
+                      </div>
+                    </label>
+
                     {/* Create Button */}
                     <motion.button
                       onClick={createMeeting}
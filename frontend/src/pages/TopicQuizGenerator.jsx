@@ -80,6 +80,7 @@ export default function TopicQuizGenerator() {
   const [adaptiveInfo, setAdaptiveInfo] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [generatedQuiz, setGeneratedQuiz] = useState(null);
+  const [quality, setQuality] = useState(null);
   const [error, setError] = useState("");
 
   // Fetch adaptive difficulty recommendation
@@ -115,6 +116,7 @@ export default function TopicQuizGenerator() {
     e.preventDefault();
     setIsLoading(true);
     setGeneratedQuiz(null);
+    setQuality(null);
     setError("");
 
     try {
@@ -147,6 +149,7 @@ export default function TopicQuizGenerator() {
       // Direct synchronous response
       if (data.quiz?.questions) {
         setGeneratedQuiz(data.quiz.questions);
+        setQuality(data.quality || null);
         if (data.adaptiveInfo) {
           setAdaptiveInfo(data.adaptiveInfo);
         }
@@ -202,6 +205,7 @@ export default function TopicQuizGenerator() {
           
           if (questions && Array.isArray(questions) && questions.length > 0) {
             setGeneratedQuiz(questions);
+            setQuality(jobData.result.quality || null);
             setIsLoading(false);
             return;
           } else {
@@ -229,13 +233,20 @@ export default function TopicQuizGenerator() {
 
   const handleRetry = () => {
     setGeneratedQuiz(null);
+    setQuality(null);
     setError("");
     setTopic("");
   };
 
   if (isLoading) return <LoadingSpinner />;
   if (generatedQuiz)
-    return <QuizDisplay quizData={generatedQuiz} onRetry={handleRetry} />;
+    return (
+      <QuizDisplay
+        quizData={generatedQuiz}
+        quality={quality}
+        onRetry={handleRetry}
+      />
+    );
 
   return (
     <motion.div
@@ -0,0 +1,468 @@
+import { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useSocket } from "../context/SocketContext";
+import { motion } from "framer-motion";
+import { Trophy, Users, ArrowLeft, Swords, Play, XCircle } from "lucide-react";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const FORMAT_LABELS = {
+  "single-elimination": "Single Elimination",
+  "double-elimination": "Double Elimination",
+  swiss: "Swiss",
+};
+
+const BRACKET_LABELS = {
+  winners: "Winners Bracket",
+  losers: "Losers Bracket",
+  final: "Grand Final",
+  swiss: "Rounds",
+};
+
+const RESULT_LABELS = {
+  bye: "Bye",
+  draw: "Draw",
+  forfeit: "Forfeit",
+  "no-show": "No-show",
+  skipped: "Not needed",
+};
+
+const MEDALS = ["🥇", "🥈", "🥉"];
+
+/**
+ * Matches grouped into bracket sections, each split into round columns
+ */
+function groupMatches(matches) {
+  const sections = [];
+  for (const bracket of Object.keys(BRACKET_LABELS)) {
+    const inBracket = matches.filter((match) => match.bracket === bracket);
+    if (inBracket.length === 0) continue;
+
+    const rounds = [...new Set(inBracket.map((match) => match.round))].sort(
+      (a, b) => a - b
+    );
+    sections.push({
+      bracket,
+      rounds: rounds.map((round) =>
+        inBracket
+          .filter((match) => match.round === round)
+          .sort((a, b) => a.index - b.index)
+      ),
+    });
+  }
+  return sections;
+}
+
+const MatchCard = ({ match, userId }) => {
+  const isMine = [match.player1, match.player2].some(
+    (player) => player && player.userId === userId
+  );
+
+  const renderPlayer = (player, slot) => {
+    const won = match.winner && player && match.winner === player.userId;
+    return (
+      <div
+        className={`flex items-center justify-between gap-2 px-3 py-1.5 ${
+          won
+            ? "font-bold text-green-700 dark:text-green-400"
+            : "text-gray-700 dark:text-gray-300"
+        }`}
+      >
+        <span className="truncate">
+          {player ? (
+            <>
+              <span className="text-xs text-gray-400 mr-1">{player.seed}</span>
+              {player.username}
+            </>
+          ) : (
+            <span className="italic text-gray-400">
+              {match.status === "completed" ? "—" : "TBD"}
+            </span>
+          )}
+        </span>
+        {match.scores && <span>{match.scores[slot]}</span>}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className={`w-52 rounded-lg border bg-white dark:bg-gray-800 text-sm shadow ${
+        isMine
+          ? "border-orange-400 dark:border-orange-500"
+          : "border-gray-200 dark:border-gray-700"
+      } ${match.status === "ready" ? "ring-2 ring-red-400" : ""}`}
+    >
+      {renderPlayer(match.player1, "player1")}
+      <div className="border-t border-gray-100 dark:border-gray-700" />
+      {renderPlayer(match.player2, "player2")}
+      {RESULT_LABELS[match.result] && (
+        <div className="px-3 pb-1 text-xs text-gray-400">
+          {RESULT_LABELS[match.result]}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TournamentBracket = () => {
+  const { tournamentId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { socket, isConnected } = useSocket();
+  const [tournament, setTournament] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const userId = user?._id || user?.id || user?.userId;
+  const apiUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
+  const token =
+    localStorage.getItem("quizwise-token") || localStorage.getItem("token");
+
+  useEffect(() => {
+    const fetchTournament = async () => {
+      try {
+        const response = await fetch(
+          `${apiUrl}/api/tournaments/${tournamentId}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || "Failed to fetch tournament");
+        }
+        setTournament(result.data.tournament);
+      } catch (err) {
+        console.error("Error fetching tournament:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTournament();
+  }, [apiUrl, token, tournamentId]);
+
+  // Live bracket
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    socket.emit("watch-tournament", { tournamentId }, (response) => {
+      if (response?.success) setTournament(response.tournament);
+    });
+
+    const handleUpdated = (data) => {
+      if (data.id === tournamentId) setTournament(data);
+    };
+
+    socket.on("tournament-updated", handleUpdated);
+
+    return () => {
+      socket.off("tournament-updated", handleUpdated);
+      socket.emit("unwatch-tournament", { tournamentId });
+    };
+  }, [socket, isConnected, tournamentId]);
+
+  const callApi = async (path, method, fallbackMessage) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await fetch(
+        `${apiUrl}/api/tournaments/${tournamentId}${path}`,
+        {
+          method,
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({}),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message || fallbackMessage);
+      setTournament(result.data.tournament);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+
+  if (!tournament) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-gray-600 dark:text-gray-400">
+          {error || "Tournament not found"}
+        </p>
+      </div>
+    );
+  }
+
+  const isOrganizer =
+    tournament.createdBy.userId === userId || user?.role === "Admin";
+  const isRegistered = tournament.participants.some(
+    (participant) => participant.userId === userId
+  );
+  const isOpen = tournament.status === "registration";
+  const myMatch = tournament.matches.find(
+    (match) =>
+      match.status === "ready" &&
+      match.duelMatchId &&
+      [match.player1, match.player2].some(
+        (player) => player && player.userId === userId
+      )
+  );
+  const sections = groupMatches(tournament.matches);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-red-50 to-orange-50 dark:from-gray-900 dark:via-purple-900 dark:to-red-900 py-8 px-4">
+      <div className="max-w-7xl mx-auto">
+        <button
+          onClick={() => navigate("/tournaments")}
+          className="mb-4 flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 transition"
+        >
+          <ArrowLeft className="w-5 h-5" />
+          All Tournaments
+        </button>
+
+        {/* Header */}
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-8 mb-6">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div className="flex items-center gap-4">
+              <div className="w-16 h-16 bg-gradient-to-br from-yellow-500 to-orange-500 rounded-full flex items-center justify-center">
+                <Trophy className="w-8 h-8 text-white" />
+              </div>
+              <div>
+                <h1 className="text-3xl font-bold text-gray-800 dark:text-white">
+                  {tournament.name}
+                </h1>
+                <p className="text-gray-600 dark:text-gray-300">
+                  {FORMAT_LABELS[tournament.format]} • {tournament.category} •{" "}
+                  {tournament.quiz.title}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400 flex items-center gap-1">
+                  <Users className="w-4 h-4" />
+                  {tournament.participants.length} /{" "}
+                  {tournament.maxParticipants} players • Organized by{" "}
+                  {tournament.createdBy.username}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              {isOpen && !isRegistered && (
+                <button
+                  onClick={() =>
+                    callApi("/register", "POST", "Failed to register")
+                  }
+                  disabled={busy}
+                  className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 disabled:from-gray-400 disabled:to-gray-500 text-white rounded-xl font-bold transition"
+                >
+                  Register
+                </button>
+              )}
+              {isOpen && isRegistered && (
+                <button
+                  onClick={() =>
+                    callApi("/register", "DELETE", "Failed to withdraw")
+                  }
+                  disabled={busy}
+                  className="px-6 py-3 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-xl font-bold transition"
+                >
+                  Withdraw
+                </button>
+              )}
+              {isOpen && isOrganizer && (
+                <button
+                  onClick={() =>
+                    callApi("/start", "POST", "Failed to start tournament")
+                  }
+                  disabled={busy || tournament.participants.length < 2}
+                  className="px-6 py-3 bg-gradient-to-r from-red-500 to-orange-500 hover:from-red-600 hover:to-orange-600 disabled:from-gray-400 disabled:to-gray-500 text-white rounded-xl font-bold flex items-center gap-2 transition"
+                >
+                  <Play className="w-5 h-5" />
+                  Start
+                </button>
+              )}
+              {(isOpen || tournament.status === "active") && isOrganizer && (
+                <button
+                  onClick={() =>
+                    callApi("/cancel", "POST", "Failed to cancel tournament")
+                  }
+                  disabled={busy}
+                  className="px-6 py-3 bg-red-100 hover:bg-red-200 dark:bg-red-900/30 dark:hover:bg-red-900/50 text-red-700 dark:text-red-300 rounded-xl font-bold flex items-center gap-2 transition"
+                >
+                  <XCircle className="w-5 h-5" />
+                  Cancel
+                </button>
+              )}
+            </div>
+          </div>
+
+          {tournament.description && (
+            <p className="mt-4 text-gray-600 dark:text-gray-300">
+              {tournament.description}
+            </p>
+          )}
+          {isOpen && tournament.startsAt && (
+            <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+              Starts automatically at{" "}
+              {new Date(tournament.startsAt).toLocaleString()}
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl p-4 mb-6">
+            <p className="text-red-600 dark:text-red-400">{error}</p>
+          </div>
+        )}
+
+        {/* Your match */}
+        {myMatch && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-gradient-to-r from-red-500 to-orange-500 rounded-2xl shadow-xl p-6 mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4 text-white"
+          >
+            <div>
+              <h2 className="text-xl font-bold">Your match is ready!</h2>
+              <p className="text-white/90">
+                {myMatch.player1?.username} vs {myMatch.player2?.username}
+                {myMatch.deadline &&
+                  ` • Join before ${new Date(
+                    myMatch.deadline
+                  ).toLocaleTimeString()} or forfeit`}
+              </p>
+            </div>
+            <button
+              onClick={() => navigate(`/duel/match/${myMatch.duelMatchId}`)}
+              className="px-6 py-3 bg-white text-red-600 rounded-xl font-bold flex items-center gap-2 hover:bg-gray-100 transition"
+            >
+              <Swords className="w-5 h-5" />
+              Play your match
+            </button>
+          </motion.div>
+        )}
+
+        {/* Bracket */}
+        {sections.map((section) => (
+          <div
+            key={section.bracket}
+            className="bg-white/60 dark:bg-gray-800/60 rounded-2xl shadow p-6 mb-6"
+          >
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">
+              {BRACKET_LABELS[section.bracket]}
+            </h2>
+            <div className="flex gap-6 overflow-x-auto pb-2">
+              {section.rounds.map((matches) => (
+                <div
+                  key={matches[0].round}
+                  className="flex flex-col justify-around gap-4 shrink-0"
+                >
+                  <h3 className="text-sm font-semibold text-gray-500 dark:text-gray-400">
+                    {section.bracket === "final"
+                      ? `Game ${matches[0].round}`
+                      : `Round ${matches[0].round}`}
+                  </h3>
+                  {matches.map((match) => (
+                    <MatchCard key={match.key} match={match} userId={userId} />
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {isOpen && (
+          <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-6">
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">
+              Registered Players
+            </h2>
+            {tournament.participants.length === 0 ? (
+              <p className="text-gray-600 dark:text-gray-400">
+                Nobody has registered yet
+              </p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {tournament.participants.map((participant) => (
+                  <span
+                    key={participant.userId}
+                    className="px-3 py-1 rounded-full bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 text-sm"
+                  >
+                    {participant.username}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Standings */}
+        {tournament.standings?.length > 0 && (
+          <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6">
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">
+              {tournament.status === "completed"
+                ? "Final Standings"
+                : "Standings"}
+            </h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-2">#</th>
+                  <th className="py-2">Player</th>
+                  <th className="py-2 text-center">W</th>
+                  <th className="py-2 text-center">D</th>
+                  <th className="py-2 text-center">L</th>
+                  {tournament.format === "swiss" && (
+                    <>
+                      <th className="py-2 text-center">Points</th>
+                      <th className="py-2 text-center">Buchholz</th>
+                    </>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {tournament.standings.map((row) => (
+                  <tr
+                    key={row.userId}
+                    className={`border-t border-gray-100 dark:border-gray-700 ${
+                      row.userId === userId
+                        ? "bg-orange-50 dark:bg-orange-900/20"
+                        : ""
+                    } ${
+                      row.eliminated
+                        ? "text-gray-400"
+                        : "text-gray-800 dark:text-gray-200"
+                    }`}
+                  >
+                    <td className="py-2">
+                      {tournament.status === "completed" &&
+                      MEDALS[row.place - 1]
+                        ? MEDALS[row.place - 1]
+                        : row.place}
+                    </td>
+                    <td className="py-2">{row.username}</td>
+                    <td className="py-2 text-center">{row.wins}</td>
+                    <td className="py-2 text-center">{row.draws}</td>
+                    <td className="py-2 text-center">{row.losses}</td>
+                    {tournament.format === "swiss" && (
+                      <>
+                        <td className="py-2 text-center">{row.points}</td>
+                        <td className="py-2 text-center">{row.buchholz}</td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TournamentBracket;
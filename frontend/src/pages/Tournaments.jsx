@@ -0,0 +1,326 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { motion } from "framer-motion";
+import { Trophy, Users, ArrowLeft, Plus, Calendar } from "lucide-react";
+import LoadingSpinner from "../components/LoadingSpinner";
+
+const FORMAT_LABELS = {
+  "single-elimination": "Single Elimination",
+  "double-elimination": "Double Elimination",
+  swiss: "Swiss",
+};
+
+const STATUS_STYLES = {
+  registration:
+    "bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300",
+  active: "bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300",
+  completed: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300",
+  cancelled: "bg-gray-100 text-gray-400 dark:bg-gray-700 dark:text-gray-500",
+};
+
+const STATUS_LABELS = {
+  registration: "Open",
+  active: "Live",
+  completed: "Finished",
+  cancelled: "Cancelled",
+};
+
+const Tournaments = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [tournaments, setTournaments] = useState([]);
+  const [quizzes, setQuizzes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState({
+    name: "",
+    description: "",
+    format: "single-elimination",
+    quizId: "",
+    maxParticipants: 16,
+    swissRounds: "",
+    startsAt: "",
+  });
+
+  const canOrganize = user?.role === "Teacher" || user?.role === "Admin";
+  const apiUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
+  const token =
+    localStorage.getItem("quizwise-token") || localStorage.getItem("token");
+
+  useEffect(() => {
+    const fetchTournaments = async () => {
+      try {
+        const headers = { Authorization: `Bearer ${token}` };
+        const requests = [fetch(`${apiUrl}/api/tournaments`, { headers })];
+        if (canOrganize) {
+          requests.push(fetch(`${apiUrl}/api/quizzes?limit=100`, { headers }));
+        }
+        const [response, quizResponse] = await Promise.all(requests);
+
+        if (!response.ok) throw new Error("Failed to fetch tournaments");
+        const result = await response.json();
+        setTournaments(result.data?.tournaments || []);
+
+        if (quizResponse?.ok) {
+          const quizResult = await quizResponse.json();
+          setQuizzes(
+            (quizResult.data?.quizzes || []).filter(
+              (quiz) => quiz.questions && quiz.questions.length > 0
+            )
+          );
+        }
+      } catch (err) {
+        console.error("Error fetching tournaments:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTournaments();
+  }, [apiUrl, token, canOrganize]);
+
+  const updateForm = (field) => (event) =>
+    setForm((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const createTournament = async (event) => {
+    event.preventDefault();
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${apiUrl}/api/tournaments`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          name: form.name,
+          description: form.description,
+          format: form.format,
+          quizId: form.quizId,
+          maxParticipants: Number(form.maxParticipants),
+          swissRounds:
+            form.format === "swiss" && form.swissRounds
+              ? Number(form.swissRounds)
+              : undefined,
+          startsAt: form.startsAt
+            ? new Date(form.startsAt).toISOString()
+            : undefined,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to create tournament");
+      }
+      navigate(`/tournaments/${result.data.tournament.id}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-red-50 to-orange-50 dark:from-gray-900 dark:via-purple-900 dark:to-red-900 py-8 px-4">
+      <div className="max-w-6xl mx-auto">
+        <button
+          onClick={() => navigate("/duel")}
+          className="mb-4 flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 transition"
+        >
+          <ArrowLeft className="w-5 h-5" />
+          Back to Duels
+        </button>
+
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-8 mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <div className="w-16 h-16 bg-gradient-to-br from-yellow-500 to-orange-500 rounded-full flex items-center justify-center">
+              <Trophy className="w-8 h-8 text-white" />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-800 dark:text-white">
+                Duel Tournaments
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300">
+                Register, battle through the bracket and claim the trophy
+              </p>
+            </div>
+          </div>
+          {canOrganize && (
+            <button
+              onClick={() => setShowCreate((prev) => !prev)}
+              className="px-6 py-3 bg-gradient-to-r from-red-500 to-orange-500 hover:from-red-600 hover:to-orange-600 text-white rounded-xl font-bold flex items-center gap-2 transition shadow-lg"
+            >
+              <Plus className="w-5 h-5" />
+              New Tournament
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl p-4 mb-6">
+            <p className="text-red-600 dark:text-red-400">{error}</p>
+          </div>
+        )}
+
+        {showCreate && (
+          <motion.form
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            onSubmit={createTournament}
+            className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-8 grid grid-cols-1 md:grid-cols-2 gap-4"
+          >
+            <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+              Name
+              <input
+                required
+                value={form.name}
+                onChange={updateForm("name")}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-white"
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+              Quiz
+              <select
+                required
+                value={form.quizId}
+                onChange={updateForm("quizId")}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-white"
+              >
+                <option value="">Choose a quiz</option>
+                {quizzes.map((quiz) => (
+                  <option key={quiz._id} value={quiz._id}>
+                    {quiz.title} ({quiz.category || "General"})
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+              Format
+              <select
+                value={form.format}
+                onChange={updateForm("format")}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-white"
+              >
+                {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+              Max players
+              <input
+                type="number"
+                min="2"
+                max="128"
+                value={form.maxParticipants}
+                onChange={updateForm("maxParticipants")}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-white"
+              />
+            </label>
+            {form.format === "swiss" && (
+              <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+                Rounds (blank: enough for a clear winner)
+                <input
+                  type="number"
+                  min="1"
+                  max="20"
+                  value={form.swissRounds}
+                  onChange={updateForm("swissRounds")}
+                  className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-white"
+                />
+              </label>
+            )}
+            <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+              Start automatically at (optional)
+              <input
+                type="datetime-local"
+                value={form.startsAt}
+                onChange={updateForm("startsAt")}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-white"
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300 md:col-span-2">
+              Description
+              <textarea
+                rows="2"
+                value={form.description}
+                onChange={updateForm("description")}
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-white"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={creating}
+              className="md:col-span-2 px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 disabled:from-gray-400 disabled:to-gray-500 text-white rounded-xl font-bold transition"
+            >
+              {creating ? "Creating..." : "Create Tournament"}
+            </button>
+          </motion.form>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {tournaments.map((tournament) => (
+            <motion.div
+              key={tournament.id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              whileHover={{ y: -5 }}
+              onClick={() => navigate(`/tournaments/${tournament.id}`)}
+              className="bg-white dark:bg-gray-800 rounded-xl shadow-lg hover:shadow-2xl transition p-6 cursor-pointer"
+            >
+              <div className="flex items-start justify-between mb-3">
+                <h3 className="text-lg font-bold text-gray-800 dark:text-white line-clamp-2">
+                  {tournament.name}
+                </h3>
+                <span
+                  className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                    STATUS_STYLES[tournament.status]
+                  }`}
+                >
+                  {STATUS_LABELS[tournament.status]}
+                </span>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                {FORMAT_LABELS[tournament.format]} • {tournament.category}
+                {tournament.quizTitle && ` • ${tournament.quizTitle}`}
+              </p>
+              <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400">
+                <span className="flex items-center gap-1">
+                  <Users className="w-4 h-4" />
+                  {tournament.participantCount} / {tournament.maxParticipants}
+                </span>
+                {tournament.startsAt &&
+                  tournament.status === "registration" && (
+                    <span className="flex items-center gap-1">
+                      <Calendar className="w-4 h-4" />
+                      {new Date(tournament.startsAt).toLocaleString()}
+                    </span>
+                  )}
+              </div>
+            </motion.div>
+          ))}
+        </div>
+
+        {tournaments.length === 0 && (
+          <div className="text-center py-12">
+            <p className="text-gray-600 dark:text-gray-400">
+              No tournaments yet
+              {canOrganize ? " - create the first one!" : ""}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Tournaments;
@@ -194,6 +194,15 @@ app.use(
   })
 );
 
+// Route to Question Bank
+app.use(
+  "/api/question-bank",
+  createProxyMiddleware({
+    ...proxyOptions,
+    target: SERVICES.QUIZ,
+  })
+);
+
 // Route to Quiz Generation endpoints (new microservice routes)
 app.use(
   "/api/generate",
@@ -275,6 +284,26 @@ app.use(
   })
 );
 
+// Route to Spaced Repetition Reviews (Result Service)
+app.use(
+  "/api/reviews",
+  createProxyMiddleware({
+    ...proxyOptions,
+    target: SERVICES.RESULT,
+    pathRewrite: { "^/api/reviews": "/api/reviews" },
+  })
+);
+
+// Route to Mastery Profiles (Result Service)
+app.use(
+  "/api/mastery",
+  createProxyMiddleware({
+    ...proxyOptions,
+    target: SERVICES.RESULT,
+    pathRewrite: { "^/api/mastery": "/api/mastery" },
+  })
+);
+
 // Route to Live Service (REST endpoints)
 app.use(
   "/api/live-sessions",
@@ -285,6 +314,26 @@ app.use(
   })
 );
 
+// Route to Duel Ratings (Live Service)
+app.use(
+  "/api/duel-ratings",
+  createProxyMiddleware({
+    ...proxyOptions,
+    target: SERVICES.LIVE,
+    pathRewrite: { "^/api/duel-ratings": "/api/duel-ratings" },
+  })
+);
+
+// Route to Duel Tournaments (Live Service)
+app.use(
+  "/api/tournaments",
+  createProxyMiddleware({
+    ...proxyOptions,
+    target: SERVICES.LIVE,
+    pathRewrite: { "^/api/tournaments": "/api/tournaments" },
+  })
+);
+
 // Route to Meeting Service (REST endpoints)
 app.use(
   "/api/meetings",
@@ -378,6 +427,16 @@ app.use(
   })
 );
 
+// Route to Streaks (Gamification Service)
+app.use(
+  "/api/streaks",
+  createProxyMiddleware({
+    ...proxyOptions,
+    target: SERVICES.GAMIFICATION,
+    pathRewrite: { "^/api/streaks": "/api/streaks" },
+  })
+);
+
 // Route to Moderation Service
 app.use(
   "/api/reports",
@@ -34,6 +34,12 @@ const UserSchema = new mongoose.Schema(
       default: "Student",
       required: true,
     },
+    // Organization the user belongs to; carried in the token as tenantId
+    // (quiz-service picks the AI provider per tenant)
+    tenantId: {
+      type: String,
+      default: null,
+    },
     status: {
       type: String,
       enum: ["online", "offline", "away"],
@@ -29,7 +29,7 @@ const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 /**
  * Generate JWT tokens
  */
-function generateTokens(userId, role, name = null, picture = null) {
+function generateTokens(userId, role, name = null, picture = null, tenantId = null) {
   // Debug: Check if JWT_SECRET is loaded
   if (!process.env.JWT_SECRET) {
     logger.error("JWT_SECRET is not defined in environment variables!");
@@ -37,13 +37,13 @@ function generateTokens(userId, role, name = null, picture = null) {
   }
 
   const accessToken = jwt.sign(
-    { user: { id: userId, userId, role, name, picture } }, // Add name and picture for frontend
+    { user: { id: userId, userId, role, name, picture, tenantId } }, // Add name and picture for frontend
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRY || "7d" }
   );
 
   const refreshToken = jwt.sign(
-    { user: { id: userId, userId, role, name, picture }, type: "refresh" }, // Add name and picture for frontend
+    { user: { id: userId, userId, role, name, picture, tenantId }, type: "refresh" }, // Add name and picture for frontend
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, // Fallback to JWT_SECRET if refresh secret not set
     { expiresIn: process.env.JWT_REFRESH_EXPIRY || "30d" }
   );
@@ -106,7 +106,8 @@ router.post(
         newUser._id,
         newUser.role,
         newUser.name,
-        newUser.picture
+        newUser.picture,
+        newUser.tenantId
       );
 
       // Store hashed refresh token
@@ -192,7 +193,8 @@ router.post(
         user._id,
         user.role,
         user.name,
-        user.picture
+        user.picture,
+        user.tenantId
       );
 
       // Store hashed refresh token
@@ -291,7 +293,8 @@ router.post("/google", authLimiter, async (req, res) => {
       user._id,
       user.role,
       user.name,
-      user.picture
+      user.picture,
+      user.tenantId
     );
 
     // Store hashed refresh token
@@ -377,16 +380,13 @@ router.post("/refresh", async (req, res) => {
       user._id,
       user.role,
       user.name,
-      user.picture
+      user.picture,
+      user.tenantId
     );
 
     logger.info(`Token refreshed for user: ${user.email}`);
 
-    res.json(
-      ApiResponse.success({
-        accessToken,
-      })
-    );
+    return ApiResponse.success(res, { accessToken }, "Token refreshed");
   } catch (error) {
     logger.error("Token refresh error:", error);
     return ApiResponse.unauthorized(res, "Invalid refresh token");
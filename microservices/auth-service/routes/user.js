@@ -444,6 +444,44 @@ router.put('/:id/role', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/users/:id/tenant
+ * @desc    Assign a user to a tenant, or clear it with null (Admin only).
+ *          Takes effect on the user's next login or token refresh.
+ * @access  Private (Admin)
+ */
+router.put('/:id/tenant', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { tenantId } = req.body;
+
+    if (tenantId !== null && (typeof tenantId !== 'string' || !tenantId.trim() || tenantId.length > 100)) {
+      return ApiResponse.badRequest(res, 'tenantId must be a non-empty string or null');
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return ApiResponse.notFound(res, 'User not found');
+    }
+
+    user.tenantId = tenantId === null ? null : tenantId.trim();
+    await user.save();
+
+    logger.info(`Tenant updated for user ${user.email}: ${user.tenantId}`);
+
+    return ApiResponse.success(res, {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        tenantId: user.tenantId,
+      },
+    }, 'User tenant updated successfully');
+  } catch (error) {
+    logger.error('Update tenant error:', error);
+    return ApiResponse.error(res, 'Failed to update tenant', 500);
+  }
+});
+
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user (Admin only)
@@ -0,0 +1,19 @@
+const EventBus = require('../../../shared/utils/eventBus');
+const { getRedisClient } = require('./redis');
+
+const eventBus = new EventBus('gamification-service');
+
+/**
+ * Connect the event bus to Redis Streams and start consuming events
+ */
+async function initializeEventBus() {
+  // Register subscriptions first so they move onto the broker when it connects
+  require('../workers/eventWorker')(eventBus);
+
+  await eventBus.connectMessageBroker(getRedisClient());
+}
+
+module.exports = {
+  initializeEventBus,
+  getEventBus: () => eventBus,
+};
@@ -82,6 +82,92 @@ async function queueAchievementCheck(userId, eventData) {
   );
 }
 
+/**
+ * Queue a backfill of an achievement for users who already meet it
+ * (unlocking is idempotent, so overlapping backfills are harmless)
+ */
+async function queueAchievementBackfill(achievementId) {
+  if (!achievementQueue) {
+    throw new Error('Achievement queue not initialized');
+  }
+
+  return await achievementQueue.add(
+    'backfill-achievement',
+    { achievementId },
+    {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 5000,
+      },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+}
+
+/**
+ * Queue a preview of how many users an achievement would unlock for.
+ * Finished previews are kept for an hour so they can be fetched.
+ * @param {Object} definition - { achievementId } or { type, criteria }
+ */
+async function queueAchievementPreview(definition) {
+  if (!achievementQueue) {
+    throw new Error('Achievement queue not initialized');
+  }
+
+  return await achievementQueue.add(
+    'preview-achievement',
+    definition,
+    {
+      attempts: 1,
+      removeOnComplete: { age: 3600 },
+      removeOnFail: { age: 3600 },
+    }
+  );
+}
+
+/**
+ * State of a queued preview, or null if it is unknown or has expired
+ */
+async function getAchievementPreview(jobId) {
+  if (!achievementQueue) {
+    throw new Error('Achievement queue not initialized');
+  }
+
+  const job = await achievementQueue.getJob(jobId);
+  if (!job || job.name !== 'preview-achievement') return null;
+
+  return {
+    jobId: job.id,
+    state: await job.getState(),
+    preview: job.returnvalue || null,
+    error: job.failedReason || null,
+  };
+}
+
+/**
+ * Queue an import of activity history from result-service
+ * @param {Object} authHeaders - The requesting admin's auth headers
+ */
+async function queueHistoryImport(authHeaders) {
+  if (!achievementQueue) {
+    throw new Error('Achievement queue not initialized');
+  }
+
+  return await achievementQueue.add(
+    'import-history',
+    { authHeaders },
+    {
+      jobId: 'import-history', // One import at a time
+      attempts: 1,
+      // The job carries an admin token, so it is never left behind in Redis
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+}
+
 /**
  * Add stats sync job to queue
  */
@@ -121,6 +207,10 @@ async function getQueueStatus() {
 module.exports = {
   initializeQueues,
   queueAchievementCheck,
+  queueAchievementBackfill,
+  queueAchievementPreview,
+  getAchievementPreview,
+  queueHistoryImport,
   queueStatsSync,
   getQueueStatus,
   getAchievementQueue: () => achievementQueue,
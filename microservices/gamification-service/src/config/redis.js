@@ -99,10 +99,12 @@ const REDIS_KEYS = {
   
   // Streak tracking
   USER_STREAK: (userId) => `streak:${userId}`,
-  LAST_ACTIVITY: (userId) => `lastactivity:${userId}`,
   
   // Stats aggregation locks
   STATS_LOCK: (userId) => `lock:stats:${userId}`,
+
+  // Quiz results already counted in the stats (redelivery guard)
+  STATS_APPLIED: (resultKey) => `stats:applied:${resultKey}`,
 };
 
 /**
@@ -127,6 +129,12 @@ async function incrementUserStats(userId, updates) {
   if (updates.longestStreak !== undefined) {
     pipeline.hset(key, 'longestStreak', updates.longestStreak);
   }
+  if (updates.correctInARow !== undefined) {
+    pipeline.hset(key, 'correctInARow', updates.correctInARow);
+  }
+  if (updates.bestCorrectInARow !== undefined) {
+    pipeline.hset(key, 'bestCorrectInARow', updates.bestCorrectInARow);
+  }
   if (updates.experience) {
     pipeline.hincrbyfloat(key, 'experience', updates.experience);
   }
@@ -155,6 +163,8 @@ async function getUserStatsFromCache(userId) {
     totalTimeSpent: parseInt(stats.totalTimeSpent) || 0,
     currentStreak: parseInt(stats.currentStreak) || 0,
     longestStreak: parseInt(stats.longestStreak) || 0,
+    correctInARow: parseInt(stats.correctInARow) || 0,
+    bestCorrectInARow: parseInt(stats.bestCorrectInARow) || 0,
     experience: parseFloat(stats.experience) || 0,
     level: parseInt(stats.level) || 1,
     averageScore: parseFloat(stats.averageScore) || 0,
@@ -174,6 +184,8 @@ async function cacheUserStats(userId, stats) {
     totalTimeSpent: stats.totalTimeSpent || 0,
     currentStreak: stats.currentStreak || 0,
     longestStreak: stats.longestStreak || 0,
+    correctInARow: stats.correctInARow || 0,
+    bestCorrectInARow: stats.bestCorrectInARow || 0,
     experience: stats.experience || 0,
     level: stats.level || 1,
     averageScore: stats.averageScore || 0,
@@ -7,12 +7,16 @@ require("dotenv").config();
 
 const { initializeRedis, getRedisClient } = require("./config/redis");
 const { initializeQueues } = require("./config/queue");
+const { initializeEventBus, getEventBus } = require("./config/eventBus");
 const achievementRoutes = require("./routes/achievements");
 const leaderboardRoutes = require("./routes/leaderboards");
 const statsRoutes = require("./routes/stats");
 const eventRoutes = require("./routes/events");
+const duelRoutes = require("./routes/duels");
+const streakRoutes = require("./routes/streaks");
 const { startStreakCronJob } = require("./jobs/streakChecker");
 const { startStatsSyncJob } = require("./jobs/statsSync");
+const { startChallengeExpiryJob } = require("./jobs/challengeExpiry");
 
 const app = express();
 const PORT = process.env.PORT || 3007;
@@ -38,6 +42,8 @@ app.get("/", (req, res) => {
       leaderboards: "/api/leaderboards",
       stats: "/api/stats",
       events: "/api/events",
+      duels: "/api/duels",
+      streaks: "/api/streaks",
     },
   });
 });
@@ -66,6 +72,8 @@ app.use("/api/achievements", achievementRoutes);
 app.use("/api/leaderboards", leaderboardRoutes);
 app.use("/api/stats", statsRoutes);
 app.use("/api/events", eventRoutes);
+app.use("/api/duels", duelRoutes);
+app.use("/api/streaks", streakRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -94,6 +102,10 @@ async function initialize() {
     await initializeQueues();
     console.log("✅ Bull queues initialized");
 
+    // Consume cross-service events (Redis Streams)
+    await initializeEventBus();
+    console.log("✅ Event bus connected");
+
     // Start cron jobs
     startStreakCronJob();
     console.log("✅ Streak checker cron job started");
@@ -101,6 +113,9 @@ async function initialize() {
     startStatsSyncJob();
     console.log("✅ Stats sync job started");
 
+    startChallengeExpiryJob();
+    console.log("✅ Challenge expiry job started");
+
     // Start server
     app.listen(PORT, () => {
       console.log(`🎮 Gamification Service running on port ${PORT}`);
@@ -114,6 +129,7 @@ async function initialize() {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   console.log("SIGTERM received, shutting down gracefully...");
+  await getEventBus().close();
   const redis = getRedisClient();
   if (redis) await redis.quit();
   await mongoose.connection.close();
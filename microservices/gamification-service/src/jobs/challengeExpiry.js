@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const challengeManager = require('../services/challengeManager');
+
+/**
+ * Challenge Expiry - Closes challenges past their accept/play deadline
+ * Runs every 15 minutes
+ */
+function startChallengeExpiryJob() {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const { expired, forfeited } = await challengeManager.expireChallenges();
+
+      if (expired || forfeited) {
+        console.log(`✅ Challenge expiry: ${expired} expired, ${forfeited} won by forfeit`);
+      }
+    } catch (error) {
+      console.error('Error in challenge expiry job:', error);
+    }
+  });
+
+  console.log('✅ Challenge expiry job scheduled (every 15 minutes)');
+}
+
+module.exports = { startChallengeExpiryJob };
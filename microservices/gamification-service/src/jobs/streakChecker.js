@@ -1,35 +1,24 @@
 const cron = require('node-cron');
-const { UserStats } = require('../models/Achievement');
-const statsManager = require('../services/statsManager');
+const streakManager = require('../services/streakManager');
 
 /**
- * Daily Streak Checker - Resets streaks for inactive users
- * Runs every day at midnight
+ * Streak Checker - Settles lapsed streaks once each user's local day has ended
+ * Runs hourly, so every timezone is evaluated within an hour of its midnight
  */
 function startStreakCronJob() {
-  // Run at 00:00 every day
-  cron.schedule('0 0 * * *', async () => {
-    console.log('🔄 Running daily streak check...');
-
+  cron.schedule('5 * * * *', async () => {
     try {
-      const users = await UserStats.find({ currentStreak: { $gt: 0 } }).lean();
-      
-      let resetCount = 0;
+      const { evaluated, frozen, reset } = await streakManager.evaluateStreaks();
 
-      for (const user of users) {
-        const wasReset = await statsManager.checkAndResetStreak(user.user.toString());
-        if (wasReset) {
-          resetCount++;
-        }
+      if (evaluated) {
+        console.log(`✅ Streak check complete. ${frozen} kept by a freeze, ${reset} reset.`);
       }
-
-      console.log(`✅ Streak check complete. Reset ${resetCount} streaks.`);
     } catch (error) {
       console.error('Error in streak checker cron job:', error);
     }
   });
 
-  console.log('✅ Streak checker cron job scheduled (daily at midnight)');
+  console.log('✅ Streak checker cron job scheduled (hourly, per timezone)');
 }
 
 module.exports = { startStreakCronJob };
@@ -27,14 +27,15 @@ const achievementSchema = new mongoose.Schema({
       'speed',
       'category_master',
       'special',
+      'rule', // Declarative criteria, see services/ruleEngine.js
     ],
     required: true,
   },
+  // Built-in types: { target, category, score, timeLimit (seconds), type }
+  // Type "rule": a rule tree ({ all|any|event|stat ... })
   criteria: {
-    target: Number, // Target value (e.g., 10 quizzes, 90% score)
-    category: String, // For category-specific achievements
-    score: Number, // Minimum score required
-    timeLimit: Number, // Maximum time allowed (seconds)
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
   },
   rarity: {
     type: String,
@@ -125,6 +126,27 @@ const userStatsSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Streaks count consecutive active days in the user's own timezone
+  timezone: {
+    type: String,
+    default: 'UTC', // IANA name, e.g. 'Asia/Kolkata'
+  },
+  streakLastDate: {
+    type: String, // Last local day (YYYY-MM-DD) the streak covers, active or frozen
+  },
+  streakFreezes: {
+    type: Number,
+    default: 0, // Earned freezes, each covers one missed day
+  },
+  // Passed quizzes in a row (a failed quiz resets it)
+  correctInARow: {
+    type: Number,
+    default: 0,
+  },
+  bestCorrectInARow: {
+    type: Number,
+    default: 0,
+  },
   lastQuizDate: {
     type: Date,
   },
@@ -169,6 +191,7 @@ userStatsSchema.index({ currentStreak: -1 });
 userStatsSchema.index({ longestStreak: -1 });
 userStatsSchema.index({ averageScore: -1 });
 userStatsSchema.index({ lastQuizDate: -1 });
+userStatsSchema.index({ timezone: 1, currentStreak: 1, streakLastDate: 1 });
 
 // Virtual for rank calculation
 userStatsSchema.virtual('rank').get(function() {
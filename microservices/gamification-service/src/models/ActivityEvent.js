@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Activity Event Schema - One thing a user did that achievement rules can count
+ * (a finished quiz, a decided duel, ...). Rules with counters, time windows or
+ * "in a row" conditions are evaluated against this history.
+ */
+const activityEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['quiz_completed', 'duel_finished', 'reviews_completed', 'live_session'],
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed, // Fields rule filters match on, per type
+    default: {},
+  },
+  occurredAt: {
+    type: Date,
+    required: true,
+  },
+  // Record the event came from (result, challenge side, ...) so a redelivered
+  // event or a repeated history import is stored once
+  sourceKey: String,
+}, {
+  timestamps: true,
+});
+
+activityEventSchema.index({ user: 1, type: 1, occurredAt: 1 });
+activityEventSchema.index({ sourceKey: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('ActivityEvent', activityEventSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+/**
+ * Challenge participant - denormalized so challenge lists render without a user lookup
+ */
+const participantDefinition = {
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    default: '',
+  },
+};
+
+/**
+ * Server-graded attempt, copied from the result-service quiz.completed event
+ */
+const attemptSchema = new mongoose.Schema({
+  resultId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  score: {
+    type: Number,
+    default: 0,
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+  },
+  totalTimeSpent: {
+    type: Number,
+    default: 0, // In seconds
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * Challenge Schema - Asynchronous 1v1 quiz duel between friends
+ * Each side plays the same quiz at their own time; the better graded result wins
+ */
+const challengeSchema = new mongoose.Schema({
+  challenger: participantDefinition,
+  challenged: participantDefinition,
+  quiz: {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true,
+    },
+    title: String,
+    category: String,
+    totalQuestions: Number,
+  },
+  message: {
+    type: String,
+    maxlength: 200,
+    default: '',
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired', 'completed'],
+    default: 'pending',
+  },
+  // Deadline to accept while pending, deadline to play once accepted
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: Date,
+  respondedAt: Date,
+  challengerResult: attemptSchema,
+  challengedResult: attemptSchema,
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  isDraw: {
+    type: Boolean,
+    default: false,
+  },
+  // Winner decided because the other side never played before the deadline
+  isForfeit: {
+    type: Boolean,
+    default: false,
+  },
+  xpAwarded: {
+    type: Boolean,
+    default: false,
+  },
+  completedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes
+challengeSchema.index({ 'challenger._id': 1, createdAt: -1 });
+challengeSchema.index({ 'challenged._id': 1, createdAt: -1 });
+challengeSchema.index({ status: 1, expiresAt: 1 });
+challengeSchema.index({ 'quiz._id': 1, status: 1 });
+
+/**
+ * Whether the user takes part in this challenge
+ */
+challengeSchema.methods.isParticipant = function(userId) {
+  return this.challenger._id.toString() === String(userId) ||
+    this.challenged._id.toString() === String(userId);
+};
+
+/**
+ * Which side the user plays: 'challenger', 'challenged' or null
+ */
+challengeSchema.methods.sideOf = function(userId) {
+  if (this.challenger._id.toString() === String(userId)) return 'challenger';
+  if (this.challenged._id.toString() === String(userId)) return 'challenged';
+  return null;
+};
+
+module.exports = mongoose.model('Challenge', challengeSchema);
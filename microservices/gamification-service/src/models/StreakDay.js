@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Streak Day Schema - One local calendar day of a user's streak history
+ * Days with no record were inactive
+ */
+const streakDaySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  date: {
+    type: String, // YYYY-MM-DD in the user's timezone at the time
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'frozen'], // Frozen: missed, but a streak freeze kept the streak
+    default: 'active',
+  },
+  activities: {
+    type: Number,
+    default: 0,
+  },
+  sources: [{
+    type: String, // quiz, reviews, live_session
+  }],
+}, {
+  timestamps: true,
+});
+
+streakDaySchema.index({ user: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('StreakDay', streakDaySchema);
@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const achievementProcessor = require('../services/achievementProcessor');
 const { Achievement } = require('../models/Achievement');
+const {
+  queueAchievementBackfill,
+  queueAchievementPreview,
+  getAchievementPreview,
+  queueHistoryImport,
+} = require('../config/queue');
 const { authenticateToken, adminMiddleware } = require('../../../shared/middleware/auth');
 
 /**
@@ -119,25 +125,120 @@ router.post('/seed', authenticateToken, adminMiddleware, async (req, res, next)
 });
 
 /**
- * PUT /api/achievements/:achievementId
- * Update achievement
+ * POST /api/achievements/preview (Admin)
+ * Queue a count of the users who would unlock an achievement, without
+ * unlocking anything. Body: { achievementId } for a saved (e.g. still
+ * disabled) achievement, or { type, criteria } for an unsaved one.
+ * Evaluates every user, so poll GET /api/achievements/preview/:jobId.
  */
-router.put('/:achievementId', authenticateToken, adminMiddleware, async (req, res, next) => {
+router.post('/preview', authenticateToken, adminMiddleware, async (req, res, next) => {
   try {
-    const { achievementId } = req.params;
+    const { achievementId, type, criteria } = req.body;
 
-    const achievement = await Achievement.findByIdAndUpdate(
-      achievementId,
-      req.body,
-      { new: true }
-    );
+    const definition = await achievementProcessor.preparePreview({ achievementId, type, criteria });
+    const job = await queueAchievementPreview(definition);
+
+    res.status(202).json({
+      success: true,
+      message: 'Preview queued',
+      jobId: job.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/achievements/preview/:jobId (Admin)
+ * State of a queued preview and, once completed, its counts
+ */
+router.get('/preview/:jobId', authenticateToken, adminMiddleware, async (req, res, next) => {
+  try {
+    const preview = await getAchievementPreview(req.params.jobId);
+
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preview not found or expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      ...preview,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/achievements/history/import (Admin)
+ * Import past quiz results (from result-service) and completed duels into the
+ * activity log, then backfill every active achievement
+ */
+router.post('/history/import', authenticateToken, adminMiddleware, async (req, res, next) => {
+  try {
+    // result-service only exports results to admins, so the caller's token is forwarded
+    const job = await queueHistoryImport({
+      'x-auth-token': req.headers['x-auth-token'],
+      authorization: req.headers.authorization,
+    });
 
+    res.status(202).json({
+      success: true,
+      message: 'History import queued',
+      jobId: job.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/achievements/:achievementId/backfill (Admin)
+ * Unlock an active achievement for users whose history already meets it.
+ * Runs by itself when an achievement is created, enabled or its criteria change.
+ */
+router.post('/:achievementId/backfill', authenticateToken, adminMiddleware, async (req, res, next) => {
+  try {
+    const { achievementId } = req.params;
+
+    const achievement = await Achievement.findById(achievementId).select('isActive').lean();
     if (!achievement) {
       return res.status(404).json({
         success: false,
         message: 'Achievement not found',
       });
     }
+    if (!achievement.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Enable the achievement before backfilling it',
+      });
+    }
+
+    const job = await queueAchievementBackfill(achievementId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Backfill queued',
+      jobId: job.id,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/achievements/:achievementId
+ * Update achievement
+ */
+router.put('/:achievementId', authenticateToken, adminMiddleware, async (req, res, next) => {
+  try {
+    const { achievementId } = req.params;
+
+    const achievement = await achievementProcessor.updateAchievement(achievementId, req.body);
 
     res.json({
       success: true,
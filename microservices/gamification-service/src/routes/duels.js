@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const challengeManager = require('../services/challengeManager');
+const { authenticateToken } = require('../../../shared/middleware/auth');
+
+/**
+ * POST /api/duels
+ * Challenge a friend on a quiz (friendship is checked with social-service)
+ */
+router.post('/', authenticateToken, async (req, res, next) => {
+  try {
+    const { challengedUserId, challengedName, quizId, message, expiresInHours } = req.body;
+
+    if (!quizId) {
+      return res.status(400).json({
+        success: false,
+        error: 'quizId is required',
+      });
+    }
+
+    // The challenger is always the caller, never a body field
+    const challenge = await challengeManager.createChallenge({
+      challenger: { _id: req.user.userId, name: req.user.name || '' },
+      challenged: challengedUserId ? { _id: challengedUserId, name: challengedName || '' } : null,
+      quizId,
+      message,
+      expiresInHours,
+      authHeaders: {
+        'x-auth-token': req.headers['x-auth-token'],
+        authorization: req.headers.authorization,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/duels/user/:userId
+ * Get a user's sent and received challenges
+ */
+router.get('/user/:userId', authenticateToken, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { status, limit } = req.query;
+
+    // Authorization: Users can only view their own challenges unless admin
+    if (userId !== req.user.userId && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to view other users challenges',
+      });
+    }
+
+    const challenges = await challengeManager.getUserChallenges(userId, { status, limit });
+
+    res.json({
+      success: true,
+      count: challenges.length,
+      data: challenges,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/duels/:challengeId
+ * Get a single challenge with both results
+ */
+router.get('/:challengeId', authenticateToken, async (req, res, next) => {
+  try {
+    const challenge = await challengeManager.getChallenge(req.params.challengeId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/duels/:challengeId/accept
+ * Accept a pending challenge
+ */
+router.post('/:challengeId/accept', authenticateToken, async (req, res, next) => {
+  try {
+    const challenge = await challengeManager.acceptChallenge(req.params.challengeId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/duels/:challengeId/decline
+ * Decline a pending challenge
+ */
+router.post('/:challengeId/decline', authenticateToken, async (req, res, next) => {
+  try {
+    const challenge = await challengeManager.declineChallenge(req.params.challengeId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/duels/:challengeId/cancel
+ * Withdraw a challenge that has not been answered yet
+ */
+router.post('/:challengeId/cancel', authenticateToken, async (req, res, next) => {
+  try {
+    const challenge = await challengeManager.cancelChallenge(req.params.challengeId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const statsManager = require('../services/statsManager');
-const leaderboardManager = require('../services/leaderboardManager');
+const eventProcessor = require('../services/eventProcessor');
+const streakManager = require('../services/streakManager');
+const activityLog = require('../services/activityLog');
 const { queueAchievementCheck } = require('../config/queue');
 
 /**
  * POST /api/events/quiz-completed
  * Event from Quiz Service when a quiz is completed
+ * Legacy HTTP hop - result-service now publishes quiz.completed on the event bus
  */
 router.post('/quiz-completed', async (req, res, next) => {
   try {
@@ -19,29 +22,7 @@ router.post('/quiz-completed', async (req, res, next) => {
       });
     }
 
-    // Update stats (non-blocking)
-    const statsPromise = statsManager.updateStats(userId, resultData);
-
-    // Update average score
-    const avgScorePromise = statsManager.updateAverageScore(userId, resultData.percentage);
-
-    // Record activity for streak tracking
-    const activityPromise = statsManager.recordActivity(userId);
-
-    // Queue achievement check (async)
-    const achievementPromise = queueAchievementCheck(userId, {
-      type: 'quiz_completed',
-      quizId,
-      ...resultData,
-    });
-
-    // Wait for all operations
-    await Promise.all([
-      statsPromise,
-      avgScorePromise,
-      activityPromise,
-      achievementPromise,
-    ]);
+    await eventProcessor.processQuizCompleted({ userId, quizId, resultData });
 
     res.json({
       success: true,
@@ -56,6 +37,7 @@ router.post('/quiz-completed', async (req, res, next) => {
 /**
  * POST /api/events/result-saved
  * Event from Result Service when results are saved
+ * Legacy HTTP hop - result-service now publishes result.saved on the event bus
  */
 router.post('/result-saved', async (req, res, next) => {
   try {
@@ -68,13 +50,7 @@ router.post('/result-saved', async (req, res, next) => {
       });
     }
 
-    // Update leaderboards
-    const stats = await statsManager.getStats(userId);
-    await leaderboardManager.updateUserScore(
-      userId,
-      stats.totalPoints,
-      resultData.category
-    );
+    await eventProcessor.processResultSaved({ userId, resultId, resultData });
 
     res.json({
       success: true,
@@ -103,6 +79,8 @@ router.post('/live-session-ended', async (req, res, next) => {
 
     // Update stats for all participants
     for (const participant of participants) {
+      await streakManager.recordActiveDay(participant.userId, { source: 'live_session' });
+      await activityLog.recordLiveSession(sessionId, participant);
       await statsManager.updateStats(participant.userId, {
         pointsEarned: participant.points || 0,
         bonusPoints: participant.bonusPoints || 0,
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const streakManager = require('../services/streakManager');
+const { authenticateToken } = require('../../../shared/middleware/auth');
+
+/**
+ * Users can only see and change their own streak unless admin
+ */
+function canAccess(req, userId) {
+  return userId === req.user.userId || req.user.role === 'Admin';
+}
+
+/**
+ * GET /api/streaks/:userId
+ * Day streak, streak freezes and the correct-in-a-row counter
+ */
+router.get('/:userId', authenticateToken, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!canAccess(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to view other users streaks',
+      });
+    }
+
+    const streak = await streakManager.getSummary(userId);
+
+    res.json({
+      success: true,
+      userId,
+      streak,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/streaks/:userId/history?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Active and frozen days for a streak calendar (default: last 90 days)
+ */
+router.get('/:userId/history', authenticateToken, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { from, to } = req.query;
+
+    if (!canAccess(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to view other users streaks',
+      });
+    }
+
+    const history = await streakManager.getHistory(userId, { from, to });
+
+    res.json({
+      success: true,
+      userId,
+      ...history,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/streaks/:userId/timezone
+ * Set the timezone streak days are counted in ({ timezone: 'Europe/Berlin' })
+ */
+router.put('/:userId/timezone', authenticateToken, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!canAccess(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to change other users streaks',
+      });
+    }
+
+    const streak = await streakManager.setTimezone(userId, req.body.timezone);
+
+    res.json({
+      success: true,
+      userId,
+      streak,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
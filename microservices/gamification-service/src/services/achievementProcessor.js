@@ -1,14 +1,55 @@
+const validator = require('validator');
 const { Achievement, UserAchievement, UserStats } = require('../models/Achievement');
-const { getRedisClient, REDIS_KEYS } = require('../config/redis');
+const ruleEngine = require('./ruleEngine');
+const { getRedisClient, getUserStatsFromCache, REDIS_KEYS } = require('../config/redis');
+const { queueAchievementBackfill } = require('../config/queue');
+const { httpError } = require('../../../shared/utils/httpError');
+
+const ACHIEVEMENT_TYPES = Achievement.schema.path('type').enumValues;
+const PREVIEW_SAMPLE_SIZE = 20;
+
+/**
+ * Validated criteria for an achievement type. Rules are checked by the rule
+ * engine; the built-in types keep their few known fields.
+ */
+function normalizeCriteria(type, criteria = {}) {
+  if (!ACHIEVEMENT_TYPES.includes(type)) {
+    throw httpError(`type must be one of ${ACHIEVEMENT_TYPES.join(', ')}`, 400);
+  }
+  if (type === 'rule') {
+    return ruleEngine.validate(criteria);
+  }
+
+  const normalized = {};
+  for (const field of ['target', 'score', 'timeLimit']) {
+    if (criteria[field] === undefined) continue;
+    normalized[field] = Number(criteria[field]);
+    if (!Number.isFinite(normalized[field])) {
+      throw httpError(`criteria.${field} must be a number`, 400);
+    }
+  }
+  // Request bodies are HTML-escaped by the sanitizer
+  if (criteria.category) normalized.category = validator.unescape(String(criteria.category));
+  if (criteria.type) normalized.type = String(criteria.type);
+  return normalized;
+}
+
+/**
+ * Stats as they stand now: the Redis hash is ahead of MongoDB between syncs
+ */
+async function currentStats(userId, storedStats) {
+  const cached = await getUserStatsFromCache(userId);
+  return cached ? { ...storedStats, ...cached } : storedStats;
+}
 
 /**
  * Achievement Processor - Evaluates achievement criteria and unlocks achievements
  */
 class AchievementProcessor {
   /**
-   * Check and unlock achievements for a user based on event data
+   * Check and unlock achievements for a user after new activity
    */
-  async checkAchievements(userId, eventData) {
+  async checkAchievements(userId) {
     try {
       const unlockedAchievements = [];
       const userStats = await UserStats.findOne({ user: userId }).lean();
@@ -18,35 +59,26 @@ class AchievementProcessor {
         return unlockedAchievements;
       }
 
-      // Get all active achievements
-      const achievements = await Achievement.find({ isActive: true }).lean();
+      const [achievements, unlockedIds] = await Promise.all([
+        Achievement.find({ isActive: true }).lean(),
+        UserAchievement.distinct('achievement', { user: userId, isCompleted: true }),
+      ]);
+      const alreadyUnlocked = new Set(unlockedIds.map(String));
+      const context = ruleEngine.createContext(userId, await currentStats(userId, userStats));
 
       for (const achievement of achievements) {
-        // Check if user already has this achievement
-        const existingAchievement = await UserAchievement.findOne({
-          user: userId,
-          achievement: achievement._id,
-          isCompleted: true,
-        });
-
-        if (existingAchievement) {
-          continue; // Already unlocked
+        if (alreadyUnlocked.has(achievement._id.toString())) {
+          continue;
         }
 
-        // Evaluate criteria
-        const meetsRequirements = await this.evaluateCriteria(
-          achievement,
-          userStats,
-          eventData
-        );
-
-        if (meetsRequirements) {
-          // Unlock achievement
+        if (await this.evaluateCriteria(achievement, context)) {
           const userAchievement = await this.unlockAchievement(userId, achievement);
-          unlockedAchievements.push({
-            achievement,
-            userAchievement,
-          });
+          if (userAchievement) {
+            unlockedAchievements.push({
+              achievement,
+              userAchievement,
+            });
+          }
         }
       }
 
@@ -59,109 +91,157 @@ class AchievementProcessor {
 
   /**
    * Evaluate if achievement criteria is met
+   * @param {Object} context - Rule engine context for the user
    */
-  async evaluateCriteria(achievement, userStats, eventData) {
-    const { type, criteria } = achievement;
-
-    switch (type) {
-      case 'quiz_completion':
-        return this.checkQuizCompletion(criteria, userStats);
-
-      case 'score_achievement':
-        return this.checkScoreAchievement(criteria, eventData);
-
-      case 'streak':
-        return this.checkStreak(criteria, userStats);
-
-      case 'speed':
-        return this.checkSpeed(criteria, eventData);
-
-      case 'category_master':
-        return this.checkCategoryMaster(criteria, userStats, eventData);
-
-      case 'special':
-        return this.checkSpecialAchievement(criteria, userStats);
-
-      default:
-        return false;
-    }
+  async evaluateCriteria(achievement, context) {
+    const rule = ruleEngine.fromAchievement(achievement);
+    return rule ? ruleEngine.evaluate(rule, context) : false;
   }
 
   /**
-   * Check quiz completion achievements
+   * Evaluate a rule for every user with stats, skipping some
+   * @param {Function} onMatch - Called with the id of each user who meets the rule
+   * @returns {number} Users evaluated
    */
-  checkQuizCompletion(criteria, userStats) {
-    if (!criteria.target) return false;
-    return userStats.totalQuizzesTaken >= criteria.target;
-  }
+  async forEachQualifyingUser(rule, skipUserIds, onMatch) {
+    let evaluated = 0;
+    const cursor = UserStats.find()
+      .select('-achievements -badges -favoriteCategories')
+      .lean()
+      .cursor();
+
+    for await (const stats of cursor) {
+      const userId = stats.user.toString();
+      if (skipUserIds.has(userId)) continue;
+
+      evaluated++;
+      const context = ruleEngine.createContext(userId, await currentStats(userId, stats));
+      if (await ruleEngine.evaluate(rule, context)) {
+        await onMatch(userId);
+      }
+    }
 
-  /**
-   * Check score achievements
-   */
-  checkScoreAchievement(criteria, eventData) {
-    if (!criteria.score || !eventData.percentage) return false;
-    return eventData.percentage >= criteria.score;
+    return evaluated;
   }
 
   /**
-   * Check streak achievements
+   * Check a preview request before it is queued, so a bad rule fails the
+   * request rather than the job
+   * @returns {Object} What to preview: { achievementId } or { type, criteria }
    */
-  checkStreak(criteria, userStats) {
-    if (!criteria.target) return false;
-    return userStats.currentStreak >= criteria.target;
-  }
+  async preparePreview({ achievementId, type, criteria }) {
+    if (achievementId) {
+      if (!(await Achievement.exists({ _id: achievementId }))) {
+        throw httpError('Achievement not found', 404);
+      }
+      return { achievementId };
+    }
 
-  /**
-   * Check speed achievements
-   */
-  checkSpeed(criteria, eventData) {
-    if (!criteria.timeLimit || !eventData.totalTimeTaken) return false;
-    return eventData.totalTimeTaken <= criteria.timeLimit;
+    const definition = { type, criteria: normalizeCriteria(type, criteria) };
+    if (!ruleEngine.fromAchievement(definition)) {
+      throw httpError(`criteria are incomplete for type ${type}`, 400);
+    }
+    return definition;
   }
 
   /**
-   * Check category mastery achievements
+   * Count the users a rule would unlock for, without unlocking anything.
+   * Takes a saved achievement (achievementId) or an unsaved { type, criteria }.
+   * Evaluates every user, so it runs as a queued job.
    */
-  checkCategoryMaster(criteria, userStats, eventData) {
-    if (!criteria.category || !criteria.target) return false;
-    
-    // Check if user has completed enough quizzes in this category
-    const categoryCount = userStats.favoriteCategories?.filter(
-      cat => cat === criteria.category
-    ).length || 0;
-
-    return categoryCount >= criteria.target && eventData.category === criteria.category;
+  async previewRule({ achievementId, type, criteria }) {
+    let definition;
+    let holders = new Set();
+
+    if (!achievementId) {
+      definition = { type, criteria: normalizeCriteria(type, criteria) };
+    } else {
+      definition = await Achievement.findById(achievementId).lean();
+      if (!definition) {
+        throw httpError('Achievement not found', 404);
+      }
+      const holderIds = await UserAchievement.distinct('user', {
+        achievement: definition._id,
+        isCompleted: true,
+      });
+      holders = new Set(holderIds.map(String));
+    }
+
+    const rule = ruleEngine.fromAchievement(definition);
+    if (!rule) {
+      throw httpError(`criteria are incomplete for type ${definition.type}`, 400);
+    }
+
+    const qualifying = [];
+    const evaluatedUsers = await this.forEachQualifyingUser(rule, holders, (userId) => {
+      qualifying.push(userId);
+    });
+
+    return {
+      rule,
+      evaluatedUsers,
+      alreadyUnlocked: holders.size,
+      wouldUnlock: qualifying.length,
+      sampleUserIds: qualifying.slice(0, PREVIEW_SAMPLE_SIZE),
+    };
   }
 
   /**
-   * Check special achievements
+   * Unlock an active achievement for every user whose history already meets it
+   * @returns {Object} { achievement, evaluatedUsers, unlockedUserIds } or { skipped }
    */
-  checkSpecialAchievement(criteria, userStats) {
-    if (criteria.target) {
-      // Could be points, level, or other special metrics
-      if (criteria.type === 'points') {
-        return userStats.totalPoints >= criteria.target;
-      } else if (criteria.type === 'level') {
-        return userStats.level >= criteria.target;
-      }
+  async backfillAchievement(achievementId) {
+    const achievement = await Achievement.findById(achievementId).lean();
+    if (!achievement || !achievement.isActive) {
+      return { skipped: true };
+    }
+
+    const rule = ruleEngine.fromAchievement(achievement);
+    if (!rule) {
+      return { skipped: true };
     }
-    return false;
+
+    const holderIds = await UserAchievement.distinct('user', {
+      achievement: achievement._id,
+      isCompleted: true,
+    });
+
+    const unlockedUserIds = [];
+    const evaluatedUsers = await this.forEachQualifyingUser(
+      rule,
+      new Set(holderIds.map(String)),
+      async (userId) => {
+        if (await this.unlockAchievement(userId, achievement)) {
+          unlockedUserIds.push(userId);
+        }
+      }
+    );
+
+    console.log(
+      `🏆 Backfilled "${achievement.name}": ${unlockedUserIds.length} of ${evaluatedUsers} users unlocked it`
+    );
+    return { achievement, evaluatedUsers, unlockedUserIds };
   }
 
   /**
    * Unlock achievement for user
+   * @returns {Object|null} The user achievement, or null if it was already unlocked
    */
   async unlockAchievement(userId, achievement) {
     try {
-      const userAchievement = new UserAchievement({
-        user: userId,
-        achievement: achievement._id,
-        isCompleted: true,
-        progress: 100,
-        unlockedAt: new Date(),
-      });
-
-      await userAchievement.save();
+      let userAchievement;
+      try {
+        // Completes a progress record if there is one
+        userAchievement = await UserAchievement.findOneAndUpdate(
+          { user: userId, achievement: achievement._id, isCompleted: { $ne: true } },
+          { $set: { isCompleted: true, progress: 100, unlockedAt: new Date() } },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        // Already unlocked, e.g. by a backfill running alongside this check
+        if (error.code === 11000) return null;
+        throw error;
+      }
 
       // Add to user's achievements array
       await UserStats.findOneAndUpdate(
@@ -259,12 +339,20 @@ class AchievementProcessor {
 
   /**
    * Create new achievement (admin)
+   * Active achievements are backfilled for users who already meet them
    */
   async createAchievement(data) {
     try {
-      const achievement = new Achievement(data);
+      const achievement = new Achievement({
+        ...data,
+        criteria: normalizeCriteria(data.type, data.criteria),
+      });
       await achievement.save();
       console.log(`Created new achievement: ${achievement.name}`);
+
+      if (achievement.isActive) {
+        await queueAchievementBackfill(achievement._id.toString());
+      }
       return achievement;
     } catch (error) {
       console.error('Error creating achievement:', error);
@@ -272,6 +360,37 @@ class AchievementProcessor {
     }
   }
 
+  /**
+   * Update an achievement (admin)
+   * Backfilled again when it is enabled or its criteria change while enabled
+   */
+  async updateAchievement(achievementId, data) {
+    const achievement = await Achievement.findById(achievementId);
+    if (!achievement) {
+      throw httpError('Achievement not found', 404);
+    }
+
+    const wasActive = achievement.isActive;
+    const previousRule = JSON.stringify(ruleEngine.fromAchievement(achievement.toObject()));
+
+    const update = { ...data };
+    if (data.type !== undefined || data.criteria !== undefined) {
+      update.criteria = normalizeCriteria(
+        data.type ?? achievement.type,
+        data.criteria ?? achievement.criteria
+      );
+    }
+
+    achievement.set(update);
+    await achievement.save();
+
+    const rule = JSON.stringify(ruleEngine.fromAchievement(achievement.toObject()));
+    if (achievement.isActive && (!wasActive || rule !== previousRule)) {
+      await queueAchievementBackfill(achievement._id.toString());
+    }
+    return achievement;
+  }
+
   /**
    * Seed default achievements
    */
@@ -0,0 +1,200 @@
+const axios = require('axios');
+const ActivityEvent = require('../models/ActivityEvent');
+const Challenge = require('../models/Challenge');
+
+const RESULT_SERVICE_URL = process.env.RESULT_SERVICE_URL || 'http://localhost:3003';
+const IMPORT_PAGE_SIZE = 500;
+
+/**
+ * Ledger entry for a finished quiz (quiz.completed payload)
+ */
+function quizEntry({ userId, quizId, resultId, resultData }) {
+  return {
+    user: userId,
+    type: 'quiz_completed',
+    data: {
+      quizId: quizId ? String(quizId) : null,
+      category: resultData.category || 'General',
+      percentage: resultData.percentage || 0,
+      score: resultData.pointsEarned || 0,
+      passed: !!resultData.passed,
+      totalTimeTaken: resultData.totalTimeTaken || 0,
+    },
+    occurredAt: resultData.completedAt ? new Date(resultData.completedAt) : new Date(),
+    sourceKey: resultId ? `result:${resultId}` : undefined,
+  };
+}
+
+/**
+ * Ledger entries for a completed friend challenge, one per side
+ */
+function duelEntries(challenge) {
+  return [
+    ['challenger', 'challenged'],
+    ['challenged', 'challenger'],
+  ].map(([side, other]) => {
+    const userId = challenge[side]._id.toString();
+    const attempt = challenge[`${side}Result`];
+
+    let outcome = 'loss';
+    if (challenge.isDraw) outcome = 'draw';
+    else if (challenge.winner && challenge.winner.toString() === userId) outcome = 'win';
+
+    return {
+      user: userId,
+      type: 'duel_finished',
+      data: {
+        mode: 'challenge',
+        challengeId: challenge._id.toString(),
+        quizId: String(challenge.quiz._id),
+        category: challenge.quiz.category || 'General',
+        outcome,
+        forfeit: !!challenge.isForfeit,
+        opponentId: challenge[other]._id.toString(),
+        score: attempt ? attempt.score : null,
+        percentage: attempt ? attempt.percentage : null,
+      },
+      occurredAt: challenge.completedAt || new Date(),
+      sourceKey: `duel:${challenge._id}:${userId}`,
+    };
+  });
+}
+
+/**
+ * Activity Log - History of user activity that achievement rules count over
+ *
+ * Entries are written as events are processed. Results from before the log
+ * existed can be imported from result-service; challenges are local.
+ */
+class ActivityLog {
+  /**
+   * Store entries, skipping any whose source was already recorded
+   */
+  async store(entries) {
+    const keyed = entries.filter((entry) => entry.sourceKey);
+    const unkeyed = entries.filter((entry) => !entry.sourceKey);
+
+    if (unkeyed.length > 0) {
+      await ActivityEvent.insertMany(unkeyed);
+    }
+    if (keyed.length === 0) return;
+
+    try {
+      await ActivityEvent.bulkWrite(
+        keyed.map((entry) => ({
+          updateOne: {
+            filter: { sourceKey: entry.sourceKey },
+            update: { $setOnInsert: entry },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Recorded concurrently by another delivery
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  async recordQuizResult(event) {
+    await this.store([quizEntry(event)]);
+  }
+
+  async recordDuel(challenge) {
+    await this.store(duelEntries(challenge));
+  }
+
+  /**
+   * Live duel (duel.finished from live-service: ranked, casual, practice or
+   * tournament), one entry per human player
+   */
+  async recordLiveDuel({ matchId, quizId, category, mode, forfeit, completedAt, players = [] }) {
+    await this.store(players.map((player) => ({
+      user: player.userId,
+      type: 'duel_finished',
+      data: {
+        mode,
+        matchId,
+        quizId,
+        category: category || 'General',
+        outcome: player.outcome,
+        forfeit: !!forfeit,
+        opponentId: player.opponentId,
+        score: player.score || 0,
+        correctAnswers: player.correctAnswers || 0,
+      },
+      occurredAt: completedAt ? new Date(completedAt) : new Date(),
+      sourceKey: `live-duel:${matchId}:${player.userId}`,
+    })));
+  }
+
+  async recordReviews({ userId, reviewCount, correctCount, date }) {
+    await this.store([{
+      user: userId,
+      type: 'reviews_completed',
+      data: { reviewCount: reviewCount || 0, correctCount: correctCount || 0 },
+      occurredAt: new Date(),
+      sourceKey: date ? `reviews:${userId}:${date}` : undefined,
+    }]);
+  }
+
+  async recordLiveSession(sessionId, participant) {
+    await this.store([{
+      user: participant.userId,
+      type: 'live_session',
+      data: {
+        sessionId: String(sessionId),
+        rank: participant.rank || 0,
+        points: participant.points || 0,
+        accuracy: participant.accuracy || 0,
+      },
+      occurredAt: new Date(),
+      sourceKey: `live:${sessionId}:${participant.userId}`,
+    }]);
+  }
+
+  /**
+   * Import every quiz result from result-service and every completed challenge.
+   * Safe to repeat: entries already in the log are skipped.
+   * @param {Object} authHeaders - An admin's auth headers, forwarded to result-service
+   * @returns {Object} Number of results and challenges read
+   */
+  async importHistory(authHeaders) {
+    const totals = { results: 0, duels: 0 };
+
+    let after = null;
+    do {
+      let response;
+      try {
+        response = await axios.get(`${RESULT_SERVICE_URL}/api/analytics/results/export`, {
+          headers: authHeaders,
+          params: { after, limit: IMPORT_PAGE_SIZE },
+        });
+      } catch (error) {
+        const status = error.response?.status;
+        throw new Error(`Result export failed${status ? ` (${status})` : ''}: ${error.message}`);
+      }
+
+      const { results = [], next = null } = response.data?.data || {};
+      await this.store(results.map(quizEntry));
+      totals.results += results.length;
+      after = next;
+    } while (after);
+
+    let batch = [];
+    for await (const challenge of Challenge.find({ status: 'completed' }).lean().cursor()) {
+      batch.push(...duelEntries(challenge));
+      totals.duels++;
+
+      if (batch.length >= IMPORT_PAGE_SIZE) {
+        await this.store(batch);
+        batch = [];
+      }
+    }
+    await this.store(batch);
+
+    return totals;
+  }
+}
+
+module.exports = new ActivityLog();
@@ -0,0 +1,483 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const statsManager = require('./statsManager');
+const activityLog = require('./activityLog');
+const { queueAchievementCheck } = require('../config/queue');
+const { getEventBus } = require('../config/eventBus');
+const { EVENTS } = require('../../../shared/config/constants');
+const { httpError } = require('../../../shared/utils/httpError');
+
+const QUIZ_SERVICE_URL = process.env.QUIZ_SERVICE_URL || 'http://localhost:3002';
+const SOCIAL_SERVICE_URL = process.env.SOCIAL_SERVICE_URL || 'http://localhost:3006';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_EXPIRY_HOURS = parseInt(process.env.CHALLENGE_EXPIRY_HOURS) || 48;
+const PLAY_WINDOW_HOURS = parseInt(process.env.CHALLENGE_PLAY_WINDOW_HOURS) || 72;
+const MAX_EXPIRY_HOURS = 168;
+
+const XP_REWARDS = {
+  win: parseInt(process.env.CHALLENGE_WIN_XP) || 50,
+  draw: parseInt(process.env.CHALLENGE_DRAW_XP) || 25,
+  participation: parseInt(process.env.CHALLENGE_PARTICIPATION_XP) || 10,
+};
+
+const OPEN_STATUSES = ['pending', 'accepted'];
+
+/**
+ * Challenge Manager - Asynchronous friend duels on a shared quiz
+ *
+ * Lifecycle: pending -> accepted -> completed
+ *            pending -> declined | cancelled | expired
+ *            accepted -> expired (nobody played) | completed by forfeit
+ *
+ * Scores are never submitted here: they arrive as server-graded results on the
+ * quiz.completed event published by result-service.
+ */
+class ChallengeManager {
+  /**
+   * Look up a quiz for a new challenge. Both players must be able to take it,
+   * so only public quizzes qualify.
+   */
+  async fetchQuiz(quizId) {
+    try {
+      const response = await axios.get(`${QUIZ_SERVICE_URL}/api/quizzes/${quizId}`);
+      const quiz = response.data?.data?.quiz || response.data;
+
+      return {
+        _id: quiz._id,
+        title: quiz.title,
+        category: quiz.category,
+        totalQuestions: (quiz.questions || []).length,
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 404) throw httpError('Quiz not found', 404);
+      if (status === 403) throw httpError('Challenges can only use public quizzes', 400);
+
+      console.error(`Error fetching quiz ${quizId} for challenge:`, error.message);
+      throw httpError('Quiz service unavailable', 503);
+    }
+  }
+
+  /**
+   * Only friends can be challenged; friendships live in social-service
+   * @param {Object} authHeaders - The challenger's auth headers, forwarded to social-service
+   */
+  async assertFriends(friendId, authHeaders) {
+    let response;
+    try {
+      response = await axios.get(`${SOCIAL_SERVICE_URL}/api/friends/${friendId}/status`, {
+        headers: authHeaders,
+      });
+    } catch (error) {
+      console.error(`Error checking friendship with ${friendId}:`, error.message);
+      throw httpError('Social service unavailable', 503);
+    }
+
+    if (!response.data?.isFriend) {
+      throw httpError('You can only challenge your friends', 403);
+    }
+  }
+
+  /**
+   * Create a challenge against an accepted friend
+   */
+  async createChallenge({ challenger, challenged, quizId, message, expiresInHours, authHeaders }) {
+    if (!challenged?._id || !mongoose.isValidObjectId(challenged._id)) {
+      throw httpError('A valid challengedUserId is required', 400);
+    }
+    if (!mongoose.isValidObjectId(quizId)) {
+      throw httpError('A valid quizId is required', 400);
+    }
+    if (String(challenger._id) === String(challenged._id)) {
+      throw httpError('You cannot challenge yourself', 400);
+    }
+    await this.assertFriends(challenged._id, authHeaders);
+
+    const existing = await Challenge.findOne({
+      'challenger._id': challenger._id,
+      'challenged._id': challenged._id,
+      'quiz._id': quizId,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (existing) {
+      throw httpError('You already have an open challenge with this friend on this quiz', 409);
+    }
+
+    const quiz = await this.fetchQuiz(quizId);
+
+    const hours = Math.min(
+      Math.max(parseInt(expiresInHours) || DEFAULT_EXPIRY_HOURS, 1),
+      MAX_EXPIRY_HOURS
+    );
+
+    const challenge = await Challenge.create({
+      challenger,
+      challenged,
+      quiz,
+      message: message || '',
+      expiresAt: new Date(Date.now() + hours * HOUR_MS),
+    });
+
+    await this.publish(EVENTS.CHALLENGE_CREATED, challenge);
+
+    return challenge;
+  }
+
+  /**
+   * List a user's challenges (sent and received), newest first
+   */
+  async getUserChallenges(userId, { status, limit = 50 } = {}) {
+    const query = {
+      $or: [{ 'challenger._id': userId }, { 'challenged._id': userId }],
+    };
+    if (status) {
+      query.status = status;
+    }
+
+    return Challenge.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 100))
+      .lean();
+  }
+
+  /**
+   * Fetch a challenge the user takes part in
+   */
+  async getChallenge(challengeId, userId) {
+    const challenge = mongoose.isValidObjectId(challengeId)
+      ? await Challenge.findById(challengeId)
+      : null;
+
+    if (!challenge) {
+      throw httpError('Challenge not found', 404);
+    }
+    if (!challenge.isParticipant(userId)) {
+      throw httpError('Not a participant of this challenge', 403);
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Accept a pending challenge (challenged user only); starts the play window
+   */
+  async acceptChallenge(challengeId, userId) {
+    const challenge = await this.respond(challengeId, userId, 'challenged', {
+      status: 'accepted',
+      acceptedAt: new Date(),
+      respondedAt: new Date(),
+      expiresAt: new Date(Date.now() + PLAY_WINDOW_HOURS * HOUR_MS),
+    });
+
+    await this.publish(EVENTS.CHALLENGE_ACCEPTED, challenge);
+    return challenge;
+  }
+
+  /**
+   * Decline a pending challenge (challenged user only)
+   */
+  async declineChallenge(challengeId, userId) {
+    const challenge = await this.respond(challengeId, userId, 'challenged', {
+      status: 'declined',
+      respondedAt: new Date(),
+    });
+
+    await this.publish(EVENTS.CHALLENGE_DECLINED, challenge);
+    return challenge;
+  }
+
+  /**
+   * Withdraw a pending challenge (challenger only)
+   */
+  async cancelChallenge(challengeId, userId) {
+    return this.respond(challengeId, userId, 'challenger', {
+      status: 'cancelled',
+      respondedAt: new Date(),
+    });
+  }
+
+  /**
+   * Move a pending challenge to a new state, guarded against concurrent responses
+   */
+  async respond(challengeId, userId, requiredSide, updates) {
+    const challenge = await this.getChallenge(challengeId, userId);
+
+    if (challenge.sideOf(userId) !== requiredSide) {
+      throw httpError(`Only the ${requiredSide} can do this`, 403);
+    }
+    if (challenge.status !== 'pending' || challenge.expiresAt <= new Date()) {
+      throw httpError(`Challenge is no longer pending (${challenge.status})`, 409);
+    }
+
+    const updated = await Challenge.findOneAndUpdate(
+      { _id: challengeId, status: 'pending' },
+      { $set: updates },
+      { new: true }
+    );
+    if (!updated) {
+      throw httpError('Challenge is no longer pending', 409);
+    }
+
+    return updated;
+  }
+
+  // ============================================
+  // RESULTS
+  // ============================================
+
+  /**
+   * Attach a server-graded quiz result to the player's open challenge on that quiz.
+   * The challenger may play as soon as the challenge exists, the challenged user
+   * once they accepted. Safe to call again for the same result (event redelivery).
+   * @returns {Object|null} The updated challenge, or null if the result is not for a challenge
+   */
+  async recordResult({ userId, quizId, challengeId, resultId, resultData }) {
+    const completedAt = resultData.completedAt ? new Date(resultData.completedAt) : new Date();
+
+    let challenge = resultId
+      ? await Challenge.findOne({
+        $or: [
+          { 'challengerResult.resultId': resultId },
+          { 'challengedResult.resultId': resultId },
+        ],
+      })
+      : null;
+
+    if (!challenge) {
+      const query = {
+        'quiz._id': quizId,
+        expiresAt: { $gt: completedAt },
+        $or: [
+          {
+            'challenger._id': userId,
+            status: { $in: OPEN_STATUSES },
+            createdAt: { $lte: completedAt },
+            challengerResult: null,
+          },
+          {
+            'challenged._id': userId,
+            status: 'accepted',
+            acceptedAt: { $lte: completedAt },
+            challengedResult: null,
+          },
+        ],
+      };
+      if (challengeId && mongoose.isValidObjectId(challengeId)) {
+        query._id = challengeId;
+      }
+
+      const candidate = await Challenge.findOne(query).sort({ createdAt: 1 });
+      if (!candidate) return null;
+
+      const field = `${candidate.sideOf(userId)}Result`;
+      challenge = await Challenge.findOneAndUpdate(
+        { _id: candidate._id, [field]: null },
+        {
+          $set: {
+            [field]: {
+              resultId,
+              score: (resultData.pointsEarned || 0) + (resultData.bonusPoints || 0),
+              percentage: resultData.percentage || 0,
+              totalTimeSpent: resultData.totalTimeTaken || 0,
+              completedAt,
+            },
+          },
+        },
+        { new: true }
+      );
+
+      // Another delivery recorded this side first
+      if (!challenge) return null;
+    }
+
+    if (challenge.status === 'accepted' && challenge.challengerResult && challenge.challengedResult) {
+      return this.resolveChallenge(challenge);
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Decide the winner: higher score, then higher percentage, then faster time
+   */
+  compareAttempts(a, b) {
+    if (a.score !== b.score) return a.score > b.score ? 1 : -1;
+    if (a.percentage !== b.percentage) return a.percentage > b.percentage ? 1 : -1;
+    if (a.totalTimeSpent !== b.totalTimeSpent) {
+      return a.totalTimeSpent < b.totalTimeSpent ? 1 : -1;
+    }
+    return 0;
+  }
+
+  /**
+   * Complete a challenge where both sides have played
+   */
+  async resolveChallenge(challenge) {
+    const comparison = this.compareAttempts(challenge.challengerResult, challenge.challengedResult);
+    const winner = comparison === 0
+      ? null
+      : (comparison > 0 ? challenge.challenger._id : challenge.challenged._id);
+
+    return this.complete(challenge, { winner, isDraw: comparison === 0, isForfeit: false });
+  }
+
+  /**
+   * Mark a challenge completed (once) and hand out XP
+   */
+  async complete(challenge, { winner, isDraw, isForfeit }) {
+    const completed = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, status: 'accepted' },
+      {
+        $set: {
+          status: 'completed',
+          winner,
+          isDraw,
+          isForfeit,
+          completedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    // Already completed by a concurrent delivery or the expiry job
+    if (!completed) {
+      return Challenge.findById(challenge._id);
+    }
+
+    await this.awardXp(completed);
+    await this.publish(EVENTS.CHALLENGE_COMPLETED, completed);
+
+    // Duel achievements ("win 5 in a row") count the outcome for both sides
+    await activityLog.recordDuel(completed);
+    for (const side of [completed.challenger, completed.challenged]) {
+      await queueAchievementCheck(side._id.toString(), {
+        type: 'duel_finished',
+        challengeId: completed._id.toString(),
+      });
+    }
+
+    console.log(`⚔️ Challenge ${completed._id} completed (${isDraw ? 'draw' : `winner ${winner}`})`);
+    return completed;
+  }
+
+  /**
+   * Award challenge XP exactly once per challenge
+   */
+  async awardXp(challenge) {
+    const claimed = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, xpAwarded: false },
+      { $set: { xpAwarded: true } }
+    );
+    if (!claimed) return;
+
+    const sides = [
+      { userId: challenge.challenger._id.toString(), played: !!challenge.challengerResult },
+      { userId: challenge.challenged._id.toString(), played: !!challenge.challengedResult },
+    ];
+
+    for (const { userId, played } of sides) {
+      let xp = 0;
+      if (challenge.isDraw) {
+        xp = XP_REWARDS.draw;
+      } else if (challenge.winner && challenge.winner.toString() === userId) {
+        xp = XP_REWARDS.win;
+      } else if (played) {
+        xp = XP_REWARDS.participation;
+      }
+
+      await statsManager.awardExperience(userId, xp);
+    }
+  }
+
+  // ============================================
+  // EXPIRY
+  // ============================================
+
+  /**
+   * Close challenges past their deadline.
+   * A pending challenge expires; an accepted one is won by forfeit if exactly one
+   * side played, otherwise it expires.
+   * @returns {Object} Counts of expired and forfeited challenges
+   */
+  async expireChallenges(now = new Date()) {
+    const overdue = await Challenge.find({
+      status: { $in: OPEN_STATUSES },
+      expiresAt: { $lte: now },
+    });
+
+    let expired = 0;
+    let forfeited = 0;
+
+    for (const challenge of overdue) {
+      try {
+        const challengerPlayed = !!challenge.challengerResult;
+        const challengedPlayed = !!challenge.challengedResult;
+
+        if (challenge.status === 'accepted' && challengerPlayed !== challengedPlayed) {
+          await this.complete(challenge, {
+            winner: challengerPlayed ? challenge.challenger._id : challenge.challenged._id,
+            isDraw: false,
+            isForfeit: true,
+          });
+          forfeited++;
+          continue;
+        }
+
+        const updated = await Challenge.findOneAndUpdate(
+          { _id: challenge._id, status: challenge.status },
+          { $set: { status: 'expired' } },
+          { new: true }
+        );
+        if (updated) {
+          await this.publish(EVENTS.CHALLENGE_EXPIRED, updated);
+          expired++;
+        }
+      } catch (error) {
+        console.error(`Error expiring challenge ${challenge._id}:`, error);
+      }
+    }
+
+    return { expired, forfeited };
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * Publish a challenge lifecycle event; social-service turns these into notifications
+   */
+  async publish(eventName, challenge) {
+    const data = typeof challenge.toObject === 'function' ? challenge.toObject() : challenge;
+
+    try {
+      await getEventBus().publish(
+        eventName,
+        {
+          challenge: {
+            _id: data._id.toString(),
+            challenger: data.challenger,
+            challenged: data.challenged,
+            quiz: data.quiz,
+            message: data.message,
+            status: data.status,
+            expiresAt: data.expiresAt,
+            challengerResult: data.challengerResult,
+            challengedResult: data.challengedResult,
+            winner: data.winner,
+            isDraw: data.isDraw,
+            isForfeit: data.isForfeit,
+          },
+        },
+        { idempotencyKey: `${eventName}:${data._id}` }
+      );
+    } catch (error) {
+      // Notifications are best-effort; the challenge itself is already saved
+      console.error(`Failed to publish ${eventName}:`, error.message);
+    }
+  }
+}
+
+module.exports = new ChallengeManager();
@@ -0,0 +1,87 @@
+const statsManager = require('./statsManager');
+const streakManager = require('./streakManager');
+const activityLog = require('./activityLog');
+const leaderboardManager = require('./leaderboardManager');
+const { queueAchievementCheck } = require('../config/queue');
+
+/**
+ * Event Processor - Applies cross-service events to stats and leaderboards
+ * Shared by the event bus worker and the legacy HTTP event routes
+ */
+class EventProcessor {
+  /**
+   * Quiz completed (published by result-service with server-graded numbers)
+   */
+  async processQuizCompleted({ userId, quizId, resultId, resultData, _meta }) {
+    // Keyed by source, so a redelivered result is logged once
+    await activityLog.recordQuizResult({ userId, quizId, resultId, resultData });
+
+    // Counters are increments: apply them once per result, however often it is delivered
+    const resultKey = resultId || _meta?.idempotencyKey;
+    if (!resultKey || await statsManager.claimResult(resultKey)) {
+      try {
+        // Any finished quiz, passed or not, makes it an active day.
+        // Settled before the achievement check so streak achievements see it.
+        await streakManager.recordActiveDay(userId, {
+          source: 'quiz',
+          at: resultData.completedAt ? new Date(resultData.completedAt) : new Date(),
+        });
+        await Promise.all([
+          statsManager.updateStats(userId, resultData),
+          statsManager.updateAverageScore(userId, resultData.percentage),
+        ]);
+      } catch (error) {
+        if (resultKey) await statsManager.releaseResult(resultKey);
+        throw error;
+      }
+    }
+
+    await queueAchievementCheck(userId, {
+      type: 'quiz_completed',
+      quizId,
+      ...resultData,
+    });
+  }
+
+  /**
+   * Daily spaced repetition goal met (published once per user per day by result-service)
+   */
+  async processReviewsCompleted({ userId, reviewCount, correctCount, date }) {
+    await streakManager.recordActiveDay(userId, { source: 'reviews' });
+    await activityLog.recordReviews({ userId, reviewCount, correctCount, date });
+
+    await queueAchievementCheck(userId, {
+      type: 'reviews_completed',
+      reviewCount,
+      correctCount,
+    });
+  }
+
+  /**
+   * Live duel finished (published by live-service)
+   */
+  async processDuelFinished(event) {
+    await activityLog.recordLiveDuel(event);
+
+    for (const player of event.players || []) {
+      await queueAchievementCheck(player.userId, {
+        type: 'duel_finished',
+        matchId: event.matchId,
+      });
+    }
+  }
+
+  /**
+   * Result saved (batch/multiplayer results) - refresh leaderboards
+   */
+  async processResultSaved({ userId, resultData }) {
+    const stats = await statsManager.getStats(userId);
+    await leaderboardManager.updateUserScore(
+      userId,
+      stats.totalPoints,
+      resultData.category
+    );
+  }
+}
+
+module.exports = new EventProcessor();
@@ -0,0 +1,420 @@
+const validator = require('validator');
+const ActivityEvent = require('../models/ActivityEvent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DURATION_UNITS = { h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS };
+const DURATION_PATTERN = /^(\d+)([hdw])$/;
+const MAX_WINDOW_MS = 366 * DAY_MS;
+const MAX_DEPTH = 5;
+const MAX_CHILDREN = 20;
+const MAX_COUNT = 1000;
+const MAX_IN_VALUES = 50;
+
+/**
+ * Fields rules can filter each event type on, with their value types
+ */
+const EVENT_FIELDS = {
+  quiz_completed: {
+    quizId: 'string',
+    category: 'string',
+    percentage: 'number',
+    score: 'number',
+    passed: 'boolean',
+    totalTimeTaken: 'number', // Seconds
+  },
+  duel_finished: {
+    mode: 'string', // challenge (friend), ranked, casual, practice (bot) or tournament
+    challengeId: 'string', // Friend challenges
+    matchId: 'string', // Live duels
+    quizId: 'string',
+    category: 'string',
+    outcome: 'string', // win, loss or draw
+    forfeit: 'boolean',
+    opponentId: 'string',
+    score: 'number',
+    percentage: 'number', // Friend challenges
+    correctAnswers: 'number', // Live duels
+  },
+  reviews_completed: {
+    reviewCount: 'number',
+    correctCount: 'number',
+  },
+  live_session: {
+    sessionId: 'string',
+    rank: 'number',
+    points: 'number',
+    accuracy: 'number',
+  },
+};
+
+/**
+ * UserStats fields rules can compare against
+ */
+const STAT_FIELDS = [
+  'totalQuizzesTaken',
+  'totalQuizzesCreated',
+  'totalPoints',
+  'level',
+  'experience',
+  'averageScore',
+  'currentStreak',
+  'longestStreak',
+  'correctInARow',
+  'bestCorrectInARow',
+];
+
+const EVENT_KEYS = ['event', 'where', 'count', 'inARow', 'within'];
+const NUMBER_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Strings compare case-insensitively so "physics" matches a "Physics" quiz
+ */
+function equals(actual, expected) {
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    return actual.toLowerCase() === expected.toLowerCase();
+  }
+  return actual === expected;
+}
+
+const OPERATORS = {
+  eq: (actual, expected) => equals(actual, expected),
+  ne: (actual, expected) => !equals(actual, expected),
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => expected.some((value) => equals(actual, value)),
+};
+
+/**
+ * Build an error carrying an HTTP status for the error middleware
+ */
+function ruleError(message, path) {
+  const error = new Error(`${path}: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_COUNT;
+}
+
+function parseDuration(value) {
+  const match = DURATION_PATTERN.exec(value);
+  return match ? parseInt(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Check a value against its field type. Request bodies are HTML-escaped by
+ * the sanitizer ("Math &amp; Science"), so strings are unescaped.
+ */
+function normalizeValue(value, fieldType, path) {
+  if (typeof value !== fieldType) {
+    throw ruleError(`must be a ${fieldType}`, path);
+  }
+  if (fieldType === 'number' && !Number.isFinite(value)) {
+    throw ruleError('must be a finite number', path);
+  }
+  return fieldType === 'string' ? validator.unescape(value) : value;
+}
+
+/**
+ * A condition is a plain value (equality) or an object of operators
+ */
+function normalizeCondition(condition, fieldType, path) {
+  if (!isPlainObject(condition)) {
+    return normalizeValue(condition, fieldType, path);
+  }
+
+  const operators = Object.keys(condition);
+  if (operators.length === 0) {
+    throw ruleError('needs at least one operator', path);
+  }
+
+  const normalized = {};
+  for (const operator of operators) {
+    const operand = condition[operator];
+    const operandPath = `${path}.${operator}`;
+
+    if (!OPERATORS[operator]) {
+      throw ruleError(`unknown operator (use ${Object.keys(OPERATORS).join(', ')})`, operandPath);
+    }
+    if (NUMBER_OPERATORS.includes(operator) && fieldType !== 'number') {
+      throw ruleError('only applies to number fields', operandPath);
+    }
+
+    if (operator === 'in') {
+      if (!Array.isArray(operand) || operand.length === 0 || operand.length > MAX_IN_VALUES) {
+        throw ruleError(`must be a list of 1-${MAX_IN_VALUES} values`, operandPath);
+      }
+      normalized.in = operand.map((value, i) => normalizeValue(value, fieldType, `${operandPath}[${i}]`));
+    } else {
+      normalized[operator] = normalizeValue(operand, fieldType, operandPath);
+    }
+  }
+  return normalized;
+}
+
+function normalizeEventRule(rule, path) {
+  const fields = EVENT_FIELDS[rule.event];
+  if (!fields) {
+    throw ruleError(`unknown event (use ${Object.keys(EVENT_FIELDS).join(', ')})`, `${path}.event`);
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (!EVENT_KEYS.includes(key)) {
+      throw ruleError(`unknown key "${key}" (use ${EVENT_KEYS.join(', ')})`, path);
+    }
+  }
+
+  const normalized = { event: rule.event };
+
+  if (rule.where !== undefined) {
+    if (!isPlainObject(rule.where)) {
+      throw ruleError('must be an object of field conditions', `${path}.where`);
+    }
+    normalized.where = {};
+    for (const [field, condition] of Object.entries(rule.where)) {
+      if (!fields[field]) {
+        throw ruleError(
+          `unknown ${rule.event} field (use ${Object.keys(fields).join(', ')})`,
+          `${path}.where.${field}`
+        );
+      }
+      normalized.where[field] = normalizeCondition(condition, fields[field], `${path}.where.${field}`);
+    }
+  }
+
+  if (rule.count !== undefined && rule.inARow !== undefined) {
+    throw ruleError('use either count or inARow', path);
+  }
+  if (rule.count !== undefined) {
+    if (!isCount(rule.count)) throw ruleError(`must be an integer from 1 to ${MAX_COUNT}`, `${path}.count`);
+    normalized.count = rule.count;
+  }
+  if (rule.inARow !== undefined) {
+    if (!isCount(rule.inARow)) throw ruleError(`must be an integer from 1 to ${MAX_COUNT}`, `${path}.inARow`);
+    normalized.inARow = rule.inARow;
+  }
+
+  if (rule.within !== undefined) {
+    const windowMs = parseDuration(rule.within);
+    if (!windowMs || windowMs > MAX_WINDOW_MS) {
+      throw ruleError('must be a duration like "12h", "7d" or "2w", at most 366 days', `${path}.within`);
+    }
+    normalized.within = rule.within;
+  }
+
+  return normalized;
+}
+
+function normalizeStatRule(rule, path) {
+  if (!STAT_FIELDS.includes(rule.stat)) {
+    throw ruleError(`unknown stat (use ${STAT_FIELDS.join(', ')})`, `${path}.stat`);
+  }
+
+  const { stat, ...condition } = rule;
+  return { stat, ...normalizeCondition(condition, 'number', path) };
+}
+
+/**
+ * Validate a rule tree and return its normalized copy
+ */
+function normalizeRule(rule, path, depth) {
+  if (!isPlainObject(rule)) {
+    throw ruleError('must be a rule object', path);
+  }
+  if (depth > MAX_DEPTH) {
+    throw ruleError(`rules nest at most ${MAX_DEPTH} levels deep`, path);
+  }
+
+  const kinds = ['all', 'any', 'event', 'stat'].filter((kind) => rule[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw ruleError('needs exactly one of all, any, event or stat', path);
+  }
+
+  const [kind] = kinds;
+  if (kind === 'event') return normalizeEventRule(rule, path);
+  if (kind === 'stat') return normalizeStatRule(rule, path);
+
+  const children = rule[kind];
+  if (Object.keys(rule).length !== 1) {
+    throw ruleError(`${kind} takes no other keys`, path);
+  }
+  if (!Array.isArray(children) || children.length === 0 || children.length > MAX_CHILDREN) {
+    throw ruleError(`must be a list of 1-${MAX_CHILDREN} rules`, `${path}.${kind}`);
+  }
+  return {
+    [kind]: children.map((child, i) => normalizeRule(child, `${path}.${kind}[${i}]`, depth + 1)),
+  };
+}
+
+function matchesWhere(data = {}, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (!isPlainObject(condition)) return equals(data[field], condition);
+    return Object.entries(condition).every(([operator, operand]) =>
+      OPERATORS[operator](data[field], operand)
+    );
+  });
+}
+
+/**
+ * Counter over a user's events of one type, oldest first.
+ * count: at least N matching events (all within one `within` window if set).
+ * inARow: N consecutive events of the type all match (spanning at most `within`).
+ */
+function meetsEventRule(rule, events) {
+  const windowMs = rule.within ? parseDuration(rule.within) : null;
+
+  if (rule.inARow) {
+    let run = 0;
+    for (let i = 0; i < events.length; i++) {
+      run = matchesWhere(events[i].data, rule.where) ? run + 1 : 0;
+      if (run < rule.inARow) continue;
+
+      const firstOfRun = events[i - rule.inARow + 1];
+      if (windowMs === null || events[i].occurredAt - firstOfRun.occurredAt <= windowMs) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  const count = rule.count || 1;
+  const times = events
+    .filter((event) => matchesWhere(event.data, rule.where))
+    .map((event) => new Date(event.occurredAt).getTime());
+
+  if (windowMs === null) return times.length >= count;
+
+  // Slide a window over the matches looking for `count` of them close enough together
+  for (let start = 0, end = 0; end < times.length; end++) {
+    while (times[end] - times[start] > windowMs) start++;
+    if (end - start + 1 >= count) return true;
+  }
+  return false;
+}
+
+/**
+ * Rule Engine - Declarative achievement criteria
+ *
+ * A rule is a tree stored in Achievement.criteria (type "rule"):
+ *   { all: [rule, ...] } / { any: [rule, ...] }       AND / OR
+ *   { stat: 'level', gte: 5 }                          compare a UserStats field
+ *   { event: 'quiz_completed',                         count the user's events
+ *     where: { category: 'Physics', percentage: { gte: 100 } },
+ *     count: 3, within: '7d' }                         (or inARow: 5)
+ *
+ * The built-in achievement types compile to the same rules, so every
+ * achievement is evaluated, previewed and backfilled the same way.
+ */
+class RuleEngine {
+  /**
+   * Validate a rule from a request and return its normalized form
+   * @throws {Error} status 400 naming the offending path
+   */
+  validate(rule) {
+    return normalizeRule(rule, 'criteria', 1);
+  }
+
+  /**
+   * The rule an achievement unlocks on, or null if its criteria are incomplete
+   */
+  fromAchievement({ type, criteria = {} }) {
+    switch (type) {
+      case 'rule':
+        return criteria;
+
+      case 'quiz_completion':
+        return criteria.target ? { stat: 'totalQuizzesTaken', gte: criteria.target } : null;
+
+      case 'score_achievement':
+        return criteria.score
+          ? { event: 'quiz_completed', where: { percentage: { gte: criteria.score } } }
+          : null;
+
+      case 'streak':
+        // A streak reached once counts even after it lapsed
+        return criteria.target ? { stat: 'longestStreak', gte: criteria.target } : null;
+
+      case 'speed':
+        return criteria.timeLimit
+          ? { event: 'quiz_completed', where: { totalTimeTaken: { gt: 0, lte: criteria.timeLimit } } }
+          : null;
+
+      case 'category_master':
+        return criteria.category && criteria.target
+          ? { event: 'quiz_completed', where: { category: criteria.category }, count: criteria.target }
+          : null;
+
+      case 'special':
+        if (!criteria.target) return null;
+        if (criteria.type === 'points') return { stat: 'totalPoints', gte: criteria.target };
+        if (criteria.type === 'level') return { stat: 'level', gte: criteria.target };
+        return null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Evaluation context for one user: their stats, and their events loaded once
+   * per type however many rules ask for them
+   */
+  createContext(userId, stats) {
+    const eventsByType = new Map();
+
+    return {
+      stats,
+      events(type) {
+        if (!eventsByType.has(type)) {
+          eventsByType.set(
+            type,
+            ActivityEvent.find({ user: userId, type })
+              .sort({ occurredAt: 1, _id: 1 })
+              .select('data occurredAt -_id')
+              .lean()
+          );
+        }
+        return eventsByType.get(type);
+      },
+    };
+  }
+
+  /**
+   * Whether the user in this context meets a (normalized) rule
+   */
+  async evaluate(rule, context) {
+    if (rule.all) {
+      for (const child of rule.all) {
+        if (!(await this.evaluate(child, context))) return false;
+      }
+      return true;
+    }
+
+    if (rule.any) {
+      for (const child of rule.any) {
+        if (await this.evaluate(child, context)) return true;
+      }
+      return false;
+    }
+
+    if (rule.stat) {
+      const { stat, ...condition } = rule;
+      return matchesWhere({ [stat]: context.stats[stat] || 0 }, { [stat]: condition });
+    }
+
+    if (rule.event) {
+      return meetsEventRule(rule, await context.events(rule.event));
+    }
+
+    return false;
+  }
+}
+
+module.exports = new RuleEngine();
@@ -8,6 +8,9 @@ const {
 } = require('../config/redis');
 const { queueStatsSync } = require('../config/queue');
 
+// Longer than the event bus remembers idempotency keys (7 days by default)
+const STATS_APPLIED_TTL = 30 * 24 * 3600;
+
 /**
  * Stats Manager - Handles user stats with Redis caching and DB sync
  */
@@ -18,6 +21,9 @@ class StatsManager {
    */
   async updateStats(userId, resultData) {
     try {
+      // Warm the cache first so the increments land on the full stats hash
+      await this.getStats(userId);
+
       // Calculate updates
       const updates = {
         totalQuizzesTaken: 1,
@@ -26,17 +32,16 @@ class StatsManager {
         experience: resultData.experienceGained || 0,
       };
 
-      // Handle streak logic
+      // Passed quizzes in a row (the day streak is kept by streakManager)
       if (resultData.passed) {
-        const currentStreak = await this.getCurrentStreak(userId);
-        updates.currentStreak = currentStreak + 1;
-        
-        const longestStreak = await this.getLongestStreak(userId);
-        if (updates.currentStreak > longestStreak) {
-          updates.longestStreak = updates.currentStreak;
+        updates.correctInARow = (await this.getCachedStat(userId, 'correctInARow')) + 1;
+
+        const best = await this.getCachedStat(userId, 'bestCorrectInARow');
+        if (updates.correctInARow > best) {
+          updates.bestCorrectInARow = updates.correctInARow;
         }
       } else {
-        updates.currentStreak = 0;
+        updates.correctInARow = 0;
       }
 
       // Atomic increment in Redis
@@ -64,6 +69,52 @@ class StatsManager {
     }
   }
 
+  /**
+   * Claim a quiz result for the stats counters so a redelivered event is counted once
+   * @param {String} resultKey - Result id (or event idempotency key)
+   * @returns {Boolean} false if the result was already counted
+   */
+  async claimResult(resultKey) {
+    const { getRedisClient } = require('../config/redis');
+    const redis = getRedisClient();
+    const claimed = await redis.set(
+      REDIS_KEYS.STATS_APPLIED(resultKey), '1', 'EX', STATS_APPLIED_TTL, 'NX'
+    );
+    return claimed === 'OK';
+  }
+
+  /**
+   * Give a claim back after the update failed, so the retry counts it
+   */
+  async releaseResult(resultKey) {
+    const { getRedisClient } = require('../config/redis');
+    const redis = getRedisClient();
+    await redis.del(REDIS_KEYS.STATS_APPLIED(resultKey));
+  }
+
+  /**
+   * Award experience outside of a quiz completion (e.g. challenge results)
+   */
+  async awardExperience(userId, amount) {
+    if (!amount) return null;
+
+    // Warm the cache first so the increment lands on the full stats hash
+    await this.getStats(userId);
+    await incrementUserStats(userId, { experience: amount });
+
+    const cachedStats = await getUserStatsFromCache(userId);
+    if (cachedStats) {
+      const level = Math.floor(cachedStats.experience / 100) + 1;
+      if (level !== cachedStats.level) {
+        await this.updateLevel(userId, level);
+      }
+    }
+
+    await queueStatsSync(userId);
+
+    return cachedStats;
+  }
+
   /**
    * Get user stats (Redis cache first, fallback to DB)
    */
@@ -118,8 +169,8 @@ class StatsManager {
       userStats.totalQuizzesTaken = cachedStats.totalQuizzesTaken;
       userStats.totalPoints = cachedStats.totalPoints;
       userStats.totalTimeSpent = cachedStats.totalTimeSpent;
-      userStats.currentStreak = cachedStats.currentStreak;
-      userStats.longestStreak = cachedStats.longestStreak;
+      userStats.correctInARow = cachedStats.correctInARow;
+      userStats.bestCorrectInARow = cachedStats.bestCorrectInARow;
       userStats.experience = cachedStats.experience;
       userStats.level = cachedStats.level;
       userStats.averageScore = cachedStats.averageScore;
@@ -160,23 +211,13 @@ class StatsManager {
   }
 
   /**
-   * Get current streak from Redis
+   * Get a counter from the cached stats hash
    */
-  async getCurrentStreak(userId) {
+  async getCachedStat(userId, field) {
     const { getRedisClient, REDIS_KEYS } = require('../config/redis');
     const redis = getRedisClient();
-    const streak = await redis.hget(REDIS_KEYS.USER_STATS(userId), 'currentStreak');
-    return parseInt(streak) || 0;
-  }
-
-  /**
-   * Get longest streak from Redis
-   */
-  async getLongestStreak(userId) {
-    const { getRedisClient, REDIS_KEYS } = require('../config/redis');
-    const redis = getRedisClient();
-    const streak = await redis.hget(REDIS_KEYS.USER_STATS(userId), 'longestStreak');
-    return parseInt(streak) || 0;
+    const value = await redis.hget(REDIS_KEYS.USER_STATS(userId), field);
+    return parseInt(value) || 0;
   }
 
   /**
@@ -188,46 +229,6 @@ class StatsManager {
     await redis.hset(REDIS_KEYS.USER_STATS(userId), 'level', newLevel);
   }
 
-  /**
-   * Record last activity timestamp
-   */
-  async recordActivity(userId) {
-    const { getRedisClient, REDIS_KEYS } = require('../config/redis');
-    const redis = getRedisClient();
-    await redis.set(REDIS_KEYS.LAST_ACTIVITY(userId), Date.now(), 'EX', 86400 * 7); // 7 days TTL
-  }
-
-  /**
-   * Check if user was active in last 24 hours
-   */
-  async wasActiveRecently(userId) {
-    const { getRedisClient, REDIS_KEYS } = require('../config/redis');
-    const redis = getRedisClient();
-    const lastActivity = await redis.get(REDIS_KEYS.LAST_ACTIVITY(userId));
-    
-    if (!lastActivity) return false;
-    
-    const hoursSinceActivity = (Date.now() - parseInt(lastActivity)) / (1000 * 60 * 60);
-    return hoursSinceActivity < 24;
-  }
-
-  /**
-   * Reset streak if inactive for >24 hours
-   */
-  async checkAndResetStreak(userId) {
-    const wasActive = await this.wasActiveRecently(userId);
-    
-    if (!wasActive) {
-      const { getRedisClient, REDIS_KEYS } = require('../config/redis');
-      const redis = getRedisClient();
-      await redis.hset(REDIS_KEYS.USER_STATS(userId), 'currentStreak', 0);
-      console.log(`Reset streak for user ${userId} due to inactivity`);
-      return true;
-    }
-    
-    return false;
-  }
-
   /**
    * Get top users by stat
    */
@@ -0,0 +1,378 @@
+const validator = require('validator');
+const { UserStats } = require('../models/Achievement');
+const StreakDay = require('../models/StreakDay');
+const { getRedisClient, getUserStatsFromCache, REDIS_KEYS } = require('../config/redis');
+const { httpError } = require('../../../shared/utils/httpError');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A freeze is earned every FREEZE_EVERY_DAYS streak days, up to MAX_FREEZES banked
+const FREEZE_EVERY_DAYS = parseInt(process.env.STREAK_FREEZE_EVERY_DAYS) || 7;
+const MAX_FREEZES = parseInt(process.env.STREAK_MAX_FREEZES ?? 2) || 0;
+const DEFAULT_HISTORY_DAYS = 90;
+const MAX_HISTORY_DAYS = 366;
+const UPDATE_ATTEMPTS = 5;
+
+// Mirror the streak into the cached stats hash, but never create a partial hash
+const CACHE_STREAK_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  redis.call('HSET', KEYS[1], 'currentStreak', ARGV[1], 'longestStreak', ARGV[2])
+end`;
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of a moment in a timezone
+ */
+function localDate(timezone, date = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+function addDays(day, count) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function isValidDate(day) {
+  return DATE_PATTERN.test(day) && !isNaN(Date.parse(`${day}T00:00:00Z`));
+}
+
+/**
+ * Streak fields of a stats document (lean documents may predate them).
+ * A streak from before day-based tracking has no last day: it is seeded from
+ * the last quiz, or counted as current through yesterday, and saved with the
+ * next change.
+ */
+function streakState(stats, today) {
+  let streakLastDate = stats.streakLastDate || null;
+
+  if (!streakLastDate && stats.currentStreak > 0) {
+    streakLastDate = stats.lastQuizDate
+      ? localDate(stats.timezone, new Date(stats.lastQuizDate))
+      : addDays(today, -1);
+  }
+
+  return {
+    currentStreak: stats.currentStreak || 0,
+    longestStreak: stats.longestStreak || 0,
+    streakFreezes: stats.streakFreezes || 0,
+    streakLastDate,
+  };
+}
+
+/**
+ * Settle the days missed before today: spend a freeze on each, or break the
+ * streak when there aren't enough. Returns the new state and the frozen days.
+ */
+function coverMissedDays(state, today) {
+  const yesterday = addDays(today, -1);
+
+  if (!state.currentStreak || state.streakLastDate >= yesterday) {
+    return { state, frozenDays: [], broken: false };
+  }
+
+  const missed = daysBetween(state.streakLastDate, yesterday);
+  if (missed > state.streakFreezes) {
+    return { state: { ...state, currentStreak: 0 }, frozenDays: [], broken: true };
+  }
+
+  const frozenDays = [];
+  for (let i = 1; i <= missed; i++) {
+    frozenDays.push(addDays(state.streakLastDate, i));
+  }
+  return {
+    state: {
+      ...state,
+      streakFreezes: state.streakFreezes - missed,
+      streakLastDate: yesterday,
+    },
+    frozenDays,
+    broken: false,
+  };
+}
+
+/**
+ * Count today as an active day. Frozen days keep the streak alive without
+ * adding to it.
+ */
+function countActiveDay(state, today) {
+  const covered = coverMissedDays(state, today);
+  const current = covered.state;
+
+  if (current.currentStreak > 0 && current.streakLastDate >= today) {
+    return { ...covered, counted: false, earnedFreeze: false };
+  }
+
+  const currentStreak = current.currentStreak + 1;
+  const earnedFreeze =
+    currentStreak % FREEZE_EVERY_DAYS === 0 && current.streakFreezes < MAX_FREEZES;
+
+  return {
+    ...covered,
+    state: {
+      currentStreak,
+      longestStreak: Math.max(current.longestStreak, currentStreak),
+      streakFreezes: current.streakFreezes + (earnedFreeze ? 1 : 0),
+      streakLastDate: today,
+    },
+    counted: true,
+    earnedFreeze,
+  };
+}
+
+function sameState(a, b) {
+  return (
+    a.currentStreak === b.currentStreak &&
+    a.longestStreak === b.longestStreak &&
+    a.streakFreezes === b.streakFreezes &&
+    a.streakLastDate === b.streakLastDate
+  );
+}
+
+/**
+ * Streak Manager - Consecutive active days in each user's own timezone
+ *
+ * MongoDB holds the streak (the Redis stats hash only mirrors it). Updates are
+ * conditional on the state they were computed from, so concurrent activity for
+ * the same user retries instead of losing a day.
+ */
+class StreakManager {
+  /**
+   * Apply a change computed from the user's current streak state
+   * @param {Function} change - (state, today) => { state, frozenDays, ... }
+   */
+  async applyChange(userId, at, change) {
+    for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+      let stats;
+      try {
+        stats = await UserStats.findOneAndUpdate(
+          { user: userId },
+          { $setOnInsert: { user: userId } },
+          { upsert: true, new: true }
+        ).lean();
+      } catch (error) {
+        if (error.code === 11000) continue; // Created concurrently
+        throw error;
+      }
+
+      const timezone = stats.timezone || DEFAULT_TIMEZONE;
+      const today = localDate(timezone, at);
+      const previous = streakState(stats, today);
+      const outcome = change(previous, today);
+
+      // A seeded last day still has to be saved
+      const seeded = previous.streakLastDate !== (stats.streakLastDate || null);
+      if (!seeded && sameState(previous, outcome.state)) {
+        return { ...outcome, timezone, today, stats };
+      }
+
+      const updated = await UserStats.findOneAndUpdate(
+        {
+          user: userId,
+          currentStreak: stats.currentStreak ?? null,
+          longestStreak: stats.longestStreak ?? null,
+          streakFreezes: stats.streakFreezes ?? null,
+          streakLastDate: stats.streakLastDate ?? null,
+        },
+        { $set: outcome.state },
+        { new: true }
+      ).lean();
+
+      if (updated) {
+        await this.cacheStreak(userId, outcome.state);
+        if (outcome.frozenDays.length > 0) {
+          await this.recordFrozenDays(userId, outcome.frozenDays);
+        }
+        return { ...outcome, timezone, today, stats: updated };
+      }
+    }
+
+    throw httpError('Streak is being updated, try again', 409);
+  }
+
+  async cacheStreak(userId, state) {
+    const redis = getRedisClient();
+    await redis.eval(
+      CACHE_STREAK_SCRIPT,
+      1,
+      REDIS_KEYS.USER_STATS(userId),
+      state.currentStreak,
+      state.longestStreak
+    );
+  }
+
+  async recordFrozenDays(userId, days) {
+    await StreakDay.bulkWrite(
+      days.map((date) => ({
+        updateOne: {
+          filter: { user: userId, date },
+          update: { $setOnInsert: { status: 'frozen' } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  /**
+   * Count an activity toward today's streak day
+   * @param {Object} options - { source: 'quiz' | 'reviews' | 'live_session', at }
+   */
+  async recordActiveDay(userId, { source, at = new Date() } = {}) {
+    const outcome = await this.applyChange(userId, at, countActiveDay);
+
+    await StreakDay.updateOne(
+      { user: userId, date: outcome.today },
+      {
+        $set: { status: 'active' },
+        $inc: { activities: 1 },
+        ...(source && { $addToSet: { sources: source } }),
+      },
+      { upsert: true }
+    );
+
+    if (outcome.earnedFreeze) {
+      console.log(`🧊 User ${userId} earned a streak freeze at ${outcome.state.currentStreak} days`);
+    }
+
+    return outcome.state;
+  }
+
+  /**
+   * Settle lapsed streaks for every timezone whose day has ended since the last
+   * run. Idempotent: a user already settled through yesterday is skipped.
+   */
+  async evaluateStreaks(now = new Date()) {
+    const timezones = new Set(
+      await UserStats.distinct('timezone', { currentStreak: { $gt: 0 } })
+    );
+    timezones.add(DEFAULT_TIMEZONE);
+
+    const totals = { evaluated: 0, frozen: 0, reset: 0 };
+
+    for (const timezone of timezones) {
+      if (!timezone || !isValidTimezone(timezone)) continue;
+
+      const yesterday = addDays(localDate(timezone, now), -1);
+      const lapsed = await UserStats.find({
+        // Documents from before timezones were stored count as UTC
+        timezone: timezone === DEFAULT_TIMEZONE ? { $in: [timezone, null] } : timezone,
+        currentStreak: { $gt: 0 },
+        $or: [{ streakLastDate: { $lt: yesterday } }, { streakLastDate: null }],
+      })
+        .select('user')
+        .lean();
+
+      for (const { user } of lapsed) {
+        try {
+          const outcome = await this.applyChange(user.toString(), now, coverMissedDays);
+          totals.evaluated++;
+          if (outcome.broken) totals.reset++;
+          else if (outcome.frozenDays.length > 0) totals.frozen++;
+        } catch (error) {
+          console.error(`Error evaluating streak for user ${user}:`, error.message);
+        }
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Current streak as it stands today (a lapse the hourly evaluation hasn't
+   * settled yet already shows)
+   */
+  async getSummary(userId) {
+    const stats = (await UserStats.findOne({ user: userId }).lean()) || {};
+    const timezone = stats.timezone || DEFAULT_TIMEZONE;
+    const today = localDate(timezone);
+    const { state } = coverMissedDays(streakState(stats, today), today);
+    const cached = await getUserStatsFromCache(userId);
+
+    return {
+      timezone,
+      today,
+      currentStreak: state.currentStreak,
+      longestStreak: state.longestStreak,
+      activeToday: state.currentStreak > 0 && state.streakLastDate >= today,
+      streakFreezes: state.streakFreezes,
+      maxFreezes: MAX_FREEZES,
+      nextFreezeIn:
+        state.streakFreezes < MAX_FREEZES
+          ? FREEZE_EVERY_DAYS - (state.currentStreak % FREEZE_EVERY_DAYS)
+          : null,
+      correctInARow: (cached || stats).correctInARow || 0,
+      bestCorrectInARow: (cached || stats).bestCorrectInARow || 0,
+    };
+  }
+
+  /**
+   * Active and frozen days between two local dates (default: the last 90 days)
+   */
+  async getHistory(userId, { from, to } = {}) {
+    const stats = (await UserStats.findOne({ user: userId }).select('timezone').lean()) || {};
+    const timezone = stats.timezone || DEFAULT_TIMEZONE;
+
+    const end = to || localDate(timezone);
+    const start = from || addDays(end, -(DEFAULT_HISTORY_DAYS - 1));
+    if (!isValidDate(start) || !isValidDate(end)) {
+      throw httpError('from and to must be dates (YYYY-MM-DD)', 400);
+    }
+    if (start > end) {
+      throw httpError('from must not be after to', 400);
+    }
+    if (daysBetween(start, end) >= MAX_HISTORY_DAYS) {
+      throw httpError(`History covers at most ${MAX_HISTORY_DAYS} days`, 400);
+    }
+
+    const days = await StreakDay.find({ user: userId, date: { $gte: start, $lte: end } })
+      .select('date status activities sources -_id')
+      .sort({ date: 1 })
+      .lean();
+
+    return {
+      timezone,
+      from: start,
+      to: end,
+      activeDays: days.filter((day) => day.status === 'active').length,
+      frozenDays: days.filter((day) => day.status === 'frozen').length,
+      days,
+    };
+  }
+
+  /**
+   * Set the timezone streak days are counted in
+   */
+  async setTimezone(userId, value) {
+    // Request bodies are HTML-escaped by the sanitizer ("Europe&#x2F;Berlin")
+    const timezone = validator.unescape(String(value || ''));
+    if (!isValidTimezone(timezone)) {
+      throw httpError('timezone must be an IANA timezone name, e.g. Europe/Berlin', 400);
+    }
+
+    await UserStats.updateOne({ user: userId }, { $set: { timezone } }, { upsert: true });
+    return this.getSummary(userId);
+  }
+}
+
+module.exports = new StreakManager();
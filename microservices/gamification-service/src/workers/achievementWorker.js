@@ -1,5 +1,9 @@
 const achievementProcessor = require('../services/achievementProcessor');
-const { queueAchievementCheck } = require('../config/queue');
+const activityLog = require('../services/activityLog');
+const { Achievement } = require('../models/Achievement');
+const { getEventBus } = require('../config/eventBus');
+const { queueAchievementBackfill } = require('../config/queue');
+const { EVENTS } = require('../../../shared/config/constants');
 
 /**
  * Achievement Worker - Processes achievement checks from Bull queue
@@ -8,20 +12,17 @@ module.exports = function(achievementQueue) {
   achievementQueue.process('check-achievements', async (job) => {
     const { userId, eventData } = job.data;
 
-    console.log(`Processing achievement check for user ${userId}`);
+    console.log(`Processing achievement check for user ${userId} (${eventData?.type || 'activity'})`);
 
     try {
       // Check and unlock achievements
-      const unlockedAchievements = await achievementProcessor.checkAchievements(
-        userId,
-        eventData
-      );
+      const unlockedAchievements = await achievementProcessor.checkAchievements(userId);
 
       if (unlockedAchievements.length > 0) {
         console.log(`🎉 Unlocked ${unlockedAchievements.length} achievement(s) for user ${userId}`);
         
-        // Notify social service about unlocked achievements
-        await notifySocialService(userId, unlockedAchievements);
+        // Publish unlocked achievements for social service
+        await publishAchievementUnlocks(userId, unlockedAchievements);
       }
 
       return {
@@ -35,33 +36,67 @@ module.exports = function(achievementQueue) {
     }
   });
 
+  achievementQueue.process('backfill-achievement', async (job) => {
+    const { achievementId } = job.data;
+
+    const backfill = await achievementProcessor.backfillAchievement(achievementId);
+    if (backfill.skipped) {
+      return { success: true, skipped: true };
+    }
+
+    for (const userId of backfill.unlockedUserIds) {
+      await publishAchievementUnlocks(userId, [{ achievement: backfill.achievement }]);
+    }
+
+    return {
+      success: true,
+      evaluatedUsers: backfill.evaluatedUsers,
+      unlockedCount: backfill.unlockedUserIds.length,
+    };
+  });
+
+  achievementQueue.process('preview-achievement', async (job) => {
+    return achievementProcessor.previewRule(job.data);
+  });
+
+  achievementQueue.process('import-history', async (job) => {
+    const imported = await activityLog.importHistory(job.data.authHeaders);
+    console.log(`📥 Imported ${imported.results} results and ${imported.duels} duels into the activity log`);
+
+    // Achievements can now be met by the imported history
+    const achievements = await Achievement.find({ isActive: true }).select('_id').lean();
+    for (const { _id } of achievements) {
+      await queueAchievementBackfill(_id.toString());
+    }
+
+    return { success: true, ...imported, backfills: achievements.length };
+  });
+
   console.log('✅ Achievement worker started');
 };
 
 /**
- * Notify social service about achievement unlocks
+ * Publish achievement unlocks on the event bus
+ * Keyed per user+achievement so a retried job never posts twice
  */
-async function notifySocialService(userId, unlockedAchievements) {
-  try {
-    const axios = require('axios');
-    const SOCIAL_SERVICE_URL = process.env.SOCIAL_SERVICE_URL || 'http://localhost:3006';
-
-    for (const { achievement } of unlockedAchievements) {
-      await axios.post(`${SOCIAL_SERVICE_URL}/api/events/achievement-unlocked`, {
-        userId,
-        achievement: {
-          id: achievement._id,
-          name: achievement.name,
-          description: achievement.description,
-          icon: achievement.icon,
-          rarity: achievement.rarity,
-          points: achievement.points,
-        },
-      }).catch(err => {
-        console.error('Failed to notify social service:', err.message);
-      });
-    }
-  } catch (error) {
-    console.error('Error notifying social service:', error);
+async function publishAchievementUnlocks(userId, unlockedAchievements) {
+  const eventBus = getEventBus();
+
+  for (const { achievement } of unlockedAchievements) {
+    await eventBus.publish(EVENTS.ACHIEVEMENT_UNLOCKED, {
+      userId,
+      achievement: {
+        id: achievement._id,
+        name: achievement.name,
+        description: achievement.description,
+        icon: achievement.icon,
+        rarity: achievement.rarity,
+        points: achievement.points,
+      },
+    }, {
+      idempotencyKey: `achievement-unlocked:${userId}:${achievement._id}`,
+    }).catch(err => {
+      console.error('Failed to publish achievement unlock:', err.message);
+    });
   }
 }
@@ -0,0 +1,36 @@
+const { EVENTS } = require('../../../shared/config/constants');
+const eventProcessor = require('../services/eventProcessor');
+const challengeManager = require('../services/challengeManager');
+
+/**
+ * Event Worker - Consumes cross-service events from the event bus
+ * Handlers throw on failure so the bus retries, then dead-letters the event
+ */
+module.exports = function(eventBus) {
+  eventBus.subscribe(EVENTS.QUIZ_COMPLETED, async (event) => {
+    console.log(`Processing quiz completion for user ${event.userId}`);
+
+    // Only bus events carry result-service grades, so challenges are settled here
+    // rather than in the shared processor behind the legacy HTTP route.
+    // Runs first because it is idempotent per result and survives a retry.
+    await challengeManager.recordResult(event);
+
+    await eventProcessor.processQuizCompleted(event);
+  });
+
+  eventBus.subscribe(EVENTS.RESULT_SAVED, async (event) => {
+    await eventProcessor.processResultSaved(event);
+  });
+
+  eventBus.subscribe(EVENTS.DUEL_FINISHED, async (event) => {
+    console.log(`Recording live duel ${event.matchId} (${event.mode})`);
+    await eventProcessor.processDuelFinished(event);
+  });
+
+  eventBus.subscribe(EVENTS.REVIEWS_COMPLETED, async (event) => {
+    console.log(`Crediting review streak for user ${event.userId} (${event.date})`);
+    await eventProcessor.processReviewsCompleted(event);
+  });
+
+  console.log('✅ Event worker started');
+};
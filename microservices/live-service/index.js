@@ -13,11 +13,17 @@ const createLogger = require("../shared/utils/logger");
 const ApiResponse = require("../shared/utils/response");
 const { connectDB } = require("./models");
 const sessionManager = require("./services/sessionManager");
+const timerScheduler = require("./services/timerScheduler");
+const matchmaking = require("./services/matchmaking");
+const eventBus = require("./services/eventBus");
 const {
   initializeSocketHandlers,
   syncSessionToDatabase,
 } = require("./socket/handlers");
 const { initializeDuelHandlers } = require("./socket/duelHandlers");
+const { initializeTournamentHandlers } = require("./socket/tournamentHandlers");
+const { socketAuth } = require("../shared/middleware/socketAuth");
+const { attachRedisAdapter } = require("../shared/utils/socketAdapter");
 
 const app = express();
 const httpServer = createServer(app);
@@ -37,6 +43,12 @@ const io = new Server(httpServer, {
   transports: ["websocket", "polling"],
 });
 
+// Share rooms and broadcasts with the other live-service instances
+const socketAdapter = attachRedisAdapter(io, "live-service");
+
+// Routes that push to sockets (tournaments) reach io through the app
+app.set("io", io);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: "5mb" }));
@@ -54,6 +66,8 @@ app.use((req, res, next) => {
 
 // Routes
 app.use("/api/sessions", require("./routes/sessions"));
+app.use("/api/duel-ratings", require("./routes/duelRatings"));
+app.use("/api/tournaments", require("./routes/tournaments"));
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -64,6 +78,8 @@ app.get("/", (req, res) => {
     endpoints: {
       health: "/health",
       sessions: "/api/sessions/*",
+      duelRatings: "/api/duel-ratings/*",
+      tournaments: "/api/tournaments/*",
       socketStatus: "/api/socket/status",
     },
   });
@@ -83,6 +99,7 @@ app.get("/health", async (req, res) => {
           mongoose.connection.readyState === 1 ? "connected" : "disconnected",
         redis: sessionManager.isHealthy() ? "connected" : "disconnected",
         socketio: io.engine.clientsCount,
+        socketAdapter: socketAdapter ? "redis" : "in-memory",
       },
     };
 
@@ -96,12 +113,20 @@ app.get("/health", async (req, res) => {
   }
 });
 
-// Socket.IO status endpoint
-app.get("/api/socket/status", (req, res) => {
-  res.json({
-    connected: io.engine.clientsCount,
-    rooms: io.sockets.adapter.rooms.size,
-  });
+// Socket.IO status endpoint (this instance, plus the cluster-wide count)
+app.get("/api/socket/status", async (req, res) => {
+  try {
+    const sockets = await io.fetchSockets();
+    res.json({
+      connected: io.engine.clientsCount,
+      clusterConnected: sockets.length,
+      rooms: io.sockets.adapter.rooms.size,
+      adapter: socketAdapter ? "redis" : "in-memory",
+    });
+  } catch (error) {
+    logger.error("Socket status error:", error);
+    res.status(503).json({ error: error.message });
+  }
 });
 
 // 404 handler
@@ -119,14 +144,27 @@ app.use((err, req, res, next) => {
   );
 });
 
-// Initialize Socket.IO handlers
+// Initialize Socket.IO handlers (every connection carries a verified JWT)
+io.use(socketAuth());
 initializeSocketHandlers(io);
 initializeDuelHandlers(io);
+initializeTournamentHandlers(io);
 
 // Periodic database sync (for active sessions)
 const dbSyncInterval = parseInt(process.env.DB_SYNC_INTERVAL) || 30000;
 setInterval(async () => {
   try {
+    // One instance per interval does the sync; the lock is left to expire
+    if (
+      !sessionManager.locks ||
+      !(await sessionManager.locks.acquire(
+        "db-sync",
+        Math.max(dbSyncInterval - 1000, 1000)
+      ))
+    ) {
+      return;
+    }
+
     // Get all active sessions from Redis and sync to MongoDB
     const LiveSession = require("./models/LiveSession");
     const activeSessions = await LiveSession.find({
@@ -154,11 +192,19 @@ const shutdown = async (signal) => {
   logger.info(`${signal} received, shutting down gracefully...`);
 
   try {
+    // Stop firing timers; other instances pick them up
+    timerScheduler.stop();
+    matchmaking.stop();
+
     // Close Socket.IO server
     io.close(() => {
       logger.info("Socket.IO server closed");
     });
 
+    if (socketAdapter) {
+      await socketAdapter.close();
+    }
+
     // Close HTTP server
     if (httpServer) {
       await new Promise((resolve) => httpServer.close(resolve));
@@ -170,6 +216,8 @@ const shutdown = async (signal) => {
     await mongoose.connection.close();
     logger.info("MongoDB connection closed");
 
+    await eventBus.close();
+
     // Close Redis connection
     await sessionManager.disconnect();
     logger.info("Redis connection closed");
@@ -189,6 +237,16 @@ const startServer = async () => {
   try {
     await connectDB();
     await sessionManager.connect();
+    try {
+      await eventBus.connectMessageBroker(sessionManager.redis);
+    } catch (busError) {
+      logger.warn(
+        "Event bus broker connection failed - events stay in this process:",
+        busError.message
+      );
+    }
+    timerScheduler.start();
+    matchmaking.start();
 
     httpServer.listen(PORT, () => {
       const serviceUrl =
@@ -21,14 +21,16 @@ const PlayerSchema = new mongoose.Schema(
     answers: [
       {
         questionIndex: Number,
-        answer: String,
+        answer: mongoose.Schema.Types.Mixed, // Array for multi-select/ordering
         isCorrect: Boolean,
+        credit: Number,
         timeSpent: Number,
         timestamp: Date,
       },
     ],
     isReady: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true },
+    isBot: { type: Boolean, default: false }, // Practice bot, no socket
   },
   { _id: false }
 );
@@ -42,6 +44,25 @@ const DuelMatchSchema = new mongoose.Schema(
       ref: "Quiz",
       index: true,
     },
+    category: { type: String, default: "General" },
+    // Ranked duels are paired by the matchmaking queue and change ratings
+    ranked: { type: Boolean, default: false },
+    rated: { type: Boolean, default: false },
+    ratingChanges: mongoose.Schema.Types.Mixed, // { [userId]: { before, after, change, rd } }
+    // Practice match against a bot (player2); never ranked
+    isBotMatch: { type: Boolean, default: false },
+    bot: {
+      level: String,
+      questionsFromHistory: Number, // Questions tuned from real results
+      plan: mongoose.Schema.Types.Mixed, // [{ questionIndex, answer, delay, timeSpent }]
+    },
+    // Bracket match this duel decides, for tournament games
+    tournamentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tournament",
+      default: null,
+    },
+    tournamentMatch: String, // Bracket match key, e.g. "W2-0"
     player1: { type: PlayerSchema, required: true },
     player2: { type: PlayerSchema },
     status: {
@@ -61,11 +82,9 @@ const DuelMatchSchema = new mongoose.Schema(
   }
 );
 
-// Index for finding waiting matches
-DuelMatchSchema.index({ quizId: 1, status: 1, "player1.userId": 1 });
-
-// Compound index for efficient matchmaking (find waiting matches without player2)
-DuelMatchSchema.index({ quizId: 1, status: 1, player2: 1, createdAt: 1 });
+// Finding a player's open match on disconnect
+DuelMatchSchema.index({ status: 1, "player1.socketId": 1 });
+DuelMatchSchema.index({ status: 1, "player2.socketId": 1 });
 
 // Auto-expire waiting matches after 5 minutes
 DuelMatchSchema.index(
@@ -0,0 +1,38 @@
+/**
+ * DuelRating Model
+ * Glicko-2 duel rating of a player in one quiz category
+ */
+
+const mongoose = require("mongoose");
+const glicko2 = require("../services/glicko2");
+
+const DuelRatingSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    username: String,
+    category: { type: String, required: true },
+    rating: { type: Number, default: glicko2.DEFAULT_RATING },
+    rd: { type: Number, default: glicko2.DEFAULT_RD }, // Rating deviation
+    volatility: { type: Number, default: glicko2.DEFAULT_VOLATILITY },
+    matches: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    lastPlayedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rating per player and category
+DuelRatingSchema.index({ userId: 1, category: 1 }, { unique: true });
+
+// Category leaderboards
+DuelRatingSchema.index({ category: 1, rating: -1 });
+
+module.exports = mongoose.model("DuelRating", DuelRatingSchema);
@@ -29,6 +29,18 @@ const participantSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  bestStreak: {
+    type: Number,
+    default: 0,
+  },
+  answeredCount: {
+    type: Number,
+    default: 0,
+  },
+  totalResponseTime: {
+    type: Number, // Milliseconds, measured by the server
+    default: 0,
+  },
   joinedAt: {
     type: Date,
     default: Date.now,
@@ -39,6 +51,33 @@ const participantSchema = new mongoose.Schema({
     default: true,
   },
   socketId: String,
+  teamId: String, // Team mode only
+}, { _id: false });
+
+// Team mode: team definition plus its latest standing
+const teamSchema = new mongoose.Schema({
+  teamId: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  color: String,
+  score: {
+    type: Number, // Sum or average of member scores, per settings.teamScoring
+    default: 0,
+  },
+  totalScore: {
+    type: Number,
+    default: 0,
+  },
+  memberCount: {
+    type: Number,
+    default: 0,
+  },
+  rank: Number,
 }, { _id: false });
 
 const answerRecordSchema = new mongoose.Schema({
@@ -55,15 +94,21 @@ const answerRecordSchema = new mongoose.Schema({
     type: Boolean,
     required: true,
   },
+  credit: {
+    type: Number, // Share of the points earned (0-1), below 1 for partial answers
+    default: 0,
+  },
   points: {
     type: Number,
     default: 0,
   },
+  // How the points were made up (speed factor, streak multiplier, ...)
+  breakdown: mongoose.Schema.Types.Mixed,
   answeredAt: {
     type: Date,
     default: Date.now,
   },
-  timeSpent: Number, // Milliseconds
+  timeSpent: Number, // Milliseconds since the question was broadcast
 }, { _id: false });
 
 const liveSessionSchema = new mongoose.Schema({
@@ -111,6 +156,9 @@ const liveSessionSchema = new mongoose.Schema({
   
   // Answer records
   answers: [answerRecordSchema],
+
+  // Teams (empty unless settings.teamMode)
+  teams: [teamSchema],
   
   // Timing
   startedAt: Date,
@@ -135,6 +183,31 @@ const liveSessionSchema = new mongoose.Schema({
       type: Boolean,
       default: false,
     },
+    // Move on by itself autoAdvanceDelay seconds after a question's time is up
+    autoAdvance: {
+      type: Boolean,
+      default: false,
+    },
+    autoAdvanceDelay: {
+      type: Number,
+      default: 5, // seconds
+      min: 0,
+    },
+    // Participants play for teams; team score is the sum or average of members
+    teamMode: {
+      type: Boolean,
+      default: false,
+    },
+    teamScoring: {
+      type: String,
+      enum: ['sum', 'average'],
+      default: 'sum',
+    },
+    teamAssignment: {
+      type: String,
+      enum: ['auto', 'choose'], // auto = balanced by the server, choose = players pick
+      default: 'auto',
+    },
   },
   
   // Denormalized quiz info (for faster access)
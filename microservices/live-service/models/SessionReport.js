@@ -0,0 +1,212 @@
+/**
+ * SessionReport Model
+ * Full report of a finished live session, written once when it ends.
+ * Kept after the Redis session and the 7-day LiveSession document expire.
+ * Times are in seconds unless noted.
+ */
+
+const mongoose = require('mongoose');
+
+const distributionSchema = new mongoose.Schema({
+  answer: String, // Display form of the answer ("(no answer)" for blanks)
+  count: {
+    type: Number,
+    default: 0,
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
+
+const questionReportSchema = new mongoose.Schema({
+  questionIndex: {
+    type: Number,
+    required: true,
+  },
+  questionId: String,
+  text: String,
+  type: String,
+  correctAnswer: mongoose.Schema.Types.Mixed,
+  totalAnswers: {
+    type: Number,
+    default: 0,
+  },
+  correctAnswers: {
+    type: Number,
+    default: 0,
+  },
+  partialAnswers: {
+    type: Number,
+    default: 0,
+  },
+  incorrectAnswers: {
+    type: Number,
+    default: 0,
+  },
+  unanswered: {
+    type: Number,
+    default: 0,
+  },
+  correctRate: {
+    type: Number, // Percent of answers given
+    default: 0,
+  },
+  averagePoints: {
+    type: Number,
+    default: 0,
+  },
+  averageTime: Number,
+  medianTime: Number,
+  fastestTime: Number,
+  slowestTime: Number,
+  distribution: [distributionSchema],
+}, { _id: false });
+
+const responseSchema = new mongoose.Schema({
+  questionIndex: Number,
+  answer: mongoose.Schema.Types.Mixed,
+  isCorrect: Boolean,
+  credit: Number,
+  points: Number,
+  timeSpent: Number, // Milliseconds, measured by the server
+}, { _id: false });
+
+const participantReportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  userName: String,
+  teamId: String,
+  teamName: String,
+  rank: Number,
+  score: {
+    type: Number,
+    default: 0,
+  },
+  correctAnswers: {
+    type: Number,
+    default: 0,
+  },
+  incorrectAnswers: {
+    type: Number,
+    default: 0,
+  },
+  unanswered: {
+    type: Number,
+    default: 0,
+  },
+  accuracy: {
+    type: Number,
+    default: 0,
+  },
+  averageTime: Number,
+  bestStreak: {
+    type: Number,
+    default: 0,
+  },
+  joinedAt: Date,
+  leftAt: Date,
+  responses: [responseSchema],
+}, { _id: false });
+
+const sessionReportSchema = new mongoose.Schema({
+  sessionCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    index: true,
+  },
+
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+    index: true,
+  },
+
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  quizTitle: String,
+  startedAt: Date,
+  endedAt: Date,
+  duration: Number,
+  settings: mongoose.Schema.Types.Mixed,
+
+  summary: {
+    totalParticipants: {
+      type: Number,
+      default: 0,
+    },
+    // Answered every question that was played
+    completedParticipants: {
+      type: Number,
+      default: 0,
+    },
+    totalQuestions: {
+      type: Number,
+      default: 0,
+    },
+    questionsPlayed: {
+      type: Number,
+      default: 0,
+    },
+    totalAnswers: {
+      type: Number,
+      default: 0,
+    },
+    averageScore: {
+      type: Number,
+      default: 0,
+    },
+    topScore: {
+      type: Number,
+      default: 0,
+    },
+    averageAccuracy: {
+      type: Number,
+      default: 0,
+    },
+    averageTimePerQuestion: {
+      type: Number,
+      default: 0,
+    },
+    // Participants per accuracy band: 0-25%, 26-50%, 51-75%, 76-100%
+    accuracyRanges: {
+      low: { type: Number, default: 0 },
+      mediumLow: { type: Number, default: 0 },
+      mediumHigh: { type: Number, default: 0 },
+      high: { type: Number, default: 0 },
+    },
+  },
+
+  questions: [questionReportSchema],
+  participants: [participantReportSchema],
+  // Final team standings (team mode only)
+  teams: [mongoose.Schema.Types.Mixed],
+}, {
+  timestamps: true,
+});
+
+// Host's reports, newest first
+sessionReportSchema.index({ hostId: 1, endedAt: -1 });
+
+/**
+ * Find report by session code
+ */
+sessionReportSchema.statics.findByCode = function(sessionCode) {
+  return this.findOne({ sessionCode: sessionCode.toUpperCase() });
+};
+
+module.exports = mongoose.model('SessionReport', sessionReportSchema);
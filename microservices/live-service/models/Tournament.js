@@ -0,0 +1,133 @@
+/**
+ * Tournament Model
+ * A bracket of duels: registration, the bracket's matches and, once it is
+ * over, the final standings
+ */
+
+const mongoose = require("mongoose");
+const { FORMATS } = require("../services/tournamentBracket");
+
+const SlotSchema = new mongoose.Schema(
+  {
+    userId: String,
+    username: String,
+    seed: Number,
+  },
+  { _id: false }
+);
+
+const LinkSchema = new mongoose.Schema(
+  {
+    key: String,
+    slot: Number, // 1 or 2
+  },
+  { _id: false }
+);
+
+const BracketMatchSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true }, // e.g. "W2-0", "L3-1", "GF-1", "S4-2"
+    bracket: {
+      type: String,
+      enum: ["winners", "losers", "final", "swiss"],
+      required: true,
+    },
+    round: Number,
+    index: Number,
+    stage: Number, // How deep in the bracket, for standings
+    player1: SlotSchema,
+    player2: SlotSchema,
+    filled: { type: Number, default: 0 }, // Slots decided so far
+    status: {
+      type: String,
+      enum: ["pending", "ready", "completed"],
+      default: "pending",
+    },
+    result: {
+      type: String,
+      enum: ["played", "draw", "forfeit", "no-show", "bye", "skipped", null],
+      default: null,
+    },
+    winner: String,
+    loser: String,
+    scores: {
+      player1: Number,
+      player2: Number,
+    },
+    duelMatchId: String, // DuelMatch.matchId once scheduled
+    deadline: Date, // Both players must have started by then
+    next: {
+      winner: LinkSchema,
+      loser: LinkSchema,
+    },
+  },
+  { _id: false }
+);
+
+const ParticipantSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    username: String,
+    avatar: String,
+    seed: Number,
+    rating: Number, // Duel rating in the category when seeded
+    registeredAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const TournamentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    description: { type: String, maxlength: 1000 },
+    format: { type: String, enum: FORMATS, required: true },
+    quizId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Quiz",
+    },
+    quiz: {
+      title: String,
+      description: String,
+      difficulty: String,
+      totalQuestions: Number,
+    },
+    category: { type: String, default: "General" },
+    createdBy: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: "User",
+      },
+      username: String,
+    },
+    status: {
+      type: String,
+      enum: ["registration", "active", "completed", "cancelled"],
+      default: "registration",
+      index: true,
+    },
+    maxParticipants: { type: Number, default: 32, min: 2, max: 128 },
+    swissRounds: Number, // Swiss only; defaults to log2 of the field
+    currentRound: { type: Number, default: 0 }, // Swiss round being played
+    startsAt: Date, // Optional automatic start
+    participants: [ParticipantSchema],
+    matches: [BracketMatchSchema],
+    standings: mongoose.Schema.Types.Mixed, // Final standings, set on completion
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Tournament lists
+TournamentSchema.index({ status: 1, createdAt: -1 });
+TournamentSchema.index({ "participants.userId": 1, createdAt: -1 });
+
+module.exports = mongoose.model("Tournament", TournamentSchema);
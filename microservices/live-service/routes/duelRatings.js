@@ -0,0 +1,47 @@
+/**
+ * HTTP Routes for Duel Ratings
+ */
+
+const express = require('express');
+const ApiResponse = require('../../shared/utils/response');
+const createLogger = require('../../shared/utils/logger');
+const { authenticateToken } = require('../../shared/middleware/auth');
+const duelRatings = require('../services/duelRatings');
+
+const router = express.Router();
+const logger = createLogger('duel-routes');
+
+/**
+ * @route   GET /api/duel-ratings/me
+ * @desc    Current user's duel rating in every category they have played
+ * @access  Private
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const ratings = await duelRatings.getRatings(req.user.userId);
+    return ApiResponse.success(res, { ratings });
+  } catch (error) {
+    logger.error('Error getting duel ratings:', error);
+    return ApiResponse.error(res, 'Failed to get duel ratings', 500);
+  }
+});
+
+/**
+ * @route   GET /api/duel-ratings/leaderboard?category=
+ * @desc    Highest duel ratings in a category
+ * @access  Public
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const category = duelRatings.normalizeCategory(req.query.category);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const leaderboard = await duelRatings.getLeaderboard(category, limit);
+    return ApiResponse.success(res, { category, leaderboard });
+  } catch (error) {
+    logger.error('Error getting duel leaderboard:', error);
+    return ApiResponse.error(res, 'Failed to get duel leaderboard', 500);
+  }
+});
+
+module.exports = router;
@@ -8,7 +8,10 @@ const ApiResponse = require('../../shared/utils/response');
 const createLogger = require('../../shared/utils/logger');
 const { authenticateToken } = require('../../shared/middleware/auth');
 const sessionManager = require('../services/sessionManager');
+const teams = require('../services/teams');
+const reportExport = require('../services/reportExport');
 const LiveSession = require('../models/LiveSession');
+const SessionReport = require('../models/SessionReport');
 
 const router = express.Router();
 const logger = createLogger('session-routes');
@@ -26,6 +29,14 @@ router.post('/create', authenticateToken, async (req, res) => {
       return ApiResponse.badRequest(res, 'quizId required');
     }
 
+    // Team mode options (teamMode, teams / teamCount, teamScoring, teamAssignment)
+    let teamConfig;
+    try {
+      teamConfig = teams.configure(settings || {});
+    } catch (error) {
+      return ApiResponse.badRequest(res, error.message);
+    }
+
     // Fetch quiz details
     const QUIZ_SERVICE_URL = process.env.QUIZ_SERVICE_URL || 'http://localhost:3005';
     const quizResponse = await fetch(`${QUIZ_SERVICE_URL}/api/quizzes/${quizId}`);
@@ -60,7 +71,8 @@ router.post('/create', authenticateToken, async (req, res) => {
       quizId,
       hostId: req.user.userId,
       maxParticipants: maxParticipants || 50,
-      settings: settings || {},
+      settings: teamConfig.settings,
+      teams: teamConfig.teams,
       quizMetadata: {
         title: quiz.title,
         totalQuestions: quiz.questions.length,
@@ -78,6 +90,7 @@ router.post('/create', authenticateToken, async (req, res) => {
       hostId: req.user.userId,
       maxParticipants: session.maxParticipants,
       settings: session.settings,
+      teams: session.teams,
       quizMetadata: session.quizMetadata,
     });
     await dbSession.save();
@@ -152,9 +165,11 @@ router.get('/:sessionCode/leaderboard', async (req, res) => {
     }
 
     const leaderboard = await sessionManager.getLeaderboard(sessionCode, limit);
+    const teamLeaderboard = await sessionManager.getTeamLeaderboard(sessionCode, session);
 
     return ApiResponse.success(res, {
       leaderboard,
+      teamLeaderboard,
       sessionCode,
       status: session.status,
     }, 'Leaderboard fetched successfully');
@@ -247,17 +262,53 @@ router.get('/teacher/history', authenticateToken, async (req, res) => {
       .limit(50)
       .lean();
 
+    // Reports outlive LiveSession documents (7-day TTL)
+    const reports = await SessionReport.find({ hostId: userId })
+      .sort({ endedAt: -1 })
+      .limit(50)
+      .select('sessionCode quizId quizTitle startedAt endedAt duration summary createdAt')
+      .lean();
+    const reportsByCode = new Map(reports.map(report => [report.sessionCode, report]));
+
     // Transform sessions to include quiz title, participant count and duration
-    const transformedSessions = sessions.map(session => ({
-      ...session,
-      quizTitle: session.quizMetadata?.title || 'Untitled Quiz',
-      participantCount: session.participants?.length || 0,
-      duration: session.endedAt 
-        ? Math.floor((new Date(session.endedAt) - new Date(session.startedAt || session.createdAt)) / 1000)
-        : 0
-    }));
-
-    return ApiResponse.success(res, { sessions: transformedSessions, count: transformedSessions.length }, 'Sessions fetched successfully');
+    const transformedSessions = sessions.map(session => {
+      const report = reportsByCode.get(session.sessionCode);
+      reportsByCode.delete(session.sessionCode);
+
+      return {
+        ...session,
+        quizTitle: session.quizMetadata?.title || 'Untitled Quiz',
+        participantCount: session.participants?.length || 0,
+        duration: session.endedAt 
+          ? Math.floor((new Date(session.endedAt) - new Date(session.startedAt || session.createdAt)) / 1000)
+          : 0,
+        hasReport: Boolean(report),
+        averageScore: report?.summary.averageScore,
+        topScore: report?.summary.topScore,
+      };
+    });
+
+    // Sessions only the report remembers
+    for (const report of reportsByCode.values()) {
+      transformedSessions.push({
+        sessionCode: report.sessionCode,
+        quizId: report.quizId,
+        quizTitle: report.quizTitle || 'Untitled Quiz',
+        status: 'completed',
+        participantCount: report.summary.totalParticipants,
+        duration: report.duration,
+        startedAt: report.startedAt,
+        endedAt: report.endedAt,
+        createdAt: report.startedAt || report.createdAt,
+        hasReport: true,
+        averageScore: report.summary.averageScore,
+        topScore: report.summary.topScore,
+      });
+    }
+    transformedSessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const history = transformedSessions.slice(0, 50);
+    return ApiResponse.success(res, { sessions: history, count: history.length }, 'Sessions fetched successfully');
   } catch (error) {
     logger.error('Error getting teacher history:', error);
     return ApiResponse.error(res, 'Failed to fetch session history', 500);
@@ -294,7 +345,19 @@ router.get('/:sessionCode/stats', async (req, res) => {
   try {
     const { sessionCode } = req.params;
 
-    const stats = await sessionManager.getSessionStats(sessionCode);
+    let stats = await sessionManager.getSessionStats(sessionCode);
+
+    // Redis data is gone once the session expires; fall back to its report
+    if (!stats?.status) {
+      const report = await SessionReport.findByCode(sessionCode).lean();
+      stats = report && {
+        sessionCode: report.sessionCode,
+        participantCount: report.summary.totalParticipants,
+        answerCount: report.summary.totalAnswers,
+        status: 'completed',
+        currentQuestion: report.summary.questionsPlayed - 1,
+      };
+    }
     
     if (!stats) {
       return ApiResponse.notFound(res, 'Session not found');
@@ -307,4 +370,66 @@ router.get('/:sessionCode/stats', async (req, res) => {
   }
 });
 
+/**
+ * Load a session report for its host (or an admin)
+ * @returns {Object|null} The report, or null after responding with an error
+ */
+async function findReportForUser(req, res) {
+  const report = await SessionReport.findByCode(req.params.sessionCode).lean();
+  if (!report) {
+    ApiResponse.notFound(res, 'Report not found. Reports are created when a session ends');
+    return null;
+  }
+
+  if (String(report.hostId) !== req.user.userId && req.user.role !== 'Admin') {
+    ApiResponse.forbidden(res, 'Only the host can view this report');
+    return null;
+  }
+
+  return report;
+}
+
+/**
+ * @route   GET /api/sessions/:sessionCode/report
+ * @desc    Get the persisted report of an ended session
+ * @access  Private (Host)
+ */
+router.get('/:sessionCode/report', authenticateToken, async (req, res) => {
+  try {
+    const report = await findReportForUser(req, res);
+    if (!report) return;
+
+    return ApiResponse.success(res, { report }, 'Report fetched successfully');
+  } catch (error) {
+    logger.error('Error getting session report:', error);
+    return ApiResponse.error(res, 'Failed to fetch report', 500);
+  }
+});
+
+/**
+ * @route   GET /api/sessions/:sessionCode/report/export?format=csv|xlsx
+ * @desc    Download the session report
+ * @access  Private (Host)
+ */
+router.get('/:sessionCode/report/export', authenticateToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!reportExport.FORMATS[format]) {
+      return ApiResponse.badRequest(res, 'format must be csv or xlsx');
+    }
+
+    const report = await findReportForUser(req, res);
+    if (!report) return;
+
+    const file = await reportExport.exportReport(report, format);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    return res.send(file.body);
+  } catch (error) {
+    logger.error('Error exporting session report:', error);
+    return ApiResponse.error(res, 'Failed to export report', 500);
+  }
+});
+
 module.exports = router;
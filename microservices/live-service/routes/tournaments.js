@@ -0,0 +1,234 @@
+/**
+ * HTTP Routes for Duel Tournaments
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiResponse = require('../../shared/utils/response');
+const createLogger = require('../../shared/utils/logger');
+const { authenticateToken } = require('../../shared/middleware/auth');
+const { requireTeacher } = require('../../shared/middleware/roles');
+const { FORMATS } = require('../services/tournamentBracket');
+const tournaments = require('../services/tournaments');
+const Tournament = require('../models/Tournament');
+
+const router = express.Router();
+const logger = createLogger('tournament-routes');
+
+/**
+ * Reply with a tournament error's own status (400/404/409), or a 500
+ */
+function handleError(res, error, message) {
+  if (error.status && error.status < 500) {
+    return ApiResponse.error(res, error.message, error.status);
+  }
+  logger.error(`${message}:`, error);
+  return ApiResponse.error(res, message, 500);
+}
+
+/**
+ * Only the teacher who created a tournament, or an admin, may run it
+ */
+async function loadOwned(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    ApiResponse.notFound(res, 'Tournament not found');
+    return null;
+  }
+  const tournament = await Tournament.findById(req.params.id).select('createdBy');
+  if (!tournament) {
+    ApiResponse.notFound(res, 'Tournament not found');
+    return null;
+  }
+  if (String(tournament.createdBy.userId) !== req.user.userId && req.user.role !== 'Admin') {
+    ApiResponse.forbidden(res, 'Only the organizer can manage this tournament');
+    return null;
+  }
+  return tournament;
+}
+
+/**
+ * @route   POST /api/tournaments
+ * @desc    Create a tournament open for registration
+ * @access  Private (Teacher, Admin)
+ */
+router.post('/', authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const { name, description, format, quizId, maxParticipants, swissRounds, startsAt } = req.body;
+
+    if (!name || !quizId) {
+      return ApiResponse.badRequest(res, 'name and quizId required');
+    }
+    if (!FORMATS.includes(format)) {
+      return ApiResponse.badRequest(res, `format must be one of: ${FORMATS.join(', ')}`);
+    }
+    const size = maxParticipants === undefined ? 32 : parseInt(maxParticipants);
+    if (!(size >= 2 && size <= 128)) {
+      return ApiResponse.badRequest(res, 'maxParticipants must be between 2 and 128');
+    }
+    const rounds = swissRounds === undefined ? undefined : parseInt(swissRounds);
+    if (rounds !== undefined && !(rounds >= 1 && rounds <= 20)) {
+      return ApiResponse.badRequest(res, 'swissRounds must be between 1 and 20');
+    }
+    const start = startsAt ? new Date(startsAt) : undefined;
+    if (start && (isNaN(start) || start <= new Date())) {
+      return ApiResponse.badRequest(res, 'startsAt must be a future date');
+    }
+
+    const QUIZ_SERVICE_URL = process.env.QUIZ_SERVICE_URL || 'http://localhost:3005';
+    const quizResponse = await fetch(`${QUIZ_SERVICE_URL}/api/quizzes/${quizId}`);
+    if (!quizResponse.ok) {
+      return ApiResponse.notFound(res, 'Quiz not found');
+    }
+    const quiz = await quizResponse.json();
+    if (!quiz.questions || quiz.questions.length === 0) {
+      return ApiResponse.badRequest(res, 'Quiz has no questions');
+    }
+
+    const tournament = await tournaments.createTournament({
+      name,
+      description,
+      format,
+      quiz,
+      maxParticipants: size,
+      swissRounds: rounds,
+      startsAt: start,
+      createdBy: { userId: req.user.userId, username: req.user.name },
+    });
+
+    return ApiResponse.created(res, { tournament: tournaments.present(tournament) });
+  } catch (error) {
+    return handleError(res, error, 'Failed to create tournament');
+  }
+});
+
+/**
+ * @route   GET /api/tournaments?status=
+ * @desc    Recent tournaments, optionally by status
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (Tournament.schema.path('status').enumValues.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const list = await Tournament.find(filter)
+      .select('-matches -standings')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return ApiResponse.success(res, { tournaments: list.map(tournaments.summarize) });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get tournaments');
+  }
+});
+
+/**
+ * @route   GET /api/tournaments/me
+ * @desc    Tournaments the current user plays in or organizes
+ * @access  Private
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const list = await Tournament.find({
+      $or: [{ 'participants.userId': req.user.userId }, { 'createdBy.userId': req.user.userId }],
+    })
+      .select('-matches -standings')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    return ApiResponse.success(res, { tournaments: list.map(tournaments.summarize) });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get tournaments');
+  }
+});
+
+/**
+ * @route   GET /api/tournaments/:id
+ * @desc    Bracket, matches and standings (final once completed)
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return ApiResponse.notFound(res, 'Tournament not found');
+    }
+    const tournament = await Tournament.findById(req.params.id);
+    if (!tournament) {
+      return ApiResponse.notFound(res, 'Tournament not found');
+    }
+
+    return ApiResponse.success(res, { tournament: tournaments.present(tournament) });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get tournament');
+  }
+});
+
+/**
+ * @route   POST /api/tournaments/:id/register
+ * @desc    Register for a tournament that hasn't started
+ * @access  Private
+ */
+router.post('/:id/register', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await tournaments.register(req.app.get('io'), req.params.id, {
+      userId: req.user.userId,
+      username: req.body.username || req.user.name,
+      avatar: req.body.avatar || req.user.picture,
+    });
+
+    return ApiResponse.success(res, { tournament: tournaments.present(tournament) }, 'Registered');
+  } catch (error) {
+    return handleError(res, error, 'Failed to register');
+  }
+});
+
+/**
+ * @route   DELETE /api/tournaments/:id/register
+ * @desc    Withdraw before the tournament starts
+ * @access  Private
+ */
+router.delete('/:id/register', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await tournaments.withdraw(req.app.get('io'), req.params.id, req.user.userId);
+    return ApiResponse.success(res, { tournament: tournaments.present(tournament) }, 'Withdrawn');
+  } catch (error) {
+    return handleError(res, error, 'Failed to withdraw');
+  }
+});
+
+/**
+ * @route   POST /api/tournaments/:id/start
+ * @desc    Close registration, seed the field and schedule the first matches
+ * @access  Private (Organizer, Admin)
+ */
+router.post('/:id/start', authenticateToken, async (req, res) => {
+  try {
+    if (!(await loadOwned(req, res))) return;
+
+    const tournament = await tournaments.startTournament(req.app.get('io'), req.params.id);
+    return ApiResponse.success(res, { tournament: tournaments.present(tournament) }, 'Tournament started');
+  } catch (error) {
+    return handleError(res, error, 'Failed to start tournament');
+  }
+});
+
+/**
+ * @route   POST /api/tournaments/:id/cancel
+ * @desc    Call off a tournament that isn't over
+ * @access  Private (Organizer, Admin)
+ */
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    if (!(await loadOwned(req, res))) return;
+
+    const tournament = await tournaments.cancelTournament(req.app.get('io'), req.params.id);
+    return ApiResponse.success(res, { tournament: tournaments.present(tournament) }, 'Tournament cancelled');
+  } catch (error) {
+    return handleError(res, error, 'Failed to cancel tournament');
+  }
+});
+
+module.exports = router;
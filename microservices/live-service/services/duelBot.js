@@ -0,0 +1,159 @@
+/**
+ * Duel Practice Bot
+ * Plans the answers of a practice bot before the duel starts. Each
+ * question's chance of a correct answer and answer time come from the
+ * quiz's real results (result-service question stats) when the question
+ * has enough of them, otherwise from the quiz difficulty, and are then
+ * tuned to the bot's level. Pure functions; the duel handlers play the
+ * plan through the normal answer flow.
+ */
+
+const grading = require("../../shared/utils/grading");
+
+// accuracy scales the chance of a correct answer, speed the answer time
+const LEVELS = {
+  easy: { label: "Easy", accuracy: 0.7, speed: 1.3 },
+  medium: { label: "Medium", accuracy: 0.95, speed: 1 },
+  hard: { label: "Hard", accuracy: 1.2, speed: 0.8 },
+};
+
+// Answers a question needs before its own history is trusted
+const MIN_ATTEMPTS = parseInt(process.env.DUEL_BOT_MIN_ATTEMPTS) || 5;
+
+// Without history: chance of a correct answer and answer time (ms)
+const DIFFICULTY_DEFAULTS = {
+  Easy: { correctRate: 0.8, averageTime: 8000 },
+  Medium: { correctRate: 0.65, averageTime: 12000 },
+  Hard: { correctRate: 0.5, averageTime: 16000 },
+  Expert: { correctRate: 0.4, averageTime: 20000 },
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Bot level for a player, by their duel rating
+ */
+function levelForRating(rating) {
+  if (rating < 1350) return "easy";
+  if (rating < 1650) return "medium";
+  return "hard";
+}
+
+/**
+ * An answer the grader accepts as correct
+ */
+function correctAnswer(question) {
+  if (grading.LIST_TYPES.includes(question.type)) {
+    return grading.describeCorrectAnswer(question);
+  }
+  const range = question.answerRange;
+  if (
+    question.type === "numeric" &&
+    range &&
+    range.min !== undefined &&
+    range.max !== undefined
+  ) {
+    return (range.min + range.max) / 2;
+  }
+  return grading.getCorrectAnswer(question);
+}
+
+/**
+ * A plausible answer the grader rejects, or null (no answer) if none is found
+ */
+function wrongAnswer(question, random) {
+  let candidates = question.options || [];
+  if (question.type === "true-false" && candidates.length === 0) {
+    candidates = ["True", "False"];
+  }
+  if (question.type === "ordering") {
+    const key = correctAnswer(question);
+    candidates = key.length > 1 ? [[...key].reverse()] : [];
+  } else if (question.type === "multi-select") {
+    candidates = candidates.map((option) => [option]);
+  }
+
+  const wrong = candidates.filter(
+    (candidate) => !grading.gradeAnswer(question, candidate).isCorrect
+  );
+  return wrong.length > 0 ? wrong[Math.floor(random() * wrong.length)] : null;
+}
+
+/**
+ * Plan every answer of the bot
+ * @param {Object} params
+ * @param {Object} params.quiz - Quiz with answer keys
+ * @param {Array} params.questionStats - result-service question stats ([] if unavailable)
+ * @param {String} params.level - "easy", "medium" or "hard"
+ * @param {Number} params.timeLimit - Seconds per question
+ * @returns {Object} { level, questionsFromHistory, plan: [{ questionIndex, answer, delay (ms), timeSpent (s) }] }
+ */
+function planAnswers({
+  quiz,
+  questionStats = [],
+  level = "medium",
+  timeLimit = 30,
+  random = Math.random,
+}) {
+  const tuning = LEVELS[level] || LEVELS.medium;
+  const fallback =
+    DIFFICULTY_DEFAULTS[quiz.difficulty] || DIFFICULTY_DEFAULTS.Medium;
+  const statsById = new Map(
+    questionStats.map((stats) => [String(stats.questionId), stats])
+  );
+  let questionsFromHistory = 0;
+
+  const plan = quiz.questions.map((question, questionIndex) => {
+    const stats = statsById.get(String(question._id));
+    const known = stats && stats.attempts >= MIN_ATTEMPTS;
+    if (known) questionsFromHistory += 1;
+
+    const correctRate = known ? stats.correctRate : fallback.correctRate;
+    const averageTime =
+      known && stats.averageTime > 0 ? stats.averageTime : fallback.averageTime;
+    const spread =
+      known && stats.timeSpread > 0 ? stats.timeSpread : averageTime * 0.3;
+
+    const accuracy = clamp(correctRate * tuning.accuracy, 0.05, 0.95);
+    const delay = Math.round(
+      clamp(
+        (averageTime + gaussian(random) * spread) * tuning.speed,
+        1500,
+        timeLimit * 1000 - 500
+      )
+    );
+    const answer =
+      random() < accuracy
+        ? correctAnswer(question)
+        : wrongAnswer(question, random);
+
+    return {
+      questionIndex,
+      answer,
+      delay,
+      timeSpent: Math.max(1, Math.round(delay / 1000)),
+    };
+  });
+
+  return { level, questionsFromHistory, plan };
+}
+
+function botName(level) {
+  return `Practice Bot (${(LEVELS[level] || LEVELS.medium).label})`;
+}
+
+module.exports = {
+  LEVELS,
+  levelForRating,
+  planAnswers,
+  botName,
+};
@@ -0,0 +1,195 @@
+/**
+ * Duel Ratings
+ * Per-category Glicko-2 ratings: lookups for matchmaking and the rating
+ * update at the end of a ranked duel
+ */
+
+const glicko2 = require("./glicko2");
+const DuelRating = require("../models/DuelRating");
+const DuelMatch = require("../models/DuelMatch");
+
+const DEFAULT_CATEGORY = "General";
+const RATE_ATTEMPTS = 5;
+
+function normalizeCategory(category) {
+  const name = typeof category === "string" ? category.trim() : "";
+  return name || DEFAULT_CATEGORY;
+}
+
+/**
+ * Rating fields as shown to players
+ */
+function present(rating) {
+  return {
+    category: rating.category,
+    rating: Math.round(rating.rating),
+    rd: Math.round(rating.rd),
+    matches: rating.matches,
+    wins: rating.wins,
+    losses: rating.losses,
+    draws: rating.draws,
+    lastPlayedAt: rating.lastPlayedAt || null,
+  };
+}
+
+/**
+ * A player's rating in a category, with RD grown for the time since their
+ * last duel. Players without a rating yet get the starting values.
+ */
+async function getRating(userId, category) {
+  const stored = await DuelRating.findOne({ userId, category }).lean();
+
+  return {
+    userId: String(userId),
+    category,
+    rating: stored?.rating ?? glicko2.DEFAULT_RATING,
+    rd: glicko2.currentRd(stored || {}),
+    volatility: stored?.volatility ?? glicko2.DEFAULT_VOLATILITY,
+    matches: stored?.matches || 0,
+    wins: stored?.wins || 0,
+    losses: stored?.losses || 0,
+    draws: stored?.draws || 0,
+    lastPlayedAt: stored?.lastPlayedAt || null,
+  };
+}
+
+/**
+ * All of a player's category ratings, highest first
+ */
+async function getRatings(userId) {
+  const ratings = await DuelRating.find({ userId })
+    .sort({ rating: -1 })
+    .lean();
+
+  return ratings.map((rating) =>
+    present({ ...rating, rd: glicko2.currentRd(rating) })
+  );
+}
+
+async function getLeaderboard(category, limit = 50) {
+  const ratings = await DuelRating.find({ category, matches: { $gt: 0 } })
+    .sort({ rating: -1 })
+    .limit(limit)
+    .lean();
+
+  return ratings.map((rating, index) => ({
+    rank: index + 1,
+    userId: String(rating.userId),
+    username: rating.username,
+    ...present({ ...rating, rd: glicko2.currentRd(rating) }),
+  }));
+}
+
+/**
+ * Apply one player's result. The write only matches the rating document the
+ * new values were computed from (same match count), so a duel finishing at
+ * the same time in the same category makes this retry from the fresh rating
+ * instead of overwriting it.
+ * @param {Object} current - Player's rating before the match
+ * @param {Object} opponent - Opponent's rating before the match
+ * @returns {Object} Rating change for the player
+ */
+async function ratePlayer(player, current, opponent, score, now) {
+  const { category } = current;
+
+  for (let attempt = 0; attempt < RATE_ATTEMPTS; attempt++) {
+    if (attempt > 0) current = await getRating(player.userId, category);
+    const next = glicko2.rate(current, opponent, score);
+
+    try {
+      // No document yet: matches 0 misses nothing and the upsert creates it;
+      // a concurrent create collides on the unique index instead
+      await DuelRating.findOneAndUpdate(
+        { userId: player.userId, category, matches: current.matches },
+        {
+          $set: {
+            username: player.username,
+            rating: next.rating,
+            rd: next.rd,
+            volatility: next.volatility,
+            lastPlayedAt: now,
+          },
+          $inc: {
+            matches: 1,
+            wins: score === 1 ? 1 : 0,
+            losses: score === 0 ? 1 : 0,
+            draws: score === 0.5 ? 1 : 0,
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    const before = Math.round(current.rating);
+    const after = Math.round(next.rating);
+    return {
+      category,
+      before,
+      after,
+      change: after - before,
+      rd: Math.round(next.rd),
+    };
+  }
+
+  throw new Error(`Rating for ${player.userId} in ${category} kept changing`);
+}
+
+/**
+ * Update both players' ratings for a finished ranked duel. A match is
+ * rated once, however many times this is called for it.
+ * @param {Object} match - Completed DuelMatch (winner null for a draw)
+ * @returns {Object|null} Rating changes keyed by userId, or null if the
+ *   match is unranked or already rated
+ */
+async function rateMatch(match) {
+  if (!match.ranked || !match.player2) return null;
+
+  const claimed = await DuelMatch.findOneAndUpdate(
+    { _id: match._id, rated: { $ne: true } },
+    { $set: { rated: true } }
+  );
+  if (!claimed) return null;
+
+  const { category } = match;
+  const players = [match.player1, match.player2];
+  const ratings = await Promise.all(
+    players.map((player) => getRating(player.userId, category))
+  );
+  const winner = match.winner ? String(match.winner) : null;
+  const now = new Date();
+  const changes = {};
+
+  await Promise.all(
+    players.map(async (player, index) => {
+      const userId = String(player.userId);
+      const score = !winner ? 0.5 : winner === userId ? 1 : 0;
+
+      changes[userId] = await ratePlayer(
+        player,
+        ratings[index],
+        ratings[1 - index],
+        score,
+        now
+      );
+    })
+  );
+
+  await DuelMatch.updateOne(
+    { _id: match._id },
+    { $set: { ratingChanges: changes } }
+  );
+
+  return changes;
+}
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  normalizeCategory,
+  getRating,
+  getRatings,
+  getLeaderboard,
+  rateMatch,
+};
@@ -0,0 +1,8 @@
+/**
+ * Event Bus for Live Service
+ * Publishes tournament events over Redis Streams (see shared/utils/eventBus)
+ */
+
+const EventBus = require("../../shared/utils/eventBus");
+
+module.exports = new EventBus("live-service");
@@ -0,0 +1,130 @@
+/**
+ * Glicko-2 Rating
+ * Duel ratings on the usual Glicko scale (1500 start, RD 350). Each ranked
+ * duel is rated as its own period against a single opponent, and a
+ * player's RD grows back toward the starting value while they don't play.
+ * Pure functions; see http://www.glicko.net/glicko/glicko2.pdf
+ */
+
+const SCALE = 173.7178;
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 30;
+
+// System constant: how much volatility may change per match
+const TAU = parseFloat(process.env.DUEL_RATING_TAU) || 0.5;
+// Days without a duel that count as one idle rating period
+const PERIOD_DAYS = parseFloat(process.env.DUEL_RATING_PERIOD_DAYS) || 7;
+
+const CONVERGENCE = 0.000001;
+
+function clampRd(rd) {
+  return Math.min(DEFAULT_RD, Math.max(MIN_RD, rd));
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+/**
+ * New volatility (step 5 of the paper, Illinois algorithm)
+ */
+function nextVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (
+      (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU)
+    );
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k += 1;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * RD after some idle time: uncertainty grows with every period not played
+ * @param {Object} player - { rd, volatility, lastPlayedAt }
+ * @returns {Number} RD to rate the next match with
+ */
+function currentRd(player, now = new Date()) {
+  const rd = player.rd ?? DEFAULT_RD;
+  if (!player.lastPlayedAt) return clampRd(rd);
+
+  const idleDays = (now - new Date(player.lastPlayedAt)) / 86400000;
+  const periods = Math.max(0, idleDays / PERIOD_DAYS);
+  const phi = rd / SCALE;
+  const sigma = player.volatility ?? DEFAULT_VOLATILITY;
+
+  return clampRd(Math.sqrt(phi * phi + periods * sigma * sigma) * SCALE);
+}
+
+/**
+ * Rate one match
+ * @param {Object} player - { rating, rd, volatility }
+ * @param {Object} opponent - { rating, rd }
+ * @param {Number} score - 1 win, 0.5 draw, 0 loss
+ * @returns {Object} { rating, rd, volatility }
+ */
+function rate(player, opponent, score) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+  const sigma = player.volatility ?? DEFAULT_VOLATILITY;
+  const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+  const opponentPhi = opponent.rd / SCALE;
+
+  const gPhi = g(opponentPhi);
+  const E = expectedScore(mu, opponentMu, opponentPhi);
+  const v = 1 / (gPhi * gPhi * E * (1 - E));
+  const delta = v * gPhi * (score - E);
+
+  const volatility = nextVolatility(phi, sigma, delta, v);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gPhi * (score - E);
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: clampRd(newPhi * SCALE),
+    volatility,
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+  currentRd,
+  rate,
+};
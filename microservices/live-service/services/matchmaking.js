@@ -0,0 +1,299 @@
+/**
+ * Duel Matchmaking Queue
+ * Players looking for a ranked duel wait in a Redis sorted set per quiz
+ * category, scored by rating, with their ticket in a shared hash. Two
+ * players are paired when their rating gap fits both of their windows; a
+ * window starts narrow and widens the longer its player waits. Pairing runs
+ * under a per-category lock on whichever instance gets it, on join and on a
+ * periodic sweep that catches windows which have widened since. Players
+ * left unpaired for DUEL_BOT_WAIT_MS are handed a practice bot instead.
+ */
+
+const createLogger = require("../../shared/utils/logger");
+const sessionManager = require("./sessionManager");
+
+const logger = createLogger("duel-matchmaking");
+
+// Rating window: base ± points, plus growth per second waited, up to max
+const WINDOW_BASE = parseInt(process.env.DUEL_MATCH_WINDOW_BASE) || 100;
+const WINDOW_GROWTH = parseFloat(process.env.DUEL_MATCH_WINDOW_GROWTH) || 10;
+const WINDOW_MAX = parseInt(process.env.DUEL_MATCH_WINDOW_MAX) || 500;
+// Players still unmatched after this long are taken out of the queue
+const QUEUE_TIMEOUT = parseInt(process.env.DUEL_QUEUE_TIMEOUT_MS) || 300000;
+// Wait before a practice bot is offered (0 turns bots off)
+const BOT_WAIT = parseInt(process.env.DUEL_BOT_WAIT_MS ?? 20000) || 0;
+
+/**
+ * Rating gap a ticket accepts after waiting since joinedAt
+ */
+function ratingWindow(ticket, now = Date.now()) {
+  const waitedSeconds = Math.max(0, (now - ticket.joinedAt) / 1000);
+  return Math.min(WINDOW_MAX, WINDOW_BASE + WINDOW_GROWTH * waitedSeconds);
+}
+
+/**
+ * Pair the tickets of one category: longest waiting first, each with the
+ * closest rating that both players' windows allow
+ * @returns {Array} [[ticket, opponentTicket]]
+ */
+function findPairs(tickets, now = Date.now()) {
+  const waiting = [...tickets].sort((a, b) => a.joinedAt - b.joinedAt);
+  const paired = new Set();
+  const pairs = [];
+
+  for (const ticket of waiting) {
+    if (paired.has(ticket.userId)) continue;
+
+    let best = null;
+    for (const candidate of waiting) {
+      if (candidate.userId === ticket.userId || paired.has(candidate.userId)) {
+        continue;
+      }
+      const gap = Math.abs(ticket.rating - candidate.rating);
+      const allowed = Math.min(
+        ratingWindow(ticket, now),
+        ratingWindow(candidate, now)
+      );
+      if (gap <= allowed && (!best || gap < best.gap)) {
+        best = { candidate, gap };
+      }
+    }
+
+    if (best) {
+      paired.add(ticket.userId);
+      paired.add(best.candidate.userId);
+      pairs.push([ticket, best.candidate]);
+    }
+  }
+
+  return pairs;
+}
+
+class Matchmaking {
+  constructor() {
+    this.handlers = new Map();
+    this.interval = null;
+    this.sweeping = false;
+    this.sweepInterval =
+      parseInt(process.env.DUEL_MATCH_SWEEP_INTERVAL) || 2000;
+    this.botWait = BOT_WAIT;
+  }
+
+  getQueueKey(category) {
+    return `${sessionManager.keyPrefix}duel:queue:${category}`;
+  }
+
+  getTicketsKey() {
+    return `${sessionManager.keyPrefix}duel:tickets`;
+  }
+
+  getCategoriesKey() {
+    return `${sessionManager.keyPrefix}duel:categories`;
+  }
+
+  /**
+   * Register a handler
+   * @param {String} event - "match" (async ([ticket, ticket]) => {}),
+   *   "bot" (async (ticket) => {}) or "expire" (async (ticket) => {})
+   */
+  on(event, handler) {
+    this.handlers.set(event, handler);
+  }
+
+  async getTicket(userId) {
+    const data = await sessionManager.redis.hget(this.getTicketsKey(), userId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async queueSize(category) {
+    return sessionManager.redis.zcard(this.getQueueKey(category));
+  }
+
+  /**
+   * Queue a player and try to pair them straight away. Queueing again
+   * replaces the player's previous ticket, in any category.
+   * @param {Object} ticket - { userId, socketId, username, avatar, category, rating, rd, allowBot }
+   *   joinedAt is kept when a ticket is put back after a failed match
+   */
+  async enqueue(ticket) {
+    const queued = { ...ticket, joinedAt: ticket.joinedAt || Date.now() };
+    await this.dequeue(queued.userId);
+
+    await sessionManager.locks.withLock(
+      `duel-queue:${queued.category}`,
+      async () => {
+        await sessionManager.redis
+          .multi()
+          .hset(this.getTicketsKey(), queued.userId, JSON.stringify(queued))
+          .zadd(this.getQueueKey(queued.category), queued.rating, queued.userId)
+          .sadd(this.getCategoriesKey(), queued.category)
+          .exec();
+      },
+      { wait: 2000 }
+    );
+
+    logger.info(
+      `[Matchmaking] ${queued.userId} queued in ${queued.category} at ${Math.round(
+        queued.rating
+      )}`
+    );
+
+    try {
+      await this.matchCategory(queued.category, { wait: 2000 });
+    } catch (error) {
+      // Still queued; the next sweep pairs them
+      if (error.code !== "LOCK_BUSY") throw error;
+    }
+    return queued;
+  }
+
+  /**
+   * Take a player out of the queue
+   * @returns {Object|null} The removed ticket
+   */
+  async dequeue(userId) {
+    const ticket = await this.getTicket(userId);
+    if (!ticket) return null;
+
+    return sessionManager.locks.withLock(
+      `duel-queue:${ticket.category}`,
+      async () => {
+        await sessionManager.redis
+          .multi()
+          .hdel(this.getTicketsKey(), userId)
+          .zrem(this.getQueueKey(ticket.category), userId)
+          .exec();
+        return ticket;
+      },
+      { wait: 2000 }
+    );
+  }
+
+  /**
+   * Pair everyone in a category who can be paired now, then hand the pairs
+   * (and players due a bot, and timed-out tickets) to the registered handlers
+   */
+  async matchCategory(category, { wait = 0 } = {}) {
+    const { pairs, bots, expired } = await sessionManager.locks.withLock(
+      `duel-queue:${category}`,
+      async () => {
+        const queueKey = this.getQueueKey(category);
+        const userIds = await sessionManager.redis.zrange(queueKey, 0, -1);
+        if (userIds.length === 0) {
+          await sessionManager.redis.srem(this.getCategoriesKey(), category);
+          return { pairs: [], bots: [], expired: [] };
+        }
+
+        const data = await sessionManager.redis.hmget(
+          this.getTicketsKey(),
+          ...userIds
+        );
+        const now = Date.now();
+        const tickets = [];
+        const expired = [];
+        const stale = [];
+
+        data.forEach((entry, index) => {
+          const ticket = entry ? JSON.parse(entry) : null;
+          // Ticket gone or moved to another category
+          if (!ticket || ticket.category !== category) {
+            stale.push(userIds[index]);
+          } else if (now - ticket.joinedAt > QUEUE_TIMEOUT) {
+            expired.push(ticket);
+          } else {
+            tickets.push(ticket);
+          }
+        });
+
+        const pairs = findPairs(tickets, now);
+        const paired = new Set(pairs.flat().map((ticket) => ticket.userId));
+        const bots = BOT_WAIT
+          ? tickets.filter(
+              (ticket) =>
+                !paired.has(ticket.userId) &&
+                ticket.allowBot !== false &&
+                now - ticket.joinedAt >= BOT_WAIT
+            )
+          : [];
+        const removed = [
+          ...paired,
+          ...bots.map((ticket) => ticket.userId),
+          ...expired.map((ticket) => ticket.userId),
+        ];
+
+        if (stale.length > 0) {
+          await sessionManager.redis.zrem(queueKey, ...stale);
+        }
+        if (removed.length > 0) {
+          await sessionManager.redis
+            .multi()
+            .hdel(this.getTicketsKey(), ...removed)
+            .zrem(queueKey, ...removed)
+            .exec();
+        }
+
+        return { pairs, bots, expired };
+      },
+      { wait }
+    );
+
+    await this.dispatch("match", pairs);
+    await this.dispatch("bot", bots);
+    await this.dispatch("expire", expired);
+    return pairs;
+  }
+
+  async dispatch(event, items) {
+    const handler = this.handlers.get(event);
+    if (!handler) return;
+
+    for (const item of items) {
+      try {
+        await handler(item);
+      } catch (error) {
+        logger.error(`[Matchmaking] Error in ${event} handler:`, error);
+      }
+    }
+  }
+
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.sweep(), this.sweepInterval);
+    logger.info(`Duel matchmaking sweeping every ${this.sweepInterval}ms`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Re-run pairing in every category with players waiting
+   */
+  async sweep() {
+    if (this.sweeping || !sessionManager.isHealthy()) return;
+    this.sweeping = true;
+
+    try {
+      const categories = await sessionManager.redis.smembers(
+        this.getCategoriesKey()
+      );
+      for (const category of categories) {
+        try {
+          await this.matchCategory(category);
+        } catch (error) {
+          // Another instance is pairing this category right now
+          if (error.code !== "LOCK_BUSY") throw error;
+        }
+      }
+    } catch (error) {
+      logger.error("[Matchmaking] Error sweeping queues:", error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+}
+
+module.exports = new Matchmaking();
@@ -0,0 +1,125 @@
+/**
+ * Question Clock
+ * The server owns each live question's deadline. The clock is stored with the
+ * current question in Redis and only changed by the host (pause, resume,
+ * extend) or by the timer closing it; clients just render endsAt.
+ *
+ * Clock fields: startedAt, durationMs (time limit plus extensions), endsAt,
+ * status ("open" | "paused" | "closed"), pausedAt, pausedMs, closedAt
+ */
+
+const { LATE_ANSWER_GRACE_MS } = require("./scoring");
+
+// Largest single extend-time request, in seconds
+const MAX_EXTENSION_SECONDS =
+  parseInt(process.env.LIVE_MAX_EXTENSION_SECONDS) || 300;
+
+/**
+ * Fresh clock for a question broadcast now
+ */
+function start(timeLimitSeconds, now = Date.now()) {
+  const durationMs = timeLimitSeconds * 1000;
+  return {
+    startedAt: now,
+    durationMs,
+    endsAt: now + durationMs,
+    status: "open",
+    pausedAt: null,
+    pausedMs: 0,
+    closedAt: null,
+  };
+}
+
+/**
+ * Answering time left (frozen while paused)
+ */
+function remainingMs(clock, now = Date.now()) {
+  if (clock.status === "closed") return 0;
+  const reference = clock.status === "paused" ? clock.pausedAt : now;
+  return Math.max(0, clock.endsAt - reference);
+}
+
+/**
+ * Time the question has been answerable, not counting pauses
+ */
+function elapsedMs(clock, now = Date.now()) {
+  return Math.max(
+    0,
+    Math.min(now, clock.endsAt) - clock.startedAt - clock.pausedMs
+  );
+}
+
+/**
+ * Why an answer can't be taken right now, or null if it can
+ */
+function rejectAnswerReason(clock, now = Date.now()) {
+  if (clock.status === "paused") return "Question is paused";
+  if (clock.status === "closed" || now > clock.endsAt + LATE_ANSWER_GRACE_MS) {
+    return "Time is up for this question";
+  }
+  return null;
+}
+
+/**
+ * When the question stops taking answers (deadline plus network allowance)
+ */
+function closesAt(clock) {
+  return clock.endsAt + LATE_ANSWER_GRACE_MS;
+}
+
+function pause(clock, now = Date.now()) {
+  return { ...clock, status: "paused", pausedAt: now };
+}
+
+function resume(clock, now = Date.now()) {
+  const pausedFor = now - clock.pausedAt;
+  return {
+    ...clock,
+    status: "open",
+    endsAt: clock.endsAt + pausedFor,
+    pausedMs: clock.pausedMs + pausedFor,
+    pausedAt: null,
+  };
+}
+
+function extend(clock, seconds) {
+  const addedMs = seconds * 1000;
+  return {
+    ...clock,
+    durationMs: clock.durationMs + addedMs,
+    endsAt: clock.endsAt + addedMs,
+  };
+}
+
+function close(clock, now = Date.now()) {
+  return { ...clock, status: "closed", closedAt: now };
+}
+
+/**
+ * Clock fields sent to clients. serverTime lets them correct for clock skew:
+ * local deadline = Date.now() + (endsAt - serverTime)
+ */
+function publicClock(clock, now = Date.now()) {
+  return {
+    endsAt: clock.endsAt,
+    serverTime: now,
+    remainingMs: remainingMs(clock, now),
+    durationMs: clock.durationMs,
+    paused: clock.status === "paused",
+    closed: clock.status === "closed",
+  };
+}
+
+module.exports = {
+  MAX_EXTENSION_SECONDS,
+  start,
+  remainingMs,
+  elapsedMs,
+  rejectAnswerReason,
+  closesAt,
+  pause,
+  resume,
+  extend,
+  close,
+  publicClock,
+};
@@ -0,0 +1,257 @@
+/**
+ * Report Export
+ * Turns a session report into downloadable tables: one XLSX workbook with a
+ * sheet per table, or one CSV with the same tables one after another.
+ */
+
+const ExcelJS = require("exceljs");
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString() : "";
+}
+
+/**
+ * Milliseconds as seconds to one decimal; blank when not recorded
+ */
+function formatSeconds(ms) {
+  return Number.isFinite(ms) ? Math.round(ms / 100) / 10 : "";
+}
+
+/**
+ * The report as named tables: { name, columns: [header], rows: [[cell]] }
+ */
+function reportTables(report) {
+  const { summary } = report;
+  const questionLabel = (index) => `Q${index + 1}`;
+
+  const tables = [
+    {
+      name: "Summary",
+      columns: ["Field", "Value"],
+      rows: [
+        ["Session code", report.sessionCode],
+        ["Quiz", report.quizTitle],
+        ["Started", formatDate(report.startedAt)],
+        ["Ended", formatDate(report.endedAt)],
+        ["Duration (s)", report.duration],
+        ["Participants", summary.totalParticipants],
+        ["Completed", summary.completedParticipants],
+        ["Questions played", summary.questionsPlayed],
+        ["Total questions", summary.totalQuestions],
+        ["Answers", summary.totalAnswers],
+        ["Average score", summary.averageScore],
+        ["Top score", summary.topScore],
+        ["Average accuracy (%)", summary.averageAccuracy],
+        ["Average time per question (s)", summary.averageTimePerQuestion],
+      ],
+    },
+    {
+      name: "Questions",
+      columns: [
+        "Question",
+        "Text",
+        "Type",
+        "Correct answer",
+        "Answers",
+        "Correct",
+        "Partial",
+        "Incorrect",
+        "Unanswered",
+        "Correct (%)",
+        "Average points",
+        "Average time (s)",
+        "Median time (s)",
+        "Fastest (s)",
+        "Slowest (s)",
+      ],
+      rows: report.questions.map((question) => [
+        questionLabel(question.questionIndex),
+        question.text,
+        question.type,
+        question.correctAnswer,
+        question.totalAnswers,
+        question.correctAnswers,
+        question.partialAnswers,
+        question.incorrectAnswers,
+        question.unanswered,
+        question.correctRate,
+        question.averagePoints,
+        question.averageTime,
+        question.medianTime,
+        question.fastestTime,
+        question.slowestTime,
+      ]),
+    },
+    {
+      name: "Answer Distribution",
+      columns: ["Question", "Answer", "Count", "Share (%)", "Correct"],
+      rows: report.questions.flatMap((question) =>
+        question.distribution.map((entry) => [
+          questionLabel(question.questionIndex),
+          entry.answer,
+          entry.count,
+          entry.percentage,
+          entry.isCorrect ? "yes" : "no",
+        ])
+      ),
+    },
+    {
+      name: "Participants",
+      columns: [
+        "Rank",
+        "Name",
+        "Team",
+        "Score",
+        "Correct",
+        "Incorrect",
+        "Unanswered",
+        "Accuracy (%)",
+        "Average time (s)",
+        "Best streak",
+        "Joined",
+        "Left",
+      ],
+      rows: report.participants.map((participant) => [
+        participant.rank,
+        participant.userName,
+        participant.teamName,
+        participant.score,
+        participant.correctAnswers,
+        participant.incorrectAnswers,
+        participant.unanswered,
+        participant.accuracy,
+        participant.averageTime,
+        participant.bestStreak,
+        formatDate(participant.joinedAt),
+        formatDate(participant.leftAt),
+      ]),
+    },
+    {
+      name: "Responses",
+      columns: [
+        "Name",
+        "Question",
+        "Answer",
+        "Correct",
+        "Credit",
+        "Points",
+        "Time (s)",
+      ],
+      rows: report.participants.flatMap((participant) =>
+        participant.responses.map((response) => [
+          participant.userName,
+          questionLabel(response.questionIndex),
+          response.answer,
+          response.isCorrect ? "yes" : "no",
+          response.credit,
+          response.points,
+          formatSeconds(response.timeSpent),
+        ])
+      ),
+    },
+  ];
+
+  if (report.teams?.length) {
+    tables.splice(4, 0, {
+      name: "Teams",
+      columns: ["Rank", "Team", "Score", "Total score", "Members"],
+      rows: report.teams.map((team) => [
+        team.rank,
+        team.name,
+        team.score,
+        team.totalScore,
+        team.memberCount,
+      ]),
+    });
+  }
+
+  return tables;
+}
+
+/**
+ * Quote a CSV cell. Text starting like a formula is prefixed with ' so
+ * spreadsheet apps don't evaluate answers typed by participants.
+ */
+function csvCell(value) {
+  let text = String(formatValue(value));
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+  const lines = [];
+  for (const table of reportTables(report)) {
+    if (lines.length) lines.push("");
+    lines.push(csvCell(table.name));
+    lines.push(table.columns.map(csvCell).join(","));
+    for (const row of table.rows) lines.push(row.map(csvCell).join(","));
+  }
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+async function toXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  for (const table of reportTables(report)) {
+    const sheet = workbook.addWorksheet(table.name);
+    sheet.addRow(table.columns).font = { bold: true };
+    for (const row of table.rows) sheet.addRow(row.map(formatValue));
+
+    // Fit columns to their content, within reason
+    sheet.columns.forEach((column, index) => {
+      const longest = table.rows.reduce(
+        (max, row) => Math.max(max, String(formatValue(row[index])).length),
+        table.columns[index].length + 2
+      );
+      column.width = Math.min(60, Math.max(12, longest));
+    });
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+  }
+
+  return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Render a report in the requested format
+ * @returns {Object} { body, contentType, filename } or null for an unknown format
+ */
+async function exportReport(report, format) {
+  const target = FORMATS[format];
+  if (!target) return null;
+
+  const body =
+    format === "csv" ? toCsv(report) : Buffer.from(await toXlsx(report));
+  return {
+    body,
+    contentType: target.contentType,
+    filename: `live-session-${report.sessionCode}.${target.extension}`,
+  };
+}
+
+module.exports = {
+  FORMATS,
+  reportTables,
+  toCsv,
+  toXlsx,
+  exportReport,
+};
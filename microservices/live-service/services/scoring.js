@@ -0,0 +1,76 @@
+/**
+ * Live Scoring
+ * Kahoot-style points for live sessions: answering instantly keeps the full
+ * question points, answering on the buzzer keeps half, and consecutive
+ * correct answers multiply the result.
+ */
+
+// Share of the points still earned by an answer given at the very end of the timer
+const MIN_SPEED_FACTOR = 0.5;
+
+// Extra multiplier per consecutive correct answer after the first, and its cap
+const STREAK_STEP = parseFloat(process.env.LIVE_STREAK_STEP) || 0.1;
+const MAX_STREAK_MULTIPLIER = parseFloat(process.env.LIVE_MAX_STREAK_MULTIPLIER) || 1.5;
+
+// Network allowance after the timer ends before an answer is refused
+const LATE_ANSWER_GRACE_MS = parseInt(process.env.LIVE_LATE_ANSWER_GRACE_MS) || 1000;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Speed factor from the server-measured response time (1 = instant, 0.5 = at the buzzer)
+ */
+function speedFactor(responseTimeMs, timeLimitMs) {
+  if (!timeLimitMs || timeLimitMs <= 0) return 1;
+  const ratio = Math.min(Math.max(responseTimeMs / timeLimitMs, 0), 1);
+  return 1 - ratio * (1 - MIN_SPEED_FACTOR);
+}
+
+function streakMultiplier(streak) {
+  if (streak <= 1) return 1;
+  return Math.min(1 + (streak - 1) * STREAK_STEP, MAX_STREAK_MULTIPLIER);
+}
+
+/**
+ * Score one live answer
+ * @param {Object} params
+ * @param {Number} params.basePoints - Question points
+ * @param {Object} params.grade - { isCorrect, credit } from the grading engine
+ * @param {Number} params.responseTimeMs - Time since the question was broadcast
+ * @param {Number} params.timeLimitMs - Question time limit
+ * @param {Number} params.streak - Participant's streak including this answer
+ * @param {Object} params.gameSettings - Quiz gameSettings (enableTimeBonuses, enableStreakBonuses)
+ * @returns {Object} Breakdown: basePoints, speedFactor, speedPoints, streak,
+ *                   streakMultiplier, streakBonus and the total points
+ */
+function scoreAnswer({ basePoints, grade, responseTimeMs, timeLimitMs, streak, gameSettings = {} }) {
+  const earned = basePoints * grade.credit;
+  const timeBonuses = gameSettings.enableTimeBonuses !== false;
+  const streakBonuses = gameSettings.enableStreakBonuses !== false;
+
+  const speed = timeBonuses && earned > 0 ? speedFactor(responseTimeMs, timeLimitMs) : 1;
+  const speedPoints = round1(earned * speed);
+
+  const multiplier = streakBonuses && grade.isCorrect ? streakMultiplier(streak) : 1;
+  const points = round1(speedPoints * multiplier);
+
+  return {
+    basePoints: round1(earned),
+    speedFactor: Math.round(speed * 100) / 100,
+    speedPoints,
+    streak,
+    streakMultiplier: Math.round(multiplier * 100) / 100,
+    streakBonus: round1(points - speedPoints),
+    points,
+    responseTime: responseTimeMs,
+  };
+}
+
+module.exports = {
+  LATE_ANSWER_GRACE_MS,
+  speedFactor,
+  streakMultiplier,
+  scoreAnswer,
+};
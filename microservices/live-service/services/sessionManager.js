@@ -4,8 +4,12 @@
  * Replaces in-memory Map with Redis for horizontal scaling
  */
 
+const crypto = require("crypto");
 const Redis = require("ioredis");
 const createLogger = require("../../shared/utils/logger");
+const DistributedLock = require("../../shared/utils/distributedLock");
+const questionClock = require("./questionClock");
+const teams = require("./teams");
 
 const logger = createLogger("session-manager");
 
@@ -13,10 +17,13 @@ class SessionManager {
   constructor() {
     this.redis = null;
     this.subscriber = null;
+    this.locks = null;
     this.connected = false;
 
     this.keyPrefix = process.env.REDIS_KEY_PREFIX || "live:";
     this.sessionTTL = parseInt(process.env.SESSION_TTL) || 7200; // 2 hours
+    // How long a dropped participant keeps their seat, score and answers
+    this.reconnectGraceMs = parseInt(process.env.RECONNECT_GRACE_MS) || 60000;
   }
 
   /**
@@ -86,6 +93,12 @@ class SessionManager {
       });
 
       await this.redis.ping();
+
+      // Serializes host actions across live-service instances
+      this.locks = new DistributedLock(this.redis, {
+        prefix: `${this.keyPrefix}lock:`,
+      });
+
       return true;
     } catch (error) {
       logger.error("Failed to connect to Redis:", error);
@@ -146,6 +159,18 @@ class SessionManager {
     return `${this.keyPrefix}current-question:${sessionCode}`;
   }
 
+  getAnsweredKey(sessionCode) {
+    return `${this.keyPrefix}answered:${sessionCode}`;
+  }
+
+  getReconnectKey(sessionCode) {
+    return `${this.keyPrefix}reconnect:${sessionCode}`;
+  }
+
+  getDirtyLeaderboardsKey() {
+    return `${this.keyPrefix}leaderboard-dirty`;
+  }
+
   // ============================================
   // SESSION CRUD OPERATIONS
   // ============================================
@@ -165,6 +190,7 @@ class SessionManager {
         currentQuestionIndex: -1,
         maxParticipants: sessionData.maxParticipants || 50,
         settings: sessionData.settings || {},
+        teams: sessionData.teams || [], // Team mode: [{ teamId, name, color }]
         quizMetadata: sessionData.quizMetadata || {},
         createdAt: new Date().toISOString(),
         startedAt: null,
@@ -244,6 +270,8 @@ class SessionManager {
       pipeline.del(this.getAnswersKey(sessionCode));
       pipeline.del(this.getQuizCacheKey(sessionCode));
       pipeline.del(this.getCurrentQuestionKey(sessionCode));
+      pipeline.del(this.getAnsweredKey(sessionCode));
+      pipeline.del(this.getReconnectKey(sessionCode));
 
       await pipeline.exec();
       logger.info(`Deleted session: ${sessionCode}`);
@@ -288,6 +316,13 @@ class SessionManager {
         score: 0,
         correctAnswers: 0,
         incorrectAnswers: 0,
+        streak: 0,
+        bestStreak: 0,
+        lastAnsweredIndex: -1,
+        answeredCount: 0,
+        totalResponseTime: 0, // Server-measured, milliseconds
+        lastAnswer: null, // Score breakdown of the latest answer
+        teamId: participant.teamId || null,
         joinedAt: new Date().toISOString(),
         isActive: true,
         socketId: participant.socketId || "",
@@ -398,6 +433,87 @@ class SessionManager {
     }
   }
 
+  // ============================================
+  // RECONNECT / RESUME
+  // ============================================
+
+  /**
+   * Issue the token a participant presents to resume after a dropped connection.
+   * Tokens are per user and session; a new join replaces the previous token.
+   */
+  async issueReconnectToken(sessionCode, userId) {
+    try {
+      const token = crypto.randomBytes(24).toString("base64url");
+      const key = this.getReconnectKey(sessionCode);
+
+      await this.redis.hset(key, userId, token);
+      await this.redis.expire(key, this.sessionTTL);
+
+      return token;
+    } catch (error) {
+      logger.error("Error issuing reconnect token:", error);
+      throw error;
+    }
+  }
+
+  async verifyReconnectToken(sessionCode, userId, token) {
+    try {
+      if (!token) return false;
+      const stored = await this.redis.hget(this.getReconnectKey(sessionCode), userId);
+      if (!stored || stored.length !== token.length) return false;
+
+      return crypto.timingSafeEqual(Buffer.from(stored), Buffer.from(token));
+    } catch (error) {
+      logger.error("Error verifying reconnect token:", error);
+      return false;
+    }
+  }
+
+  async revokeReconnectToken(sessionCode, userId) {
+    try {
+      await this.redis.hdel(this.getReconnectKey(sessionCode), userId);
+    } catch (error) {
+      logger.error("Error revoking reconnect token:", error);
+    }
+  }
+
+  /**
+   * Start a participant's grace window after their socket dropped.
+   * Score and answers are untouched; the seat is released only if
+   * they have not resumed when the window closes.
+   */
+  async markDisconnected(sessionCode, userId) {
+    const disconnectedAt = new Date().toISOString();
+    await this.updateParticipant(sessionCode, userId, {
+      isActive: false,
+      socketId: "",
+      disconnectedAt,
+    });
+    return disconnectedAt;
+  }
+
+  /**
+   * Whether a disconnected participant can still resume
+   */
+  isWithinGrace(participant) {
+    if (!participant || participant.leftAt) return false;
+    if (!participant.disconnectedAt) return true; // Connection replaced before the drop was noticed
+
+    const elapsed = Date.now() - new Date(participant.disconnectedAt).getTime();
+    return elapsed < this.reconnectGraceMs;
+  }
+
+  /**
+   * Put a resumed participant back on a new socket
+   */
+  async resumeParticipant(sessionCode, userId, socketId) {
+    return this.updateParticipant(sessionCode, userId, {
+      isActive: true,
+      socketId,
+      disconnectedAt: null,
+    });
+  }
+
   /**
    * Get participant count
    */
@@ -466,9 +582,19 @@ class SessionManager {
             username: participant.userName, // Alias for frontend compatibility
             userPicture: participant.userPicture,
             avatar: participant.userPicture, // Alias for frontend compatibility
+            teamId: participant.teamId || null,
             score,
             correctAnswers: participant.correctAnswers,
             incorrectAnswers: participant.incorrectAnswers,
+            streak: participant.streak || 0,
+            bestStreak: participant.bestStreak || 0,
+            avgTimePerQuestion:
+              participant.answeredCount > 0
+                ? participant.totalResponseTime /
+                  participant.answeredCount /
+                  1000
+                : undefined,
+            lastAnswer: participant.lastAnswer || null,
             accuracy:
               participant.correctAnswers + participant.incorrectAnswers > 0
                 ? (participant.correctAnswers /
@@ -487,6 +613,51 @@ class SessionManager {
     }
   }
 
+  /**
+   * Team standings for a team-mode session (empty otherwise)
+   * @param {Object} session - Optional, saves a read when the caller has it
+   */
+  async getTeamLeaderboard(sessionCode, session = null) {
+    try {
+      const current = session || (await this.getSession(sessionCode));
+      if (!teams.isTeamSession(current)) return [];
+
+      const participants = await this.getAllParticipants(sessionCode);
+      return teams.leaderboard(
+        current.teams,
+        participants,
+        current.settings.teamScoring
+      );
+    } catch (error) {
+      logger.error("Error getting team leaderboard:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Flag a session's leaderboard for the next batched broadcast
+   */
+  async markLeaderboardDirty(sessionCode) {
+    try {
+      await this.redis.sadd(this.getDirtyLeaderboardsKey(), sessionCode);
+    } catch (error) {
+      logger.error("Error marking leaderboard dirty:", error);
+    }
+  }
+
+  /**
+   * Take the flagged sessions. SPOP hands each session to a single
+   * instance, so a leaderboard is broadcast once per batch, not once per node.
+   */
+  async takeDirtyLeaderboards(count = 100) {
+    try {
+      return await this.redis.spop(this.getDirtyLeaderboardsKey(), count);
+    } catch (error) {
+      logger.error("Error reading dirty leaderboards:", error);
+      return [];
+    }
+  }
+
   /**
    * Get user's rank in leaderboard
    */
@@ -510,6 +681,72 @@ class SessionManager {
   // ANSWER TRACKING
   // ============================================
 
+  /**
+   * Store the question being played with a fresh server-side clock.
+   * Response times are measured from startedAt, never from client clocks.
+   */
+  async setCurrentQuestion(sessionCode, questionData) {
+    const current = {
+      questionIndex: questionData.questionIndex,
+      questionId: String(questionData.questionId),
+      timeLimit: questionData.timeLimit,
+      ...questionClock.start(questionData.timeLimit),
+    };
+
+    return this.saveCurrentQuestion(sessionCode, current);
+  }
+
+  /**
+   * Persist a changed clock (paused, resumed, extended or closed)
+   */
+  async saveCurrentQuestion(sessionCode, current) {
+    try {
+      const key = this.getCurrentQuestionKey(sessionCode);
+      await this.redis.setex(key, this.sessionTTL, JSON.stringify(current));
+      return current;
+    } catch (error) {
+      logger.error("Error saving current question:", error);
+      throw error;
+    }
+  }
+
+  async getCurrentQuestion(sessionCode) {
+    try {
+      const data = await this.redis.get(this.getCurrentQuestionKey(sessionCode));
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error("Error getting current question:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Claim a participant's single answer to a question
+   * HSETNX is atomic, so concurrent double submissions only count once
+   * @returns {Boolean} false if the participant already answered
+   */
+  async markAnswered(sessionCode, questionIndex, userId) {
+    try {
+      const key = this.getAnsweredKey(sessionCode);
+      const claimed = await this.redis.hsetnx(key, `${questionIndex}:${userId}`, Date.now());
+      await this.redis.expire(key, this.sessionTTL);
+      return claimed === 1;
+    } catch (error) {
+      logger.error("Error marking answer:", error);
+      throw error;
+    }
+  }
+
+  async hasAnswered(sessionCode, questionIndex, userId) {
+    try {
+      const key = this.getAnsweredKey(sessionCode);
+      return (await this.redis.hexists(key, `${questionIndex}:${userId}`)) === 1;
+    } catch (error) {
+      logger.error("Error checking answer:", error);
+      return false;
+    }
+  }
+
   /**
    * Record answer in Redis
    * Uses List for ordered storage
@@ -523,7 +760,9 @@ class SessionManager {
         questionId: answerData.questionId,
         selectedAnswer: answerData.selectedAnswer,
         isCorrect: answerData.isCorrect,
+        credit: answerData.credit || 0,
         points: answerData.points || 0,
+        breakdown: answerData.breakdown || null,
         answeredAt: new Date().toISOString(),
         timeSpent: answerData.timeSpent || 0,
       };
@@ -553,6 +792,14 @@ class SessionManager {
     }
   }
 
+  /**
+   * One participant's answers, in the order given
+   */
+  async getParticipantAnswers(sessionCode, userId) {
+    const answers = await this.getAllAnswers(sessionCode);
+    return answers.filter((answer) => String(answer.userId) === String(userId));
+  }
+
   /**
    * Get answer count (for sync threshold)
    */
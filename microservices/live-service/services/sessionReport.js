@@ -0,0 +1,268 @@
+/**
+ * Session Report
+ * Builds the permanent report of a finished live session from its Redis
+ * state: per-question answer distributions and response times, and a
+ * per-participant breakdown. Pure functions; handlers persist the result.
+ * Times in the report are seconds (one decimal), except raw response
+ * timeSpent values, which stay in milliseconds.
+ */
+
+const grading = require("../../shared/utils/grading");
+
+const NO_ANSWER = "(no answer)";
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function toSeconds(ms) {
+  return round1(ms / 1000);
+}
+
+function average(values) {
+  return values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Display form of a submitted answer, used to group the distribution
+ */
+function formatAnswer(question, answer) {
+  if (Array.isArray(answer)) {
+    const items = answer.map((item) => String(item).trim()).filter(Boolean);
+    if (!items.length) return NO_ANSWER;
+    // Picks in any order are the same answer; ordering answers are not
+    return question.type === "ordering"
+      ? items.join(" → ")
+      : items.sort().join(", ");
+  }
+  if (answer === null || answer === undefined) return NO_ANSWER;
+
+  const text = String(answer).trim();
+  return text || NO_ANSWER;
+}
+
+/**
+ * How often each answer was given. Choice questions list every option,
+ * even unpicked ones; free answers are grouped case-insensitively.
+ */
+function answerDistribution(question, answers) {
+  const groups = new Map();
+  const group = (label) => {
+    const key = label.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { answer: label, count: 0, isCorrect: false });
+    }
+    return groups.get(key);
+  };
+
+  const showOptions = !grading.LIST_TYPES.includes(question.type);
+  if (showOptions) {
+    for (const option of question.options || []) group(String(option));
+  }
+
+  for (const answer of answers) {
+    const entry = group(formatAnswer(question, answer.selectedAnswer));
+    entry.count += 1;
+    if (answer.isCorrect) entry.isCorrect = true;
+  }
+
+  const total = answers.length;
+  return [...groups.values()]
+    .map((entry) => ({
+      ...entry,
+      percentage: total ? round1((entry.count / total) * 100) : 0,
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+function questionReport(question, questionIndex, answers, participantCount) {
+  const times = answers.map((answer) => answer.timeSpent || 0);
+  const correct = answers.filter((answer) => answer.isCorrect).length;
+  const partial = answers.filter(
+    (answer) => !answer.isCorrect && answer.credit > 0
+  ).length;
+
+  return {
+    questionIndex,
+    questionId: String(question._id),
+    text: question.question,
+    type: question.type || "multiple-choice",
+    correctAnswer: grading.describeCorrectAnswer(question),
+    totalAnswers: answers.length,
+    correctAnswers: correct,
+    partialAnswers: partial,
+    incorrectAnswers: answers.length - correct - partial,
+    unanswered: Math.max(0, participantCount - answers.length),
+    correctRate: answers.length ? round1((correct / answers.length) * 100) : 0,
+    averagePoints: round1(average(answers.map((answer) => answer.points || 0))),
+    averageTime: toSeconds(average(times)),
+    medianTime: toSeconds(median(times)),
+    fastestTime: times.length ? toSeconds(Math.min(...times)) : 0,
+    slowestTime: times.length ? toSeconds(Math.max(...times)) : 0,
+    distribution: answerDistribution(question, answers),
+  };
+}
+
+function accuracyBand(accuracy) {
+  if (accuracy <= 25) return "low";
+  if (accuracy <= 50) return "mediumLow";
+  if (accuracy <= 75) return "mediumHigh";
+  return "high";
+}
+
+/**
+ * Build the report of a session
+ * @param {Object} params
+ * @param {Object} params.session - Redis session
+ * @param {Object} params.quiz - Cached quiz (with answer keys)
+ * @param {Array} params.participants - All participants, including those who left
+ * @param {Array} params.answers - Recorded answers
+ * @param {Array} params.teamLeaderboard - Final team standings ([] outside team mode)
+ */
+function buildReport({
+  session,
+  quiz,
+  participants,
+  answers,
+  teamLeaderboard = [],
+}) {
+  const questions = quiz?.questions || [];
+  const indexById = new Map(
+    questions.map((question, index) => [String(question._id), index])
+  );
+  const questionsPlayed = Math.min(
+    questions.length,
+    Math.max(0, (session.currentQuestionIndex ?? -1) + 1)
+  );
+
+  // Answers grouped per question and per participant
+  const byQuestion = questions.map(() => []);
+  const byUser = new Map();
+  for (const answer of answers) {
+    const questionIndex = indexById.get(String(answer.questionId));
+    if (questionIndex === undefined) continue;
+
+    byQuestion[questionIndex].push(answer);
+    const userId = String(answer.userId);
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push({ ...answer, questionIndex });
+  }
+
+  const teamNames = new Map(
+    (session.teams || []).map((team) => [team.teamId, team.name])
+  );
+
+  const participantReports = participants
+    .map((participant) => {
+      const responses = byUser.get(String(participant.userId)) || [];
+      const answered = responses.length;
+      const correct = responses.filter((answer) => answer.isCorrect).length;
+
+      return {
+        userId: participant.userId,
+        userName: participant.userName,
+        teamId: participant.teamId || null,
+        teamName: teamNames.get(participant.teamId) || null,
+        score: round1(participant.score || 0),
+        correctAnswers: correct,
+        incorrectAnswers: answered - correct,
+        unanswered: Math.max(0, questionsPlayed - answered),
+        accuracy: answered ? round1((correct / answered) * 100) : 0,
+        averageTime: toSeconds(
+          average(responses.map((answer) => answer.timeSpent || 0))
+        ),
+        bestStreak: participant.bestStreak || 0,
+        joinedAt: participant.joinedAt || null,
+        leftAt: participant.leftAt || null,
+        responses: responses
+          .sort((a, b) => a.questionIndex - b.questionIndex)
+          .map((answer) => ({
+            questionIndex: answer.questionIndex,
+            answer: answer.selectedAnswer,
+            isCorrect: answer.isCorrect,
+            credit: answer.credit || 0,
+            points: answer.points || 0,
+            timeSpent: answer.timeSpent || 0,
+          })),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  // Equal scores share a rank
+  participantReports.forEach((participant, index) => {
+    const previous = participantReports[index - 1];
+    participant.rank =
+      previous && previous.score === participant.score
+        ? previous.rank
+        : index + 1;
+  });
+
+  const accuracyRanges = { low: 0, mediumLow: 0, mediumHigh: 0, high: 0 };
+  for (const participant of participantReports) {
+    accuracyRanges[accuracyBand(participant.accuracy)] += 1;
+  }
+
+  const scores = participantReports.map((participant) => participant.score);
+  const startedAt = session.startedAt ? new Date(session.startedAt) : null;
+  const endedAt = session.endedAt ? new Date(session.endedAt) : new Date();
+
+  return {
+    sessionCode: session.sessionCode,
+    quizId: session.quizId,
+    hostId: session.hostId,
+    quizTitle: session.quizMetadata?.title || quiz?.title,
+    startedAt,
+    endedAt,
+    duration: startedAt ? Math.round((endedAt - startedAt) / 1000) : 0,
+    settings: session.settings,
+    summary: {
+      totalParticipants: participantReports.length,
+      completedParticipants: participantReports.filter(
+        (participant) =>
+          questionsPlayed > 0 && participant.responses.length >= questionsPlayed
+      ).length,
+      totalQuestions: questions.length,
+      questionsPlayed,
+      totalAnswers: answers.length,
+      averageScore: round1(average(scores)),
+      topScore: scores.length ? Math.max(...scores) : 0,
+      averageAccuracy: round1(
+        average(participantReports.map((participant) => participant.accuracy))
+      ),
+      averageTimePerQuestion: toSeconds(
+        average(answers.map((answer) => answer.timeSpent || 0))
+      ),
+      accuracyRanges,
+    },
+    questions: questions
+      .slice(0, questionsPlayed)
+      .map((question, index) =>
+        questionReport(
+          question,
+          index,
+          byQuestion[index],
+          participantReports.length
+        )
+      ),
+    participants: participantReports,
+    teams: teamLeaderboard,
+  };
+}
+
+module.exports = {
+  NO_ANSWER,
+  formatAnswer,
+  answerDistribution,
+  buildReport,
+};
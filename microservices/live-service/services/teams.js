@@ -0,0 +1,222 @@
+/**
+ * Live Session Teams
+ * Team mode: participants play for a team and team standings are derived
+ * from their members' scores. Teams are stored on the session
+ * ({ teamId, name, color }) and membership on each participant (teamId).
+ *
+ * Settings: teamMode (Boolean), teamScoring ("sum" | "average"),
+ *           teamAssignment ("auto" = server balances, "choose" = players pick)
+ */
+
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 10;
+const SCORING_MODES = ["sum", "average"];
+const ASSIGNMENT_MODES = ["auto", "choose"];
+
+const DEFAULT_TEAMS = [
+  { name: "Red", color: "#ef4444" },
+  { name: "Blue", color: "#3b82f6" },
+  { name: "Green", color: "#22c55e" },
+  { name: "Yellow", color: "#eab308" },
+  { name: "Purple", color: "#a855f7" },
+  { name: "Orange", color: "#f97316" },
+  { name: "Pink", color: "#ec4899" },
+  { name: "Teal", color: "#14b8a6" },
+  { name: "Indigo", color: "#6366f1" },
+  { name: "Gray", color: "#6b7280" },
+];
+
+function teamError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Build the session's teams from a count or a list of names / { name, color }
+ * @throws {Error} status 400 for fewer than 2 or more than 10 teams
+ */
+function createTeams(definitions) {
+  const list = Array.isArray(definitions)
+    ? definitions
+    : Array.from({ length: parseInt(definitions) || MIN_TEAMS }, () => ({}));
+
+  if (list.length < MIN_TEAMS || list.length > MAX_TEAMS) {
+    throw teamError(`Team mode needs ${MIN_TEAMS} to ${MAX_TEAMS} teams`);
+  }
+
+  return list.map((definition, index) => {
+    const team =
+      typeof definition === "string" ? { name: definition } : definition || {};
+    const fallback = DEFAULT_TEAMS[index];
+    const name = String(team.name || "")
+      .trim()
+      .slice(0, 40);
+    return {
+      teamId: `team-${index + 1}`,
+      name: name || fallback.name,
+      color: team.color || fallback.color,
+    };
+  });
+}
+
+/**
+ * Normalized team settings; invalid values fall back to sum / auto
+ */
+function normalizeSettings(settings = {}) {
+  return {
+    teamMode: Boolean(settings.teamMode),
+    teamScoring: SCORING_MODES.includes(settings.teamScoring)
+      ? settings.teamScoring
+      : "sum",
+    teamAssignment: ASSIGNMENT_MODES.includes(settings.teamAssignment)
+      ? settings.teamAssignment
+      : "auto",
+  };
+}
+
+/**
+ * Split team options out of requested session settings
+ * @param {Object} requested - Settings incl. teams (names) or teamCount
+ * @param {Array} currentTeams - Kept when team mode stays on without new teams
+ * @returns {Object} { settings, teams } - teams is [] unless teamMode is on
+ * @throws {Error} status 400 for an invalid number of teams
+ */
+function configure(requested = {}, currentTeams = []) {
+  const { teams: definitions, teamCount, ...settings } = requested;
+  const teamSettings = normalizeSettings(requested);
+
+  let sessionTeams = [];
+  if (teamSettings.teamMode) {
+    sessionTeams =
+      !definitions && !teamCount && currentTeams.length
+        ? currentTeams
+        : createTeams(definitions || teamCount);
+  }
+
+  return { settings: { ...settings, ...teamSettings }, teams: sessionTeams };
+}
+
+function isTeamSession(session) {
+  return Boolean(session?.settings?.teamMode && session.teams?.length);
+}
+
+// Members still holding a seat
+function activeMembers(participants) {
+  return participants.filter((p) => !p.leftAt);
+}
+
+/**
+ * Team with the fewest members (first one on ties), for auto-assignment
+ */
+function smallestTeam(teams, participants) {
+  const counts = new Map(teams.map((team) => [team.teamId, 0]));
+  for (const participant of activeMembers(participants)) {
+    if (counts.has(participant.teamId)) {
+      counts.set(participant.teamId, counts.get(participant.teamId) + 1);
+    }
+  }
+
+  let smallest = teams[0];
+  for (const team of teams) {
+    if (counts.get(team.teamId) < counts.get(smallest.teamId)) smallest = team;
+  }
+  return smallest.teamId;
+}
+
+/**
+ * Spread participants evenly: strongest first, dealt in a snake order so
+ * team totals stay close (in the lobby everyone is 0, so it is a shuffle)
+ * @returns {Map} userId -> teamId
+ */
+function balance(teams, participants) {
+  const players = activeMembers(participants)
+    .map((p) => ({ p, tiebreak: Math.random() }))
+    .sort(
+      (a, b) => (b.p.score || 0) - (a.p.score || 0) || a.tiebreak - b.tiebreak
+    )
+    .map(({ p }) => p);
+
+  const assignments = new Map();
+  players.forEach((participant, index) => {
+    const round = Math.floor(index / teams.length);
+    const slot = index % teams.length;
+    const team = teams[round % 2 === 0 ? slot : teams.length - 1 - slot];
+    assignments.set(participant.userId, team.teamId);
+  });
+  return assignments;
+}
+
+/**
+ * Teams with their current members, for lobby and roster updates
+ */
+function withMembers(teams, participants) {
+  return teams.map((team) => ({
+    ...team,
+    members: activeMembers(participants)
+      .filter((p) => p.teamId === team.teamId)
+      .map((p) => ({
+        userId: p.userId,
+        userName: p.userName,
+        userPicture: p.userPicture,
+      })),
+  }));
+}
+
+/**
+ * Team standings. Members who left keep counting towards their team's score.
+ * @param {String} scoring - "sum" of member scores, or their "average"
+ */
+function leaderboard(teams, participants, scoring = "sum") {
+  const standings = teams.map((team) => {
+    const members = participants.filter((p) => p.teamId === team.teamId);
+    const total = members.reduce((sum, p) => sum + (p.score || 0), 0);
+    const correct = members.reduce(
+      (sum, p) => sum + (p.correctAnswers || 0),
+      0
+    );
+    const answered = members.reduce(
+      (sum, p) => sum + (p.correctAnswers || 0) + (p.incorrectAnswers || 0),
+      0
+    );
+    let score = total;
+    if (scoring === "average") {
+      score = members.length ? total / members.length : 0;
+    }
+
+    return {
+      teamId: team.teamId,
+      name: team.name,
+      color: team.color,
+      score: Math.round(score * 10) / 10,
+      totalScore: Math.round(total * 10) / 10,
+      memberCount: members.length,
+      accuracy: answered > 0 ? (correct / answered) * 100 : 0,
+    };
+  });
+
+  standings.sort((a, b) => b.score - a.score);
+
+  // Equal scores share a rank
+  standings.forEach((team, index) => {
+    team.rank =
+      index > 0 && team.score === standings[index - 1].score
+        ? standings[index - 1].rank
+        : index + 1;
+  });
+
+  return standings;
+}
+
+module.exports = {
+  MIN_TEAMS,
+  MAX_TEAMS,
+  createTeams,
+  normalizeSettings,
+  configure,
+  isTeamSession,
+  smallestTeam,
+  balance,
+  withMembers,
+  leaderboard,
+};
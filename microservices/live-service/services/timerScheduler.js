@@ -0,0 +1,120 @@
+/**
+ * Distributed Timer Scheduler
+ * Session timers (question time-up, reconnect grace) live in a Redis sorted
+ * set scored by due time instead of in-process setTimeouts. Every instance
+ * polls the set, but a due timer only fires on the instance whose ZREM
+ * removes it, so each timer fires exactly once across the cluster and
+ * survives the instance that scheduled it going away.
+ */
+
+const createLogger = require("../../shared/utils/logger");
+const sessionManager = require("./sessionManager");
+
+const logger = createLogger("timer-scheduler");
+
+// Timers claimed per poll, so one busy tick can't starve the event loop
+const BATCH_SIZE = 100;
+
+class TimerScheduler {
+  constructor() {
+    this.handlers = new Map();
+    this.interval = null;
+    this.polling = false;
+    this.pollInterval = parseInt(process.env.TIMER_POLL_INTERVAL) || 250;
+  }
+
+  getTimersKey() {
+    return `${sessionManager.keyPrefix}timers`;
+  }
+
+  /**
+   * Register the handler for a timer type
+   * @param {String} type - e.g. "question-end"
+   * @param {Function} handler - async (id) => {}
+   */
+  on(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Schedule (or move) a timer. Scheduling the same type and id again
+   * replaces the previous due time.
+   * @param {Number} dueAt - Epoch ms when the timer should fire
+   */
+  async schedule(type, id, dueAt) {
+    try {
+      await sessionManager.redis.zadd(this.getTimersKey(), dueAt, `${type}:${id}`);
+    } catch (error) {
+      logger.error(`Error scheduling ${type} timer:`, error);
+      throw error;
+    }
+  }
+
+  async cancel(type, id) {
+    try {
+      await sessionManager.redis.zrem(this.getTimersKey(), `${type}:${id}`);
+    } catch (error) {
+      logger.error(`Error cancelling ${type} timer:`, error);
+    }
+  }
+
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.poll(), this.pollInterval);
+    logger.info(`Timer scheduler polling every ${this.pollInterval}ms`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Claim and fire every due timer
+   */
+  async poll() {
+    if (this.polling || !sessionManager.isHealthy()) return;
+    this.polling = true;
+
+    try {
+      const key = this.getTimersKey();
+      const due = await sessionManager.redis.zrangebyscore(
+        key,
+        "-inf",
+        Date.now(),
+        "LIMIT",
+        0,
+        BATCH_SIZE
+      );
+
+      for (const member of due) {
+        // Another instance got it first
+        if ((await sessionManager.redis.zrem(key, member)) !== 1) continue;
+
+        const separator = member.indexOf(":");
+        const type = member.slice(0, separator);
+        const id = member.slice(separator + 1);
+        const handler = this.handlers.get(type);
+
+        if (!handler) {
+          logger.warn(`No handler for timer type ${type}`);
+          continue;
+        }
+
+        try {
+          await handler(id);
+        } catch (error) {
+          logger.error(`Error firing ${type} timer ${id}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error("Error polling timers:", error);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = new TimerScheduler();
@@ -0,0 +1,542 @@
+/**
+ * Tournament Brackets
+ * Builds single-elimination, double-elimination and Swiss tournaments as a
+ * flat list of matches, moves results through them and ranks the players.
+ * Elimination brackets are built up front: every match knows where its
+ * winner (and, in double elimination, its loser) goes next, and a match is
+ * playable as soon as both of its slots are decided. Byes and empty slots
+ * resolve on their own. Swiss rounds are paired one at a time from the
+ * standings. Pure functions; the tournament service stores and plays them.
+ */
+
+const FORMATS = ["single-elimination", "double-elimination", "swiss"];
+
+// Elimination losses rank by how deep in the bracket they happened
+const FINAL_STAGE = 1000;
+
+/**
+ * Bracket positions of seeds 1..size, so the top seeds meet last
+ * e.g. size 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, total - seed]);
+  }
+  return order;
+}
+
+function bracketSize(count) {
+  let size = 2;
+  while (size < count) size *= 2;
+  return size;
+}
+
+function slotPlayer(participant) {
+  return participant
+    ? {
+        userId: String(participant.userId),
+        username: participant.username,
+        seed: participant.seed,
+      }
+    : null;
+}
+
+function createMatch(fields) {
+  return {
+    player1: null,
+    player2: null,
+    filled: 0,
+    status: "pending",
+    result: null,
+    winner: null,
+    loser: null,
+    next: {},
+    ...fields,
+  };
+}
+
+function link(key, slot) {
+  return { key, slot };
+}
+
+/**
+ * Round 1 of an elimination bracket, with byes against the top seeds
+ */
+function firstRound(participants, size, bracket) {
+  const bySeed = new Map(participants.map((player) => [player.seed, player]));
+  const order = seedOrder(size);
+  const matches = [];
+
+  for (let index = 0; index < size / 2; index += 1) {
+    matches.push(
+      createMatch({
+        key: `W1-${index}`,
+        bracket,
+        round: 1,
+        index,
+        stage: 1,
+        player1: slotPlayer(bySeed.get(order[index * 2])),
+        player2: slotPlayer(bySeed.get(order[index * 2 + 1])),
+        filled: 2,
+      })
+    );
+  }
+  return matches;
+}
+
+/**
+ * Winners bracket: rounds halve until the final
+ */
+function winnersBracket(participants, size) {
+  const rounds = Math.log2(size);
+  const matches = firstRound(participants, size, "winners");
+
+  for (let round = 2; round <= rounds; round += 1) {
+    const count = size / 2 ** round;
+    for (let index = 0; index < count; index += 1) {
+      matches.push(
+        createMatch({
+          key: `W${round}-${index}`,
+          bracket: "winners",
+          round,
+          index,
+          stage: round,
+        })
+      );
+    }
+  }
+
+  for (const match of matches) {
+    if (match.round < rounds) {
+      match.next.winner = link(
+        `W${match.round + 1}-${Math.floor(match.index / 2)}`,
+        (match.index % 2) + 1
+      );
+    }
+  }
+  return { matches, rounds };
+}
+
+/**
+ * Single elimination: one loss and you're out
+ * @param {Array} participants - [{ userId, username, seed }], seeds 1..n
+ */
+function buildSingleElimination(participants) {
+  return winnersBracket(participants, bracketSize(participants.length)).matches;
+}
+
+/**
+ * Double elimination: a first loss drops the player to the losers bracket,
+ * a second knocks them out. The losers bracket alternates between rounds
+ * that take in the players dropping from the winners bracket and rounds
+ * among its own survivors. Its winner meets the winners bracket champion in
+ * the grand final, which is replayed if the losers bracket player wins it
+ * (so both finalists have lost once).
+ */
+function buildDoubleElimination(participants) {
+  const size = bracketSize(participants.length);
+  const { matches, rounds } = winnersBracket(participants, size);
+  const winners = new Map(matches.map((match) => [match.key, match]));
+  const losersRounds = 2 * (rounds - 1);
+
+  const losersCount = (round) => size / 2 ** (Math.floor((round + 1) / 2) + 1);
+
+  for (let round = 1; round <= losersRounds; round += 1) {
+    const count = losersCount(round);
+    for (let index = 0; index < count; index += 1) {
+      const match = createMatch({
+        key: `L${round}-${index}`,
+        bracket: "losers",
+        round,
+        index,
+        stage: round,
+      });
+
+      if (round < losersRounds) {
+        // Odd rounds feed the next round one to one; even rounds halve
+        match.next.winner =
+          round % 2 === 1
+            ? link(`L${round + 1}-${index}`, 1)
+            : link(`L${round + 1}-${Math.floor(index / 2)}`, (index % 2) + 1);
+      } else {
+        match.next.winner = link("GF-1", 2);
+      }
+      matches.push(match);
+    }
+  }
+
+  // Where winners bracket losers drop to
+  for (const match of winners.values()) {
+    if (match.round === 1 && rounds > 1) {
+      match.next.loser = link(
+        `L1-${Math.floor(match.index / 2)}`,
+        (match.index % 2) + 1
+      );
+    } else if (match.round > 1) {
+      // Reversed, to keep early opponents apart
+      const count = losersCount(2 * (match.round - 1));
+      match.next.loser = link(
+        `L${2 * (match.round - 1)}-${count - 1 - match.index}`,
+        2
+      );
+    }
+  }
+
+  const winnersFinal = winners.get(`W${rounds}-0`);
+  winnersFinal.next.winner = link("GF-1", 1);
+  // Two players: there's no losers bracket, the loser goes straight to the final
+  if (rounds === 1) winnersFinal.next.loser = link("GF-1", 2);
+
+  matches.push(
+    createMatch({
+      key: "GF-1",
+      bracket: "final",
+      round: 1,
+      index: 0,
+      stage: FINAL_STAGE + 1,
+    }),
+    createMatch({
+      key: "GF-2",
+      bracket: "final",
+      round: 2,
+      index: 0,
+      stage: FINAL_STAGE + 2,
+    })
+  );
+  return matches;
+}
+
+function buildBracket(format, participants) {
+  if (format === "single-elimination") {
+    return buildSingleElimination(participants);
+  }
+  if (format === "double-elimination") {
+    return buildDoubleElimination(participants);
+  }
+  return [];
+}
+
+/**
+ * Swiss rounds needed to find a clear winner
+ */
+function defaultSwissRounds(count) {
+  return Math.max(1, Math.ceil(Math.log2(count)));
+}
+
+function findMatch(matches, key) {
+  return matches.find((match) => match.key === key);
+}
+
+function placePlayer(matches, target, player) {
+  if (!target) return;
+  const match = findMatch(matches, target.key);
+  match[`player${target.slot}`] = player;
+  match.filled += 1;
+}
+
+function playerOf(match, userId) {
+  if (!userId) return null;
+  return [match.player1, match.player2].find(
+    (player) => player && player.userId === String(userId)
+  );
+}
+
+/**
+ * Record a match result and move its players on
+ * @param {Object} result - { winner, result, scores } (winner null: nobody advances)
+ */
+function resolveMatch(matches, match, { winner = null, result, scores }) {
+  const winnerPlayer = playerOf(match, winner);
+  const loserPlayer = winnerPlayer
+    ? [match.player1, match.player2].find(
+        (player) => player && player.userId !== winnerPlayer.userId
+      ) || null
+    : null;
+
+  match.status = "completed";
+  match.result = result;
+  match.winner = winnerPlayer ? winnerPlayer.userId : null;
+  match.loser = loserPlayer ? loserPlayer.userId : null;
+  if (scores) match.scores = scores;
+
+  if (match.key === "GF-1") {
+    const reset = findMatch(matches, "GF-2");
+    if (loserPlayer && winnerPlayer.userId === match.player2.userId) {
+      // The losers bracket player won: both have lost once, play again
+      placePlayer(matches, link("GF-2", 1), match.player1);
+      placePlayer(matches, link("GF-2", 2), match.player2);
+    } else {
+      reset.status = "completed";
+      reset.result = "skipped";
+    }
+    return;
+  }
+
+  placePlayer(matches, match.next.winner, winnerPlayer);
+  placePlayer(matches, match.next.loser, loserPlayer);
+}
+
+/**
+ * Resolve every decided match that has fewer than two players (byes, and
+ * slots left empty by earlier byes), as far as they cascade
+ * @returns {Array} Matches now ready to be played
+ */
+function settle(matches) {
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const match of matches) {
+      if (match.status !== "pending" || match.filled < 2) continue;
+      if (match.player1 && match.player2) continue;
+
+      const player = match.player1 || match.player2;
+      resolveMatch(matches, match, {
+        winner: player ? player.userId : null,
+        result: "bye",
+      });
+      changed = true;
+    }
+  }
+
+  return matches.filter(
+    (match) =>
+      match.status === "pending" &&
+      match.filled === 2 &&
+      match.player1 &&
+      match.player2
+  );
+}
+
+/**
+ * Winner of an elimination match the duel couldn't separate: the better seed
+ */
+function tiebreakWinner(match) {
+  return match.player1.seed <= match.player2.seed
+    ? match.player1.userId
+    : match.player2.userId;
+}
+
+/**
+ * Pair the next Swiss round: players on equal points meet where possible,
+ * nobody meets the same opponent twice if it can be helped, and with an
+ * odd count the lowest ranked player without a bye yet sits out for a point
+ * @returns {Array} The new round's matches
+ */
+function pairSwissRound(participants, matches, round) {
+  const ranked = standings("swiss", participants, matches);
+  const opponents = new Map(ranked.map((player) => [player.userId, new Set()]));
+  const hadBye = new Set();
+
+  for (const match of matches) {
+    if (match.player1 && match.player2) {
+      opponents.get(match.player1.userId).add(match.player2.userId);
+      opponents.get(match.player2.userId).add(match.player1.userId);
+    } else if (match.result === "bye" && match.winner) {
+      hadBye.add(match.winner);
+    }
+  }
+
+  const waiting = ranked.map((player) => slotPlayer(player));
+  const pairings = [];
+  let bye = null;
+
+  if (waiting.length % 2 === 1) {
+    let byeIndex = waiting.length - 1;
+    for (let index = waiting.length - 1; index >= 0; index -= 1) {
+      if (!hadBye.has(waiting[index].userId)) {
+        byeIndex = index;
+        break;
+      }
+    }
+    const [player] = waiting.splice(byeIndex, 1);
+    bye = { player1: player, player2: null };
+  }
+
+  while (waiting.length > 0) {
+    const player = waiting.shift();
+    let opponentIndex = waiting.findIndex(
+      (candidate) => !opponents.get(player.userId).has(candidate.userId)
+    );
+    if (opponentIndex === -1) opponentIndex = 0;
+    const [opponent] = waiting.splice(opponentIndex, 1);
+    pairings.push({ player1: player, player2: opponent });
+  }
+  // Top boards first, the bye last
+  if (bye) pairings.push(bye);
+
+  return pairings.map((pairing, index) =>
+    createMatch({
+      key: `S${round}-${index}`,
+      bracket: "swiss",
+      round,
+      index,
+      stage: round,
+      ...pairing,
+      filled: 2,
+    })
+  );
+}
+
+/**
+ * Standings, best first
+ * Swiss: points (win 1, draw ½, bye 1), then Buchholz (opponents' points),
+ * then seed. Elimination: the champion, then players still in, then the
+ * rest by how far they got; players knocked out at the same stage share a
+ * place.
+ * @returns {Array} [{ userId, username, seed, place, points, wins, losses, draws, byes, buchholz, eliminated }]
+ */
+function standings(format, participants, matches) {
+  const rows = new Map(
+    participants.map((participant) => [
+      String(participant.userId),
+      {
+        userId: String(participant.userId),
+        username: participant.username,
+        seed: participant.seed,
+        points: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        byes: 0,
+        buchholz: 0,
+        opponents: [],
+        lastLossStage: null,
+      },
+    ])
+  );
+
+  for (const match of matches) {
+    if (match.status !== "completed" || match.result === "skipped") continue;
+    const players = [match.player1, match.player2].filter(Boolean);
+
+    if (players.length === 1) {
+      if (match.winner) {
+        const row = rows.get(match.winner);
+        row.byes += 1;
+        row.points += 1;
+      }
+      continue;
+    }
+    if (players.length < 2) continue;
+
+    const [first, second] = players.map((player) => rows.get(player.userId));
+    first.opponents.push(second.userId);
+    second.opponents.push(first.userId);
+
+    if (format === "swiss" && match.result === "draw") {
+      first.draws += 1;
+      second.draws += 1;
+      first.points += 0.5;
+      second.points += 0.5;
+    } else {
+      for (const row of [first, second]) {
+        if (row.userId === match.winner) {
+          row.wins += 1;
+          row.points += 1;
+        } else {
+          row.losses += 1;
+          row.lastLossStage = match.stage;
+        }
+      }
+    }
+  }
+
+  const list = [...rows.values()];
+  for (const row of list) {
+    row.buchholz = row.opponents.reduce(
+      (total, opponentId) => total + rows.get(opponentId).points,
+      0
+    );
+  }
+
+  if (format === "swiss") {
+    list.sort(
+      (a, b) =>
+        b.points - a.points || b.buchholz - a.buchholz || a.seed - b.seed
+    );
+    list.forEach((row, index) => {
+      row.place = index + 1;
+    });
+  } else {
+    const eliminatedBy = eliminations(format, matches);
+    const champion = championOf(format, matches);
+    for (const row of list) {
+      row.eliminated = eliminatedBy.has(row.userId);
+      row.rankStage =
+        row.userId === champion
+          ? Infinity
+          : row.eliminated
+          ? eliminatedBy.get(row.userId)
+          : FINAL_STAGE * 10;
+    }
+    list.sort((a, b) => b.rankStage - a.rankStage || a.seed - b.seed);
+    list.forEach((row, index) => {
+      const previous = list[index - 1];
+      row.place =
+        previous && previous.rankStage === row.rankStage
+          ? previous.place
+          : index + 1;
+    });
+  }
+
+  return list.map(({ opponents, lastLossStage, rankStage, ...row }) => row);
+}
+
+/**
+ * Players knocked out so far, with the stage they went out at
+ */
+function eliminations(format, matches) {
+  const out = new Map();
+  for (const match of matches) {
+    if (match.status !== "completed" || !match.loser) continue;
+    const dropsDown = !!match.next?.loser;
+    const replayed =
+      match.key === "GF-1" && match.winner === match.player2?.userId;
+    if (!dropsDown && !replayed) out.set(match.loser, match.stage);
+  }
+  return out;
+}
+
+function championOf(format, matches) {
+  if (format === "double-elimination") {
+    const reset = findMatch(matches, "GF-2");
+    if (!reset || reset.status !== "completed") return null;
+    return reset.result === "skipped"
+      ? findMatch(matches, "GF-1").winner
+      : reset.winner;
+  }
+  const last = matches.reduce(
+    (best, match) => (!best || match.round > best.round ? match : best),
+    null
+  );
+  return last && last.status === "completed" ? last.winner : null;
+}
+
+/**
+ * Whether every match of the bracket (or every Swiss round) is done
+ */
+function isFinished(format, matches, swissRounds) {
+  if (!matches.every((match) => match.status === "completed")) return false;
+  if (format !== "swiss") return true;
+  const lastRound = matches.reduce(
+    (round, match) => Math.max(round, match.round),
+    0
+  );
+  return lastRound >= swissRounds;
+}
+
+module.exports = {
+  FORMATS,
+  seedOrder,
+  buildBracket,
+  defaultSwissRounds,
+  findMatch,
+  resolveMatch,
+  settle,
+  tiebreakWinner,
+  pairSwissRound,
+  standings,
+  isFinished,
+};
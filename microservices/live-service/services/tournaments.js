@@ -0,0 +1,641 @@
+/**
+ * Tournament Runner
+ * Plays a tournament's bracket as duels: seeds the field by duel rating,
+ * schedules every bracket match that has both of its players as a
+ * DuelMatch, records results as duels end (or players fail to show up),
+ * pairs Swiss rounds, and publishes the final standings. Every change runs
+ * under the tournament's lock, so results arriving on several instances at
+ * once are applied one at a time.
+ */
+
+const mongoose = require("mongoose");
+const createLogger = require("../../shared/utils/logger");
+const { EVENTS } = require("../../shared/config/constants");
+const Tournament = require("../models/Tournament");
+const DuelMatch = require("../models/DuelMatch");
+const bracket = require("./tournamentBracket");
+const duelRatings = require("./duelRatings");
+const sessionManager = require("./sessionManager");
+const timerScheduler = require("./timerScheduler");
+const eventBus = require("./eventBus");
+const { httpError } = require("../../shared/utils/httpError");
+
+const logger = createLogger("tournaments");
+
+// Time both players get to start a scheduled match before it is forfeited
+// (also how often a match still being played is re-checked)
+const NO_SHOW_MS = parseInt(process.env.TOURNAMENT_NO_SHOW_MS) || 300000;
+
+function roomName(tournamentId) {
+  return `tournament:${tournamentId}`;
+}
+
+/**
+ * Load a tournament and change it while holding its lock
+ * @throws {Error} status 404 if there is no such tournament
+ */
+async function withTournament(tournamentId, fn) {
+  if (!mongoose.Types.ObjectId.isValid(tournamentId)) {
+    throw httpError("Tournament not found", 404);
+  }
+
+  return sessionManager.locks.withLock(
+    `tournament:${tournamentId}`,
+    async () => {
+      const tournament = await Tournament.findById(tournamentId);
+      if (!tournament) throw httpError("Tournament not found", 404);
+      return fn(tournament);
+    },
+    { ttl: 30000, wait: 5000 }
+  );
+}
+
+/**
+ * Bracket matches as plain objects, to run through the bracket functions
+ */
+function plainMatches(tournament) {
+  return tournament.matches.map((match) => match.toObject());
+}
+
+function currentStandings(tournament) {
+  if (tournament.standings) return tournament.standings;
+  if (tournament.status === "registration") return [];
+  return bracket.standings(
+    tournament.format,
+    tournament.participants,
+    plainMatches(tournament)
+  );
+}
+
+/**
+ * Tournament as shown on the bracket page
+ */
+function present(tournament) {
+  return {
+    id: tournament._id.toString(),
+    name: tournament.name,
+    description: tournament.description,
+    format: tournament.format,
+    status: tournament.status,
+    category: tournament.category,
+    quiz: {
+      id: tournament.quizId.toString(),
+      title: tournament.quiz?.title,
+      description: tournament.quiz?.description,
+      difficulty: tournament.quiz?.difficulty,
+      totalQuestions: tournament.quiz?.totalQuestions,
+    },
+    createdBy: {
+      userId: tournament.createdBy.userId.toString(),
+      username: tournament.createdBy.username,
+    },
+    maxParticipants: tournament.maxParticipants,
+    swissRounds: tournament.swissRounds,
+    currentRound: tournament.currentRound,
+    startsAt: tournament.startsAt,
+    startedAt: tournament.startedAt,
+    completedAt: tournament.completedAt,
+    participants: tournament.participants.map((participant) => ({
+      userId: participant.userId.toString(),
+      username: participant.username,
+      avatar: participant.avatar,
+      seed: participant.seed,
+      rating: participant.rating,
+    })),
+    matches: plainMatches(tournament).map(
+      ({ filled, next, ...match }) => match
+    ),
+    standings: currentStandings(tournament),
+  };
+}
+
+/**
+ * Tournament as shown in lists
+ */
+function summarize(tournament) {
+  return {
+    id: tournament._id.toString(),
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    category: tournament.category,
+    quizTitle: tournament.quiz?.title,
+    createdBy: tournament.createdBy?.username,
+    participantCount: tournament.participants.length,
+    maxParticipants: tournament.maxParticipants,
+    startsAt: tournament.startsAt,
+    createdAt: tournament.createdAt,
+  };
+}
+
+function broadcast(io, tournament) {
+  io.to(roomName(tournament._id)).emit(
+    "tournament-updated",
+    present(tournament)
+  );
+}
+
+/**
+ * Create a tournament open for registration
+ * @param {Object} params - { name, description, format, quiz, maxParticipants, swissRounds, startsAt, createdBy }
+ */
+async function createTournament({
+  name,
+  description,
+  format,
+  quiz,
+  maxParticipants,
+  swissRounds,
+  startsAt,
+  createdBy,
+}) {
+  const tournament = await Tournament.create({
+    name,
+    description,
+    format,
+    quizId: quiz._id,
+    quiz: {
+      title: quiz.title,
+      description: quiz.description,
+      difficulty: quiz.difficulty,
+      totalQuestions: quiz.questions.length,
+    },
+    category: duelRatings.normalizeCategory(quiz.category),
+    createdBy,
+    maxParticipants,
+    swissRounds: format === "swiss" ? swissRounds : undefined,
+    startsAt,
+  });
+
+  if (startsAt) {
+    await timerScheduler.schedule(
+      "tournament-start",
+      tournament._id.toString(),
+      new Date(startsAt).getTime()
+    );
+  }
+
+  logger.info(
+    `[Tournament] Created ${tournament._id} (${format}) by ${createdBy.userId}`
+  );
+  return tournament;
+}
+
+async function register(io, tournamentId, { userId, username, avatar }) {
+  return withTournament(tournamentId, async (tournament) => {
+    if (tournament.status !== "registration") {
+      throw httpError("Registration is closed", 400);
+    }
+    if (
+      tournament.participants.some(
+        (participant) => String(participant.userId) === String(userId)
+      )
+    ) {
+      throw httpError("Already registered", 409);
+    }
+    if (tournament.participants.length >= tournament.maxParticipants) {
+      throw httpError("Tournament is full", 400);
+    }
+
+    tournament.participants.push({ userId, username, avatar });
+    await tournament.save();
+    broadcast(io, tournament);
+    return tournament;
+  });
+}
+
+async function withdraw(io, tournamentId, userId) {
+  return withTournament(tournamentId, async (tournament) => {
+    if (tournament.status !== "registration") {
+      throw httpError("The tournament has already started", 400);
+    }
+    const index = tournament.participants.findIndex(
+      (participant) => String(participant.userId) === String(userId)
+    );
+    if (index === -1) throw httpError("Not registered", 404);
+
+    tournament.participants.splice(index, 1);
+    await tournament.save();
+    broadcast(io, tournament);
+    return tournament;
+  });
+}
+
+function duelPlayer(slot) {
+  return {
+    userId: new mongoose.Types.ObjectId(slot.userId),
+    username: slot.username,
+  };
+}
+
+/**
+ * Create the duel for a bracket match whose players are both known, and
+ * start its no-show clock
+ */
+async function scheduleMatch(tournament, match) {
+  const matchId = `duel-${Date.now()}-${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+
+  await DuelMatch.create({
+    matchId,
+    quizId: tournament.quizId,
+    category: tournament.category,
+    ranked: false,
+    tournamentId: tournament._id,
+    tournamentMatch: match.key,
+    player1: duelPlayer(match.player1),
+    player2: duelPlayer(match.player2),
+    status: "ready",
+  });
+
+  match.status = "ready";
+  match.duelMatchId = matchId;
+  match.deadline = new Date(Date.now() + NO_SHOW_MS);
+
+  await timerScheduler.schedule(
+    "tournament-match",
+    `${tournament._id}:${match.key}`,
+    match.deadline.getTime()
+  );
+}
+
+async function publishCompleted(tournament) {
+  try {
+    await eventBus.publish(
+      EVENTS.TOURNAMENT_COMPLETED,
+      {
+        tournament: {
+          id: tournament._id.toString(),
+          name: tournament.name,
+          format: tournament.format,
+          category: tournament.category,
+          quizId: tournament.quizId.toString(),
+          quizTitle: tournament.quiz?.title,
+          createdBy: {
+            userId: tournament.createdBy.userId.toString(),
+            username: tournament.createdBy.username,
+          },
+          participantCount: tournament.participants.length,
+          completedAt: tournament.completedAt,
+        },
+        standings: tournament.standings,
+      },
+      { idempotencyKey: `tournament-completed:${tournament._id}` }
+    );
+  } catch (error) {
+    logger.error(
+      `[Tournament] Failed to publish results of ${tournament._id}:`,
+      error
+    );
+  }
+}
+
+/**
+ * Move the tournament on after a change to its matches: resolve byes,
+ * pair the next Swiss round once the current one is over, schedule every
+ * match that can now be played, and finish the tournament when nothing is
+ * left. Saves the tournament and tells everyone watching.
+ */
+async function advance(io, tournament, matches) {
+  let ready = bracket.settle(matches);
+
+  while (
+    tournament.format === "swiss" &&
+    ready.length === 0 &&
+    matches.every((match) => match.status === "completed") &&
+    tournament.currentRound < tournament.swissRounds
+  ) {
+    tournament.currentRound += 1;
+    matches.push(
+      ...bracket.pairSwissRound(
+        tournament.participants,
+        matches,
+        tournament.currentRound
+      )
+    );
+    ready = bracket.settle(matches);
+  }
+
+  for (const match of ready) {
+    await scheduleMatch(tournament, match);
+  }
+
+  const finished = bracket.isFinished(
+    tournament.format,
+    matches,
+    tournament.swissRounds
+  );
+  if (finished) {
+    tournament.status = "completed";
+    tournament.completedAt = new Date();
+    tournament.standings = bracket.standings(
+      tournament.format,
+      tournament.participants,
+      matches
+    );
+  }
+
+  tournament.matches = matches;
+  await tournament.save();
+
+  for (const match of ready) {
+    io.to(roomName(tournament._id)).emit("tournament-match-ready", {
+      tournamentId: tournament._id.toString(),
+      key: match.key,
+      matchId: match.duelMatchId,
+      player1: match.player1,
+      player2: match.player2,
+      deadline: match.deadline,
+    });
+  }
+  broadcast(io, tournament);
+
+  if (finished) {
+    logger.info(
+      `[Tournament] ${tournament._id} completed, winner ${tournament.standings[0]?.username}`
+    );
+    await publishCompleted(tournament);
+  }
+}
+
+/**
+ * Close registration, seed the field and schedule the first matches
+ */
+async function startTournament(io, tournamentId) {
+  return withTournament(tournamentId, async (tournament) => {
+    if (tournament.status !== "registration") {
+      throw httpError("The tournament has already started", 400);
+    }
+    if (tournament.participants.length < 2) {
+      throw httpError("At least 2 players are needed to start", 400);
+    }
+
+    // Best rated in the tournament's category get the top seeds
+    const ratings = await Promise.all(
+      tournament.participants.map((participant) =>
+        duelRatings.getRating(participant.userId, tournament.category)
+      )
+    );
+    const seeded = tournament.participants
+      .map((participant, index) => ({
+        participant,
+        rating: ratings[index].rating,
+      }))
+      .sort(
+        (a, b) =>
+          b.rating - a.rating ||
+          a.participant.registeredAt - b.participant.registeredAt
+      );
+    seeded.forEach(({ participant, rating }, index) => {
+      participant.seed = index + 1;
+      participant.rating = Math.round(rating);
+    });
+
+    let matches;
+    if (tournament.format === "swiss") {
+      tournament.swissRounds =
+        tournament.swissRounds ||
+        bracket.defaultSwissRounds(tournament.participants.length);
+      tournament.currentRound = 1;
+      matches = bracket.pairSwissRound(tournament.participants, [], 1);
+    } else {
+      matches = bracket.buildBracket(
+        tournament.format,
+        tournament.participants
+      );
+    }
+
+    tournament.status = "active";
+    tournament.startedAt = new Date();
+    await timerScheduler.cancel("tournament-start", tournament._id.toString());
+
+    await advance(io, tournament, matches);
+    logger.info(
+      `[Tournament] Started ${tournament._id} with ${tournament.participants.length} players`
+    );
+    return tournament;
+  });
+}
+
+/**
+ * Timer handler: start a tournament at its scheduled time, or call it off
+ * if too few players registered
+ */
+async function startScheduled(io, tournamentId) {
+  try {
+    await startTournament(io, tournamentId);
+  } catch (error) {
+    if (error.status !== 400) throw error;
+
+    await withTournament(tournamentId, async (tournament) => {
+      if (tournament.status !== "registration") return;
+      tournament.status = "cancelled";
+      tournament.completedAt = new Date();
+      await tournament.save();
+      broadcast(io, tournament);
+      logger.info(`[Tournament] Cancelled ${tournament._id}: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * Call off a tournament; open duels are cancelled, finished ones stay
+ */
+async function cancelTournament(io, tournamentId) {
+  return withTournament(tournamentId, async (tournament) => {
+    if (!["registration", "active"].includes(tournament.status)) {
+      throw httpError("The tournament is already over", 400);
+    }
+
+    tournament.status = "cancelled";
+    tournament.completedAt = new Date();
+    await tournament.save();
+
+    const open = await DuelMatch.find({
+      tournamentId: tournament._id,
+      status: "ready",
+    });
+    await DuelMatch.updateMany(
+      { tournamentId: tournament._id, status: "ready" },
+      { $set: { status: "cancelled", completedAt: new Date() } }
+    );
+    for (const duel of open) {
+      io.to(duel.matchId).emit("duel-cancelled", {
+        matchId: duel.matchId,
+        message: "The tournament was cancelled",
+      });
+    }
+
+    broadcast(io, tournament);
+    logger.info(`[Tournament] Cancelled ${tournament._id}`);
+    return tournament;
+  });
+}
+
+/**
+ * Put a finished duel's result in the bracket
+ */
+function resolveFromDuel(tournament, matches, match, duel, forfeit) {
+  let winner = duel.winner ? String(duel.winner) : null;
+  let result = forfeit ? "forfeit" : "played";
+  if (!winner) {
+    result = "draw";
+    // Someone has to go through: the better seed
+    if (tournament.format !== "swiss") {
+      winner = bracket.tiebreakWinner(match);
+    }
+  }
+
+  bracket.resolveMatch(matches, match, {
+    winner,
+    result,
+    scores: {
+      player1: duel.player1.score,
+      player2: duel.player2.score,
+    },
+  });
+
+  logger.info(
+    `[Tournament] ${tournament._id} ${match.key}: ${result}, winner ${
+      winner || "none"
+    }`
+  );
+}
+
+/**
+ * Record the result of a finished tournament duel in the bracket
+ * @param {Object} duel - Completed DuelMatch (winner null for a draw)
+ * @param {Object} options - { forfeit } when a player left mid-duel
+ */
+async function recordDuelResult(io, duel, { forfeit = false } = {}) {
+  if (!duel.tournamentId) return;
+
+  await withTournament(duel.tournamentId, async (tournament) => {
+    if (tournament.status !== "active") return;
+
+    const matches = plainMatches(tournament);
+    const match = bracket.findMatch(matches, duel.tournamentMatch);
+    if (
+      !match ||
+      match.status !== "ready" ||
+      match.duelMatchId !== duel.matchId
+    ) {
+      return;
+    }
+
+    await timerScheduler.cancel(
+      "tournament-match",
+      `${tournament._id}:${match.key}`
+    );
+    resolveFromDuel(tournament, matches, match, duel, forfeit);
+    await advance(io, tournament, matches);
+  });
+}
+
+/**
+ * Timer handler: a scheduled match's deadline has passed. If the duel never
+ * started, a player who turned up (ready beats merely joined) wins by
+ * forfeit; if neither did, the better seed goes through in an elimination
+ * bracket and in Swiss both take the loss. A duel still being played is
+ * checked again later, and a finished one whose result was missed is
+ * recorded now.
+ */
+async function handleMatchDeadline(io, id) {
+  const separator = id.lastIndexOf(":");
+  const tournamentId = id.slice(0, separator);
+  const key = id.slice(separator + 1);
+
+  try {
+    await withTournament(tournamentId, async (tournament) => {
+      if (tournament.status !== "active") return;
+
+      const matches = plainMatches(tournament);
+      const match = bracket.findMatch(matches, key);
+      if (!match || match.status !== "ready") return;
+
+      const duel = await DuelMatch.findOne({ matchId: match.duelMatchId });
+      if (duel && duel.status === "active") {
+        await timerScheduler.schedule(
+          "tournament-match",
+          id,
+          Date.now() + NO_SHOW_MS
+        );
+        return;
+      }
+      if (duel && duel.status === "completed") {
+        resolveFromDuel(tournament, matches, match, duel, false);
+        await advance(io, tournament, matches);
+        return;
+      }
+
+      // Claim the duel so it can't start now
+      const claimed = await DuelMatch.findOneAndUpdate(
+        { matchId: match.duelMatchId, status: "ready" },
+        { $set: { status: "cancelled", completedAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) {
+        // Started just now
+        await timerScheduler.schedule(
+          "tournament-match",
+          id,
+          Date.now() + NO_SHOW_MS
+        );
+        return;
+      }
+
+      const presence = [claimed.player1, claimed.player2].map((player) =>
+        player.isReady ? 2 : player.socketId ? 1 : 0
+      );
+      let winner = null;
+      if (presence[0] !== presence[1]) {
+        winner = String(
+          (presence[0] > presence[1] ? claimed.player1 : claimed.player2).userId
+        );
+      } else if (tournament.format !== "swiss") {
+        winner = bracket.tiebreakWinner(match);
+      }
+
+      if (winner) {
+        await DuelMatch.updateOne(
+          { _id: claimed._id },
+          { $set: { winner: new mongoose.Types.ObjectId(winner) } }
+        );
+      }
+      io.to(claimed.matchId).emit("opponent-disconnected", {
+        winner,
+        ratingChanges: null,
+        message: "Your opponent didn't show up",
+      });
+
+      bracket.resolveMatch(matches, match, { winner, result: "no-show" });
+      await advance(io, tournament, matches);
+
+      logger.info(
+        `[Tournament] ${tournament._id} ${key}: no-show, winner ${
+          winner || "none"
+        }`
+      );
+    });
+  } catch (error) {
+    if (error.code !== "LOCK_BUSY") throw error;
+    // Busy with another result; try again shortly
+    await timerScheduler.schedule("tournament-match", id, Date.now() + 5000);
+  }
+}
+
+module.exports = {
+  NO_SHOW_MS,
+  roomName,
+  present,
+  summarize,
+  createTournament,
+  register,
+  withdraw,
+  startTournament,
+  startScheduled,
+  cancelTournament,
+  recordDuelResult,
+  handleMatchDeadline,
+};
@@ -5,11 +5,21 @@
 
 const mongoose = require("mongoose");
 const createLogger = require("../../shared/utils/logger");
+const grading = require("../../shared/utils/grading");
+const { EVENTS } = require("../../shared/config/constants");
 const DuelMatch = require("../models/DuelMatch");
+const duelRatings = require("../services/duelRatings");
+const duelBot = require("../services/duelBot");
+const matchmaking = require("../services/matchmaking");
+const tournaments = require("../services/tournaments");
+const timerScheduler = require("../services/timerScheduler");
+const eventBus = require("../services/eventBus");
 
 const logger = createLogger("duel-handlers");
 const QUIZ_SERVICE_URL =
   process.env.QUIZ_SERVICE_URL || "http://localhost:3005";
+const RESULT_SERVICE_URL =
+  process.env.RESULT_SERVICE_URL || "http://localhost:3003";
 
 /**
  * Fetch quiz from quiz service
@@ -28,213 +38,688 @@ async function fetchQuiz(quizId) {
 }
 
 /**
- * Clean up stale waiting matches on server start
+ * Question fields sent to duel players (no answer key)
  */
-async function cleanupStaleMatches() {
-  try {
-    const result = await DuelMatch.deleteMany({
-      status: "waiting",
-      createdAt: { $lt: new Date(Date.now() - 10 * 60 * 1000) }, // Older than 10 minutes
+function duelQuestion(question) {
+  const { question: text, type, options } = grading.publicQuestion(question);
+  return { question: text, type, options };
+}
+
+/**
+ * Whether a socket is connected to any live-service instance
+ */
+async function isSocketConnected(io, socketId) {
+  if (!socketId) return false;
+  const sockets = await io.in(socketId).fetchSockets();
+  return sockets.length > 0;
+}
+
+/**
+ * Difficulty served to a ranked pair, by their average rating
+ */
+function rankedDifficulty(rating) {
+  if (rating < 1350) return "Easy";
+  if (rating < 1650) return "Medium";
+  if (rating < 1900) return "Hard";
+  return "Expert";
+}
+
+async function fetchCategoryQuizzes(category, difficulty) {
+  const params = new URLSearchParams({ category, limit: "50" });
+  if (difficulty) params.set("difficulty", difficulty);
+
+  const response = await fetch(`${QUIZ_SERVICE_URL}/api/quizzes?${params}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch quizzes");
+  }
+  const result = await response.json();
+  return (result.data?.quizzes || []).filter(
+    (quiz) => quiz.questions && quiz.questions.length > 0
+  );
+}
+
+/**
+ * Server-chosen quiz for a ranked duel: a random public quiz in the
+ * category, at the difficulty that suits the players if there is one
+ */
+async function pickRankedQuiz(category, rating) {
+  let quizzes = await fetchCategoryQuizzes(category, rankedDifficulty(rating));
+  if (quizzes.length === 0) {
+    quizzes = await fetchCategoryQuizzes(category);
+  }
+  if (quizzes.length === 0) return null;
+
+  const choice = quizzes[Math.floor(Math.random() * quizzes.length)];
+  return fetchQuiz(String(choice._id));
+}
+
+function matchPlayer(ticket) {
+  return {
+    userId: new mongoose.Types.ObjectId(ticket.userId),
+    socketId: ticket.socketId,
+    username: ticket.username,
+    avatar: ticket.avatar,
+  };
+}
+
+function publicPlayer(ticket) {
+  return {
+    userId: ticket.userId,
+    username: ticket.username,
+    avatar: ticket.avatar,
+    rating: Math.round(ticket.rating),
+    rd: Math.round(ticket.rd),
+  };
+}
+
+/**
+ * Set up a ranked duel for two players paired by the matchmaking queue
+ * @param {Array} tickets - [player1Ticket, player2Ticket]
+ */
+async function startRankedMatch(io, tickets) {
+  // Anyone who dropped while queued can't play; the other goes back in line
+  const connected = await Promise.all(
+    tickets.map((ticket) => isSocketConnected(io, ticket.socketId))
+  );
+  if (!connected.every(Boolean)) {
+    logger.warn(
+      `[Duel] Paired player disconnected, requeueing ${tickets
+        .filter((ticket, index) => connected[index])
+        .map((ticket) => ticket.userId)
+        .join(", ")}`
+    );
+    for (const [index, ticket] of tickets.entries()) {
+      if (connected[index]) await matchmaking.enqueue(ticket);
+    }
+    return;
+  }
+
+  const [player1, player2] = tickets;
+  const { category } = player1;
+  const socketIds = [player1.socketId, player2.socketId];
+
+  const quiz = await pickRankedQuiz(
+    category,
+    (player1.rating + player2.rating) / 2
+  );
+  if (!quiz) {
+    io.to(socketIds).emit("matchmaking-failed", {
+      category,
+      message: `No quizzes are available for ${category} duels yet`,
     });
-    if (result.deletedCount > 0) {
-      logger.info(
-        `[Duel] Cleaned up ${result.deletedCount} stale waiting matches`
-      );
+    return;
+  }
+
+  const matchId = `duel-${Date.now()}-${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+
+  await DuelMatch.create({
+    matchId,
+    quizId: quiz._id,
+    category,
+    ranked: true,
+    player1: matchPlayer(player1),
+    player2: matchPlayer(player2),
+    status: "ready",
+  });
+
+  // Players may be on different instances
+  io.in(socketIds).socketsJoin(matchId);
+
+  io.to(socketIds).emit("match-found", {
+    matchId,
+    ranked: true,
+    category,
+    quiz: {
+      id: quiz._id,
+      title: quiz.title,
+      description: quiz.description,
+      difficulty: quiz.difficulty,
+      totalQuestions: quiz.questions.length,
+    },
+    opponent: {
+      player1: publicPlayer(player1),
+      player2: publicPlayer(player2),
+    },
+  });
+
+  logger.info(
+    `[Duel] Ranked match ${matchId} in ${category}: ${player1.userId} (${Math.round(
+      player1.rating
+    )}) vs ${player2.userId} (${Math.round(player2.rating)})`
+  );
+}
+
+/**
+ * Per-question answer stats of a quiz from result-service ([] if unavailable)
+ */
+async function fetchQuestionStats(quizId) {
+  try {
+    const response = await fetch(
+      `${RESULT_SERVICE_URL}/api/analytics/quiz/${quizId}/questions`
+    );
+    if (!response.ok) {
+      throw new Error(`Result service responded ${response.status}`);
     }
+    const result = await response.json();
+    return result.data?.questions || [];
   } catch (error) {
-    logger.error("[Duel] Error cleaning up stale matches:", error);
+    logger.warn(
+      `[Duel] No answer history for quiz ${quizId}, bot uses defaults: ${error.message}`
+    );
+    return [];
   }
 }
 
 /**
- * Initialize Duel Socket.IO handlers
+ * Give a player who waited too long a practice match against a bot.
+ * Practice matches are unranked.
  */
-function initializeDuelHandlers(io) {
-  // Clean up old matches on initialization
-  cleanupStaleMatches();
+async function startBotMatch(io, ticket) {
+  if (!(await isSocketConnected(io, ticket.socketId))) return;
+
+  const { category } = ticket;
+  const quiz = await pickRankedQuiz(category, ticket.rating);
+  if (!quiz) {
+    io.to(ticket.socketId).emit("matchmaking-failed", {
+      category,
+      message: `No quizzes are available for ${category} duels yet`,
+    });
+    return;
+  }
 
-  io.on("connection", (socket) => {
-    // ============================================
-    // FIND DUEL MATCH
-    // ============================================
-    socket.on("find-duel-match", async (data, callback) => {
-      try {
-        const { quizId, userId, username, avatar } = data;
+  const matchId = `duel-${Date.now()}-${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+  const level = duelBot.levelForRating(ticket.rating);
+  const bot = {
+    userId: new mongoose.Types.ObjectId(),
+    username: duelBot.botName(level),
+    isBot: true,
+    isReady: true,
+  };
+
+  const match = new DuelMatch({
+    matchId,
+    quizId: quiz._id,
+    category,
+    ranked: false,
+    isBotMatch: true,
+    player1: matchPlayer(ticket),
+    player2: bot,
+    status: "ready",
+  });
+  match.bot = duelBot.planAnswers({
+    quiz,
+    questionStats: await fetchQuestionStats(quiz._id),
+    level,
+    timeLimit: match.timePerQuestion,
+  });
+  await match.save();
+
+  io.in(ticket.socketId).socketsJoin(matchId);
+
+  io.to(ticket.socketId).emit("match-found", {
+    matchId,
+    ranked: false,
+    bot: true,
+    category,
+    quiz: {
+      id: quiz._id,
+      title: quiz.title,
+      description: quiz.description,
+      difficulty: quiz.difficulty,
+      totalQuestions: quiz.questions.length,
+    },
+    opponent: {
+      player1: publicPlayer(ticket),
+      player2: {
+        userId: bot.userId.toString(),
+        username: bot.username,
+        isBot: true,
+        level,
+      },
+    },
+  });
 
-        logger.info(`[Duel] ${userId} searching for match on quiz ${quizId}`);
+  logger.info(
+    `[Duel] Practice match ${matchId} in ${category}: ${ticket.userId} vs ${level} bot (${match.bot.questionsFromHistory}/${match.bot.plan.length} questions from history)`
+  );
+}
 
-        // Convert userId to ObjectId for consistent comparison
-        const userObjectId = new mongoose.Types.ObjectId(userId);
-        const quizObjectId = new mongoose.Types.ObjectId(quizId);
+/**
+ * Queue the bot's answer to a question, due after its planned delay
+ */
+async function scheduleBotAnswer(match, questionIndex) {
+  const step = match.bot?.plan?.[questionIndex];
+  if (!step) return;
+  await timerScheduler.schedule(
+    "duel-bot-answer",
+    `${match.matchId}:${questionIndex}`,
+    Date.now() + step.delay
+  );
+}
 
-        let match = null;
-        let retryCount = 0;
-        const MAX_RETRIES = 3;
+/**
+ * Timer handler: the bot answers one question, then moves on to the next
+ */
+async function playBotAnswer(io, id) {
+  const separator = id.lastIndexOf(":");
+  const matchId = id.slice(0, separator);
+  const questionIndex = parseInt(id.slice(separator + 1));
+
+  const match = await DuelMatch.findOne({ matchId });
+  if (!match || match.status !== "active" || !match.isBotMatch) return;
+  // Already answered (timer fired twice)
+  if (match.player2.answers.length !== questionIndex) return;
+
+  const step = match.bot.plan[questionIndex];
+  await recordDuelAnswer(io, {
+    matchId,
+    userId: String(match.player2.userId),
+    questionIndex,
+    answer: step.answer,
+    timeSpent: step.timeSpent,
+  });
 
-        // Retry loop to handle stale matches
-        while (!match && retryCount < MAX_RETRIES) {
-          // Find existing waiting match for this quiz (don't match with self)
-          match = await DuelMatch.findOne({
-            quizId: quizObjectId,
-            status: "waiting",
-            "player1.userId": { $ne: userObjectId },
-            player2: { $exists: false }, // Ensure player2 slot is empty
-          }).sort({ createdAt: 1 }); // Get oldest waiting match first
+  await scheduleBotAnswer(match, questionIndex + 1);
+}
 
-          if (match) {
-            // Validate that player1 is still connected
-            const player1Socket = io.sockets.sockets.get(
-              match.player1.socketId
-            );
+function finalScore(player) {
+  return {
+    userId: player.userId.toString(),
+    score: player.score,
+    correctAnswers: player.correctAnswers,
+    totalTime: player.totalTime,
+  };
+}
 
-            if (!player1Socket) {
-              // Player1 disconnected, delete stale match and retry
-              logger.warn(
-                `[Duel] Stale match found (player1 disconnected): ${match.matchId}, deleting and retrying...`
-              );
-              await DuelMatch.deleteOne({ matchId: match.matchId });
-              match = null; // Retry search
-              retryCount++;
-              continue;
-            }
+/**
+ * Kind of duel, for achievement rules (gamification-service)
+ */
+function duelMode(match) {
+  if (match.isBotMatch) return "practice";
+  if (match.tournamentId) return "tournament";
+  return match.ranked ? "ranked" : "casual";
+}
 
-            // Use atomic update to claim the match as player2
-            const updatedMatch = await DuelMatch.findOneAndUpdate(
-              {
-                _id: match._id,
-                status: "waiting",
-                player2: { $exists: false }, // Double-check player2 is still empty
-              },
-              {
-                $set: {
-                  "player2.userId": userObjectId,
-                  "player2.socketId": socket.id,
-                  "player2.username": username,
-                  "player2.avatar": avatar,
-                  "player2.score": 0,
-                  "player2.correctAnswers": 0,
-                  "player2.totalTime": 0,
-                  "player2.answers": [],
-                  "player2.isReady": false,
-                  "player2.isActive": true,
-                  status: "ready",
-                },
-              },
-              { new: true } // Return updated document
-            );
+/**
+ * Publish a finished duel so gamification-service can count it toward
+ * achievements (non-blocking). The practice bot is left out of the players.
+ */
+async function publishDuelFinished(match, { forfeit = false } = {}) {
+  const sides = [
+    [match.player1, match.player2],
+    [match.player2, match.player1],
+  ];
+  const winner = match.winner ? match.winner.toString() : null;
 
-            if (!updatedMatch) {
-              // Another player claimed this match, retry search
-              logger.warn(
-                `[Duel] Race condition - match already claimed, retrying...`
-              );
-              match = null;
-              retryCount++;
-              continue;
-            }
+  try {
+    await eventBus.publish(
+      EVENTS.DUEL_FINISHED,
+      {
+        matchId: match.matchId,
+        quizId: match.quizId.toString(),
+        category: match.category,
+        mode: duelMode(match),
+        forfeit,
+        completedAt: match.completedAt,
+        players: sides
+          .filter(([player]) => player && !player.isBot)
+          .map(([player, opponent]) => {
+            const userId = player.userId.toString();
+            let outcome = "loss";
+            if (!winner) outcome = "draw";
+            else if (winner === userId) outcome = "win";
+
+            return {
+              userId,
+              opponentId: opponent ? opponent.userId.toString() : null,
+              outcome,
+              score: player.score,
+              correctAnswers: player.correctAnswers,
+            };
+          }),
+      },
+      { idempotencyKey: `duel-finished:${match.matchId}` }
+    );
+  } catch (error) {
+    logger.error(
+      `[Duel] Failed to publish result of ${match.matchId}:`,
+      error.message
+    );
+  }
+}
 
-            match = updatedMatch;
-            break; // Successfully matched!
-          } else {
-            // No waiting match found
-            break;
-          }
-        }
+/**
+ * Grade and record one answer, then send the player their next question or
+ * end the duel once both are done. Players' answers and the bot's both go
+ * through here.
+ * @param {Function} reply - Ack for the answering player (none for the bot)
+ */
+async function recordDuelAnswer(
+  io,
+  { matchId, userId, questionIndex, answer, timeSpent },
+  reply = () => {}
+) {
+  const match = await DuelMatch.findOne({ matchId });
+  if (!match) {
+    return reply({ success: false, error: "Match not found" });
+  }
+  if (match.status !== "active") {
+    return reply({ success: false, error: "Match is not active" });
+  }
 
-        if (match) {
-          // Fetch quiz from quiz service
-          const quiz = await fetchQuiz(match.quizId.toString());
-
-          // Both players join the match room
-          socket.join(match.matchId);
-          const player1Socket = io.sockets.sockets.get(match.player1.socketId);
-          if (player1Socket) {
-            player1Socket.join(match.matchId);
-          }
+  // Safe player identification
+  const userIdStr = String(userId);
+  let side = null;
+  if (match.player1?.userId && String(match.player1.userId) === userIdStr) {
+    side = "player1";
+  } else if (
+    match.player2?.userId &&
+    String(match.player2.userId) === userIdStr
+  ) {
+    side = "player2";
+  }
+  if (!side) {
+    return reply({ success: false, error: "User not in this match" });
+  }
 
-          logger.info(
-            `[Duel] Match found: ${match.matchId} - ${match.player1.userId} vs ${userId}`
-          );
+  // Questions are answered once each, in order
+  if (
+    !Number.isInteger(questionIndex) ||
+    questionIndex !== match[side].answers.length
+  ) {
+    return reply({ success: false, error: "Question already answered" });
+  }
 
-          const matchFoundData = {
-            matchId: match.matchId,
-            quiz: {
-              id: quiz._id,
-              title: quiz.title,
-              description: quiz.description,
-              totalQuestions: quiz.questions.length,
-            },
-            opponent: {
-              player1: {
-                userId: match.player1.userId.toString(),
-                username: match.player1.username || "Player 1",
-                avatar: match.player1.avatar,
-              },
-              player2: {
-                userId: match.player2.userId.toString(),
-                username: username,
-                avatar: avatar,
-              },
-            },
-          };
+  // Fetch quiz from service
+  if (!match.quizId) {
+    return reply({ success: false, error: "Quiz not found in match" });
+  }
 
-          // Emit to room (for any other sockets that might be listening)
-          io.to(match.matchId).emit("match-found", matchFoundData);
+  const quiz = await fetchQuiz(String(match.quizId));
+  if (!quiz || !quiz.questions || !quiz.questions[questionIndex]) {
+    return reply({ success: false, error: "Question not found" });
+  }
 
-          // Also emit directly to both players to ensure they receive it
-          if (player1Socket) {
-            player1Socket.emit("match-found", matchFoundData);
-            logger.info(
-              `[Duel] Sent match-found to player1: ${match.player1.socketId}`
-            );
-          }
-          socket.emit("match-found", matchFoundData);
-          logger.info(`[Duel] Sent match-found to player2: ${socket.id}`);
+  const question = quiz.questions[questionIndex];
+
+  // Grade with the shared engine; partial answers earn their share of the points
+  const { isCorrect, credit } = grading.gradeAnswer(question, answer);
+  const pointsEarned = grading.scorePoints(100, credit);
+
+  logger.info(
+    `[Duel] Result: ${
+      isCorrect ? "✅ CORRECT" : "❌ WRONG"
+    } - Points: ${pointsEarned}`
+  );
+
+  // The client reports its own time; keep it within the question's limit
+  const seconds = Math.min(
+    Math.max(Number(timeSpent) || 0, 0),
+    match.timePerQuestion
+  );
+
+  // Record answer
+  const answerRecord = {
+    questionIndex,
+    answer,
+    isCorrect,
+    credit,
+    timeSpent: seconds,
+    timestamp: new Date(),
+  };
+
+  // Conditional on the answer count, so a resent answer can't be counted twice
+  const recorded = await DuelMatch.findOneAndUpdate(
+    {
+      matchId,
+      status: "active",
+      [`${side}.answers`]: { $size: questionIndex },
+    },
+    {
+      $push: { [`${side}.answers`]: answerRecord },
+      $inc: {
+        [`${side}.score`]: pointsEarned,
+        [`${side}.correctAnswers`]: isCorrect ? 1 : 0,
+        [`${side}.totalTime`]: seconds,
+      },
+    },
+    { new: true }
+  );
+  if (!recorded) {
+    return reply({ success: false, error: "Question already answered" });
+  }
+  const player = recorded[side];
+
+  reply({
+    success: true,
+    isCorrect,
+    credit,
+    correctAnswer: grading.describeCorrectAnswer(question),
+    pointsEarned,
+    explanation: question.explanation,
+  });
 
-          callback({ success: true, matchId: match.matchId, role: "player2" });
-        } else {
-          // Create new waiting match
-          const matchId = `duel-${Date.now()}-${Math.random()
-            .toString(36)
-            .substr(2, 9)}`;
+  // The opponent may have answered meanwhile (the bot answers on its own timer)
+  const latest = await DuelMatch.findOne({ matchId });
+
+  // Emit live score update
+  io.to(matchId).emit("duel-score-update", {
+    player1: {
+      userId: latest.player1.userId.toString(),
+      score: latest.player1.score,
+      correctAnswers: latest.player1.correctAnswers,
+      answeredCount: latest.player1.answers.length,
+    },
+    player2: {
+      userId: latest.player2.userId.toString(),
+      score: latest.player2.score,
+      correctAnswers: latest.player2.correctAnswers,
+      answeredCount: latest.player2.answers.length,
+    },
+  });
 
-          match = new DuelMatch({
-            matchId,
-            quizId: quizObjectId,
-            player1: {
-              userId: userObjectId,
-              socketId: socket.id,
-              username,
-              avatar,
-              score: 0,
-              correctAnswers: 0,
-              totalTime: 0,
-              answers: [],
-              isReady: false,
-              isActive: true,
-            },
-            status: "waiting",
-          });
+  // Check if player finished (use quiz data fetched earlier)
+  const playerFinished = player.answers.length === quiz.questions.length;
 
-          await match.save();
-          socket.join(matchId);
+  if (playerFinished && player.socketId) {
+    io.to(player.socketId).emit("player-completed", {
+      message: "Waiting for opponent to finish...",
+      yourScore: player.score,
+      yourCorrect: player.correctAnswers,
+    });
+
+    logger.info(`[Duel] Player ${userId} completed all questions`);
+  }
 
-          logger.info(`[Duel] Waiting for opponent: ${matchId} - ${userId}`);
+  // Check if BOTH finished
+  const bothFinished =
+    latest.player1.answers.length === quiz.questions.length &&
+    latest.player2.answers.length === quiz.questions.length;
+
+  if (bothFinished) {
+    const { player1, player2 } = latest;
+
+    // Determine winner
+    let winner = null;
+    if (player1.score > player2.score) {
+      winner = player1.userId.toString();
+    } else if (player2.score > player1.score) {
+      winner = player2.userId.toString();
+    } else if (player1.totalTime < player2.totalTime) {
+      winner = player1.userId.toString();
+    } else if (player2.totalTime < player1.totalTime) {
+      winner = player2.userId.toString();
+    }
 
-          callback({ success: true, matchId, role: "player1", waiting: true });
+    // Only the last answer to arrive ends the duel
+    const completed = await DuelMatch.findOneAndUpdate(
+      { matchId, status: "active" },
+      {
+        $set: {
+          status: "completed",
+          completedAt: new Date(),
+          winner: winner ? new mongoose.Types.ObjectId(winner) : null,
+        },
+      },
+      { new: true }
+    );
+    if (!completed) return;
+
+    const ratingChanges = await duelRatings.rateMatch(completed);
+
+    io.to(matchId).emit("duel-ended", {
+      winner,
+      ratingChanges,
+      practice: !!completed.isBotMatch,
+      finalScores: {
+        player1: finalScore(player1),
+        player2: finalScore(player2),
+      },
+    });
+
+    logger.info(
+      `[Duel] Match completed: ${matchId}, Winner: ${winner || "TIE"}`
+    );
+
+    await tournaments.recordDuelResult(io, completed);
+    await publishDuelFinished(completed);
+  } else if (player.socketId) {
+    // Move to next question for THIS player only
+    const nextIndex = player.answers.length;
+    if (nextIndex < quiz.questions.length) {
+      const nextQuestion = quiz.questions[nextIndex];
+
+      io.to(player.socketId).emit("next-question", {
+        currentQuestion: {
+          index: nextIndex,
+          ...duelQuestion(nextQuestion),
+          timeLimit: match.timePerQuestion,
+        },
+      });
+    }
+  }
+}
+
+/**
+ * Initialize Duel Socket.IO handlers
+ */
+function initializeDuelHandlers(io) {
+  matchmaking.on("match", (tickets) => startRankedMatch(io, tickets));
+  matchmaking.on("bot", (ticket) => startBotMatch(io, ticket));
+  matchmaking.on("expire", (ticket) => {
+    io.to(ticket.socketId).emit("matchmaking-timeout", {
+      category: ticket.category,
+      message: "No opponent found. Try again in a moment.",
+    });
+  });
+  timerScheduler.on("duel-bot-answer", (id) => playBotAnswer(io, id));
+
+  io.on("connection", (socket) => {
+    // ============================================
+    // FIND DUEL MATCH (ranked queue)
+    // ============================================
+    socket.on("find-duel-match", async (data, callback) => {
+      try {
+        // Players are identified by their verified token, never the payload
+        const userId = socket.user.userId;
+        const username = data.username || socket.user.name;
+
+        // Older clients send the quiz they picked; its category is queued
+        let { category } = data;
+        if (!category && data.quizId) {
+          category = (await fetchQuiz(data.quizId)).category;
         }
+        category = duelRatings.normalizeCategory(category);
+
+        const rating = await duelRatings.getRating(userId, category);
+
+        logger.info(
+          `[Duel] ${userId} searching for a ${category} match at ${Math.round(
+            rating.rating
+          )}`
+        );
+
+        await matchmaking.enqueue({
+          userId,
+          socketId: socket.id,
+          username,
+          avatar: data.avatar,
+          category,
+          rating: rating.rating,
+          rd: rating.rd,
+          allowBot: data.allowBot !== false,
+        });
+
+        callback({
+          success: true,
+          category,
+          rating: {
+            rating: Math.round(rating.rating),
+            rd: Math.round(rating.rd),
+            matches: rating.matches,
+          },
+          // When a practice bot steps in if nobody is found (null: never)
+          botAfterMs:
+            data.allowBot !== false && matchmaking.botWait
+              ? matchmaking.botWait
+              : null,
+        });
       } catch (error) {
         logger.error("[Duel] Error finding match:", error);
         callback({ success: false, error: error.message });
       }
     });
 
+    // ============================================
+    // CANCEL (leave the queue, or call off a match that hasn't started)
+    // ============================================
+    socket.on("cancel-duel", async (data = {}, callback) => {
+      const reply = typeof callback === "function" ? callback : () => {};
+      try {
+        const userId = socket.user.userId;
+        await matchmaking.dequeue(userId);
+
+        if (data.matchId) {
+          // Tournament matches can't be called off; the deadline settles them
+          const match = await DuelMatch.findOneAndUpdate(
+            {
+              matchId: data.matchId,
+              status: "ready",
+              tournamentId: null,
+              $or: [{ "player1.userId": userId }, { "player2.userId": userId }],
+            },
+            { $set: { status: "cancelled", completedAt: new Date() } }
+          );
+
+          if (match) {
+            io.to(match.matchId).emit("duel-cancelled", {
+              matchId: match.matchId,
+              message: "Your opponent left before the duel started",
+            });
+            logger.info(
+              `[Duel] Match cancelled before start: ${match.matchId}`
+            );
+          }
+        }
+
+        reply({ success: true });
+      } catch (error) {
+        logger.error("[Duel] Error cancelling:", error);
+        reply({ success: false, error: error.message });
+      }
+    });
+
     // ============================================
     // DUEL READY
     // ============================================
     socket.on("duel-ready", async (data, callback) => {
       try {
-        const { matchId, userId } = data;
+        const { matchId } = data;
+        const userId = socket.user.userId;
 
         logger.info(`[Duel] Player ready: ${userId} in ${matchId}`);
 
@@ -308,22 +793,28 @@ function initializeDuelHandlers(io) {
         ) {
           logger.info(`[Duel] Both players ready! Starting ${matchId}`);
 
-          latestMatch.status = "active";
-          latestMatch.startedAt = new Date();
-          latestMatch.currentQuestionIndex = 0;
-          await latestMatch.save();
+          // Only one of the two ready events starts it, and not after a
+          // tournament match was forfeited for a no-show
+          const started = await DuelMatch.findOneAndUpdate(
+            { matchId, status: "ready" },
+            {
+              $set: {
+                status: "active",
+                startedAt: new Date(),
+                currentQuestionIndex: 0,
+              },
+            }
+          );
+          if (!started) return;
 
           // Ensure both players in room
           socket.join(matchId);
-          const player1Socket = io.sockets.sockets.get(
-            latestMatch.player1.socketId
-          );
-          const player2Socket = io.sockets.sockets.get(
-            latestMatch.player2.socketId
-          );
-
-          if (player1Socket) player1Socket.join(matchId);
-          if (player2Socket) player2Socket.join(matchId);
+          // (the practice bot has no socket)
+          io.in(
+            [latestMatch.player1.socketId, latestMatch.player2.socketId].filter(
+              Boolean
+            )
+          ).socketsJoin(matchId);
 
           // Fetch quiz from service
           if (!latestMatch.quizId) {
@@ -345,12 +836,15 @@ function initializeDuelHandlers(io) {
           io.to(matchId).emit("duel-started", {
             currentQuestion: {
               index: 0,
-              question: currentQuestion.question,
-              options: currentQuestion.options,
+              ...duelQuestion(currentQuestion),
               timeLimit: latestMatch.timePerQuestion,
             },
           });
 
+          if (latestMatch.isBotMatch) {
+            await scheduleBotAnswer(latestMatch, 0);
+          }
+
           logger.info(`[Duel] Match started: ${matchId}`);
         }
 
@@ -366,181 +860,18 @@ function initializeDuelHandlers(io) {
     // ============================================
     socket.on("duel-answer", async (data, callback) => {
       try {
-        const { matchId, userId, questionIndex, answer, timeSpent } = data;
-
-        const match = await DuelMatch.findOne({ matchId });
-        if (!match) {
-          return callback({ success: false, error: "Match not found" });
-        }
-
-        // Fetch quiz from service
-        if (!match.quizId) {
-          return callback({ success: false, error: "Quiz not found in match" });
-        }
-
-        const quiz = await fetchQuiz(String(match.quizId));
-        if (!quiz || !quiz.questions || !quiz.questions[questionIndex]) {
-          return callback({ success: false, error: "Question not found" });
-        }
-
-        const question = quiz.questions[questionIndex];
-
-        // Handle both correct_answer and correctAnswer (API response may use either)
-        const correctAnswer = question.correctAnswer || question.correct_answer;
-
-        // Normalize strings for comparison (trim whitespace)
-        const normalizedUserAnswer = String(answer).trim();
-        const normalizedCorrectAnswer = String(correctAnswer).trim();
-
-        logger.info(`[Duel] Answer comparison:`, {
-          userAnswer: normalizedUserAnswer,
-          correctAnswer: normalizedCorrectAnswer,
-          match: normalizedUserAnswer === normalizedCorrectAnswer,
-          questionFields: Object.keys(question),
-        });
-
-        const isCorrect = normalizedUserAnswer === normalizedCorrectAnswer;
-        const pointsEarned = isCorrect ? 100 : 0;
-
-        logger.info(
-          `[Duel] Result: ${
-            isCorrect ? "✅ CORRECT" : "❌ WRONG"
-          } - Points: ${pointsEarned}`
-        );
-
-        // Record answer
-        const answerRecord = {
-          questionIndex,
-          answer,
-          isCorrect,
-          timeSpent,
-          timestamp: new Date(),
-        };
-
-        // Safe player identification
-        const userIdStr = String(userId);
-        const player1IdStr = match.player1?.userId
-          ? String(match.player1.userId)
-          : null;
-        const player2IdStr = match.player2?.userId
-          ? String(match.player2.userId)
-          : null;
-
-        let player;
-        if (player1IdStr === userIdStr) {
-          player = match.player1;
-        } else if (player2IdStr === userIdStr) {
-          player = match.player2;
-        }
-
-        if (player) {
-          player.answers.push(answerRecord);
-          if (isCorrect) {
-            player.correctAnswers += 1;
-            player.score += pointsEarned;
-          }
-          player.totalTime += timeSpent;
-        }
-
-        await match.save();
-
-        callback({
-          success: true,
-          isCorrect,
-          correctAnswer: correctAnswer,
-          pointsEarned,
-          explanation: question.explanation,
-        });
-
-        // Emit live score update
-        io.to(matchId).emit("duel-score-update", {
-          player1: {
-            userId: match.player1.userId.toString(),
-            score: match.player1.score,
-            correctAnswers: match.player1.correctAnswers,
-            answeredCount: match.player1.answers.length,
-          },
-          player2: {
-            userId: match.player2.userId.toString(),
-            score: match.player2.score,
-            correctAnswers: match.player2.correctAnswers,
-            answeredCount: match.player2.answers.length,
+        const { matchId, questionIndex, answer, timeSpent } = data;
+        await recordDuelAnswer(
+          io,
+          {
+            matchId,
+            userId: socket.user.userId,
+            questionIndex,
+            answer,
+            timeSpent,
           },
-        });
-
-        // Check if player finished (use quiz data fetched earlier)
-        const playerFinished = player.answers.length === quiz.questions.length;
-
-        if (playerFinished) {
-          socket.emit("player-completed", {
-            message: "Waiting for opponent to finish...",
-            yourScore: player.score,
-            yourCorrect: player.correctAnswers,
-          });
-
-          logger.info(`[Duel] Player ${userId} completed all questions`);
-        }
-
-        // Check if BOTH finished
-        const bothFinished =
-          match.player1.answers.length === quiz.questions.length &&
-          match.player2.answers.length === quiz.questions.length;
-
-        if (bothFinished) {
-          // Determine winner
-          let winner = null;
-          if (match.player1.score > match.player2.score) {
-            winner = match.player1.userId.toString();
-          } else if (match.player2.score > match.player1.score) {
-            winner = match.player2.userId.toString();
-          } else if (match.player1.totalTime < match.player2.totalTime) {
-            winner = match.player1.userId.toString();
-          } else if (match.player2.totalTime < match.player1.totalTime) {
-            winner = match.player2.userId.toString();
-          }
-
-          match.status = "completed";
-          match.completedAt = new Date();
-          match.winner = winner ? new mongoose.Types.ObjectId(winner) : null;
-          await match.save();
-
-          io.to(matchId).emit("duel-ended", {
-            winner,
-            finalScores: {
-              player1: {
-                userId: match.player1.userId.toString(),
-                score: match.player1.score,
-                correctAnswers: match.player1.correctAnswers,
-                totalTime: match.player1.totalTime,
-              },
-              player2: {
-                userId: match.player2.userId.toString(),
-                score: match.player2.score,
-                correctAnswers: match.player2.correctAnswers,
-                totalTime: match.player2.totalTime,
-              },
-            },
-          });
-
-          logger.info(
-            `[Duel] Match completed: ${matchId}, Winner: ${winner || "TIE"}`
-          );
-        } else {
-          // Move to next question for THIS player only
-          const nextIndex = player.answers.length;
-          if (nextIndex < quiz.questions.length) {
-            const nextQuestion = quiz.questions[nextIndex];
-
-            socket.emit("next-question", {
-              currentQuestion: {
-                index: nextIndex,
-                question: nextQuestion.question,
-                options: nextQuestion.options,
-                timeLimit: match.timePerQuestion,
-              },
-            });
-          }
-        }
+          callback
+        );
       } catch (error) {
         logger.error("[Duel] Error in answer:", error);
         callback({ success: false, error: error.message });
@@ -552,9 +883,15 @@ function initializeDuelHandlers(io) {
     // ============================================
     socket.on("disconnect", async () => {
       try {
-        // Find any active match with this socket
+        // Leave the queue, unless the player has since queued from another tab
+        const ticket = await matchmaking.getTicket(socket.user.userId);
+        if (ticket && ticket.socketId === socket.id) {
+          await matchmaking.dequeue(socket.user.userId);
+        }
+
+        // Find any open match with this socket
         const match = await DuelMatch.findOne({
-          status: { $in: ["waiting", "ready", "active"] },
+          status: { $in: ["ready", "active"] },
           $or: [
             { "player1.socketId": socket.id },
             { "player2.socketId": socket.id },
@@ -563,14 +900,33 @@ function initializeDuelHandlers(io) {
 
         if (match) {
           const isPlayer1 = match.player1.socketId === socket.id;
-          const disconnectedUserId = isPlayer1
-            ? match.player1.userId
-            : match.player2?.userId;
-
-          if (match.status === "waiting") {
-            // Remove waiting match
-            await DuelMatch.deleteOne({ _id: match._id });
-            logger.info(`[Duel] Removed waiting match ${match.matchId}`);
+
+          if (match.status === "ready" && match.tournamentId) {
+            // Tournament match: free the slot to rejoin before the deadline
+            const slot = isPlayer1 ? "player1" : "player2";
+            await DuelMatch.updateOne(
+              { _id: match._id, [`${slot}.socketId`]: socket.id },
+              {
+                $set: {
+                  [`${slot}.socketId`]: null,
+                  [`${slot}.isReady`]: false,
+                },
+              }
+            );
+            logger.info(
+              `[Duel] Player left tournament match ${match.matchId} before it started`
+            );
+          } else if (match.status === "ready") {
+            // Not started yet: call it off without rating anyone
+            match.status = "cancelled";
+            match.completedAt = new Date();
+            await match.save();
+
+            io.to(match.matchId).emit("duel-cancelled", {
+              matchId: match.matchId,
+              message: "Your opponent left before the duel started",
+            });
+            logger.info(`[Duel] Cancelled match ${match.matchId}`);
           } else {
             // Declare opponent as winner
             const winnerId = isPlayer1
@@ -582,14 +938,20 @@ function initializeDuelHandlers(io) {
             match.winner = winnerId;
             await match.save();
 
+            const ratingChanges = await duelRatings.rateMatch(match);
+
             io.to(match.matchId).emit("opponent-disconnected", {
               winner: winnerId?.toString(),
+              ratingChanges,
               message: "Opponent disconnected",
             });
 
             logger.info(
               `[Duel] Player disconnected from ${match.matchId}, opponent wins`
             );
+
+            await tournaments.recordDuelResult(io, match, { forfeit: true });
+            await publishDuelFinished(match, { forfeit: true });
           }
         }
       } catch (error) {
@@ -1,31 +1,48 @@
 /**
  * Socket.IO Event Handlers for Live Sessions
- * Optimized with Redis session storage and batched leaderboard updates
+ * Optimized with Redis session storage and batched leaderboard updates.
+ * Safe to run on several instances: state, timers and host locks live in Redis
+ * and broadcasts go through the Socket.IO Redis adapter.
  */
 
 const { nanoid } = require("nanoid");
 const mongoose = require("mongoose");
 const createLogger = require("../../shared/utils/logger");
+const grading = require("../../shared/utils/grading");
 const sessionManager = require("../services/sessionManager");
+const scoring = require("../services/scoring");
+const questionClock = require("../services/questionClock");
+const teams = require("../services/teams");
+const timerScheduler = require("../services/timerScheduler");
+const sessionReport = require("../services/sessionReport");
 const LiveSession = require("../models/LiveSession");
+const SessionReport = require("../models/SessionReport");
 
 const logger = createLogger("socket-handlers");
 const QUIZ_SERVICE_URL =
   process.env.QUIZ_SERVICE_URL || "http://localhost:3005";
 
+// Team options the host may change with configure-teams
+const TEAM_FIELDS = [
+  "teamMode",
+  "teams",
+  "teamCount",
+  "teamScoring",
+  "teamAssignment",
+];
+
 // Batched leaderboard updates
-const leaderboardUpdateQueue = new Map();
 const updateInterval =
   parseInt(process.env.LEADERBOARD_UPDATE_INTERVAL) || 2000;
 let ioInstance = null; // Store io instance globally
 
-// Periodic leaderboard broadcast
-setInterval(() => {
-  for (const [sessionCode, needsUpdate] of leaderboardUpdateQueue.entries()) {
-    if (needsUpdate && ioInstance) {
-      broadcastLeaderboard(sessionCode, ioInstance);
-      leaderboardUpdateQueue.set(sessionCode, false);
-    }
+// Periodic leaderboard broadcast (sessions flagged in Redis by any instance)
+setInterval(async () => {
+  if (!ioInstance || !sessionManager.isHealthy()) return;
+
+  const sessionCodes = await sessionManager.takeDirtyLeaderboards();
+  for (const sessionCode of sessionCodes) {
+    await broadcastLeaderboard(sessionCode, ioInstance);
   }
 }, updateInterval);
 
@@ -35,15 +52,22 @@ setInterval(() => {
 async function broadcastLeaderboard(sessionCode, io) {
   try {
     const leaderboard = await sessionManager.getLeaderboard(sessionCode);
+    // Empty unless the session plays in teams
+    const teamLeaderboard = await sessionManager.getTeamLeaderboard(
+      sessionCode
+    );
 
     if (io) {
-      io.to(sessionCode).emit("leaderboard-updated", { leaderboard });
+      io.to(sessionCode).emit("leaderboard-updated", {
+        leaderboard,
+        teamLeaderboard,
+      });
     } else {
       // Use pub/sub if no io instance
       await sessionManager.publishToSession(
         sessionCode,
         "leaderboard-updated",
-        { leaderboard }
+        { leaderboard, teamLeaderboard }
       );
     }
 
@@ -60,23 +84,51 @@ function initializeSocketHandlers(io) {
   // Store io instance globally for leaderboard broadcasting
   ioInstance = io;
 
+  // Cluster-wide timers: whichever instance claims one runs it
+  timerScheduler.on("question-end", (sessionCode) =>
+    endQuestion(sessionCode, io)
+  );
+  timerScheduler.on("question-advance", (sessionCode) =>
+    autoAdvance(sessionCode, io)
+  );
+  timerScheduler.on("reconnect-grace", (seat) => {
+    const [sessionCode, userId] = seat.split(":");
+    return expireGrace(sessionCode, userId, io);
+  });
+
   io.on("connection", (socket) => {
-    logger.info(`Socket connected: ${socket.id}`);
+    logger.info(`Socket connected: ${socket.id} (user ${socket.user.userId})`);
 
     // ============================================
     // CREATE SESSION
     // ============================================
     socket.on("create-session", async (data, callback) => {
       try {
-        const { quizId, hostId, settings } = data;
+        const { quizId, settings } = data;
+        // The host is whoever opened this socket, never a payload field
+        const hostId = socket.user.userId;
 
-        if (!quizId || !hostId) {
+        if (!quizId) {
           return callback({
             success: false,
-            error: "quizId and hostId required",
+            error: "quizId required",
           });
         }
 
+        // Team mode options (teamMode, teams / teamCount, teamScoring, teamAssignment)
+        let teamConfig;
+        try {
+          teamConfig = teams.configure(
+            settings || {
+              timePerQuestion: 30,
+              showLeaderboardAfterEach: true,
+              allowLateJoin: false,
+            }
+          );
+        } catch (error) {
+          return callback({ success: false, error: error.message });
+        }
+
         // Fetch quiz details from quiz service
         const quizResponse = await fetch(
           `${QUIZ_SERVICE_URL}/api/quizzes/${quizId}`
@@ -128,11 +180,8 @@ function initializeSocketHandlers(io) {
           quizId: new mongoose.Types.ObjectId(quizId),
           hostId: new mongoose.Types.ObjectId(hostId),
           maxParticipants: settings?.maxParticipants || 50,
-          settings: settings || {
-            timePerQuestion: 30,
-            showLeaderboardAfterEach: true,
-            allowLateJoin: false,
-          },
+          settings: teamConfig.settings,
+          teams: teamConfig.teams,
           quizMetadata: {
             title: quiz.title,
             totalQuestions: quiz.questions?.length || 0,
@@ -150,6 +199,7 @@ function initializeSocketHandlers(io) {
           hostId: new mongoose.Types.ObjectId(hostId),
           maxParticipants: session.maxParticipants,
           settings: session.settings,
+          teams: session.teams,
           quizMetadata: session.quizMetadata,
         });
         await dbSession.save();
@@ -180,8 +230,10 @@ function initializeSocketHandlers(io) {
     // ============================================
     socket.on(
       "join-session",
-      async ({ sessionCode, userId, userName, userPicture }, callback) => {
+      async ({ sessionCode, userName, userPicture }, callback) => {
         try {
+          const userId = socket.user.userId;
+
           const session = await sessionManager.getSession(sessionCode);
 
           if (!session) {
@@ -219,14 +271,46 @@ function initializeSocketHandlers(io) {
           logger.info(
             `[Join] Adding participant - userId: ${userId}, userName: ${userName}, userPicture: ${userPicture}`
           );
-          const participant = await sessionManager.addParticipant(sessionCode, {
-            userId,
-            userName,
-            userPicture,
-            socketId: socket.id,
-          });
+          // Re-joining keeps an existing seat's score instead of starting over
+          const existing = await sessionManager.getParticipant(
+            sessionCode,
+            userId
+          );
+          const participant =
+            existing && !existing.leftAt
+              ? await sessionManager.resumeParticipant(
+                  sessionCode,
+                  userId,
+                  socket.id
+                )
+              : await sessionManager.addParticipant(sessionCode, {
+                  userId,
+                  userName: userName || socket.user.name,
+                  userPicture: userPicture || socket.user.picture,
+                  socketId: socket.id,
+                });
+          await cancelGraceTimer(sessionCode, userId);
+
+          // Team mode: new seats go to the smallest team unless players pick
+          const autoTeam =
+            teams.isTeamSession(session) &&
+            (session.settings.teamAssignment === "auto" ||
+              session.status !== "waiting");
+          if (autoTeam && !participant.teamId) {
+            const others = await sessionManager.getAllParticipants(sessionCode);
+            participant.teamId = teams.smallestTeam(session.teams, others);
+            await sessionManager.updateParticipant(sessionCode, userId, {
+              teamId: participant.teamId,
+            });
+          }
           logger.info(`[Join] Participant added:`, participant);
 
+          // Presented with resume-session if this socket drops
+          const reconnectToken = await sessionManager.issueReconnectToken(
+            sessionCode,
+            userId
+          );
+
           // Join Socket.IO room
           socket.join(sessionCode);
           socket.sessionCode = sessionCode;
@@ -237,6 +321,7 @@ function initializeSocketHandlers(io) {
             sessionCode
           );
           const leaderboard = await sessionManager.getLeaderboard(sessionCode);
+          const roster = teamRoster(session, currentParticipants);
 
           logger.info(`[Join] Emitting session-joined to ${socket.id}`);
           socket.emit("session-joined", {
@@ -244,6 +329,8 @@ function initializeSocketHandlers(io) {
             participant,
             participants: currentParticipants,
             leaderboard,
+            ...roster,
+            reconnectToken,
           });
 
           // Notify others
@@ -258,6 +345,9 @@ function initializeSocketHandlers(io) {
             participant,
             participantCount: currentParticipants.length,
           });
+          if (roster.teamMode) {
+            io.to(sessionCode).emit("teams-updated", roster);
+          }
 
           // Send success callback
           if (callback) {
@@ -265,6 +355,9 @@ function initializeSocketHandlers(io) {
               success: true,
               session,
               participant,
+              ...roster,
+              reconnectToken,
+              reconnectGraceMs: sessionManager.reconnectGraceMs,
             });
           }
 
@@ -282,44 +375,275 @@ function initializeSocketHandlers(io) {
     );
 
     // ============================================
-    // START SESSION (Host only)
+    // RESUME SESSION (after a dropped connection)
+    // ============================================
+    socket.on(
+      "resume-session",
+      async ({ sessionCode, reconnectToken } = {}, callback) => {
+        const reply = typeof callback === "function" ? callback : () => {};
+        try {
+          const userId = socket.user.userId;
+          const session = await sessionManager.getSession(sessionCode);
+
+          if (!session || session.status === "completed") {
+            return reply({ success: false, error: "Session has ended" });
+          }
+
+          const validToken = await sessionManager.verifyReconnectToken(
+            sessionCode,
+            userId,
+            reconnectToken
+          );
+          if (!validToken) {
+            return reply({ success: false, error: "Invalid reconnect token" });
+          }
+
+          // Late-join rules don't apply: this is the same seat coming back
+          const participant = await sessionManager.getParticipant(
+            sessionCode,
+            userId
+          );
+          if (!sessionManager.isWithinGrace(participant)) {
+            await sessionManager.revokeReconnectToken(sessionCode, userId);
+            return reply({
+              success: false,
+              error: "Reconnect window has expired",
+            });
+          }
+
+          await cancelGraceTimer(sessionCode, userId);
+          await sessionManager.resumeParticipant(sessionCode, userId, socket.id);
+
+          socket.join(sessionCode);
+          socket.sessionCode = sessionCode;
+          socket.userId = userId;
+
+          // Replay where the session is now
+          const state = await buildResumeState(sessionCode, userId);
+          socket.emit("session-resumed", state);
+          socket.to(sessionCode).emit("participant-reconnected", { userId });
+
+          reply({ success: true, session: state.session });
+          logger.info(`User ${userId} resumed session ${sessionCode}`);
+        } catch (error) {
+          logger.error("Error resuming session:", error);
+          reply({ success: false, error: "Failed to resume session" });
+        }
+      }
+    );
+
+    // ============================================
+    // TEAMS
     // ============================================
-    socket.on("start-session", async ({ sessionCode, userId }) => {
+
+    // Host sets up team mode in the lobby
+    socket.on("configure-teams", async (data = {}, callback) => {
+      const reply = typeof callback === "function" ? callback : () => {};
+      const { sessionCode } = data;
+
+      try {
+        const result = await withHostLock(sessionCode, async () => {
+          const session = await sessionManager.getSession(sessionCode);
+          if (!session || !isHost(session, socket)) {
+            return { success: false, error: "Only host can configure teams" };
+          }
+          if (session.status !== "waiting") {
+            return {
+              success: false,
+              error: "Teams can only change before the quiz starts",
+            };
+          }
+
+          const requested = { ...session.settings };
+          for (const field of TEAM_FIELDS) {
+            if (data[field] !== undefined) requested[field] = data[field];
+          }
+          const { settings, teams: sessionTeams } = teams.configure(
+            requested,
+            session.teams
+          );
+
+          const updated = await sessionManager.updateSession(sessionCode, {
+            settings,
+            teams: sessionTeams,
+          });
+          await fillTeams(
+            sessionCode,
+            updated,
+            settings.teamAssignment === "auto"
+          );
+          return {
+            success: true,
+            ...(await broadcastTeams(sessionCode, io, updated)),
+          };
+        });
+
+        reply(result);
+      } catch (error) {
+        logger.error("Error configuring teams:", error);
+        reply({
+          success: false,
+          error:
+            error.status === 400
+              ? error.message
+              : hostActionError(error, "Failed to configure teams"),
+        });
+      }
+    });
+
+    // Host reshuffles everyone into even teams
+    socket.on("balance-teams", async ({ sessionCode } = {}, callback) => {
+      const reply = typeof callback === "function" ? callback : () => {};
+
+      try {
+        const result = await withHostLock(sessionCode, async () => {
+          const session = await sessionManager.getSession(sessionCode);
+          if (!session || !isHost(session, socket)) {
+            return { success: false, error: "Only host can balance teams" };
+          }
+          if (!teams.isTeamSession(session) || session.status !== "waiting") {
+            return {
+              success: false,
+              error: "Teams can only be balanced in a team lobby",
+            };
+          }
+
+          const participants = await sessionManager.getAllParticipants(
+            sessionCode
+          );
+          const assignments = teams.balance(session.teams, participants);
+          for (const [userId, teamId] of assignments) {
+            await sessionManager.updateParticipant(sessionCode, userId, {
+              teamId,
+            });
+          }
+
+          return {
+            success: true,
+            ...(await broadcastTeams(sessionCode, io, session)),
+          };
+        });
+
+        reply(result);
+      } catch (error) {
+        logger.error("Error balancing teams:", error);
+        reply({
+          success: false,
+          error: hostActionError(error, "Failed to balance teams"),
+        });
+      }
+    });
+
+    // Participant picks a team (sessions with teamAssignment "choose")
+    socket.on("join-team", async ({ sessionCode, teamId } = {}, callback) => {
+      const reply = typeof callback === "function" ? callback : () => {};
+
       try {
+        const userId = socket.user.userId;
         const session = await sessionManager.getSession(sessionCode);
+        const participant =
+          session && (await sessionManager.getParticipant(sessionCode, userId));
 
-        if (!session) {
-          socket.emit("error", { message: "Session not found" });
-          return;
+        if (!participant || socket.sessionCode !== sessionCode) {
+          return reply({ success: false, error: "Join the session first" });
         }
-
-        if (session.hostId !== userId) {
-          socket.emit("error", { message: "Only host can start session" });
-          return;
+        if (!teams.isTeamSession(session)) {
+          return reply({ success: false, error: "Session has no teams" });
+        }
+        if (session.settings.teamAssignment !== "choose") {
+          return reply({
+            success: false,
+            error: "Teams are assigned automatically",
+          });
+        }
+        if (!session.teams.some((team) => team.teamId === teamId)) {
+          return reply({ success: false, error: "Team not found" });
+        }
+        // Switching sides mid-game would move points between teams
+        if (session.status !== "waiting" && participant.teamId) {
+          return reply({
+            success: false,
+            error: "Teams are locked once the quiz starts",
+          });
         }
 
-        // Update session status
-        await sessionManager.updateSession(sessionCode, {
-          status: "active",
-          startedAt: new Date().toISOString(),
-          currentQuestionIndex: 0,
+        await sessionManager.updateParticipant(sessionCode, userId, {
+          teamId,
         });
+        await broadcastTeams(sessionCode, io, session);
 
-        // Broadcast to all participants
-        io.to(sessionCode).emit("session-started", {
-          message: "Session started!",
-          startedAt: new Date().toISOString(),
-        });
+        reply({ success: true, teamId });
+      } catch (error) {
+        logger.error("Error joining team:", error);
+        reply({ success: false, error: "Failed to join team" });
+      }
+    });
 
-        // Start first question
-        setTimeout(() => {
-          startQuestion(sessionCode, 0, io);
-        }, 3000); // 3 second delay
+    // ============================================
+    // START SESSION (Host only)
+    // ============================================
+    socket.on("start-session", async ({ sessionCode, autoAdvance }) => {
+      try {
+        const userId = socket.user.userId;
 
-        logger.info(`Session ${sessionCode} started by host ${userId}`);
+        await withHostLock(sessionCode, async () => {
+          const session = await sessionManager.getSession(sessionCode);
+
+          if (!session) {
+            socket.emit("error", { message: "Session not found" });
+            return;
+          }
+
+          if (!isHost(session, socket)) {
+            socket.emit("error", { message: "Only host can start session" });
+            return;
+          }
+
+          if (session.status !== "waiting") {
+            socket.emit("error", { message: "Session already started" });
+            return;
+          }
+
+          // The host may switch auto-advance on or off when starting
+          const settings =
+            typeof autoAdvance === "boolean"
+              ? { ...session.settings, autoAdvance }
+              : session.settings;
+
+          // Update session status
+          await sessionManager.updateSession(sessionCode, {
+            status: "active",
+            startedAt: new Date().toISOString(),
+            currentQuestionIndex: 0,
+            settings,
+          });
+
+          // Nobody plays without a team; teams are fixed from here on
+          if (teams.isTeamSession(session)) {
+            await fillTeams(sessionCode, session, true);
+            await broadcastTeams(sessionCode, io);
+          }
+
+          // Broadcast to all participants
+          io.to(sessionCode).emit("session-started", {
+            message: "Session started!",
+            startedAt: new Date().toISOString(),
+          });
+
+          // Start first question after a 3 second intro
+          await timerScheduler.schedule(
+            "question-advance",
+            sessionCode,
+            Date.now() + 3000
+          );
+
+          logger.info(`Session ${sessionCode} started by host ${userId}`);
+        });
       } catch (error) {
         logger.error("Error starting session:", error);
-        socket.emit("error", { message: "Failed to start session" });
+        socket.emit("error", {
+          message: hostActionError(error, "Failed to start session"),
+        });
       }
     });
 
@@ -328,14 +652,9 @@ function initializeSocketHandlers(io) {
     // ============================================
     socket.on(
       "submit-answer",
-      async ({
-        sessionCode,
-        userId,
-        questionId,
-        selectedAnswer,
-        timeSpent,
-      }) => {
+      async ({ sessionCode, questionId, selectedAnswer }) => {
         try {
+          const userId = socket.user.userId;
           const session = await sessionManager.getSession(sessionCode);
 
           if (!session || session.status !== "active") {
@@ -343,6 +662,16 @@ function initializeSocketHandlers(io) {
             return;
           }
 
+          // Only participants who joined through this socket can answer
+          const participant = await sessionManager.getParticipant(
+            sessionCode,
+            userId
+          );
+          if (socket.sessionCode !== sessionCode || !participant) {
+            socket.emit("error", { message: "Join the session first" });
+            return;
+          }
+
           // Get quiz from cache
           const quiz = await sessionManager.getCachedQuiz(sessionCode);
           if (!quiz) {
@@ -363,33 +692,61 @@ function initializeSocketHandlers(io) {
             return;
           }
 
-          // Log the raw question object to debug field names
-          logger.debug(
-            `Raw question object keys: ${Object.keys(question).join(", ")}`
-          );
-          logger.debug(
-            `Question data: correctAnswer="${question.correctAnswer}", correct_answer="${question.correct_answer}"`
+          // Only the question currently on screen can be answered, once, in time
+          const current = await sessionManager.getCurrentQuestion(sessionCode);
+          if (!current || current.questionId !== String(question._id)) {
+            socket.emit("error", { message: "This question is closed" });
+            return;
+          }
+
+          // The server clock decides: paused and expired questions take no answers
+          const now = Date.now();
+          const rejectReason = questionClock.rejectAnswerReason(current, now);
+          if (rejectReason) {
+            socket.emit("error", { message: rejectReason });
+            return;
+          }
+
+          // Response time is measured from the server broadcast, minus pauses
+          const responseTime = questionClock.elapsedMs(current, now);
+          const timeLimitMs = current.durationMs;
+
+          const firstAnswer = await sessionManager.markAnswered(
+            sessionCode,
+            current.questionIndex,
+            userId
           );
+          if (!firstAnswer) {
+            socket.emit("error", { message: "Answer already submitted" });
+            return;
+          }
 
-          // Check answer correctness (case-insensitive, trimmed comparison)
-          // Support both correctAnswer and correct_answer field names for backward compatibility
-          const correctAnswer = (
-            question.correctAnswer ||
-            question.correct_answer ||
-            ""
-          )
-            .toString()
-            .trim();
-          const userAnswer = (selectedAnswer || "").toString().trim();
-          const isCorrect =
-            correctAnswer.toLowerCase() === userAnswer.toLowerCase();
-          const points = isCorrect ? question.points || 10 : 0;
+          // Grade with the shared engine (multi-select, numeric, fuzzy text, ordering...)
+          const grade = grading.gradeAnswer(question, selectedAnswer);
+          const { isCorrect, credit } = grade;
+
+          // A streak continues only from an answer to the previous question
+          const continuesStreak =
+            participant.lastAnsweredIndex === current.questionIndex - 1;
+          const streak = isCorrect
+            ? (continuesStreak ? participant.streak || 0 : 0) + 1
+            : 0;
+
+          const breakdown = scoring.scoreAnswer({
+            basePoints: question.points || 10,
+            grade,
+            responseTimeMs: responseTime,
+            timeLimitMs,
+            streak,
+            gameSettings: quiz.gameSettings,
+          });
+          const points = breakdown.points;
 
-          logger.info(
+          logger.debug(
             `Answer check - Question: ${question.question.substring(
               0,
               50
-            )}..., Correct: "${correctAnswer}", User: "${userAnswer}", Match: ${isCorrect}`
+            )}..., User: ${JSON.stringify(selectedAnswer)}, Credit: ${credit}, Points: ${points}`
           );
 
           // Record answer in Redis
@@ -398,20 +755,29 @@ function initializeSocketHandlers(io) {
             questionId,
             selectedAnswer,
             isCorrect,
+            credit,
             points,
-            timeSpent,
+            breakdown,
+            timeSpent: responseTime,
           });
 
           // Update participant stats
-          const participant = await sessionManager.getParticipant(
-            sessionCode,
-            userId
-          );
           await sessionManager.updateParticipant(sessionCode, userId, {
             score: participant.score + points,
             correctAnswers: participant.correctAnswers + (isCorrect ? 1 : 0),
             incorrectAnswers:
               participant.incorrectAnswers + (isCorrect ? 0 : 1),
+            streak,
+            bestStreak: Math.max(participant.bestStreak || 0, streak),
+            lastAnsweredIndex: current.questionIndex,
+            answeredCount: (participant.answeredCount || 0) + 1,
+            totalResponseTime: (participant.totalResponseTime || 0) + responseTime,
+            lastAnswer: {
+              questionIndex: current.questionIndex,
+              isCorrect,
+              credit,
+              ...breakdown,
+            },
           });
 
           // Update leaderboard (atomic operation - O(log N))
@@ -420,15 +786,19 @@ function initializeSocketHandlers(io) {
           // Send feedback to user FIRST
           socket.emit("answer-submitted", {
             isCorrect,
+            credit,
             points,
-            correctAnswer: question.correctAnswer || question.correct_answer,
+            streak,
+            streakBonus: breakdown.streakBonus,
+            breakdown,
+            correctAnswer: grading.describeCorrectAnswer(question),
           });
 
           // Immediately broadcast updated leaderboard to all participants
           await broadcastLeaderboard(sessionCode, io);
 
           // Also mark for batched update as backup
-          leaderboardUpdateQueue.set(sessionCode, true);
+          await sessionManager.markLeaderboardDirty(sessionCode);
 
           logger.debug(
             `Answer submitted by ${userId} in session ${sessionCode}`
@@ -443,46 +813,85 @@ function initializeSocketHandlers(io) {
     // ============================================
     // NEXT QUESTION (Host only)
     // ============================================
-    socket.on("next-question", async ({ sessionCode, userId }) => {
+    socket.on("next-question", async ({ sessionCode }) => {
       try {
-        const session = await sessionManager.getSession(sessionCode);
-
-        if (!session || session.hostId !== userId) {
-          socket.emit("error", { message: "Only host can advance questions" });
-          return;
-        }
+        // Held until the next question is broadcast, so two clicks (or two
+        // host tabs on different instances) can't skip a question
+        await withHostLock(sessionCode, async () => {
+          const session = await sessionManager.getSession(sessionCode);
 
-        const nextIndex = session.currentQuestionIndex + 1;
-        const quiz = await sessionManager.getCachedQuiz(sessionCode);
+          if (!session || !isHost(session, socket)) {
+            socket.emit("error", {
+              message: "Only host can advance questions",
+            });
+            return;
+          }
 
-        if (!quiz || nextIndex >= quiz.questions.length) {
-          // End session
-          await endSession(sessionCode, io);
-          return;
-        }
+          if (session.status !== "active") {
+            socket.emit("error", { message: "Session is not active" });
+            return;
+          }
 
-        // Update current question
-        await sessionManager.updateSession(sessionCode, {
-          currentQuestionIndex: nextIndex,
+          await advanceQuestion(sessionCode, session, io);
         });
-
-        // Start next question
-        startQuestion(sessionCode, nextIndex, io);
-
-        logger.info(
-          `Session ${sessionCode} advanced to question ${nextIndex + 1}`
-        );
       } catch (error) {
         logger.error("Error advancing question:", error);
-        socket.emit("error", { message: "Failed to advance question" });
+        socket.emit("error", {
+          message: hostActionError(error, "Failed to advance question"),
+        });
       }
     });
 
+    // ============================================
+    // QUESTION TIMER CONTROLS (Host only)
+    // ============================================
+    socket.on("pause-question", async ({ sessionCode } = {}, callback) => {
+      await controlQuestion(socket, io, sessionCode, callback, {
+        event: "question-paused",
+        requires: "open",
+        change: questionClock.pause,
+      });
+    });
+
+    socket.on("resume-question", async ({ sessionCode } = {}, callback) => {
+      await controlQuestion(socket, io, sessionCode, callback, {
+        event: "question-resumed",
+        requires: "paused",
+        change: questionClock.resume,
+      });
+    });
+
+    socket.on(
+      "extend-time",
+      async ({ sessionCode, seconds } = {}, callback) => {
+        const addedSeconds = parseInt(seconds);
+        if (
+          !addedSeconds ||
+          addedSeconds < 1 ||
+          addedSeconds > questionClock.MAX_EXTENSION_SECONDS
+        ) {
+          const error = `seconds must be between 1 and ${questionClock.MAX_EXTENSION_SECONDS}`;
+          if (typeof callback === "function") {
+            callback({ success: false, error });
+          }
+          socket.emit("error", { message: error });
+          return;
+        }
+
+        await controlQuestion(socket, io, sessionCode, callback, {
+          event: "time-extended",
+          change: (clock) => questionClock.extend(clock, addedSeconds),
+          extra: { addedSeconds },
+        });
+      }
+    );
+
     // ============================================
     // END SESSION (Host only)
     // ============================================
-    socket.on("end-session", async ({ sessionCode, userId }, callback) => {
+    socket.on("end-session", async ({ sessionCode }, callback) => {
       try {
+        const userId = socket.user.userId;
         console.log("🛑 End session requested:", { sessionCode, userId });
 
         const session = await sessionManager.getSession(sessionCode);
@@ -500,7 +909,7 @@ function initializeSocketHandlers(io) {
         });
 
         // Check if user is the host
-        if (session.hostId !== userId) {
+        if (!isHost(session, socket)) {
           console.log("❌ Authorization failed: User is not the host");
           if (callback)
             callback({ success: false, error: "Only host can end session" });
@@ -510,7 +919,7 @@ function initializeSocketHandlers(io) {
 
         // End the session
         console.log("✅ Ending session:", sessionCode);
-        await endSession(sessionCode, io);
+        await withHostLock(sessionCode, () => endSession(sessionCode, io));
 
         if (callback) callback({ success: true });
         console.log(`✅ Session ${sessionCode} ended by host ${userId}`);
@@ -518,17 +927,25 @@ function initializeSocketHandlers(io) {
       } catch (error) {
         console.error("❌ Error ending session:", error);
         logger.error("Error ending session:", error);
-        if (callback) callback({ success: false, error: error.message });
-        socket.emit("error", { message: "Failed to end session" });
+        const message = hostActionError(error, "Failed to end session");
+        if (callback) callback({ success: false, error: message });
+        socket.emit("error", { message });
       }
     });
 
     // ============================================
     // LEAVE SESSION
     // ============================================
-    socket.on("leave-session", async ({ sessionCode, userId }) => {
+    socket.on("leave-session", async ({ sessionCode }) => {
       try {
-        await handleLeaveSession(socket, sessionCode, userId, io);
+        // Leaving on purpose gives up the seat; there is nothing to resume
+        await cancelGraceTimer(sessionCode, socket.user.userId);
+        await sessionManager.revokeReconnectToken(
+          sessionCode,
+          socket.user.userId
+        );
+        await handleLeaveSession(socket, sessionCode, socket.user.userId, io);
+        socket.sessionCode = null;
       } catch (error) {
         logger.error("Error leaving session:", error);
       }
@@ -540,12 +957,7 @@ function initializeSocketHandlers(io) {
     socket.on("disconnect", async () => {
       try {
         if (socket.sessionCode && socket.userId) {
-          await handleLeaveSession(
-            socket,
-            socket.sessionCode,
-            socket.userId,
-            io
-          );
+          await handleDisconnect(socket, io);
         }
 
         logger.info(`Socket disconnected: ${socket.id}`);
@@ -562,6 +974,76 @@ function initializeSocketHandlers(io) {
 // HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Whether the socket's authenticated user hosts the session
+ */
+function isHost(session, socket) {
+  return String(session.hostId) === socket.user.userId;
+}
+
+/**
+ * Run a host action under the session's cluster-wide lock
+ * @throws {Error} code LOCK_BUSY while another host action is still running
+ */
+function withHostLock(sessionCode, action, options = {}) {
+  return sessionManager.locks.withLock(`host:${sessionCode}`, action, {
+    ttl: 10000,
+    ...options,
+  });
+}
+
+function hostActionError(error, fallback) {
+  return error.code === "LOCK_BUSY"
+    ? "Another host action is still in progress"
+    : fallback;
+}
+
+/**
+ * Team mode state sent to clients: settings plus each team's members
+ */
+function teamRoster(session, participants) {
+  return {
+    teamMode: teams.isTeamSession(session),
+    teamScoring: session.settings?.teamScoring,
+    teamAssignment: session.settings?.teamAssignment,
+    teams: teams.withMembers(session.teams || [], participants),
+  };
+}
+
+async function broadcastTeams(sessionCode, io, session = null) {
+  const current = session || (await sessionManager.getSession(sessionCode));
+  const participants = await sessionManager.getAllParticipants(sessionCode);
+  const roster = teamRoster(current, participants);
+
+  io.to(sessionCode).emit("teams-updated", roster);
+  return roster;
+}
+
+/**
+ * Drop memberships of teams that no longer exist and, with autoAssign,
+ * put every seated participant without a team into the smallest one
+ */
+async function fillTeams(sessionCode, session, autoAssign) {
+  const participants = await sessionManager.getAllParticipants(sessionCode);
+  const teamIds = new Set((session.teams || []).map((team) => team.teamId));
+
+  for (const participant of participants) {
+    if (participant.leftAt || teamIds.has(participant.teamId)) continue;
+
+    const teamId =
+      autoAssign && teamIds.size
+        ? teams.smallestTeam(session.teams, participants)
+        : null;
+    if (teamId === (participant.teamId || null)) continue;
+
+    // Later picks see this member in their counts
+    participant.teamId = teamId;
+    await sessionManager.updateParticipant(sessionCode, participant.userId, {
+      teamId,
+    });
+  }
+}
+
 /**
  * Start a question (with timer)
  */
@@ -575,45 +1057,232 @@ async function startQuestion(sessionCode, questionIndex, io) {
     }
 
     const question = quiz.questions[questionIndex];
-    const timeLimit = session.settings.timePerQuestion || 30;
+    // The question's own limit wins over the session default
+    const timeLimit =
+      question.timeLimit || session.settings.timePerQuestion || 30;
+
+    // Response times for scoring start from this broadcast
+    const current = await sessionManager.setCurrentQuestion(sessionCode, {
+      questionIndex,
+      questionId: question._id,
+      timeLimit,
+    });
 
     // Send question to all participants (without correct answer)
     io.to(sessionCode).emit("question-started", {
       questionIndex,
-      question: {
-        _id: question._id,
-        question: question.question,
-        options: question.options,
-        points: question.points,
-      },
+      question: grading.publicQuestion(question),
       timeLimit,
       totalQuestions: quiz.questions.length,
+      ...questionClock.publicClock(current),
     });
 
-    // Auto-advance after time limit
-    setTimeout(async () => {
-      const currentSession = await sessionManager.getSession(sessionCode);
+    // One timer per session; scheduling it again replaces the previous question's
+    await scheduleQuestionEnd(sessionCode, current);
+
+    logger.debug(
+      `Started question ${questionIndex + 1} in session ${sessionCode}`
+    );
+  } catch (error) {
+    logger.error("Error starting question:", error);
+  }
+}
+
+/**
+ * Time is up on the session's current question (fired by the timer scheduler):
+ * stop taking answers, reveal the answer and, with auto-advance on, queue the next
+ */
+async function endQuestion(sessionCode, io) {
+  try {
+    // Waits briefly for a running host action (e.g. a pause) instead of racing it
+    await withHostLock(
+      sessionCode,
+      async () => {
+        const session = await sessionManager.getSession(sessionCode);
+        const current = await sessionManager.getCurrentQuestion(sessionCode);
+
+        // Only if still on this question and its (possibly extended) time is up
+        if (
+          !session ||
+          session.status !== "active" ||
+          !current ||
+          current.status !== "open" ||
+          session.currentQuestionIndex !== current.questionIndex ||
+          Date.now() < questionClock.closesAt(current)
+        ) {
+          return;
+        }
+
+        const quiz = await sessionManager.getCachedQuiz(sessionCode);
+        const question = quiz?.questions[current.questionIndex];
+        if (!question) return;
+
+        const closed = await sessionManager.saveCurrentQuestion(
+          sessionCode,
+          questionClock.close(current)
+        );
 
-      // Only auto-advance if still on this question
-      if (
-        currentSession &&
-        currentSession.currentQuestionIndex === questionIndex
-      ) {
         // Broadcast leaderboard before next question
         await broadcastLeaderboard(sessionCode, io);
 
+        let nextQuestionAt = null;
+        if (session.settings?.autoAdvance) {
+          const delay = (session.settings.autoAdvanceDelay || 5) * 1000;
+          nextQuestionAt = closed.closedAt + delay;
+          await timerScheduler.schedule(
+            "question-advance",
+            sessionCode,
+            nextQuestionAt
+          );
+        }
+
         io.to(sessionCode).emit("question-ended", {
-          questionIndex,
-          correctAnswer: question.correctAnswer || question.correct_answer,
+          questionIndex: current.questionIndex,
+          correctAnswer: grading.describeCorrectAnswer(question),
+          closedAt: closed.closedAt,
+          nextQuestionAt,
         });
-      }
-    }, timeLimit * 1000);
+      },
+      { wait: 2000 }
+    );
+  } catch (error) {
+    if (error.code !== "LOCK_BUSY") throw error;
+    // Host lock still held: try again shortly rather than dropping the time-up
+    await timerScheduler.schedule(
+      "question-end",
+      sessionCode,
+      Date.now() + 250
+    );
+  }
+}
 
-    logger.debug(
-      `Started question ${questionIndex + 1} in session ${sessionCode}`
+/**
+ * Auto-advance (and the first question after start-session)
+ */
+async function autoAdvance(sessionCode, io) {
+  try {
+    await withHostLock(
+      sessionCode,
+      async () => {
+        const session = await sessionManager.getSession(sessionCode);
+        if (!session || session.status !== "active") return;
+
+        // The host already moved on while the timer was pending
+        const current = await sessionManager.getCurrentQuestion(sessionCode);
+        if (current && current.status !== "closed") return;
+
+        await advanceQuestion(sessionCode, session, io);
+      },
+      { wait: 2000 }
     );
   } catch (error) {
-    logger.error("Error starting question:", error);
+    if (error.code !== "LOCK_BUSY") throw error;
+    await timerScheduler.schedule(
+      "question-advance",
+      sessionCode,
+      Date.now() + 250
+    );
+  }
+}
+
+/**
+ * Move to the next question, or end the session after the last one.
+ * Callers hold the host lock.
+ */
+async function advanceQuestion(sessionCode, session, io) {
+  await timerScheduler.cancel("question-advance", sessionCode);
+
+  // Nothing played yet (still in the start-session intro): begin at the first
+  const current = await sessionManager.getCurrentQuestion(sessionCode);
+  const nextIndex = current ? session.currentQuestionIndex + 1 : 0;
+  const quiz = await sessionManager.getCachedQuiz(sessionCode);
+
+  if (!quiz || nextIndex >= quiz.questions.length) {
+    // End session
+    await endSession(sessionCode, io);
+    return;
+  }
+
+  // Update current question
+  await sessionManager.updateSession(sessionCode, {
+    currentQuestionIndex: nextIndex,
+  });
+
+  // Start next question
+  await startQuestion(sessionCode, nextIndex, io);
+
+  logger.info(`Session ${sessionCode} advanced to question ${nextIndex + 1}`);
+}
+
+function scheduleQuestionEnd(sessionCode, current) {
+  return timerScheduler.schedule(
+    "question-end",
+    sessionCode,
+    questionClock.closesAt(current)
+  );
+}
+
+/**
+ * Apply a host change to the running question's clock and tell the room
+ * @param {Object} control - { event, requires (clock status), change(clock, now), extra }
+ */
+async function controlQuestion(socket, io, sessionCode, callback, control) {
+  const reply = typeof callback === "function" ? callback : () => {};
+
+  try {
+    const result = await withHostLock(sessionCode, async () => {
+      const session = await sessionManager.getSession(sessionCode);
+      if (!session || !isHost(session, socket)) {
+        return { success: false, error: "Only host can control the timer" };
+      }
+
+      const current = await sessionManager.getCurrentQuestion(sessionCode);
+      if (
+        session.status !== "active" ||
+        !current ||
+        current.status === "closed"
+      ) {
+        return { success: false, error: "No question is running" };
+      }
+      if (control.requires && current.status !== control.requires) {
+        return {
+          success: false,
+          error:
+            current.status === "paused"
+              ? "Question is paused"
+              : "Question is not paused",
+        };
+      }
+
+      const now = Date.now();
+      const updated = await sessionManager.saveCurrentQuestion(
+        sessionCode,
+        control.change(current, now)
+      );
+
+      if (updated.status === "paused") {
+        await timerScheduler.cancel("question-end", sessionCode);
+      } else {
+        await scheduleQuestionEnd(sessionCode, updated);
+      }
+
+      const payload = {
+        questionIndex: updated.questionIndex,
+        ...questionClock.publicClock(updated, now),
+        ...control.extra,
+      };
+      io.to(sessionCode).emit(control.event, payload);
+
+      return { success: true, ...payload };
+    });
+
+    if (!result.success) socket.emit("error", { message: result.error });
+    reply(result);
+  } catch (error) {
+    logger.error(`Error handling ${control.event}:`, error);
+    const message = hostActionError(error, "Failed to update the timer");
+    socket.emit("error", { message });
+    reply({ success: false, error: message });
   }
 }
 
@@ -622,6 +1291,9 @@ async function startQuestion(sessionCode, questionIndex, io) {
  */
 async function endSession(sessionCode, io) {
   try {
+    await timerScheduler.cancel("question-end", sessionCode);
+    await timerScheduler.cancel("question-advance", sessionCode);
+
     // Update session status
     await sessionManager.updateSession(sessionCode, {
       status: "completed",
@@ -632,13 +1304,19 @@ async function endSession(sessionCode, io) {
     const leaderboard = await sessionManager.getLeaderboard(sessionCode);
 
     // Broadcast session end
+    const teamLeaderboard = await sessionManager.getTeamLeaderboard(
+      sessionCode
+    );
+
     io.to(sessionCode).emit("session-ended", {
       message: "Session completed!",
       leaderboard,
+      teamLeaderboard,
     });
 
     // Sync to MongoDB for persistence
     await syncSessionToDatabase(sessionCode);
+    await saveSessionReport(sessionCode);
 
     // Notify gamification service (non-blocking)
     const axios = require("axios");
@@ -680,27 +1358,205 @@ async function endSession(sessionCode, io) {
  */
 async function handleLeaveSession(socket, sessionCode, userId, io) {
   try {
-    // Update participant status
-    await sessionManager.updateParticipant(sessionCode, userId, {
-      isActive: false,
-      leftAt: new Date().toISOString(),
-    });
-
     // Leave Socket.IO room
     socket.leave(sessionCode);
 
-    // Notify others
-    const participantCount = await sessionManager.getParticipantCount(
-      sessionCode
+    await releaseSeat(sessionCode, userId, io);
+  } catch (error) {
+    logger.error("Error handling leave:", error);
+  }
+}
+
+/**
+ * Mark a participant as gone for good and tell the room
+ */
+async function releaseSeat(sessionCode, userId, io) {
+  await sessionManager.updateParticipant(sessionCode, userId, {
+    isActive: false,
+    leftAt: new Date().toISOString(),
+  });
+
+  const participantCount = await sessionManager.getParticipantCount(
+    sessionCode
+  );
+  io.to(sessionCode).emit("participant-left", {
+    userId,
+    participantCount,
+  });
+
+  const session = await sessionManager.getSession(sessionCode);
+  if (session && teams.isTeamSession(session)) {
+    await broadcastTeams(sessionCode, io, session);
+  }
+
+  logger.info(`User ${userId} left session ${sessionCode}`);
+}
+
+/**
+ * A participant's socket dropped: hold their seat for the grace window
+ * instead of removing them, so resume-session can pick up where they were
+ */
+async function handleDisconnect(socket, io) {
+  const { sessionCode, userId } = socket;
+
+  const participant = await sessionManager.getParticipant(sessionCode, userId);
+  if (!participant || participant.leftAt) return;
+
+  // A newer socket already took over this seat (resumed or re-joined)
+  if (participant.socketId && participant.socketId !== socket.id) return;
+
+  const session = await sessionManager.getSession(sessionCode);
+  if (!session || session.status === "completed") {
+    await handleLeaveSession(socket, sessionCode, userId, io);
+    return;
+  }
+
+  const disconnectedAt = await sessionManager.markDisconnected(
+    sessionCode,
+    userId
+  );
+  io.to(sessionCode).emit("participant-disconnected", {
+    userId,
+    reconnectGraceMs: sessionManager.reconnectGraceMs,
+  });
+
+  // Any instance may release the seat; a later drop moves the same timer
+  await timerScheduler.schedule(
+    "reconnect-grace",
+    `${sessionCode}:${userId}`,
+    new Date(disconnectedAt).getTime() + sessionManager.reconnectGraceMs
+  );
+
+  logger.info(
+    `User ${userId} dropped from session ${sessionCode}, holding seat for ${sessionManager.reconnectGraceMs}ms`
+  );
+}
+
+/**
+ * Release the seat if the participant did not come back in time
+ */
+async function expireGrace(sessionCode, userId, io) {
+  try {
+    const participant = await sessionManager.getParticipant(
+      sessionCode,
+      userId
     );
-    io.to(sessionCode).emit("participant-left", {
-      userId,
-      participantCount,
+
+    // Resumed, or still inside the window of a later drop
+    if (
+      !participant ||
+      participant.leftAt ||
+      participant.isActive ||
+      sessionManager.isWithinGrace(participant)
+    ) {
+      return;
+    }
+
+    await sessionManager.revokeReconnectToken(sessionCode, userId);
+    await releaseSeat(sessionCode, userId, io);
+  } catch (error) {
+    logger.error("Error releasing seat after grace window:", error);
+  }
+}
+
+function cancelGraceTimer(sessionCode, userId) {
+  return timerScheduler.cancel("reconnect-grace", `${sessionCode}:${userId}`);
+}
+
+/**
+ * Everything a resuming participant needs to rebuild their screen
+ */
+async function buildResumeState(sessionCode, userId) {
+  const session = await sessionManager.getSession(sessionCode);
+  const participant = await sessionManager.getParticipant(sessionCode, userId);
+  const leaderboard = await sessionManager.getLeaderboard(sessionCode);
+  const answers = await sessionManager.getParticipantAnswers(
+    sessionCode,
+    userId
+  );
+
+  let currentQuestion = null;
+  if (session.status === "active") {
+    const current = await sessionManager.getCurrentQuestion(sessionCode);
+    const quiz = await sessionManager.getCachedQuiz(sessionCode);
+    const question = current && quiz?.questions[current.questionIndex];
+
+    if (question) {
+      const clock = questionClock.publicClock(current);
+
+      currentQuestion = {
+        questionIndex: current.questionIndex,
+        question: grading.publicQuestion(question),
+        timeLimit: current.timeLimit,
+        remainingTime: Math.ceil(clock.remainingMs / 1000),
+        ...clock,
+        totalQuestions: quiz.questions.length,
+        hasAnswered: await sessionManager.hasAnswered(
+          sessionCode,
+          current.questionIndex,
+          userId
+        ),
+        // Only revealed once the question is closed
+        correctAnswer: clock.closed
+          ? grading.describeCorrectAnswer(question)
+          : undefined,
+      };
+    }
+  }
+
+  const participants = await sessionManager.getAllParticipants(sessionCode);
+  const teamLeaderboard = await sessionManager.getTeamLeaderboard(
+    sessionCode,
+    session
+  );
+
+  return {
+    session,
+    participant,
+    leaderboard,
+    ...teamRoster(session, participants),
+    teamLeaderboard,
+    answers,
+    currentQuestion,
+  };
+}
+
+/**
+ * Persist the full report of an ended session (outlives the Redis data and
+ * the LiveSession document)
+ */
+async function saveSessionReport(sessionCode) {
+  try {
+    const session = await sessionManager.getSession(sessionCode);
+    const quiz = await sessionManager.getCachedQuiz(sessionCode);
+    if (!session || !quiz) {
+      logger.warn(`No data left to report on session ${sessionCode}`);
+      return null;
+    }
+
+    const report = sessionReport.buildReport({
+      session,
+      quiz,
+      participants: await sessionManager.getAllParticipants(sessionCode),
+      answers: await sessionManager.getAllAnswers(sessionCode),
+      teamLeaderboard: await sessionManager.getTeamLeaderboard(
+        sessionCode,
+        session
+      ),
     });
 
-    logger.info(`User ${userId} left session ${sessionCode}`);
+    // Upsert: ending a session twice rewrites the same report
+    const saved = await SessionReport.findOneAndUpdate(
+      { sessionCode: report.sessionCode },
+      report,
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    logger.info(`Saved report for session ${sessionCode}`);
+
+    return saved;
   } catch (error) {
-    logger.error("Error handling leave:", error);
+    logger.error("Error saving session report:", error);
+    return null;
   }
 }
 
@@ -736,6 +1592,10 @@ async function syncSessionToDatabase(sessionCode) {
     dbSession.endedAt = session.endedAt ? new Date(session.endedAt) : null;
     dbSession.participants = participants;
     dbSession.answers = answers;
+    dbSession.teams = await sessionManager.getTeamLeaderboard(
+      sessionCode,
+      session
+    );
 
     await dbSession.save();
     logger.info(`Synced session ${sessionCode} to database`);
@@ -0,0 +1,156 @@
+/**
+ * Socket.IO Tournament Event Handlers
+ * Live bracket updates, and joining the duels of a tournament's matches
+ */
+
+const mongoose = require("mongoose");
+const createLogger = require("../../shared/utils/logger");
+const DuelMatch = require("../models/DuelMatch");
+const Tournament = require("../models/Tournament");
+const tournaments = require("../services/tournaments");
+const timerScheduler = require("../services/timerScheduler");
+
+const logger = createLogger("tournament-handlers");
+
+/**
+ * Initialize Tournament Socket.IO handlers
+ */
+function initializeTournamentHandlers(io) {
+  timerScheduler.on("tournament-start", (id) =>
+    tournaments.startScheduled(io, id)
+  );
+  timerScheduler.on("tournament-match", (id) =>
+    tournaments.handleMatchDeadline(io, id)
+  );
+
+  io.on("connection", (socket) => {
+    // ============================================
+    // WATCH A BRACKET ("tournament-updated" on every change)
+    // ============================================
+    socket.on("watch-tournament", async (data = {}, callback) => {
+      const reply = typeof callback === "function" ? callback : () => {};
+      try {
+        const { tournamentId } = data;
+        if (!mongoose.Types.ObjectId.isValid(tournamentId)) {
+          return reply({ success: false, error: "Tournament not found" });
+        }
+
+        const tournament = await Tournament.findById(tournamentId);
+        if (!tournament) {
+          return reply({ success: false, error: "Tournament not found" });
+        }
+
+        socket.join(tournaments.roomName(tournamentId));
+        reply({ success: true, tournament: tournaments.present(tournament) });
+      } catch (error) {
+        logger.error("[Tournament] Error watching tournament:", error);
+        reply({ success: false, error: error.message });
+      }
+    });
+
+    socket.on("unwatch-tournament", (data = {}) => {
+      socket.leave(tournaments.roomName(data.tournamentId));
+    });
+
+    // ============================================
+    // JOIN A TOURNAMENT MATCH
+    // The duel starts like any other once both players are in: both get
+    // "match-found", then "duel-ready" as usual.
+    // ============================================
+    socket.on("join-tournament-match", async (data = {}, callback) => {
+      const reply = typeof callback === "function" ? callback : () => {};
+      try {
+        const userId = socket.user.userId;
+        const duel = await DuelMatch.findOne({
+          matchId: data.matchId,
+          tournamentId: { $ne: null },
+        });
+        if (!duel) {
+          return reply({ success: false, error: "Match not found" });
+        }
+        if (duel.status !== "ready") {
+          return reply({
+            success: false,
+            error: "This match is no longer open",
+          });
+        }
+
+        const role = [duel.player1, duel.player2].findIndex(
+          (player) => String(player.userId) === userId
+        );
+        if (role === -1) {
+          return reply({ success: false, error: "User not in this match" });
+        }
+
+        const slot = role === 0 ? "player1" : "player2";
+        const match = await DuelMatch.findOneAndUpdate(
+          { matchId: duel.matchId, status: "ready" },
+          { $set: { [`${slot}.socketId`]: socket.id } },
+          { new: true }
+        );
+        if (!match) {
+          return reply({
+            success: false,
+            error: "This match is no longer open",
+          });
+        }
+        socket.join(match.matchId);
+
+        const tournament = await Tournament.findById(match.tournamentId);
+        const bracketMatch = tournament.matches.find(
+          (entry) => entry.key === match.tournamentMatch
+        );
+        const bothJoined = !!(match.player1.socketId && match.player2.socketId);
+
+        reply({
+          success: true,
+          matchId: match.matchId,
+          waiting: !bothJoined,
+          tournament: { id: tournament._id.toString(), name: tournament.name },
+          deadline: bracketMatch?.deadline,
+        });
+
+        logger.info(
+          `[Tournament] ${userId} joined ${match.matchId} (${tournament._id} ${match.tournamentMatch})`
+        );
+
+        if (bothJoined) {
+          io.to(match.matchId).emit("match-found", {
+            matchId: match.matchId,
+            ranked: false,
+            category: tournament.category,
+            tournament: {
+              id: tournament._id.toString(),
+              name: tournament.name,
+              key: match.tournamentMatch,
+              round: bracketMatch?.round,
+              bracket: bracketMatch?.bracket,
+            },
+            quiz: {
+              id: tournament.quizId,
+              title: tournament.quiz?.title,
+              description: tournament.quiz?.description,
+              difficulty: tournament.quiz?.difficulty,
+              totalQuestions: tournament.quiz?.totalQuestions,
+            },
+            opponent: {
+              player1: {
+                userId: match.player1.userId.toString(),
+                username: match.player1.username,
+              },
+              player2: {
+                userId: match.player2.userId.toString(),
+                username: match.player2.username,
+              },
+            },
+          });
+        }
+      } catch (error) {
+        logger.error("[Tournament] Error joining match:", error);
+        reply({ success: false, error: error.message });
+      }
+    });
+  });
+}
+
+module.exports = { initializeTournamentHandlers };
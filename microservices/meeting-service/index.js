@@ -14,7 +14,12 @@ const rateLimit = require("express-rate-limit");
 require("dotenv").config();
 
 const meetingManager = require("./services/meetingManager");
+const sfuManager = require("./services/sfuManager");
+const recordingManager = require("./services/recordingManager");
 const signalingHandlers = require("./socket/signalingHandlers");
+const sfuHandlers = require("./socket/sfuHandlers");
+const { socketAuth } = require("../shared/middleware/socketAuth");
+const { attachRedisAdapter } = require("../shared/utils/socketAdapter");
 const meetingRoutes = require("./routes/meetings");
 const connectDB = require("./models");
 const createLogger = require("../shared/utils/logger");
@@ -44,6 +49,12 @@ const io = socketIO(server, {
   allowEIO3: true,
 });
 
+// Share rooms and broadcasts with the other meeting-service instances.
+// Mesh signaling works from any instance; SFU routers and recordings are
+// per-process, so each SFU meeting records its owning instance in Redis and
+// the SFU handlers refuse its events on any other instance.
+const socketAdapter = attachRedisAdapter(io, "meeting-service");
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -92,6 +103,7 @@ app.get("/health", (req, res) => {
     service: "meeting-service",
     status: "healthy",
     redis: meetingManager.isHealthy() ? "connected" : "disconnected",
+    sfu: sfuManager.isRunning() ? "running" : "disabled",
     timestamp: new Date().toISOString(),
   });
 });
@@ -130,7 +142,10 @@ app.use((err, req, res, next) => {
 // SOCKET.IO HANDLERS
 // ============================================
 
+// Every connection carries a verified JWT
+io.use(socketAuth());
 signalingHandlers(io);
+sfuHandlers(io);
 
 // Socket.IO connection logging
 io.on("connection", (socket) => {
@@ -154,7 +169,16 @@ const gracefulShutdown = async (signal) => {
         logger.info("Socket.IO server closed");
       });
 
-      // Disconnect Redis
+      if (socketAdapter) {
+        await socketAdapter.close();
+      }
+
+      // Finish recordings, then stop the SFU
+      await recordingManager.stopAll();
+      await sfuManager.close();
+
+      // Release this instance's SFU rooms, then disconnect Redis
+      await meetingManager.stopInstanceHeartbeat(sfuManager.instanceId);
       await meetingManager.disconnect();
       logger.info("Redis disconnected");
 
@@ -197,6 +221,12 @@ const startServer = async () => {
     await meetingManager.connect();
     logger.info("Redis connected");
 
+    // Start mediasoup workers (optional; meetings fall back to mesh without it)
+    await sfuManager.start();
+    if (sfuManager.isRunning()) {
+      meetingManager.startInstanceHeartbeat(sfuManager.instanceId);
+    }
+
     // Start server
     server.listen(PORT, () => {
       logger.info(`Meeting Service running on port ${PORT}`);
@@ -205,6 +235,8 @@ const startServer = async () => {
         `CORS Origins: ${process.env.CORS_ORIGINS || "http://localhost:5173"}`
       );
       logger.info(`WebRTC Signaling: Active`);
+      logger.info(`SFU: ${sfuManager.isRunning() ? "Running" : "Disabled"}`);
+      logger.info(`Recording: ${recordingManager.enabled ? "Enabled" : "Disabled"}`);
       logger.info(
         `STUN Servers: ${process.env.STUN_SERVERS || "Not configured"}`
       );
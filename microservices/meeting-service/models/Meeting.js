@@ -121,9 +121,20 @@ const meetingSchema = new mongoose.Schema({
     default: 'mesh',
   },
   
-  // Recording info
+  // Recording info (latest recording; all of them in `recordings`)
   recordingId: String,
   recordingUrl: String,
+  recordings: [{
+    recordingId: String,
+    recordingUrl: String,
+    fileName: String, // Under RECORDING_STORAGE_PATH
+    startedAt: Date,
+    endedAt: Date,
+    duration: Number, // Seconds
+    size: Number, // Bytes
+    startedBy: String,
+    _id: false,
+  }],
   
   // Timing
   scheduledAt: Date,
@@ -8,6 +8,8 @@ const router = express.Router();
 const { nanoid } = require('nanoid');
 const Meeting = require('../models/Meeting');
 const meetingManager = require('../services/meetingManager');
+const sfuManager = require('../services/sfuManager');
+const recordingManager = require('../services/recordingManager');
 const createLogger = require('../../shared/utils/logger');
 const { authenticateToken } = require('../../shared/middleware/auth');
 const { validateFields } = require('../../shared/middleware/inputValidation');
@@ -54,9 +56,11 @@ router.post(
       settings: {
         maxParticipants: settings?.maxParticipants || 50,
         isRecordingEnabled: settings?.isRecordingEnabled || false,
+        allowRecording: settings?.allowRecording || settings?.isRecordingEnabled || false,
         isChatEnabled: settings?.isChatEnabled !== false,
         isScreenShareEnabled: settings?.isScreenShareEnabled !== false,
         requireApproval: settings?.requireApproval || false,
+        lockRoom: settings?.lockRoom || false,
         allowedDomains: settings?.allowedDomains || [],
       },
     });
@@ -274,8 +278,9 @@ router.post('/:roomId/end', authenticateToken, async (req, res) => {
 
     await meeting.save();
 
-    // Delete from Redis
+    // Delete from Redis; closing the SFU router saves any running recording
     await meetingManager.deleteMeeting(roomId);
+    sfuManager.closeRoom(roomId);
 
     logger.info(`Meeting ${roomId} ended by host ${req.user.userId}`);
 
@@ -323,6 +328,95 @@ router.get('/:roomId/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// ============================================
+// RECORDINGS
+// ============================================
+
+/**
+ * Meeting's recordings, for the host (or an admin)
+ */
+const findRecordedMeeting = async (req, res) => {
+  const meeting = await Meeting.findOne({ roomId: req.params.roomId })
+    .select('roomId title hostId recordingId recordingUrl recordings')
+    .lean();
+
+  if (!meeting) {
+    res.status(404).json({
+      success: false,
+      error: 'Meeting not found',
+    });
+    return null;
+  }
+
+  if (meeting.hostId.toString() !== req.user.userId && req.user.role !== 'Admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Only the host can access recordings',
+    });
+    return null;
+  }
+
+  return meeting;
+};
+
+router.get('/:roomId/recordings', authenticateToken, async (req, res) => {
+  try {
+    const meeting = await findRecordedMeeting(req, res);
+    if (!meeting) return;
+
+    res.json({
+      success: true,
+      recordingId: meeting.recordingId,
+      recordingUrl: meeting.recordingUrl,
+      recordings: (meeting.recordings || []).map(({ fileName, ...recording }) => recording),
+      isRecording: recordingManager.isRecording(meeting.roomId),
+    });
+  } catch (error) {
+    logger.error('Error listing recordings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list recordings',
+    });
+  }
+});
+
+/**
+ * Stream a recording for playback (supports Range requests for seeking)
+ */
+router.get('/:roomId/recordings/:recordingId', authenticateToken, async (req, res) => {
+  try {
+    const meeting = await findRecordedMeeting(req, res);
+    if (!meeting) return;
+
+    const recording = (meeting.recordings || []).find(
+      (r) => r.recordingId === req.params.recordingId
+    );
+    const filePath = recording && recordingManager.resolveFile(recording.fileName);
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found',
+      });
+    }
+
+    res.sendFile(filePath, { headers: { 'Content-Type': 'video/webm' } }, (err) => {
+      if (err && !res.headersSent) {
+        res.status(err.status || 404).json({
+          success: false,
+          error: 'Recording file not available',
+        });
+      }
+    });
+  } catch (error) {
+    logger.error('Error streaming recording:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stream recording',
+    });
+  }
+});
+
 // ============================================
 // GET USER MEETINGS
 // ============================================
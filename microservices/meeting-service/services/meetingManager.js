@@ -16,6 +16,8 @@ class MeetingManager {
 
     this.keyPrefix = process.env.REDIS_KEY_PREFIX || "meeting:";
     this.meetingTTL = parseInt(process.env.MEETING_TTL) || 14400; // 4 hours
+    this.instanceTTL = parseInt(process.env.SFU_INSTANCE_TTL) || 30; // seconds
+    this.heartbeat = null;
   }
 
   /**
@@ -156,6 +158,22 @@ class MeetingManager {
     return `${this.keyPrefix}signaling:${roomId}`;
   }
 
+  getLobbyKey(roomId) {
+    return `${this.keyPrefix}lobby:${roomId}`;
+  }
+
+  getAdmittedKey(roomId) {
+    return `${this.keyPrefix}admitted:${roomId}`;
+  }
+
+  getRemovedKey(roomId) {
+    return `${this.keyPrefix}removed:${roomId}`;
+  }
+
+  getInstanceKey(instanceId) {
+    return `${this.keyPrefix}instance:${instanceId}`;
+  }
+
   // ============================================
   // MEETING OPERATIONS
   // ============================================
@@ -174,6 +192,7 @@ class MeetingManager {
         status: "waiting",
         maxParticipants: meetingData.maxParticipants || 50,
         settings: meetingData.settings || {},
+        topology: meetingData.topology || "mesh",
         createdAt: new Date().toISOString(),
         startedAt: null,
         endedAt: null,
@@ -247,6 +266,9 @@ class MeetingManager {
       pipeline.del(this.getMeetingKey(roomId));
       pipeline.del(this.getParticipantsKey(roomId));
       pipeline.del(this.getPeerConnectionsKey(roomId));
+      pipeline.del(this.getLobbyKey(roomId));
+      pipeline.del(this.getAdmittedKey(roomId));
+      pipeline.del(this.getRemovedKey(roomId));
 
       await pipeline.exec();
       logger.info(`Deleted meeting: ${roomId}`);
@@ -272,6 +294,51 @@ class MeetingManager {
     }
   }
 
+  // ============================================
+  // SFU INSTANCE OWNERSHIP
+  // ============================================
+
+  /**
+   * Keep this instance's liveness key fresh while it serves SFU rooms
+   */
+  startInstanceHeartbeat(instanceId) {
+    const beat = () =>
+      this.redis
+        .setex(this.getInstanceKey(instanceId), this.instanceTTL, Date.now())
+        .catch((error) => logger.error("Error refreshing instance heartbeat:", error));
+
+    beat();
+    this.heartbeat = setInterval(beat, (this.instanceTTL * 1000) / 3);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop the heartbeat and drop the liveness key so rooms can be taken over at once
+   */
+  async stopInstanceHeartbeat(instanceId) {
+    if (!this.heartbeat) return;
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    try {
+      await this.redis.del(this.getInstanceKey(instanceId));
+    } catch (error) {
+      logger.error("Error clearing instance heartbeat:", error);
+    }
+  }
+
+  /**
+   * Whether an instance is still heartbeating (assumed alive if Redis can't tell)
+   */
+  async isInstanceAlive(instanceId) {
+    try {
+      return (await this.redis.exists(this.getInstanceKey(instanceId))) === 1;
+    } catch (error) {
+      logger.error("Error checking instance heartbeat:", error);
+      return true;
+    }
+  }
+
   // ============================================
   // PARTICIPANT MANAGEMENT (Redis Set + Hash)
   // ============================================
@@ -435,6 +502,143 @@ class MeetingManager {
     }
   }
 
+  // ============================================
+  // WAITING ROOM (Lobby Hash + Admitted/Removed Sets)
+  // ============================================
+
+  /**
+   * Put a user in the waiting room until the host admits or denies them
+   */
+  async addToLobby(roomId, entry) {
+    try {
+      const key = this.getLobbyKey(roomId);
+
+      const lobbyEntry = {
+        userId: entry.userId,
+        userName: entry.userName,
+        userPicture: entry.userPicture || "",
+        socketId: entry.socketId,
+        requestedAt: new Date().toISOString(),
+      };
+
+      await this.redis.hset(key, entry.userId, JSON.stringify(lobbyEntry));
+      await this.redis.expire(key, this.meetingTTL);
+
+      logger.debug(`User ${entry.userId} waiting in lobby of ${roomId}`);
+      return lobbyEntry;
+    } catch (error) {
+      logger.error("Error adding to lobby:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a waiting user
+   */
+  async getLobbyEntry(roomId, userId) {
+    try {
+      const data = await this.redis.hget(this.getLobbyKey(roomId), userId);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error("Error getting lobby entry:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Get everyone in the waiting room, longest waiting first
+   */
+  async getLobby(roomId) {
+    try {
+      const data = await this.redis.hgetall(this.getLobbyKey(roomId));
+
+      return Object.values(data)
+        .map((entry) => JSON.parse(entry))
+        .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+    } catch (error) {
+      logger.error("Error getting lobby:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Take a user out of the waiting room
+   */
+  async removeFromLobby(roomId, userId) {
+    try {
+      await this.redis.hdel(this.getLobbyKey(roomId), userId);
+      return true;
+    } catch (error) {
+      logger.error("Error removing from lobby:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Admit a user; admitted users skip the waiting room and lock on rejoin
+   */
+  async admitUser(roomId, userId) {
+    try {
+      const admittedKey = this.getAdmittedKey(roomId);
+      const pipeline = this.redis.pipeline();
+
+      pipeline.sadd(admittedKey, userId);
+      pipeline.expire(admittedKey, this.meetingTTL);
+      pipeline.srem(this.getRemovedKey(roomId), userId);
+      pipeline.hdel(this.getLobbyKey(roomId), userId);
+
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      logger.error("Error admitting user:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Check if a user has been admitted to the meeting
+   */
+  async isAdmitted(roomId, userId) {
+    try {
+      return (await this.redis.sismember(this.getAdmittedKey(roomId), userId)) === 1;
+    } catch (error) {
+      logger.error("Error checking admission:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Revoke a removed user's admission; they go through the waiting room to rejoin
+   */
+  async markRemoved(roomId, userId) {
+    try {
+      const removedKey = this.getRemovedKey(roomId);
+      const pipeline = this.redis.pipeline();
+
+      pipeline.srem(this.getAdmittedKey(roomId), userId);
+      pipeline.sadd(removedKey, userId);
+      pipeline.expire(removedKey, this.meetingTTL);
+
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      logger.error("Error marking user removed:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Check if the host removed this user earlier in the meeting
+   */
+  async wasRemoved(roomId, userId) {
+    try {
+      return (await this.redis.sismember(this.getRemovedKey(roomId), userId)) === 1;
+    } catch (error) {
+      logger.error("Error checking removed users:", error);
+      return false;
+    }
+  }
+
   // ============================================
   // PEER CONNECTION TRACKING
   // ============================================
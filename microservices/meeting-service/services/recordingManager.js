@@ -0,0 +1,444 @@
+/**
+ * Recording Manager
+ * Composites every audio/video/screen-share producer of an SFU room into one
+ * WebM file on local disk. mediasoup forwards each producer over RTP to FFmpeg,
+ * which tiles the videos and mixes the audio. FFmpeg's inputs are fixed once it
+ * starts, so whenever producers come or go the current segment is closed and a
+ * new one started; the segments are joined when the recording stops.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { nanoid } = require("nanoid");
+const sfuManager = require("./sfuManager");
+const Meeting = require("../models/Meeting");
+const createLogger = require("../../shared/utils/logger");
+const { httpError } = require("../../shared/utils/httpError");
+
+const logger = createLogger("recording-manager");
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const STORAGE_PATH = path.resolve(process.env.RECORDING_STORAGE_PATH || "./recordings");
+const MIN_PORT = parseInt(process.env.RECORDING_MIN_PORT) || 50000;
+const MAX_PORT = parseInt(process.env.RECORDING_MAX_PORT) || 50999;
+
+// Output canvas; every segment uses the same encoding so segments concat losslessly
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FPS = 25;
+
+// Wait for producer changes to settle before rolling to a new segment
+const ROLL_DELAY_MS = 1000;
+// How long FFmpeg gets to finalize a file after SIGINT
+const STOP_TIMEOUT_MS = 10000;
+
+const even = (value) => Math.floor(value / 2) * 2;
+
+/**
+ * SDP describing one RTP stream for FFmpeg
+ */
+function buildSdp(consumer, port) {
+  const codec = consumer.rtpParameters.codecs[0];
+  const [, name] = codec.mimeType.split("/");
+  const channels = codec.channels ? `/${codec.channels}` : "";
+
+  return [
+    "v=0",
+    "o=- 0 0 IN IP4 127.0.0.1",
+    "s=Meeting Recording",
+    "c=IN IP4 127.0.0.1",
+    "t=0 0",
+    `m=${consumer.kind} ${port} RTP/AVP ${codec.payloadType}`,
+    `a=rtcp:${port + 1}`,
+    `a=rtpmap:${codec.payloadType} ${name}/${codec.clockRate}${channels}`,
+    "a=recvonly",
+    "",
+  ].join("\n");
+}
+
+/**
+ * FFmpeg filter graph: videos in a grid on a fixed canvas, audio mixed.
+ * A black canvas / silence stands in when a segment has no video / audio.
+ */
+function buildFilterGraph(inputs) {
+  const videos = inputs.filter((input) => input.kind === "video");
+  const audios = inputs.filter((input) => input.kind === "audio");
+  const filters = [];
+
+  if (videos.length === 0) {
+    filters.push(`color=c=black:s=${WIDTH}x${HEIGHT}:r=${FPS}[vout]`);
+  } else {
+    const cols = Math.ceil(Math.sqrt(videos.length));
+    const rows = Math.ceil(videos.length / cols);
+    const tileW = even(WIDTH / cols);
+    const tileH = even(HEIGHT / rows);
+
+    videos.forEach((input, i) => {
+      filters.push(
+        `[${input.index}:v]scale=${tileW}:${tileH}:force_original_aspect_ratio=decrease,` +
+          `pad=${tileW}:${tileH}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${FPS}[v${i}]`
+      );
+    });
+
+    if (videos.length === 1) {
+      filters.push(`[v0]pad=${WIDTH}:${HEIGHT}:(ow-iw)/2:(oh-ih)/2[vout]`);
+    } else {
+      const layout = videos
+        .map((_, i) => `${(i % cols) * tileW}_${Math.floor(i / cols) * tileH}`)
+        .join("|");
+      const labels = videos.map((_, i) => `[v${i}]`).join("");
+      filters.push(
+        `${labels}xstack=inputs=${videos.length}:layout=${layout}:fill=black,` +
+          `pad=${WIDTH}:${HEIGHT}:(ow-iw)/2:(oh-ih)/2[vout]`
+      );
+    }
+  }
+
+  if (audios.length === 0) {
+    filters.push("anullsrc=r=48000:cl=stereo[aout]");
+  } else {
+    audios.forEach((input, i) => {
+      filters.push(`[${input.index}:a]aresample=async=1[a${i}]`);
+    });
+    const labels = audios.map((_, i) => `[a${i}]`).join("");
+    filters.push(`${labels}amix=inputs=${audios.length}:duration=longest[aout]`);
+  }
+
+  return filters.join(";");
+}
+
+class RecordingManager {
+  constructor() {
+    this.enabled = process.env.ENABLE_RECORDING === "true";
+    this.recordings = new Map(); // roomId -> active recording
+    this.usedPorts = new Set();
+
+    // Keep the composite in step with who is sending media
+    sfuManager.on("producers-changed", (roomId) => this.scheduleRoll(roomId));
+    // Save what was recorded if the router goes away first (meeting ended, worker died)
+    sfuManager.on("room-closed", (roomId) => {
+      if (this.recordings.has(roomId)) {
+        this.stop(roomId).catch((error) =>
+          logger.error(`Error stopping recording for closed room ${roomId}:`, error)
+        );
+      }
+    });
+  }
+
+  isRecording(roomId) {
+    return this.recordings.has(roomId);
+  }
+
+  getRecording(roomId) {
+    const recording = this.recordings.get(roomId);
+    if (!recording) return null;
+
+    return {
+      recordingId: recording.recordingId,
+      startedAt: recording.startedAt.toISOString(),
+      startedBy: recording.startedBy,
+    };
+  }
+
+  // ============================================
+  // START / STOP
+  // ============================================
+
+  /**
+   * Start recording an SFU room
+   */
+  async start(roomId, { startedBy }) {
+    if (!this.enabled) {
+      throw httpError("Recording is not enabled on this server", 503);
+    }
+    if (!sfuManager.getRoom(roomId)) {
+      throw httpError("Switch the meeting to SFU mode before recording", 400);
+    }
+    if (this.recordings.has(roomId)) {
+      throw httpError("Meeting is already being recorded", 409);
+    }
+
+    fs.mkdirSync(STORAGE_PATH, { recursive: true });
+
+    const recording = {
+      roomId,
+      recordingId: nanoid(12),
+      startedBy,
+      startedAt: new Date(),
+      segments: [],
+      current: null,
+      rollTimer: null,
+      rolling: Promise.resolve(),
+    };
+    this.recordings.set(roomId, recording);
+
+    await this.roll(recording);
+    logger.info(`Recording ${recording.recordingId} started for meeting ${roomId}`);
+
+    return this.getRecording(roomId);
+  }
+
+  /**
+   * Stop recording, join the segments into the final file and link it on the Meeting
+   * @returns {Object} { recordingId, recordingUrl, startedAt, endedAt, duration, size }
+   */
+  async stop(roomId) {
+    const recording = this.recordings.get(roomId);
+    if (!recording) {
+      throw httpError("Meeting is not being recorded", 409);
+    }
+
+    this.recordings.delete(roomId);
+    clearTimeout(recording.rollTimer);
+    await recording.rolling;
+    await this.stopSegment(recording);
+
+    const endedAt = new Date();
+    const fileName = `${roomId}-${recording.recordingId}.webm`;
+    const filePath = path.join(STORAGE_PATH, fileName);
+
+    const segments = recording.segments.filter(
+      (segment) => fs.existsSync(segment) && fs.statSync(segment).size > 0
+    );
+    if (segments.length === 0) {
+      recording.segments.forEach((segment) => fs.rmSync(segment, { force: true }));
+      throw httpError("Nothing was recorded", 422);
+    }
+
+    if (segments.length === 1) {
+      fs.renameSync(segments[0], filePath);
+    } else {
+      await this.concatSegments(segments, filePath);
+    }
+    recording.segments.forEach((segment) => fs.rmSync(segment, { force: true }));
+
+    const result = {
+      recordingId: recording.recordingId,
+      recordingUrl: `/api/meetings/${roomId}/recordings/${recording.recordingId}`,
+      fileName,
+      startedAt: recording.startedAt,
+      endedAt,
+      duration: Math.round((endedAt - recording.startedAt) / 1000), // seconds
+      size: fs.statSync(filePath).size,
+      startedBy: recording.startedBy,
+    };
+
+    await Meeting.findOneAndUpdate(
+      { roomId },
+      {
+        recordingId: result.recordingId,
+        recordingUrl: result.recordingUrl,
+        $push: { recordings: result },
+      }
+    );
+
+    logger.info(
+      `Recording ${recording.recordingId} saved for meeting ${roomId} (${result.duration}s, ${result.size} bytes)`
+    );
+    return result;
+  }
+
+  /**
+   * Stop every active recording (shutdown)
+   */
+  async stopAll() {
+    const roomIds = Array.from(this.recordings.keys());
+    return Promise.allSettled(roomIds.map((roomId) => this.stop(roomId)));
+  }
+
+  // ============================================
+  // SEGMENTS
+  // ============================================
+
+  scheduleRoll(roomId) {
+    const recording = this.recordings.get(roomId);
+    if (!recording) return;
+
+    clearTimeout(recording.rollTimer);
+    recording.rollTimer = setTimeout(() => {
+      // Serialize rolls so two FFmpeg processes never write the same room
+      recording.rolling = recording.rolling
+        .then(() => this.recordings.has(roomId) && this.roll(recording))
+        .catch((error) => logger.error(`Error rolling recording for ${roomId}:`, error));
+    }, ROLL_DELAY_MS);
+  }
+
+  /**
+   * Close the current segment and start one with the room's current producers
+   */
+  async roll(recording) {
+    await this.stopSegment(recording);
+
+    const room = sfuManager.getRoom(recording.roomId);
+    const producers = sfuManager.getProducers(recording.roomId);
+    if (!room || producers.length === 0) {
+      // Nothing to record until someone sends media
+      return;
+    }
+
+    const segmentPath = path.join(
+      STORAGE_PATH,
+      `${recording.roomId}-${recording.recordingId}-${recording.segments.length}.webm`
+    );
+    const segment = { transports: [], consumers: [], ports: [], sdpFiles: [], process: null };
+
+    try {
+      const inputs = [];
+
+      for (const producer of producers) {
+        const port = this.allocatePort();
+        segment.ports.push(port);
+
+        // Plain RTP from mediasoup to FFmpeg on localhost
+        const transport = await room.router.createPlainTransport({
+          listenIp: { ip: "127.0.0.1" },
+          rtcpMux: false,
+          comedia: false,
+        });
+        segment.transports.push(transport);
+        await transport.connect({ ip: "127.0.0.1", port, rtcpPort: port + 1 });
+
+        const consumer = await transport.consume({
+          producerId: producer.id,
+          rtpCapabilities: room.router.rtpCapabilities,
+          paused: true,
+        });
+        segment.consumers.push(consumer);
+
+        const sdpFile = `${segmentPath}.${inputs.length}.sdp`;
+        fs.writeFileSync(sdpFile, buildSdp(consumer, port));
+        segment.sdpFiles.push(sdpFile);
+
+        inputs.push({ index: inputs.length, kind: consumer.kind, sdpFile });
+      }
+
+      const args = [
+        "-loglevel", "warning",
+        ...inputs.flatMap((input) => [
+          "-protocol_whitelist", "file,udp,rtp",
+          "-fflags", "+genpts",
+          "-i", input.sdpFile,
+        ]),
+        "-filter_complex", buildFilterGraph(inputs),
+        "-map", "[vout]",
+        "-map", "[aout]",
+        "-c:v", "libvpx",
+        "-deadline", "realtime",
+        "-cpu-used", "8",
+        "-b:v", "1500k",
+        "-r", String(FPS),
+        "-c:a", "libopus",
+        "-ar", "48000",
+        "-ac", "2",
+        "-y",
+        segmentPath,
+      ];
+
+      segment.process = spawn(FFMPEG_PATH, args, { stdio: ["ignore", "ignore", "pipe"] });
+      segment.process.stderr.on("data", (data) => {
+        logger.debug(`[ffmpeg ${recording.roomId}] ${data.toString().trim()}`);
+      });
+      segment.process.on("error", (error) => {
+        logger.error(`FFmpeg failed for meeting ${recording.roomId}:`, error);
+      });
+      segment.exited = new Promise((resolve) => segment.process.on("close", resolve));
+
+      recording.current = segment;
+      recording.segments.push(segmentPath);
+
+      // Give FFmpeg a moment to bind its ports, then start the media and ask for keyframes
+      setTimeout(async () => {
+        for (const consumer of segment.consumers) {
+          if (consumer.closed) continue;
+          try {
+            await consumer.resume();
+            if (consumer.kind === "video") await consumer.requestKeyFrame();
+          } catch (error) {
+            logger.error(
+              `Failed to start ${consumer.kind} consumer for recording ${recording.roomId}:`,
+              error
+            );
+          }
+        }
+      }, 1000);
+
+      logger.info(
+        `Recording segment ${recording.segments.length} for ${recording.roomId}: ${inputs.length} input(s)`
+      );
+    } catch (error) {
+      recording.current = segment;
+      await this.stopSegment(recording);
+      throw error;
+    }
+  }
+
+  /**
+   * Let FFmpeg finalize the current segment, then release its transports and ports
+   */
+  async stopSegment(recording) {
+    const segment = recording.current;
+    if (!segment) return;
+    recording.current = null;
+
+    if (segment.process && segment.process.exitCode === null) {
+      segment.process.kill("SIGINT");
+      const timer = setTimeout(() => segment.process.kill("SIGKILL"), STOP_TIMEOUT_MS);
+      await segment.exited;
+      clearTimeout(timer);
+    }
+
+    segment.consumers.forEach((consumer) => consumer.close());
+    segment.transports.forEach((transport) => transport.close());
+    segment.ports.forEach((port) => this.usedPorts.delete(port));
+    segment.sdpFiles.forEach((file) => fs.rmSync(file, { force: true }));
+  }
+
+  /**
+   * Join segments without re-encoding (they share codecs and canvas)
+   */
+  concatSegments(segments, outputPath) {
+    const listFile = `${outputPath}.txt`;
+    fs.writeFileSync(listFile, segments.map((segment) => `file '${segment}'`).join("\n"));
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(
+        FFMPEG_PATH,
+        ["-loglevel", "error", "-f", "concat", "-safe", "0", "-i", listFile, "-c", "copy", "-y", outputPath],
+        { stdio: ["ignore", "ignore", "pipe"] }
+      );
+
+      let stderr = "";
+      ffmpeg.stderr.on("data", (data) => (stderr += data.toString()));
+      ffmpeg.on("error", reject);
+      ffmpeg.on("close", (code) => {
+        fs.rmSync(listFile, { force: true });
+        if (code === 0) return resolve(outputPath);
+        reject(new Error(`FFmpeg concat failed (${code}): ${stderr.trim()}`));
+      });
+    });
+  }
+
+  /**
+   * Even RTP port (RTCP on port + 1) from the recording range
+   */
+  allocatePort() {
+    for (let port = even(MIN_PORT); port < MAX_PORT; port += 2) {
+      if (!this.usedPorts.has(port)) {
+        this.usedPorts.add(port);
+        return port;
+      }
+    }
+    throw httpError("No free recording ports", 503);
+  }
+
+  /**
+   * Absolute path of a stored recording (null when outside the storage folder)
+   */
+  resolveFile(fileName) {
+    const filePath = path.resolve(STORAGE_PATH, fileName);
+    return filePath.startsWith(STORAGE_PATH + path.sep) ? filePath : null;
+  }
+}
+
+module.exports = new RecordingManager();
@@ -0,0 +1,339 @@
+/**
+ * SFU Manager (mediasoup)
+ * Rooms switched to the 'sfu' topology send their media through the server
+ * instead of peer-to-peer, so it can be forwarded and recorded.
+ * Router/transport state lives in this process; mediasoup objects can't be shared.
+ */
+
+const EventEmitter = require("events");
+const os = require("os");
+const createLogger = require("../../shared/utils/logger");
+
+const logger = createLogger("sfu-manager");
+
+// Codecs every router offers (VP8/Opus work in all browsers and in WebM)
+const MEDIA_CODECS = [
+  {
+    kind: "audio",
+    mimeType: "audio/opus",
+    clockRate: 48000,
+    channels: 2,
+  },
+  {
+    kind: "video",
+    mimeType: "video/VP8",
+    clockRate: 90000,
+    parameters: { "x-google-start-bitrate": 1000 },
+  },
+];
+
+class SfuManager extends EventEmitter {
+  constructor() {
+    super();
+
+    this.mediasoup = null;
+    this.workers = [];
+    this.nextWorkerIndex = 0;
+    this.rooms = new Map(); // roomId -> { router, peers: Map<socketId, peer> }
+
+    this.enabled = process.env.SFU_MODE_ENABLED === "true";
+    this.numWorkers = parseInt(process.env.MEDIASOUP_NUM_WORKERS) || 1;
+    this.rtcMinPort = parseInt(process.env.MEDIASOUP_MIN_PORT) || 40000;
+    this.rtcMaxPort = parseInt(process.env.MEDIASOUP_MAX_PORT) || 49999;
+    this.listenIp = process.env.MEDIASOUP_LISTEN_IP || "0.0.0.0";
+    this.announcedIp = process.env.MEDIASOUP_ANNOUNCED_IP || undefined;
+
+    // Recorded in a meeting's Redis state as the owner of its SFU room
+    this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Start mediasoup workers
+   */
+  async start() {
+    if (!this.enabled) {
+      logger.info("SFU mode disabled (SFU_MODE_ENABLED is not true)");
+      return false;
+    }
+
+    try {
+      this.mediasoup = require("mediasoup");
+
+      for (let i = 0; i < this.numWorkers; i++) {
+        const worker = await this.mediasoup.createWorker({
+          logLevel: process.env.MEDIASOUP_LOG_LEVEL || "warn",
+          rtcMinPort: this.rtcMinPort,
+          rtcMaxPort: this.rtcMaxPort,
+        });
+
+        worker.on("died", () => {
+          logger.error(`mediasoup worker ${worker.pid} died`);
+          this.workers = this.workers.filter((w) => w !== worker);
+
+          // Rooms routed by the dead worker have lost their media
+          for (const [roomId, room] of this.rooms) {
+            if (room.worker === worker) this.closeRoom(roomId);
+          }
+        });
+
+        this.workers.push(worker);
+      }
+
+      logger.info(`SFU started with ${this.workers.length} mediasoup worker(s)`);
+      return true;
+    } catch (error) {
+      logger.error("Failed to start SFU, meetings stay peer-to-peer:", error);
+      this.workers = [];
+      return false;
+    }
+  }
+
+  /**
+   * Close all rooms and workers
+   */
+  async close() {
+    for (const roomId of Array.from(this.rooms.keys())) {
+      this.closeRoom(roomId);
+    }
+    this.workers.forEach((worker) => worker.close());
+    this.workers = [];
+    logger.info("SFU stopped");
+  }
+
+  isRunning() {
+    return this.workers.length > 0;
+  }
+
+  // ============================================
+  // ROOMS
+  // ============================================
+
+  /**
+   * Get the room's router, creating it on the next worker (round robin)
+   */
+  async getOrCreateRoom(roomId) {
+    if (this.rooms.has(roomId)) return this.rooms.get(roomId);
+
+    if (!this.isRunning()) {
+      throw new Error("SFU is not available");
+    }
+
+    const worker = this.workers[this.nextWorkerIndex % this.workers.length];
+    this.nextWorkerIndex++;
+
+    const router = await worker.createRouter({ mediaCodecs: MEDIA_CODECS });
+    const room = { roomId, worker, router, peers: new Map() };
+    this.rooms.set(roomId, room);
+
+    logger.info(`Created SFU router for meeting ${roomId}`);
+    return room;
+  }
+
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Close a room's router (closes every transport, producer and consumer)
+   */
+  closeRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    room.router.close();
+    this.rooms.delete(roomId);
+    this.emit("room-closed", roomId);
+
+    logger.info(`Closed SFU router for meeting ${roomId}`);
+  }
+
+  getPeer(room, socketId, userId) {
+    if (!room.peers.has(socketId)) {
+      room.peers.set(socketId, {
+        socketId,
+        userId,
+        transports: new Map(),
+        producers: new Map(),
+        consumers: new Map(),
+      });
+    }
+    return room.peers.get(socketId);
+  }
+
+  requirePeer(roomId, socketId) {
+    const room = this.getRoom(roomId);
+    const peer = room && room.peers.get(socketId);
+    if (!peer) {
+      throw new Error("Not connected to the SFU");
+    }
+    return { room, peer };
+  }
+
+  // ============================================
+  // TRANSPORTS
+  // ============================================
+
+  /**
+   * Create a WebRTC transport for sending or receiving
+   * @returns {Object} Parameters for mediasoup-client's createSendTransport/createRecvTransport
+   */
+  async createWebRtcTransport(roomId, socketId, userId) {
+    const room = await this.getOrCreateRoom(roomId);
+    const peer = this.getPeer(room, socketId, userId);
+
+    const transport = await room.router.createWebRtcTransport({
+      listenIps: [{ ip: this.listenIp, announcedIp: this.announcedIp }],
+      enableUdp: true,
+      enableTcp: true,
+      preferUdp: true,
+      initialAvailableOutgoingBitrate: 1000000,
+    });
+
+    transport.on("dtlsstatechange", (state) => {
+      if (state === "closed") transport.close();
+    });
+
+    peer.transports.set(transport.id, transport);
+
+    return {
+      id: transport.id,
+      iceParameters: transport.iceParameters,
+      iceCandidates: transport.iceCandidates,
+      dtlsParameters: transport.dtlsParameters,
+    };
+  }
+
+  async connectTransport(roomId, socketId, transportId, dtlsParameters) {
+    const { peer } = this.requirePeer(roomId, socketId);
+    const transport = peer.transports.get(transportId);
+    if (!transport) throw new Error("Transport not found");
+
+    await transport.connect({ dtlsParameters });
+  }
+
+  // ============================================
+  // PRODUCERS / CONSUMERS
+  // ============================================
+
+  /**
+   * Start receiving a track from a participant
+   * @param {Object} appData - { source: 'camera' | 'microphone' | 'screen' }
+   */
+  async produce(roomId, socketId, { transportId, kind, rtpParameters, appData = {} }) {
+    const { peer } = this.requirePeer(roomId, socketId);
+    const transport = peer.transports.get(transportId);
+    if (!transport) throw new Error("Transport not found");
+
+    const producer = await transport.produce({
+      kind,
+      rtpParameters,
+      appData: { ...appData, userId: peer.userId, socketId },
+    });
+
+    peer.producers.set(producer.id, producer);
+    producer.on("transportclose", () => {
+      peer.producers.delete(producer.id);
+      this.emit("producers-changed", roomId);
+    });
+
+    this.emit("producers-changed", roomId);
+    return this.describeProducer(producer);
+  }
+
+  async closeProducer(roomId, socketId, producerId) {
+    const { peer } = this.requirePeer(roomId, socketId);
+    const producer = peer.producers.get(producerId);
+    if (!producer) return false;
+
+    producer.close();
+    peer.producers.delete(producerId);
+    this.emit("producers-changed", roomId);
+    return true;
+  }
+
+  /**
+   * Forward another participant's track to this peer (starts paused)
+   */
+  async consume(roomId, socketId, { transportId, producerId, rtpCapabilities }) {
+    const { room, peer } = this.requirePeer(roomId, socketId);
+    const transport = peer.transports.get(transportId);
+    if (!transport) throw new Error("Transport not found");
+
+    if (!room.router.canConsume({ producerId, rtpCapabilities })) {
+      throw new Error("Cannot consume this producer");
+    }
+
+    const consumer = await transport.consume({
+      producerId,
+      rtpCapabilities,
+      paused: true, // Resumed once the client has set up its track
+    });
+
+    peer.consumers.set(consumer.id, consumer);
+    consumer.on("transportclose", () => peer.consumers.delete(consumer.id));
+    consumer.on("producerclose", () => peer.consumers.delete(consumer.id));
+
+    return {
+      id: consumer.id,
+      producerId,
+      kind: consumer.kind,
+      rtpParameters: consumer.rtpParameters,
+    };
+  }
+
+  async resumeConsumer(roomId, socketId, consumerId) {
+    const { peer } = this.requirePeer(roomId, socketId);
+    const consumer = peer.consumers.get(consumerId);
+    if (!consumer) throw new Error("Consumer not found");
+
+    await consumer.resume();
+  }
+
+  describeProducer(producer) {
+    return {
+      producerId: producer.id,
+      kind: producer.kind,
+      source: producer.appData.source || producer.kind,
+      userId: producer.appData.userId,
+      socketId: producer.appData.socketId,
+    };
+  }
+
+  /**
+   * Every live producer in the room, optionally excluding one socket's own
+   */
+  getProducers(roomId, exceptSocketId = null) {
+    const room = this.getRoom(roomId);
+    if (!room) return [];
+
+    const producers = [];
+    for (const peer of room.peers.values()) {
+      if (peer.socketId === exceptSocketId) continue;
+      for (const producer of peer.producers.values()) {
+        if (!producer.closed) producers.push(producer);
+      }
+    }
+    return producers;
+  }
+
+  /**
+   * Drop a participant's transports (and with them producers/consumers)
+   * @returns {Array<String>} IDs of the producers that were closed
+   */
+  removePeer(roomId, socketId) {
+    const room = this.getRoom(roomId);
+    const peer = room && room.peers.get(socketId);
+    if (!peer) return [];
+
+    const closedProducers = Array.from(peer.producers.keys());
+    peer.transports.forEach((transport) => transport.close());
+    room.peers.delete(socketId);
+
+    if (closedProducers.length > 0) {
+      this.emit("producers-changed", roomId);
+    }
+    return closedProducers;
+  }
+}
+
+module.exports = new SfuManager();
@@ -0,0 +1,266 @@
+/**
+ * SFU & Recording Handlers
+ * Signaling for rooms in the 'sfu' topology (mediasoup-client on the frontend)
+ * and the host's topology/recording controls. Mesh rooms keep using the
+ * peer-to-peer relay in signalingHandlers.js.
+ */
+
+const meetingManager = require("../services/meetingManager");
+const sfuManager = require("../services/sfuManager");
+const recordingManager = require("../services/recordingManager");
+const Meeting = require("../models/Meeting");
+const createLogger = require("../../shared/utils/logger");
+const { httpError } = require("../../shared/utils/httpError");
+
+const logger = createLogger("sfu-handlers");
+
+const TOPOLOGIES = ["mesh", "sfu"];
+const SOURCES = ["camera", "microphone", "screen"];
+
+module.exports = (io) => {
+  io.on("connection", (socket) => {
+    const userId = socket.user.userId;
+    let sfuRoomId = null; // Room this socket has SFU transports in
+
+    /**
+     * Register an acknowledged handler: callback gets { success, ...result } or { success: false, error }
+     */
+    const handle = (event, fn) => {
+      socket.on(event, async (data, callback) => {
+        const reply = typeof callback === "function" ? callback : () => {};
+        try {
+          const result = await fn(data || {});
+          reply({ success: true, ...result });
+        } catch (error) {
+          if (!error.status) logger.error(`Error handling ${event}:`, error);
+          reply({ success: false, error: error.message });
+        }
+      });
+    };
+
+    /**
+     * The meeting this socket joined (set by join-meeting)
+     */
+    const getCurrentMeeting = async () => {
+      const roomId = socket.data.meetingRoomId;
+      const meeting = roomId && (await meetingManager.getMeeting(roomId));
+      if (!meeting) throw httpError("Join the meeting first", 400);
+      return meeting;
+    };
+
+    const getHostedMeeting = async () => {
+      const meeting = await getCurrentMeeting();
+      if (meeting.hostId?.toString() !== userId) {
+        throw httpError("Only the host can do this", 403);
+      }
+      return meeting;
+    };
+
+    /**
+     * SFU routers and recorders live in one process: refuse a room whose SFU is
+     * owned by another instance that is still heartbeating
+     */
+    const checkSfuOwner = async (meeting) => {
+      const owner = meeting.sfuInstance;
+      if (
+        owner &&
+        owner !== sfuManager.instanceId &&
+        (await meetingManager.isInstanceAlive(owner))
+      ) {
+        throw httpError("This meeting's SFU is served by another instance", 421);
+      }
+    };
+
+    const requireSfuMeeting = async () => {
+      const meeting = await getCurrentMeeting();
+      if (meeting.topology !== "sfu") {
+        throw httpError("Meeting is not in SFU mode", 400);
+      }
+      await checkSfuOwner(meeting);
+
+      // Take over a room whose owner is gone; its router went with it
+      if (meeting.sfuInstance !== sfuManager.instanceId) {
+        return meetingManager.updateMeeting(meeting.roomId, {
+          sfuInstance: sfuManager.instanceId,
+        });
+      }
+      return meeting;
+    };
+
+    // ============================================
+    // TOPOLOGY (host only)
+    // ============================================
+
+    handle("set-topology", async ({ topology }) => {
+      const meeting = await getHostedMeeting();
+      const { roomId } = meeting;
+
+      if (!TOPOLOGIES.includes(topology)) {
+        throw httpError(`Topology must be one of: ${TOPOLOGIES.join(", ")}`, 400);
+      }
+      if (topology === "sfu" && !sfuManager.isRunning()) {
+        throw httpError("SFU mode is not available on this server", 503);
+      }
+      await checkSfuOwner(meeting);
+      if (topology === "mesh" && recordingManager.isRecording(roomId)) {
+        throw httpError("Stop the recording before leaving SFU mode", 400);
+      }
+
+      if (topology === "sfu") {
+        await sfuManager.getOrCreateRoom(roomId);
+      } else {
+        sfuManager.closeRoom(roomId);
+      }
+
+      await meetingManager.updateMeeting(roomId, {
+        topology,
+        sfuInstance: topology === "sfu" ? sfuManager.instanceId : null,
+      });
+      await Meeting.findOneAndUpdate({ roomId }, { topology });
+
+      io.to(roomId).emit("topology-changed", { roomId, topology });
+      logger.info(`Meeting ${roomId} switched to ${topology} by host`);
+
+      return { topology };
+    });
+
+    // ============================================
+    // SFU SIGNALING (mediasoup-client)
+    // ============================================
+
+    handle("sfu:get-router-capabilities", async () => {
+      const meeting = await requireSfuMeeting();
+      const room = await sfuManager.getOrCreateRoom(meeting.roomId);
+      return { rtpCapabilities: room.router.rtpCapabilities };
+    });
+
+    handle("sfu:create-transport", async () => {
+      const meeting = await requireSfuMeeting();
+
+      // One SFU room per socket; drop transports left from a previous meeting
+      if (sfuRoomId && sfuRoomId !== meeting.roomId) {
+        sfuManager.removePeer(sfuRoomId, socket.id);
+      }
+      sfuRoomId = meeting.roomId;
+
+      const transport = await sfuManager.createWebRtcTransport(meeting.roomId, socket.id, userId);
+      return { transport };
+    });
+
+    handle("sfu:connect-transport", async ({ transportId, dtlsParameters }) => {
+      const meeting = await requireSfuMeeting();
+      await sfuManager.connectTransport(meeting.roomId, socket.id, transportId, dtlsParameters);
+      return {};
+    });
+
+    handle("sfu:produce", async ({ transportId, kind, rtpParameters, appData = {} }) => {
+      const meeting = await requireSfuMeeting();
+
+      if (!["audio", "video"].includes(kind)) {
+        throw httpError("kind must be audio or video", 400);
+      }
+      const source = SOURCES.includes(appData.source)
+        ? appData.source
+        : kind === "audio" ? "microphone" : "camera";
+      if (source === "screen" && meeting.settings?.allowScreenShare === false) {
+        throw httpError("Screen sharing is disabled for this meeting", 403);
+      }
+
+      const producer = await sfuManager.produce(meeting.roomId, socket.id, {
+        transportId,
+        kind,
+        rtpParameters,
+        appData: { source },
+      });
+
+      socket.to(meeting.roomId).emit("sfu:new-producer", producer);
+      return { id: producer.producerId };
+    });
+
+    handle("sfu:close-producer", async ({ producerId }) => {
+      const meeting = await requireSfuMeeting();
+
+      if (await sfuManager.closeProducer(meeting.roomId, socket.id, producerId)) {
+        socket.to(meeting.roomId).emit("sfu:producer-closed", { producerId, userId });
+      }
+      return {};
+    });
+
+    handle("sfu:get-producers", async () => {
+      const meeting = await requireSfuMeeting();
+      const producers = sfuManager
+        .getProducers(meeting.roomId, socket.id)
+        .map((producer) => sfuManager.describeProducer(producer));
+      return { producers };
+    });
+
+    handle("sfu:consume", async ({ transportId, producerId, rtpCapabilities }) => {
+      const meeting = await requireSfuMeeting();
+      const consumer = await sfuManager.consume(meeting.roomId, socket.id, {
+        transportId,
+        producerId,
+        rtpCapabilities,
+      });
+      return { consumer };
+    });
+
+    handle("sfu:resume-consumer", async ({ consumerId }) => {
+      const meeting = await requireSfuMeeting();
+      await sfuManager.resumeConsumer(meeting.roomId, socket.id, consumerId);
+      return {};
+    });
+
+    // ============================================
+    // RECORDING (host only)
+    // ============================================
+
+    handle("start-recording", async () => {
+      const meeting = await getHostedMeeting();
+
+      if (!meeting.settings?.allowRecording) {
+        throw httpError("Recording is not allowed for this meeting", 403);
+      }
+      if (meeting.topology !== "sfu") {
+        throw httpError("Switch the meeting to SFU mode before recording", 400);
+      }
+      await checkSfuOwner(meeting);
+
+      const recording = await recordingManager.start(meeting.roomId, { startedBy: userId });
+      io.to(meeting.roomId).emit("recording-started", { roomId: meeting.roomId, ...recording });
+
+      return { recording };
+    });
+
+    handle("stop-recording", async () => {
+      const meeting = await getHostedMeeting();
+      await checkSfuOwner(meeting);
+
+      const recording = await recordingManager.stop(meeting.roomId);
+      io.to(meeting.roomId).emit("recording-stopped", {
+        roomId: meeting.roomId,
+        recordingId: recording.recordingId,
+        recordingUrl: recording.recordingUrl,
+        duration: recording.duration,
+      });
+
+      return { recording };
+    });
+
+    // ============================================
+    // CLEANUP
+    // ============================================
+
+    const leaveSfu = () => {
+      if (!sfuRoomId) return;
+      const roomId = sfuRoomId;
+      sfuRoomId = null;
+
+      for (const producerId of sfuManager.removePeer(roomId, socket.id)) {
+        socket.to(roomId).emit("sfu:producer-closed", { producerId, userId });
+      }
+    };
+
+    socket.on("leave-meeting", leaveSfu);
+    socket.on("disconnect", leaveSfu);
+  });
+};
@@ -5,6 +5,8 @@
  */
 
 const meetingManager = require("../services/meetingManager");
+const sfuManager = require("../services/sfuManager");
+const recordingManager = require("../services/recordingManager");
 const Meeting = require("../models/Meeting");
 const createLogger = require("../../shared/utils/logger");
 
@@ -34,26 +36,78 @@ const getIceServers = () => {
   return iceServers;
 };
 
+// Socket.IO rooms for the host's controls and the people waiting to be admitted
+const hostRoom = (roomId) => `host:${roomId}`;
+const lobbyRoom = (roomId) => `lobby:${roomId}`;
+
+const isMeetingHost = (meeting, userId) =>
+  !!meeting && meeting.hostId?.toString() === userId;
+
+const reply = (callback, payload) => {
+  if (typeof callback === "function") callback(payload);
+};
+
 module.exports = (io) => {
+  /**
+   * Push the current waiting room to the host's controls
+   */
+  const emitLobby = async (roomId) => {
+    const waiting = await meetingManager.getLobby(roomId);
+    io.to(hostRoom(roomId)).emit("lobby-updated", { roomId, waiting });
+  };
+
+  /**
+   * Let a waiting user in; their client re-sends join-meeting
+   */
+  const admitFromLobby = async (roomId, entry) => {
+    await meetingManager.admitUser(roomId, entry.userId);
+    io.in(entry.socketId).socketsLeave(lobbyRoom(roomId));
+    io.to(entry.socketId).emit("lobby-admitted", { roomId });
+  };
+
   io.on("connection", (socket) => {
     logger.debug(`Socket connected: ${socket.id}`);
 
     let currentRoomId = null;
     let currentUserId = null;
+    let lobbyRoomId = null; // Room this socket is waiting to be admitted to
+
+    // Identity comes from the verified handshake token (socket.user)
+    const userId = socket.user.userId;
+
+    /**
+     * The current meeting, if this socket is its host
+     */
+    const getHostedMeeting = async () => {
+      if (!currentRoomId) return null;
+      const meeting = await meetingManager.getMeeting(currentRoomId);
+      return isMeetingHost(meeting, userId) ? meeting : null;
+    };
+
+    /**
+     * Stop waiting (left, disconnected or admitted from another tab)
+     */
+    const leaveLobby = async () => {
+      if (!lobbyRoomId) return;
+      const roomId = lobbyRoomId;
+      lobbyRoomId = null;
+
+      socket.leave(lobbyRoom(roomId));
+      const entry = await meetingManager.getLobbyEntry(roomId, userId);
+      if (entry && entry.socketId === socket.id) {
+        await meetingManager.removeFromLobby(roomId, userId);
+        await emitLobby(roomId);
+      }
+    };
 
     // ============================================
     // JOIN MEETING
     // ============================================
     socket.on("join-meeting", async (data, callback) => {
       try {
-        const {
-          roomId,
-          userId,
-          userName,
-          userPicture,
-          isVideoEnabled,
-          isAudioEnabled,
-        } = data;
+        const { roomId, isVideoEnabled, isAudioEnabled } = data;
+        const userName = data.userName || socket.user.name;
+        const userPicture = data.userPicture || socket.user.picture;
 
         logger.info(`User ${userId} joining meeting ${roomId}`);
 
@@ -79,9 +133,47 @@ module.exports = (io) => {
             hostId: dbMeeting.hostId,
             maxParticipants: dbMeeting.settings.maxParticipants,
             settings: dbMeeting.settings,
+            topology: dbMeeting.topology,
           });
         }
 
+        const isHost = isMeetingHost(meeting, userId);
+
+        // Lock and waiting room apply to anyone not yet admitted
+        if (!isHost && !(await meetingManager.isAdmitted(roomId, userId))) {
+          if (meeting.settings?.lockRoom) {
+            socket.emit("meeting-error", { error: "Meeting is locked" });
+            reply(callback, { success: false, error: "Meeting is locked" });
+            return;
+          }
+
+          // Removed participants always need the host's approval to come back
+          const needsApproval =
+            meeting.settings?.requireApproval ||
+            (await meetingManager.wasRemoved(roomId, userId));
+
+          if (needsApproval) {
+            await meetingManager.addToLobby(roomId, {
+              userId,
+              userName,
+              userPicture,
+              socketId: socket.id,
+            });
+            socket.join(lobbyRoom(roomId));
+            lobbyRoomId = roomId;
+
+            socket.emit("waiting-for-approval", {
+              roomId,
+              title: meeting.title,
+            });
+            reply(callback, { success: true, waiting: true });
+            await emitLobby(roomId);
+
+            logger.info(`User ${userId} waiting for approval in ${roomId}`);
+            return;
+          }
+        }
+
         // Check participant limit
         const participantCount = await meetingManager.getParticipantCount(
           roomId
@@ -92,9 +184,18 @@ module.exports = (io) => {
         }
 
         // Join socket room
+        if (lobbyRoomId) {
+          socket.leave(lobbyRoom(lobbyRoomId));
+          lobbyRoomId = null;
+        }
         socket.join(roomId);
+        if (isHost) socket.join(hostRoom(roomId));
         currentRoomId = roomId;
         currentUserId = userId;
+        socket.data.meetingRoomId = roomId; // Read by the SFU handlers
+
+        // Rejoining (reconnect, new tab) skips the waiting room and lock
+        await meetingManager.admitUser(roomId, userId);
 
         // Add participant to Redis
         const participant = await meetingManager.addParticipant(roomId, {
@@ -170,9 +271,19 @@ module.exports = (io) => {
             title: meeting.title,
             hostId: meeting.hostId,
             settings: meeting.settings,
+            topology: meeting.topology || "mesh",
+            recording: recordingManager.getRecording(roomId),
           },
         });
 
+        // Host gets the current waiting room
+        if (isHost) {
+          socket.emit("lobby-updated", {
+            roomId,
+            waiting: await meetingManager.getLobby(roomId),
+          });
+        }
+
         // Call acknowledgment callback if provided
         if (typeof callback === "function") {
           callback({
@@ -212,6 +323,7 @@ module.exports = (io) => {
     socket.on("webrtc-offer", async (data) => {
       try {
         const { targetSocketId, offer, from } = data;
+        if (!currentRoomId) return;
 
         logger.info(
           `WebRTC offer from ${socket.id} (${from}) to ${targetSocketId}`
@@ -221,6 +333,7 @@ module.exports = (io) => {
         io.to(targetSocketId).emit("webrtc-offer", {
           offer,
           from: from || currentUserId,
+          userId: currentUserId,
           socketId: socket.id,
         });
         logger.info(`WebRTC offer relayed to ${targetSocketId}`);
@@ -238,6 +351,7 @@ module.exports = (io) => {
     socket.on("webrtc-answer", async (data) => {
       try {
         const { targetSocketId, answer, from } = data;
+        if (!currentRoomId) return;
 
         logger.info(
           `WebRTC answer from ${socket.id} (${from}) to ${targetSocketId}`
@@ -247,6 +361,7 @@ module.exports = (io) => {
         io.to(targetSocketId).emit("webrtc-answer", {
           answer,
           from: from || currentUserId,
+          userId: currentUserId,
           socketId: socket.id,
         });
         logger.info(`WebRTC answer relayed to ${targetSocketId}`);
@@ -266,6 +381,7 @@ module.exports = (io) => {
     socket.on("ice-candidate", async (data) => {
       try {
         const { targetSocketId, candidate } = data;
+        if (!currentRoomId) return;
 
         logger.debug(`ICE candidate from ${socket.id} to ${targetSocketId}`);
 
@@ -290,6 +406,7 @@ module.exports = (io) => {
     socket.on("toggle-audio", async (data) => {
       try {
         const { roomId, isEnabled } = data;
+        if (!currentRoomId || roomId !== currentRoomId) return;
 
         await meetingManager.updateParticipant(roomId, currentUserId, {
           isAudioEnabled: isEnabled,
@@ -315,6 +432,7 @@ module.exports = (io) => {
     socket.on("toggle-video", async (data) => {
       try {
         const { roomId, isEnabled } = data;
+        if (!currentRoomId || roomId !== currentRoomId) return;
 
         await meetingManager.updateParticipant(roomId, currentUserId, {
           isVideoEnabled: isEnabled,
@@ -340,6 +458,7 @@ module.exports = (io) => {
     socket.on("toggle-screen-share", async (data) => {
       try {
         const { roomId, isSharing } = data;
+        if (!currentRoomId || roomId !== currentRoomId) return;
 
         await meetingManager.updateParticipant(roomId, currentUserId, {
           isScreenSharing: isSharing,
@@ -367,6 +486,7 @@ module.exports = (io) => {
     socket.on("change-video-quality", async (data) => {
       try {
         const { roomId, quality } = data;
+        if (!currentRoomId || roomId !== currentRoomId) return;
 
         await meetingManager.updateParticipant(roomId, currentUserId, {
           videoQuality: quality,
@@ -380,6 +500,148 @@ module.exports = (io) => {
       }
     });
 
+    // ============================================
+    // HOST CONTROLS (waiting room, lock, remove)
+    // ============================================
+
+    socket.on("admit-participant", async (data, callback) => {
+      try {
+        const meeting = await getHostedMeeting();
+        if (!meeting) {
+          return reply(callback, { success: false, error: "Only the host can admit participants" });
+        }
+
+        const entry = await meetingManager.getLobbyEntry(currentRoomId, data?.userId);
+        if (!entry) {
+          return reply(callback, { success: false, error: "User is not waiting" });
+        }
+
+        await admitFromLobby(currentRoomId, entry);
+        await emitLobby(currentRoomId);
+
+        logger.info(`Host admitted ${entry.userId} to ${currentRoomId}`);
+        reply(callback, { success: true });
+      } catch (error) {
+        logger.error("Error admitting participant:", error);
+        reply(callback, { success: false, error: "Failed to admit participant" });
+      }
+    });
+
+    socket.on("admit-all", async (data, callback) => {
+      try {
+        const meeting = await getHostedMeeting();
+        if (!meeting) {
+          return reply(callback, { success: false, error: "Only the host can admit participants" });
+        }
+
+        const waiting = await meetingManager.getLobby(currentRoomId);
+        for (const entry of waiting) {
+          await admitFromLobby(currentRoomId, entry);
+        }
+        await emitLobby(currentRoomId);
+
+        logger.info(`Host admitted ${waiting.length} waiting users to ${currentRoomId}`);
+        reply(callback, { success: true, admitted: waiting.length });
+      } catch (error) {
+        logger.error("Error admitting all participants:", error);
+        reply(callback, { success: false, error: "Failed to admit participants" });
+      }
+    });
+
+    socket.on("deny-participant", async (data, callback) => {
+      try {
+        const meeting = await getHostedMeeting();
+        if (!meeting) {
+          return reply(callback, { success: false, error: "Only the host can deny participants" });
+        }
+
+        const entry = await meetingManager.getLobbyEntry(currentRoomId, data?.userId);
+        if (!entry) {
+          return reply(callback, { success: false, error: "User is not waiting" });
+        }
+
+        await meetingManager.removeFromLobby(currentRoomId, entry.userId);
+        io.in(entry.socketId).socketsLeave(lobbyRoom(currentRoomId));
+        io.to(entry.socketId).emit("lobby-denied", {
+          roomId: currentRoomId,
+          message: "The host declined your request to join",
+        });
+        await emitLobby(currentRoomId);
+
+        logger.info(`Host denied ${entry.userId} entry to ${currentRoomId}`);
+        reply(callback, { success: true });
+      } catch (error) {
+        logger.error("Error denying participant:", error);
+        reply(callback, { success: false, error: "Failed to deny participant" });
+      }
+    });
+
+    /**
+     * Lock/unlock mid-meeting: a locked room turns away anyone not yet admitted
+     */
+    socket.on("set-room-lock", async (data, callback) => {
+      try {
+        const meeting = await getHostedMeeting();
+        if (!meeting) {
+          return reply(callback, { success: false, error: "Only the host can lock the meeting" });
+        }
+
+        const locked = !!data?.locked;
+        await meetingManager.updateMeeting(currentRoomId, {
+          settings: { ...meeting.settings, lockRoom: locked },
+        });
+        await Meeting.findOneAndUpdate(
+          { roomId: currentRoomId },
+          { "settings.lockRoom": locked }
+        );
+
+        io.to(currentRoomId).emit("room-lock-changed", {
+          roomId: currentRoomId,
+          locked,
+        });
+
+        logger.info(`Meeting ${currentRoomId} ${locked ? "locked" : "unlocked"} by host`);
+        reply(callback, { success: true, locked });
+      } catch (error) {
+        logger.error("Error changing room lock:", error);
+        reply(callback, { success: false, error: "Failed to change room lock" });
+      }
+    });
+
+    /**
+     * Remove a participant; they need the host's approval to rejoin
+     */
+    socket.on("remove-participant", async (data, callback) => {
+      try {
+        const meeting = await getHostedMeeting();
+        if (!meeting) {
+          return reply(callback, { success: false, error: "Only the host can remove participants" });
+        }
+
+        const targetId = data?.userId?.toString();
+        if (!targetId || targetId === userId) {
+          return reply(callback, { success: false, error: "Invalid participant" });
+        }
+
+        const participant = await meetingManager.getParticipant(currentRoomId, targetId);
+        if (!participant) {
+          return reply(callback, { success: false, error: "Participant not found" });
+        }
+
+        await meetingManager.markRemoved(currentRoomId, targetId);
+
+        // Their disconnect handler cleans up and notifies the room
+        io.to(participant.socketId).emit("control:removed", { by: userId });
+        io.in(participant.socketId).disconnectSockets(true);
+
+        logger.info(`Host removed ${targetId} from ${currentRoomId}`);
+        reply(callback, { success: true });
+      } catch (error) {
+        logger.error("Error removing participant:", error);
+        reply(callback, { success: false, error: "Failed to remove participant" });
+      }
+    });
+
     // ============================================
     // CHAT
     // ============================================
@@ -387,6 +649,7 @@ module.exports = (io) => {
     socket.on("meeting-chat-message", async (data) => {
       try {
         const { roomId, message } = data;
+        if (!currentRoomId || roomId !== currentRoomId) return;
 
         const participant = await meetingManager.getParticipant(
           roomId,
@@ -415,6 +678,8 @@ module.exports = (io) => {
         const roomToLeave = roomId || currentRoomId;
         const userToRemove = currentUserId;
 
+        await leaveLobby();
+
         if (!roomToLeave || !userToRemove) return;
 
         logger.info(`User ${userToRemove} leaving meeting ${roomToLeave}`);
@@ -424,6 +689,7 @@ module.exports = (io) => {
 
         // Leave socket room
         socket.leave(roomToLeave);
+        socket.leave(hostRoom(roomToLeave));
 
         // Notify others
         socket.to(roomToLeave).emit("participant-left", {
@@ -446,14 +712,20 @@ module.exports = (io) => {
             }
           );
 
-          // Delete meeting from Redis
+          // Delete meeting from Redis (closing the SFU router saves any recording)
           await meetingManager.deleteMeeting(roomToLeave);
+          sfuManager.closeRoom(roomToLeave);
+          io.to(lobbyRoom(roomToLeave)).emit("lobby-denied", {
+            roomId: roomToLeave,
+            message: "The meeting has ended",
+          });
 
           logger.info(`Meeting ${roomToLeave} ended (no participants)`);
         }
 
         currentRoomId = null;
         currentUserId = null;
+        socket.data.meetingRoomId = null;
       } catch (error) {
         logger.error("Error leaving meeting:", error);
       }
@@ -467,6 +739,8 @@ module.exports = (io) => {
       try {
         logger.debug(`Socket disconnected: ${socket.id}`);
 
+        await leaveLobby();
+
         // Get room from socket mapping
         const mapping = await meetingManager.getRoomFromSocket(socket.id);
 
@@ -498,6 +772,11 @@ module.exports = (io) => {
             );
 
             await meetingManager.deleteMeeting(roomId);
+            sfuManager.closeRoom(roomId);
+            io.to(lobbyRoom(roomId)).emit("lobby-denied", {
+              roomId,
+              message: "The meeting has ended",
+            });
             logger.info(
               `Meeting ${roomId} ended (no participants after disconnect)`
             );
@@ -34,7 +34,9 @@ app.use((req, res, next) => {
 
 // Routes
 app.use("/api/generate", require("./routes/generation"));
+app.use("/api/quizzes", require("./routes/quizTransfer"));
 app.use("/api/quizzes", require("./routes/quizzes"));
+app.use("/api/question-bank", require("./routes/questionBank"));
 app.use("/api/doubt-solver", require("./routes/doubtSolver"));
 
 // Legacy routes (for backward compatibility with monolith)
@@ -0,0 +1,216 @@
+/**
+ * Question Bank Model
+ * Reusable questions owned by teachers. Quizzes embed a copy pinned to a
+ * version (see Quiz.questions[].bankRef), so editing a bank question never
+ * changes quizzes that were already assembled or results graded against them.
+ */
+
+const mongoose = require("mongoose");
+const { QUESTION_TYPES, LIST_TYPES } = require("../../shared/utils/grading");
+
+// Fields that make up a question's content; changing any of them creates a new version
+const CONTENT_FIELDS = [
+  "question",
+  "type",
+  "options",
+  "correct_answer",
+  "acceptedAnswers",
+  "correctAnswers",
+  "tolerance",
+  "answerRange",
+  "fuzzyThreshold",
+  "partialCredit",
+  "explanation",
+  "points",
+  "timeLimit",
+  "difficulty",
+  "imageUrl",
+];
+
+const BankQuestionSchema = new mongoose.Schema(
+  {
+    question: {
+      type: String,
+      required: true,
+      maxlength: 2000,
+    },
+    type: {
+      type: String,
+      enum: QUESTION_TYPES,
+      default: "multiple-choice",
+    },
+    options: {
+      type: [String],
+      validate: {
+        validator: function (arr) {
+          const needsOptions = ["multiple-choice", ...LIST_TYPES].includes(this.type);
+          return !needsOptions || (arr && arr.length >= 2);
+        },
+        message: "Choice and ordering questions must have at least 2 options",
+      },
+    },
+    correct_answer: {
+      type: String,
+      // Multi-select and ordering questions keep their key in correctAnswers
+      required: function () {
+        return !LIST_TYPES.includes(this.type);
+      },
+    },
+    // Grading options (see shared/utils/grading.js)
+    acceptedAnswers: {
+      type: [String],
+      default: undefined,
+    },
+    correctAnswers: {
+      type: [String],
+      default: undefined,
+    },
+    tolerance: {
+      type: Number,
+      min: 0,
+    },
+    answerRange: {
+      min: Number,
+      max: Number,
+    },
+    fuzzyThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    partialCredit: {
+      type: Boolean,
+      default: true,
+    },
+    explanation: String,
+    points: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    timeLimit: {
+      type: Number,
+      default: 30,
+      min: 5,
+    },
+    difficulty: {
+      type: String,
+      enum: ["Easy", "Medium", "Hard", "Expert"],
+      default: "Medium",
+    },
+    imageUrl: String,
+
+    // Organisation (not versioned)
+    subject: {
+      type: String,
+      trim: true,
+      default: "General",
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+
+    // Ownership
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Shared questions are visible to every teacher, private ones only to the owner
+    isShared: {
+      type: Boolean,
+      default: false,
+    },
+
+    version: {
+      type: Number,
+      default: 1,
+    },
+    // Archived instead of deleted so version history stays resolvable
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        if (ret.correct_answer !== undefined) {
+          ret.correctAnswer = ret.correct_answer;
+          delete ret.correct_answer;
+        }
+        return ret;
+      },
+    },
+  }
+);
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+// 1. Owner's bank listing
+BankQuestionSchema.index({ createdBy: 1, isArchived: 1, updatedAt: -1 });
+
+// 2. Shared bank filtering and random draws
+BankQuestionSchema.index({ isShared: 1, isArchived: 1, subject: 1, difficulty: 1 });
+
+// 3. Tag filtering
+BankQuestionSchema.index({ tags: 1 });
+
+// 4. Text search
+BankQuestionSchema.index({ question: "text", tags: "text", subject: "text" });
+
+// ==========================================
+// METHODS
+// ==========================================
+
+/**
+ * Content snapshot stored in version history and copied into quizzes
+ */
+BankQuestionSchema.methods.getContent = function () {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    content[field] = this[field];
+  }
+  content.tags = this.tags;
+  return content;
+};
+
+/**
+ * Embedded quiz question pinned to this question's current version
+ */
+BankQuestionSchema.methods.toQuizQuestion = function () {
+  return {
+    ...this.getContent(),
+    options: [...(this.options || [])],
+    tags: [...(this.tags || [])],
+    bankRef: {
+      questionId: this._id,
+      version: this.version,
+    },
+  };
+};
+
+BankQuestionSchema.methods.canView = function (user) {
+  return (
+    this.isShared ||
+    this.createdBy.toString() === user.userId ||
+    user.role === "Admin"
+  );
+};
+
+BankQuestionSchema.methods.canEdit = function (user) {
+  return this.createdBy.toString() === user.userId || user.role === "Admin";
+};
+
+BankQuestionSchema.statics.CONTENT_FIELDS = CONTENT_FIELDS;
+
+module.exports = mongoose.model("BankQuestion", BankQuestionSchema);
@@ -0,0 +1,39 @@
+/**
+ * Question Bank Version History
+ * Immutable snapshot of a bank question's content at each version
+ */
+
+const mongoose = require("mongoose");
+
+const BankQuestionVersionSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankQuestion",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    content: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changeNote: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+BankQuestionVersionSchema.index({ questionId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("BankQuestionVersion", BankQuestionVersionSchema);
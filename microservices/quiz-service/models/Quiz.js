@@ -4,6 +4,7 @@
  */
 
 const mongoose = require("mongoose");
+const { QUESTION_TYPES, LIST_TYPES, publicQuestion } = require("../../shared/utils/grading");
 
 const QuestionSchema = new mongoose.Schema(
   {
@@ -13,22 +14,52 @@ const QuestionSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["multiple-choice", "true-false", "descriptive", "fill-in-blank"],
+      enum: QUESTION_TYPES,
       default: "multiple-choice",
     },
     options: {
       type: [String],
       validate: {
         validator: function (arr) {
-          // Options required for multiple-choice, optional for others
-          return this.type !== "multiple-choice" || (arr && arr.length >= 2);
+          // Options required for choice and ordering questions, optional for others
+          const needsOptions = ["multiple-choice", ...LIST_TYPES].includes(this.type);
+          return !needsOptions || (arr && arr.length >= 2);
         },
-        message: "Multiple choice questions must have at least 2 options",
+        message: "Choice and ordering questions must have at least 2 options",
       },
     },
     correct_answer: {
       type: String,
-      required: true,
+      // Multi-select and ordering questions keep their key in correctAnswers
+      required: function () {
+        return !LIST_TYPES.includes(this.type);
+      },
+    },
+    // Grading options (see shared/utils/grading.js)
+    acceptedAnswers: {
+      type: [String],
+      default: undefined,
+    },
+    correctAnswers: {
+      type: [String],
+      default: undefined,
+    },
+    tolerance: {
+      type: Number,
+      min: 0,
+    },
+    answerRange: {
+      min: Number,
+      max: Number,
+    },
+    fuzzyThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    partialCredit: {
+      type: Boolean,
+      default: true,
     },
     explanation: {
       type: String,
@@ -50,6 +81,14 @@ const QuestionSchema = new mongoose.Schema(
     },
     tags: [String],
     imageUrl: String,
+    // Set when copied from the question bank; pins the bank version this copy came from
+    bankRef: {
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "BankQuestion",
+      },
+      version: Number,
+    },
   },
   {
     // Transform to camelCase for API responses
@@ -157,6 +196,7 @@ const QuizSchema = new mongoose.Schema(
         enum: ["manual", "ai-topic", "ai-file", "ai-enhanced"],
       },
       prompt: String,
+      provider: String,
       model: String,
       wasAdaptive: Boolean,
       sourceFile: String,
@@ -291,12 +331,12 @@ QuizSchema.methods.getStudentVersion = function () {
   quizObj.questions = quizObj.questions.map((q) => ({
     question: q.question,
     type: q.type,
-    options: q.options,
+    options: publicQuestion(q).options, // Ordering items shuffled
     points: q.points,
     timeLimit: q.timeLimit,
     difficulty: q.difficulty,
     imageUrl: q.imageUrl,
-    // Exclude correct_answer and explanation
+    // Exclude the answer key (correct_answer, correctAnswers, ...) and explanation
   }));
   return quizObj;
 };
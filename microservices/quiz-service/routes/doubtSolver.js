@@ -17,6 +17,7 @@ const { generalLimiter } = require('../../shared/middleware/rateLimiter');
 
 // Service imports
 const aiService = require('../services/aiService');
+const llm = require('../services/llm');
 
 const router = express.Router();
 const logger = createLogger('doubt-solver');
@@ -115,7 +116,10 @@ Do not answer questions that are not academic or educational in nature.
     }
 
     // Generate AI response using aiService
-    const result = await aiService.generateContent(prompt);
+    const result = await aiService.generateContent(prompt, {
+      provider: llm.requestedProvider(req.user, req.body.provider),
+      tenantId: llm.tenantOf(req.user),
+    });
     
     if (!result || !result.text) {
       throw new Error('Failed to generate AI response');
@@ -124,7 +128,9 @@ Do not answer questions that are not academic or educational in nature.
     return ApiResponse.success(res, { reply: result.text }, 'Doubt solved successfully');
 
   } catch (error) {
-    logger.error('Doubt solver error:', error);
+    if (!error.status) {
+      logger.error('Doubt solver error:', error);
+    }
     
     // Clean up files on error
     if (req.files) {
@@ -139,6 +145,9 @@ Do not answer questions that are not academic or educational in nature.
       });
     }
 
+    if (error.status) {
+      return ApiResponse.error(res, error.message, error.status);
+    }
     return ApiResponse.error(res, 'An error occurred while solving your doubt', 500);
   }
 });
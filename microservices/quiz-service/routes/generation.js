@@ -22,6 +22,8 @@ const { validateFields } = require('../../shared/middleware/inputValidation');
 const { addQuizGenerationJob, getJobStatus } = require('../services/queueManager');
 const cacheManager = require('../services/cacheManager');
 const aiService = require('../services/aiService');
+const adaptiveService = require('../services/adaptiveService');
+const llm = require('../services/llm');
 
 const router = express.Router();
 const logger = createLogger('quiz-generation');
@@ -74,12 +76,18 @@ router.post(
     difficulty: { type: 'string', enum: ['Easy', 'Medium', 'Hard', 'Expert'] },
     useAdaptive: { type: 'boolean' },
     isPublic: { type: 'boolean' },
+    provider: { type: 'string', maxLength: 30 },
   }),
   async (req, res) => {
     try {
       const { topic, numQuestions = 5, difficulty = 'Medium', useAdaptive = false, isPublic = true } = req.body;
       const userId = req.user.userId;
       const userRole = req.user.role;
+      const tenantId = llm.tenantOf(req.user);
+      const provider = llm.requestedProvider(req.user, req.body.provider);
+
+      // Reject an unknown or unavailable provider before queueing the job
+      llm.resolve({ provider, tenantId });
 
       // Check user's daily generation limit
       const limitCheck = await cacheManager.checkUserLimit(userId, userRole);
@@ -93,18 +101,14 @@ router.post(
         );
       }
 
-      // Get adaptive context if needed
+      // Get adaptive context (mastery profile) if needed
       let adaptiveContext = null;
       if (useAdaptive) {
-        adaptiveContext = await cacheManager.getCachedAdaptiveData(userId);
-        if (!adaptiveContext) {
-          // If not cached, you'd typically fetch from Result service here
-          logger.info(`Adaptive data not cached for user: ${userId}`);
-        }
+        adaptiveContext = await adaptiveService.getAdaptiveContext(userId, req.headers, topic);
       }
 
       // Generate job ID for deduplication
-      const jobId = `topic-${userId}-${crypto.createHash('md5').update(`${topic}-${numQuestions}-${difficulty}`).digest('hex')}`;
+      const jobId = `topic-${userId}-${crypto.createHash('md5').update(`${topic}-${numQuestions}-${difficulty}-${provider || ''}`).digest('hex')}`;
 
       // Add job to queue
       const job = await addQuizGenerationJob({
@@ -120,6 +124,8 @@ router.post(
           userId,
           adaptiveContext,
           isPublic,
+          provider,
+          tenantId,
         },
       });
 
@@ -133,6 +139,9 @@ router.post(
         checkStatusUrl: `/api/generate/status/${job.id}`,
       }, 'Quiz generation started', 202);
     } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(res, error.message, error.status);
+      }
       logger.error('Topic generation error:', error);
       return ApiResponse.error(res, 'Failed to start quiz generation', 500);
     }
@@ -164,6 +173,11 @@ router.post(
       const { numQuestions = 5, difficulty = 'Medium', useAdaptive = false, isPublic = true } = req.body;
       const userId = req.user.userId;
       const userRole = req.user.role;
+      const tenantId = llm.tenantOf(req.user);
+      const provider = llm.requestedProvider(req.user, req.body.provider);
+
+      // Reject an unknown or unavailable provider before doing any extraction
+      llm.resolve({ provider, tenantId });
 
       // Check user's daily generation limit
       const limitCheck = await cacheManager.checkUserLimit(userId, userRole);
@@ -198,12 +212,12 @@ router.post(
       // Get adaptive context if needed
       let adaptiveContext = null;
       if (useAdaptive) {
-        adaptiveContext = await cacheManager.getCachedAdaptiveData(userId);
+        adaptiveContext = await adaptiveService.getAdaptiveContext(userId, req.headers);
       }
 
       // Generate job ID
       const fileHash = aiService.generateFileHash(extractedText);
-      const jobId = `file-${userId}-${fileHash.substring(0, 16)}`;
+      const jobId = `file-${userId}-${fileHash.substring(0, 16)}${provider ? `-${provider}` : ''}`;
 
       // Add job to queue
       const job = await addQuizGenerationJob({
@@ -220,6 +234,8 @@ router.post(
           userId,
           adaptiveContext,
           isPublic,
+          provider,
+          tenantId,
         },
       });
 
@@ -245,6 +261,10 @@ router.post(
         fs.unlinkSync(filePath);
       }
 
+      if (error.status) {
+        return ApiResponse.error(res, error.message, error.status);
+      }
+
       return ApiResponse.error(res, 'Failed to start quiz generation from file', 500);
     }
   }
@@ -319,4 +339,34 @@ router.get(
   }
 );
 
+/**
+ * @route   GET /api/generate/providers
+ * @desc    AI providers, which one is the default and which can be chosen per request
+ * @access  Private
+ */
+router.get(
+  '/providers',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const tenantId = llm.tenantOf(req.user);
+      let current = null;
+      try {
+        const resolved = llm.resolve({ tenantId });
+        current = { provider: resolved.name, model: resolved.model };
+      } catch (error) {
+        // Default provider not configured; the list still shows what is available
+      }
+
+      return ApiResponse.success(res, {
+        providers: llm.listProviders(),
+        current,
+      });
+    } catch (error) {
+      logger.error('List providers error:', error);
+      return ApiResponse.error(res, 'Failed to list AI providers', 500);
+    }
+  }
+);
+
 module.exports = router;
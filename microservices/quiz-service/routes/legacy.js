@@ -12,52 +12,35 @@ const mongoose = require('mongoose');
 const { authenticateToken } = require('../../shared/middleware/auth');
 const { heavyLimiter } = require('../../shared/middleware/rateLimiter');
 const aiService = require('../services/aiService');
+const adaptiveService = require('../services/adaptiveService');
+const llm = require('../services/llm');
 const createLogger = require('../../shared/utils/logger');
 
 const router = express.Router();
 const logger = createLogger('legacy-routes');
 
 /**
- * GET /api/adaptive-difficulty
- * Get adaptive difficulty recommendation based on recent performance
+ * GET /api/adaptive-difficulty?topic=
+ * Get adaptive difficulty recommendation from the learner's per-tag mastery
  */
 router.get('/adaptive-difficulty', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const db = mongoose.connection.db;
-
-    // Get last 10 results
-    const results = await db.collection('results')
-      .find({ user: new mongoose.Types.ObjectId(userId) })
-      .sort({ createdAt: -1 })
-      .limit(10)
-      .toArray();
-
-    if (results.length === 0) {
-      return res.json({
-        recommendedDifficulty: 'Medium',
-        message: 'No previous results. Starting with Medium difficulty.',
-        averageScore: null,
-        totalQuizzes: 0
-      });
-    }
-
-    const avgScore = results.reduce((sum, r) => sum + (r.percentage || 0), 0) / results.length;
-    let recommendedDifficulty = 'Medium';
-
-    if (avgScore >= 85) {
-      recommendedDifficulty = 'Hard';
-    } else if (avgScore >= 70) {
-      recommendedDifficulty = 'Medium';
-    } else {
-      recommendedDifficulty = 'Easy';
+    const context = await adaptiveService.getAdaptiveContext(
+      req.user.userId,
+      req.headers,
+      req.query.topic
+    );
+
+    if (!context) {
+      return res.status(503).json({ error: 'Mastery data is temporarily unavailable' });
     }
 
     res.json({
-      recommendedDifficulty,
-      averageScore: Math.round(avgScore),
-      totalQuizzes: results.length,
-      message: `Based on your recent performance (${Math.round(avgScore)}% average), we recommend ${recommendedDifficulty} difficulty.`
+      ...context,
+      // Monolith response fields
+      recommendedDifficulty: context.suggestedDifficulty,
+      averageScore: context.avgScore !== null ? Math.round(context.avgScore) : null,
+      message: context.reason,
     });
   } catch (error) {
     logger.error('Error fetching adaptive difficulty:', error);
@@ -65,6 +48,34 @@ router.get('/adaptive-difficulty', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Resolve difficulty and adaptive context for the synchronous generation routes
+ */
+async function resolveAdaptive(req, difficulty, topic) {
+  const requested = difficulty || 'Medium';
+  const context = await adaptiveService.getAdaptiveContext(req.user.userId, req.headers, topic);
+
+  if (!context) {
+    return { actualDifficulty: requested, adaptiveContext: null, adaptiveInfo: null };
+  }
+
+  const actualDifficulty = context.suggestedDifficulty || requested;
+  return {
+    actualDifficulty,
+    adaptiveContext: context,
+    adaptiveInfo: {
+      originalDifficulty: requested,
+      adaptedDifficulty: actualDifficulty,
+      suggestedDifficulty: actualDifficulty,
+      avgScore: context.avgScore,
+      trend: context.trend,
+      overallMastery: context.overallMastery,
+      weakAreas: context.weakAreas,
+      reason: context.reason,
+    },
+  };
+}
+
 // File upload configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -100,61 +111,37 @@ const upload = multer({
 router.post('/generate-quiz-topic', authenticateToken, heavyLimiter, async (req, res) => {
   try {
     const { topic, numQuestions, difficulty, useAdaptive } = req.body;
+    const provider = llm.requestedProvider(req.user, req.body.provider);
     const userId = req.user.userId;
     const db = mongoose.connection.db;
 
     // Determine actual difficulty
     let actualDifficulty = difficulty || 'Medium';
+    let adaptiveContext = null;
     let adaptiveInfo = null;
 
     if (useAdaptive) {
-      // Get user's adaptive data from results
-      const results = await db.collection('results')
-        .find({ user: new mongoose.Types.ObjectId(userId) })
-        .sort({ createdAt: -1 })
-        .limit(10)
-        .toArray();
-
-      if (results.length > 0) {
-        const avgScore = results.reduce((sum, r) => sum + (r.percentage || 0), 0) / results.length;
-        
-        // Adjust difficulty based on performance
-        if (avgScore >= 85) actualDifficulty = 'Hard';
-        else if (avgScore >= 70) actualDifficulty = 'Medium';
-        else actualDifficulty = 'Easy';
-
-        adaptiveInfo = {
-          originalDifficulty: difficulty,
-          adaptedDifficulty: actualDifficulty,
-          avgScore,
-          reason: `Adjusted based on recent performance (${avgScore.toFixed(1)}%)`
-        };
-      }
+      ({ actualDifficulty, adaptiveContext, adaptiveInfo } = await resolveAdaptive(req, difficulty, topic));
     }
 
     // Generate quiz using AI
-    const prompt = `
-You are an expert quiz maker.
-Create a quiz based on the following topic: "${topic}".
-The quiz should have ${numQuestions || 5} questions.
-The difficulty level should be ${actualDifficulty}.
-
-IMPORTANT: Your response MUST be a valid JSON object. Do not include any text, explanation, or markdown formatting before or after the JSON object.
-The JSON object should be an array of question objects, where each object has the following structure:
-{
-  "question": "Your question here",
-  "options": ["Option A", "Option B", "Option C", "Option D"],
-  "correct_answer": "The correct option text"
-}
-    `;
+    const prompt = aiService.buildTopicPrompt(topic, numQuestions || 5, actualDifficulty, adaptiveContext);
 
-    const questions = await aiService.generateQuestions(prompt);
+    const { questions, quality } = await aiService.generateValidatedQuestions(prompt, {
+      provider,
+      tenantId: llm.tenantOf(req.user),
+      context: `about "${topic}"`,
+      difficulty: actualDifficulty,
+      requested: numQuestions || 5,
+    });
 
     // Save quiz to database
     const newQuiz = {
       title: `AI Quiz: ${topic}${useAdaptive ? ' (Adaptive)' : ''}`,
       questions,
       difficulty: actualDifficulty,
+      // Fallback mastery skill for questions the model left untagged
+      tags: [topic],
       createdBy: new mongoose.Types.ObjectId(userId),
       isPublic: true,
       createdAt: new Date(),
@@ -168,9 +155,13 @@ The JSON object should be an array of question objects, where each object has th
 
     res.status(201).json({
       quiz: savedQuiz,
+      quality,
       adaptiveInfo: useAdaptive ? adaptiveInfo : null
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     logger.error('Error in generate-quiz-topic:', error);
     res.status(500).json({ message: 'Failed to generate quiz from topic.' });
   }
@@ -190,6 +181,7 @@ router.post('/generate-quiz-file', authenticateToken, heavyLimiter, upload.singl
 
     filePath = req.file.path;
     const { numQuestions, useAdaptive, difficulty } = req.body;
+    const provider = llm.requestedProvider(req.user, req.body.provider);
     const userId = req.user.userId;
     const db = mongoose.connection.db;
 
@@ -211,44 +203,23 @@ router.post('/generate-quiz-file', authenticateToken, heavyLimiter, upload.singl
 
     // Determine difficulty
     let actualDifficulty = difficulty || 'Medium';
+    let adaptiveContext = null;
     let adaptiveInfo = null;
 
     if (useAdaptive === 'true' || useAdaptive === true) {
-      const results = await db.collection('results')
-        .find({ user: new mongoose.Types.ObjectId(userId) })
-        .sort({ createdAt: -1 })
-        .limit(10)
-        .toArray();
-
-      if (results.length > 0) {
-        const avgScore = results.reduce((sum, r) => sum + (r.percentage || 0), 0) / results.length;
-        
-        if (avgScore >= 85) actualDifficulty = 'Hard';
-        else if (avgScore >= 70) actualDifficulty = 'Medium';
-        else actualDifficulty = 'Easy';
-
-        adaptiveInfo = {
-          originalDifficulty: difficulty || 'Medium',
-          adaptedDifficulty: actualDifficulty,
-          avgScore,
-          reason: `Adjusted based on recent performance`
-        };
-      }
+      ({ actualDifficulty, adaptiveContext, adaptiveInfo } = await resolveAdaptive(req, difficulty));
     }
 
     // Generate quiz using AI
-    const prompt = `
-You are an expert quiz maker.
-Create a quiz with ${numQuestions || 5} questions at ${actualDifficulty} difficulty level based on the following text content:
----
-${extractedText.substring(0, 8000)}
----
-
-IMPORTANT: Your response MUST be a valid JSON object. Do not include any text, explanation, or markdown formatting before or after the JSON object.
-The JSON object should be an array of question objects, each with "question", "options", and "correct_answer" keys.
-    `;
+    const prompt = aiService.buildFilePrompt(extractedText, numQuestions || 5, actualDifficulty, adaptiveContext);
 
-    const questions = await aiService.generateQuestions(prompt);
+    const { questions, quality } = await aiService.generateValidatedQuestions(prompt, {
+      provider,
+      tenantId: llm.tenantOf(req.user),
+      context: `from the uploaded file "${req.file.originalname}"`,
+      difficulty: actualDifficulty,
+      requested: numQuestions || 5,
+    });
 
     // Save quiz to database
     const quizTitle = `AI Quiz: ${req.file.originalname}${adaptiveInfo ? ' (Adaptive)' : ''}`;
@@ -269,9 +240,13 @@ The JSON object should be an array of question objects, each with "question", "o
 
     res.status(201).json({
       quiz: savedQuiz,
+      quality,
       adaptiveInfo: adaptiveInfo
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     logger.error('Error processing file:', error);
     res.status(500).json({ message: 'An error occurred while processing the file.' });
   } finally {
@@ -319,6 +294,7 @@ router.post('/save-manual-quiz', authenticateToken, async (req, res) => {
 router.post('/generate-pdf-questions', authenticateToken, async (req, res) => {
   try {
     const { topic, numQuestions, difficulty, questionTypes } = req.body;
+    const provider = llm.requestedProvider(req.user, req.body.provider);
 
     // Build prompt based on question types
     const typeMapping = {
@@ -361,7 +337,10 @@ Example format:
 ]
     `;
 
-    const questions = await aiService.generateQuestions(prompt);
+    const questions = await aiService.generateQuestions(prompt, {
+      provider,
+      tenantId: llm.tenantOf(req.user),
+    });
 
     // Format questions for PDF
     const formattedQuestions = questions.map((q, index) => ({
@@ -376,6 +355,9 @@ Example format:
     logger.info(`Generated ${formattedQuestions.length} PDF questions for topic: ${topic}`);
     res.json({ questions: formattedQuestions });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     logger.error('Error generating PDF questions:', error);
     res.status(500).json({
       message: 'Failed to generate questions for PDF',
@@ -0,0 +1,228 @@
+/**
+ * Question Bank Routes
+ * Reusable, versioned questions and quiz assembly from the bank
+ */
+
+const express = require("express");
+const ApiResponse = require("../../shared/utils/response");
+const createLogger = require("../../shared/utils/logger");
+const { authenticateToken } = require("../../shared/middleware/auth");
+const { requireTeacher } = require("../../shared/middleware/roles");
+const { validateFields } = require("../../shared/middleware/inputValidation");
+const { QUESTION_TYPES } = require("../../shared/utils/grading");
+const Quiz = require("../models/Quiz");
+const questionBank = require("../services/questionBank");
+
+const router = express.Router();
+const logger = createLogger("question-bank-routes");
+
+const DIFFICULTIES = ["Easy", "Medium", "Hard", "Expert"];
+
+// Every bank route is for teachers
+router.use(authenticateToken, requireTeacher);
+
+/**
+ * @route   GET /api/question-bank
+ * @desc    Search the bank (own + shared questions)
+ * @query   search, tags, tagMatch (all|any), difficulty, subject, type, owner (me|shared), page, limit
+ * @access  Private (Teacher)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const result = await questionBank.searchQuestions(req.user, req.query);
+    return ApiResponse.success(res, result);
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to search question bank", logger);
+  }
+});
+
+/**
+ * @route   POST /api/question-bank
+ * @desc    Add a question to the bank
+ * @access  Private (Teacher)
+ */
+router.post(
+  "/",
+  validateFields({
+    question: { required: true, type: "string", minLength: 1, maxLength: 2000 },
+    type: { type: "string", enum: QUESTION_TYPES },
+    options: { type: "array" },
+    difficulty: { type: "string", enum: DIFFICULTIES },
+    subject: { type: "string", maxLength: 100 },
+  }),
+  async (req, res) => {
+    try {
+      const question = await questionBank.createQuestion(req.body, req.user);
+      return ApiResponse.created(res, { question });
+    } catch (error) {
+      return ApiResponse.fromError(res, error, "Failed to create question", logger);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/question-bank/draw
+ * @desc    Preview a selection (explicit ids and/or random draws) without creating a quiz
+ * @access  Private (Teacher)
+ */
+router.post("/draw", async (req, res) => {
+  try {
+    const questions = await questionBank.selectQuestions(req.body, req.user);
+    return ApiResponse.success(res, { questions, total: questions.length });
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to draw questions", logger);
+  }
+});
+
+/**
+ * @route   POST /api/question-bank/assemble
+ * @desc    Create a quiz from bank questions by reference and/or random draws
+ * @body    title, description, questionIds[], draws[{ count, tags, difficulty, subject, type }], shuffle, allowPartial
+ * @access  Private (Teacher)
+ */
+router.post(
+  "/assemble",
+  validateFields({
+    title: { required: true, type: "string", minLength: 3, maxLength: 200 },
+    description: { type: "string", maxLength: 1000 },
+    questionIds: { type: "array" },
+    draws: { type: "array" },
+    difficulty: { type: "string", enum: [...DIFFICULTIES, "Mixed"] },
+    category: { type: "string", maxLength: 50 },
+  }),
+  async (req, res) => {
+    try {
+      const quiz = await questionBank.assembleQuiz(req.body, req.user);
+      return ApiResponse.created(res, { quiz });
+    } catch (error) {
+      return ApiResponse.fromError(res, error, "Failed to assemble quiz", logger);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/question-bank/quiz/:quizId/outdated
+ * @desc    List bank questions in a quiz that have newer bank versions
+ * @access  Private (Teacher, quiz owner)
+ */
+router.get("/quiz/:quizId/outdated", async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+
+    if (!quiz) {
+      return ApiResponse.notFound(res, "Quiz not found");
+    }
+    if (quiz.createdBy.toString() !== req.user.userId && req.user.role !== "Admin") {
+      return ApiResponse.forbidden(res, "Not authorized to view this quiz");
+    }
+
+    const outdated = await questionBank.getOutdatedQuestions(quiz);
+    return ApiResponse.success(res, { outdated });
+  } catch (error) {
+    if (error.kind === "ObjectId") {
+      return ApiResponse.notFound(res, "Quiz not found");
+    }
+    return ApiResponse.fromError(res, error, "Failed to check quiz questions", logger);
+  }
+});
+
+/**
+ * @route   GET /api/question-bank/:id
+ * @desc    Get a bank question
+ * @access  Private (Teacher)
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const question = await questionBank.getQuestion(req.params.id, req.user);
+    return ApiResponse.success(res, { question });
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to fetch question", logger);
+  }
+});
+
+/**
+ * @route   PUT /api/question-bank/:id
+ * @desc    Update a bank question; content edits create a new version
+ * @access  Private (Teacher, owner)
+ */
+router.put(
+  "/:id",
+  validateFields({
+    question: { type: "string", minLength: 1, maxLength: 2000 },
+    type: { type: "string", enum: QUESTION_TYPES },
+    options: { type: "array" },
+    difficulty: { type: "string", enum: DIFFICULTIES },
+    subject: { type: "string", maxLength: 100 },
+    changeNote: { type: "string", maxLength: 500 },
+  }),
+  async (req, res) => {
+    try {
+      const question = await questionBank.updateQuestion(req.params.id, req.body, req.user);
+      return ApiResponse.success(res, { question });
+    } catch (error) {
+      return ApiResponse.fromError(res, error, "Failed to update question", logger);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/question-bank/:id
+ * @desc    Archive a bank question (quizzes already using it are unaffected)
+ * @access  Private (Teacher, owner)
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    await questionBank.archiveQuestion(req.params.id, req.user);
+    return ApiResponse.success(res, { message: "Question archived successfully" });
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to archive question", logger);
+  }
+});
+
+/**
+ * @route   GET /api/question-bank/:id/versions
+ * @desc    Version history of a bank question, newest first
+ * @access  Private (Teacher)
+ */
+router.get("/:id/versions", async (req, res) => {
+  try {
+    const versions = await questionBank.getVersions(req.params.id, req.user);
+    return ApiResponse.success(res, { versions });
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to fetch version history", logger);
+  }
+});
+
+/**
+ * @route   GET /api/question-bank/:id/versions/:version
+ * @desc    Content of a specific version
+ * @access  Private (Teacher)
+ */
+router.get("/:id/versions/:version", async (req, res) => {
+  try {
+    const version = await questionBank.getVersion(req.params.id, req.params.version, req.user);
+    return ApiResponse.success(res, { version });
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to fetch version", logger);
+  }
+});
+
+/**
+ * @route   POST /api/question-bank/:id/versions/:version/restore
+ * @desc    Republish an old version's content as the newest version
+ * @access  Private (Teacher, owner)
+ */
+router.post("/:id/versions/:version/restore", async (req, res) => {
+  try {
+    const question = await questionBank.restoreVersion(
+      req.params.id,
+      req.params.version,
+      req.user
+    );
+    return ApiResponse.success(res, { question });
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to restore version", logger);
+  }
+});
+
+module.exports = router;
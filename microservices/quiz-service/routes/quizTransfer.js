@@ -0,0 +1,192 @@
+/**
+ * Quiz Import/Export Routes
+ * GIFT, Moodle XML and IMS QTI 2.1 interchange with LMSes
+ */
+
+const express = require("express");
+const multer = require("multer");
+const path = require("path");
+const validator = require("validator");
+const ApiResponse = require("../../shared/utils/response");
+const createLogger = require("../../shared/utils/logger");
+const { authenticateToken } = require("../../shared/middleware/auth");
+const { requireTeacher } = require("../../shared/middleware/roles");
+const { sanitizeObject } = require("../../shared/middleware/inputValidation");
+const Quiz = require("../models/Quiz");
+const questionBank = require("../services/questionBank");
+const formats = require("../services/formats");
+
+const router = express.Router();
+const logger = createLogger("quiz-transfer");
+
+// Import files are parsed in memory; nothing is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_IMPORT_SIZE) || 5242880, // 5MB
+  },
+});
+
+function isTrue(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+/**
+ * @route   GET /api/quizzes/formats
+ * @desc    List supported import/export formats
+ * @access  Private
+ */
+router.get("/formats", authenticateToken, (req, res) => {
+  const supported = Object.values(formats.FORMATS).map((format) => ({
+    name: format.name,
+    label: format.label,
+    extension: format.extension,
+  }));
+  return ApiResponse.success(res, { formats: supported });
+});
+
+/**
+ * @route   POST /api/quizzes/import
+ * @desc    Import questions from a GIFT, Moodle XML or QTI 2.1 file into a new quiz or the question bank
+ * @body    multipart: file (or content for pasted GIFT), format, destination (quiz|bank), dryRun,
+ *          title, description, category, difficulty, isPublic, tags, subject, isShared
+ * @access  Private (Teacher)
+ */
+router.post(
+  "/import",
+  authenticateToken,
+  requireTeacher,
+  (req, res, next) =>
+    upload.single("file")(req, res, (error) => {
+      if (!error) return next();
+      if (error instanceof multer.MulterError) {
+        error.status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      }
+      return ApiResponse.fromError(res, error, "Failed to read upload", logger);
+    }),
+  async (req, res) => {
+    try {
+      const { content, ...fields } = req.body || {};
+      // Multipart fields arrive after the app-level sanitizer has run
+      const options = sanitizeObject(fields);
+
+      // Pasted GIFT in a JSON body was HTML-escaped by the app-level sanitizer
+      // ("a -&gt; 1"); a multipart field was not
+      const pasted =
+        content && !req.is("multipart/form-data")
+          ? validator.unescape(String(content))
+          : content;
+      const buffer = req.file ? req.file.buffer : pasted ? Buffer.from(String(pasted)) : null;
+      if (!buffer || buffer.length === 0) {
+        return ApiResponse.badRequest(res, "Upload a file or provide content to import");
+      }
+
+      const filename = req.file ? req.file.originalname : "pasted.gift";
+      const parsed = formats.parseQuestions(buffer, { format: options.format, filename });
+      const { report, meta } = parsed;
+      const questions = parsed.questions.map((q) => sanitizeObject(q));
+
+      if (isTrue(options.dryRun)) {
+        return ApiResponse.success(res, { report, questions }, "Import preview");
+      }
+
+      if (questions.length === 0) {
+        return ApiResponse.error(res, "No questions could be imported", 422, report);
+      }
+
+      const tags = String(options.tags || "")
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean);
+
+      if (options.destination === "bank") {
+        const created = [];
+        for (const { category, ...question } of questions) {
+          created.push(
+            await questionBank.createQuestion(
+              {
+                ...question,
+                subject: options.subject || category || meta.category || undefined,
+                tags,
+                isShared: isTrue(options.isShared),
+              },
+              req.user
+            )
+          );
+        }
+
+        logger.info(
+          `Imported ${created.length} ${report.format} questions into the bank for user ${req.user.userId}`
+        );
+        return ApiResponse.created(res, { questions: created, report });
+      }
+
+      const title =
+        options.title ||
+        meta.title ||
+        meta.category ||
+        path.basename(filename, path.extname(filename)).slice(0, 200);
+
+      const quiz = new Quiz({
+        title: title.length >= 3 ? title : `Imported quiz: ${title}`,
+        description: options.description,
+        questions: questions.map(({ category, ...question }) => question),
+        difficulty: options.difficulty || "Medium",
+        category: options.category || meta.category || "General",
+        tags,
+        isPublic: options.isPublic !== undefined ? isTrue(options.isPublic) : true,
+        createdBy: req.user.userId,
+        generationMetadata: {
+          method: "manual",
+          sourceFile: filename,
+          generatedAt: new Date(),
+        },
+      });
+
+      const savedQuiz = await quiz.save();
+      logger.info(
+        `Imported quiz ${savedQuiz._id} from ${report.format} (${report.imported}/${report.total} questions) by user ${req.user.userId}`
+      );
+
+      return ApiResponse.created(res, { quiz: savedQuiz, report });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return ApiResponse.badRequest(res, error.message);
+      }
+      return ApiResponse.fromError(res, error, "Failed to import quiz", logger);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/quizzes/:id/export?format=gift|moodle|qti
+ * @desc    Download a quiz (with answer key) in an LMS interchange format
+ * @access  Private (quiz owner, Admin, or any Teacher for public quizzes)
+ */
+router.get("/:id/export", authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return ApiResponse.notFound(res, "Quiz not found");
+    }
+
+    const isOwner = quiz.createdBy.toString() === req.user.userId;
+    if (!isOwner && req.user.role !== "Admin" && !quiz.isPublic) {
+      return ApiResponse.forbidden(res, "Not authorized to export this quiz");
+    }
+
+    const { body, contentType, filename } = formats.exportQuiz(quiz, req.query.format || "qti");
+
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.send(body);
+  } catch (error) {
+    if (error.kind === "ObjectId") {
+      return ApiResponse.notFound(res, "Quiz not found");
+    }
+    return ApiResponse.fromError(res, error, "Failed to export quiz", logger);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Adaptive Service for Quiz Service
+ * Fetches a learner's mastery profile from result-service and shapes it into
+ * the adaptiveContext used by the AI generation prompts.
+ */
+
+const HttpClient = require("../../shared/utils/httpClient");
+const createLogger = require("../../shared/utils/logger");
+const cacheManager = require("./cacheManager");
+
+const logger = createLogger("adaptive-service");
+
+const RESULT_SERVICE_URL =
+  process.env.RESULT_SERVICE_URL || "http://localhost:3003";
+
+class AdaptiveService {
+  constructor() {
+    this.resultClient = new HttpClient("quiz-service", RESULT_SERVICE_URL);
+  }
+
+  /**
+   * Get the adaptive context for a learner (cached for ADAPTIVE_CACHE_TTL)
+   * @param {String} userId
+   * @param {Object} authHeaders - x-auth-token / Authorization from the request
+   * @param {String} topic - Quiz topic, so related weak tags are listed first
+   * @returns {Object|null} Context, or null when result-service is unavailable
+   */
+  async getAdaptiveContext(userId, authHeaders = {}, topic = "") {
+    const cached = await cacheManager.getCachedAdaptiveData(userId, topic);
+    if (cached) return cached;
+
+    const headers = {};
+    if (authHeaders["x-auth-token"]) headers["x-auth-token"] = authHeaders["x-auth-token"];
+    if (authHeaders.authorization) headers.Authorization = authHeaders.authorization;
+
+    try {
+      const response = await this.resultClient.get("/api/mastery", {
+        headers,
+        params: topic ? { topic } : {},
+      });
+      const profile = response.data?.data?.profile;
+      if (!profile) return null;
+
+      // The full per-skill list stays in result-service (GET /api/mastery)
+      const { skills, ...context } = profile;
+
+      await cacheManager.cacheAdaptiveData(userId, context, topic);
+      return context;
+    } catch (error) {
+      // Generation still works without adaptation
+      logger.warn(`Mastery profile unavailable for user ${userId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new AdaptiveService();
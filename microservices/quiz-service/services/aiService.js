@@ -1,46 +1,35 @@
 /**
  * AI Generation Service with Circuit Breaker and Caching
  * Addresses: AI timeout, circuit breaker, and caching optimizations
+ * Providers (Gemini, OpenAI-compatible, Ollama, fake) are resolved per call by ./llm
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const CircuitBreaker = require('opossum');
 const crypto = require('crypto');
 const createLogger = require('../../shared/utils/logger');
 const cacheManager = require('./cacheManager');
+const llm = require('./llm');
+const questionValidator = require('./questionValidator');
 
 const logger = createLogger('ai-service');
 
-// Validate API key on startup
-const apiKey = process.env.GOOGLE_API_KEY;
-if (!apiKey) {
-  logger.error('GOOGLE_API_KEY environment variable is not set!');
-  throw new Error('GOOGLE_API_KEY is required for quiz generation');
-}
-
-// Initialize Google Gemini AI
-const genAI = new GoogleGenerativeAI(apiKey);
-const model = genAI.getGenerativeModel({ 
-  model: process.env.GEMINI_MODEL || 'gemini-2.5-flash' 
-});
-
 /**
  * Core AI generation function (to be wrapped in circuit breaker)
+ * @param {String} prompt
+ * @param {Object} resolved - { provider, name, model } from llm.resolve()
  */
-async function generateQuizWithAI(prompt) {
+async function generateWithProvider(prompt, resolved) {
   try {
     const startTime = Date.now();
     
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await resolved.provider.generate(prompt, { model: resolved.model });
     
     const duration = Date.now() - startTime;
-    logger.info(`AI generation completed in ${duration}ms`);
+    logger.info(`AI generation (${resolved.name}/${resolved.model}) completed in ${duration}ms`);
     
-    return { text, duration };
+    return { text, duration, provider: resolved.name, model: resolved.model };
   } catch (error) {
-    logger.error('AI generation failed:', error);
+    logger.error(`AI generation (${resolved.name}) failed:`, error);
     throw error;
   }
 }
@@ -57,34 +46,53 @@ const circuitBreakerOptions = {
   name: 'AI Generation Circuit Breaker',
 };
 
-// Wrap AI generation in circuit breaker
-const protectedAIGeneration = new CircuitBreaker(generateQuizWithAI, circuitBreakerOptions);
+// One breaker per provider, so an outage at one provider doesn't block the others
+const breakers = new Map();
+
+function getBreaker(providerName) {
+  if (breakers.has(providerName)) return breakers.get(providerName);
 
-// Circuit breaker event listeners
-protectedAIGeneration.on('open', () => {
-  logger.error('Circuit breaker OPENED - AI service unavailable');
-});
+  const breaker = new CircuitBreaker(generateWithProvider, {
+    ...circuitBreakerOptions,
+    name: `${circuitBreakerOptions.name} (${providerName})`,
+  });
 
-protectedAIGeneration.on('halfOpen', () => {
-  logger.warn('Circuit breaker HALF-OPEN - Testing AI service');
-});
+  // Circuit breaker event listeners
+  breaker.on('open', () => {
+    logger.error(`Circuit breaker OPENED - AI provider ${providerName} unavailable`);
+  });
 
-protectedAIGeneration.on('close', () => {
-  logger.info('Circuit breaker CLOSED - AI service restored');
-});
+  breaker.on('halfOpen', () => {
+    logger.warn(`Circuit breaker HALF-OPEN - Testing AI provider ${providerName}`);
+  });
 
-protectedAIGeneration.on('timeout', () => {
-  logger.warn('AI generation TIMEOUT');
-});
+  breaker.on('close', () => {
+    logger.info(`Circuit breaker CLOSED - AI provider ${providerName} restored`);
+  });
 
-protectedAIGeneration.on('failure', (error) => {
-  logger.error('AI generation FAILURE:', error.message);
-});
+  breaker.on('timeout', () => {
+    logger.warn(`AI generation TIMEOUT (${providerName})`);
+  });
 
-protectedAIGeneration.fallback((prompt) => {
-  logger.error('Circuit breaker FALLBACK triggered');
-  throw new Error('AI service is currently unavailable. Please try again later.');
-});
+  breaker.on('failure', (error) => {
+    logger.error(`AI generation FAILURE (${providerName}):`, error.message);
+  });
+
+  breaker.fallback(() => {
+    logger.error(`Circuit breaker FALLBACK triggered (${providerName})`);
+    throw new Error('AI service is currently unavailable. Please try again later.');
+  });
+
+  breakers.set(providerName, breaker);
+  return breaker;
+}
+
+/**
+ * Run a prompt through the resolved provider's circuit breaker
+ */
+function fireResolved(prompt, resolved) {
+  return getBreaker(resolved.name).fire(prompt, resolved);
+}
 
 /**
  * Extract JSON from AI response (handles markdown formatting)
@@ -110,6 +118,18 @@ function extractJson(text) {
   }
 }
 
+/**
+ * Validate parsed questions and repair failing ones with the same provider
+ */
+function validateQuestions(raw, resolved, { context, difficulty, requested }) {
+  return questionValidator.validateAndRepair(raw, {
+    context,
+    difficulty,
+    requested,
+    repair: async (prompt) => extractJson((await fireResolved(prompt, resolved)).text),
+  });
+}
+
 /**
  * Generate file hash for cache key
  */
@@ -117,6 +137,36 @@ function generateFileHash(content) {
   return crypto.createHash('md5').update(content).digest('hex');
 }
 
+/**
+ * Describe a learner's mastery profile for the adaptive section of a prompt
+ */
+function describeAdaptiveContext(adaptiveContext) {
+  const lines = [];
+
+  if (typeof adaptiveContext.avgScore === 'number') {
+    lines.push(`- Recent average score: ${adaptiveContext.avgScore.toFixed(1)}%`);
+  }
+  if (adaptiveContext.trend) {
+    lines.push(`- Performance trend: ${adaptiveContext.trend}`);
+  }
+  if (typeof adaptiveContext.overallMastery === 'number') {
+    lines.push(`- Estimated mastery: ${Math.round(adaptiveContext.overallMastery * 100)}%`);
+  }
+
+  const formatSkill = (s) => `${s.label} (${Math.round(s.mastery * 100)}% mastery, ${s.accuracy}% correct over ${s.attempts} answers)`;
+
+  if (adaptiveContext.weakSkills && adaptiveContext.weakSkills.length > 0) {
+    lines.push(`- Weak tags: ${adaptiveContext.weakSkills.slice(0, 5).map(formatSkill).join('; ')}`);
+  } else if (adaptiveContext.weakAreas && adaptiveContext.weakAreas.length > 0) {
+    lines.push(`- Weak areas: ${adaptiveContext.weakAreas.join(', ')}`);
+  }
+  if (adaptiveContext.strongSkills && adaptiveContext.strongSkills.length > 0) {
+    lines.push(`- Already mastered: ${adaptiveContext.strongSkills.slice(0, 5).map((s) => s.label).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Build AI prompt for topic-based quiz
  */
@@ -129,13 +179,12 @@ The difficulty level should be ${difficulty}.`;
   // Add adaptive context if available
   if (adaptiveContext) {
     prompt += `\n\nADAPTIVE MODE CONTEXT:
-- User's average score: ${adaptiveContext.avgScore?.toFixed(1)}%
-- Performance trend: ${adaptiveContext.trend}`;
-    
+${describeAdaptiveContext(adaptiveContext)}`;
+
     if (adaptiveContext.weakAreas && adaptiveContext.weakAreas.length > 0) {
-      prompt += `\n- Weak areas to focus on: ${adaptiveContext.weakAreas.join(', ')}`;
+      prompt += `\n\nWhere they fit the topic, aim at least half of the questions at the weak tags and spend few on mastered ones.`;
     }
-    
+
     prompt += `\n\nPlease tailor the questions to help this user improve, maintaining ${difficulty} difficulty.`;
   }
 
@@ -150,7 +199,8 @@ The JSON should be an array of question objects with this exact structure:
     "explanation": "Brief explanation of the answer",
     "points": 1,
     "timeLimit": 30,
-    "difficulty": "${difficulty}"
+    "difficulty": "${difficulty}",
+    "tags": ["1-3 short skill or subtopic tags this question tests"]
   }
 ]`;
 
@@ -171,14 +221,9 @@ ${extractedText.substring(0, 8000)}
   // Add adaptive context if available
   if (adaptiveContext) {
     prompt += `\n\nIMPORTANT CONTEXT: This quiz is for a user with:
-- Average performance: ${adaptiveContext.avgScore?.toFixed(1)}%
-- Performance trend: ${adaptiveContext.trend}`;
-    
-    if (adaptiveContext.weakAreas && adaptiveContext.weakAreas.length > 0) {
-      prompt += `\n- Weak areas: ${adaptiveContext.weakAreas.join(', ')}`;
-    }
-    
-    prompt += `\n\nAdjust the difficulty and focus accordingly.`;
+${describeAdaptiveContext(adaptiveContext)}`;
+
+    prompt += `\n\nAdjust the difficulty and focus accordingly, favouring weak tags the content covers.`;
   }
 
   prompt += `\n\nIMPORTANT: Your response MUST be a valid JSON array with the following structure:
@@ -191,7 +236,8 @@ ${extractedText.substring(0, 8000)}
     "explanation": "Brief explanation",
     "points": 1,
     "timeLimit": 30,
-    "difficulty": "${difficulty}"
+    "difficulty": "${difficulty}",
+    "tags": ["1-3 short skill or subtopic tags this question tests"]
   }
 ]`;
 
@@ -208,11 +254,24 @@ async function generateQuizFromTopic({
   useAdaptive = false,
   userId = null,
   adaptiveContext = null,
+  provider = null,
+  tenantId = null,
 }) {
   try {
-    // Check cache first
-    const cacheKey = cacheManager.getTopicQuizKey(topic, numQuestions, difficulty, useAdaptive);
-    const cached = await cacheManager.getCachedQuiz(cacheKey);
+    const resolved = llm.resolve({ provider, tenantId });
+
+    // Prompts built from a learner's mastery are personal; never share them through the cache
+    const personalized = !!(useAdaptive && adaptiveContext);
+
+    // Check cache first (per provider/model, so a fake or local model never serves a Gemini request)
+    const cacheKey = cacheManager.getTopicQuizKey(
+      topic,
+      numQuestions,
+      difficulty,
+      useAdaptive,
+      `${resolved.name}/${resolved.model}`
+    );
+    const cached = personalized ? null : await cacheManager.getCachedQuiz(cacheKey);
     
     if (cached) {
       logger.info(`Returning cached quiz for topic: ${topic}`);
@@ -220,6 +279,9 @@ async function generateQuizFromTopic({
         questions: cached.questions,
         fromCache: true,
         cacheKey,
+        provider: resolved.name,
+        model: resolved.model,
+        quality: cached.quality,
         adaptiveInfo: cached.adaptiveInfo,
       };
     }
@@ -228,33 +290,39 @@ async function generateQuizFromTopic({
     const prompt = buildTopicPrompt(topic, numQuestions, difficulty, adaptiveContext);
     
     // Generate with circuit breaker protection
-    const { text, duration } = await protectedAIGeneration.fire(prompt);
+    const { text, duration } = await fireResolved(prompt, resolved);
     
-    // Extract and parse questions
-    const questions = extractJson(text);
-    
-    if (!Array.isArray(questions) || questions.length === 0) {
-      throw new Error('AI did not return valid questions array');
-    }
+    // Extract, validate and repair questions
+    const { questions, quality } = await validateQuestions(extractJson(text), resolved, {
+      context: `about "${topic}"`,
+      difficulty,
+      requested: numQuestions,
+    });
     
     // Prepare result
     const result = {
       questions,
+      quality,
       fromCache: false,
       generationTime: duration,
+      provider: resolved.name,
+      model: resolved.model,
       adaptiveInfo: useAdaptive && adaptiveContext ? {
         originalDifficulty: difficulty,
         adaptedDifficulty: adaptiveContext.suggestedDifficulty || difficulty,
         reason: adaptiveContext.reason,
         avgScore: adaptiveContext.avgScore,
         trend: adaptiveContext.trend,
+        weakAreas: adaptiveContext.weakAreas,
       } : null,
     };
     
     // Cache for future use
-    await cacheManager.cacheQuiz(cacheKey, result, cacheManager.QUIZ_CACHE_TTL);
+    if (!personalized) {
+      await cacheManager.cacheQuiz(cacheKey, result, cacheManager.QUIZ_CACHE_TTL);
+    }
     
-    logger.info(`Generated and cached quiz for topic: ${topic}`);
+    logger.info(`Generated quiz for topic: ${topic}${personalized ? ' (adaptive, not cached)' : ''}`);
     return result;
   } catch (error) {
     logger.error(`Failed to generate quiz from topic: ${topic}`, error);
@@ -273,14 +341,24 @@ async function generateQuizFromFile({
   userId = null,
   adaptiveContext = null,
   fileName = 'unknown',
+  provider = null,
+  tenantId = null,
 }) {
   try {
+    const resolved = llm.resolve({ provider, tenantId });
+
     // Generate file hash for cache key
     const fileHash = generateFileHash(extractedText);
-    const cacheKey = cacheManager.getFileQuizKey(fileHash, numQuestions, difficulty);
+    const cacheKey = cacheManager.getFileQuizKey(
+      fileHash,
+      numQuestions,
+      difficulty,
+      `${resolved.name}/${resolved.model}`
+    );
+    const personalized = !!(useAdaptive && adaptiveContext);
     
-    // Check cache first
-    const cached = await cacheManager.getCachedQuiz(cacheKey);
+    // Check cache first (adaptive prompts are personal and bypass it)
+    const cached = personalized ? null : await cacheManager.getCachedQuiz(cacheKey);
     
     if (cached) {
       logger.info(`Returning cached quiz for file: ${fileName}`);
@@ -288,6 +366,9 @@ async function generateQuizFromFile({
         questions: cached.questions,
         fromCache: true,
         cacheKey,
+        provider: resolved.name,
+        model: resolved.model,
+        quality: cached.quality,
         adaptiveInfo: cached.adaptiveInfo,
       };
     }
@@ -296,20 +377,23 @@ async function generateQuizFromFile({
     const prompt = buildFilePrompt(extractedText, numQuestions, difficulty, adaptiveContext);
     
     // Generate with circuit breaker protection
-    const { text, duration } = await protectedAIGeneration.fire(prompt);
+    const { text, duration } = await fireResolved(prompt, resolved);
     
-    // Extract and parse questions
-    const questions = extractJson(text);
-    
-    if (!Array.isArray(questions) || questions.length === 0) {
-      throw new Error('AI did not return valid questions array');
-    }
+    // Extract, validate and repair questions
+    const { questions, quality } = await validateQuestions(extractJson(text), resolved, {
+      context: `from the uploaded file "${fileName}"`,
+      difficulty,
+      requested: numQuestions,
+    });
     
     // Prepare result
     const result = {
       questions,
+      quality,
       fromCache: false,
       generationTime: duration,
+      provider: resolved.name,
+      model: resolved.model,
       adaptiveInfo: useAdaptive && adaptiveContext ? {
         originalDifficulty: difficulty,
         adaptedDifficulty: adaptiveContext.suggestedDifficulty || difficulty,
@@ -319,9 +403,11 @@ async function generateQuizFromFile({
     };
     
     // Cache for longer (files are more stable content)
-    await cacheManager.cacheQuiz(cacheKey, result, cacheManager.FILE_QUIZ_CACHE_TTL);
+    if (!personalized) {
+      await cacheManager.cacheQuiz(cacheKey, result, cacheManager.FILE_QUIZ_CACHE_TTL);
+    }
     
-    logger.info(`Generated and cached quiz for file: ${fileName}`);
+    logger.info(`Generated quiz for file: ${fileName}${personalized ? ' (adaptive, not cached)' : ''}`);
     return result;
   } catch (error) {
     logger.error(`Failed to generate quiz from file: ${fileName}`, error);
@@ -330,26 +416,39 @@ async function generateQuizFromFile({
 }
 
 /**
- * Get circuit breaker stats
+ * Get circuit breaker stats (default provider first, then every provider used so far)
  */
 function getCircuitBreakerStats() {
+  const describe = (breaker) => ({
+    state: breaker.opened ? 'OPEN' : breaker.halfOpen ? 'HALF-OPEN' : 'CLOSED',
+    stats: breaker.stats,
+  });
+
+  const defaultProvider = llm.listProviders().find((p) => p.isDefault);
+  const providers = {};
+  for (const [name, breaker] of breakers) {
+    providers[name] = describe(breaker);
+  }
+
   return {
-    state: protectedAIGeneration.opened ? 'OPEN' : protectedAIGeneration.halfOpen ? 'HALF-OPEN' : 'CLOSED',
-    stats: protectedAIGeneration.stats,
+    ...(providers[defaultProvider.name] || { state: 'CLOSED', stats: null }),
+    provider: defaultProvider.name,
     options: {
       timeout: circuitBreakerOptions.timeout,
       errorThreshold: circuitBreakerOptions.errorThresholdPercentage,
       resetTimeout: circuitBreakerOptions.resetTimeout,
     },
+    providers,
   };
 }
 
 /**
  * Generate content from prompt (for doubt solver)
+ * @param {Object} options - { provider, tenantId }
  */
-async function generateContent(prompt) {
+async function generateContent(prompt, options = {}) {
   try {
-    const result = await protectedAIGeneration.fire(prompt);
+    const result = await fireResolved(prompt, llm.resolve(options));
     return result;
   } catch (error) {
     logger.error('Content generation error:', error);
@@ -358,12 +457,29 @@ async function generateContent(prompt) {
 }
 
 /**
- * Generate questions from prompt (for legacy routes)
+ * Generate quiz questions from prompt, validated and repaired (for legacy routes)
+ * @param {Object} options - { provider, tenantId, context, difficulty, requested }
+ * @returns {Object} { questions, quality }
+ */
+async function generateValidatedQuestions(prompt, options = {}) {
+  try {
+    const resolved = llm.resolve(options);
+    const result = await fireResolved(prompt, resolved);
+    return await validateQuestions(extractJson(result.text), resolved, options);
+  } catch (error) {
+    logger.error('Question generation error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate questions from prompt (free-form shapes such as PDF export)
  * Returns parsed questions array
+ * @param {Object} options - { provider, tenantId }
  */
-async function generateQuestions(prompt) {
+async function generateQuestions(prompt, options = {}) {
   try {
-    const result = await protectedAIGeneration.fire(prompt);
+    const result = await fireResolved(prompt, llm.resolve(options));
     const questions = extractJson(result.text);
     return questions;
   } catch (error) {
@@ -377,8 +493,12 @@ module.exports = {
   generateQuizFromFile,
   generateContent,
   generateQuestions,
+  generateValidatedQuestions,
   extractJson,
   generateFileHash,
+  buildTopicPrompt,
+  buildFilePrompt,
   getCircuitBreakerStats,
-  protectedAIGeneration,
+  getBreaker,
+  listProviders: llm.listProviders,
 };
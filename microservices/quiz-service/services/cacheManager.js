@@ -25,23 +25,26 @@ class QuizCacheManager extends RedisClient {
   /**
    * Generate cache key for topic-based quiz
    */
-  getTopicQuizKey(topic, numQuestions, difficulty, useAdaptive = false) {
+  getTopicQuizKey(topic, numQuestions, difficulty, useAdaptive = false, provider = '') {
     const normalized = topic.toLowerCase().trim().replace(/\s+/g, '-');
-    return `quiz:topic:${normalized}:${numQuestions}:${difficulty}:${useAdaptive ? 'adaptive' : 'normal'}`;
+    const key = `quiz:topic:${normalized}:${numQuestions}:${difficulty}:${useAdaptive ? 'adaptive' : 'normal'}`;
+    return provider ? `${key}:${provider}` : key;
   }
 
   /**
    * Generate cache key for file-based quiz
    */
-  getFileQuizKey(fileHash, numQuestions, difficulty) {
-    return `quiz:file:${fileHash}:${numQuestions}:${difficulty}`;
+  getFileQuizKey(fileHash, numQuestions, difficulty, provider = '') {
+    const key = `quiz:file:${fileHash}:${numQuestions}:${difficulty}`;
+    return provider ? `${key}:${provider}` : key;
   }
 
   /**
-   * Generate cache key for adaptive difficulty
+   * Generate cache key for adaptive difficulty (mastery profile, optionally per topic)
    */
-  getAdaptiveKey(userId) {
-    return `adaptive:${userId}`;
+  getAdaptiveKey(userId, topic = '') {
+    const normalized = String(topic || '').toLowerCase().trim().replace(/\s+/g, '-');
+    return normalized ? `adaptive:${userId}:${normalized}` : `adaptive:${userId}`;
   }
 
   /**
@@ -87,9 +90,9 @@ class QuizCacheManager extends RedisClient {
   /**
    * Cache adaptive difficulty data
    */
-  async cacheAdaptiveData(userId, adaptiveData) {
+  async cacheAdaptiveData(userId, adaptiveData, topic = '') {
     try {
-      const key = this.getAdaptiveKey(userId);
+      const key = this.getAdaptiveKey(userId, topic);
       await this.set(key, JSON.stringify(adaptiveData), this.ADAPTIVE_CACHE_TTL);
       logger.info(`Adaptive data cached for user: ${userId}`);
       return true;
@@ -102,9 +105,9 @@ class QuizCacheManager extends RedisClient {
   /**
    * Get cached adaptive difficulty data
    */
-  async getCachedAdaptiveData(userId) {
+  async getCachedAdaptiveData(userId, topic = '') {
     try {
-      const key = this.getAdaptiveKey(userId);
+      const key = this.getAdaptiveKey(userId, topic);
       const cached = await this.get(key);
       if (cached) {
         logger.info(`Adaptive data cache HIT: ${userId}`);
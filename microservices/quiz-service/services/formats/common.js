@@ -0,0 +1,238 @@
+/**
+ * Shared helpers for quiz import/export formats
+ *
+ * Every parser returns the same shape so routes can report on any format:
+ *   { meta: { title, category }, items: [{ title, question, errors, warnings }] }
+ * where `question` is in Quiz question schema shape (correct_answer holds the
+ * option text for multiple-choice, "True"/"False" for true-false;
+ * multi-select keeps the correct options' text in correctAnswers).
+ */
+
+const { getAnswerList } = require("../../../shared/utils/grading");
+const { httpError } = require("../../../shared/utils/httpError");
+
+const QUESTION_TYPES = ["multiple-choice", "multi-select", "true-false", "descriptive", "fill-in-blank"];
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  times: "×",
+  divide: "÷",
+  deg: "°",
+  plusmn: "±",
+};
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Flatten LMS rich text (HTML) to the plain text quizzes store
+ */
+function htmlToText(html) {
+  if (html === undefined || html === null) return "";
+  const text = String(html)
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6])>/gi, "\n")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Wrap text in CDATA, splitting any "]]>" it contains
+ */
+function cdata(value) {
+  return `<![CDATA[${String(value || "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+/**
+ * Map "true"/"t"/"false"/"f" to the true-false answer values the quiz player uses
+ */
+function toTrueFalse(value) {
+  const text = String(value).trim().toLowerCase();
+  if (["true", "t"].includes(text)) return "True";
+  if (["false", "f"].includes(text)) return "False";
+  return null;
+}
+
+/**
+ * The stored multiple-choice key may be option text, an index or a letter
+ */
+function resolveCorrectOption(question) {
+  const options = question.options || [];
+  const answer = question.correct_answer ?? question.correctAnswer;
+  const text = String(answer === undefined || answer === null ? "" : answer).trim();
+
+  const exact = options.findIndex((opt) => opt.trim() === text);
+  if (exact !== -1) return exact;
+
+  const caseless = options.findIndex((opt) => opt.trim().toLowerCase() === text.toLowerCase());
+  if (caseless !== -1) return caseless;
+
+  if (/^\d+$/.test(text) && options[parseInt(text)] !== undefined) return parseInt(text);
+
+  const letter = text.toLowerCase().match(/^([a-z])\)?$/);
+  if (letter && options[letter[1].charCodeAt(0) - 97] !== undefined) {
+    return letter[1].charCodeAt(0) - 97;
+  }
+
+  return -1;
+}
+
+/**
+ * Check a converted question against what the Quiz schema and grader need
+ * @returns {Array<String>} Error messages, empty when the question is importable
+ */
+function validateQuestion(question) {
+  const errors = [];
+
+  if (!question.question || !question.question.trim()) {
+    errors.push("Question text is empty");
+  }
+  if (!QUESTION_TYPES.includes(question.type)) {
+    errors.push(`Unsupported question type "${question.type}"`);
+    return errors;
+  }
+  if (question.type === "multi-select") {
+    const correct = question.correctAnswers || [];
+    if (correct.length === 0) {
+      errors.push("No correct answer found");
+    }
+    if (!question.options || question.options.length < 2) {
+      errors.push("Multi-select questions need at least 2 options");
+    } else if (correct.some((answer) => !question.options.includes(answer))) {
+      errors.push("Correct answers do not all match an option");
+    }
+    return errors;
+  }
+
+  if (question.correct_answer === undefined || String(question.correct_answer).trim() === "") {
+    errors.push("No correct answer found");
+  }
+
+  if (question.type === "multiple-choice") {
+    if (!question.options || question.options.length < 2) {
+      errors.push("Multiple choice questions need at least 2 options");
+    } else if (resolveCorrectOption(question) === -1) {
+      errors.push("Correct answer does not match any option");
+    }
+  }
+
+  if (question.type === "true-false" && !toTrueFalse(question.correct_answer)) {
+    errors.push("True/false answer must be True or False");
+  }
+
+  return errors;
+}
+
+/**
+ * Drop empty optional fields and clamp points to the schema minimum
+ */
+function cleanQuestion(question) {
+  const cleaned = {
+    question: question.question.trim(),
+    type: question.type,
+    correct_answer: String(question.correct_answer).trim(),
+  };
+
+  if (question.type === "multiple-choice") {
+    cleaned.options = question.options.map((opt) => String(opt).trim());
+    cleaned.correct_answer = cleaned.options[resolveCorrectOption(question)];
+  }
+  if (question.type === "true-false") {
+    cleaned.options = ["True", "False"];
+    cleaned.correct_answer = toTrueFalse(question.correct_answer);
+  }
+  if (question.type === "multi-select") {
+    cleaned.options = question.options.map((opt) => String(opt).trim());
+    cleaned.correctAnswers = question.correctAnswers.map((answer) => String(answer).trim());
+    delete cleaned.correct_answer;
+  }
+  if (question.explanation && question.explanation.trim()) {
+    cleaned.explanation = question.explanation.trim();
+  }
+  if (question.points !== undefined && Number.isFinite(Number(question.points))) {
+    cleaned.points = Math.max(1, Math.round(Number(question.points)));
+  }
+
+  return cleaned;
+}
+
+/**
+ * Keep only a quiz's questions in a form the serializers can rely on
+ */
+function exportableQuestions(quiz) {
+  return (quiz.questions || []).map((q, index) => {
+    const question = typeof q.toObject === "function" ? q.toObject() : q;
+    const correct = question.correct_answer ?? question.correctAnswer;
+    const type = question.type || "multiple-choice";
+
+    let correctAnswer = String(correct === undefined || correct === null ? "" : correct);
+    if (type === "multiple-choice") {
+      const optionIndex = resolveCorrectOption({ ...question, correct_answer: correctAnswer });
+      if (optionIndex !== -1) correctAnswer = question.options[optionIndex];
+    }
+    if (type === "true-false") {
+      correctAnswer = toTrueFalse(correctAnswer) || "True";
+    }
+
+    return {
+      number: index + 1,
+      question: question.question || "",
+      type,
+      options: question.options || [],
+      correctAnswer,
+      correctAnswers: type === "multi-select" ? getAnswerList(question).map(String) : [],
+      explanation: question.explanation || "",
+      points: question.points || 1,
+    };
+  });
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  decodeEntities,
+  htmlToText,
+  escapeXml,
+  cdata,
+  toTrueFalse,
+  resolveCorrectOption,
+  validateQuestion,
+  cleanQuestion,
+  exportableQuestions,
+};
@@ -0,0 +1,307 @@
+/**
+ * GIFT format (Moodle's plain-text question format)
+ * https://docs.moodle.org/en/GIFT_format
+ */
+
+const { htmlToText, toTrueFalse, exportableQuestions } = require("./common");
+
+const SPECIAL_CHARS = /([~=#{}:\\])/g;
+
+/**
+ * Index of `token` in `text` from `start`, skipping backslash-escaped matches
+ */
+function findUnescaped(text, token, start = 0) {
+  let index = text.indexOf(token, start);
+  while (index !== -1) {
+    let backslashes = 0;
+    for (let i = index - 1; i >= 0 && text[i] === "\\"; i--) backslashes++;
+    if (backslashes % 2 === 0) return index;
+    index = text.indexOf(token, index + 1);
+  }
+  return -1;
+}
+
+function unescape(text) {
+  return text.replace(/\\n/g, "\n").replace(/\\([~=#{}:\\])/g, "$1");
+}
+
+function escape(text) {
+  return String(text || "")
+    .replace(SPECIAL_CHARS, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Strip an optional [html]/[markdown]/[plain]/[moodle] text format prefix
+ */
+function readText(raw) {
+  const trimmed = raw.trim();
+  const match = trimmed.match(/^\[(html|markdown|plain|moodle)\]/i);
+  if (!match) return unescape(trimmed).trim();
+
+  const text = unescape(trimmed.slice(match[0].length)).trim();
+  return match[1].toLowerCase() === "html" ? htmlToText(text) : text;
+}
+
+/**
+ * Split "text#feedback" on the first unescaped #
+ */
+function splitFeedback(raw) {
+  const index = findUnescaped(raw, "#");
+  if (index === -1) return { text: raw, feedback: "" };
+  return { text: raw.slice(0, index), feedback: raw.slice(index + 1) };
+}
+
+/**
+ * Split an answer block into { marker, weight, text, feedback } entries
+ */
+function splitAnswers(body) {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === "\\") {
+      if (current) current.raw += char + (body[i + 1] || "");
+      i++;
+      continue;
+    }
+    if (char === "~" || char === "=") {
+      current = { marker: char, raw: "" };
+      answers.push(current);
+      continue;
+    }
+    if (current) current.raw += char;
+  }
+
+  return answers.map(({ marker, raw }) => {
+    let text = raw.trim();
+    let weight = marker === "=" ? 100 : 0;
+
+    const weighted = text.match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (weighted) {
+      weight = parseFloat(weighted[1]);
+      text = text.slice(weighted[0].length);
+    }
+
+    const { text: answerText, feedback } = splitFeedback(text);
+    return { marker, weight, text: readText(answerText), feedback: readText(feedback) };
+  });
+}
+
+function parseTrueFalse(body, item) {
+  const [value] = body.split("#");
+  item.question.type = "true-false";
+  item.question.options = ["True", "False"];
+  item.question.correct_answer = toTrueFalse(value);
+}
+
+function parseNumerical(body, item) {
+  const spec = body.slice(1).trim();
+  const answers = spec.startsWith("=") ? splitAnswers(spec).filter((a) => a.weight >= 100) : null;
+  const first = answers ? answers[0] && answers[0].text : splitFeedback(spec).text.trim();
+
+  item.question.type = "fill-in-blank";
+
+  if (!first) return;
+  if (first.includes("..")) {
+    item.errors.push(`Numeric range answers ("${first}") are not supported`);
+    return;
+  }
+
+  const [value, tolerance] = first.split(":");
+  item.question.correct_answer = value.trim();
+
+  if (tolerance && parseFloat(tolerance) !== 0) {
+    item.warnings.push(`Tolerance ±${tolerance.trim()} dropped; the exact value is required`);
+  }
+  if (answers && answers.length > 1) {
+    item.warnings.push(`${answers.length - 1} alternative numeric answer(s) dropped`);
+  }
+}
+
+function parseChoices(body, item) {
+  if (findUnescaped(body, "->") !== -1) {
+    item.question.type = "matching";
+    return;
+  }
+
+  const answers = splitAnswers(body);
+  const hasDistractors = answers.some((a) => a.marker === "~");
+
+  // Only "=" answers: short answer, any of them accepted
+  if (!hasDistractors) {
+    item.question.type = "fill-in-blank";
+    item.question.correct_answer = answers[0] ? answers[0].text : "";
+    if (answers.length > 1) {
+      item.warnings.push(
+        `Alternative answers dropped: ${answers.slice(1).map((a) => a.text).join(", ")}`
+      );
+    }
+    return;
+  }
+
+  const correct = answers.filter((a) => a.weight >= 100);
+  const partial = answers.filter((a) => a.weight > 0 && a.weight < 100);
+
+  item.question.type = "multiple-choice";
+  item.question.options = answers.map((a) => a.text);
+
+  if (correct.length !== 1) {
+    item.errors.push(
+      correct.length === 0 && partial.length > 0
+        ? "Multiple-answer questions are not supported"
+        : `Expected exactly one correct answer, found ${correct.length}`
+    );
+    return;
+  }
+
+  item.question.correct_answer = correct[0].text;
+  if (!item.question.explanation && correct[0].feedback) {
+    item.question.explanation = correct[0].feedback;
+  }
+  if (partial.length > 0) {
+    item.warnings.push("Partial credit on distractors dropped");
+  }
+}
+
+function parseBlock(block, category) {
+  let text = block;
+  let title = "";
+
+  if (text.startsWith("::")) {
+    const end = findUnescaped(text, "::", 2);
+    if (end !== -1) {
+      title = unescape(text.slice(2, end)).trim();
+      text = text.slice(end + 2);
+    }
+  }
+
+  const item = {
+    title,
+    question: { category },
+    errors: [],
+    warnings: [],
+  };
+
+  const open = findUnescaped(text, "{");
+  const close = open === -1 ? -1 : findUnescaped(text, "}", open);
+
+  if (open === -1 || close === -1) {
+    item.question.question = readText(text);
+    item.title = item.title || item.question.question.slice(0, 60);
+    item.errors.push("No answer block; description items are not imported");
+    return item;
+  }
+
+  const before = readText(text.slice(0, open));
+  const after = readText(text.slice(close + 1));
+  item.question.question = after ? `${before} _____ ${after}` : before;
+
+  let body = text.slice(open + 1, close).trim();
+
+  const generalFeedback = findUnescaped(body, "####");
+  if (generalFeedback !== -1) {
+    item.question.explanation = readText(body.slice(generalFeedback + 4));
+    body = body.slice(0, generalFeedback).trim();
+  }
+
+  if (!body) {
+    // Essay: the general feedback is the only place a model answer can live
+    item.question.type = "descriptive";
+    item.question.correct_answer = item.question.explanation;
+    delete item.question.explanation;
+    if (item.question.correct_answer) {
+      item.warnings.push("Essay question: general feedback used as the model answer");
+    }
+  } else if (/^(T|TRUE|F|FALSE)\s*(#|$)/i.test(body)) {
+    parseTrueFalse(body, item);
+  } else if (body.startsWith("#")) {
+    parseNumerical(body, item);
+  } else {
+    parseChoices(body, item);
+  }
+
+  if (!item.title) item.title = item.question.question.slice(0, 60);
+  return item;
+}
+
+/**
+ * Parse GIFT text into import items
+ * @param {Buffer|String} input
+ */
+function parse(input) {
+  const lines = String(input)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("//"));
+
+  const blocks = lines
+    .join("\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+  const items = [];
+  let category = "";
+  const meta = {};
+
+  for (let block of blocks) {
+    const categoryLine = block.match(/^\$CATEGORY:\s*(.*)$/m);
+    if (categoryLine && block.startsWith("$CATEGORY:")) {
+      category = categoryLine[1].trim().split("/").pop();
+      meta.category = meta.category || category;
+      block = block.slice(categoryLine[0].length).trim();
+      if (!block) continue;
+    }
+    items.push(parseBlock(block, category));
+  }
+
+  return { meta, items };
+}
+
+function answerBlock(q) {
+  const feedback = q.explanation ? `\n####${escape(q.explanation)}` : "";
+
+  switch (q.type) {
+    case "true-false":
+      return `{${q.correctAnswer === "True" ? "TRUE" : "FALSE"}${feedback}}`;
+    case "fill-in-blank":
+      return `{=${escape(q.correctAnswer)}${feedback}}`;
+    case "descriptive":
+      // GIFT essays have no answer key; carry the model answer as general feedback
+      return `{####${escape(q.correctAnswer)}}`;
+    case "multiple-choice":
+    default: {
+      const options = q.options
+        .map((opt) => `\n${opt === q.correctAnswer ? "=" : "~"}${escape(opt)}`)
+        .join("");
+      return `{${options}${feedback}\n}`;
+    }
+  }
+}
+
+/**
+ * Serialize a quiz to GIFT text
+ */
+function serialize(quiz) {
+  const header = [`// ${quiz.title}`];
+  if (quiz.description) header.push(`// ${quiz.description.replace(/\r?\n/g, " ")}`);
+  header.push(`$CATEGORY: $course$/${quiz.category || "General"}`);
+
+  const questions = exportableQuestions(quiz).map(
+    (q) => `::Q${q.number}::[plain]${escape(q.question)} ${answerBlock(q)}`
+  );
+
+  return `${header.join("\n")}\n\n${questions.join("\n\n")}\n`;
+}
+
+module.exports = {
+  name: "gift",
+  label: "GIFT",
+  extension: "gift",
+  contentType: "text/plain; charset=utf-8",
+  parse,
+  serialize,
+};
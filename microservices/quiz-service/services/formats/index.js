@@ -0,0 +1,130 @@
+/**
+ * Quiz Import/Export Formats
+ * Registry of interchange formats plus the validation report shared by all imports
+ */
+
+const path = require("path");
+const gift = require("./gift");
+const moodleXml = require("./moodleXml");
+const qti = require("./qti");
+const { validateQuestion, cleanQuestion } = require("./common");
+const { httpError } = require("../../../shared/utils/httpError");
+
+const FORMATS = {
+  [gift.name]: gift,
+  [moodleXml.name]: moodleXml,
+  [qti.name]: qti,
+};
+
+const ALIASES = {
+  "moodle-xml": "moodle",
+  moodlexml: "moodle",
+  xml: "moodle",
+  qti21: "qti",
+  "qti-2.1": "qti",
+};
+
+function getFormat(name) {
+  const key = String(name || "").toLowerCase();
+  const format = FORMATS[ALIASES[key] || key];
+  if (!format) {
+    throw httpError(
+      `Unknown format "${name}". Supported: ${Object.keys(FORMATS).join(", ")}`,
+      400
+    );
+  }
+  return format;
+}
+
+/**
+ * Pick a format from the explicit name, then the file extension and content
+ */
+function detectFormat(requested, filename, buffer) {
+  if (requested) return getFormat(requested);
+
+  const ext = path.extname(filename || "").slice(1).toLowerCase();
+  if (ext === "gift" || ext === "txt") return gift;
+  if (ext === "zip") return qti;
+
+  const head = buffer.slice(0, 2048).toString("utf8");
+  if (/<(\w+:)?assessmentItem\b/.test(head)) return qti;
+  if (/<quiz\b/.test(head)) return moodleXml;
+  if (ext === "xml") return moodleXml;
+
+  throw httpError("Could not detect the file format; pass format=gift|moodle|qti", 400);
+}
+
+/**
+ * Parse a file and validate every question
+ * @returns {Object} { format, meta, questions, report } where questions are
+ *   the importable ones in Quiz schema shape
+ */
+function parseQuestions(buffer, { format: requested, filename } = {}) {
+  const format = detectFormat(requested, filename, buffer);
+  const { meta, items } = format.parse(buffer);
+
+  const questions = [];
+  const report = items.map((item, index) => {
+    const errors = [...item.errors];
+    if (errors.length === 0) errors.push(...validateQuestion(item.question));
+
+    const entry = {
+      index: index + 1,
+      title: item.title,
+      type: item.question.type,
+      status: errors.length === 0 ? "imported" : "skipped",
+      errors,
+      warnings: item.warnings,
+    };
+
+    if (entry.status === "imported") {
+      questions.push({ ...cleanQuestion(item.question), category: item.question.category });
+    }
+    return entry;
+  });
+
+  return {
+    format: format.name,
+    meta,
+    questions,
+    report: {
+      format: format.label,
+      total: items.length,
+      imported: questions.length,
+      skipped: items.length - questions.length,
+      warnings: report.reduce((sum, entry) => sum + entry.warnings.length, 0),
+      items: report,
+    },
+  };
+}
+
+/**
+ * Serialize a quiz for download
+ * @returns {Object} { body, contentType, filename }
+ */
+function exportQuiz(quiz, formatName) {
+  const format = getFormat(formatName);
+  const slug =
+    String(quiz.title || "quiz")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 60) || "quiz";
+
+  return {
+    body: format.serialize(quiz),
+    contentType: format.contentType,
+    // e.g. quiz.gift, quiz.moodle.xml, quiz.qti.zip
+    filename:
+      format.extension === format.name
+        ? `${slug}.${format.extension}`
+        : `${slug}.${format.name}.${format.extension}`,
+  };
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  parseQuestions,
+  exportQuiz,
+};
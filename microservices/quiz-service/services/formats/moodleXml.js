@@ -0,0 +1,281 @@
+/**
+ * Moodle XML format
+ * https://docs.moodle.org/en/Moodle_XML_format
+ */
+
+const { XMLParser, XMLValidator } = require("fast-xml-parser");
+const {
+  htmlToText,
+  escapeXml,
+  cdata,
+  toTrueFalse,
+  exportableQuestions,
+} = require("./common");
+const { httpError } = require("../../../shared/utils/httpError");
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name) => ["question", "answer", "file"].includes(name),
+});
+
+/**
+ * Text of a Moodle <text>-wrapping element, flattened from HTML where needed
+ */
+function textOf(node) {
+  if (node === undefined || node === null) return "";
+  if (typeof node !== "object") return String(node).trim();
+
+  const raw = node.text !== undefined ? textOf(node.text) : String(node["#text"] || "").trim();
+  const format = node["@_format"];
+  return format === "plain_text" || format === "markdown" ? raw : htmlToText(raw);
+}
+
+function fractionOf(answer) {
+  return parseFloat(answer["@_fraction"] || 0);
+}
+
+function isTrue(value) {
+  return ["true", "1"].includes(String(value).trim().toLowerCase());
+}
+
+function parseMultichoice(node, item) {
+  const answers = node.answer || [];
+  const correct = answers.filter((a) => fractionOf(a) >= 100);
+  const partial = answers.filter((a) => fractionOf(a) > 0 && fractionOf(a) < 100);
+
+  item.question.type = "multiple-choice";
+  item.question.options = answers.map((a) => textOf(a));
+
+  if (correct.length !== 1 || (!isTrue(node.single) && partial.length > 0)) {
+    item.errors.push(
+      !isTrue(node.single)
+        ? "Multiple-answer questions are not supported"
+        : `Expected exactly one correct answer, found ${correct.length}`
+    );
+    return;
+  }
+
+  item.question.correct_answer = textOf(correct[0]);
+  if (partial.length > 0) {
+    item.warnings.push("Partial credit on distractors dropped");
+  }
+}
+
+function parseTrueFalse(node, item) {
+  const correct = (node.answer || []).find((a) => fractionOf(a) >= 100);
+
+  item.question.type = "true-false";
+  item.question.options = ["True", "False"];
+  item.question.correct_answer = correct ? toTrueFalse(textOf(correct)) : null;
+}
+
+function parseShortAnswer(node, item) {
+  const answers = node.answer || [];
+  const correct = answers.filter((a) => fractionOf(a) >= 100);
+
+  item.question.type = "fill-in-blank";
+  item.question.correct_answer = correct[0] ? textOf(correct[0]) : "";
+
+  if (correct.length > 1) {
+    item.warnings.push(
+      `Alternative answers dropped: ${correct.slice(1).map((a) => textOf(a)).join(", ")}`
+    );
+  }
+  if (answers.some((a) => fractionOf(a) > 0 && fractionOf(a) < 100)) {
+    item.warnings.push("Partially correct answers dropped");
+  }
+}
+
+function parseNumerical(node, item) {
+  parseShortAnswer(node, item);
+
+  const correct = (node.answer || []).find((a) => fractionOf(a) >= 100);
+  const tolerance = correct ? parseFloat(textOf(correct.tolerance)) : 0;
+  if (tolerance) {
+    item.warnings.push(`Tolerance ±${tolerance} dropped; the exact value is required`);
+  }
+  if (node.units) {
+    item.warnings.push("Units dropped");
+  }
+}
+
+function parseEssay(node, item) {
+  item.question.type = "descriptive";
+  item.question.correct_answer = textOf(node.graderinfo);
+
+  if (!item.question.correct_answer && item.question.explanation) {
+    item.question.correct_answer = item.question.explanation;
+    delete item.question.explanation;
+    item.warnings.push("Essay question: general feedback used as the model answer");
+  }
+  if (!item.question.correct_answer) {
+    item.errors.push("Essay question has no model answer (grader information)");
+  }
+}
+
+const PARSERS = {
+  multichoice: parseMultichoice,
+  truefalse: parseTrueFalse,
+  shortanswer: parseShortAnswer,
+  numerical: parseNumerical,
+  essay: parseEssay,
+};
+
+function parseQuestion(node, category) {
+  const qtype = node["@_type"];
+  const item = {
+    title: textOf(node.name),
+    question: {
+      question: textOf(node.questiontext),
+      explanation: textOf(node.generalfeedback),
+      points: node.defaultgrade !== undefined ? parseFloat(textOf(node.defaultgrade)) : undefined,
+      category,
+    },
+    errors: [],
+    warnings: [],
+  };
+
+  const parseType = PARSERS[qtype];
+  if (!parseType) {
+    item.question.type = qtype;
+    item.errors.push(
+      qtype === "description"
+        ? "Description items are not imported"
+        : `Moodle question type "${qtype}" is not supported`
+    );
+    return item;
+  }
+
+  parseType(node, item);
+
+  if (node.questiontext && node.questiontext.file) {
+    item.warnings.push("Embedded images are not imported");
+  }
+  if (!item.title) item.title = item.question.question.slice(0, 60);
+  return item;
+}
+
+/**
+ * Parse a Moodle XML export into import items
+ * @param {Buffer|String} input
+ */
+function parse(input) {
+  const xml = String(input);
+  const valid = XMLValidator.validate(xml);
+  if (valid !== true) {
+    throw httpError(`Invalid XML: ${valid.err.msg} (line ${valid.err.line})`, 400);
+  }
+
+  const document = parser.parse(xml);
+  if (!document.quiz) {
+    throw httpError("Not a Moodle XML file: missing <quiz> root element", 400);
+  }
+
+  const meta = {};
+  const items = [];
+  let category = "";
+
+  for (const node of document.quiz.question || []) {
+    if (node["@_type"] === "category") {
+      category = textOf(node.category).split("/").pop();
+      meta.category = meta.category || category;
+      continue;
+    }
+    items.push(parseQuestion(node, category));
+  }
+
+  return { meta, items };
+}
+
+function textElement(tag, value, indent = "    ") {
+  return `${indent}<${tag} format="plain_text">\n${indent}  <text>${cdata(value)}</text>\n${indent}</${tag}>`;
+}
+
+function answerElement(fraction, text) {
+  return [
+    `    <answer fraction="${fraction}" format="plain_text">`,
+    `      <text>${cdata(text)}</text>`,
+    `      <feedback format="plain_text"><text></text></feedback>`,
+    `    </answer>`,
+  ].join("\n");
+}
+
+function questionElement(q) {
+  const head = (qtype) => [
+    `  <question type="${qtype}">`,
+    `    <name>\n      <text>${escapeXml(`Q${q.number}`)}</text>\n    </name>`,
+    textElement("questiontext", q.question),
+    textElement("generalfeedback", q.explanation),
+    `    <defaultgrade>${q.points}</defaultgrade>`,
+    `    <penalty>0</penalty>`,
+    `    <hidden>0</hidden>`,
+  ];
+
+  switch (q.type) {
+    case "true-false":
+      return [
+        ...head("truefalse"),
+        answerElement(q.correctAnswer === "True" ? 100 : 0, "true"),
+        answerElement(q.correctAnswer === "False" ? 100 : 0, "false"),
+        `  </question>`,
+      ];
+    case "fill-in-blank":
+      return [
+        ...head("shortanswer"),
+        `    <usecase>0</usecase>`,
+        answerElement(100, q.correctAnswer),
+        `  </question>`,
+      ];
+    case "descriptive":
+      return [
+        ...head("essay"),
+        `    <responseformat>editor</responseformat>`,
+        `    <responsefieldlines>15</responsefieldlines>`,
+        textElement("graderinfo", q.correctAnswer),
+        `  </question>`,
+      ];
+    case "multiple-choice":
+    default:
+      return [
+        ...head("multichoice"),
+        `    <single>true</single>`,
+        `    <shuffleanswers>true</shuffleanswers>`,
+        `    <answernumbering>abc</answernumbering>`,
+        ...q.options.map((opt) => answerElement(opt === q.correctAnswer ? 100 : 0, opt)),
+        `  </question>`,
+      ];
+  }
+}
+
+/**
+ * Serialize a quiz to Moodle XML
+ */
+function serialize(quiz) {
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<quiz>`,
+    `  <!-- ${escapeXml(quiz.title).replace(/--/g, "- -")} -->`,
+    `  <question type="category">`,
+    `    <category>\n      <text>${escapeXml(`$course$/top/${quiz.category || "General"}`)}</text>\n    </category>`,
+    `  </question>`,
+  ];
+
+  for (const q of exportableQuestions(quiz)) {
+    lines.push("", ...questionElement(q));
+  }
+
+  lines.push(`</quiz>`, "");
+  return lines.join("\n");
+}
+
+module.exports = {
+  name: "moodle",
+  label: "Moodle XML",
+  extension: "xml",
+  contentType: "application/xml; charset=utf-8",
+  parse,
+  serialize,
+};
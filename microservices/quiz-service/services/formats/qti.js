@@ -0,0 +1,545 @@
+/**
+ * IMS QTI 2.1 format
+ * Imports content packages (zip with imsmanifest.xml) or single assessmentItem
+ * files; exports a content package with one item file per question.
+ * https://www.imsglobal.org/question/qtiv2p1/imsqti_infov2p1.html
+ */
+
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { XMLParser, XMLValidator } = require("fast-xml-parser");
+const {
+  htmlToText,
+  escapeXml,
+  exportableQuestions,
+} = require("./common");
+const { httpError } = require("../../../shared/utils/httpError");
+
+const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const MAX_PACKAGE_ENTRIES = parseInt(process.env.QTI_MAX_PACKAGE_ENTRIES) || 1000;
+const MAX_ENTRY_SIZE = parseInt(process.env.QTI_MAX_ENTRY_SIZE) || 5242880; // 5MB
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  parseTagValue: false,
+  parseAttributeValue: false,
+  removeNSPrefix: true,
+  isArray: (name) =>
+    [
+      "responseDeclaration",
+      "outcomeDeclaration",
+      "value",
+      "mapEntry",
+      "resource",
+      "dependency",
+    ].includes(name),
+});
+
+// ============================================
+// XML HELPERS
+// ============================================
+
+function parseXml(xml, source) {
+  const valid = XMLValidator.validate(xml);
+  if (valid !== true) {
+    throw httpError(`Invalid XML in ${source}: ${valid.err.msg} (line ${valid.err.line})`, 400);
+  }
+  return parser.parse(xml);
+}
+
+function attributesOf(source) {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attrs[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return attrs;
+}
+
+/**
+ * Find elements by tag name in raw (mixed-content) XML, keeping inner markup
+ */
+function elementsOf(xml, tag) {
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${tag}>)`, "g");
+  const found = [];
+  let match;
+  while ((match = pattern.exec(xml))) {
+    found.push({ source: match[0], attrs: attributesOf(match[1]), inner: match[2] || "" });
+  }
+  return found;
+}
+
+function valuesOf(node) {
+  if (!node || !node.value) return [];
+  return node.value.map((v) => (typeof v === "object" ? v["#text"] || "" : String(v)).trim());
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * The correct response, falling back to the highest-scoring mapping entry
+ */
+function correctValues(declaration) {
+  const values = valuesOf(declaration.correctResponse);
+  if (values.length > 0) return values;
+
+  const entries = (declaration.mapping && declaration.mapping.mapEntry) || [];
+  const best = entries
+    .filter((e) => parseFloat(e["@_mappedValue"]) > 0)
+    .sort((a, b) => parseFloat(b["@_mappedValue"]) - parseFloat(a["@_mappedValue"]));
+  return best.map((e) => e["@_mapKey"]);
+}
+
+function pointsOf(item) {
+  const outcomes = item.outcomeDeclaration || [];
+  const score = outcomes.find((o) => o["@_identifier"] === "SCORE");
+  const maxScore = outcomes.find((o) => o["@_identifier"] === "MAXSCORE");
+
+  if (score && score["@_normalMaximum"]) return parseFloat(score["@_normalMaximum"]);
+  if (maxScore && maxScore.defaultValue) return parseFloat(valuesOf(maxScore.defaultValue)[0]);
+  return undefined;
+}
+
+function parseChoice(interaction, declaration, item) {
+  const choices = elementsOf(interaction.inner, "simpleChoice").map((choice) => ({
+    identifier: choice.attrs.identifier,
+    text: htmlToText(choice.inner.replace(/<feedbackInline\b[\s\S]*?<\/feedbackInline>/g, "")),
+  }));
+  const correct = correctValues(declaration);
+  const options = choices.map((c) => c.text);
+
+  const isTrueFalse =
+    options.length === 2 &&
+    options.map((o) => o.toLowerCase()).sort().join() === "false,true";
+
+  const isMultiple =
+    !isTrueFalse && (declaration["@_cardinality"] === "multiple" || correct.length > 1);
+
+  item.question.type = isTrueFalse ? "true-false" : isMultiple ? "multi-select" : "multiple-choice";
+  item.question.options = isTrueFalse ? ["True", "False"] : options;
+
+  if (correct.length === 0 || (correct.length > 1 && !isMultiple)) {
+    item.errors.push(
+      correct.length > 1
+        ? "True/false items can have only one correct response"
+        : "No correct response declared"
+    );
+    return;
+  }
+
+  if (isMultiple) {
+    const unmatched = correct.filter((id) => !choices.some((c) => c.identifier === id));
+    if (unmatched.length > 0) {
+      item.errors.push(`Correct response "${unmatched[0]}" does not match any choice`);
+      return;
+    }
+    item.question.correctAnswers = choices
+      .filter((c) => correct.includes(c.identifier))
+      .map((c) => c.text);
+    return;
+  }
+
+  const match = choices.find((c) => c.identifier === correct[0]);
+  if (!match) {
+    item.errors.push(`Correct response "${correct[0]}" does not match any choice`);
+    return;
+  }
+  item.question.correct_answer = match.text;
+}
+
+function parseTextEntry(declaration, item) {
+  const correct = correctValues(declaration);
+
+  item.question.type = "fill-in-blank";
+  item.question.correct_answer = correct[0] || "";
+
+  if (correct.length > 1) {
+    item.warnings.push(`Alternative answers dropped: ${correct.slice(1).join(", ")}`);
+  }
+}
+
+function parseExtendedText(declaration, item) {
+  item.question.type = "descriptive";
+  item.question.correct_answer = valuesOf(declaration.correctResponse).join("\n");
+
+  if (!item.question.correct_answer) {
+    item.errors.push("Extended text item has no model answer (correctResponse)");
+  }
+}
+
+/**
+ * Convert one assessmentItem document to an import item
+ */
+function parseItem(xml, source) {
+  const document = parseXml(xml, source);
+  const assessmentItem = document.assessmentItem;
+  if (!assessmentItem) {
+    throw httpError(`${source} is not a QTI assessmentItem`, 400);
+  }
+
+  const raw = xml.replace(/<(\/?)[\w-]+:/g, "<$1");
+  const bodyMatch = raw.match(/<itemBody\b[^>]*>([\s\S]*?)<\/itemBody>/);
+  const body = bodyMatch ? bodyMatch[1] : "";
+
+  const item = {
+    title: assessmentItem["@_title"] || assessmentItem["@_identifier"] || source,
+    question: {
+      points: pointsOf(assessmentItem),
+      explanation: elementsOf(raw, "modalFeedback")
+        .map((feedback) => htmlToText(feedback.inner))
+        .filter(Boolean)
+        .join("\n"),
+    },
+    errors: [],
+    warnings: [],
+  };
+
+  const interactionTags = [
+    ...new Set((body.match(/<(\w+Interaction)\b/g) || []).map((tag) => tag.slice(1))),
+  ];
+  const interactions = interactionTags.flatMap((tag) =>
+    elementsOf(body, tag).map((element) => ({ ...element, tag }))
+  );
+
+  if (interactions.length !== 1) {
+    item.question.question = htmlToText(body);
+    item.errors.push(
+      interactions.length === 0
+        ? "Item has no interaction"
+        : "Items with more than one interaction are not supported"
+    );
+    return item;
+  }
+
+  const [interaction] = interactions;
+  const prompt = elementsOf(interaction.inner, "prompt").map((p) => p.inner).join("\n");
+  // A text entry in mid-sentence becomes a blank; one at the end (as exported
+  // here) just follows the question text
+  const textAfter = htmlToText(
+    body.slice(body.indexOf(interaction.source) + interaction.source.length)
+  );
+  let blank = `\n${prompt}\n`;
+  if (interaction.tag === "textEntryInteraction") {
+    blank = textAfter ? " _____ " : "";
+  }
+  item.question.question = htmlToText(body.replace(interaction.source, blank));
+
+  const declaration = (assessmentItem.responseDeclaration || []).find(
+    (d) => d["@_identifier"] === interaction.attrs.responseIdentifier
+  );
+  if (!declaration) {
+    item.errors.push(`No responseDeclaration for "${interaction.attrs.responseIdentifier}"`);
+    return item;
+  }
+
+  switch (interaction.tag) {
+    case "choiceInteraction":
+      parseChoice(interaction, declaration, item);
+      break;
+    case "textEntryInteraction":
+      parseTextEntry(declaration, item);
+      break;
+    case "extendedTextInteraction":
+      parseExtendedText(declaration, item);
+      break;
+    default:
+      item.question.type = interaction.tag;
+      item.errors.push(`QTI ${interaction.tag} is not supported`);
+  }
+
+  return item;
+}
+
+function readEntry(entry) {
+  if (entry.header.size > MAX_ENTRY_SIZE) {
+    throw httpError(`${entry.entryName} is too large to import`, 413);
+  }
+  return entry.getData().toString("utf8");
+}
+
+/**
+ * Item files listed in the package manifest, in manifest order
+ */
+function parsePackage(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw httpError("Could not read QTI package: not a valid zip file", 400);
+  }
+
+  const entries = zip.getEntries();
+  if (entries.length > MAX_PACKAGE_ENTRIES) {
+    throw httpError(`QTI package has more than ${MAX_PACKAGE_ENTRIES} files`, 413);
+  }
+
+  const byName = new Map(entries.map((e) => [e.entryName, e]));
+  const manifestEntry = entries.find((e) => path.posix.basename(e.entryName) === "imsmanifest.xml");
+  if (!manifestEntry) {
+    throw httpError("QTI package is missing imsmanifest.xml", 400);
+  }
+
+  const baseDir = path.posix.dirname(manifestEntry.entryName);
+  const manifest = parseXml(readEntry(manifestEntry), "imsmanifest.xml");
+  const resources = manifest.manifest?.resources?.resource || [];
+
+  const meta = {};
+  const items = [];
+
+  const test = resources.find((r) => String(r["@_type"]).startsWith("imsqti_test"));
+  const testEntry = test && byName.get(path.posix.join(baseDir, test["@_href"]));
+  if (testEntry) {
+    const testDocument = parseXml(readEntry(testEntry), test["@_href"]);
+    meta.title = testDocument.assessmentTest && testDocument.assessmentTest["@_title"];
+  }
+
+  for (const resource of resources) {
+    if (!String(resource["@_type"]).startsWith("imsqti_item")) continue;
+
+    const href = resource["@_href"];
+    const entry = byName.get(path.posix.join(baseDir, href));
+    if (!entry) {
+      items.push({
+        title: href,
+        question: {},
+        errors: [`${href} is listed in the manifest but missing`],
+        warnings: [],
+      });
+      continue;
+    }
+
+    try {
+      items.push(parseItem(readEntry(entry), href));
+    } catch (error) {
+      if (!error.status) throw error;
+      items.push({ title: href, question: {}, errors: [error.message], warnings: [] });
+    }
+  }
+
+  return { meta, items };
+}
+
+/**
+ * Parse a QTI 2.1 package (zip) or a single assessmentItem XML file
+ * @param {Buffer|String} input
+ */
+function parse(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input));
+
+  // Zip local file header
+  if (buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return parsePackage(buffer);
+  }
+
+  return { meta: {}, items: [parseItem(buffer.toString("utf8"), "item")] };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+function richText(text) {
+  return escapeXml(text).replace(/\r?\n/g, "<br/>");
+}
+
+function interactionFor(q) {
+  switch (q.type) {
+    case "fill-in-blank":
+      return {
+        baseType: "string",
+        correct: q.correctAnswer,
+        body: [
+          `    <p>${richText(q.question)} <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(q.correctAnswer.length, 10)}"/></p>`,
+        ],
+      };
+    case "descriptive":
+      return {
+        baseType: "string",
+        correct: q.correctAnswer,
+        manual: true,
+        body: [
+          `    <extendedTextInteraction responseIdentifier="RESPONSE">`,
+          `      <prompt>${richText(q.question)}</prompt>`,
+          `    </extendedTextInteraction>`,
+        ],
+      };
+    case "multi-select":
+      return {
+        baseType: "identifier",
+        cardinality: "multiple",
+        correct: q.correctAnswers
+          .map((answer) => q.options.indexOf(answer))
+          .filter((index) => index !== -1)
+          .map((index) => `choice-${index + 1}`),
+        body: [
+          `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">`,
+          `      <prompt>${richText(q.question)}</prompt>`,
+          ...q.options.map(
+            (opt, i) => `      <simpleChoice identifier="choice-${i + 1}">${richText(opt)}</simpleChoice>`
+          ),
+          `    </choiceInteraction>`,
+        ],
+      };
+    case "true-false":
+    case "multiple-choice":
+    default: {
+      const options = q.type === "true-false" ? ["True", "False"] : q.options;
+      const correctIndex = Math.max(options.indexOf(q.correctAnswer), 0);
+      return {
+        baseType: "identifier",
+        correct: `choice-${correctIndex + 1}`,
+        body: [
+          `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">`,
+          `      <prompt>${richText(q.question)}</prompt>`,
+          ...options.map(
+            (opt, i) => `      <simpleChoice identifier="choice-${i + 1}">${richText(opt)}</simpleChoice>`
+          ),
+          `    </choiceInteraction>`,
+        ],
+      };
+    }
+  }
+}
+
+function itemXml(q) {
+  const interaction = interactionFor(q);
+  const hasFeedback = !!q.explanation;
+
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="item-${q.number}" title="Q${q.number}" adaptive="false" timeDependent="false">`,
+    `  <responseDeclaration identifier="RESPONSE" cardinality="${interaction.cardinality || "single"}" baseType="${interaction.baseType}">`,
+    `    <correctResponse>`,
+    ...[].concat(interaction.correct).map((value) => `      <value>${escapeXml(value)}</value>`),
+    `    </correctResponse>`,
+    `  </responseDeclaration>`,
+    `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${q.points}">`,
+    `    <defaultValue>`,
+    `      <value>0</value>`,
+    `    </defaultValue>`,
+    `  </outcomeDeclaration>`,
+  ];
+
+  if (hasFeedback) {
+    lines.push(`  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>`);
+  }
+
+  lines.push(`  <itemBody>`, ...interaction.body, `  </itemBody>`);
+
+  if (!interaction.manual || hasFeedback) {
+    lines.push(`  <responseProcessing>`);
+    if (!interaction.manual) {
+      lines.push(
+        `    <responseCondition>`,
+        `      <responseIf>`,
+        `        <match>`,
+        `          <variable identifier="RESPONSE"/>`,
+        `          <correct identifier="RESPONSE"/>`,
+        `        </match>`,
+        `        <setOutcomeValue identifier="SCORE">`,
+        `          <baseValue baseType="float">${q.points}</baseValue>`,
+        `        </setOutcomeValue>`,
+        `      </responseIf>`,
+        `    </responseCondition>`
+      );
+    }
+    if (hasFeedback) {
+      lines.push(
+        `    <setOutcomeValue identifier="FEEDBACK">`,
+        `      <baseValue baseType="identifier">explanation</baseValue>`,
+        `    </setOutcomeValue>`
+      );
+    }
+    lines.push(`  </responseProcessing>`);
+  }
+
+  if (hasFeedback) {
+    lines.push(
+      `  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="explanation" showHide="show">${richText(q.explanation)}</modalFeedback>`
+    );
+  }
+
+  lines.push(`</assessmentItem>`, "");
+  return lines.join("\n");
+}
+
+function testXml(quiz, questions) {
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="test" title="${escapeXml(quiz.title)}">`,
+    `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>`,
+    `  <testPart identifier="part-1" navigationMode="linear" submissionMode="individual">`,
+    `    <assessmentSection identifier="section-1" title="${escapeXml(quiz.category || "General")}" visible="true">`,
+    ...questions.map(
+      (q) => `      <assessmentItemRef identifier="item-${q.number}" href="items/item-${q.number}.xml"/>`
+    ),
+    `    </assessmentSection>`,
+    `  </testPart>`,
+    `  <outcomeProcessing>`,
+    `    <setOutcomeValue identifier="SCORE">`,
+    `      <sum>`,
+    `        <testVariables variableIdentifier="SCORE"/>`,
+    `      </sum>`,
+    `    </setOutcomeValue>`,
+    `  </outcomeProcessing>`,
+    `</assessmentTest>`,
+    "",
+  ].join("\n");
+}
+
+function manifestXml(quiz, questions) {
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${escapeXml(quiz._id || "quiz")}">`,
+    `  <metadata>`,
+    `    <schema>QTIv2.1 Package</schema>`,
+    `    <schemaversion>1.0.0</schemaversion>`,
+    `  </metadata>`,
+    `  <organizations/>`,
+    `  <resources>`,
+    `    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessment.xml">`,
+    `      <file href="assessment.xml"/>`,
+    ...questions.map((q) => `      <dependency identifierref="item-${q.number}"/>`),
+    `    </resource>`,
+    ...questions.map((q) =>
+      [
+        `    <resource identifier="item-${q.number}" type="imsqti_item_xmlv2p1" href="items/item-${q.number}.xml">`,
+        `      <file href="items/item-${q.number}.xml"/>`,
+        `    </resource>`,
+      ].join("\n")
+    ),
+    `  </resources>`,
+    `</manifest>`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Serialize a quiz to a QTI 2.1 content package
+ * @returns {Buffer} Zip archive
+ */
+function serialize(quiz) {
+  const questions = exportableQuestions(quiz);
+  const zip = new AdmZip();
+
+  zip.addFile("imsmanifest.xml", Buffer.from(manifestXml(quiz, questions)));
+  zip.addFile("assessment.xml", Buffer.from(testXml(quiz, questions)));
+  for (const q of questions) {
+    zip.addFile(`items/item-${q.number}.xml`, Buffer.from(itemXml(q)));
+  }
+
+  return zip.toBuffer();
+}
+
+module.exports = {
+  name: "qti",
+  label: "IMS QTI 2.1",
+  extension: "zip",
+  contentType: "application/zip",
+  parse,
+  serialize,
+};
@@ -0,0 +1,55 @@
+/**
+ * Shared helpers for LLM provider adapters
+ *
+ * Every adapter exposes the same shape so the registry can swap them freely:
+ *   { name, label, defaultModel, isConfigured(), generate(prompt, { model }) -> text }
+ */
+
+const { httpError } = require('../../../shared/utils/httpError');
+
+const REQUEST_TIMEOUT = (parseInt(process.env.AI_TIMEOUT) || 15000) + 5000;
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * Sampling temperature from AI_TEMPERATURE; 0 is a valid setting, junk falls back to 0.7
+ */
+function temperature() {
+  const value = parseFloat(process.env.AI_TEMPERATURE ?? DEFAULT_TEMPERATURE);
+  return Number.isNaN(value) ? DEFAULT_TEMPERATURE : value;
+}
+
+/**
+ * POST JSON to a provider and return the parsed response body.
+ * Aborted slightly after the circuit breaker timeout so sockets are not left open.
+ */
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = null;
+  }
+
+  if (!response.ok) {
+    const detail = data?.error?.message || data?.error || text.slice(0, 200);
+    throw httpError(`Provider responded ${response.status}: ${detail}`, 502);
+  }
+  if (!data) {
+    throw httpError('Provider returned an invalid JSON response', 502);
+  }
+
+  return data;
+}
+
+module.exports = {
+  temperature,
+  postJson,
+};
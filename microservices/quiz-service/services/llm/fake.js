@@ -0,0 +1,73 @@
+/**
+ * Deterministic fake adapter for tests and offline development
+ * The same prompt always yields the same output, with no network access.
+ * Quiz prompts (asking for a JSON array) get well-formed questions; anything
+ * else (e.g. the doubt solver) gets a short canned answer.
+ */
+
+const crypto = require('crypto');
+
+function hashOf(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Pull the parameters the quiz prompts state in plain text
+ */
+function readQuizPrompt(prompt) {
+  const count =
+    prompt.match(/should have (\d+) questions/i) ||
+    prompt.match(/Create (?:a quiz with )?(\d+) questions/i);
+  const topic = prompt.match(/topic: "([^"]+)"/i);
+  const difficulty =
+    prompt.match(/difficulty level should be (\w+)/i) ||
+    prompt.match(/at (\w+) difficulty/i);
+
+  return {
+    count: Math.min(parseInt(count?.[1]) || 5, 50),
+    topic: topic ? topic[1] : 'the provided content',
+    difficulty: difficulty ? difficulty[1] : 'Medium',
+  };
+}
+
+function fakeQuestions(prompt) {
+  const { count, topic, difficulty } = readQuizPrompt(prompt);
+  const seed = hashOf(prompt);
+
+  return Array.from({ length: count }, (_, i) => {
+    const correct = `Correct answer ${i + 1}`;
+    const options = ['Distractor A', 'Distractor B', 'Distractor C'];
+    // Place the correct option deterministically from the prompt hash
+    const position = parseInt(seed.charAt(i % seed.length), 16) % 4;
+    options.splice(position, 0, correct);
+
+    return {
+      question: `Sample question ${i + 1} about ${topic}?`,
+      type: 'multiple-choice',
+      options,
+      correct_answer: correct,
+      explanation: `Generated by the fake provider (${seed.slice(0, 8)}).`,
+      points: 1,
+      timeLimit: 30,
+      difficulty,
+      tags: [topic],
+    };
+  });
+}
+
+module.exports = {
+  name: 'fake',
+  label: 'Fake (deterministic, for tests)',
+  defaultModel: 'fake-1',
+
+  isConfigured() {
+    return true;
+  },
+
+  async generate(prompt) {
+    if (/JSON array/i.test(prompt) || /array of question objects/i.test(prompt)) {
+      return JSON.stringify(fakeQuestions(prompt));
+    }
+    return `This is a deterministic response from the fake AI provider (${hashOf(prompt).slice(0, 8)}).`;
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * Google Gemini adapter
+ */
+
+const { httpError } = require('../../../shared/utils/httpError');
+
+const models = new Map();
+
+/**
+ * Gemini client for a model, created on first use so the SDK and key are only
+ * needed when Gemini is actually selected
+ */
+function getModel(modelName) {
+  if (!models.has(modelName)) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+    models.set(modelName, genAI.getGenerativeModel({ model: modelName }));
+  }
+  return models.get(modelName);
+}
+
+module.exports = {
+  name: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+
+  isConfigured() {
+    return !!process.env.GOOGLE_API_KEY;
+  },
+
+  async generate(prompt, { model }) {
+    const result = await getModel(model).generateContent(prompt);
+    const response = await result.response;
+    const text = response.text();
+
+    if (!text) throw httpError('Gemini returned an empty response', 502);
+    return text;
+  },
+};
@@ -0,0 +1,164 @@
+/**
+ * LLM provider registry
+ * Resolves which adapter serves a request: an explicit per-request choice,
+ * then the tenant's configured provider, then the service default.
+ */
+
+const createLogger = require('../../../shared/utils/logger');
+const gemini = require('./gemini');
+const openai = require('./openai');
+const ollama = require('./ollama');
+const fake = require('./fake');
+const { httpError } = require('../../../shared/utils/httpError');
+
+const logger = createLogger('llm-providers');
+
+const PROVIDERS = {
+  [gemini.name]: gemini,
+  [openai.name]: openai,
+  [ollama.name]: ollama,
+};
+
+// The fake provider answers with canned output, so it exists only under test
+if (process.env.NODE_ENV === 'test') {
+  PROVIDERS[fake.name] = fake;
+}
+
+function getProvider(name) {
+  return PROVIDERS[String(name || '').toLowerCase()] || null;
+}
+
+/**
+ * AI_PROVIDER, else the first provider with credentials; tests fall back to the fake
+ */
+function pickDefault() {
+  if (process.env.AI_PROVIDER) {
+    const provider = getProvider(process.env.AI_PROVIDER);
+    if (provider) return provider;
+    logger.error(`Unknown AI_PROVIDER "${process.env.AI_PROVIDER}", ignoring it`);
+  }
+
+  const configured = [gemini, openai, ollama].find((p) => p.isConfigured());
+  if (configured) return configured;
+
+  return process.env.NODE_ENV === 'test' ? fake : gemini;
+}
+
+/**
+ * AI_TENANT_PROVIDERS: {"<tenantId>": "openai" | {"provider": "ollama", "model": "llama3.1"}}
+ */
+function parseTenantConfig() {
+  if (!process.env.AI_TENANT_PROVIDERS) return {};
+
+  try {
+    const parsed = JSON.parse(process.env.AI_TENANT_PROVIDERS);
+    const tenants = {};
+    for (const [tenantId, value] of Object.entries(parsed)) {
+      const entry = typeof value === 'string' ? { provider: value } : value || {};
+      if (!getProvider(entry.provider)) {
+        logger.error(`AI_TENANT_PROVIDERS: unknown provider "${entry.provider}" for tenant ${tenantId}`);
+        continue;
+      }
+      tenants[tenantId] = { provider: entry.provider.toLowerCase(), model: entry.model };
+    }
+    return tenants;
+  } catch (error) {
+    logger.error('AI_TENANT_PROVIDERS is not valid JSON, ignoring it:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Providers any caller may pick per request (AI_REQUEST_PROVIDERS); admins may pick any
+ */
+function parseRequestProviders() {
+  return (process.env.AI_REQUEST_PROVIDERS || '').split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => getProvider(name));
+}
+
+const defaultProvider = pickDefault();
+const tenantProviders = parseTenantConfig();
+const requestProviders = parseRequestProviders();
+
+if (!defaultProvider.isConfigured()) {
+  logger.warn(`Default AI provider "${defaultProvider.name}" is not configured; generation will fail until it is`);
+} else {
+  logger.info(`Default AI provider: ${defaultProvider.name} (${defaultProvider.defaultModel})`);
+}
+
+/**
+ * Provider named in a request body, checked against what the caller may pick
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {String} provider - Requested provider name
+ * @returns {String|null} Provider name, or null to fall back to the tenant/default
+ */
+function requestedProvider(user, provider) {
+  if (!provider) return null;
+
+  const adapter = getProvider(provider);
+  if (!adapter) {
+    throw httpError(`Unknown AI provider "${provider}"`, 400);
+  }
+  if (user?.role !== 'Admin' && !requestProviders.includes(adapter.name)) {
+    throw httpError(`AI provider "${adapter.name}" cannot be selected per request`, 403);
+  }
+
+  return adapter.name;
+}
+
+/**
+ * Resolve the adapter and model for a call
+ * @param {Object} options - { provider: per-request choice from requestedProvider(), tenantId }
+ * @returns {Object} { provider, name, model }
+ */
+function resolve({ provider, tenantId } = {}) {
+  let adapter = defaultProvider;
+  let model = null;
+
+  if (provider) {
+    adapter = getProvider(provider);
+    if (!adapter) {
+      throw httpError(`Unknown AI provider "${provider}"`, 400);
+    }
+  } else if (tenantId && tenantProviders[tenantId]) {
+    adapter = getProvider(tenantProviders[tenantId].provider);
+    model = tenantProviders[tenantId].model;
+  }
+
+  if (!adapter.isConfigured()) {
+    throw httpError(`AI provider "${adapter.name}" is not configured`, 503);
+  }
+
+  return { provider: adapter, name: adapter.name, model: model || adapter.defaultModel };
+}
+
+/**
+ * Tenant of an authenticated user (the token's tenantId claim, from the auth-service user record)
+ */
+function tenantOf(user) {
+  return (user && user.tenantId) || null;
+}
+
+/**
+ * Providers and their availability, for the admin/health surface
+ */
+function listProviders() {
+  return Object.values(PROVIDERS).map((p) => ({
+    name: p.name,
+    label: p.label,
+    defaultModel: p.defaultModel,
+    configured: p.isConfigured(),
+    isDefault: p === defaultProvider,
+    selectable: requestProviders.includes(p.name),
+  }));
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  requestedProvider,
+  resolve,
+  tenantOf,
+  listProviders,
+};
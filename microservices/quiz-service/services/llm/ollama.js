@@ -0,0 +1,31 @@
+/**
+ * Local Ollama-style HTTP server adapter (POST /api/generate)
+ */
+
+const { postJson, temperature } = require('./common');
+const { httpError } = require('../../../shared/utils/httpError');
+
+const BASE_URL = (process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '');
+
+module.exports = {
+  name: 'ollama',
+  label: 'Ollama (local)',
+  defaultModel: process.env.OLLAMA_MODEL || 'llama3.1',
+
+  // No credentials; only offered once a server URL is set
+  isConfigured() {
+    return !!process.env.OLLAMA_URL;
+  },
+
+  async generate(prompt, { model }) {
+    const data = await postJson(`${BASE_URL}/api/generate`, {
+      model,
+      prompt,
+      stream: false,
+      options: { temperature: temperature() },
+    });
+
+    if (!data.response) throw httpError('Ollama returned an empty response', 502);
+    return data.response;
+  },
+};
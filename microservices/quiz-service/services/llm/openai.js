@@ -0,0 +1,41 @@
+/**
+ * OpenAI-compatible adapter (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, OpenRouter...)
+ * Uses the Chat Completions API at OPENAI_BASE_URL.
+ */
+
+const { postJson, temperature } = require('./common');
+const { httpError } = require('../../../shared/utils/httpError');
+
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+module.exports = {
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+
+  // Self-hosted compatible servers often need no key, only a base URL
+  isConfigured() {
+    return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  },
+
+  async generate(prompt, { model }) {
+    const headers = {};
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const data = await postJson(
+      `${BASE_URL}/chat/completions`,
+      {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: temperature(),
+      },
+      headers
+    );
+
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) throw httpError('OpenAI-compatible provider returned no message content', 502);
+    return text;
+  },
+};
@@ -0,0 +1,404 @@
+/**
+ * Question Bank Service
+ * CRUD, search, version history and quiz assembly for reusable questions
+ */
+
+const mongoose = require("mongoose");
+const BankQuestion = require("../models/BankQuestion");
+const BankQuestionVersion = require("../models/BankQuestionVersion");
+const Quiz = require("../models/Quiz");
+const createLogger = require("../../shared/utils/logger");
+const { httpError } = require("../../shared/utils/httpError");
+
+const logger = createLogger("question-bank");
+
+const MAX_QUIZ_QUESTIONS = 100;
+
+/**
+ * Accept tags as an array or a comma-separated string
+ */
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Version snapshots are stored raw; expose them like the API exposes questions
+ */
+function formatContent(content) {
+  const { correct_answer, ...rest } = content;
+  return { ...rest, correctAnswer: correct_answer };
+}
+
+class QuestionBankService {
+  // ============================================
+  // ACCESS
+  // ============================================
+
+  /**
+   * Query matching questions the user may use: their own plus shared ones
+   */
+  visibilityFilter(user) {
+    if (user.role === "Admin") return {};
+    return {
+      $or: [{ createdBy: new mongoose.Types.ObjectId(user.userId) }, { isShared: true }],
+    };
+  }
+
+  async getQuestion(questionId, user) {
+    const question = mongoose.isValidObjectId(questionId)
+      ? await BankQuestion.findById(questionId)
+      : null;
+
+    if (!question || !question.canView(user)) {
+      throw httpError("Question not found", 404);
+    }
+    return question;
+  }
+
+  async getEditableQuestion(questionId, user) {
+    const question = await this.getQuestion(questionId, user);
+
+    if (!question.canEdit(user)) {
+      throw httpError("Not authorized to modify this question", 403);
+    }
+    return question;
+  }
+
+  // ============================================
+  // CRUD
+  // ============================================
+
+  async createQuestion(data, user) {
+    const question = new BankQuestion({
+      ...this.pickContent(data),
+      subject: data.subject,
+      tags: toList(data.tags),
+      isShared: !!data.isShared,
+      createdBy: user.userId,
+    });
+
+    await this.save(question);
+    await this.recordVersion(question, user, "Created");
+
+    logger.info(`Bank question created: ${question._id} by user ${user.userId}`);
+    return question;
+  }
+
+  /**
+   * Update a question. Content changes bump the version and are recorded in history;
+   * organisation changes (subject, tags, sharing) do not.
+   */
+  async updateQuestion(questionId, data, user) {
+    const question = await this.getEditableQuestion(questionId, user);
+
+    if (question.isArchived) {
+      throw httpError("Archived questions cannot be edited", 409);
+    }
+
+    const content = this.pickContent(data);
+    const contentChanged = Object.entries(content).some(
+      ([field, value]) => JSON.stringify(question[field]) !== JSON.stringify(value)
+    );
+
+    question.set(content);
+    if (data.subject !== undefined) question.subject = data.subject;
+    if (data.tags !== undefined) question.tags = toList(data.tags);
+    if (data.isShared !== undefined) question.isShared = !!data.isShared;
+
+    if (contentChanged) {
+      question.version += 1;
+    }
+
+    await this.save(question);
+
+    if (contentChanged) {
+      await this.recordVersion(question, user, data.changeNote);
+      logger.info(`Bank question ${question._id} updated to version ${question.version}`);
+    }
+
+    return question;
+  }
+
+  /**
+   * Archive rather than delete: assembled quizzes and history keep pointing at it
+   */
+  async archiveQuestion(questionId, user) {
+    const question = await this.getEditableQuestion(questionId, user);
+    question.isArchived = true;
+    await question.save();
+    return question;
+  }
+
+  pickContent(data) {
+    const content = {};
+    for (const field of BankQuestion.CONTENT_FIELDS) {
+      if (data[field] !== undefined) content[field] = data[field];
+    }
+    // Accept the camelCase spelling the API returns
+    if (data.correctAnswer !== undefined && data.correct_answer === undefined) {
+      content.correct_answer = data.correctAnswer;
+    }
+    return content;
+  }
+
+  async save(question) {
+    try {
+      await question.save();
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        throw httpError(error.message, 400);
+      }
+      throw error;
+    }
+  }
+
+  // ============================================
+  // VERSION HISTORY
+  // ============================================
+
+  async recordVersion(question, user, changeNote) {
+    await BankQuestionVersion.create({
+      questionId: question._id,
+      version: question.version,
+      content: question.getContent(),
+      editedBy: user.userId,
+      changeNote,
+    });
+  }
+
+  async getVersions(questionId, user) {
+    const question = await this.getQuestion(questionId, user);
+
+    const versions = await BankQuestionVersion.find({ questionId: question._id })
+      .sort({ version: -1 })
+      .lean();
+
+    return versions.map((v) => ({ ...v, content: formatContent(v.content) }));
+  }
+
+  async getVersion(questionId, version, user) {
+    const question = await this.getQuestion(questionId, user);
+
+    const snapshot = await BankQuestionVersion.findOne({
+      questionId: question._id,
+      version: parseInt(version),
+    }).lean();
+
+    if (!snapshot) {
+      throw httpError(`Version ${version} not found`, 404);
+    }
+    return { ...snapshot, content: formatContent(snapshot.content) };
+  }
+
+  /**
+   * Restore an old version by publishing its content as a new version
+   */
+  async restoreVersion(questionId, version, user) {
+    const snapshot = await this.getVersion(questionId, version, user);
+    const { correctAnswer, ...content } = snapshot.content;
+
+    return this.updateQuestion(
+      questionId,
+      { ...content, correct_answer: correctAnswer, changeNote: `Restored version ${version}` },
+      user
+    );
+  }
+
+  // ============================================
+  // SEARCH
+  // ============================================
+
+  buildFilter(user, { search, tags, tagMatch, difficulty, subject, type, owner, includeArchived } = {}) {
+    const filter = { ...this.visibilityFilter(user) };
+
+    if (!includeArchived) filter.isArchived = false;
+    if (owner === "me") filter.createdBy = new mongoose.Types.ObjectId(user.userId);
+    if (owner === "shared") filter.isShared = true;
+
+    const tagList = toList(tags);
+    if (tagList.length > 0) {
+      filter.tags = tagMatch === "any" ? { $in: tagList } : { $all: tagList };
+    }
+
+    const difficulties = toList(difficulty);
+    if (difficulties.length > 0) filter.difficulty = { $in: difficulties };
+    if (subject) filter.subject = subject;
+    if (type) filter.type = type;
+    if (search) filter.$text = { $search: search };
+
+    return filter;
+  }
+
+  async searchQuestions(user, query = {}) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 20, 100);
+    const filter = this.buildFilter(user, query);
+
+    const [questions, total] = await Promise.all([
+      BankQuestion.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BankQuestion.countDocuments(filter),
+    ]);
+
+    return {
+      questions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  // ============================================
+  // QUIZ ASSEMBLY
+  // ============================================
+
+  /**
+   * Pick questions by explicit reference and/or random draws.
+   * @param {Object} spec - { questionIds: [], draws: [{ count, tags, tagMatch, difficulty, subject, type }] }
+   * @returns {Array} Bank questions, explicit picks first, no duplicates
+   */
+  async selectQuestions(spec, user) {
+    const picked = [];
+    const pickedIds = new Set();
+
+    const questionIds = (spec.questionIds || []).map(String);
+    if (questionIds.some((id) => !mongoose.isValidObjectId(id))) {
+      throw httpError("questionIds contains an invalid id", 400);
+    }
+
+    if (questionIds.length > 0) {
+      const found = await BankQuestion.find({
+        _id: { $in: questionIds },
+        isArchived: false,
+        ...this.visibilityFilter(user),
+      });
+      const byId = new Map(found.map((q) => [q._id.toString(), q]));
+
+      for (const id of questionIds) {
+        const question = byId.get(id);
+        if (!question) throw httpError(`Question ${id} not found in your bank`, 404);
+        if (!pickedIds.has(id)) {
+          picked.push(question);
+          pickedIds.add(id);
+        }
+      }
+    }
+
+    for (const draw of spec.draws || []) {
+      const count = parseInt(draw.count);
+      if (!count || count < 1) {
+        throw httpError("Each draw needs a positive count", 400);
+      }
+
+      const filter = this.buildFilter(user, draw);
+      filter._id = { $nin: [...pickedIds].map((id) => new mongoose.Types.ObjectId(id)) };
+
+      const sampled = await BankQuestion.aggregate([
+        { $match: filter },
+        { $sample: { size: count } },
+      ]);
+
+      if (sampled.length < count && !spec.allowPartial) {
+        throw httpError(
+          `Only ${sampled.length} questions match draw ${JSON.stringify(draw)}, ${count} requested`,
+          422
+        );
+      }
+
+      for (const raw of sampled) {
+        picked.push(BankQuestion.hydrate(raw));
+        pickedIds.add(raw._id.toString());
+      }
+    }
+
+    if (picked.length === 0) {
+      throw httpError("Select at least one question or draw", 400);
+    }
+    if (picked.length > MAX_QUIZ_QUESTIONS) {
+      throw httpError(`A quiz can have at most ${MAX_QUIZ_QUESTIONS} questions`, 400);
+    }
+
+    return spec.shuffle ? this.shuffle(picked) : picked;
+  }
+
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Create a quiz whose questions are version-pinned copies of bank questions
+   */
+  async assembleQuiz(data, user) {
+    const selected = await this.selectQuestions(data, user);
+
+    const quiz = new Quiz({
+      title: data.title,
+      description: data.description,
+      questions: selected.map((q) => q.toQuizQuestion()),
+      difficulty: data.difficulty || "Medium",
+      category: data.category || "General",
+      tags: toList(data.tags),
+      isPublic: data.isPublic !== undefined ? data.isPublic : true,
+      gameSettings: data.gameSettings || {},
+      createdBy: user.userId,
+      generationMetadata: {
+        method: "manual",
+        generatedAt: new Date(),
+      },
+    });
+
+    await quiz.save();
+
+    await BankQuestion.updateMany(
+      { _id: { $in: selected.map((q) => q._id) } },
+      { $inc: { usageCount: 1 } }
+    );
+
+    logger.info(
+      `Quiz ${quiz._id} assembled from ${selected.length} bank questions by user ${user.userId}`
+    );
+    return quiz;
+  }
+
+  /**
+   * Bank questions in a quiz whose bank copy has moved on since assembly
+   */
+  async getOutdatedQuestions(quiz) {
+    const refs = quiz.questions.filter((q) => q.bankRef?.questionId);
+    if (refs.length === 0) return [];
+
+    const current = await BankQuestion.find({
+      _id: { $in: refs.map((q) => q.bankRef.questionId) },
+    })
+      .select("version isArchived")
+      .lean();
+    const versions = new Map(current.map((q) => [q._id.toString(), q]));
+
+    return refs
+      .map((q) => {
+        const latest = versions.get(q.bankRef.questionId.toString());
+        return {
+          quizQuestionId: q._id,
+          bankQuestionId: q.bankRef.questionId,
+          pinnedVersion: q.bankRef.version,
+          latestVersion: latest?.version,
+          isArchived: !!latest?.isArchived,
+        };
+      })
+      .filter((q) => q.latestVersion && q.latestVersion > q.pinnedVersion);
+  }
+}
+
+module.exports = new QuestionBankService();
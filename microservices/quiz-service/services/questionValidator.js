@@ -0,0 +1,428 @@
+/**
+ * Question Validator for AI generation
+ * Checks every generated question against the question-type rules, drops
+ * near-identical questions, and re-prompts the model to repair only the
+ * failing items. Produces the per-question quality report shown to teachers.
+ */
+
+const createLogger = require('../../shared/utils/logger');
+const grading = require('../../shared/utils/grading');
+const { toTrueFalse, resolveCorrectOption } = require('./formats/common');
+const { httpError } = require('../../shared/utils/httpError');
+
+const logger = createLogger('question-validator');
+
+// Jaccard similarity of question words at which two questions count as the same
+const DUPLICATE_THRESHOLD = parseFloat(process.env.AI_DUPLICATE_THRESHOLD) || 0.85;
+// Re-prompts per generation; 0 disables repair
+const REPAIR_ATTEMPTS = Number.isNaN(parseInt(process.env.AI_REPAIR_ATTEMPTS))
+  ? 1
+  : parseInt(process.env.AI_REPAIR_ATTEMPTS);
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Expert'];
+const MAX_TAGS = 5;
+
+// Spellings models use for the question types
+const TYPE_ALIASES = {
+  mcq: 'multiple-choice',
+  'multiple choice': 'multiple-choice',
+  multiple_choice: 'multiple-choice',
+  multiplechoice: 'multiple-choice',
+  truefalse: 'true-false',
+  'true/false': 'true-false',
+  true_false: 'true-false',
+  'true or false': 'true-false',
+  boolean: 'true-false',
+  'fill-in-the-blank': 'fill-in-blank',
+  'fill in the blank': 'fill-in-blank',
+  fill_in_blank: 'fill-in-blank',
+  'short-answer': 'fill-in-blank',
+  essay: 'descriptive',
+  'open-ended': 'descriptive',
+  'multiple-select': 'multi-select',
+  multi_select: 'multi-select',
+  multiselect: 'multi-select',
+  'multiple-answer': 'multi-select',
+  checkbox: 'multi-select',
+  number: 'numeric',
+  numerical: 'numeric',
+  order: 'ordering',
+  sequence: 'ordering',
+};
+
+function toNumber(value) {
+  return value === undefined || value === null || value === '' ? null : grading.parseNumber(value);
+}
+
+function issue(code, message, severity = 'error') {
+  return { code, message, severity };
+}
+
+function text(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Bring a generated item into Quiz question shape, fixing only what is
+ * unambiguous (type spellings, index/letter answers, True/False casing)
+ * @returns {Object|null} Question, or null when the item isn't an object
+ */
+function normalizeQuestion(raw, { difficulty = 'Medium' } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  let options = raw.options;
+  if (options && typeof options === 'object' && !Array.isArray(options)) {
+    options = Object.values(options);
+  }
+  options = Array.isArray(options) ? options.map(text).filter(Boolean) : [];
+
+  const rawType = text(raw.type).toLowerCase();
+  const type = TYPE_ALIASES[rawType] || rawType || (options.length > 0 ? 'multiple-choice' : 'descriptive');
+
+  const question = {
+    question: text(raw.question || raw.text),
+    type,
+    options,
+    correct_answer: text(raw.correct_answer ?? raw.correctAnswer ?? raw.answer),
+    explanation: text(raw.explanation),
+    points: Math.max(1, Math.round(Number(raw.points)) || 1),
+    timeLimit: Math.max(5, Math.round(Number(raw.timeLimit)) || 30),
+    difficulty: DIFFICULTIES.includes(raw.difficulty) ? raw.difficulty : difficulty,
+    tags: (Array.isArray(raw.tags) ? raw.tags : [])
+      .map((tag) => text(tag).slice(0, 60))
+      .filter(Boolean)
+      .slice(0, MAX_TAGS),
+  };
+
+  if (type === 'multiple-choice' && question.correct_answer) {
+    const index = resolveCorrectOption(question);
+    if (index !== -1) question.correct_answer = options[index];
+  }
+  if (type === 'true-false') {
+    question.options = ['True', 'False'];
+    question.correct_answer = toTrueFalse(question.correct_answer) || question.correct_answer;
+  }
+  if (type === 'descriptive' || type === 'fill-in-blank' || type === 'numeric') {
+    question.options = [];
+  }
+
+  // List keys: correctAnswers, or a list/delimited string in the answer field,
+  // resolved to option text the way the grading engine reads them
+  if (grading.LIST_TYPES.includes(type)) {
+    const key = raw.correctAnswers ?? raw.correct_answers ?? raw.correct_answer ?? raw.correctAnswer ?? raw.answer;
+    question.correctAnswers = grading
+      .getAnswerList({ options, correctAnswers: Array.isArray(key) ? key : undefined, correct_answer: Array.isArray(key) ? undefined : key })
+      .map(text)
+      .filter(Boolean);
+    question.correct_answer = '';
+  }
+
+  if (type === 'numeric') {
+    const tolerance = toNumber(raw.tolerance);
+    if (tolerance !== null) question.tolerance = Math.abs(tolerance);
+
+    const range = raw.answerRange || {};
+    const min = toNumber(range.min);
+    const max = toNumber(range.max);
+    if (min !== null && max !== null) question.answerRange = { min, max };
+  }
+
+  return question;
+}
+
+/**
+ * Check a normalized question against the rules for its type
+ * @returns {Array<Object>} Issues ({ code, message, severity }), empty when clean
+ */
+function checkQuestion(question) {
+  const issues = [];
+
+  if (!question.question) {
+    issues.push(issue('missing-question', 'Question text is empty'));
+  }
+  if (!grading.QUESTION_TYPES.includes(question.type)) {
+    issues.push(issue('unsupported-type', `Unsupported question type "${question.type}"`));
+    return issues;
+  }
+
+  const isList = grading.LIST_TYPES.includes(question.type);
+  const hasKey = isList ? question.correctAnswers.length > 0 : !!question.correct_answer || !!question.answerRange;
+  if (!hasKey) {
+    issues.push(issue('missing-answer', 'No correct answer given'));
+  }
+
+  if (question.type === 'multiple-choice') {
+    const distinct = new Set(question.options.map((opt) => opt.toLowerCase()));
+    if (question.options.length < 2) {
+      issues.push(issue('too-few-options', 'Multiple choice questions need at least 2 options'));
+    } else if (distinct.size < question.options.length) {
+      issues.push(issue('duplicate-options', 'Options are not all different'));
+    }
+    if (question.correct_answer && question.options.length >= 2 && !question.options.includes(question.correct_answer)) {
+      issues.push(issue('answer-not-in-options', 'Correct answer does not match any option'));
+    }
+  }
+
+  if (isList) {
+    issues.push(...checkListKey(question));
+  }
+
+  if (question.type === 'numeric') {
+    const range = question.answerRange;
+    if (range && range.min > range.max) {
+      issues.push(issue('invalid-range', 'Answer range minimum is above its maximum'));
+    } else if (!range && question.correct_answer && grading.parseNumber(question.correct_answer) === null) {
+      issues.push(issue('answer-not-numeric', 'Numeric answer is not a number'));
+    }
+  }
+
+  if (question.type === 'true-false' && question.correct_answer && !toTrueFalse(question.correct_answer)) {
+    issues.push(issue('invalid-true-false', 'True/false answer must be True or False'));
+  }
+
+  if (!question.explanation) {
+    issues.push(issue('missing-explanation', 'Explanation is missing', 'warning'));
+  }
+
+  return issues;
+}
+
+/**
+ * Multi-select keys pick one or more distinct options; ordering keys place every option once.
+ * Compared with the grading engine's normalization, so what passes here grades as intended.
+ */
+function checkListKey(question) {
+  const issues = [];
+  const options = question.options.map(grading.normalizeText);
+  const key = question.correctAnswers.map(grading.normalizeText);
+
+  if (question.options.length < 2) {
+    issues.push(issue('too-few-options', `${question.type === 'ordering' ? 'Ordering' : 'Multi-select'} questions need at least 2 options`));
+    return issues;
+  }
+  if (new Set(options).size < options.length) {
+    issues.push(issue('duplicate-options', 'Options are not all different'));
+  }
+  if (key.length === 0) return issues;
+
+  if (key.some((item) => !options.includes(item))) {
+    issues.push(issue('answer-not-in-options', 'Correct answers do not all match an option'));
+  } else if (new Set(key).size < key.length) {
+    issues.push(issue('duplicate-answers', 'An option appears twice in the correct answers'));
+  } else if (question.type === 'ordering' && key.length !== options.length) {
+    issues.push(issue('incomplete-order', 'The correct order must place every option'));
+  }
+
+  return issues;
+}
+
+function words(value) {
+  return new Set(
+    String(value || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Jaccard similarity of two questions' words
+ */
+function similarity(a, b) {
+  const left = words(a);
+  const right = words(b);
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of left) {
+    if (right.has(word)) shared++;
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Index of an earlier kept question this one nearly repeats, or -1
+ */
+function findDuplicate(entries, entry) {
+  return entries.findIndex(
+    (other) =>
+      other !== entry &&
+      other.index < entry.index &&
+      !other.issues.some((i) => i.severity === 'error') &&
+      similarity(other.question.question, entry.question.question) >= DUPLICATE_THRESHOLD
+  );
+}
+
+/**
+ * Check one entry, including near-duplicates of the entries before it
+ */
+function inspect(entries, entry) {
+  if (!entry.question) {
+    entry.issues = [issue('not-an-object', 'Item is not a question object')];
+    return entry;
+  }
+
+  entry.issues = checkQuestion(entry.question);
+  if (!entry.issues.some((i) => i.severity === 'error')) {
+    const duplicateOf = findDuplicate(entries, entry);
+    if (duplicateOf !== -1) {
+      entry.issues.push(
+        issue('duplicate', `Nearly identical to question ${entries[duplicateOf].index}`)
+      );
+    }
+  }
+  return entry;
+}
+
+function hasErrors(entry) {
+  return entry.issues.some((i) => i.severity === 'error');
+}
+
+/**
+ * Prompt asking the model to fix only the failing questions
+ */
+function buildRepairPrompt(failing, entries, context) {
+  const kept = entries
+    .filter((entry) => !hasErrors(entry) && !failing.includes(entry))
+    .map((entry) => `- ${entry.question.question}`);
+
+  const items = failing.map((entry) => ({
+    index: entry.index,
+    problems: entry.issues.map((i) => i.message),
+    question: entry.question || entry.raw,
+  }));
+
+  return `You are an expert quiz maker. Some quiz questions you generated${context ? ` ${context}` : ''} failed validation.
+Fix ONLY the questions below. Keep each question's subject, type and difficulty unless a problem requires changing it.
+
+Rules:
+- "multiple-choice": 4 different options; "correct_answer" must be the exact text of one option
+- "true-false": "correct_answer" must be "True" or "False"
+- "fill-in-blank" and "descriptive": no options; "correct_answer" holds the expected answer
+- "multi-select": at least 2 different options; "correctAnswers" lists the exact text of every correct option
+- "ordering": "options" holds the items; "correctAnswers" lists every item once, in the correct order
+- "numeric": no options; "correct_answer" is a number, optionally with "tolerance" or "answerRange" { min, max }
+- Every question needs a short "explanation"
+- A question marked as a duplicate must be replaced by a different question on the same subject
+${kept.length > 0 ? `\nQuestions already in the quiz (do not repeat them):\n${kept.join('\n')}\n` : ''}
+Questions to fix:
+${JSON.stringify(items, null, 2)}
+
+IMPORTANT: Your response MUST be a valid JSON array with one object per question to fix, in the same order, each with its "index" and the fields "question", "type", "options", "correct_answer" (or "correctAnswers" for multi-select and ordering), "explanation", "points", "timeLimit", "difficulty" and "tags". Do not include any text, explanation, or markdown formatting.`;
+}
+
+/**
+ * Re-prompt once for the failing entries and keep every fix that checks out
+ */
+async function repairEntries(entries, failing, { repair, context, difficulty }) {
+  let fixes;
+  try {
+    fixes = await repair(buildRepairPrompt(failing, entries, context));
+  } catch (error) {
+    logger.warn(`Question repair failed: ${error.message}`);
+    return 0;
+  }
+  if (!Array.isArray(fixes)) return 0;
+
+  let repaired = 0;
+  fixes.forEach((fix, position) => {
+    const target =
+      failing.find((entry) => fix && entry.index === Number(fix.index)) || failing[position];
+    if (!target || target.repaired) return;
+
+    const candidate = inspect(entries, { ...target, question: normalizeQuestion(fix, { difficulty }) });
+    if (!hasErrors(candidate)) {
+      target.original = target.original || target.issues;
+      target.question = candidate.question;
+      target.issues = candidate.issues;
+      target.repaired = true;
+      repaired++;
+    }
+  });
+
+  return repaired;
+}
+
+/**
+ * Validate generated questions, repair the failing ones and report on each
+ * @param {Array|Object} raw - Parsed model output (an array, or { questions: [...] })
+ * @param {Object} options
+ * @param {Function} options.repair - async (prompt) => parsed JSON from the same provider
+ * @param {String} options.context - e.g. 'about "Photosynthesis"', used in the repair prompt
+ * @param {String} options.difficulty - Fallback difficulty for items without a valid one
+ * @param {Number} options.requested - Number of questions asked for
+ * @returns {Object} { questions, quality }
+ */
+async function validateAndRepair(raw, { repair, context = '', difficulty = 'Medium', requested } = {}) {
+  const items = Array.isArray(raw) ? raw : Array.isArray(raw?.questions) ? raw.questions : null;
+  if (!items || items.length === 0) {
+    throw httpError('AI did not return valid questions array', 502);
+  }
+
+  const entries = [];
+  items.forEach((item, i) => {
+    const entry = { index: i + 1, raw: item, question: normalizeQuestion(item, { difficulty }) };
+    entries.push(entry);
+    inspect(entries, entry);
+  });
+
+  let attempts = 0;
+  if (repair) {
+    while (attempts < REPAIR_ATTEMPTS) {
+      // Warnings alone don't cost a question, so they are not worth a re-prompt
+      const failing = entries.filter(hasErrors);
+      if (failing.length === 0) break;
+
+      attempts++;
+      const repaired = await repairEntries(entries, failing, { repair, context, difficulty });
+      logger.info(`Repair attempt ${attempts}: fixed ${repaired}/${failing.length} questions`);
+      if (repaired === 0) break;
+    }
+  }
+
+  const questions = [];
+  const reportItems = entries.map((entry) => {
+    const kept = !hasErrors(entry);
+    if (kept) questions.push(entry.question);
+
+    return {
+      index: entry.index,
+      questionIndex: kept ? questions.length - 1 : null,
+      question: (entry.question?.question || '').slice(0, 120),
+      status: !kept ? 'dropped' : entry.repaired ? 'repaired' : 'valid',
+      // What was wrong with the generated version (repaired) or still is (dropped)
+      issues: entry.repaired
+        ? entry.original.map((i) => i.message)
+        : entry.issues.filter((i) => i.severity === 'error').map((i) => i.message),
+      warnings: kept ? entry.issues.filter((i) => i.severity === 'warning').map((i) => i.message) : [],
+    };
+  });
+
+  if (questions.length === 0) {
+    throw httpError('AI did not return any valid questions', 502);
+  }
+
+  const quality = {
+    requested: requested || items.length,
+    total: items.length,
+    valid: reportItems.filter((item) => item.status === 'valid').length,
+    repaired: reportItems.filter((item) => item.status === 'repaired').length,
+    dropped: reportItems.filter((item) => item.status === 'dropped').length,
+    repairAttempts: attempts,
+    items: reportItems,
+  };
+
+  if (quality.dropped > 0 || quality.repaired > 0) {
+    logger.info(`Question quality: ${quality.valid} valid, ${quality.repaired} repaired, ${quality.dropped} dropped`);
+  }
+
+  return { questions, quality };
+}
+
+module.exports = {
+  normalizeQuestion,
+  checkQuestion,
+  similarity,
+  validateAndRepair,
+};
@@ -85,7 +85,7 @@ quizGenerationQueue.process(
  * Process topic-based quiz generation
  */
 async function processTopicGeneration(job, data) {
-  const { topic, numQuestions, difficulty, useAdaptive, userId, adaptiveContext } = data;
+  const { topic, numQuestions, difficulty, useAdaptive, userId, adaptiveContext, provider, tenantId } = data;
   
   await job.progress(20);
   
@@ -97,6 +97,8 @@ async function processTopicGeneration(job, data) {
     useAdaptive,
     userId,
     adaptiveContext,
+    provider,
+    tenantId,
   });
   
   await job.progress(60);
@@ -110,12 +112,15 @@ async function processTopicGeneration(job, data) {
       ? adaptiveContext.suggestedDifficulty 
       : difficulty,
     category: 'AI Generated',
+    // Fallback mastery skill for questions the model left untagged
+    tags: [topic],
     createdBy: userId,
     isPublic: data.isPublic !== undefined ? data.isPublic : true,
     generationMetadata: {
       method: 'ai-topic',
       prompt: topic,
-      model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+      provider: aiResult.provider,
+      model: aiResult.model,
       wasAdaptive: useAdaptive,
       generatedAt: new Date(),
       generationTime: aiResult.generationTime,
@@ -133,6 +138,7 @@ async function processTopicGeneration(job, data) {
     quizId: savedQuiz._id,
     quiz: savedQuiz,
     fromCache: aiResult.fromCache,
+    quality: aiResult.quality,
     adaptiveInfo: aiResult.adaptiveInfo,
     generationTime: aiResult.generationTime,
   };
@@ -149,7 +155,9 @@ async function processFileGeneration(job, data) {
     difficulty, 
     useAdaptive, 
     userId, 
-    adaptiveContext 
+    adaptiveContext,
+    provider,
+    tenantId,
   } = data;
   
   await job.progress(20);
@@ -163,6 +171,8 @@ async function processFileGeneration(job, data) {
     userId,
     adaptiveContext,
     fileName,
+    provider,
+    tenantId,
   });
   
   await job.progress(60);
@@ -181,7 +191,8 @@ async function processFileGeneration(job, data) {
     generationMetadata: {
       method: 'ai-file',
       sourceFile: fileName,
-      model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+      provider: aiResult.provider,
+      model: aiResult.model,
       wasAdaptive: useAdaptive,
       generatedAt: new Date(),
       generationTime: aiResult.generationTime,
@@ -199,6 +210,7 @@ async function processFileGeneration(job, data) {
     quizId: savedQuiz._id,
     quiz: savedQuiz,
     fromCache: aiResult.fromCache,
+    quality: aiResult.quality,
     adaptiveInfo: aiResult.adaptiveInfo,
     generationTime: aiResult.generationTime,
   };
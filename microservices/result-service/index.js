@@ -12,6 +12,7 @@ const createLogger = require("../shared/utils/logger");
 const ApiResponse = require("../shared/utils/response");
 const { connectDB } = require("./models");
 const cacheManager = require("./services/cacheManager");
+const eventBus = require("./services/eventBus");
 
 const app = express();
 const logger = createLogger("result-service");
@@ -59,6 +60,8 @@ app.use((req, res, next) => {
 app.use("/api/results", require("./routes/submission"));
 app.use("/api/leaderboards", require("./routes/leaderboards"));
 app.use("/api/analytics", require("./routes/analytics"));
+app.use("/api/reviews", require("./routes/reviews"));
+app.use("/api/mastery", require("./routes/mastery"));
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -71,6 +74,8 @@ app.get("/", (req, res) => {
       results: "/api/results/*",
       leaderboards: "/api/leaderboards/*",
       analytics: "/api/analytics/*",
+      reviews: "/api/reviews/*",
+      mastery: "/api/mastery/*",
     },
   });
 });
@@ -153,6 +158,7 @@ const shutdown = async (signal) => {
     await mongoose.connection.close();
     logger.info("MongoDB connection closed");
 
+    await eventBus.close();
     await cacheManager.disconnect();
     logger.info("Redis connection closed");
 
@@ -172,6 +178,14 @@ const startServer = async () => {
   try {
     await connectDB();
     await cacheManager.connect();
+    try {
+      await eventBus.connectMessageBroker(cacheManager.redis);
+    } catch (busError) {
+      logger.warn(
+        "Event bus broker connection failed - events stay in this process:",
+        busError.message
+      );
+    }
 
     server = app.listen(PORT, () => {
       const serviceUrl =
@@ -0,0 +1,46 @@
+/**
+ * Mastery Model - Per-user, per-skill knowledge estimate
+ * A skill is a question tag (or the quiz category for untagged questions).
+ * pKnown is the Bayesian knowledge tracing probability that the learner has
+ * mastered the skill, updated on every graded answer.
+ */
+
+const mongoose = require('mongoose');
+
+const masterySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  skill: {
+    type: String, // Normalized tag (lowercase, single spaces)
+    required: true,
+  },
+  label: String, // Tag as first written, for display and prompts
+  pKnown: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  correct: {
+    type: Number,
+    default: 0,
+  },
+  lastPracticedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// One estimate per user per skill
+masterySchema.index({ userId: 1, skill: 1 }, { unique: true });
+
+// Weakest skills first
+masterySchema.index({ userId: 1, pKnown: 1 });
+
+module.exports = mongoose.model('Mastery', masterySchema);
@@ -22,6 +22,15 @@ const answerSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  credit: {
+    type: Number, // Share of the question's points earned (0-1), below 1 for partial answers
+    min: 0,
+    max: 1,
+  },
+  bonusPoints: {
+    type: Number, // Time/streak bonus awarded by server grading
+    default: 0,
+  },
   timeSpent: {
     type: Number, // Milliseconds
     default: 0,
@@ -69,6 +78,11 @@ const resultSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  bonusPoints: {
+    type: Number, // Time/streak bonuses, kept out of score so percentage stays 0-100
+    default: 0,
+    min: 0,
+  },
   percentage: {
     type: Number, // 0-100
     required: true,
@@ -112,6 +126,26 @@ const resultSchema = new mongoose.Schema({
   
   // Detailed answers
   answers: [answerSchema],
+
+  // Server-side grading audit
+  grading: {
+    gradedBy: {
+      type: String,
+      enum: ['server', 'legacy'],
+      default: 'legacy',
+    },
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    discrepancies: [{
+      _id: false,
+      questionId: String,
+      field: String,
+      claimed: mongoose.Schema.Types.Mixed,
+      actual: mongoose.Schema.Types.Mixed,
+    }],
+  },
   
   // Performance indicators (for analytics)
   rank: {
@@ -171,6 +205,9 @@ resultSchema.index({ 'quizMetadata.category': 1, percentage: -1 });
 // Index 10: Recent results (for feed)
 resultSchema.index({ createdAt: -1 });
 
+// Index 11: Flagged submissions review
+resultSchema.index({ 'grading.flagged': 1, createdAt: -1 });
+
 // ============================================
 // VIRTUAL FIELDS
 // ============================================
@@ -211,6 +248,7 @@ resultSchema.methods.getSummary = function() {
     id: this._id,
     score: this.score,
     maxScore: this.maxScore,
+    bonusPoints: this.bonusPoints,
     percentage: this.percentage,
     correctAnswers: this.correctAnswers,
     totalQuestions: this.totalQuestions,
@@ -419,6 +457,50 @@ resultSchema.statics.getQuizAnalytics = async function(quizId) {
   ]);
 };
 
+/**
+ * Per-question answer statistics of a quiz: how often each question is
+ * answered correctly and how long answers take (ms, ignoring untimed ones)
+ */
+resultSchema.statics.getQuestionStats = async function(quizId) {
+  return this.aggregate([
+    { $match: { quizId: new mongoose.Types.ObjectId(quizId) } },
+    { $unwind: '$answers' },
+    {
+      $project: {
+        questionId: '$answers.questionId',
+        credit: {
+          $ifNull: ['$answers.credit', { $cond: ['$answers.isCorrect', 1, 0] }],
+        },
+        isCorrect: '$answers.isCorrect',
+        timeSpent: {
+          $cond: [{ $gt: ['$answers.timeSpent', 0] }, '$answers.timeSpent', null],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$questionId',
+        attempts: { $sum: 1 },
+        correctRate: { $avg: { $cond: ['$isCorrect', 1, 0] } },
+        averageCredit: { $avg: '$credit' },
+        averageTime: { $avg: '$timeSpent' },
+        timeSpread: { $stdDevPop: '$timeSpent' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        questionId: '$_id',
+        attempts: 1,
+        correctRate: { $round: ['$correctRate', 3] },
+        averageCredit: { $round: ['$averageCredit', 3] },
+        averageTime: { $round: ['$averageTime', 0] },
+        timeSpread: { $round: ['$timeSpread', 0] },
+      },
+    },
+  ]);
+};
+
 /**
  * Batch insert results (for multiplayer sessions)
  */
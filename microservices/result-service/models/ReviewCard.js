@@ -0,0 +1,152 @@
+/**
+ * Review Card Model - Spaced repetition state for a question a learner got wrong
+ * One card per user per question; the question is snapshotted so reviews keep
+ * working (and grade consistently) even if the quiz is edited or deleted.
+ */
+
+const mongoose = require('mongoose');
+const { LIST_TYPES } = require('../../shared/utils/grading');
+
+const questionSnapshotSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    default: 'multiple-choice',
+  },
+  options: [String],
+  correct_answer: {
+    type: mongoose.Schema.Types.Mixed,
+    required: function() {
+      return !LIST_TYPES.includes(this.type);
+    },
+  },
+  // Grading options copied from the quiz question (see shared/utils/grading.js)
+  acceptedAnswers: {
+    type: [String],
+    default: undefined,
+  },
+  correctAnswers: {
+    type: [String],
+    default: undefined,
+  },
+  tolerance: Number,
+  answerRange: {
+    min: Number,
+    max: Number,
+  },
+  fuzzyThreshold: Number,
+  partialCredit: Boolean,
+  explanation: String,
+  tags: [String],
+  points: {
+    type: Number,
+    default: 1,
+  },
+  timeLimit: {
+    type: Number, // Seconds
+    default: 30,
+  },
+}, { _id: false });
+
+const reviewCardSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  question: {
+    type: questionSnapshotSchema,
+    required: true,
+  },
+  quizTitle: String,
+  category: {
+    type: String,
+    default: 'General',
+  },
+  sourceResultId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Result',
+  },
+
+  // SM-2 scheduling state
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: 1.3,
+  },
+  interval: {
+    type: Number, // Days until the next review after a successful recall
+    default: 0,
+  },
+  repetitions: {
+    type: Number, // Consecutive successful recalls
+    default: 0,
+  },
+  lapses: {
+    type: Number, // Times the card was forgotten after being learned
+    default: 0,
+  },
+  dueAt: {
+    type: Date,
+    required: true,
+  },
+  lastReviewedAt: Date,
+
+  reviewCount: {
+    type: Number,
+    default: 0,
+  },
+  correctCount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active',
+  },
+}, {
+  timestamps: true,
+});
+
+// One card per user per question
+reviewCardSchema.index({ userId: 1, questionId: 1 }, { unique: true });
+
+// Due queue
+reviewCardSchema.index({ userId: 1, status: 1, dueAt: 1 });
+
+/**
+ * Card as shown to the learner (no answer key)
+ */
+reviewCardSchema.methods.toClient = function() {
+  return {
+    id: this._id,
+    quizId: this.quizId,
+    quizTitle: this.quizTitle,
+    category: this.category,
+    question: this.question.question,
+    type: this.question.type,
+    options: this.question.options || [],
+    points: this.question.points,
+    timeLimit: this.question.timeLimit,
+    dueAt: this.dueAt,
+    interval: this.interval,
+    repetitions: this.repetitions,
+    lapses: this.lapses,
+    reviewCount: this.reviewCount,
+  };
+};
+
+module.exports = mongoose.model('ReviewCard', reviewCardSchema);
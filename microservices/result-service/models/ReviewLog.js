@@ -0,0 +1,50 @@
+/**
+ * Review Log Model - One entry per spaced repetition review
+ * Feeds daily review counts (streak credit) and review analytics.
+ */
+
+const mongoose = require('mongoose');
+
+const reviewLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReviewCard',
+    required: true,
+  },
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+  },
+  questionId: mongoose.Schema.Types.ObjectId,
+  selectedAnswer: mongoose.Schema.Types.Mixed,
+  isCorrect: {
+    type: Boolean,
+    required: true,
+  },
+  quality: {
+    type: Number, // SM-2 recall quality, 0-5
+    min: 0,
+    max: 5,
+    required: true,
+  },
+  timeSpent: {
+    type: Number, // Milliseconds
+    default: 0,
+  },
+  intervalBefore: Number,
+  intervalAfter: Number,
+  easeFactor: Number,
+  reviewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reviewLogSchema.index({ userId: 1, reviewedAt: -1 });
+
+module.exports = mongoose.model('ReviewLog', reviewLogSchema);
@@ -141,6 +141,34 @@ router.get("/quiz/:quizId", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/analytics/quiz/:quizId/questions
+ * @desc    Per-question correct rate and answer times of a quiz (anonymous
+ *          aggregates; used by live-service's duel practice bot)
+ * @access  Public
+ */
+router.get("/quiz/:quizId/questions", async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return ApiResponse.badRequest(res, "Invalid quiz id");
+    }
+
+    let questions = await cacheManager.getCachedQuizQuestionStats(quizId);
+    const cached = !!questions;
+
+    if (!questions) {
+      questions = await Result.getQuestionStats(quizId);
+      await cacheManager.cacheQuizQuestionStats(quizId, questions);
+    }
+
+    return ApiResponse.success(res, { quizId, questions, cached });
+  } catch (error) {
+    logger.error("Get quiz question stats error:", error);
+    return ApiResponse.error(res, "Failed to fetch question statistics", 500);
+  }
+});
+
 /**
  * @route   GET /api/analytics/result/:resultId
  * @desc    Get detailed result analysis
@@ -334,4 +362,57 @@ router.get("/teacher/stats", authenticateToken, async (req, res) => {
     return ApiResponse.error(res, "Failed to fetch teacher statistics", 500);
   }
 });
+/**
+ * @route   GET /api/analytics/results/export?after=<resultId>&limit=500
+ * @desc    Page through every result in _id order, in the shape of the
+ *          quiz.completed event (gamification-service imports achievement history)
+ * @access  Private (Admin only)
+ */
+router.get("/results/export", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "Admin") {
+      return ApiResponse.forbidden(res, "Admin access required");
+    }
+
+    const { after } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 1000);
+
+    if (after && !mongoose.Types.ObjectId.isValid(after)) {
+      return ApiResponse.badRequest(res, "after must be a result id");
+    }
+
+    const results = await Result.find(after ? { _id: { $gt: after } } : {})
+      .sort({ _id: 1 })
+      .limit(limit)
+      .select(
+        "userId quizId score bonusPoints percentage totalTimeSpent isPassed quizMetadata.category completedAt"
+      )
+      .lean();
+
+    return ApiResponse.success(res, {
+      results: results.map((result) => ({
+        resultId: result._id.toString(),
+        userId: result.userId.toString(),
+        quizId: result.quizId.toString(),
+        resultData: {
+          percentage: result.percentage,
+          pointsEarned: result.score,
+          bonusPoints: result.bonusPoints,
+          totalTimeTaken: result.totalTimeSpent / 1000, // Seconds, as in quiz.completed
+          passed: result.isPassed,
+          category: result.quizMetadata?.category || "General",
+          completedAt: result.completedAt,
+        },
+      })),
+      next:
+        results.length === limit
+          ? results[results.length - 1]._id.toString()
+          : null,
+    });
+  } catch (error) {
+    logger.error("Export results error:", error);
+    return ApiResponse.error(res, "Failed to export results", 500);
+  }
+});
+
 module.exports = router;
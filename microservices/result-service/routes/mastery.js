@@ -0,0 +1,56 @@
+/**
+ * Mastery Routes
+ * Per-topic/tag mastery estimates used for adaptive quiz generation
+ */
+
+const express = require("express");
+const ApiResponse = require("../../shared/utils/response");
+const createLogger = require("../../shared/utils/logger");
+const { authenticateToken } = require("../../shared/middleware/auth");
+const masteryModel = require("../services/masteryModel");
+
+const router = express.Router();
+const logger = createLogger("mastery-routes");
+
+/**
+ * @route   GET /api/mastery?topic=
+ * @desc    Current user's mastery profile (weak/strong skills, suggested difficulty)
+ * @access  Private
+ */
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const profile = await masteryModel.getProfile(req.user.userId, {
+      topic: req.query.topic,
+    });
+    return ApiResponse.success(res, { profile });
+  } catch (error) {
+    logger.error("Get mastery error:", error);
+    return ApiResponse.error(res, "Failed to get mastery profile", 500);
+  }
+});
+
+/**
+ * @route   GET /api/mastery/user/:userId?topic=
+ * @desc    Mastery profile for a specific user
+ * @access  Private (own profile or Admin)
+ */
+router.get("/user/:userId", authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.user.userId && req.user.role !== "Admin") {
+      return ApiResponse.forbidden(res, "Access denied");
+    }
+
+    const profile = await masteryModel.getProfile(userId, { topic: req.query.topic });
+    return ApiResponse.success(res, { profile });
+  } catch (error) {
+    if (error.name === "BSONError" || error.name === "CastError") {
+      return ApiResponse.badRequest(res, "Invalid user ID");
+    }
+    logger.error("Get user mastery error:", error);
+    return ApiResponse.error(res, "Failed to get mastery profile", 500);
+  }
+});
+
+module.exports = router;
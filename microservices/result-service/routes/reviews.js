@@ -0,0 +1,120 @@
+/**
+ * Review Routes
+ * Spaced repetition queue built from questions the learner answered incorrectly
+ */
+
+const express = require("express");
+const ApiResponse = require("../../shared/utils/response");
+const createLogger = require("../../shared/utils/logger");
+const { authenticateToken } = require("../../shared/middleware/auth");
+const reviewScheduler = require("../services/reviewScheduler");
+
+const router = express.Router();
+const logger = createLogger("review-routes");
+
+const RATINGS = ["again", "hard", "good", "easy"];
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/reviews/due?limit=&quizId=
+ * @desc    Cards due for review now (oldest first), with today's progress
+ * @access  Private
+ */
+router.get("/due", async (req, res) => {
+  try {
+    const [cards, summary] = await Promise.all([
+      reviewScheduler.getDueCards(req.user.userId, {
+        limit: req.query.limit,
+        quizId: req.query.quizId,
+      }),
+      reviewScheduler.getSummary(req.user.userId),
+    ]);
+
+    return ApiResponse.success(res, { cards, summary });
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to get review queue", logger);
+  }
+});
+
+/**
+ * @route   GET /api/reviews/summary
+ * @desc    Due counts, today's reviews and the next due time
+ * @access  Private
+ */
+router.get("/summary", async (req, res) => {
+  try {
+    const summary = await reviewScheduler.getSummary(req.user.userId);
+    return ApiResponse.success(res, { summary });
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to get review summary", logger);
+  }
+});
+
+/**
+ * @route   POST /api/reviews/sync
+ * @desc    Create review cards from past results (submitted before reviews existed)
+ * @body    { limit }
+ * @access  Private
+ */
+router.post("/sync", async (req, res) => {
+  try {
+    const synced = await reviewScheduler.syncFromHistory(
+      req.user.userId,
+      {
+        "x-auth-token": req.headers["x-auth-token"],
+        authorization: req.headers.authorization,
+      },
+      { limit: req.body.limit }
+    );
+
+    return ApiResponse.success(res, synced, "Review cards synced");
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to sync review cards", logger);
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:cardId/review
+ * @desc    Answer a due card; graded server-side and rescheduled
+ * @body    { selectedAnswer, timeSpent (ms), rating: again|hard|good|easy }
+ * @access  Private
+ */
+router.post("/:cardId/review", async (req, res) => {
+  try {
+    const { selectedAnswer, timeSpent, rating } = req.body;
+
+    if (selectedAnswer === undefined || selectedAnswer === null || selectedAnswer === "") {
+      return ApiResponse.badRequest(res, "selectedAnswer is required");
+    }
+    if (rating !== undefined && !RATINGS.includes(rating)) {
+      return ApiResponse.badRequest(res, `rating must be one of: ${RATINGS.join(", ")}`);
+    }
+
+    const outcome = await reviewScheduler.reviewCard(req.user.userId, req.params.cardId, {
+      selectedAnswer,
+      timeSpent,
+      rating,
+    });
+
+    return ApiResponse.success(res, outcome);
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to record review", logger);
+  }
+});
+
+/**
+ * @route   DELETE /api/reviews/:cardId
+ * @desc    Suspend a card so it no longer appears in the queue
+ * @access  Private
+ */
+router.delete("/:cardId", async (req, res) => {
+  try {
+    await reviewScheduler.suspendCard(req.user.userId, req.params.cardId);
+    return ApiResponse.success(res, null, "Review card suspended");
+  } catch (error) {
+    return ApiResponse.fromError(res, error, "Failed to suspend review card", logger);
+  }
+});
+
+module.exports = router;
@@ -10,13 +10,51 @@ const { authenticateToken } = require('../../shared/middleware/auth');
 const { validateFields } = require('../../shared/middleware/inputValidation');
 const Result = require('../models/Result');
 const cacheManager = require('../services/cacheManager');
+const gradingService = require('../services/gradingService');
+const reviewScheduler = require('../services/reviewScheduler');
+const masteryModel = require('../services/masteryModel');
+const eventBus = require('../services/eventBus');
+const { EVENTS } = require('../../shared/config/constants');
 
 const router = express.Router();
 const logger = createLogger('submission-routes');
 
+/**
+ * Forward the caller's credentials when fetching the answer key
+ */
+const authHeadersFrom = (req) => ({
+  'x-auth-token': req.headers['x-auth-token'],
+  authorization: req.headers.authorization,
+});
+
+/**
+ * Publish quiz completion with server-graded numbers only (non-blocking)
+ */
+const publishQuizCompleted = (result, challengeId = null) => {
+  eventBus.publish(EVENTS.QUIZ_COMPLETED, {
+    userId: result.userId.toString(),
+    quizId: result.quizId.toString(),
+    resultId: result._id.toString(),
+    // Friend challenge this attempt was played for (gamification-service)
+    challengeId,
+    resultData: {
+      percentage: result.percentage,
+      pointsEarned: result.score,
+      bonusPoints: result.bonusPoints,
+      totalTimeTaken: result.totalTimeSpent / 1000, // Convert to seconds
+      passed: result.isPassed,
+      experienceGained: Math.round((result.score + result.bonusPoints) / 10),
+      category: result.quizMetadata?.category || 'General',
+      completedAt: result.completedAt
+    }
+  }, { idempotencyKey: `quiz-completed:${result._id}` }).catch(err => {
+    logger.error('Failed to publish quiz completion:', err.message);
+  });
+};
+
 /**
  * @route   POST /api/results/submit
- * @desc    Submit quiz result
+ * @desc    Submit quiz result (graded server-side against the quiz answer key)
  * @access  Private
  */
 router.post(
@@ -28,93 +66,117 @@ router.post(
     startedAt: { required: true, type: 'string' },
     completedAt: { required: true, type: 'string' },
     sessionId: { type: 'objectId' },
+    challengeId: { type: 'objectId' },
   }),
   async (req, res) => {
     try {
       const {
         quizId,
         sessionId,
+        challengeId,
         answers,
         startedAt,
         completedAt,
-        quizMetadata,
+        score,
+        percentage,
+        correctAnswers,
       } = req.body;
 
-    // Calculate metrics
-    const totalQuestions = answers.length;
-    const correctAnswers = answers.filter(ans => ans.isCorrect).length;
-    const incorrectAnswers = totalQuestions - correctAnswers;
-    const score = answers.reduce((sum, ans) => sum + (ans.points || 0), 0);
-    const maxScore = answers.reduce((sum, ans) => sum + (ans.points || 10), 0); // Assume 10 if not provided
-    
-    const startTime = new Date(startedAt);
-    const endTime = new Date(completedAt);
-    const totalTimeSpent = endTime - startTime;
-    
-    const percentage = totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0;
-    const averageTimePerQuestion = totalQuestions > 0 ? totalTimeSpent / totalQuestions : 0;
-
-    // Create result
-    const result = new Result({
-      userId: req.user.userId,
-      quizId,
-      sessionId: sessionId || null,
-      isMultiplayer: !!sessionId,
-      score,
-      maxScore,
-      percentage,
-      correctAnswers,
-      incorrectAnswers,
-      totalQuestions,
-      startedAt: startTime,
-      completedAt: endTime,
-      totalTimeSpent,
-      averageTimePerQuestion,
-      answers,
-      quizMetadata: quizMetadata || {},
-    });
+      const quiz = await gradingService.fetchQuiz(quizId, authHeadersFrom(req));
+      const grade = gradingService.gradeSubmission(quiz, answers, {
+        score,
+        percentage,
+        correctAnswers,
+      });
 
-    await result.save();
-    logger.info(`Result submitted: ${result._id} by user ${req.user.userId} for quiz ${quizId}`);
-
-    // Notify gamification service (non-blocking)
-    const axios = require('axios');
-    const GAMIFICATION_URL = process.env.GAMIFICATION_SERVICE_URL || 'http://localhost:3007';
-    axios.post(`${GAMIFICATION_URL}/api/events/quiz-completed`, {
-      userId: req.user.userId,
-      quizId,
-      resultData: {
-        percentage: (correctAnswers / totalQuestions) * 100,
-        pointsEarned: score,
-        bonusPoints: 0,
-        totalTimeTaken: totalTimeSpent / 1000, // Convert to seconds
-        passed: correctAnswers / totalQuestions >= 0.6, // 60% passing
-        experienceGained: Math.round(score / 10),
-        category: quizMetadata?.category || 'General'
+      if (grade.discrepancies.length > 0) {
+        logger.warn(
+          `Submission for quiz ${quizId} by user ${req.user.userId} disagrees with server grade`,
+          { discrepancies: grade.discrepancies }
+        );
       }
-    }).catch(err => {
-      logger.error('Gamification notification failed:', err.message);
-    });
 
-    // Invalidate related caches asynchronously (don't block response)
-    cacheManager.invalidateResultCaches(req.user.userId, quizId)
-      .catch(err => logger.error('Cache invalidation error:', err));
+      if (gradingService.shouldReject(grade)) {
+        return ApiResponse.error(
+          res,
+          'Submitted results do not match server grading',
+          422,
+          grade.discrepancies
+        );
+      }
+
+      const startTime = new Date(startedAt);
+      const endTime = new Date(completedAt);
+      const totalTimeSpent = Math.max(0, endTime - startTime);
+
+      const result = new Result({
+        userId: req.user.userId,
+        quizId,
+        sessionId: sessionId || null,
+        isMultiplayer: !!sessionId,
+        score: grade.score,
+        maxScore: grade.maxScore,
+        bonusPoints: grade.bonusPoints,
+        percentage: grade.percentage,
+        correctAnswers: grade.correctAnswers,
+        incorrectAnswers: grade.incorrectAnswers,
+        totalQuestions: grade.totalQuestions,
+        startedAt: startTime,
+        completedAt: endTime,
+        totalTimeSpent,
+        averageTimePerQuestion: grade.totalQuestions > 0 ? totalTimeSpent / grade.totalQuestions : 0,
+        answers: grade.answers,
+        grading: {
+          gradedBy: 'server',
+          flagged: grade.discrepancies.length > 0,
+          discrepancies: grade.discrepancies,
+        },
+        // Denormalized from the quiz itself, not the client
+        quizMetadata: {
+          title: quiz.title,
+          difficulty: quiz.difficulty,
+          category: quiz.category,
+        },
+      });
+
+      await result.save();
+      logger.info(`Result submitted: ${result._id} by user ${req.user.userId} for quiz ${quizId}`);
+
+      publishQuizCompleted(result, challengeId || null);
 
-    res.status(201).json(
-      ApiResponse.created({
+      // Turn wrong answers into spaced repetition cards (non-blocking)
+      reviewScheduler.captureMistakes(result, quiz)
+        .catch(err => logger.error('Review card capture error:', err));
+
+      // Update per-tag mastery from the graded answers (non-blocking)
+      masteryModel.recordResult(result, quiz)
+        .catch(err => logger.error('Mastery update error:', err));
+
+      // Invalidate related caches asynchronously (don't block response)
+      cacheManager.invalidateResultCaches(req.user.userId, quizId)
+        .catch(err => logger.error('Cache invalidation error:', err));
+
+      return ApiResponse.created(res, {
         result: result.getSummary(),
         analysis: result.getDetailedAnalysis(),
-      })
-    );
-  } catch (error) {
-    logger.error('Submit result error:', error);
-    return ApiResponse.error(res, 'Failed to submit result', 500);
+        grading: {
+          flagged: result.grading.flagged,
+          discrepancies: result.grading.discrepancies,
+        },
+      });
+    } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(res, error.message, error.status);
+      }
+      logger.error('Submit result error:', error);
+      return ApiResponse.error(res, 'Failed to submit result', 500);
+    }
   }
-});
+);
 
 /**
  * @route   POST /api/results/batch-submit
- * @desc    Batch submit results (for multiplayer sessions)
+ * @desc    Batch submit results (for multiplayer sessions), graded server-side
  * @access  Private (Server-to-server)
  */
 router.post('/batch-submit', authenticateToken, async (req, res) => {
@@ -125,60 +187,88 @@ router.post('/batch-submit', authenticateToken, async (req, res) => {
       return ApiResponse.badRequest(res, 'Results array required');
     }
 
-    // Validate and prepare results
-    const preparedResults = results.map(r => {
-      const totalQuestions = r.answers.length;
-      const correctAnswers = r.answers.filter(ans => ans.isCorrect).length;
-      const score = r.answers.reduce((sum, ans) => sum + (ans.points || 0), 0);
-      const maxScore = r.answers.reduce((sum, ans) => sum + (ans.points || 10), 0);
-      const totalTimeSpent = new Date(r.completedAt) - new Date(r.startedAt);
-      const percentage = totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0;
-      const averageTimePerQuestion = totalQuestions > 0 ? totalTimeSpent / totalQuestions : 0;
-      
-      return {
+    // Fetch each quiz's answer key once
+    const uniqueQuizIds = [...new Set(results.map(r => String(r.quizId)))];
+    const quizzes = new Map();
+    for (const quizId of uniqueQuizIds) {
+      quizzes.set(quizId, await gradingService.fetchQuiz(quizId, authHeadersFrom(req)));
+    }
+
+    const preparedResults = [];
+    for (const r of results) {
+      const quiz = quizzes.get(String(r.quizId));
+      const grade = gradingService.gradeSubmission(quiz, r.answers || []);
+
+      if (gradingService.shouldReject(grade)) {
+        return ApiResponse.error(
+          res,
+          `Submitted results for user ${r.userId} do not match server grading`,
+          422,
+          grade.discrepancies
+        );
+      }
+
+      const totalTimeSpent = Math.max(0, new Date(r.completedAt) - new Date(r.startedAt));
+
+      // insertMany skips save hooks, so derive everything here
+      const isPassed = grade.percentage >= 60;
+      preparedResults.push({
         userId: r.userId,
         quizId: r.quizId,
         sessionId: r.sessionId,
         isMultiplayer: true,
-        score,
-        maxScore,
-        percentage,
-        correctAnswers,
-        incorrectAnswers: totalQuestions - correctAnswers,
-        totalQuestions,
+        score: grade.score,
+        maxScore: grade.maxScore,
+        bonusPoints: grade.bonusPoints,
+        percentage: grade.percentage,
+        correctAnswers: grade.correctAnswers,
+        incorrectAnswers: grade.incorrectAnswers,
+        totalQuestions: grade.totalQuestions,
         startedAt: r.startedAt,
         completedAt: r.completedAt,
         totalTimeSpent,
-        averageTimePerQuestion,
-        answers: r.answers,
-        quizMetadata: r.quizMetadata || {},
-      };
-    });
+        averageTimePerQuestion: grade.totalQuestions > 0 ? totalTimeSpent / grade.totalQuestions : 0,
+        answers: grade.answers,
+        isPassed,
+        grading: {
+          gradedBy: 'server',
+          flagged: grade.discrepancies.length > 0,
+          discrepancies: grade.discrepancies,
+        },
+        quizMetadata: {
+          title: quiz.title,
+          difficulty: quiz.difficulty,
+          category: quiz.category,
+        },
+      });
+    }
 
     // Batch insert
     const savedResults = await Result.batchInsert(preparedResults);
     logger.info(`Batch inserted ${savedResults.length} results`);
 
-    // Notify gamification service about batch results (non-blocking)
-    const axios = require('axios');
-    const GAMIFICATION_URL = process.env.GAMIFICATION_SERVICE_URL || 'http://localhost:3007';
-    for (const result of results) {
-      axios.post(`${GAMIFICATION_URL}/api/events/result-saved`, {
-        userId: result.userId,
-        resultId: result._id,
+    // Publish saved results for leaderboard updates (non-blocking)
+    for (const result of savedResults) {
+      reviewScheduler.captureMistakes(result, quizzes.get(String(result.quizId)))
+        .catch(err => logger.error('Review card capture error:', err));
+      masteryModel.recordResult(result, quizzes.get(String(result.quizId)))
+        .catch(err => logger.error('Mastery update error:', err));
+
+      eventBus.publish(EVENTS.RESULT_SAVED, {
+        userId: result.userId.toString(),
+        resultId: result._id.toString(),
         resultData: {
           category: result.quizMetadata?.category || 'General',
           totalPoints: result.score
         }
-      }).catch(err => {
-        logger.error('Gamification leaderboard update failed:', err.message);
+      }, { idempotencyKey: `result-saved:${result._id}` }).catch(err => {
+        logger.error('Failed to publish saved result:', err.message);
       });
     }
 
     // Invalidate caches for affected quizzes and users
-    const uniqueQuizIds = [...new Set(results.map(r => r.quizId))];
     const uniqueUserIds = [...new Set(results.map(r => r.userId))];
-    
+
     Promise.all([
       ...uniqueQuizIds.map(qid => cacheManager.invalidateQuizLeaderboard(qid)),
       ...uniqueQuizIds.map(qid => cacheManager.invalidateQuizAnalytics(qid)),
@@ -186,13 +276,15 @@ router.post('/batch-submit', authenticateToken, async (req, res) => {
       cacheManager.invalidateGlobalLeaderboard(),
     ]).catch(err => logger.error('Batch cache invalidation error:', err));
 
-    res.status(201).json(
-      ApiResponse.created({
-        message: `Successfully saved ${savedResults.length} results`,
-        count: savedResults.length,
-      })
-    );
+    return ApiResponse.created(res, {
+      message: `Successfully saved ${savedResults.length} results`,
+      count: savedResults.length,
+      flagged: preparedResults.filter(r => r.grading.flagged).length,
+    });
   } catch (error) {
+    if (error.status) {
+      return ApiResponse.error(res, error.message, error.status);
+    }
     logger.error('Batch submit error:', error);
     return ApiResponse.error(res, 'Failed to batch submit results', 500);
   }
@@ -136,6 +136,10 @@ class CacheManager {
     return `analytics:quiz:${quizId}`;
   }
 
+  getQuizQuestionStatsKey(quizId) {
+    return `analytics:quiz:${quizId}:questions`;
+  }
+
   getUserRankKey(userId, quizId) {
     return `rank:user:${userId}:quiz:${quizId}`;
   }
@@ -367,13 +371,52 @@ class CacheManager {
     }
   }
 
+  /**
+   * Cache per-question answer statistics of a quiz
+   */
+  async cacheQuizQuestionStats(quizId, questions) {
+    try {
+      const key = this.getQuizQuestionStatsKey(quizId);
+      await this.redis.setex(
+        key,
+        this.ttls.quizAnalytics,
+        JSON.stringify(questions)
+      );
+      logger.debug(`Cached quiz question stats: ${key}`);
+      return true;
+    } catch (error) {
+      logger.error("Error caching quiz question stats:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get cached per-question answer statistics
+   */
+  async getCachedQuizQuestionStats(quizId) {
+    try {
+      const key = this.getQuizQuestionStatsKey(quizId);
+      const cached = await this.redis.get(key);
+
+      if (cached) {
+        logger.debug(`Cache hit: ${key}`);
+        return JSON.parse(cached);
+      }
+
+      return null;
+    } catch (error) {
+      logger.error("Error getting cached quiz question stats:", error);
+      return null;
+    }
+  }
+
   /**
    * Invalidate quiz analytics (when new attempt submitted)
    */
   async invalidateQuizAnalytics(quizId) {
     try {
       const key = this.getQuizAnalyticsKey(quizId);
-      await this.redis.del(key);
+      await this.redis.del(key, this.getQuizQuestionStatsKey(quizId));
       logger.debug(`Invalidated quiz analytics: ${key}`);
       return true;
     } catch (error) {
@@ -0,0 +1,8 @@
+/**
+ * Event Bus for Result Service
+ * Publishes result events over Redis Streams (see shared/utils/eventBus)
+ */
+
+const EventBus = require("../../shared/utils/eventBus");
+
+module.exports = new EventBus("result-service");
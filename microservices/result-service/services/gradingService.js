@@ -0,0 +1,251 @@
+/**
+ * Grading Service for Result Service
+ * Grades submitted answers against the quiz answer key fetched from quiz-service.
+ * Client-reported correctness and points are never trusted; they are only
+ * compared against the server grade to flag tampered submissions.
+ */
+
+const HttpClient = require("../../shared/utils/httpClient");
+const createLogger = require("../../shared/utils/logger");
+const grading = require("../../shared/utils/grading");
+const { httpError } = require("../../shared/utils/httpError");
+
+const logger = createLogger("grading-service");
+
+const QUIZ_SERVICE_URL =
+  process.env.QUIZ_SERVICE_URL || "http://localhost:3002";
+
+// Streak bonus kicks in from the 3rd consecutive correct answer
+const STREAK_BONUS_THRESHOLD = 3;
+
+class GradingService {
+  constructor() {
+    this.quizClient = new HttpClient("result-service", QUIZ_SERVICE_URL);
+
+    // What to do when client-claimed values disagree with the server grade:
+    // "flag" stores the server grade and marks the result, "reject" refuses it
+    this.mismatchPolicy =
+      process.env.GRADING_MISMATCH_POLICY === "reject" ? "reject" : "flag";
+  }
+
+  // ============================================
+  // ANSWER KEY
+  // ============================================
+
+  /**
+   * Fetch the full quiz (including correct answers) from quiz-service.
+   * The caller's auth header is forwarded so private quizzes resolve for their owner.
+   * @param {String} quizId
+   * @param {Object} authHeaders - x-auth-token / Authorization from the request
+   */
+  async fetchQuiz(quizId, authHeaders = {}) {
+    const headers = {};
+    if (authHeaders["x-auth-token"]) {
+      headers["x-auth-token"] = authHeaders["x-auth-token"];
+    }
+    if (authHeaders.authorization) {
+      headers.Authorization = authHeaders.authorization;
+    }
+
+    try {
+      const response = await this.quizClient.get(`/api/quizzes/${quizId}`, {
+        headers,
+      });
+      const quiz = response.data?.data?.quiz || response.data;
+
+      if (!quiz || !Array.isArray(quiz.questions)) {
+        throw httpError("Quiz answer key unavailable", 502);
+      }
+
+      return quiz;
+    } catch (error) {
+      if (error.status) throw error;
+
+      const status = error.response?.status;
+      if (status === 404) throw httpError("Quiz not found", 404);
+      if (status === 403) {
+        throw httpError("Access denied to private quiz", 403);
+      }
+
+      logger.error(`Failed to fetch quiz ${quizId} for grading:`, error.message);
+      throw httpError("Quiz service unavailable, cannot grade", 503);
+    }
+  }
+
+  // ============================================
+  // GRADING
+  // ============================================
+
+  /**
+   * Grade a single answer against its question (shared engine, see shared/utils/grading.js)
+   * @returns {Object} { isCorrect, credit }
+   */
+  gradeAnswer(question, selectedAnswer) {
+    return grading.gradeAnswer(question, selectedAnswer);
+  }
+
+  /**
+   * Whether an answer is fully correct (partial credit does not count)
+   * @returns {Boolean}
+   */
+  isAnswerCorrect(question, selectedAnswer) {
+    return grading.gradeAnswer(question, selectedAnswer).isCorrect;
+  }
+
+  /**
+   * Time bonus mirrors the quiz player: the unused share of the time limit,
+   * scaled by the question's points
+   */
+  calculateTimeBonus(question, timeSpent) {
+    const basePoints = question.points || 1;
+    const limitMs = (question.timeLimit || 30) * 1000;
+
+    if (!timeSpent || timeSpent <= 0 || timeSpent >= limitMs) return 0;
+
+    return Math.floor(((limitMs - timeSpent) / limitMs) * basePoints);
+  }
+
+  calculateStreakBonus(streak) {
+    return streak >= STREAK_BONUS_THRESHOLD
+      ? Math.floor(streak / STREAK_BONUS_THRESHOLD)
+      : 0;
+  }
+
+  /**
+   * Grade a full submission against the quiz.
+   * @param {Object} quiz - Quiz as returned by quiz-service
+   * @param {Array} answers - Submitted answers ({ questionId, selectedAnswer, timeSpent, ... })
+   * @param {Object} claimed - Optional top-level values the client reported
+   * @returns {Object} Server-graded metrics, graded answers and discrepancies
+   */
+  gradeSubmission(quiz, answers, claimed = {}) {
+    const questionsById = new Map(
+      quiz.questions.map((q) => [String(q._id || q.id), q])
+    );
+    const answersByQuestion = new Map();
+
+    for (const answer of answers) {
+      const questionId = String(answer.questionId);
+
+      if (!questionsById.has(questionId)) {
+        throw httpError(`Question ${questionId} does not belong to this quiz`, 400);
+      }
+      if (answersByQuestion.has(questionId)) {
+        throw httpError(`Duplicate answer for question ${questionId}`, 400);
+      }
+
+      answersByQuestion.set(questionId, answer);
+    }
+
+    const settings = quiz.gameSettings || {};
+    const timeBonuses = settings.enableTimeBonuses !== false;
+    const streakBonuses = settings.enableStreakBonuses !== false;
+
+    const gradedAnswers = [];
+    const discrepancies = [];
+    let score = 0;
+    let bonusPoints = 0;
+    let maxScore = 0;
+    let correctAnswers = 0;
+    let streak = 0;
+
+    // Walk the quiz in its own order so streaks can't be gamed by reordering
+    for (const question of quiz.questions) {
+      const questionId = String(question._id || question.id);
+      const basePoints = question.points || 1;
+      maxScore += basePoints;
+
+      // Questions left out, or sent with no answer (timed out), are unanswered
+      const answer = answersByQuestion.get(questionId);
+      if (!answer || answer.selectedAnswer === null || answer.selectedAnswer === undefined) {
+        streak = 0;
+        continue;
+      }
+
+      const timeSpent = Math.max(0, Number(answer.timeSpent) || 0);
+      const { isCorrect, credit } = this.gradeAnswer(question, answer.selectedAnswer);
+
+      // Partial answers earn their share of the points but no bonuses
+      const points = grading.scorePoints(basePoints, credit);
+      let bonus = 0;
+
+      if (isCorrect) {
+        correctAnswers++;
+        streak++;
+        if (timeBonuses) bonus += this.calculateTimeBonus(question, timeSpent);
+        if (streakBonuses) bonus += this.calculateStreakBonus(streak);
+      } else {
+        streak = 0;
+      }
+
+      score += points;
+      bonusPoints += bonus;
+
+      // Only claims that inflate the grade count as discrepancies; a stricter
+      // client-side check (e.g. no normalization) is not tampering
+      if (answer.isCorrect === true && !isCorrect) {
+        discrepancies.push({
+          questionId,
+          field: "isCorrect",
+          claimed: answer.isCorrect,
+          actual: isCorrect,
+        });
+      }
+      if (answer.points !== undefined && Number(answer.points) > points + bonus) {
+        discrepancies.push({
+          questionId,
+          field: "points",
+          claimed: answer.points,
+          actual: points + bonus,
+        });
+      }
+
+      gradedAnswers.push({
+        questionId,
+        selectedAnswer: answer.selectedAnswer,
+        isCorrect,
+        credit,
+        points,
+        bonusPoints: bonus,
+        timeSpent,
+        answeredAt: answer.answeredAt,
+      });
+    }
+
+    const totalQuestions = quiz.questions.length;
+    const percentage =
+      maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+
+    const claimedChecks = {
+      score,
+      percentage,
+      correctAnswers,
+    };
+    for (const [field, actual] of Object.entries(claimedChecks)) {
+      if (claimed[field] !== undefined && Number(claimed[field]) > actual) {
+        discrepancies.push({ field, claimed: claimed[field], actual });
+      }
+    }
+
+    return {
+      answers: gradedAnswers,
+      score,
+      bonusPoints,
+      maxScore,
+      percentage,
+      correctAnswers,
+      incorrectAnswers: totalQuestions - correctAnswers,
+      totalQuestions,
+      discrepancies,
+    };
+  }
+
+  /**
+   * Whether a graded submission must be refused under the configured policy
+   */
+  shouldReject(grade) {
+    return this.mismatchPolicy === "reject" && grade.discrepancies.length > 0;
+  }
+}
+
+module.exports = new GradingService();
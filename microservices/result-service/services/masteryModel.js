@@ -0,0 +1,316 @@
+/**
+ * Mastery Model for Result Service
+ * Per-user, per-tag mastery estimated with Bayesian knowledge tracing (BKT).
+ * Every server-graded answer (quiz submissions and spaced repetition reviews)
+ * updates the estimate for each skill the question is tagged with.
+ */
+
+const validator = require("validator");
+const mongoose = require("mongoose");
+const Mastery = require("../models/Mastery");
+const Result = require("../models/Result");
+const createLogger = require("../../shared/utils/logger");
+
+const logger = createLogger("mastery-model");
+
+// BKT parameters: prior knowledge, chance of learning per attempt, chance of a slip
+const P_INIT = parseFloat(process.env.MASTERY_P_INIT) || 0.3;
+const P_TRANSIT = parseFloat(process.env.MASTERY_P_TRANSIT) || 0.1;
+const P_SLIP = parseFloat(process.env.MASTERY_P_SLIP) || 0.1;
+
+// Skills need this many answers before they are reported as weak or strong
+const MIN_ATTEMPTS = parseInt(process.env.MASTERY_MIN_ATTEMPTS) || 3;
+const WEAK_BELOW = 0.6;
+const MASTERED_AT = 0.95;
+
+const MAX_SKILLS_PER_QUESTION = 5;
+const MAX_UPDATE_RETRIES = 3;
+
+// Catch-all categories say nothing about what a question tests
+const GENERIC_CATEGORIES = ["general", "ai generated", "uncategorized"];
+
+/**
+ * Normalize a tag into a skill key, keeping a display label
+ */
+function toSkill(tag) {
+  const label = validator
+    .unescape(String(tag || ""))
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 60);
+  return label ? { skill: label.toLowerCase(), label } : null;
+}
+
+function clamp(p) {
+  return Math.min(0.999, Math.max(0.001, p));
+}
+
+class MasteryModel {
+  // ============================================
+  // BAYESIAN KNOWLEDGE TRACING
+  // ============================================
+
+  /**
+   * Probability of guessing a question right without knowing the skill
+   */
+  guessRate(question) {
+    switch (question.type) {
+      case "true-false":
+        return 0.5;
+      case "fill-in-blank":
+      case "descriptive":
+      case "numeric":
+        return 0.05;
+      case "multi-select":
+      case "ordering":
+        return 0.1;
+      case "multiple-choice":
+      default: {
+        const count = (question.options || []).length;
+        return count > 1 ? Math.min(0.5, 1 / count) : 0.25;
+      }
+    }
+  }
+
+  /**
+   * Posterior P(known) after one observed answer, then the learning transition
+   */
+  update(pKnown, isCorrect, guess) {
+    const posterior = isCorrect
+      ? (pKnown * (1 - P_SLIP)) / (pKnown * (1 - P_SLIP) + (1 - pKnown) * guess)
+      : (pKnown * P_SLIP) / (pKnown * P_SLIP + (1 - pKnown) * (1 - guess));
+
+    return clamp(posterior + (1 - posterior) * P_TRANSIT);
+  }
+
+  /**
+   * Skills a question exercises: its own tags, else the quiz tags, plus the quiz category
+   */
+  skillsFor(question, quiz = {}) {
+    const tags =
+      question.tags && question.tags.length > 0 ? question.tags : quiz.tags || [];
+    const sources = [...tags];
+    if (quiz.category && !GENERIC_CATEGORIES.includes(quiz.category.toLowerCase())) {
+      sources.push(quiz.category);
+    }
+
+    const skills = new Map();
+    for (const tag of sources) {
+      const parsed = toSkill(tag);
+      if (parsed && !skills.has(parsed.skill)) skills.set(parsed.skill, parsed);
+    }
+    return [...skills.values()].slice(0, MAX_SKILLS_PER_QUESTION);
+  }
+
+  // ============================================
+  // UPDATES
+  // ============================================
+
+  /**
+   * Apply a sequence of observations to one skill.
+   * Guarded on the attempt count so concurrent submissions never overwrite each other.
+   */
+  async applyObservations(userId, { skill, label }, observations) {
+    for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+      const current = await Mastery.findOne({ userId, skill }).lean();
+
+      let pKnown = current ? current.pKnown : P_INIT;
+      for (const { isCorrect, guess } of observations) {
+        pKnown = this.update(pKnown, isCorrect, guess);
+      }
+
+      const update = {
+        $set: { pKnown, lastPracticedAt: new Date() },
+        $inc: {
+          attempts: observations.length,
+          correct: observations.filter((o) => o.isCorrect).length,
+        },
+      };
+
+      try {
+        if (current) {
+          const updated = await Mastery.findOneAndUpdate(
+            { _id: current._id, attempts: current.attempts },
+            update
+          );
+          if (updated) return;
+        } else {
+          await Mastery.create({
+            userId,
+            skill,
+            label,
+            pKnown,
+            attempts: update.$inc.attempts,
+            correct: update.$inc.correct,
+            lastPracticedAt: update.$set.lastPracticedAt,
+          });
+          return;
+        }
+      } catch (error) {
+        // Created concurrently: retry against the stored estimate
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    logger.warn(`Gave up updating mastery of "${skill}" for user ${userId} after concurrent writes`);
+  }
+
+  /**
+   * Update mastery from graded answers
+   * @param {String} userId
+   * @param {Array} answers - [{ questionId, isCorrect }] in the order answered
+   * @param {Object} quiz - Quiz with questions (tags, type, options), tags and category
+   */
+  async recordAnswers(userId, answers, quiz) {
+    const questionsById = new Map(
+      (quiz.questions || []).map((q) => [String(q._id || q.id), q])
+    );
+
+    const bySkill = new Map();
+    for (const answer of answers) {
+      const question = questionsById.get(String(answer.questionId));
+      if (!question) continue;
+
+      const guess = this.guessRate(question);
+      for (const skill of this.skillsFor(question, quiz)) {
+        if (!bySkill.has(skill.skill)) bySkill.set(skill.skill, { skill, observations: [] });
+        bySkill.get(skill.skill).observations.push({ isCorrect: !!answer.isCorrect, guess });
+      }
+    }
+
+    for (const { skill, observations } of bySkill.values()) {
+      await this.applyObservations(userId, skill, observations);
+    }
+
+    return bySkill.size;
+  }
+
+  /**
+   * Update mastery from a saved Result and the quiz it was graded against
+   */
+  async recordResult(result, quiz) {
+    const updated = await this.recordAnswers(result.userId, result.answers || [], quiz);
+    if (updated > 0) {
+      logger.debug(`Updated ${updated} skills for user ${result.userId} from result ${result._id}`);
+    }
+    return updated;
+  }
+
+  // ============================================
+  // PROFILE
+  // ============================================
+
+  toClient(entry) {
+    return {
+      skill: entry.skill,
+      label: entry.label || entry.skill,
+      mastery: Math.round(entry.pKnown * 100) / 100,
+      attempts: entry.attempts,
+      accuracy: entry.attempts > 0 ? Math.round((entry.correct / entry.attempts) * 100) : 0,
+      mastered: entry.pKnown >= MASTERED_AT,
+      lastPracticedAt: entry.lastPracticedAt,
+    };
+  }
+
+  /**
+   * Whether a skill relates to a free-text topic (shared words of 3+ letters)
+   */
+  matchesTopic(skill, topic) {
+    const words = (text) =>
+      text
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((w) => w.length >= 3);
+    const topicWords = new Set(words(topic));
+    return words(skill).some((w) => topicWords.has(w));
+  }
+
+  /**
+   * Recent score average and trend (newest 5 results against the 5 before)
+   */
+  async getRecentPerformance(userId) {
+    const results = await Result.find({ userId })
+      .sort({ completedAt: -1 })
+      .limit(10)
+      .select("percentage")
+      .lean();
+
+    if (results.length === 0) {
+      return { avgScore: null, trend: "new", totalQuizzes: 0 };
+    }
+
+    const mean = (list) => list.reduce((sum, r) => sum + (r.percentage || 0), 0) / list.length;
+    const avgScore = mean(results);
+
+    let trend = "stable";
+    if (results.length >= 6) {
+      const delta = mean(results.slice(0, 5)) - mean(results.slice(5));
+      if (delta >= 5) trend = "improving";
+      else if (delta <= -5) trend = "declining";
+    }
+
+    return { avgScore, trend, totalQuizzes: results.length };
+  }
+
+  /**
+   * Mastery profile and generation hints for a learner
+   * @param {Object} options - { topic } to rank skills related to a quiz topic first
+   */
+  async getProfile(userId, { topic } = {}) {
+    const [entries, performance] = await Promise.all([
+      Mastery.find({ userId: new mongoose.Types.ObjectId(userId) })
+        .sort({ pKnown: 1 })
+        .lean(),
+      this.getRecentPerformance(userId),
+    ]);
+
+    const skills = entries.map((entry) => this.toClient(entry));
+    const measured = entries.filter((e) => e.attempts >= MIN_ATTEMPTS);
+    const related = topic ? measured.filter((e) => this.matchesTopic(e.skill, topic)) : [];
+
+    // Related skills drive the recommendation when the learner has practiced the topic
+    const basis = related.length > 0 ? related : measured;
+    const totalAttempts = basis.reduce((sum, e) => sum + e.attempts, 0);
+    const overallMastery =
+      totalAttempts > 0
+        ? basis.reduce((sum, e) => sum + e.pKnown * e.attempts, 0) / totalAttempts
+        : null;
+
+    const weak = [
+      ...related.filter((e) => e.pKnown < WEAK_BELOW),
+      ...measured.filter((e) => e.pKnown < WEAK_BELOW && !related.includes(e)),
+    ];
+    const strong = measured.filter((e) => e.pKnown >= MASTERED_AT).reverse();
+
+    let suggestedDifficulty = "Medium";
+    let reason = "Not enough answers yet to measure mastery. Starting with Medium difficulty.";
+
+    if (overallMastery !== null) {
+      if (overallMastery >= 0.85) suggestedDifficulty = "Hard";
+      else if (overallMastery < 0.5) suggestedDifficulty = "Easy";
+
+      const scope = related.length > 0 ? `"${topic}"` : "your practiced topics";
+      reason = `Estimated mastery of ${scope} is ${Math.round(overallMastery * 100)}%`;
+      if (weak.length > 0) {
+        reason += `; weakest: ${weak.slice(0, 3).map((e) => e.label || e.skill).join(", ")}`;
+      }
+    } else if (performance.avgScore !== null) {
+      if (performance.avgScore >= 85) suggestedDifficulty = "Hard";
+      else if (performance.avgScore < 70) suggestedDifficulty = "Easy";
+      reason = `Based on your recent average of ${Math.round(performance.avgScore)}%`;
+    }
+
+    return {
+      ...performance,
+      overallMastery: overallMastery !== null ? Math.round(overallMastery * 100) / 100 : null,
+      suggestedDifficulty,
+      reason,
+      weakAreas: weak.slice(0, 5).map((e) => e.label || e.skill),
+      weakSkills: weak.slice(0, 10).map((e) => this.toClient(e)),
+      strongSkills: strong.slice(0, 10).map((e) => this.toClient(e)),
+      skills,
+    };
+  }
+}
+
+module.exports = new MasteryModel();
@@ -0,0 +1,401 @@
+/**
+ * Review Scheduler for Result Service
+ * Turns incorrectly answered questions into spaced repetition cards and
+ * schedules them with SM-2 (https://super-memory.com/english/ol/sm2.htm).
+ */
+
+const mongoose = require("mongoose");
+const ReviewCard = require("../models/ReviewCard");
+const ReviewLog = require("../models/ReviewLog");
+const Result = require("../models/Result");
+const gradingService = require("./gradingService");
+const masteryModel = require("./masteryModel");
+const eventBus = require("./eventBus");
+const createLogger = require("../../shared/utils/logger");
+const { EVENTS } = require("../../shared/config/constants");
+const { httpError } = require("../../shared/utils/httpError");
+
+const logger = createLogger("review-scheduler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// New cards become due this long after the quiz that produced them
+const INITIAL_DELAY_MS =
+  (parseFloat(process.env.REVIEW_INITIAL_DELAY_HOURS) || 0) * 60 * 60 * 1000;
+// Forgotten cards come back within the same day
+const RELEARN_DELAY_MS =
+  (parseInt(process.env.REVIEW_RELEARN_MINUTES) || 10) * 60 * 1000;
+// Reviews in one day that earn streak credit (clearing the queue also counts)
+const STREAK_MIN_REVIEWS = parseInt(process.env.REVIEW_STREAK_MIN_REVIEWS) || 5;
+
+const MIN_EASE = 1.3;
+
+// Self-assessed difficulty for a correct recall
+const RATING_QUALITY = {
+  again: 2,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+function startOfUtcDay(date = new Date()) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+class ReviewScheduler {
+  // ============================================
+  // SCHEDULING
+  // ============================================
+
+  /**
+   * Apply one SM-2 review to a card's scheduling state
+   * @param {Object} state - { easeFactor, interval, repetitions, lapses }
+   * @param {Number} quality - Recall quality 0-5 (below 3 means forgotten)
+   * @returns {Object} Next { easeFactor, interval, repetitions, lapses, dueAt }
+   */
+  schedule(state, quality, now = new Date()) {
+    let { easeFactor = 2.5, interval = 0, repetitions = 0, lapses = 0 } = state;
+
+    easeFactor = Math.max(
+      MIN_EASE,
+      easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    if (quality < 3) {
+      if (repetitions > 0) lapses++;
+      return {
+        easeFactor,
+        interval: 0,
+        repetitions: 0,
+        lapses,
+        dueAt: new Date(now.getTime() + RELEARN_DELAY_MS),
+      };
+    }
+
+    if (repetitions === 0) interval = 1;
+    else if (repetitions === 1) interval = 6;
+    else interval = Math.round(interval * easeFactor);
+
+    return {
+      easeFactor,
+      interval,
+      repetitions: repetitions + 1,
+      lapses,
+      dueAt: new Date(now.getTime() + interval * DAY_MS),
+    };
+  }
+
+  /**
+   * Recall quality from the server grade, the learner's self-rating and answer speed
+   */
+  qualityFor(isCorrect, { rating, timeSpent }, card) {
+    if (!isCorrect) return 1;
+    if (rating && RATING_QUALITY[rating] !== undefined) return RATING_QUALITY[rating];
+
+    const limitMs = (card.question.timeLimit || 30) * 1000;
+    const spent = Number(timeSpent) || 0;
+    if (spent > 0 && spent <= limitMs / 3) return 5;
+    if (spent > limitMs) return 3;
+    return 4;
+  }
+
+  // ============================================
+  // CARD CREATION
+  // ============================================
+
+  questionSnapshot(question) {
+    return {
+      question: question.question,
+      type: question.type || "multiple-choice",
+      options: question.options || [],
+      correct_answer:
+        question.correctAnswer !== undefined ? question.correctAnswer : question.correct_answer,
+      acceptedAnswers: question.acceptedAnswers,
+      correctAnswers: question.correctAnswers,
+      tolerance: question.tolerance,
+      answerRange: question.answerRange,
+      fuzzyThreshold: question.fuzzyThreshold,
+      partialCredit: question.partialCredit,
+      explanation: question.explanation,
+      tags: question.tags || [],
+      points: question.points || 1,
+      timeLimit: question.timeLimit || 30,
+    };
+  }
+
+  /**
+   * Create or lapse review cards for every question answered incorrectly in a result
+   * @param {Object} result - Saved Result document
+   * @param {Object} quiz - Quiz with answer key, as fetched for grading
+   * @returns {Number} Cards created or rescheduled
+   */
+  async captureMistakes(result, quiz) {
+    const wrong = (result.answers || []).filter((a) => !a.isCorrect);
+    if (wrong.length === 0) return 0;
+
+    const questionsById = new Map(
+      quiz.questions.map((q) => [String(q._id || q.id), q])
+    );
+    const existing = await ReviewCard.find({
+      userId: result.userId,
+      questionId: { $in: wrong.map((a) => a.questionId) },
+    });
+    const existingByQuestion = new Map(existing.map((c) => [c.questionId.toString(), c]));
+
+    const now = result.completedAt || new Date();
+    let touched = 0;
+
+    for (const answer of wrong) {
+      const question = questionsById.get(String(answer.questionId));
+      if (!question) continue;
+
+      const snapshot = this.questionSnapshot(question);
+      // Ungradable without an answer key
+      if (snapshot.correct_answer === undefined || snapshot.correct_answer === null) continue;
+
+      const card = existingByQuestion.get(String(answer.questionId));
+
+      if (card) {
+        // Missed again in a real quiz: treat it as a failed review
+        Object.assign(card, this.schedule(card, 1, new Date()), {
+          question: snapshot,
+          quizTitle: quiz.title,
+          category: quiz.category || "General",
+          sourceResultId: result._id,
+          status: "active",
+        });
+        await card.save();
+        touched++;
+        continue;
+      }
+
+      try {
+        await ReviewCard.create({
+          userId: result.userId,
+          quizId: result.quizId,
+          questionId: answer.questionId,
+          question: snapshot,
+          quizTitle: quiz.title,
+          category: quiz.category || "General",
+          sourceResultId: result._id,
+          dueAt: new Date(new Date(now).getTime() + INITIAL_DELAY_MS),
+        });
+        touched++;
+      } catch (error) {
+        // A concurrent submission created it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    if (touched > 0) {
+      logger.info(`Captured ${touched} review cards for user ${result.userId} from result ${result._id}`);
+    }
+    return touched;
+  }
+
+  /**
+   * Build cards from a learner's past results (results saved before reviews existed)
+   * @returns {Object} { results, cards, skippedQuizzes }
+   */
+  async syncFromHistory(userId, authHeaders, { limit = 50 } = {}) {
+    const results = await Result.find({
+      userId,
+      incorrectAnswers: { $gt: 0 },
+    })
+      .sort({ completedAt: 1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    const quizzes = new Map();
+    let cards = 0;
+    let skippedQuizzes = 0;
+
+    for (const result of results) {
+      const quizId = result.quizId.toString();
+
+      if (!quizzes.has(quizId)) {
+        try {
+          quizzes.set(quizId, await gradingService.fetchQuiz(quizId, authHeaders));
+        } catch (error) {
+          // Deleted or private quiz: nothing to review against
+          quizzes.set(quizId, null);
+          skippedQuizzes++;
+        }
+      }
+
+      const quiz = quizzes.get(quizId);
+      if (quiz) cards += await this.captureMistakes(result, quiz);
+    }
+
+    return { results: results.length, cards, skippedQuizzes };
+  }
+
+  // ============================================
+  // QUEUE
+  // ============================================
+
+  async getDueCards(userId, { limit = 20, quizId } = {}) {
+    const query = {
+      userId,
+      status: "active",
+      dueAt: { $lte: new Date() },
+    };
+    if (quizId && mongoose.isValidObjectId(quizId)) query.quizId = quizId;
+
+    const cards = await ReviewCard.find(query)
+      .sort({ dueAt: 1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    return cards.map((card) => card.toClient());
+  }
+
+  async getSummary(userId) {
+    const now = new Date();
+    const today = startOfUtcDay(now);
+    const tomorrow = new Date(today.getTime() + DAY_MS);
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    const [dueNow, dueToday, total, reviewedToday, next] = await Promise.all([
+      ReviewCard.countDocuments({ userId, status: "active", dueAt: { $lte: now } }),
+      ReviewCard.countDocuments({ userId, status: "active", dueAt: { $lt: tomorrow } }),
+      ReviewCard.countDocuments({ userId, status: "active" }),
+      ReviewLog.aggregate([
+        { $match: { userId: userObjectId, reviewedAt: { $gte: today } } },
+        {
+          $group: {
+            _id: null,
+            reviews: { $sum: 1 },
+            correct: { $sum: { $cond: ["$isCorrect", 1, 0] } },
+          },
+        },
+      ]),
+      ReviewCard.findOne({ userId, status: "active", dueAt: { $gt: now } })
+        .sort({ dueAt: 1 })
+        .select("dueAt")
+        .lean(),
+    ]);
+
+    return {
+      dueNow,
+      dueToday,
+      totalCards: total,
+      reviewedToday: reviewedToday[0]?.reviews || 0,
+      correctToday: reviewedToday[0]?.correct || 0,
+      nextDueAt: next ? next.dueAt : null,
+      streakGoal: STREAK_MIN_REVIEWS,
+    };
+  }
+
+  // ============================================
+  // REVIEWS
+  // ============================================
+
+  async getCard(userId, cardId) {
+    const card = mongoose.isValidObjectId(cardId) ? await ReviewCard.findById(cardId) : null;
+
+    if (!card || card.userId.toString() !== String(userId)) {
+      throw httpError("Review card not found", 404);
+    }
+    return card;
+  }
+
+  /**
+   * Grade a review answer server-side and reschedule the card
+   * @param {Object} review - { selectedAnswer, timeSpent, rating }
+   */
+  async reviewCard(userId, cardId, review) {
+    const card = await this.getCard(userId, cardId);
+
+    if (card.status !== "active") {
+      throw httpError("Review card is suspended", 409);
+    }
+    if (card.dueAt > new Date()) {
+      throw httpError("Review card is not due yet", 409);
+    }
+
+    const isCorrect = gradingService.isAnswerCorrect(card.question, review.selectedAnswer);
+    const quality = this.qualityFor(isCorrect, review, card);
+    const next = this.schedule(card, quality);
+    const now = new Date();
+
+    // Guard on reviewCount so a double-submitted answer only counts once
+    const updated = await ReviewCard.findOneAndUpdate(
+      { _id: card._id, reviewCount: card.reviewCount },
+      {
+        $set: { ...next, lastReviewedAt: now },
+        $inc: { reviewCount: 1, correctCount: isCorrect ? 1 : 0 },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw httpError("This card was already reviewed", 409);
+    }
+
+    await ReviewLog.create({
+      userId,
+      cardId: card._id,
+      quizId: card.quizId,
+      questionId: card.questionId,
+      selectedAnswer: review.selectedAnswer,
+      isCorrect,
+      quality,
+      timeSpent: Math.max(0, Number(review.timeSpent) || 0),
+      intervalBefore: card.interval,
+      intervalAfter: next.interval,
+      easeFactor: next.easeFactor,
+      reviewedAt: now,
+    });
+
+    // Reviews are graded answers too
+    await masteryModel
+      .recordAnswers(userId, [{ questionId: card.questionId, isCorrect }], {
+        questions: [{ ...card.question.toObject(), _id: card.questionId }],
+        category: card.category,
+      })
+      .catch((err) => logger.error("Mastery update from review failed:", err.message));
+
+    const summary = await this.getSummary(userId);
+    await this.creditStreak(userId, summary);
+
+    return {
+      isCorrect,
+      quality,
+      correctAnswer: card.question.correct_answer,
+      explanation: card.question.explanation,
+      card: updated.toClient(),
+      summary,
+    };
+  }
+
+  /**
+   * Publish streak credit once per day, when the learner reaches the review goal
+   * or clears their queue
+   */
+  async creditStreak(userId, summary) {
+    const goalMet = summary.reviewedToday >= STREAK_MIN_REVIEWS;
+    const queueCleared = summary.dueNow === 0 && summary.reviewedToday > 0;
+    if (!goalMet && !queueCleared) return;
+
+    const day = startOfUtcDay().toISOString().slice(0, 10);
+
+    await eventBus.publish(EVENTS.REVIEWS_COMPLETED, {
+      userId: String(userId),
+      date: day,
+      reviewCount: summary.reviewedToday,
+      correctCount: summary.correctToday,
+    }, { idempotencyKey: `reviews-completed:${userId}:${day}` }).catch((err) => {
+      logger.error("Failed to publish review completion:", err.message);
+    });
+  }
+
+  async suspendCard(userId, cardId) {
+    const card = await this.getCard(userId, cardId);
+    card.status = "suspended";
+    await card.save();
+    return card;
+  }
+}
+
+module.exports = new ReviewScheduler();
@@ -55,6 +55,9 @@ module.exports = {
     CHALLENGE_COMPLETED: "challenge-completed",
     CHALLENGE_WON: "challenge-won",
     CHALLENGE_LOST: "challenge-lost",
+    CHALLENGE_ACCEPTED: "challenge-accepted",
+    CHALLENGE_DECLINED: "challenge-declined",
+    CHALLENGE_EXPIRED: "challenge-expired",
     NEW_MESSAGE: "new-message",
     BROADCAST: "broadcast",
     COMMUNITY_INVITE: "community-invite",
@@ -94,9 +97,18 @@ module.exports = {
     USER_UPDATED: "user.updated",
     QUIZ_CREATED: "quiz.created",
     QUIZ_COMPLETED: "quiz.completed",
+    RESULT_SAVED: "result.saved",
     SESSION_STARTED: "session.started",
     SESSION_ENDED: "session.ended",
     FRIEND_REQUEST_SENT: "friend.request.sent",
     ACHIEVEMENT_UNLOCKED: "achievement.unlocked",
+    CHALLENGE_CREATED: "challenge.created",
+    CHALLENGE_ACCEPTED: "challenge.accepted",
+    CHALLENGE_DECLINED: "challenge.declined",
+    CHALLENGE_COMPLETED: "challenge.completed",
+    CHALLENGE_EXPIRED: "challenge.expired",
+    REVIEWS_COMPLETED: "reviews.completed",
+    TOURNAMENT_COMPLETED: "tournament.completed",
+    DUEL_FINISHED: "duel.finished",
   },
 };
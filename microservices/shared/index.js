@@ -11,9 +11,13 @@ const ApiResponse = require('./utils/response');
 const EventBus = require('./utils/eventBus');
 const HttpClient = require('./utils/httpClient');
 const HealthChecker = require('./utils/healthCheck');
+const grading = require('./utils/grading');
+const DistributedLock = require('./utils/distributedLock');
+const { attachRedisAdapter } = require('./utils/socketAdapter');
 
 // Middleware
 const { authenticateToken, optionalAuth } = require('./middleware/auth');
+const { socketAuth } = require('./middleware/socketAuth');
 const {
   requireRole,
   requireAdmin,
@@ -46,10 +50,14 @@ module.exports = {
   EventBus,
   HttpClient,
   HealthChecker,
+  grading,
+  DistributedLock,
+  attachRedisAdapter,
 
   // Middleware
   authenticateToken,
   optionalAuth,
+  socketAuth,
   requireRole,
   requireAdmin,
   requireModerator,
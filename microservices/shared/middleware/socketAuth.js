@@ -0,0 +1,185 @@
+/**
+ * Socket.IO Authentication Middleware
+ * Verifies the same JWT as middleware/auth.js during the handshake and binds
+ * the identity to the socket (socket.user), so handlers never trust a userId
+ * sent in an event payload. Long-lived connections are warned before the token
+ * expires and can hand over a fresh token without reconnecting.
+ */
+
+const jwt = require('jsonwebtoken');
+const createLogger = require('../utils/logger');
+
+const logger = createLogger('socket-auth');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// How long before expiry the client is asked for a fresh token
+const REFRESH_WINDOW_MS = (parseInt(process.env.SOCKET_TOKEN_REFRESH_WINDOW) || 60) * 1000;
+// setTimeout can't wait longer than ~24.8 days; re-arm in steps beyond that
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * Build a handshake error; `data` reaches the client's connect_error handler
+ */
+function socketAuthError(message, code = 'UNAUTHORIZED') {
+  const error = new Error(message);
+  error.data = { code, message };
+  return error;
+}
+
+/**
+ * Token from the handshake: auth payload, then the same headers as REST
+ */
+function extractToken(handshake) {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+
+  const headers = handshake.headers || {};
+  if (headers['x-auth-token']) return headers['x-auth-token'];
+
+  const authHeader = headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+}
+
+/**
+ * Verify an access token (refresh tokens are rejected)
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.type === 'refresh' || !decoded.user || !(decoded.user.userId || decoded.user.id)) {
+    throw socketAuthError('Token is not valid');
+  }
+  return decoded;
+}
+
+/**
+ * Tell the client its session is over and drop the connection
+ */
+function expireSession(socket) {
+  logger.info(`Token expired for user ${socket.user.userId}, disconnecting ${socket.id}`);
+  socket.emit('session-expired', { message: 'Your session has expired. Please log in again.' });
+  socket.disconnect(true);
+}
+
+/**
+ * Warn the client before the token expires and disconnect it once it has
+ */
+function scheduleExpiry(socket) {
+  clearTimeout(socket.authTimers?.warn);
+  clearTimeout(socket.authTimers?.expire);
+  socket.authTimers = {};
+
+  if (!socket.tokenExpiresAt) return;
+
+  const remaining = socket.tokenExpiresAt - Date.now();
+  if (remaining > MAX_TIMER_MS) {
+    socket.authTimers.expire = setTimeout(() => scheduleExpiry(socket), MAX_TIMER_MS);
+    return;
+  }
+
+  // Only warn ahead of the window; a token already inside it is not re-announced
+  if (remaining > REFRESH_WINDOW_MS) {
+    socket.authTimers.warn = setTimeout(() => {
+      socket.emit('token-expiring', { expiresAt: new Date(socket.tokenExpiresAt).toISOString() });
+    }, remaining - REFRESH_WINDOW_MS);
+  }
+
+  socket.authTimers.expire = setTimeout(() => expireSession(socket), Math.max(0, remaining));
+}
+
+/**
+ * Bind a verified identity to the socket
+ */
+function bindIdentity(socket, decoded) {
+  const userId = String(decoded.user.userId || decoded.user.id);
+
+  socket.user = { ...decoded.user, id: userId, userId };
+  socket.data.user = socket.user;
+  socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+
+  scheduleExpiry(socket);
+}
+
+/**
+ * Swap in a fresh token on a live connection (same user, later expiry only)
+ */
+function handleTokenRefresh(socket) {
+  socket.on('refresh-token', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const decoded = verifyAccessToken(data && data.token);
+      if (String(decoded.user.userId || decoded.user.id) !== socket.user.userId) {
+        return reply({ success: false, error: 'Token belongs to a different user' });
+      }
+      if (socket.tokenExpiresAt && (!decoded.exp || decoded.exp * 1000 <= socket.tokenExpiresAt)) {
+        return reply({ success: false, error: 'Token does not extend the session' });
+      }
+
+      bindIdentity(socket, decoded);
+      reply({
+        success: true,
+        expiresAt: socket.tokenExpiresAt ? new Date(socket.tokenExpiresAt).toISOString() : null,
+      });
+    } catch (error) {
+      reply({ success: false, error: 'Token is not valid' });
+    }
+  });
+}
+
+/**
+ * Socket.IO middleware: io.use(socketAuth())
+ * @param {Object} options
+ * @param {Boolean} options.optional - Let unauthenticated sockets connect with socket.user = null
+ */
+const socketAuth = ({ optional = false } = {}) => (socket, next) => {
+  const token = extractToken(socket.handshake);
+
+  if (!token) {
+    if (optional) {
+      socket.user = null;
+      return next();
+    }
+    return next(socketAuthError('No token, authorization denied'));
+  }
+
+  try {
+    bindIdentity(socket, verifyAccessToken(token));
+  } catch (err) {
+    return next(socketAuthError('Token is not valid'));
+  }
+
+  handleTokenRefresh(socket);
+
+  // Backstop for events that arrive after expiry but before the timer fires:
+  // answer the event's ack, then end the session as the timer would
+  socket.use((packet, nextPacket) => {
+    if (packet[0] !== 'refresh-token' && socket.tokenExpiresAt && Date.now() >= socket.tokenExpiresAt) {
+      const ack = packet[packet.length - 1];
+      if (typeof ack === 'function') {
+        ack({ success: false, error: 'Token has expired', code: 'TOKEN_EXPIRED' });
+      }
+      return expireSession(socket);
+    }
+    nextPacket();
+  });
+
+  socket.on('disconnect', () => {
+    clearTimeout(socket.authTimers?.warn);
+    clearTimeout(socket.authTimers?.expire);
+  });
+
+  next();
+};
+
+/**
+ * Whether the socket's user has one of the given roles
+ */
+function socketHasRole(socket, roles) {
+  return !!(socket.user && roles.includes(socket.user.role));
+}
+
+module.exports = { socketAuth, socketHasRole, verifyAccessToken };
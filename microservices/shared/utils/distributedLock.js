@@ -0,0 +1,76 @@
+/**
+ * Distributed Lock
+ * Redis lock (SET NX PX) so only one service instance at a time runs a
+ * critical section, e.g. a host advancing a live session.
+ * Locks expire on their own, so a crashed holder never blocks others for long.
+ */
+
+const crypto = require('crypto');
+
+// Release only if we still own the lock (it may have expired and been re-acquired)
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+function lockBusyError(name) {
+  const error = new Error(`Resource is busy: ${name}`);
+  error.code = 'LOCK_BUSY';
+  error.status = 409;
+  return error;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class DistributedLock {
+  /**
+   * @param {Redis} redis - ioredis client
+   * @param {Object} options - { prefix, ttl (ms) }
+   */
+  constructor(redis, { prefix = 'lock:', ttl = 5000 } = {}) {
+    this.redis = redis;
+    this.prefix = prefix;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Try to take the lock once
+   * @returns {String|null} Owner token to release with, or null if someone else holds it
+   */
+  async acquire(name, ttl = this.ttl) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const result = await this.redis.set(this.prefix + name, token, 'PX', ttl, 'NX');
+    return result === 'OK' ? token : null;
+  }
+
+  async release(name, token) {
+    const released = await this.redis.eval(RELEASE_SCRIPT, 1, this.prefix + name, token);
+    return released === 1;
+  }
+
+  /**
+   * Run fn while holding the lock
+   * @param {Object} options - { ttl, wait (ms to keep retrying), retryDelay }
+   * @throws {Error} code LOCK_BUSY (status 409) if the lock could not be taken in time
+   */
+  async withLock(name, fn, { ttl = this.ttl, wait = 0, retryDelay = 50 } = {}) {
+    const deadline = Date.now() + wait;
+    let token = await this.acquire(name, ttl);
+
+    while (!token && Date.now() < deadline) {
+      await sleep(retryDelay);
+      token = await this.acquire(name, ttl);
+    }
+    if (!token) throw lockBusyError(name);
+
+    try {
+      return await fn();
+    } finally {
+      await this.release(name, token).catch(() => {});
+    }
+  }
+}
+
+module.exports = DistributedLock;
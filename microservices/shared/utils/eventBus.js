@@ -1,45 +1,156 @@
 /**
  * Event Bus Utility
  * Handles asynchronous event-driven communication between microservices
- * Can be extended to use RabbitMQ or Kafka for production
+ *
+ * Transport is pluggable:
+ * - memory: in-process EventEmitter (default until a broker is connected, used in tests)
+ * - redis:  Redis Streams with consumer groups, retries, dead-letter stream and idempotency keys
  */
 
 const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
 const createLogger = require('./logger');
+const RedisClient = require('./redis');
+const MemoryEventAdapter = require('./memoryEventAdapter');
+const RedisStreamAdapter = require('./redisStreamAdapter');
 
 class EventBus extends EventEmitter {
-  constructor(serviceName) {
+  /**
+   * @param {String} serviceName - Also used as the consumer group name
+   * @param {Object} options - Adapter options (maxRetries, retryDelayMs, prefix, ...)
+   */
+  constructor(serviceName, options = {}) {
     super();
     this.logger = createLogger(serviceName);
     this.serviceName = serviceName;
+    this.options = options;
+
+    this.handlers = new Map();
+    this.adapter = new MemoryEventAdapter({ logger: this.logger, ...options });
   }
 
-  publish(eventName, payload) {
-    this.logger.info(`Publishing event: ${eventName}`, { payload });
-    this.emit(eventName, {
-      ...payload,
-      _meta: {
-        source: this.serviceName,
-        timestamp: new Date().toISOString(),
-      },
+  /**
+   * Publish an event
+   * @param {String} eventName - One of constants.EVENTS
+   * @param {Object} payload
+   * @param {Object} options - { idempotencyKey } to deduplicate retried publishes
+   * @returns {Promise<String>} Transport message id
+   */
+  async publish(eventName, payload, options = {}) {
+    const id = randomUUID();
+    const envelope = {
+      id,
+      name: eventName,
+      payload,
+      idempotencyKey: options.idempotencyKey || id,
+      source: this.serviceName,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.logger.info(`Publishing event: ${eventName}`, {
+      idempotencyKey: envelope.idempotencyKey,
     });
+    return this.adapter.publish(envelope);
   }
 
+  /**
+   * Subscribe to an event. Delivery is at-least-once, so handlers must be idempotent.
+   * A handler that throws causes the event to be retried, then dead-lettered.
+   */
   subscribe(eventName, handler) {
     this.logger.info(`Subscribed to event: ${eventName}`);
-    this.on(eventName, async (data) => {
-      try {
-        await handler(data);
-      } catch (error) {
-        this.logger.error(`Error handling event ${eventName}:`, error);
-      }
+
+    if (!this.handlers.has(eventName)) {
+      this.handlers.set(eventName, []);
+      this.attach(this.adapter, eventName).catch((error) => {
+        this.logger.error(`Failed to subscribe to ${eventName}:`, error);
+      });
+    }
+    this.handlers.get(eventName).push(handler);
+  }
+
+  attach(adapter, eventName) {
+    return adapter.subscribe(eventName, (envelope, attempt) =>
+      this.dispatch(envelope, attempt)
+    );
+  }
+
+  async dispatch(envelope, attempt) {
+    const handlers = this.handlers.get(envelope.name) || [];
+    const data = {
+      ...envelope.payload,
+      _meta: {
+        id: envelope.id,
+        source: envelope.source,
+        timestamp: envelope.timestamp,
+        idempotencyKey: envelope.idempotencyKey,
+        attempt,
+      },
+    };
+
+    await Promise.all(handlers.map((handler) => handler(data)));
+    this.emit(envelope.name, data);
+  }
+
+  /**
+   * Switch to the Redis Streams transport.
+   * Subscriptions registered before connecting are moved onto the broker.
+   * Throws if the broker can't be reached; the in-memory adapter stays in use.
+   * @param {String|Object} broker - Redis URL or an existing ioredis client
+   */
+  async connectMessageBroker(broker = process.env.EVENT_BUS_URL || process.env.REDIS_URL) {
+    if (process.env.EVENT_BUS_ADAPTER === 'memory') {
+      this.logger.info('Event bus using in-memory adapter');
+      return false;
+    }
+
+    const client =
+      broker && typeof broker === 'object'
+        ? broker
+        : new RedisClient(this.serviceName).connect(broker);
+
+    const adapter = new RedisStreamAdapter({
+      client,
+      serviceName: this.serviceName,
+      logger: this.logger,
+      options: this.options,
     });
+
+    // ioredis queues commands while Redis is down, so don't wait on it forever
+    const timeoutMs =
+      this.options.connectTimeoutMs ?? (parseInt(process.env.EVENT_BUS_CONNECT_TIMEOUT_MS) || 10000);
+    let timer;
+    try {
+      await Promise.race([
+        adapter.connect(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Redis did not respond within ${timeoutMs}ms`)),
+            timeoutMs
+          );
+        }),
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const previous = this.adapter;
+    this.adapter = adapter;
+    for (const eventName of this.handlers.keys()) {
+      await this.attach(adapter, eventName);
+    }
+    await previous.close();
+
+    this.logger.info('Event bus connected to Redis Streams');
+    return true;
+  }
+
+  async getDeadLetters(limit) {
+    return this.adapter.getDeadLetters(limit);
   }
 
-  // For future RabbitMQ/Kafka integration
-  async connectMessageBroker(brokerUrl) {
-    // TODO: Implement RabbitMQ/Kafka connection
-    this.logger.info('Message broker connection (placeholder for RabbitMQ/Kafka)');
+  async close() {
+    await this.adapter.close();
   }
 }
 
@@ -0,0 +1,397 @@
+/**
+ * Grading Engine
+ * One answer checker for live sessions, duels and result-service, so a
+ * question is graded the same way wherever it is played.
+ *
+ * Answer key fields (on quiz and bank questions):
+ *   correctAnswer / correct_answer - single expected answer
+ *   acceptedAnswers                - alternatives that also count as correct
+ *   correctAnswers                 - multi-select: every correct option;
+ *                                    ordering: the items in their correct order
+ *   tolerance, answerRange         - numeric: ± tolerance or an inclusive { min, max }
+ *   fuzzyThreshold                 - text: similarity (0-1) needed to accept a typo
+ *   partialCredit                  - multi-select/ordering: false means all-or-nothing
+ */
+
+const validator = require('validator');
+
+const QUESTION_TYPES = [
+  'multiple-choice',
+  'multi-select',
+  'true-false',
+  'fill-in-blank',
+  'descriptive',
+  'numeric',
+  'ordering',
+];
+
+// Types whose key is a list (correctAnswers) instead of a single correct_answer
+const LIST_TYPES = ['multi-select', 'ordering'];
+
+const TRUE_VALUES = ['true', 't', 'yes', 'y', '1', 'correct'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', '0', 'incorrect'];
+
+// Typo tolerance for text answers unless the question sets its own
+const DEFAULT_FUZZY_THRESHOLD = parseFloat(process.env.GRADING_FUZZY_THRESHOLD) || 0.85;
+
+// Shorter answers must match exactly ("cat" vs "car" is not a typo)
+const FUZZY_MIN_LENGTH = 4;
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+/**
+ * Normalize free text for comparison.
+ * Inputs are HTML-escaped by the sanitizer, so unescape first.
+ */
+function normalizeText(value) {
+  if (value === null || value === undefined) return '';
+
+  return validator
+    .unescape(String(value))
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["'`]+|["'`.!?]+$/g, '')
+    .trim();
+}
+
+function normalizeBoolean(value) {
+  if (typeof value === 'boolean') return value;
+
+  const text = normalizeText(value);
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+}
+
+/**
+ * Parse a numeric answer ("1,000", "3.5", "2,5" and " 42 " all work)
+ * @returns {Number|null}
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let text = normalizeText(value).replace(/\s/g, '');
+  if (!text) return null;
+
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    text = text.replace(/,/g, ''); // Thousands separators
+  } else {
+    text = text.replace(',', '.'); // Decimal comma
+  }
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Accept a list as an array or a delimited string ("A, C" / "A|C" / one per line)
+ */
+function toList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value.filter((item) => item !== null && item !== undefined && item !== '');
+  return String(value)
+    .split(/[,;|\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve an option reference (option text, index or letter) to the option text
+ */
+function resolveOption(question, value) {
+  const options = question.options || [];
+
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return options[value] !== undefined ? options[value] : null;
+  }
+
+  const text = normalizeText(value);
+  const match = options.find((opt) => normalizeText(opt) === text);
+  if (match !== undefined) return match;
+
+  // Letter references such as "B" or "b)" from AI-generated keys
+  const letter = text.match(/^([a-z])\)?$/);
+  if (letter) {
+    const index = letter[1].charCodeAt(0) - 97;
+    if (options[index] !== undefined) return options[index];
+  }
+
+  return value;
+}
+
+/**
+ * A multi-select/ordering value as a list of items. A string that is itself one
+ * of the options (e.g. "Paris, France") is a single item, not a delimited list.
+ */
+function toOptionList(question, value) {
+  if (typeof value === 'string') {
+    const text = normalizeText(value);
+    if ((question.options || []).some((opt) => normalizeText(opt) === text)) return [value];
+  }
+  return toList(value);
+}
+
+/**
+ * Normalized similarity of two strings (1 = identical), from Levenshtein distance
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// ============================================
+// ANSWER KEY
+// ============================================
+
+function getCorrectAnswer(question) {
+  return question.correctAnswer !== undefined ? question.correctAnswer : question.correct_answer;
+}
+
+/**
+ * Every single answer that counts as correct (key plus accepted alternatives)
+ */
+function getAcceptedAnswers(question) {
+  const correct = getCorrectAnswer(question);
+  const accepted = correct === undefined || correct === null || correct === '' ? [] : [correct];
+  return accepted.concat(question.acceptedAnswers || []);
+}
+
+/**
+ * The key of a multi-select/ordering question, falling back to a delimited correct_answer
+ */
+function getAnswerList(question) {
+  const list = question.correctAnswers && question.correctAnswers.length
+    ? question.correctAnswers
+    : toOptionList(question, getCorrectAnswer(question));
+  return list.map((item) => resolveOption(question, item));
+}
+
+/**
+ * Correct answer in a form fit to show players after they answer
+ */
+function describeCorrectAnswer(question) {
+  if (LIST_TYPES.includes(question.type)) return getAnswerList(question);
+  if (question.type === 'numeric' && question.answerRange
+    && question.answerRange.min !== undefined && question.answerRange.max !== undefined) {
+    return `${question.answerRange.min} - ${question.answerRange.max}`;
+  }
+  return getCorrectAnswer(question);
+}
+
+/**
+ * Question as sent to players: answer key removed, ordering items shuffled
+ */
+function publicQuestion(question) {
+  let options = question.options || [];
+  if (question.type === 'ordering') {
+    options = [...options];
+    for (let i = options.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [options[i], options[j]] = [options[j], options[i]];
+    }
+  }
+
+  return {
+    _id: question._id,
+    question: question.question,
+    type: question.type || 'multiple-choice',
+    options,
+    points: question.points,
+    timeLimit: question.timeLimit,
+    imageUrl: question.imageUrl,
+  };
+}
+
+// ============================================
+// MATCHERS
+// ============================================
+
+function textEquals(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left || !right) return false;
+
+  const leftNum = Number(left);
+  const rightNum = Number(right);
+  if (Number.isFinite(leftNum) && Number.isFinite(rightNum)) {
+    return leftNum === rightNum;
+  }
+
+  return left === right;
+}
+
+/**
+ * Exact (normalized) match, or close enough to be a typo when fuzzy matching applies
+ */
+function textMatches(answer, expected, threshold) {
+  if (textEquals(answer, expected)) return true;
+  if (!threshold || threshold >= 1) return false;
+
+  const left = normalizeText(answer);
+  const right = normalizeText(expected);
+
+  // Numbers are never "close enough"; use the numeric type for tolerances
+  if (Number.isFinite(Number(left)) || Number.isFinite(Number(right))) return false;
+  if (Math.min(left.length, right.length) < FUZZY_MIN_LENGTH) return false;
+
+  return similarity(left, right) >= threshold;
+}
+
+function fuzzyThresholdFor(question) {
+  if (question.fuzzyThreshold !== undefined && question.fuzzyThreshold !== null) {
+    return question.fuzzyThreshold;
+  }
+  // Descriptive answers vary too much for a default typo allowance
+  return question.type === 'fill-in-blank' ? DEFAULT_FUZZY_THRESHOLD : null;
+}
+
+function gradeNumeric(question, answer) {
+  const value = parseNumber(answer);
+  if (value === null) return 0;
+
+  const range = question.answerRange;
+  if (range && range.min !== undefined && range.min !== null
+    && range.max !== undefined && range.max !== null) {
+    return value >= range.min && value <= range.max ? 1 : 0;
+  }
+
+  const tolerance = Math.abs(Number(question.tolerance) || 0);
+  const hit = getAcceptedAnswers(question)
+    .map(parseNumber)
+    .some((expected) => expected !== null && Math.abs(value - expected) <= tolerance + Number.EPSILON);
+  return hit ? 1 : 0;
+}
+
+/**
+ * Each correct pick earns a share; each wrong pick cancels one (no guessing everything)
+ */
+function gradeMultiSelect(question, answer) {
+  const expected = new Set(getAnswerList(question).map(normalizeText));
+  if (expected.size === 0) return 0;
+
+  const picked = new Set(toOptionList(question, answer).map((item) => normalizeText(resolveOption(question, item))));
+  let hits = 0;
+  let misses = 0;
+  for (const item of picked) {
+    if (expected.has(item)) hits++;
+    else misses++;
+  }
+
+  return Math.max(0, (hits - misses) / expected.size);
+}
+
+/**
+ * Share of item pairs placed in the right relative order
+ */
+function gradeOrdering(question, answer) {
+  const expected = getAnswerList(question).map(normalizeText);
+  const submitted = toOptionList(question, answer).map((item) => normalizeText(resolveOption(question, item)));
+  if (expected.length < 2) return 0;
+
+  const position = new Map(submitted.map((item, index) => [item, index]));
+  if (expected.some((item) => !position.has(item))) return 0;
+
+  let pairs = 0;
+  let ordered = 0;
+  for (let i = 0; i < expected.length; i++) {
+    for (let j = i + 1; j < expected.length; j++) {
+      pairs++;
+      if (position.get(expected[i]) < position.get(expected[j])) ordered++;
+    }
+  }
+
+  return ordered / pairs;
+}
+
+// ============================================
+// GRADING
+// ============================================
+
+/**
+ * Grade one answer against its question
+ * @param {Object} question - Question including its answer key
+ * @param {*} answer - Submitted answer (string, option index, or array for list types)
+ * @returns {Object} { isCorrect, credit } - credit is the 0-1 share of the points earned
+ */
+function gradeAnswer(question, answer) {
+  if (answer === null || answer === undefined || answer === ''
+    || (Array.isArray(answer) && answer.length === 0)) {
+    return { isCorrect: false, credit: 0 };
+  }
+
+  let credit;
+  switch (question.type) {
+    case 'true-false': {
+      const expected = normalizeBoolean(getCorrectAnswer(question));
+      credit = expected !== null && expected === normalizeBoolean(answer) ? 1 : 0;
+      break;
+    }
+    case 'numeric':
+      credit = gradeNumeric(question, answer);
+      break;
+    case 'multi-select':
+      credit = gradeMultiSelect(question, answer);
+      break;
+    case 'ordering':
+      credit = gradeOrdering(question, answer);
+      break;
+    case 'fill-in-blank':
+    case 'descriptive': {
+      const threshold = fuzzyThresholdFor(question);
+      credit = getAcceptedAnswers(question).some((expected) => textMatches(answer, expected, threshold)) ? 1 : 0;
+      break;
+    }
+    case 'multiple-choice':
+    default: {
+      const picked = resolveOption(question, answer);
+      credit = getAcceptedAnswers(question)
+        .some((expected) => textEquals(picked, resolveOption(question, expected))) ? 1 : 0;
+    }
+  }
+
+  const isCorrect = credit >= 1;
+  if (!isCorrect && question.partialCredit === false) credit = 0;
+
+  return { isCorrect, credit: Math.round(credit * 100) / 100 };
+}
+
+/**
+ * Points for a graded answer, kept to two decimals so small partial credit still counts
+ */
+function scorePoints(basePoints, credit) {
+  return Math.round((basePoints || 0) * (credit || 0) * 100) / 100;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  LIST_TYPES,
+  normalizeText,
+  normalizeBoolean,
+  parseNumber,
+  toList,
+  resolveOption,
+  similarity,
+  textEquals,
+  getCorrectAnswer,
+  getAnswerList,
+  describeCorrectAnswer,
+  publicQuestion,
+  gradeAnswer,
+  scorePoints,
+};
@@ -0,0 +1,18 @@
+/**
+ * HTTP Error Utility
+ * Errors thrown by services carry the status routes and socket handlers answer with
+ */
+
+/**
+ * Build an error carrying an HTTP status for the caller to surface
+ * @param {String} message
+ * @param {Number} status - HTTP status (e.g. 400, 404, 409)
+ * @returns {Error} Error with `status` set
+ */
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = { httpError };
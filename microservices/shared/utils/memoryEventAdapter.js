@@ -0,0 +1,116 @@
+/**
+ * In-Memory Event Adapter
+ * Process-local transport for EventBus, used in tests and when no broker is configured.
+ * Mirrors the Redis Streams adapter semantics: retries, dead letters and idempotency.
+ */
+
+const EventEmitter = require('events');
+
+class MemoryEventAdapter {
+  constructor({ logger, maxRetries = 3, retryDelayMs = 0, idempotencyTtl, maxProcessed = 10000 } = {}) {
+    this.logger = logger;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    // Same window as the Redis adapter, plus a size cap since this lives in process memory
+    this.idempotencyTtlMs =
+      (idempotencyTtl ?? (parseInt(process.env.EVENT_BUS_IDEMPOTENCY_TTL) || 7 * 24 * 3600)) * 1000;
+    this.maxProcessed = maxProcessed;
+
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.processed = new Map(); // key -> expiry time, oldest first
+    this.processing = new Set();
+    this.deadLetters = [];
+    this.inFlight = new Set();
+  }
+
+  async connect() {
+    return true;
+  }
+
+  async publish(envelope) {
+    this.emitter.emit(envelope.name, envelope);
+    return envelope.id;
+  }
+
+  async subscribe(eventName, dispatch) {
+    this.emitter.on(eventName, (envelope) => {
+      const delivery = this.deliver(envelope, dispatch);
+      this.inFlight.add(delivery);
+      delivery.finally(() => this.inFlight.delete(delivery));
+    });
+  }
+
+  async deliver(envelope, dispatch) {
+    const key = `${envelope.name}:${envelope.idempotencyKey}`;
+
+    // A duplicate published while the original is still retrying is the same event
+    if (this.isProcessed(key) || this.processing.has(key)) return;
+    this.processing.add(key);
+
+    for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+      try {
+        await dispatch(envelope, attempt);
+        this.markProcessed(key);
+        this.processing.delete(key);
+        return;
+      } catch (error) {
+        this.logger.warn(
+          `Event ${envelope.name} (${envelope.id}) failed on attempt ${attempt}: ${error.message}`
+        );
+        if (this.retryDelayMs) {
+          await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs));
+        }
+      }
+    }
+
+    this.processing.delete(key);
+    this.deadLetters.push({
+      ...envelope,
+      failedAt: new Date().toISOString(),
+    });
+    this.logger.error(`Event ${envelope.name} (${envelope.id}) moved to dead-letter`);
+  }
+
+  isProcessed(key) {
+    const expiresAt = this.processed.get(key);
+    if (expiresAt === undefined) return false;
+    if (expiresAt > Date.now()) return true;
+
+    this.processed.delete(key);
+    return false;
+  }
+
+  /**
+   * Remember a processed key, dropping expired and then the oldest keys past the cap
+   */
+  markProcessed(key) {
+    const now = Date.now();
+    this.processed.delete(key);
+    this.processed.set(key, now + this.idempotencyTtlMs);
+
+    for (const [oldKey, expiresAt] of this.processed) {
+      if (expiresAt > now && this.processed.size <= this.maxProcessed) break;
+      this.processed.delete(oldKey);
+    }
+  }
+
+  /**
+   * Wait until every delivery started so far has settled (useful in tests)
+   */
+  async drain() {
+    while (this.inFlight.size > 0) {
+      await Promise.allSettled([...this.inFlight]);
+    }
+  }
+
+  async getDeadLetters(limit = 50) {
+    return this.deadLetters.slice(-limit);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = MemoryEventAdapter;
@@ -0,0 +1,296 @@
+/**
+ * Redis Streams Event Adapter
+ * Durable transport for EventBus with at-least-once delivery.
+ *
+ * - One stream per event name (`events:<name>`), one consumer group per subscribing service
+ * - Entries are acknowledged only after every local handler succeeds
+ * - Unacknowledged entries are re-claimed with exponential backoff
+ * - Entries exceeding maxRetries are copied to `events:dead-letter` and acknowledged
+ * - Idempotency keys are claimed per consumer group before dispatch so redeliveries are skipped
+ * - A new consumer group starts at the beginning of the stream, so events published
+ *   before a service first subscribed are still delivered to it
+ */
+
+const os = require('os');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Value of an idempotency key while a consumer is running the handler
+const PROCESSING = 'processing';
+
+class RedisStreamAdapter {
+  constructor({ client, serviceName, logger, options = {} }) {
+    this.client = client;
+    this.serviceName = serviceName;
+    this.logger = logger;
+
+    this.prefix = options.prefix || process.env.EVENT_BUS_PREFIX || 'events';
+    this.group = options.group || serviceName;
+    this.consumer = `${serviceName}:${os.hostname()}:${process.pid}`;
+
+    this.maxRetries = options.maxRetries ?? (parseInt(process.env.EVENT_BUS_MAX_RETRIES) || 5);
+    this.retryDelayMs = options.retryDelayMs ?? (parseInt(process.env.EVENT_BUS_RETRY_DELAY_MS) || 5000);
+    this.blockMs = options.blockMs ?? 5000;
+    this.batchSize = options.batchSize ?? 10;
+    this.maxLength = options.maxLength ?? (parseInt(process.env.EVENT_BUS_STREAM_MAXLEN) || 100000);
+    this.idempotencyTtl = options.idempotencyTtl ?? (parseInt(process.env.EVENT_BUS_IDEMPOTENCY_TTL) || 7 * 24 * 3600);
+    // Seconds a handler may hold an event before another consumer may run it
+    this.claimTtl = options.claimTtl ?? (parseInt(process.env.EVENT_BUS_CLAIM_TTL) || 300);
+
+    this.subscriptions = [];
+    this.running = false;
+  }
+
+  streamKey(eventName) {
+    return `${this.prefix}:${eventName}`;
+  }
+
+  get deadLetterKey() {
+    return `${this.prefix}:dead-letter`;
+  }
+
+  processedKey(idempotencyKey) {
+    return `${this.prefix}:processed:${this.group}:${idempotencyKey}`;
+  }
+
+  async connect() {
+    await this.client.ping();
+    this.running = true;
+    return true;
+  }
+
+  async publish(envelope) {
+    return this.client.xadd(
+      this.streamKey(envelope.name),
+      'MAXLEN',
+      '~',
+      this.maxLength,
+      '*',
+      'event',
+      JSON.stringify(envelope)
+    );
+  }
+
+  async ensureGroup(stream) {
+    try {
+      // Start at "0": events published before this service first subscribed still reach it
+      await this.client.xgroup('CREATE', stream, this.group, '0', 'MKSTREAM');
+      this.logger.info(`Created consumer group ${this.group} on ${stream}`);
+    } catch (error) {
+      if (!String(error.message).includes('BUSYGROUP')) throw error;
+    }
+  }
+
+  async subscribe(eventName, dispatch) {
+    const stream = this.streamKey(eventName);
+    await this.ensureGroup(stream);
+
+    // XREADGROUP BLOCK holds its connection, so each subscription reads on its own
+    const subscription = {
+      eventName,
+      stream,
+      dispatch,
+      reader: this.client.duplicate(),
+      lastReclaim: 0,
+    };
+
+    this.subscriptions.push(subscription);
+    this.consume(subscription);
+  }
+
+  async consume(sub) {
+    while (this.running) {
+      try {
+        if (Date.now() - sub.lastReclaim >= this.retryDelayMs) {
+          sub.lastReclaim = Date.now();
+          await this.reclaim(sub);
+        }
+
+        const response = await sub.reader.xreadgroup(
+          'GROUP',
+          this.group,
+          this.consumer,
+          'COUNT',
+          this.batchSize,
+          'BLOCK',
+          this.blockMs,
+          'STREAMS',
+          sub.stream,
+          '>'
+        );
+
+        if (!response) continue;
+
+        for (const [, entries] of response) {
+          for (const [id, fields] of entries) {
+            await this.handleEntry(sub, id, fields, 1);
+          }
+        }
+      } catch (error) {
+        if (!this.running) break;
+
+        // The group disappears if the stream key was deleted; recreate and carry on
+        if (String(error.message).includes('NOGROUP')) {
+          await this.ensureGroup(sub.stream).catch(() => {});
+        } else {
+          this.logger.error(`Event consumer error on ${sub.stream}:`, error.message);
+        }
+        await sleep(1000);
+      }
+    }
+  }
+
+  parseEntry(fields) {
+    if (!fields) return null;
+
+    for (let i = 0; i < fields.length; i += 2) {
+      if (fields[i] === 'event') {
+        try {
+          return JSON.parse(fields[i + 1]);
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  async handleEntry(sub, id, fields, attempt) {
+    const envelope = this.parseEntry(fields);
+
+    if (!envelope) {
+      this.logger.warn(`Dropping malformed entry ${id} on ${sub.stream}`);
+      await this.client.xack(sub.stream, this.group, id);
+      return;
+    }
+
+    // Claim the key before dispatching, so consumers holding the same
+    // (re-claimed) entry don't both run the handlers
+    const processedKey = this.processedKey(envelope.idempotencyKey);
+    const claimed = await this.client.set(processedKey, PROCESSING, 'EX', this.claimTtl, 'NX');
+    if (!claimed) {
+      const state = await this.client.get(processedKey);
+      if (state === PROCESSING || state === null) {
+        // Still running elsewhere; left pending until that finishes or fails
+        return;
+      }
+      this.logger.debug(`Skipping duplicate event ${envelope.idempotencyKey}`);
+      await this.client.xack(sub.stream, this.group, id);
+      return;
+    }
+
+    try {
+      await sub.dispatch(envelope, attempt);
+      await this.client.set(processedKey, id, 'EX', this.idempotencyTtl);
+      await this.client.xack(sub.stream, this.group, id);
+    } catch (error) {
+      // Release the claim; left pending, reclaim() redelivers it after backoff
+      await this.client.del(processedKey).catch(() => {});
+      this.logger.warn(
+        `Event ${envelope.name} (${id}) failed on attempt ${attempt}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Redeliver pending entries whose backoff has elapsed, dead-lettering exhausted ones.
+   * Also picks up entries left behind by crashed consumers of the same group.
+   */
+  async reclaim(sub) {
+    const pending = await this.client.xpending(
+      sub.stream,
+      this.group,
+      '-',
+      '+',
+      this.batchSize
+    );
+
+    for (const [id, , idleMs, deliveries] of pending) {
+      const backoff = this.retryDelayMs * Math.pow(2, Math.max(0, deliveries - 1));
+      if (idleMs < backoff) continue;
+
+      if (deliveries > this.maxRetries) {
+        await this.deadLetter(sub, id, deliveries);
+        continue;
+      }
+
+      const claimed = await this.client.xclaim(
+        sub.stream,
+        this.group,
+        this.consumer,
+        backoff,
+        id
+      );
+
+      // Empty when another consumer claimed it first
+      if (claimed.length === 0) continue;
+
+      const [entry] = claimed;
+      if (!entry || !entry[1]) {
+        // Trimmed from the stream before it could be processed
+        await this.client.xack(sub.stream, this.group, id);
+        continue;
+      }
+      await this.handleEntry(sub, id, entry[1], deliveries + 1);
+    }
+  }
+
+  async deadLetter(sub, id, deliveries) {
+    const [entry] = await this.client.xrange(sub.stream, id, id);
+
+    await this.client.xadd(
+      this.deadLetterKey,
+      'MAXLEN',
+      '~',
+      this.maxLength,
+      '*',
+      'event',
+      entry ? entry[1][1] : 'null',
+      'stream',
+      sub.stream,
+      'entryId',
+      id,
+      'group',
+      this.group,
+      'deliveries',
+      String(deliveries),
+      'failedAt',
+      new Date().toISOString()
+    );
+    await this.client.xack(sub.stream, this.group, id);
+
+    this.logger.error(
+      `Event ${id} on ${sub.stream} moved to dead-letter after ${deliveries} deliveries`
+    );
+  }
+
+  async getDeadLetters(limit = 50) {
+    const entries = await this.client.xrevrange(
+      this.deadLetterKey,
+      '+',
+      '-',
+      'COUNT',
+      limit
+    );
+
+    return entries.map(([id, fields]) => {
+      const record = { id };
+      for (let i = 0; i < fields.length; i += 2) {
+        record[fields[i]] = fields[i + 1];
+      }
+      record.event = this.parseEntry(['event', record.event]);
+      return record;
+    });
+  }
+
+  async close() {
+    this.running = false;
+    for (const sub of this.subscriptions) {
+      // disconnect() rather than quit(): quit waits for the pending BLOCK to return
+      sub.reader.disconnect();
+    }
+    this.subscriptions = [];
+  }
+}
+
+module.exports = RedisStreamAdapter;
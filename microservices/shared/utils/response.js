@@ -62,6 +62,17 @@ class ApiResponse {
   static serviceUnavailable(res, message = 'Service temporarily unavailable') {
     return this.error(res, message, 503);
   }
+
+  /**
+   * Send a service error with its status; log anything else and send it as a 500
+   */
+  static fromError(res, error, fallbackMessage = 'Internal server error', logger = console) {
+    if (error.status) {
+      return this.error(res, error.message, error.status);
+    }
+    logger.error(`${fallbackMessage}:`, error);
+    return this.error(res, fallbackMessage, 500);
+  }
 }
 
 module.exports = ApiResponse;
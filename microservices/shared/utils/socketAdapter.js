@@ -0,0 +1,75 @@
+/**
+ * Socket.IO Redis Adapter
+ * Lets several instances of a socket service share rooms and broadcasts, so a
+ * client can land on any instance behind the load balancer and still receive
+ * io.to(room).emit(...) from the others.
+ */
+
+const Redis = require('ioredis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const createLogger = require('./logger');
+
+/**
+ * Redis connection for the adapter (Upstash when configured, REDIS_URL otherwise)
+ */
+function createRedisConnection() {
+  const retryStrategy = (times) => Math.min(times * 50, 2000);
+
+  if (process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_TOKEN) {
+    const url = new URL(process.env.UPSTASH_REDIS_URL);
+    return new Redis({
+      host: url.hostname,
+      port: parseInt(url.port) || 6379,
+      password: process.env.UPSTASH_REDIS_TOKEN,
+      tls: { rejectUnauthorized: false },
+      maxRetriesPerRequest: null,
+      enableReadyCheck: false,
+      retryStrategy,
+    });
+  }
+
+  return new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+    maxRetriesPerRequest: null,
+    enableReadyCheck: false,
+    retryStrategy,
+  });
+}
+
+/**
+ * Attach the Redis adapter to a Socket.IO server.
+ * Disabled with SOCKET_REDIS_ADAPTER=false (single instance, in-memory adapter).
+ * @param {Server} io - Socket.IO server
+ * @param {String} serviceName - Used for logging and to namespace the pub/sub channels
+ * @returns {Object|null} { close } to shut the adapter's connections down, or null when disabled
+ */
+function attachRedisAdapter(io, serviceName) {
+  const logger = createLogger(serviceName);
+
+  if (process.env.SOCKET_REDIS_ADAPTER === 'false') {
+    logger.info('Socket.IO Redis adapter disabled, running as a single instance');
+    return null;
+  }
+
+  const pubClient = createRedisConnection();
+  const subClient = pubClient.duplicate();
+
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (err) => {
+      if (err.code !== 'ECONNRESET') {
+        logger.error('Socket.IO adapter Redis error:', err);
+      }
+    });
+  }
+
+  // Channels are per service: rooms with the same name in two services stay apart
+  io.adapter(createAdapter(pubClient, subClient, { key: `socket.io#${serviceName}` }));
+  logger.info('Socket.IO Redis adapter attached');
+
+  return {
+    async close() {
+      await Promise.allSettled([pubClient.quit(), subClient.quit()]);
+    },
+  };
+}
+
+module.exports = { attachRedisAdapter };
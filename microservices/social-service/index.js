@@ -14,8 +14,13 @@ require("dotenv").config();
 
 const feedManager = require("./services/feedManager");
 const notificationManager = require("./services/notificationManager");
+const broadcastManager = require("./services/broadcastManager");
 const queueManager = require("./workers/queueManager");
+const eventBus = require("./services/eventBus");
+const eventWorker = require("./workers/eventWorker");
 const socketHandlers = require("./socket/handlers");
+const { socketAuth } = require("../shared/middleware/socketAuth");
+const { attachRedisAdapter } = require("../shared/utils/socketAdapter");
 const connectDB = require("./models");
 const createLogger = require("../shared/utils/logger");
 
@@ -29,6 +34,7 @@ const friendRoutes = require("./routes/friends");
 const challengeRoutes = require("./routes/challenges");
 const userRoutes = require("./routes/users");
 const chatRoutes = require("./routes/chat");
+const broadcastRoutes = require("./routes/broadcasts");
 
 const logger = createLogger("social-service");
 
@@ -54,6 +60,9 @@ const io = socketIO(server, {
   transports: ["websocket", "polling"],
 });
 
+// Share rooms and broadcasts with the other social-service instances
+const socketAdapter = attachRedisAdapter(io, "social-service");
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -105,6 +114,7 @@ app.use("/api/challenges", challengeRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/user", userRoutes); // For /api/user/status and /api/user/friends-status
 app.use("/api/chat", chatRoutes);
+app.use("/api/broadcasts", broadcastRoutes);
 
 // Health check
 app.get("/health", async (req, res) => {
@@ -173,7 +183,10 @@ app.use((err, req, res, next) => {
 // SOCKET.IO HANDLERS
 // ============================================
 
+// Every connection carries a verified JWT
+io.use(socketAuth());
 socketHandlers(io);
+broadcastManager.attachIO(io);
 
 // ============================================
 // GRACEFUL SHUTDOWN
@@ -192,7 +205,14 @@ const gracefulShutdown = async (signal) => {
         logger.info("Socket.IO server closed");
       });
 
-      // Close Redis
+      if (socketAdapter) {
+        await socketAdapter.close();
+      }
+
+      broadcastManager.stopScheduler();
+
+      // Close event bus and Redis
+      await eventBus.close();
       await feedManager.disconnect();
       await notificationManager.disconnect();
       logger.info("Redis disconnected");
@@ -259,6 +279,20 @@ const startServer = async () => {
       );
     }
 
+    // Consume cross-service events (Redis Streams, falls back to in-memory)
+    eventWorker(eventBus);
+    try {
+      await eventBus.connectMessageBroker(notificationManager.redis);
+    } catch (busError) {
+      logger.warn(
+        "Event bus broker connection failed - cross-service events disabled:",
+        busError.message
+      );
+    }
+
+    // Send scheduled admin broadcasts when due
+    broadcastManager.startScheduler();
+
     // Start server
     server.listen(PORT, () => {
       logger.info(`Social Service running on port ${PORT}`);
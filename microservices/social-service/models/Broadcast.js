@@ -0,0 +1,122 @@
+/**
+ * Broadcast Model
+ * Admin announcements delivered to all users, a set of roles or a class roster
+ */
+
+const mongoose = require('mongoose');
+
+const BROADCAST_ROLES = ['Student', 'Teacher', 'Moderator', 'Admin'];
+
+const broadcastSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+
+  content: {
+    type: String,
+    required: true,
+    maxlength: 500,
+  },
+
+  type: {
+    type: String,
+    enum: ['announcement', 'maintenance', 'feature-update', 'event'],
+    default: 'announcement',
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium',
+  },
+
+  // Who receives it
+  targetAudience: {
+    scope: {
+      type: String,
+      enum: ['all', 'roles', 'class'],
+      default: 'all',
+    },
+    roles: [{
+      type: String,
+      enum: BROADCAST_ROLES,
+    }],
+    // Class roster: an explicit list of members, labelled for the admin list
+    className: String,
+    userIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdByName: String,
+
+  // Delivery
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'scheduled',
+    index: true,
+  },
+  scheduledFor: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: Date,
+  sentAt: Date,
+  // Last recipient (by _id) notified so far; an interrupted fan-out resumes after it
+  fanoutCursor: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+
+  // Counters, updated atomically as receipts change
+  stats: {
+    recipients: { type: Number, default: 0 },
+    read: { type: Number, default: 0 },
+    dismissed: { type: Number, default: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+broadcastSchema.index({ status: 1, scheduledFor: 1 });
+broadcastSchema.index({ status: 1, sentAt: -1 });
+broadcastSchema.index({ createdAt: -1 });
+
+/**
+ * Whether a user with the given id and role is in the audience
+ */
+broadcastSchema.methods.targets = function(userId, role) {
+  const audience = this.targetAudience || {};
+
+  switch (audience.scope) {
+    case 'roles':
+      return (audience.roles || []).includes(role);
+    case 'class':
+      return (audience.userIds || []).some((id) => id.toString() === String(userId));
+    case 'all':
+    default:
+      return true;
+  }
+};
+
+/**
+ * Whether the broadcast is live for recipients right now
+ */
+broadcastSchema.methods.isActive = function(now = new Date()) {
+  return this.status === 'sent' && (!this.expiresAt || this.expiresAt > now);
+};
+
+broadcastSchema.statics.ROLES = BROADCAST_ROLES;
+
+module.exports = mongoose.model('Broadcast', broadcastSchema);
@@ -0,0 +1,31 @@
+/**
+ * Broadcast Receipt Model
+ * One row per user who read or dismissed a broadcast; backs the per-broadcast counters
+ */
+
+const mongoose = require('mongoose');
+
+const broadcastReceiptSchema = new mongoose.Schema({
+  broadcast: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast',
+    required: true,
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  readAt: Date,
+  dismissedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// One receipt per user per broadcast
+broadcastReceiptSchema.index({ broadcast: 1, user: 1 }, { unique: true });
+broadcastReceiptSchema.index({ user: 1, dismissedAt: 1 });
+
+module.exports = mongoose.model('BroadcastReceipt', broadcastReceiptSchema);
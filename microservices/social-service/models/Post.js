@@ -41,7 +41,7 @@ const postSchema = new mongoose.Schema({
   // Post type
   type: {
     type: String,
-    enum: ['text', 'image', 'achievement', 'quiz-result', 'challenge'],
+    enum: ['text', 'image', 'achievement', 'quiz-result', 'challenge', 'tournament'],
     default: 'text',
     index: true,
   },
@@ -0,0 +1,122 @@
+/**
+ * Broadcast Routes (Admin Announcements)
+ */
+
+const express = require('express');
+const router = express.Router();
+const broadcastManager = require('../services/broadcastManager');
+const ApiResponse = require('../../shared/utils/response');
+const createLogger = require('../../shared/utils/logger');
+const { authenticateToken, adminMiddleware } = require('../../shared/middleware/auth');
+
+const logger = createLogger('broadcast-routes');
+
+// ============================================
+// RECIPIENTS
+// ============================================
+
+/**
+ * Get live broadcasts for the current user (not expired, not dismissed)
+ */
+router.get('/active', authenticateToken, async (req, res) => {
+  try {
+    const broadcasts = await broadcastManager.getActiveForUser(req.user.userId, req.user.role);
+    res.json({ success: true, broadcasts });
+  } catch (error) {
+    ApiResponse.fromError(res, error, 'Failed to fetch broadcasts', logger);
+  }
+});
+
+/**
+ * Mark a broadcast as read
+ */
+router.post('/:broadcastId/read', authenticateToken, async (req, res) => {
+  try {
+    await broadcastManager.markRead(req.params.broadcastId, req.user);
+    res.json({ success: true, message: 'Broadcast marked as read' });
+  } catch (error) {
+    ApiResponse.fromError(res, error, 'Failed to mark broadcast as read', logger);
+  }
+});
+
+/**
+ * Dismiss a broadcast so it stops showing for the current user
+ */
+router.post('/:broadcastId/dismiss', authenticateToken, async (req, res) => {
+  try {
+    await broadcastManager.dismiss(req.params.broadcastId, req.user);
+    res.json({ success: true, message: 'Broadcast dismissed' });
+  } catch (error) {
+    ApiResponse.fromError(res, error, 'Failed to dismiss broadcast', logger);
+  }
+});
+
+// ============================================
+// ADMIN
+// ============================================
+
+/**
+ * List broadcasts with delivery and read/dismiss counts
+ */
+const listBroadcasts = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const { broadcasts, total } = await broadcastManager.listBroadcasts({ status, page, limit });
+
+    res.json({ success: true, broadcasts, total });
+  } catch (error) {
+    ApiResponse.fromError(res, error, 'Failed to fetch broadcasts', logger);
+  }
+};
+
+router.get('/', authenticateToken, adminMiddleware, listBroadcasts);
+router.get('/history', authenticateToken, adminMiddleware, listBroadcasts);
+
+/**
+ * Create a broadcast (sent now, or at scheduledFor)
+ */
+const createBroadcast = async (req, res) => {
+  try {
+    const { title, content } = req.body;
+
+    if (!title || !title.trim() || !content || !content.trim()) {
+      return res.status(400).json({ success: false, message: 'Title and content are required' });
+    }
+
+    const broadcast = await broadcastManager.createBroadcast(req.body, req.user);
+
+    res.status(201).json({ success: true, broadcast });
+  } catch (error) {
+    ApiResponse.fromError(res, error, 'Failed to create broadcast', logger);
+  }
+};
+
+router.post('/', authenticateToken, adminMiddleware, createBroadcast);
+router.post('/create', authenticateToken, adminMiddleware, createBroadcast);
+router.post('/send', authenticateToken, adminMiddleware, createBroadcast);
+
+/**
+ * Get a single broadcast with its counts
+ */
+router.get('/:broadcastId', authenticateToken, adminMiddleware, async (req, res) => {
+  try {
+    const broadcast = await broadcastManager.getBroadcast(req.params.broadcastId);
+    res.json({ success: true, broadcast });
+  } catch (error) {
+    ApiResponse.fromError(res, error, 'Failed to fetch broadcast', logger);
+  }
+});
+
+/**
+ * Cancel a scheduled broadcast, or withdraw a sent one
+ */
+router.delete('/:broadcastId', authenticateToken, adminMiddleware, async (req, res) => {
+  try {
+    const broadcast = await broadcastManager.cancelBroadcast(req.params.broadcastId);
+    res.json({ success: true, broadcast });
+  } catch (error) {
+    ApiResponse.fromError(res, error, 'Failed to cancel broadcast', logger);
+  }
+});
+
+module.exports = router;
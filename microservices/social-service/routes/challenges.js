@@ -7,6 +7,9 @@ const router = express.Router();
 const createLogger = require('../../shared/utils/logger');
 const { authenticateToken } = require('../../shared/middleware/auth');
 const axios = require('axios');
+const mongoose = require('mongoose');
+const Friendship = require('../models/Friendship');
+const User = require('../models/User');
 
 const logger = createLogger('challenges-routes');
 
@@ -42,16 +45,64 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 /**
- * Create a new challenge
+ * Forward gamification-service errors with their status instead of a blanket 500
  */
-router.post('/', authenticateToken, async (req, res) => {
+const sendUpstreamError = (res, error, fallbackMessage) => {
+  const status = error.response?.status || 500;
+  res.status(status).json({
+    success: false,
+    error: error.response?.data?.error || fallbackMessage,
+    message: error.response?.data?.error || fallbackMessage,
+  });
+};
+
+/**
+ * Create a new challenge against an accepted friend
+ */
+const createChallenge = async (req, res) => {
   try {
     const userId = req.user.userId;
+    const { challengedUserId, quizId, message, expiresInHours } = req.body;
+
+    if (!challengedUserId || !quizId) {
+      return res.status(400).json({
+        success: false,
+        message: 'challengedUserId and quizId are required',
+      });
+    }
+
+    if (!mongoose.isValidObjectId(challengedUserId)) {
+      return res.status(400).json({ success: false, message: 'Invalid challengedUserId' });
+    }
+
+    // Only friends can be challenged
+    const friendship = await Friendship.findOne({
+      status: 'accepted',
+      $or: [
+        { requester: userId, recipient: challengedUserId },
+        { requester: challengedUserId, recipient: userId },
+      ],
+    }).lean();
+
+    if (!friendship) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only challenge your friends',
+      });
+    }
+
+    const challengedUser = await User.findById(challengedUserId).select('name').lean();
 
     // Forward to gamification service
     const response = await axios.post(
       `${GAMIFICATION_SERVICE}/api/duels`,
-      { ...req.body, challengerId: userId },
+      {
+        challengedUserId,
+        challengedName: challengedUser?.name || '',
+        quizId,
+        message,
+        expiresInHours,
+      },
       {
         headers: {
           'x-auth-token': req.headers['x-auth-token'],
@@ -59,15 +110,39 @@ router.post('/', authenticateToken, async (req, res) => {
       }
     );
 
-    res.json(response.data);
+    res.status(201).json(response.data);
   } catch (error) {
     logger.error('Error creating challenge:', error.message || 'Unknown error');
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create challenge',
-    });
+    sendUpstreamError(res, error, 'Failed to create challenge');
   }
-});
+};
+
+router.post('/', authenticateToken, createChallenge);
+router.post('/create', authenticateToken, createChallenge);
+
+/**
+ * Get a single challenge with both players' results
+ */
+const getChallenge = async (req, res) => {
+  try {
+    const response = await axios.get(
+      `${GAMIFICATION_SERVICE}/api/duels/${req.params.challengeId}`,
+      {
+        headers: {
+          'x-auth-token': req.headers['x-auth-token'],
+        },
+      }
+    );
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error('Error fetching challenge:', error.message || 'Unknown error');
+    sendUpstreamError(res, error, 'Failed to fetch challenge');
+  }
+};
+
+router.get('/:challengeId', authenticateToken, getChallenge);
+router.get('/:challengeId/results', authenticateToken, getChallenge);
 
 /**
  * Accept a challenge
@@ -90,10 +165,7 @@ router.post('/:challengeId/accept', authenticateToken, async (req, res) => {
     res.json(response.data);
   } catch (error) {
     logger.error('Error accepting challenge:', error.message || 'Unknown error');
-    res.status(500).json({
-      success: false,
-      error: 'Failed to accept challenge',
-    });
+    sendUpstreamError(res, error, 'Failed to accept challenge');
   }
 });
 
@@ -118,10 +190,32 @@ router.post('/:challengeId/decline', authenticateToken, async (req, res) => {
     res.json(response.data);
   } catch (error) {
     logger.error('Error declining challenge:', error.message || 'Unknown error');
-    res.status(500).json({
-      success: false,
-      error: 'Failed to decline challenge',
-    });
+    sendUpstreamError(res, error, 'Failed to decline challenge');
+  }
+});
+
+/**
+ * Cancel a challenge that has not been answered yet
+ */
+router.post('/:challengeId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    // Forward to gamification service
+    const response = await axios.post(
+      `${GAMIFICATION_SERVICE}/api/duels/${challengeId}/cancel`,
+      {},
+      {
+        headers: {
+          'x-auth-token': req.headers['x-auth-token'],
+        },
+      }
+    );
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error('Error cancelling challenge:', error.message || 'Unknown error');
+    sendUpstreamError(res, error, 'Failed to cancel challenge');
   }
 });
 
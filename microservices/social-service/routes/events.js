@@ -8,6 +8,7 @@ const ApiResponse = require('../../shared/utils/response');
 const createLogger = require('../../shared/utils/logger');
 const Post = require('../models/Post');
 const notificationManager = require('../services/notificationManager');
+const eventProcessor = require('../services/eventProcessor');
 const { getNotificationQueue } = require('../workers/queueManager');
 
 const router = express.Router();
@@ -16,6 +17,7 @@ const logger = createLogger('event-routes');
 /**
  * @route   POST /api/events/achievement-unlocked
  * @desc    Handle achievement unlocked event from Gamification Service
+ *          (legacy HTTP hop - gamification now publishes achievement.unlocked on the event bus)
  * @access  Internal (Service-to-Service)
  */
 router.post('/achievement-unlocked', async (req, res) => {
@@ -28,36 +30,7 @@ router.post('/achievement-unlocked', async (req, res) => {
       );
     }
 
-    // Create social post about achievement
-    const post = new Post({
-      user: userId,
-      type: 'achievement',
-      content: {
-        text: `Unlocked ${achievement.icon} ${achievement.name}! 🎉`,
-        achievement: {
-          name: achievement.name,
-          description: achievement.description,
-          icon: achievement.icon,
-          rarity: achievement.rarity,
-          points: achievement.points,
-        },
-      },
-      visibility: 'public',
-      isAchievement: true,
-    });
-
-    await post.save();
-    logger.info(`Created achievement post for user ${userId}: ${achievement.name}`);
-
-    // Queue notification job for followers (async)
-    const notificationQueue = getNotificationQueue();
-    await notificationQueue.add('achievement-notification', {
-      userId,
-      achievementName: achievement.name,
-      achievementIcon: achievement.icon,
-      achievementRarity: achievement.rarity,
-      postId: post._id.toString(),
-    });
+    const post = await eventProcessor.processAchievementUnlocked({ userId, achievement });
 
     res.json(
       ApiResponse.success({
@@ -3,6 +3,7 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Friendship = require('../models/Friendship');
 const Notification = require('../models/Notification');
@@ -222,6 +223,34 @@ router.put('/respond/:friendshipId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Whether the caller and another user are friends
+ * (gamification-service checks this before creating a challenge)
+ */
+router.get('/:friendId/status', authenticateToken, async (req, res) => {
+  try {
+    const { friendId } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.isValidObjectId(friendId)) {
+      return res.status(400).json({ message: 'Invalid friendId' });
+    }
+
+    const friendship = await Friendship.exists({
+      status: 'accepted',
+      $or: [
+        { requester: userId, recipient: friendId },
+        { requester: friendId, recipient: userId },
+      ],
+    });
+
+    res.json({ friendId, isFriend: !!friendship });
+  } catch (error) {
+    logger.error('Error checking friendship:', error);
+    res.status(500).json({ message: 'Failed to check friendship' });
+  }
+});
+
 /**
  * Remove friend
  */
@@ -0,0 +1,479 @@
+/**
+ * Broadcast Manager
+ * Schedules admin announcements, fans them out as persisted notifications and
+ * real-time socket events, and tracks read/dismiss receipts per broadcast.
+ */
+
+const mongoose = require('mongoose');
+const Broadcast = require('../models/Broadcast');
+const BroadcastReceipt = require('../models/BroadcastReceipt');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notificationManager = require('./notificationManager');
+const queueManager = require('../workers/queueManager');
+const createLogger = require('../../shared/utils/logger');
+const { NOTIFICATION_TYPES } = require('../../shared/config/constants');
+const { httpError } = require('../../shared/utils/httpError');
+
+const logger = createLogger('broadcast-manager');
+
+class BroadcastManager {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+
+    this.pollInterval = parseInt(process.env.BROADCAST_POLL_INTERVAL_MS) || 30000;
+    this.fanoutBatchSize = parseInt(process.env.BROADCAST_FANOUT_BATCH_SIZE) || 500;
+    this.stallTimeout = parseInt(process.env.BROADCAST_STALL_TIMEOUT_MS) || 10 * 60 * 1000;
+  }
+
+  /**
+   * Socket.IO server used for real-time delivery
+   */
+  attachIO(io) {
+    this.io = io;
+  }
+
+  // ============================================
+  // SCHEDULER
+  // ============================================
+
+  /**
+   * Poll for broadcasts whose send time has come, and process queued fan-outs.
+   * Claiming is atomic, so several instances can run the scheduler safely.
+   */
+  startScheduler() {
+    if (this.timer) return;
+
+    if (queueManager.broadcastQueue) {
+      queueManager.broadcastQueue.process('fanout', (job) => this.processFanoutJob(job));
+    }
+
+    this.timer = setInterval(() => {
+      this.sendDueBroadcasts().catch((error) => {
+        logger.error('Broadcast scheduler error:', error);
+      });
+    }, this.pollInterval);
+    this.timer.unref();
+
+    logger.info(`Broadcast scheduler started (every ${this.pollInterval}ms)`);
+  }
+
+  stopScheduler() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Start every due broadcast, then pick up fan-outs that stopped making progress
+   * (their process died mid-send) so they resume from their cursor
+   * @returns {Number} Broadcasts started or resumed
+   */
+  async sendDueBroadcasts(now = new Date()) {
+    let started = 0;
+
+    let broadcast = await this.claim({ status: 'scheduled', scheduledFor: { $lte: now } });
+    while (broadcast) {
+      await this.dispatch(broadcast);
+      started++;
+      broadcast = await this.claim({ status: 'scheduled', scheduledFor: { $lte: now } });
+    }
+
+    const stalledBefore = new Date(now.getTime() - this.stallTimeout);
+    const stalled = await Broadcast.find({ status: 'sending', updatedAt: { $lte: stalledBefore } })
+      .select('_id')
+      .lean();
+
+    for (const { _id } of stalled) {
+      // A job still in the queue is only waiting behind other fan-outs
+      if (await queueManager.hasBroadcastFanout(_id.toString())) continue;
+
+      const resumed = await this.claim({ _id, status: 'sending', updatedAt: { $lte: stalledBefore } });
+      if (!resumed) continue;
+
+      logger.warn(`Resuming stalled broadcast ${_id}`);
+      await this.dispatch(resumed);
+      started++;
+    }
+
+    return started;
+  }
+
+  /**
+   * Atomically move one matching broadcast to "sending".
+   * The write also bumps updatedAt, so a resumed broadcast is not claimed twice.
+   */
+  async claim(filter) {
+    return Broadcast.findOneAndUpdate(
+      filter,
+      { $set: { status: 'sending' } },
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+  }
+
+  /**
+   * Hand a claimed broadcast to the fan-out queue, or deliver it here without one
+   */
+  async dispatch(broadcast) {
+    if (queueManager.broadcastQueue && await queueManager.addBroadcastFanout(broadcast._id.toString())) {
+      return broadcast;
+    }
+
+    try {
+      return await this.deliver(broadcast);
+    } catch (error) {
+      await this.markFailed(broadcast._id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fan-out job: retried by Bull with backoff, marked failed after the last attempt
+   */
+  async processFanoutJob(job) {
+    const { broadcastId } = job.data;
+    const broadcast = await Broadcast.findOne({ _id: broadcastId, status: 'sending' });
+    if (!broadcast) return null;
+
+    try {
+      const sent = await this.deliver(broadcast);
+      return { recipients: sent?.stats.recipients };
+    } catch (error) {
+      if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+        await this.markFailed(broadcastId, error);
+      }
+      throw error;
+    }
+  }
+
+  async markFailed(broadcastId, error) {
+    logger.error(`Broadcast ${broadcastId} delivery failed:`, error);
+    await Broadcast.updateOne({ _id: broadcastId, status: 'sending' }, { $set: { status: 'failed' } });
+  }
+
+  // ============================================
+  // ADMIN OPERATIONS
+  // ============================================
+
+  /**
+   * Normalize the audience sent by the admin panel.
+   * An explicit roster means a class; a subset of roles means roles; otherwise everyone.
+   */
+  normalizeAudience(targetAudience = {}) {
+    const userIds = (targetAudience.userIds || []).filter((id) => mongoose.isValidObjectId(id));
+    const roles = (targetAudience.roles || []).filter((role) => Broadcast.ROLES.includes(role));
+    let scope = targetAudience.scope;
+
+    if (!scope) {
+      if (userIds.length > 0) scope = 'class';
+      else if (roles.length > 0 && roles.length < Broadcast.ROLES.length) scope = 'roles';
+      else scope = 'all';
+    }
+
+    if (scope === 'class' && userIds.length === 0) {
+      throw httpError('A class broadcast needs at least one member in userIds', 400);
+    }
+    if (scope === 'roles' && roles.length === 0) {
+      throw httpError('A role broadcast needs at least one valid role', 400);
+    }
+
+    return {
+      scope,
+      roles: scope === 'roles' ? roles : [],
+      className: scope === 'class' ? targetAudience.className || '' : undefined,
+      userIds: scope === 'class' ? userIds : [],
+    };
+  }
+
+  /**
+   * Create a broadcast; sends immediately unless scheduled for later
+   */
+  async createBroadcast(data, admin) {
+    const now = new Date();
+    const scheduledFor = data.scheduledFor ? new Date(data.scheduledFor) : now;
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+
+    if (Number.isNaN(scheduledFor.getTime())) {
+      throw httpError('Invalid scheduledFor date', 400);
+    }
+    if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+      throw httpError('Invalid expiresAt date', 400);
+    }
+    if (expiresAt && expiresAt <= Math.max(now, scheduledFor)) {
+      throw httpError('expiresAt must be after the send time', 400);
+    }
+
+    const broadcast = new Broadcast({
+      title: data.title,
+      content: data.content,
+      type: data.type,
+      priority: data.priority,
+      targetAudience: this.normalizeAudience(data.targetAudience),
+      createdBy: admin.userId,
+      createdByName: admin.name,
+      scheduledFor,
+      expiresAt,
+    });
+
+    try {
+      await broadcast.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw httpError(error.message, 400);
+      }
+      throw error;
+    }
+
+    logger.info(`Broadcast ${broadcast._id} created by ${admin.userId} for ${scheduledFor.toISOString()}`);
+
+    if (scheduledFor <= now) {
+      const claimed = await this.claim({ _id: broadcast._id, status: 'scheduled' });
+      if (claimed) return this.dispatch(claimed);
+    }
+
+    return broadcast;
+  }
+
+  async listBroadcasts({ status, page = 1, limit = 20 } = {}) {
+    const query = status ? { status } : {};
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [broadcasts, total] = await Promise.all([
+      Broadcast.find(query)
+        .select('-targetAudience.userIds')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean(),
+      Broadcast.countDocuments(query),
+    ]);
+
+    return { broadcasts, total };
+  }
+
+  async getBroadcast(broadcastId) {
+    const broadcast = mongoose.isValidObjectId(broadcastId)
+      ? await Broadcast.findById(broadcastId)
+      : null;
+
+    if (!broadcast) {
+      throw httpError('Broadcast not found', 404);
+    }
+    return broadcast;
+  }
+
+  /**
+   * Cancel a broadcast: a scheduled one is never sent, one being sent stops at
+   * the next batch, a sent one disappears for recipients
+   */
+  async cancelBroadcast(broadcastId) {
+    const broadcast = await this.getBroadcast(broadcastId);
+
+    if (!['scheduled', 'sending', 'sent'].includes(broadcast.status)) {
+      throw httpError(`Cannot cancel a broadcast that is ${broadcast.status}`, 409);
+    }
+
+    const cancelled = await Broadcast.findOneAndUpdate(
+      { _id: broadcast._id, status: broadcast.status },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw httpError('Broadcast changed state, try again', 409);
+    }
+
+    if (broadcast.status === 'sent' && this.io) {
+      this.emit(cancelled, 'broadcast-removed', { broadcastId: cancelled._id.toString() });
+    }
+
+    return cancelled;
+  }
+
+  // ============================================
+  // DELIVERY
+  // ============================================
+
+  recipientQuery(broadcast) {
+    const { scope, roles, userIds } = broadcast.targetAudience;
+
+    if (scope === 'roles') return { role: { $in: roles } };
+    if (scope === 'class') return { _id: { $in: userIds } };
+    return {};
+  }
+
+  /**
+   * Fan a claimed ("sending") broadcast out to its audience.
+   * Recipients are walked in _id order and the cursor is saved with each batch,
+   * so a retry continues after the last batch that was written.
+   */
+  async deliver(broadcast) {
+    const base = {
+      type: NOTIFICATION_TYPES.BROADCAST,
+      actorId: broadcast.createdBy,
+      actorName: broadcast.createdByName,
+      title: broadcast.title,
+      message: broadcast.content,
+      priority: ['high', 'urgent'].includes(broadcast.priority) ? 'high' : 'normal',
+      metadata: {
+        broadcastId: broadcast._id.toString(),
+        broadcastType: broadcast.type,
+        priority: broadcast.priority,
+        expiresAt: broadcast.expiresAt,
+      },
+    };
+    const audience = this.recipientQuery(broadcast);
+
+    let after = broadcast.fanoutCursor;
+    let users;
+    do {
+      users = await User.find(after ? { $and: [audience, { _id: { $gt: after } }] } : audience)
+        .select('_id')
+        .sort({ _id: 1 })
+        .limit(this.fanoutBatchSize)
+        .lean();
+      if (users.length === 0) break;
+
+      const written = await notificationManager.persistNotifications(
+        users.map((user) => ({ ...base, userId: user._id.toString() }))
+      );
+      after = users[users.length - 1]._id;
+
+      const progressed = await Broadcast.findOneAndUpdate(
+        { _id: broadcast._id, status: 'sending' },
+        { $set: { fanoutCursor: after }, $inc: { 'stats.recipients': written } }
+      );
+      if (!progressed) {
+        logger.info(`Broadcast ${broadcast._id} was cancelled during fan-out`);
+        return null;
+      }
+    } while (users.length === this.fanoutBatchSize);
+
+    const sent = await Broadcast.findOneAndUpdate(
+      { _id: broadcast._id, status: 'sending' },
+      { $set: { status: 'sent', sentAt: new Date() } },
+      { new: true }
+    );
+    if (!sent) return null;
+
+    this.emit(sent, 'broadcast', this.toClient(sent));
+
+    logger.info(`Broadcast ${broadcast._id} delivered to ${sent.stats.recipients} users`);
+    return sent;
+  }
+
+  /**
+   * Emit to connected members of the audience.
+   * Sockets join `user:<id>` and `role:<role>` rooms in join-user-channel.
+   */
+  emit(broadcast, eventName, payload) {
+    if (!this.io) return;
+
+    const { scope, roles, userIds } = broadcast.targetAudience;
+
+    if (scope === 'roles') {
+      this.io.to(roles.map((role) => `role:${role}`)).emit(eventName, payload);
+    } else if (scope === 'class') {
+      this.io.to(userIds.map((id) => `user:${id}`)).emit(eventName, payload);
+    } else {
+      this.io.emit(eventName, payload);
+    }
+  }
+
+  toClient(broadcast) {
+    return {
+      _id: broadcast._id.toString(),
+      title: broadcast.title,
+      content: broadcast.content,
+      type: broadcast.type,
+      priority: broadcast.priority,
+      sentAt: broadcast.sentAt,
+      expiresAt: broadcast.expiresAt,
+    };
+  }
+
+  // ============================================
+  // RECIPIENTS
+  // ============================================
+
+  /**
+   * Live broadcasts for a user that they have not dismissed
+   */
+  async getActiveForUser(userId, role) {
+    const now = new Date();
+
+    const broadcasts = await Broadcast.find({
+      status: 'sent',
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        {
+          $or: [
+            { 'targetAudience.scope': 'all' },
+            { 'targetAudience.scope': 'roles', 'targetAudience.roles': role },
+            { 'targetAudience.scope': 'class', 'targetAudience.userIds': userId },
+          ],
+        },
+      ],
+    })
+      .sort({ sentAt: -1 })
+      .limit(50);
+
+    const receipts = await BroadcastReceipt.find({
+      user: userId,
+      broadcast: { $in: broadcasts.map((b) => b._id) },
+    }).lean();
+    const receiptsByBroadcast = new Map(receipts.map((r) => [r.broadcast.toString(), r]));
+
+    return broadcasts
+      .filter((b) => !receiptsByBroadcast.get(b._id.toString())?.dismissedAt)
+      .map((b) => ({
+        ...this.toClient(b),
+        readAt: receiptsByBroadcast.get(b._id.toString())?.readAt || null,
+      }));
+  }
+
+  async markRead(broadcastId, user) {
+    return this.recordReceipt(broadcastId, user, 'readAt', 'stats.read');
+  }
+
+  async dismiss(broadcastId, user) {
+    return this.recordReceipt(broadcastId, user, 'dismissedAt', 'stats.dismissed');
+  }
+
+  /**
+   * Set a receipt timestamp once and bump the matching counter only on the first time
+   * @returns {Boolean} Whether this call changed anything
+   */
+  async recordReceipt(broadcastId, { userId, role }, field, counter) {
+    const broadcast = await this.getBroadcast(broadcastId);
+
+    if (!broadcast.isActive() || !broadcast.targets(userId, role)) {
+      throw httpError('Broadcast not found', 404);
+    }
+
+    let changed = false;
+    try {
+      const result = await BroadcastReceipt.updateOne(
+        { broadcast: broadcast._id, user: userId, [field]: null },
+        { $set: { [field]: new Date() } },
+        { upsert: true }
+      );
+      changed = result.modifiedCount > 0 || result.upsertedCount > 0;
+    } catch (error) {
+      // Receipt exists with the field already set, so the filter missed and the upsert collided
+      if (error.code !== 11000) throw error;
+    }
+
+    if (changed) {
+      await Broadcast.updateOne({ _id: broadcast._id }, { $inc: { [counter]: 1 } });
+      await Notification.updateMany(
+        { recipient: userId, 'metadata.broadcastId': broadcast._id.toString(), isRead: false },
+        { $set: { isRead: true } }
+      );
+    }
+
+    return changed;
+  }
+}
+
+module.exports = new BroadcastManager();
@@ -0,0 +1,8 @@
+/**
+ * Event Bus for Social Service
+ * Consumes cross-service events over Redis Streams (see shared/utils/eventBus)
+ */
+
+const EventBus = require('../../shared/utils/eventBus');
+
+module.exports = new EventBus('social-service');
@@ -0,0 +1,205 @@
+/**
+ * Event Processor
+ * Turns cross-service events into feed posts and notifications.
+ * Shared by the event bus worker and the legacy HTTP event routes.
+ */
+
+const createLogger = require('../../shared/utils/logger');
+const Post = require('../models/Post');
+const queueManager = require('../workers/queueManager');
+const notificationManager = require('./notificationManager');
+const feedManager = require('./feedManager');
+const { EVENTS, NOTIFICATION_TYPES } = require('../../shared/config/constants');
+
+const logger = createLogger('event-processor');
+
+class EventProcessor {
+  /**
+   * Achievement unlocked (published by gamification-service)
+   * A user unlocks an achievement once, so the post is keyed on both and a
+   * redelivered event finds the post it already created
+   * @returns {Object} The post (the existing one if this event was seen before)
+   */
+  async processAchievementUnlocked({ userId, achievement }) {
+    const postId = `achievement-${userId}-${achievement.id || achievement.name}`;
+    let post = await Post.findOne({ postId }).lean();
+
+    if (!post) {
+      try {
+        post = await Post.create({
+          postId,
+          authorId: userId,
+          content: `Unlocked ${achievement.icon} ${achievement.name}! 🎉`,
+          type: 'achievement',
+          visibility: 'public',
+          relatedAchievement: achievement.id,
+          hashtags: ['achievement'],
+          likes: 0,
+          comments: 0,
+          shares: 0,
+          isDeleted: false,
+          createdAt: new Date(),
+        });
+        logger.info(`Created achievement post for user ${userId}: ${achievement.name}`);
+      } catch (error) {
+        // Created by a concurrent delivery of the same event
+        if (error.code !== 11000) throw error;
+        post = await Post.findOne({ postId }).lean();
+      }
+    }
+
+    // Queue notification job for followers (async); the job id dedupes redeliveries
+    const { notificationQueue } = queueManager;
+    if (!notificationQueue) {
+      logger.warn('Notification queue not initialized, skipping achievement notification');
+      return post;
+    }
+    await notificationQueue.add('achievement-notification', {
+      userId,
+      achievementName: achievement.name,
+      achievementIcon: achievement.icon,
+      achievementRarity: achievement.rarity,
+      postId,
+    }, { jobId: `notify-${postId}` });
+
+    return post;
+  }
+
+  /**
+   * Challenge lifecycle events (published by gamification-service)
+   * Notifies the player on the other side of whatever just happened
+   */
+  async processChallengeEvent(eventName, { challenge }) {
+    const { challenger, challenged, quiz } = challenge;
+    const quizTitle = quiz.title || 'a quiz';
+    const context = { quizId: quiz._id, title: 'Quiz Challenge' };
+
+    switch (eventName) {
+      case EVENTS.CHALLENGE_CREATED:
+        await notificationManager.notifyChallenge(challenged._id, NOTIFICATION_TYPES.QUIZ_CHALLENGE, {
+          ...context,
+          actorId: challenger._id,
+          actorName: challenger.name,
+          message: challenge.message || `${challenger.name} challenged you on "${quizTitle}"`,
+        });
+        break;
+
+      case EVENTS.CHALLENGE_ACCEPTED:
+        await notificationManager.notifyChallenge(challenger._id, NOTIFICATION_TYPES.CHALLENGE_ACCEPTED, {
+          ...context,
+          actorId: challenged._id,
+          actorName: challenged.name,
+          message: `${challenged.name} accepted your challenge on "${quizTitle}"`,
+        });
+        break;
+
+      case EVENTS.CHALLENGE_DECLINED:
+        await notificationManager.notifyChallenge(challenger._id, NOTIFICATION_TYPES.CHALLENGE_DECLINED, {
+          ...context,
+          actorId: challenged._id,
+          actorName: challenged.name,
+          message: `${challenged.name} declined your challenge on "${quizTitle}"`,
+        });
+        break;
+
+      case EVENTS.CHALLENGE_EXPIRED:
+        await Promise.all([challenger, challenged].map((player) =>
+          notificationManager.notifyChallenge(player._id, NOTIFICATION_TYPES.CHALLENGE_EXPIRED, {
+            ...context,
+            message: `Your challenge on "${quizTitle}" expired`,
+          })
+        ));
+        break;
+
+      case EVENTS.CHALLENGE_COMPLETED:
+        await Promise.all([
+          [challenger, challenged],
+          [challenged, challenger],
+        ].map(([player, opponent]) => {
+          let type = NOTIFICATION_TYPES.CHALLENGE_COMPLETED;
+          let message = `Your challenge with ${opponent.name} on "${quizTitle}" ended in a draw`;
+
+          if (!challenge.isDraw) {
+            const won = String(challenge.winner) === String(player._id);
+            type = won ? NOTIFICATION_TYPES.CHALLENGE_WON : NOTIFICATION_TYPES.CHALLENGE_LOST;
+            message = won
+              ? `You beat ${opponent.name} on "${quizTitle}"!`
+              : `${opponent.name} won your challenge on "${quizTitle}"`;
+            if (challenge.isForfeit) {
+              message += ' (forfeit)';
+            }
+          }
+
+          return notificationManager.notifyChallenge(player._id, type, {
+            ...context,
+            actorId: opponent._id,
+            actorName: opponent.name,
+            message,
+          });
+        }));
+        break;
+
+      default:
+        logger.warn(`Unhandled challenge event: ${eventName}`);
+    }
+  }
+
+  /**
+   * Tournament finished (published by live-service)
+   * Posts the podium as the organizer, into the feeds of the organizer's
+   * followers and of everyone who played
+   * @returns {Object} The post (the existing one if this event was seen before)
+   */
+  async processTournamentCompleted({ tournament, standings = [] }) {
+    const postId = `tournament-${tournament.id}`;
+    const existing = await Post.findOne({ postId }).lean();
+    if (existing) return existing;
+
+    const medals = ['🥇', '🥈', '🥉'];
+    const podium = standings
+      .filter((row) => row.place <= 3)
+      .map((row) => `${medals[row.place - 1]} ${row.username}`);
+    const champion = standings.find((row) => row.place === 1);
+    const headline = champion
+      ? `🏆 ${champion.username} won ${tournament.name}!`
+      : `🏆 ${tournament.name} is over!`;
+
+    const postData = {
+      postId,
+      authorId: tournament.createdBy.userId,
+      authorName: tournament.createdBy.username,
+      content: `${headline} ${tournament.participantCount} players battled in ${tournament.category} duels.\n${podium.join('  ')}`,
+      type: 'tournament',
+      visibility: 'public',
+      relatedQuiz: tournament.quizId,
+      hashtags: ['tournament'],
+      mentions: standings.filter((row) => row.place <= 3).map((row) => row.userId),
+      likes: 0,
+      comments: 0,
+      shares: 0,
+      isDeleted: false,
+      createdAt: new Date(),
+    };
+
+    const post = await Post.create(postData);
+
+    const followers = await feedManager.getFollowers(postData.authorId);
+    const players = standings.map((row) => String(row.userId));
+    const recipients = [...new Set([...followers, ...players])].filter(
+      (userId) => userId !== String(postData.authorId)
+    );
+
+    await feedManager.cachePost(postId, postData);
+    await feedManager.addToFeed(postData.authorId, postData);
+    if (queueManager.feedQueue) {
+      await queueManager.addFeedFanout(postData, recipients);
+    } else {
+      logger.warn('Feed queue not initialized, tournament post only in the organizer feed');
+    }
+
+    logger.info(`Created tournament post ${postId} for ${tournament.name} (${recipients.length} feeds)`);
+    return post;
+  }
+}
+
+module.exports = new EventProcessor();
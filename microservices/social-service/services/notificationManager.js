@@ -6,6 +6,7 @@
 const Redis = require('ioredis');
 const { nanoid } = require('nanoid');
 const createLogger = require('../../shared/utils/logger');
+const Notification = require('../models/Notification');
 
 const logger = createLogger('notification-manager');
 
@@ -312,6 +313,35 @@ class NotificationManager {
     }
   }
 
+  /**
+   * Create notifications in Redis (when connected) and persist them to MongoDB,
+   * which is what the notifications API reads
+   * @returns {Number} Number of notifications persisted
+   */
+  async persistNotifications(notifications) {
+    if (notifications.length === 0) return 0;
+
+    if (this.connected) {
+      await this.batchCreateNotifications(notifications);
+    }
+
+    await Notification.insertMany(
+      notifications.map((n) => ({
+        recipient: n.userId,
+        sender: n.actorId || undefined,
+        type: n.type,
+        title: n.title || n.type,
+        message: n.message,
+        metadata: n.metadata || {},
+        isRead: false,
+        createdAt: new Date(),
+      })),
+      { ordered: false }
+    );
+
+    return notifications.length;
+  }
+
   // ============================================
   // NOTIFICATION TEMPLATES
   // ============================================
@@ -397,6 +427,24 @@ class NotificationManager {
       priority: 'high',
     });
   }
+
+  /**
+   * Create quiz challenge notification
+   */
+  async notifyChallenge(userId, type, { actorId, actorName, title, message, quizId }) {
+    return this.persistNotifications([{
+      userId,
+      type,
+      actorId,
+      actorName,
+      title,
+      message,
+      relatedQuizId: quizId,
+      actionUrl: '/social',
+      priority: 'high',
+      metadata: { quizId },
+    }]);
+  }
 }
 
 module.exports = new NotificationManager();
@@ -5,7 +5,9 @@
 
 const feedManager = require('../services/feedManager');
 const notificationManager = require('../services/notificationManager');
+const User = require('../models/User');
 const createLogger = require('../../shared/utils/logger');
+const { socketHasRole } = require('../../shared/middleware/socketAuth');
 
 const logger = createLogger('socket-handlers');
 
@@ -15,15 +17,18 @@ module.exports = (io) => {
     
     let currentUserId = null;
 
+    // Identity comes from the verified handshake token (socket.user)
+    const { userId: authUserId, name: authName } = socket.user;
+
     // ============================================
     // JOIN USER CHANNEL
     // ============================================
-    socket.on('join-user-channel', async (data) => {
+    socket.on('join-user-channel', async (data = {}) => {
       try {
-        const { userId } = data;
+        const userId = authUserId;
         
-        if (!userId) {
-          socket.emit('error', { message: 'userId is required' });
+        if (data.userId && String(data.userId) !== userId) {
+          socket.emit('error', { message: "Cannot join another user's channel" });
           return;
         }
         
@@ -31,6 +36,12 @@ module.exports = (io) => {
         
         // Join user-specific room
         socket.join(`user:${userId}`);
+
+        // Join role room for role-targeted broadcasts
+        const user = await User.findById(userId).select('role').lean().catch(() => null);
+        if (user?.role) {
+          socket.join(`role:${user.role}`);
+        }
         
         // Subscribe to feed updates
         feedManager.subscribeToFeed(userId, (update) => {
@@ -75,6 +86,11 @@ module.exports = (io) => {
     socket.on('post-created', async (data) => {
       try {
         const { postData } = data;
+
+        if (!postData || String(postData.authorId) !== authUserId) {
+          socket.emit('error', { message: 'You can only announce your own posts' });
+          return;
+        }
         
         // Get followers
         const followers = await feedManager.getFollowers(postData.authorId);
@@ -99,6 +115,12 @@ module.exports = (io) => {
     socket.on('send-notification', async (data) => {
       try {
         const { userId, notification } = data;
+
+        // Notifications are created server-side; only staff may push one directly
+        if (!socketHasRole(socket, ['Admin', 'Moderator'])) {
+          socket.emit('error', { message: 'Not allowed to send notifications' });
+          return;
+        }
         
         // Send to user's socket
         io.to(`user:${userId}`).emit('notification', notification);
@@ -117,11 +139,11 @@ module.exports = (io) => {
     // ============================================
     socket.on('post-liked', (data) => {
       try {
-        const { postAuthorId, likerName, postId } = data;
+        const { postAuthorId, postId } = data;
         
         // Notify post author
         io.to(`user:${postAuthorId}`).emit('post-liked-notification', {
-          message: `${likerName} liked your post`,
+          message: `${authName} liked your post`,
           postId,
         });
         
@@ -135,11 +157,11 @@ module.exports = (io) => {
     // ============================================
     socket.on('post-commented', (data) => {
       try {
-        const { postAuthorId, commenterName, postId, commentId } = data;
+        const { postAuthorId, postId, commentId } = data;
         
         // Notify post author
         io.to(`user:${postAuthorId}`).emit('post-commented-notification', {
-          message: `${commenterName} commented on your post`,
+          message: `${authName} commented on your post`,
           postId,
           commentId,
         });
@@ -154,12 +176,12 @@ module.exports = (io) => {
     // ============================================
     socket.on('user-followed', (data) => {
       try {
-        const { followedUserId, followerName, followerId } = data;
+        const { followedUserId } = data;
         
         // Notify followed user
         io.to(`user:${followedUserId}`).emit('new-follower-notification', {
-          message: `${followerName} started following you`,
-          followerId,
+          message: `${authName} started following you`,
+          followerId: authUserId,
         });
         
       } catch (error) {
@@ -172,11 +194,11 @@ module.exports = (io) => {
     // ============================================
     socket.on('typing-start', (data) => {
       try {
-        const { postId, userName } = data;
+        const { postId } = data;
         
         // Broadcast to others viewing the post
         socket.to(`post:${postId}`).emit('user-typing', {
-          userName,
+          userName: authName,
           postId,
         });
         
@@ -187,10 +209,10 @@ module.exports = (io) => {
 
     socket.on('typing-stop', (data) => {
       try {
-        const { postId, userName } = data;
+        const { postId } = data;
         
         socket.to(`post:${postId}`).emit('user-stopped-typing', {
-          userName,
+          userName: authName,
           postId,
         });
         
@@ -0,0 +1,35 @@
+/**
+ * Event Worker
+ * Subscribes social-service to cross-service events on the event bus.
+ * Handlers throw on failure so the bus retries, then dead-letters the event.
+ */
+
+const createLogger = require('../../shared/utils/logger');
+const { EVENTS } = require('../../shared/config/constants');
+const eventProcessor = require('../services/eventProcessor');
+
+const logger = createLogger('event-worker');
+
+module.exports = function (eventBus) {
+  eventBus.subscribe(EVENTS.ACHIEVEMENT_UNLOCKED, async (event) => {
+    await eventProcessor.processAchievementUnlocked(event);
+  });
+
+  [
+    EVENTS.CHALLENGE_CREATED,
+    EVENTS.CHALLENGE_ACCEPTED,
+    EVENTS.CHALLENGE_DECLINED,
+    EVENTS.CHALLENGE_EXPIRED,
+    EVENTS.CHALLENGE_COMPLETED,
+  ].forEach((eventName) => {
+    eventBus.subscribe(eventName, async (event) => {
+      await eventProcessor.processChallengeEvent(eventName, event);
+    });
+  });
+
+  eventBus.subscribe(EVENTS.TOURNAMENT_COMPLETED, async (event) => {
+    await eventProcessor.processTournamentCompleted(event);
+  });
+
+  logger.info('Event worker started');
+};
@@ -12,6 +12,7 @@ class QueueManager {
   constructor() {
     this.feedQueue = null;
     this.notificationQueue = null;
+    this.broadcastQueue = null;
   }
 
   /**
@@ -49,6 +50,19 @@ class QueueManager {
       },
     });
 
+    // Broadcast fan-out queue, processed by the service itself (it holds the sockets)
+    this.broadcastQueue = new Queue("broadcast-fanout", redisUrl, {
+      defaultJobOptions: {
+        attempts: 5,
+        backoff: {
+          type: "exponential",
+          delay: 5000,
+        },
+        removeOnComplete: true,
+        removeOnFail: true,
+      },
+    });
+
     logger.info("Bull queues initialized");
   }
 
@@ -117,6 +131,38 @@ class QueueManager {
     }
   }
 
+  /**
+   * Add broadcast fan-out job (one per broadcast while it is queued or running)
+   */
+  async addBroadcastFanout(broadcastId) {
+    try {
+      await this.broadcastQueue.add(
+        "fanout",
+        { broadcastId },
+        { jobId: `broadcast-${broadcastId}` }
+      );
+
+      logger.debug(`Added fan-out job for broadcast ${broadcastId}`);
+      return true;
+    } catch (error) {
+      logger.error("Error adding broadcast fan-out job:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Whether a broadcast's fan-out job is still queued or running
+   */
+  async hasBroadcastFanout(broadcastId) {
+    if (!this.broadcastQueue) return false;
+
+    const job = await this.broadcastQueue.getJob(`broadcast-${broadcastId}`);
+    if (!job) return false;
+
+    const state = await job.getState();
+    return ["waiting", "active", "delayed", "paused"].includes(state);
+  }
+
   /**
    * Add post to database job (async persistence)
    */
@@ -144,10 +190,12 @@ class QueueManager {
 
       const feedStats = await this.feedQueue.getJobCounts();
       const notificationStats = await this.notificationQueue.getJobCounts();
+      const broadcastStats = await this.broadcastQueue.getJobCounts();
 
       return {
         feed: feedStats,
         notifications: notificationStats,
+        broadcasts: broadcastStats,
       };
     } catch (error) {
       logger.error("Error getting queue stats:", error.message);
@@ -165,6 +213,7 @@ class QueueManager {
   async close() {
     if (this.feedQueue) await this.feedQueue.close();
     if (this.notificationQueue) await this.notificationQueue.close();
+    if (this.broadcastQueue) await this.broadcastQueue.close();
     logger.info("Bull queues closed");
   }
 }